@@ -0,0 +1,490 @@
+/**
+ * Audio-reactive modulation
+ *
+ * AudioAnalyzer turns blocks of mono PCM into features: normalized band
+ * energies, spectral-flux onsets and a tempo estimate. It is plain math on
+ * Float32Arrays, so the same code runs on a live AnalyserNode and offline on
+ * a PCM array (analyzePCM), which is how tests drive it.
+ *
+ * ModulationBus routes those features to performance controls (rotation,
+ * jet ring bursts, light wobble, light color rotation). Each routing has its
+ * own gain, smoothing and threshold.
+ *
+ * A source is anything with
+ *   sampleRate
+ *   read() → { samples: Float32Array, time: seconds } | null
+ *   stop()  (optional)
+ * createBufferSource / createMicSource / createFileSource build the common ones.
+ */
+
+export const DEFAULT_BANDS = {
+    bass: [20, 250],
+    mid: [250, 2000],
+    treble: [2000, 8000]
+};
+
+/** In-place iterative radix-2 FFT (length must be a power of two) */
+function fft(re, im) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            let t = re[i]; re[i] = re[j]; re[j] = t;
+            t = im[i]; im[i] = im[j]; im[j] = t;
+        }
+    }
+    for (let len = 2; len <= n; len <<= 1) {
+        const ang = -2 * Math.PI / len;
+        const wr = Math.cos(ang);
+        const wi = Math.sin(ang);
+        for (let i = 0; i < n; i += len) {
+            let cr = 1;
+            let ci = 0;
+            for (let k = 0; k < len / 2; k++) {
+                const ar = re[i + k], ai = im[i + k];
+                const br = re[i + k + len / 2] * cr - im[i + k + len / 2] * ci;
+                const bi = re[i + k + len / 2] * ci + im[i + k + len / 2] * cr;
+                re[i + k] = ar + br; im[i + k] = ai + bi;
+                re[i + k + len / 2] = ar - br; im[i + k + len / 2] = ai - bi;
+                const nr = cr * wr - ci * wi;
+                ci = cr * wi + ci * wr;
+                cr = nr;
+            }
+        }
+    }
+}
+
+export class AudioAnalyzer {
+    /**
+     * @param {object} opts
+     *  - sampleRate, frameSize (power of two)
+     *  - bands: { name: [loHz, hiHz] }
+     *  - onsetSensitivity: std-devs above the recent mean flux that count as an onset
+     *  - onsetMinInterval: refractory period in seconds
+     *  - onsetMinRatio: flux must be at least this share of the frame's spectrum
+     *  - bpmRange: [lo, hi) tempos are folded into this octave
+     */
+    constructor({
+        sampleRate = 44100,
+        frameSize = 1024,
+        bands = DEFAULT_BANDS,
+        onsetSensitivity = 1.0,
+        onsetMinInterval = 0.1,
+        onsetMinRatio = 0.1,
+        bpmRange = [60, 180]
+    } = {}) {
+        if (frameSize & (frameSize - 1)) {
+            throw new Error(`AudioAnalyzer: frameSize must be a power of two (got ${frameSize})`);
+        }
+        this.sampleRate = sampleRate;
+        this.frameSize = frameSize;
+        this.bands = bands;
+        this.onsetSensitivity = onsetSensitivity;
+        this.onsetMinInterval = onsetMinInterval;
+        this.onsetMinRatio = onsetMinRatio;
+        this.bpmRange = bpmRange;
+
+        this.window = new Float32Array(frameSize);
+        for (let i = 0; i < frameSize; i++) {
+            this.window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (frameSize - 1)); // Hann
+        }
+        this.re = new Float32Array(frameSize);
+        this.im = new Float32Array(frameSize);
+        this.magnitudes = new Float32Array(frameSize / 2);
+        this.prevMagnitudes = new Float32Array(frameSize / 2);
+
+        // ~1 second of flux history for the adaptive onset threshold
+        this.fluxHistorySize = Math.max(8, Math.round(sampleRate / frameSize));
+        this.bpmWindowSeconds = 8.0;
+        this.peakDecay = 0.995; // per-frame decay of the band AGC peak
+        this.reset();
+    }
+
+    reset() {
+        this.prevMagnitudes.fill(0);
+        this.fluxHistory = [];
+        this.onsetTimes = [];
+        this.lastOnsetTime = -Infinity;
+        this.bandPeak = 0;
+        this.bpm = 0;
+        this.frameIndex = 0;
+    }
+
+    /**
+     * Analyze one block of mono samples
+     * @param {Float32Array} samples - At least frameSize samples (latest are used)
+     * @param {number} time - Block time in seconds (defaults to frameIndex * frameSize / sampleRate)
+     * @returns {{time, level, bands, flux, onset, bpm}}
+     */
+    analyzeFrame(samples, time) {
+        const n = this.frameSize;
+        const t = time ?? (this.frameIndex * n / this.sampleRate);
+        this.frameIndex++;
+
+        const offset = Math.max(0, samples.length - n);
+        let sumSq = 0;
+        for (let i = 0; i < n; i++) {
+            const s = samples[offset + i] || 0;
+            sumSq += s * s;
+            this.re[i] = s * this.window[i];
+            this.im[i] = 0;
+        }
+        const level = Math.sqrt(sumSq / n);
+        fft(this.re, this.im);
+
+        // Magnitude spectrum + spectral flux (positive changes only)
+        let flux = 0;
+        let spectrumSum = 0;
+        for (let k = 0; k < n / 2; k++) {
+            const m = Math.hypot(this.re[k], this.im[k]) / n;
+            const d = m - this.prevMagnitudes[k];
+            if (d > 0) flux += d;
+            spectrumSum += m;
+            this.magnitudes[k] = m;
+        }
+        this.prevMagnitudes.set(this.magnitudes);
+
+        // Band energies, normalized by one shared decaying peak so relative
+        // balance between bands survives (a bass-only track has quiet treble)
+        const raw = {};
+        let frameMax = 0;
+        for (const name of Object.keys(this.bands)) {
+            const [lo, hi] = this.bands[name];
+            const k0 = Math.max(1, Math.ceil(lo * n / this.sampleRate));
+            const k1 = Math.min(n / 2 - 1, Math.floor(hi * n / this.sampleRate));
+            let e = 0;
+            for (let k = k0; k <= k1; k++) e += this.magnitudes[k] * this.magnitudes[k];
+            raw[name] = k1 >= k0 ? Math.sqrt(e / (k1 - k0 + 1)) : 0;
+            frameMax = Math.max(frameMax, raw[name]);
+        }
+        this.bandPeak = Math.max(this.bandPeak * this.peakDecay, frameMax);
+        const bands = {};
+        for (const name of Object.keys(raw)) {
+            bands[name] = this.bandPeak > 1e-9 ? raw[name] / this.bandPeak : 0;
+        }
+
+        // Onset: flux well above its recent mean, a real share of the spectrum
+        // (not float noise on a steady tone), outside the refractory window
+        const history = this.fluxHistory;
+        let mean = 0;
+        for (const f of history) mean += f;
+        mean = history.length ? mean / history.length : 0;
+        let variance = 0;
+        for (const f of history) variance += (f - mean) * (f - mean);
+        const std = history.length ? Math.sqrt(variance / history.length) : 0;
+        const onset = history.length >= 4 &&
+            flux > 1e-6 &&
+            flux > this.onsetMinRatio * spectrumSum &&
+            flux > mean + this.onsetSensitivity * std &&
+            (t - this.lastOnsetTime) >= this.onsetMinInterval;
+        history.push(flux);
+        if (history.length > this.fluxHistorySize) history.shift();
+
+        if (onset) {
+            this.lastOnsetTime = t;
+            this.onsetTimes.push(t);
+            while (this.onsetTimes.length && t - this.onsetTimes[0] > this.bpmWindowSeconds) {
+                this.onsetTimes.shift();
+            }
+            this.bpm = this.estimateBpm();
+        }
+
+        return { time: t, level, bands, flux, onset, bpm: this.bpm };
+    }
+
+    /**
+     * Tempo from recent inter-onset intervals: fold each interval into
+     * bpmRange, vote in 1-BPM bins (±2 neighbourhood) and average the
+     * intervals that support the winning bin.
+     */
+    estimateBpm() {
+        const times = this.onsetTimes;
+        if (times.length < 4) return this.bpm;
+        const [lo, hi] = this.bpmRange;
+        const candidates = [];
+        for (let i = 1; i < times.length; i++) {
+            const dt = times[i] - times[i - 1];
+            if (dt <= 0) continue;
+            let bpm = 60 / dt;
+            while (bpm < lo) bpm *= 2;
+            while (bpm >= hi) bpm /= 2;
+            candidates.push(bpm);
+        }
+        if (!candidates.length) return this.bpm;
+
+        let best = 0;
+        let bestVotes = 0;
+        for (let bin = Math.floor(lo); bin < hi; bin++) {
+            let votes = 0;
+            for (const c of candidates) if (Math.abs(c - bin) <= 2) votes++;
+            if (votes > bestVotes) {
+                bestVotes = votes;
+                best = bin;
+            }
+        }
+        const support = candidates.filter((c) => Math.abs(c - best) <= 2);
+        return support.reduce((a, b) => a + b, 0) / support.length;
+    }
+}
+
+/**
+ * Analyze a whole mono PCM array offline (tests, pre-analysis of files)
+ * @returns {Array} One feature object per frame
+ */
+export function analyzePCM(pcm, sampleRate, opts = {}) {
+    const analyzer = new AudioAnalyzer({ ...opts, sampleRate });
+    const n = analyzer.frameSize;
+    const frames = [];
+    for (let start = 0; start + n <= pcm.length; start += n) {
+        frames.push(analyzer.analyzeFrame(pcm.subarray(start, start + n), start / sampleRate));
+    }
+    return frames;
+}
+
+/** Source that plays a PCM array one frame per read() (synthetic input) */
+export function createBufferSource(pcm, sampleRate, frameSize = 1024) {
+    let position = 0;
+    return {
+        sampleRate,
+        frameSize,
+        read() {
+            if (position + frameSize > pcm.length) return null;
+            const samples = pcm.subarray(position, position + frameSize);
+            const time = position / sampleRate;
+            position += frameSize;
+            return { samples, time };
+        }
+    };
+}
+
+function createAnalyserReader(context, node, cleanup, frameSize) {
+    const analyser = context.createAnalyser();
+    analyser.fftSize = frameSize;
+    analyser.smoothingTimeConstant = 0;
+    node.connect(analyser);
+    const buffer = new Float32Array(frameSize);
+    let lastTime = -1;
+    return {
+        sampleRate: context.sampleRate,
+        frameSize,
+        read() {
+            // Don't analyze the same block twice when rAF outpaces audio
+            if (context.currentTime === lastTime) return null;
+            lastTime = context.currentTime;
+            analyser.getFloatTimeDomainData(buffer);
+            return { samples: buffer, time: context.currentTime };
+        },
+        stop() {
+            cleanup();
+            node.disconnect();
+            context.close();
+        }
+    };
+}
+
+/** Live microphone / line-in source */
+export async function createMicSource(frameSize = 1024) {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false } });
+    const context = new AudioContext();
+    const node = context.createMediaStreamSource(stream);
+    return createAnalyserReader(context, node, () => stream.getTracks().forEach((t) => t.stop()), frameSize);
+}
+
+/** Play an audio file (File/Blob/ArrayBuffer) and analyze it as it plays */
+export async function createFileSource(file, { loop = true, frameSize = 1024 } = {}) {
+    const context = new AudioContext();
+    const data = file instanceof ArrayBuffer ? file : await file.arrayBuffer();
+    const buffer = await context.decodeAudioData(data);
+    const node = context.createBufferSource();
+    node.buffer = buffer;
+    node.loop = loop;
+    node.connect(context.destination);
+    node.start();
+    return createAnalyserReader(context, node, () => node.stop(), frameSize);
+}
+
+/**
+ * Modulation targets. Continuous targets sum their routings every frame;
+ * trigger targets fire on a rising edge through the threshold.
+ */
+export const MODULATION_TARGETS = {
+    rotation: {
+        continuous: true,
+        // Its own term on top of the keys and gestures, and not recorded as input
+        apply: (c, v) => c.simulation.setRotationAudio(v),
+        reset: (c) => c.simulation.setRotationAudio(0.0)
+    },
+    lightSpeed: {
+        continuous: true,
+        // Added on top of whatever light rotation speed was set before start()
+        apply: (c, v, bus) => { c.lightRotationSpeed = Math.max(0, bus.baseLightSpeed + v); },
+        reset: (c, bus) => { c.lightRotationSpeed = bus.baseLightSpeed; }
+    },
+    jet: {
+        continuous: false,
+        apply: (c, v, bus) => {
+            // Somewhere in the inner plate so rings don't hit the rim
+            const angle = bus.random() * Math.PI * 2;
+            const r = Math.sqrt(bus.random()) * 0.25;
+            c.fireJetRing(0.5 + Math.cos(angle) * r, 0.5 + Math.sin(angle) * r, 60.0 * v);
+        }
+    },
+    wobble: {
+        continuous: false,
+        apply: (c, v, bus) => {
+            const angle = bus.random() * Math.PI * 2;
+            c.simulation.addWobble(Math.cos(angle) * v, Math.sin(angle) * v);
+        }
+    }
+};
+
+export const MODULATION_INPUTS = ['level', 'bass', 'mid', 'treble', 'onset', 'bpm'];
+
+export const DEFAULT_ROUTINGS = [
+    { input: 'bass', target: 'rotation', gain: 0.08, smoothing: 0.8, threshold: 0.1 },
+    { input: 'onset', target: 'jet', gain: 1.0, smoothing: 0.0, threshold: 0.5, cooldown: 0.25 },
+    { input: 'mid', target: 'wobble', gain: 40.0, smoothing: 0.5, threshold: 0.6, cooldown: 0.1 },
+    { input: 'treble', target: 'lightSpeed', gain: 4.0, smoothing: 0.9, threshold: 0.05 }
+];
+
+export class ModulationBus {
+    /**
+     * @param {Controller} controller - Targets act through it (simulation, fireJetRing, lightRotationSpeed)
+     * @param {object} opts - routings (defaults to DEFAULT_ROUTINGS), analyzer options
+     */
+    constructor(controller, { routings = DEFAULT_ROUTINGS, analyzer = {} } = {}) {
+        this.controller = controller;
+        this.analyzerOptions = analyzer;
+        this.routings = [];
+        for (const routing of routings) this.addRouting(routing);
+
+        this.source = null;
+        this.analyzer = null;
+        this.features = null;
+        this.baseLightSpeed = 0;
+    }
+
+    get active() {
+        return this.source !== null;
+    }
+
+    /** Random source shared with the simulation so seeded runs stay reproducible */
+    random() {
+        const sim = this.controller.simulation;
+        return sim && sim.random ? sim.random() : Math.random();
+    }
+
+    /**
+     * @param {object} routing - { input, target, gain?, smoothing? (0..1), threshold?, cooldown? (s) }
+     */
+    addRouting(routing) {
+        if (!MODULATION_INPUTS.includes(routing.input)) {
+            throw new Error(`ModulationBus: unknown input "${routing.input}"`);
+        }
+        if (!MODULATION_TARGETS[routing.target]) {
+            throw new Error(`ModulationBus: unknown target "${routing.target}"`);
+        }
+        const entry = {
+            gain: 1.0,
+            smoothing: 0.0,
+            threshold: 0.0,
+            cooldown: 0.0,
+            ...routing,
+            // Runtime state
+            value: 0,
+            armed: true,
+            lastFired: -Infinity
+        };
+        this.routings.push(entry);
+        return entry;
+    }
+
+    removeRouting(index) {
+        this.routings.splice(index, 1);
+    }
+
+    clearRoutings() {
+        this.routings = [];
+    }
+
+    start(source) {
+        this.stop();
+        this.source = source;
+        this.analyzer = new AudioAnalyzer({
+            ...this.analyzerOptions,
+            sampleRate: source.sampleRate,
+            frameSize: source.frameSize || this.analyzerOptions.frameSize || 1024
+        });
+        this.baseLightSpeed = this.controller.lightRotationSpeed || 0;
+        for (const routing of this.routings) {
+            routing.value = 0;
+            routing.armed = true;
+            routing.lastFired = -Infinity;
+        }
+        console.log(`🎵 Audio modulation started (${source.sampleRate} Hz)`);
+    }
+
+    stop() {
+        if (!this.source) return;
+        if (this.source.stop) this.source.stop();
+        this.source = null;
+        for (const name of Object.keys(MODULATION_TARGETS)) {
+            const target = MODULATION_TARGETS[name];
+            if (target.reset && this.routings.some((r) => r.target === name)) {
+                target.reset(this.controller, this);
+            }
+        }
+        console.log('🎵 Audio modulation stopped');
+    }
+
+    /**
+     * Pull the next block from the source, analyze it and drive the targets.
+     * Call once per frame (Controller.update does).
+     */
+    update() {
+        if (!this.source) return null;
+        const block = this.source.read();
+        if (!block) return this.features;
+        return this.process(this.analyzer.analyzeFrame(block.samples, block.time));
+    }
+
+    /**
+     * Apply one frame of features to all routings (also the offline/test entry point)
+     */
+    process(features) {
+        this.features = features;
+        const sums = {};
+
+        for (const routing of this.routings) {
+            let raw;
+            if (routing.input === 'onset') raw = features.onset ? 1 : 0;
+            else if (routing.input === 'bpm') raw = features.bpm / 120;
+            else if (routing.input === 'level') raw = features.level;
+            else raw = features.bands[routing.input] ?? 0;
+
+            const s = Math.max(0, Math.min(0.999, routing.smoothing));
+            routing.value = s * routing.value + (1 - s) * raw;
+
+            const target = MODULATION_TARGETS[routing.target];
+            if (target.continuous) {
+                const out = Math.max(0, routing.value - routing.threshold) * routing.gain;
+                sums[routing.target] = (sums[routing.target] || 0) + out;
+            } else if (routing.value >= routing.threshold && routing.value > 0) {
+                if (routing.armed && features.time - routing.lastFired >= routing.cooldown) {
+                    target.apply(this.controller, routing.gain * routing.value, this);
+                    routing.lastFired = features.time;
+                    routing.armed = false;
+                }
+            } else {
+                routing.armed = true; // re-arm once the input falls back below threshold
+            }
+        }
+
+        for (const name of Object.keys(sums)) {
+            MODULATION_TARGETS[name].apply(this.controller, sums[name], this);
+        }
+        return features;
+    }
+}
@@ -0,0 +1,303 @@
+/**
+ * Brush engine
+ *
+ * Turns pointer strokes into dabs: splats laid along the path at a spacing
+ * that follows the brush size, so a fast stroke stays a line instead of a
+ * chain of dots. Pen pressure and tilt set each dab's radius and flow (how
+ * much ink or oil it deposits), and the stroke's momentum rides along as a
+ * velocity push in the drag direction. Each dab also says how much of its
+ * area is new paint (coverage): closely spaced dabs overlap, so deposits that
+ * add up per dab (SPH oil particles) are thinned by it.
+ *
+ * Strokes are keyed by pointer id, so several pointers can paint at once.
+ * Pointer events only feed the strokes; the Controller drains the dabs with
+ * update() once per simulation step and paints them (splat, oil splatColor,
+ * splatVelocity), so replays see them on the step they were painted.
+ * A stroke resting in place keeps pouring at the brush's dwell interval, as
+ * holding the pipette still always did.
+ *
+ * Positions are plate uv (0-1, y up). Spacing is measured aspect-correct, as
+ * the splat shader measures its radius.
+ */
+
+/**
+ * Brush types:
+ *   size     radius as a fraction of the material's base radius
+ *   spacing  distance between dabs, in dab radii
+ *   flow     deposit per dab (1 = a plain splat)
+ *   push     fraction of the stroke velocity given to the water
+ *   dwell    seconds between dabs while the stroke rests (null: never)
+ *   droplets / scatter   spray: dabs per stamp, spread in stamp radii
+ *   ring / ringRadius    droplet ring: dabs per stamp, ring size in stamp radii
+ */
+export const BRUSH_TYPES = {
+    round: { label: 'Round', size: 1.0, spacing: 0.25, flow: 1.0, push: 0.3, dwell: 0 },
+    spray: { label: 'Soft Spray', size: 0.35, spacing: 0.6, flow: 0.35, push: 0.15, dwell: 0, droplets: 4, scatter: 2.5 },
+    line: { label: 'Line', size: 0.3, spacing: 0.2, flow: 0.8, push: 0.4, dwell: 0 },
+    ring: { label: 'Droplet Ring', size: 0.3, spacing: 8.0, flow: 1.0, push: 0.0, dwell: null, ring: 6, ringRadius: 3.0 },
+    drip: { label: 'Pipette Drip', size: 0.6, spacing: 5.0, flow: 1.5, push: 0.0, dwell: 0.3 }
+};
+
+// Closest dabs may come, in uv (a tiny brush would otherwise flood the step)
+const MIN_SPACING = 0.002;
+
+// Most stamps one pointer move may lay; longer jumps space them out
+const MAX_STAMPS_PER_MOVE = 32;
+
+// Most dabs painted in one simulation step, over every stroke and coalesced
+// sample (each dab is a few full-grid splat passes); the rest are thinned out
+export const MAX_DABS_PER_STEP = 64;
+
+// Fastest stroke passed on as momentum (uv/s)
+const MAX_STROKE_SPEED = 2.0;
+
+// How quickly the stroke velocity follows the pointer (0-1 per move) and
+// fades once it stops moving (per second)
+const VELOCITY_SMOOTHING = 0.5;
+const VELOCITY_DECAY = 10.0;
+
+/**
+ * Radius and flow scales for a pointer sample. Mouse buttons report a
+ * pressure of 0.5, which maps to 1 for both; some touch screens report 0
+ * while touching, which is taken as 0.5 too. A tilted pen lays the side of
+ * the nib down: wider, thinner dabs.
+ * @param {{pressure?: number, tiltX?: number, tiltY?: number}} sample
+ * @returns {{radius: number, flow: number}}
+ */
+export function brushDynamics({ pressure = 0.5, tiltX = 0, tiltY = 0 }) {
+    const p = pressure > 0 ? Math.min(1, pressure) : 0.5;
+    const tilt = Math.min(1, Math.hypot(tiltX, tiltY) / 60);
+    return {
+        radius: (0.4 + 1.2 * p) * (1 + 0.8 * tilt),
+        flow: 2 * p * (1 - 0.5 * tilt)
+    };
+}
+
+/**
+ * Pointer sample from a PointerEvent, in plate uv
+ * @param {PointerEvent} e
+ * @param {{left: number, top: number, width: number, height: number}} rect - the canvas
+ */
+export function sampleFromPointer(e, rect) {
+    return {
+        x: (e.clientX - rect.left) / rect.width,
+        y: 1.0 - (e.clientY - rect.top) / rect.height,
+        pressure: e.pressure,
+        tiltX: e.tiltX || 0,
+        tiltY: e.tiltY || 0,
+        time: e.timeStamp / 1000
+    };
+}
+
+function lerpSample(a, b, t) {
+    const mix = (key) => {
+        const from = a[key] ?? 0;
+        return from + ((b[key] ?? 0) - from) * t;
+    };
+    return { x: mix('x'), y: mix('y'), pressure: mix('pressure'), tiltX: mix('tiltX'), tiltY: mix('tiltY'), time: b.time };
+}
+
+/** One pointer's stroke: where it is, how far since the last stamp, how fast */
+export class BrushStroke {
+    /**
+     * @param {BrushEngine} engine - brush type, size, aspect and randomness
+     * @param {object} sample - where the stroke starts (stamped right away)
+     * @param {number} radius - the material's base radius, uv
+     */
+    constructor(engine, sample, radius) {
+        this.engine = engine;
+        this.radius = radius;
+        this.last = sample;
+        this.sinceStamp = 0;     // distance walked since the last stamp
+        this.rest = 0;           // seconds without a stamp
+        this.vx = 0;             // stroke velocity, uv/s
+        this.vy = 0;
+        this.moved = false;      // pointer moved since the last step
+        this.dabs = [];
+        this.stamp(sample);
+    }
+
+    /** Follow the pointer to a new sample, stamping along the way */
+    moveTo(sample) {
+        const from = this.last;
+        const aspect = this.engine.aspect;
+        const dx = sample.x - from.x;
+        const dy = sample.y - from.y;
+        const length = Math.hypot(dx * aspect, dy);
+        const elapsed = sample.time - from.time;
+        if (elapsed > 0) {
+            this.vx += (dx / elapsed - this.vx) * VELOCITY_SMOOTHING;
+            this.vy += (dy / elapsed - this.vy) * VELOCITY_SMOOTHING;
+        }
+        this.moved = true;
+
+        let along = 0;
+        for (;;) {
+            const here = lerpSample(from, sample, length > 0 ? along / length : 1);
+            const step = Math.max(this.spacing(here), length / MAX_STAMPS_PER_MOVE);
+            // Never behind the segment start: lighter pressure can shrink
+            // the spacing below the distance already walked
+            const next = Math.max(0, along + step - this.sinceStamp);
+            if (next > length) break;
+            along = next;
+            this.sinceStamp = 0;
+            this.stamp(lerpSample(from, sample, length > 0 ? along / length : 1), step);
+        }
+        this.sinceStamp += length - along;
+        this.last = sample;
+    }
+
+    /** Distance between stamps at a sample, uv */
+    spacing(sample) {
+        const brush = this.engine.brush;
+        const radius = this.radius * this.engine.size * brush.size * brushDynamics(sample).radius;
+        return Math.max(MIN_SPACING, brush.spacing * radius);
+    }
+
+    /**
+     * The dabs laid since the last step, plus a dwell stamp if the stroke
+     * has laid none for the brush's dwell interval
+     * @param {number} dt - seconds per step
+     */
+    update(dt) {
+        const dwell = this.engine.brush.dwell;
+        if (this.dabs.length === 0 && dwell !== null) {
+            this.rest += dt;
+            if (this.rest >= dwell) {
+                this.stamp(this.last);
+                this.sinceStamp = 0;
+            }
+        }
+        if (!this.moved) {
+            const fade = Math.exp(-VELOCITY_DECAY * dt);
+            this.vx *= fade;
+            this.vy *= fade;
+        }
+        this.moved = false;
+        const dabs = this.dabs;
+        this.dabs = [];
+        return dabs;
+    }
+
+    /**
+     * Lay the brush's dabs at a point
+     * @param {number} spacing - distance from the previous stamp, uv (Infinity: none to overlap)
+     */
+    stamp(sample, spacing = Infinity) {
+        const engine = this.engine;
+        const brush = engine.brush;
+        const dynamics = brushDynamics(sample);
+        const radius = this.radius * engine.size * brush.size * dynamics.radius;
+        const flow = brush.flow * dynamics.flow;
+        const speed = Math.hypot(this.vx, this.vy);
+        const limit = speed > MAX_STROKE_SPEED ? MAX_STROKE_SPEED / speed : 1;
+        const spots = this.spots(sample, radius);
+        const push = brush.push * limit / spots.length;
+        const coverage = Math.min(1, spacing / (2 * radius));
+        for (const spot of spots) {
+            this.dabs.push({ x: spot.x, y: spot.y, radius, flow, coverage, vx: this.vx * push, vy: this.vy * push });
+        }
+        this.rest = 0;
+    }
+
+    /** Where a stamp's dabs land: the point itself, a spray or a ring around it */
+    spots(sample, radius) {
+        const { brush, aspect, random } = this.engine;
+        const { x, y } = sample;
+        if (brush.droplets) {
+            return Array.from({ length: brush.droplets }, () => {
+                const r = Math.sqrt(random()) * brush.scatter * radius;
+                const a = random() * 2 * Math.PI;
+                return { x: x + Math.cos(a) * r / aspect, y: y + Math.sin(a) * r };
+            });
+        }
+        if (brush.ring) {
+            const start = random() * 2 * Math.PI;
+            const r = brush.ringRadius * radius;
+            return Array.from({ length: brush.ring }, (_, i) => {
+                const a = start + (i / brush.ring) * 2 * Math.PI;
+                return { x: x + Math.cos(a) * r / aspect, y: y + Math.sin(a) * r };
+            });
+        }
+        return [{ x, y }];
+    }
+}
+
+export default class BrushEngine {
+    /**
+     * @param {object} options
+     *  - random: () => [0, 1), for spray and ring placement (Simulation.random
+     *    keeps strokes deterministic)
+     */
+    constructor({ random = Math.random } = {}) {
+        this.random = random;
+        this.type = 'round';
+        this.size = 1.0;          // user scale on every brush
+        this.aspect = 1.0;        // plate width / height
+        this.strokes = new Map(); // pointer id → BrushStroke
+        this.finished = [];       // dabs of strokes that ended since the last step
+    }
+
+    get brush() {
+        return BRUSH_TYPES[this.type];
+    }
+
+    get active() {
+        return this.strokes.size > 0;
+    }
+
+    /** @throws {Error} for an unknown brush type */
+    setType(type) {
+        if (!BRUSH_TYPES[type]) throw new Error(`Unknown brush type "${type}"`);
+        this.type = type;
+        console.log(`🖌️ Brush: ${BRUSH_TYPES[type].label}`);
+    }
+
+    /** Step to the next brush type */
+    cycleType() {
+        const types = Object.keys(BRUSH_TYPES);
+        this.setType(types[(types.indexOf(this.type) + 1) % types.length]);
+    }
+
+    /**
+     * Start a stroke (replacing any the pointer had)
+     * @param {number} id - pointer id
+     * @param {object} sample - sampleFromPointer
+     * @param {number} radius - the material's base radius, uv
+     */
+    begin(id, sample, radius) {
+        this.strokes.set(id, new BrushStroke(this, sample, radius));
+    }
+
+    move(id, sample) {
+        const stroke = this.strokes.get(id);
+        if (stroke) stroke.moveTo(sample);
+    }
+
+    /** Finish a stroke; the dabs it laid since the last step still get painted */
+    end(id) {
+        const stroke = this.strokes.get(id);
+        if (!stroke) return;
+        this.finished.push(...stroke.dabs);
+        this.strokes.delete(id);
+    }
+
+    /**
+     * Every stroke's dabs for this step, at most MAX_DABS_PER_STEP: past
+     * that, evenly picked ones (always the last) stand in for the rest with
+     * their coverage
+     * @param {number} dt - seconds per step
+     * @returns {Array<{x: number, y: number, radius: number, flow: number, coverage: number, vx: number, vy: number}>}
+     */
+    update(dt) {
+        const dabs = this.finished;
+        this.finished = [];
+        for (const stroke of this.strokes.values()) dabs.push(...stroke.update(dt));
+        if (dabs.length <= MAX_DABS_PER_STEP) return dabs;
+        const share = dabs.length / MAX_DABS_PER_STEP;
+        return Array.from({ length: MAX_DABS_PER_STEP }, (_, i) => {
+            const dab = dabs[Math.ceil((i + 1) * share) - 1];
+            return { ...dab, coverage: dab.coverage * share };
+        });
+    }
+}
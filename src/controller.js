@@ -1,5 +1,22 @@
 import Simulation from './simulation.js';
 import { QualityTester } from './quality-tests.js';
+import MidiController, { MIDI_TARGETS, createWebMidiSource, describeMidiSource } from './midi.js';
+import { ModulationBus, createMicSource, createFileSource } from './audio.js';
+import MaterialRegistry, { MATERIAL_LAYERS } from './materials.js';
+import MaterialEditor from './material-editor.js';
+import LookManager from './looks.js';
+import InputReplay from './replay.js';
+import TiltInput, { TILT_MAX_DEGREES, createDeviceOrientationSource, createGamepadSource } from './tilt.js';
+import BrushEngine, { sampleFromPointer } from './brush.js';
+import TouchGestures from './gestures.js';
+import FrameExporter, { STEP_RATE, createEncoder, createFileSink } from './exporter.js';
+import { escapeHTML } from './utils.js';
+import { MAX_MASK_SIZE, maskFromPixels } from './simulation/obstacles.js';
+import { CONTAINER_PRESETS, CONTAINER_RADIUS } from './simulation/container.js';
+import { LAMP_POWER } from './simulation/heat-lamp.js';
+
+// Brush radius (uv) before the brush type, size and pressure scale it
+const BRUSH_RADIUS = { ink: 0.08, oil: 0.06 };
 
 export default class Controller {
     constructor(simulation, renderer) {
@@ -37,40 +54,30 @@ export default class Controller {
             agitation: 0.0 // Default heat lamp agitation
         };
 
-        this.isMouseDown = false;
-        this.isRightMouseDown = false;
         this.isSpacePressed = false;
+        this.pendingObstacle = null;  // shape placed by the next click on the plate
+        this.pendingLamp = false;     // the next click on the plate moves the heat lamp
+        this.stirTool = false;        // left drag moves the stirring rod instead of painting
+        this.fingerTool = 'paint';    // what each finger streams: 'paint' or 'jet'
+        this.paintPlate = 'lower';    // 'upper' paints into the clock glass when it is in
         this.currentColor = { r: 0.0, g: 0.5, b: 1.0 };  // Default: bright blue
-        this.materials = [
-            { name: 'Ink', palette: ['#0080FF', '#00D4FF', '#00FFB4', '#FFE000', '#FF00FF', '#FFFFFF', '#4169E1', '#00CED1', '#7FFF00'], preset: { surfaceTension: 120.0, couplingStrength: 0.08, oilSmoothingRate: 0.92, agitation: 0.0, marangoniStrength: 0.4, marangoniKth: 0.6, marangoniEdgeBand: 2.5, marangoniThMin: 0.02, marangoniForceClamp: 0.10, marangoniAmp: 4.0, buoyancyStrength: 0.0 } },
-            { name: 'Mineral Oil', palette: ['#FFF3C4', '#FFD166', '#F6BD60', '#F7EDE2', '#F28482'], preset: { surfaceTension: 150.0, couplingStrength: 0.08, oilSmoothingRate: 0.95, oilViscosity: 0.35, oilViscosityIterations: 30, absorption: 1.8, paletteDom: 0.12, refractStrength: 0.025, fresnelPower: 2.5, oilOcclusion: 0.25, oilAlphaGamma: 1.20, oilTintStrength: 0.9, marangoniStrength: 1.2, marangoniKth: 1.5, marangoniEdgeBand: 3.0, marangoniThMin: 0.01, marangoniForceClamp: 0.15, marangoniAmp: 5.0, agitation: 0.005, buoyancyStrength: -8.0 } },
-            { name: 'Alcohol', palette: ['#BDE0FE', '#A2D2FF', '#CDB4DB', '#FFC8DD', '#FFAFCC'], preset: { surfaceTension: 50.0, couplingStrength: 0.20, oilSmoothingRate: 0.96, oilViscosity: 0.12, oilViscosityIterations: 16, viscosity: 0.015, absorption: 1.5, paletteDom: 0.20, refractStrength: 0.018, fresnelPower: 2.2, oilOcclusion: 0.15, oilAlphaGamma: 0.90, oilTintStrength: 0.9, marangoniKth: 0.4, marangoniEdgeBand: 1.5, agitation: 0.01, buoyancyStrength: -12.0 } },
-            { name: 'Syrup', palette: ['#8B4513', '#D2691E', '#C97A36', '#F4A261', '#E76F51'], preset: { surfaceTension: 200.0, couplingStrength: 0.35, oilSmoothingRate: 0.98, oilViscosity: 0.6, oilViscosityIterations: 30, absorption: 2.0, paletteDom: 0.12, refractStrength: 0.030, fresnelPower: 2.8, oilOcclusion: 0.30, oilAlphaGamma: 1.20, oilTintStrength: 0.9, marangoniKth: 1.0, marangoniEdgeBand: 2.5, agitation: 0.002, buoyancyStrength: 5.0, oilOverflowUpper: 1.20, oilOverflowLower: 0.95, occupancyEveryN: 300 } },
-            { name: 'Glycerine', palette: ['#E0FBFC', '#98C1D9', '#3D5A80', '#EE6C4D', '#293241'], preset: { surfaceTension: 80.0, couplingStrength: 0.40, oilSmoothingRate: 0.95, oilViscosity: 0.5, oilViscosityIterations: 30, absorption: 2.2, paletteDom: 0.10, refractStrength: 0.028, fresnelPower: 2.6, oilOcclusion: 0.25, oilAlphaGamma: 1.30, oilTintStrength: 0.9, marangoniKth: 1.2, marangoniEdgeBand: 3.0, agitation: 0.001, buoyancyStrength: 2.0, oilOverflowUpper: 0.98, oilOverflowLower: 0.90, occupancyEveryN: 150 } }
-        ];
+        // Material definitions (layer, preset, SPH tuning, optics, palette) live in materials.js
+        this.materialRegistry = new MaterialRegistry();
+        this.materials = this.materialRegistry.materials;
         this.currentMaterialIndex = 0;
         
         // Track last color used for each material (for UI memory)
-        this.materialColors = [
-            { r: 0.0, g: 0.5, b: 1.0 },  // Ink - default blue
-            { r: 1.0, g: 0.82, b: 0.4 }, // Mineral Oil - gold
-            { r: 0.74, g: 0.82, b: 1.0 }, // Alcohol - light blue
-            { r: 0.82, g: 0.48, b: 0.21 }, // Syrup - brown
-            { r: 0.88, g: 0.76, b: 0.99 }  // Glycerine - pale purple
-        ];
-        
-        // Track mouse position for velocity calculation
-        this.lastMouseX = 0;
-        this.lastMouseY = 0;
-        this.mouseVelocityX = 0;
-        this.mouseVelocityY = 0;
-        
-        // Current mouse position for continuous injection
-        this.currentMouseX = 0;
-        this.currentMouseY = 0;
+        this.materialColors = this.materials.map((m) => ({ ...m.color }));
+        
+        // Paint strokes: dabs along the path, sized by pressure and brush type.
+        // Spray and ring placement draw from the simulation's random source
+        // so deterministic runs paint the same.
+        this.brush = new BrushEngine({ random: () => this.simulation.random() });
+        // Every finger tracked on its own, plus twist / pinch / tap gestures
+        this.gestures = new TouchGestures(this);
 
         const canvas = this.renderer.gl ? this.renderer.gl.canvas : document.getElementById('gl-canvas');
-        // Disable native gesture handling so touches map to paint/jets
+        // Disable native gesture handling so touches reach the pointer handlers
         canvas.style.touchAction = 'none';
         // Ensure canvas can receive focus for keyboard events in mobile emulators
         canvas.setAttribute('tabindex', '0');
@@ -78,15 +85,12 @@ export default class Controller {
         
         // Bind event listeners
         this.canvas = canvas;
-        this.canvas.addEventListener('mousedown', (e) => this.onMouseDown(e));
-        this.canvas.addEventListener('mousemove', (e) => this.onMouseMove(e));
-        this.canvas.addEventListener('mouseup', (e) => this.onMouseUp(e));
+        // Pointer Events: mouse, pen and touch (painting and jets)
+        this.canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        this.canvas.addEventListener('pointercancel', (e) => this.onPointerUp(e));
         this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
-        // Touch input (painting and jets on mobile)
-        this.canvas.addEventListener('touchstart', (e) => this.onTouchStart(e), { passive: false });
-        this.canvas.addEventListener('touchmove', (e) => this.onTouchMove(e), { passive: false });
-        this.canvas.addEventListener('touchend', (e) => this.onTouchEnd(e), { passive: false });
-        this.canvas.addEventListener('touchcancel', (e) => this.onTouchEnd(e), { passive: false });
         
         document.addEventListener('keydown', (e) => this.onKeyDown(e));
         document.addEventListener('keyup', (e) => this.onKeyUp(e));
@@ -94,13 +98,10 @@ export default class Controller {
         window.addEventListener('keydown', (e) => this.onKeyDown(e));
         window.addEventListener('keyup', (e) => this.onKeyUp(e));
 
-        // Jet control: repeat while held
-        this.didJetThisClick = false; // kept for initial state logging
-        this.lastJetTime = 0;
+        // Jet control: repeat while held, one stream per pointer
+        this.jets = new Map(); // pointer id → { x, y, vx, vy, lastTime, start }
         this.jetIntervalMs = 250; // safe sustained repeat cadence
-        this.injectEveryN = 1; // EVERY FRAME for continuous pooling (was 2, felt sluggish)
         this.maxJetDurationMs = 2000; // hard cap per click
-        this.jetHoldStart = 0;
         
         // Light color rotation (for volumetric rendering)
         this.lightHue = 0; // 0-360 degrees
@@ -120,11 +121,39 @@ export default class Controller {
         
         // Create material selector circles
         this.createMaterialSelectors();
+        this.materialEditor = new MaterialEditor(this);
 
         this.createMarangoniHUD();
 
         this.heatLampLevel = 2; // 0: OFF, 1: LOW, 2: MEDIUM, 3: HIGH (default MEDIUM for temp dynamics)
         this.applyHeatLampPreset(); // Apply default MEDIUM setting
+
+        // MIDI control surface. Opt-in (browsers prompt for MIDI access); once
+        // connected we reconnect automatically on later visits.
+        this.midi = new MidiController(this, {
+            onChange: () => { this.updateMenuStates(); this.updateMarangoniHUD(); }
+        });
+        if (this.midi.autoConnect) this.connectMidi();
+
+        // Audio-reactive modulation (mic or file → rotation, jets, wobble, light)
+        this.audio = new ModulationBus(this);
+
+        // Named looks: full parameter snapshots with crossfaded recall
+        this.looks = new LookManager(this);
+        this.renderLooksMenu();
+
+        // Input recording / replay of paint, jets, rotation and keys
+        this.replay = new InputReplay(this);
+
+        // Plate tilt: the tablet's orientation sensor (opt-in from the menu,
+        // iOS asks permission) and a gamepad's left stick once one connects
+        this.tilt = new TiltInput();
+        window.addEventListener('gamepadconnected', () => this.connectGamepadTilt());
+        window.addEventListener('gamepaddisconnected', () => this.disconnectGamepadTilt());
+
+        // Offline frame-accurate export (PNG sequence / WebM)
+        this.exporter = new FrameExporter(this);
+        this.exporter.onProgress = () => this.updateMenuStates();
     }
 
     setMaterial(index, autoPick = true) {
@@ -138,6 +167,7 @@ export default class Controller {
         
         const clamped = Math.max(0, Math.min(this.materials.length - 1, index));
         this.currentMaterialIndex = clamped;
+        if (this.replay) this.replay.record('material', { material: this.materials[clamped].name });
 
         const prevMaterial = this.materials[prevMaterialIndex];
         const newMaterial = this.materials[this.currentMaterialIndex];
@@ -167,11 +197,133 @@ export default class Controller {
         this.updateMaterialSelectorHighlight();
         
         // Clear console feedback about material and rendering type
-        const matName = this.materials[this.currentMaterialIndex].name;
-        const renderType = ['Mineral Oil', 'Syrup', 'Glycerine'].includes(matName) ? 'SPH Particles' : 
-                          matName === 'Alcohol' ? 'Grid Layer' : 'Water Layer';
-        console.log(`🧪 MATERIAL: ${matName} (${renderType})`);
-        console.log(`   Key 1=Ink, 2=Mineral Oil, 3=Alcohol, 4=Syrup, 5=Glycerine`);
+        console.log(`🧪 MATERIAL: ${newMaterial.name} (${MATERIAL_LAYERS[newMaterial.layer]})`);
+        const keys = ['1', '2', '3', '4', '5', '6', '7', '8', '9']
+            .map((k) => [k, this.materials[this.materialRegistry.indexForKey(k)]])
+            .filter(([, m]) => m);
+        console.log(`   ${keys.map(([k, m]) => `Key ${k}=${m.name}`).join(', ')}`);
+        if (this.materialEditor) this.materialEditor.refresh();
+    }
+
+    /** Currently selected material definition */
+    get currentMaterial() {
+        return this.materials[this.currentMaterialIndex];
+    }
+
+    /**
+     * Add (or replace by name) a material from a definition or JSON text and
+     * rebuild the selectors. See materials.js for the definition format.
+     * @returns {object[]} the registered materials
+     */
+    registerMaterial(definition) {
+        const registered = this.materialRegistry.registerJSON(definition);
+        for (const material of registered) {
+            const index = this.materialRegistry.indexOf(material.name);
+            this.materialColors[index] = { ...material.color };
+            console.log(`🧪 Registered material ${index + 1}: ${material.name} (${MATERIAL_LAYERS[material.layer]})`);
+        }
+        this.rebuildMaterialSelectors();
+        // Re-apply in case the active material was redefined
+        this.applyMaterialPreset();
+        return registered;
+    }
+
+    /**
+     * Replace a material's definition (by name) without rebuilding the UI.
+     * Used by the materials editor for live tuning.
+     */
+    updateMaterial(definition) {
+        const material = this.materialRegistry.register(definition);
+        if (material.name === this.currentMaterial.name) this.applyMaterialPreset();
+        return material;
+    }
+
+    /** Clone a material into an editable custom copy and select it */
+    cloneMaterial(name) {
+        const material = this.materialRegistry.clone(name);
+        this.materialColors.push({ ...material.color });
+        this.rebuildMaterialSelectors();
+        this.setMaterial(this.materialRegistry.indexOf(material.name), false);
+        console.log(`🧪 Cloned ${name} → ${material.name}`);
+        return material;
+    }
+
+    renameMaterial(name, newName) {
+        try {
+            this.materialRegistry.rename(name, newName);
+        } catch (err) {
+            console.warn('⚠️', err.message);
+        }
+        this.rebuildMaterialSelectors();
+    }
+
+    /**
+     * Delete a custom material (a customized built-in is reset instead)
+     */
+    removeMaterial(name) {
+        const index = this.materialRegistry.indexOf(name);
+        const wasBuiltin = this.materialRegistry.isBuiltin(name);
+        this.materialRegistry.remove(name);
+        if (wasBuiltin) {
+            this.materialColors[index] = { ...this.materials[index].color };
+        } else {
+            this.materialColors.splice(index, 1);
+            if (this.currentMaterialIndex > index) this.currentMaterialIndex--;
+            else if (this.currentMaterialIndex === index) this.currentMaterialIndex = 0;
+        }
+        this.rebuildMaterialSelectors();
+        this.setMaterial(this.currentMaterialIndex, false);
+        console.log(`🗑️ Material ${wasBuiltin ? 'reset' : 'removed'}: ${name}`);
+    }
+
+    /**
+     * Download all custom materials as a JSON file
+     */
+    exportMaterials() {
+        const json = this.materialRegistry.exportJSON();
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `liquid-light-materials-${Date.now()}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+        console.log(`💾 Exported ${this.materialRegistry.custom.size} custom materials`);
+    }
+
+    /**
+     * Pick a materials JSON file and register its definitions
+     */
+    importMaterials() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.addEventListener('change', async () => {
+            const file = input.files && input.files[0];
+            if (!file) return;
+            try {
+                this.registerMaterial(await file.text());
+            } catch (err) {
+                console.error('❌ Material import failed:', err.message || err);
+            }
+        });
+        input.click();
+    }
+
+    rebuildMaterialSelectors() {
+        (this.materialSelectorCircles || []).forEach((circle) => circle.remove());
+        this.createMaterialSelectors();
+        const row = this.menuPanel && this.menuPanel.querySelector('.materials-row');
+        if (row) row.innerHTML = this.materialOptionsHTML();
+        this.updateMaterialReadout();
+        this.updateMenuStates();
+        if (this.materialEditor) this.materialEditor.refresh();
+    }
+
+    materialOptionsHTML() {
+        return this.materials.map((m, i) => `
+                            <button class="material-option" data-material-index="${i}" style="padding:8px 10px; border-radius:6px; border:1px solid rgba(255,255,255,0.3); background: rgba(255,255,255,0.08); color:white; cursor:pointer; font-size:12px;">${escapeHTML(m.name)}</button>
+                        `).join('');
     }
 
     applyMaterialPreset() {
@@ -180,6 +332,9 @@ export default class Controller {
 
         // Start with the default preset to reset all parameters
         const preset = { ...this.defaultPreset, ...mat.preset };
+        if (this.simulation.oil) this.simulation.oil.applyMaterial(mat);
+        const plate = this.simulation.upperPlate;
+        if (plate && plate.oil) plate.oil.applyMaterial(mat);
 
         // Apply all parameters from the final preset
         for (const key in preset) {
@@ -363,11 +518,12 @@ export default class Controller {
         const arcRadius = wheelSize / 2 + 32; // Slightly beyond wheel edge
         const arcStartAngle = -50; // degrees (top-right)
         const arcEndAngle = 50; // degrees (bottom-right)
-        const angleStep = (arcEndAngle - arcStartAngle) / 4; // 4 gaps for 5 circles
+        const count = this.materials.length;
+        const angleStep = count > 1 ? (arcEndAngle - arcStartAngle) / (count - 1) : 0;
         
         this.materialSelectorCircles = [];
         
-        for (let i = 0; i < 5; i++) {
+        for (let i = 0; i < count; i++) {
             const circle = document.createElement('div');
             const materialNum = i + 1;
             
@@ -401,7 +557,7 @@ export default class Controller {
                 transition: border 0.2s, transform 0.1s;
             `;
             
-            circle.textContent = materialNum;
+            circle.textContent = this.materials[i].key || materialNum;
             circle.dataset.materialIndex = i;
             
             circle.addEventListener('click', () => {
@@ -534,11 +690,11 @@ export default class Controller {
             const AMBIENT_FLOW = 0.02;     // Very gentle ambient
             
             if (this.simulation.rotationBase < ROTATION_FORCE) {
-                this.simulation.setRotation(ROTATION_FORCE);
+                this.setRotation(ROTATION_FORCE);
                 this.rotationButton.style.background = 'rgba(0, 150, 255, 0.7)';
                 console.log('🔄 Rotation: BOOST (0.04)');
             } else {
-                this.simulation.setRotation(AMBIENT_FLOW);
+                this.setRotation(AMBIENT_FLOW);
                 this.rotationButton.style.background = 'rgba(0, 0, 0, 0.5)';
                 console.log('🔄 Rotation: AMBIENT (0.02)');
             }
@@ -615,6 +771,10 @@ export default class Controller {
                     <span>Heat Lamp</span>
                     <span class="heat-value" style="opacity: 0.7; font-size: 12px;">MEDIUM</span>
                 </div>
+                <div class="menu-action" data-action="heat-lamp-move" style="display: flex; justify-content: space-between; align-items: center; padding: 12px; margin-top: 8px; background: rgba(255,255,255,0.05); border-radius: 4px; cursor: pointer;">
+                    <span>Move Lamp (Shift+H)</span>
+                    <span class="lamp-position-value" style="opacity: 0.7; font-size: 12px;">0.50, 0.50</span>
+                </div>
             </div>
             
             <div style="margin-bottom: 30px;">
@@ -627,6 +787,10 @@ export default class Controller {
                     <span>Oil Layer</span>
                     <span class="toggle-state">OFF</span>
                 </div>
+                <div class="menu-toggle" data-key="rotatingFrame" data-obj="simulation">
+                    <span>Plate Frame (Coriolis)</span>
+                    <span class="toggle-state">OFF</span>
+                </div>
                 <div class="menu-action" data-action="viscosity" style="display: flex; justify-content: space-between; align-items: center; padding: 12px; margin-bottom: 8px; background: rgba(255,255,255,0.05); border-radius: 4px; cursor: pointer;">
                     <span>Viscosity (V)</span>
                     <span class="viscosity-value" style="opacity: 0.7; font-size: 12px;">0.02</span>
@@ -635,6 +799,38 @@ export default class Controller {
                     <span>Boundary (B)</span>
                     <span class="boundary-value" style="opacity: 0.7; font-size: 12px;">Viscous Drag</span>
                 </div>
+                <div class="menu-action" data-action="pressure-solver" style="display: flex; justify-content: space-between; align-items: center; padding: 12px; margin-bottom: 8px; background: rgba(255,255,255,0.05); border-radius: 4px; cursor: pointer;">
+                    <span>Pressure Solver</span>
+                    <span class="pressure-solver-value" style="opacity: 0.7; font-size: 12px;">Jacobi</span>
+                </div>
+                <div class="menu-action" data-action="oil-model" style="display: flex; justify-content: space-between; align-items: center; padding: 12px; margin-bottom: 8px; background: rgba(255,255,255,0.05); border-radius: 4px; cursor: pointer;">
+                    <span>Oil Model</span>
+                    <span class="oil-model-value" style="opacity: 0.7; font-size: 12px;">SPH Particles</span>
+                </div>
+                <div class="menu-action" data-action="sim-resolution" style="display: flex; justify-content: space-between; align-items: center; padding: 12px; margin-bottom: 8px; background: rgba(255,255,255,0.05); border-radius: 4px; cursor: pointer;">
+                    <span>Sim Resolution</span>
+                    <span class="sim-resolution-value" style="opacity: 0.7; font-size: 12px;">100%</span>
+                </div>
+                <div class="menu-action" data-action="upper-plate" style="display: flex; justify-content: space-between; align-items: center; padding: 12px; margin-bottom: 8px; background: rgba(255,255,255,0.05); border-radius: 4px; cursor: pointer;">
+                    <span>Clock Glass</span>
+                    <span class="upper-plate-value" style="opacity: 0.7; font-size: 12px;">OFF</span>
+                </div>
+                <div class="menu-action" data-action="paint-plate" style="display: flex; justify-content: space-between; align-items: center; padding: 12px; margin-bottom: 8px; background: rgba(255,255,255,0.05); border-radius: 4px; cursor: pointer;">
+                    <span>Paint Into</span>
+                    <span class="paint-plate-value" style="opacity: 0.7; font-size: 12px;">Dish</span>
+                </div>
+                <div class="menu-action" data-action="upper-spin" style="display: flex; justify-content: space-between; align-items: center; padding: 12px; margin-bottom: 8px; background: rgba(255,255,255,0.05); border-radius: 4px; cursor: pointer;">
+                    <span>Glass Spin (Shift+A/D)</span>
+                    <span class="upper-spin-value" style="opacity: 0.7; font-size: 12px;">Still</span>
+                </div>
+                <div class="menu-action" data-action="tilt-sensor" style="display: flex; justify-content: space-between; align-items: center; padding: 12px; margin-bottom: 8px; background: rgba(255,255,255,0.05); border-radius: 4px; cursor: pointer;">
+                    <span>Tilt Sensor</span>
+                    <span class="tilt-sensor-value" style="opacity: 0.7; font-size: 12px;">OFF</span>
+                </div>
+                <div class="menu-action" data-action="tilt-level" style="display: flex; justify-content: space-between; align-items: center; padding: 12px; margin-bottom: 8px; background: rgba(255,255,255,0.05); border-radius: 4px; cursor: pointer;">
+                    <span>Level Plate</span>
+                    <span class="tilt-value" style="opacity: 0.7; font-size: 12px;">0°</span>
+                </div>
                 <div style="margin-top: 10px; padding: 10px; background: rgba(255,255,255,0.04); border-radius: 6px;">
                     <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:8px;">
                         <span>Marangoni Strength</span>
@@ -662,12 +858,113 @@ export default class Controller {
                     </div>
                 </div>
                 <div style="margin-top: 14px;">
-                    <h3 style="font-size: 16px; opacity: 0.7; margin: 0 0 10px 0;">Materials (1‑5)</h3>
+                    <h3 style="font-size: 16px; opacity: 0.7; margin: 0 0 10px 0;">Materials (1‑9)</h3>
                     <div class="materials-row" style="display:flex; gap:8px; flex-wrap:wrap;">
-                        ${this.materials.map((m, i) => `
-                            <button class="material-option" data-material-index="${i}" style="padding:8px 10px; border-radius:6px; border:1px solid rgba(255,255,255,0.3); background: rgba(255,255,255,0.08); color:white; cursor:pointer; font-size:12px;">${m.name}</button>
-                        `).join('')}
+                        ${this.materialOptionsHTML()}
+                    </div>
+                    <button class="menu-action" data-action="material-editor" style="width: 100%; padding: 10px; margin-top: 8px; background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.3); color: white; border-radius: 4px; cursor: pointer;">
+                        Edit Materials…
+                    </button>
+                    <div class="menu-action" data-action="brush" style="display: flex; justify-content: space-between; align-items: center; padding: 12px; margin-top: 8px; background: rgba(255,255,255,0.05); border-radius: 4px; cursor: pointer;">
+                        <span>Brush</span>
+                        <span class="brush-value" style="opacity: 0.7; font-size: 12px;">Round</span>
+                    </div>
+                    <div class="menu-action" data-action="finger-tool" style="display: flex; justify-content: space-between; align-items: center; padding: 12px; margin-top: 8px; background: rgba(255,255,255,0.05); border-radius: 4px; cursor: pointer;">
+                        <span>Finger Tool</span>
+                        <span class="finger-tool-value" style="opacity: 0.7; font-size: 12px;">Paint</span>
+                    </div>
+                </div>
+            </div>
+            
+            <div style="margin-bottom: 30px;">
+                <h3 style="font-size: 16px; opacity: 0.7; margin: 0 0 10px 0;">Obstacles</h3>
+                <div class="menu-action" data-action="container" style="display: flex; justify-content: space-between; align-items: center; padding: 12px; margin-bottom: 8px; background: rgba(255,255,255,0.05); border-radius: 4px; cursor: pointer;">
+                    <span>Container</span>
+                    <span class="container-value" style="opacity: 0.7; font-size: 12px;">Circle</span>
+                </div>
+                <button class="menu-action" data-action="container-image" style="width: 100%; padding: 10px; margin-bottom: 8px; background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.3); color: white; border-radius: 4px; cursor: pointer;">Container Image…</button>
+                <div style="display: flex; gap: 8px; margin-bottom: 8px;">
+                    <button class="menu-action" data-action="obstacle-disc" style="flex: 1; padding: 10px; background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.3); color: white; border-radius: 4px; cursor: pointer;">Disc</button>
+                    <button class="menu-action" data-action="obstacle-bar" style="flex: 1; padding: 10px; background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.3); color: white; border-radius: 4px; cursor: pointer;">Bar</button>
+                    <button class="menu-action" data-action="obstacle-image" style="flex: 1; padding: 10px; background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.3); color: white; border-radius: 4px; cursor: pointer;">Image…</button>
+                </div>
+                <div class="menu-action" data-action="obstacle-slip" style="display: flex; justify-content: space-between; align-items: center; padding: 12px; margin-bottom: 8px; background: rgba(255,255,255,0.05); border-radius: 4px; cursor: pointer;">
+                    <span>Walls</span>
+                    <span class="obstacle-slip-value" style="opacity: 0.7; font-size: 12px;">No-slip</span>
+                </div>
+                <div class="menu-action" data-action="obstacle-undo" style="display: flex; justify-content: space-between; align-items: center; padding: 12px; margin-bottom: 8px; background: rgba(255,255,255,0.05); border-radius: 4px; cursor: pointer;">
+                    <span>Undo Obstacle</span>
+                    <span class="obstacle-status" style="opacity: 0.7; font-size: 12px;">NONE</span>
+                </div>
+                <div class="menu-action" data-action="stir-tool" style="display: flex; justify-content: space-between; align-items: center; padding: 12px; margin-bottom: 8px; background: rgba(255,255,255,0.05); border-radius: 4px; cursor: pointer;">
+                    <span>Stirring Rod (R)</span>
+                    <span class="stir-tool-value" style="opacity: 0.7; font-size: 12px;">OFF</span>
+                </div>
+                <button class="menu-action" data-action="obstacle-clear" style="width: 100%; padding: 8px; background: rgba(255,255,255,0.05); border: 1px solid rgba(255,255,255,0.2); color: white; border-radius: 4px; cursor: pointer; font-size: 12px;">
+                    Clear Obstacles
+                </button>
+            </div>
+
+            <div style="margin-bottom: 30px;">
+                <h3 style="font-size: 16px; opacity: 0.7; margin: 0 0 10px 0;">Looks (Shift+1‑9)</h3>
+                <div class="looks-list"></div>
+                <button class="menu-action" data-action="look-save" style="width: 100%; padding: 12px; margin-bottom: 8px; background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.3); color: white; border-radius: 4px; cursor: pointer;">
+                    Save Look…
+                </button>
+                <div class="menu-action" data-action="look-fade" style="display: flex; justify-content: space-between; align-items: center; padding: 12px; background: rgba(255,255,255,0.05); border-radius: 4px; cursor: pointer;">
+                    <span>Crossfade</span>
+                    <span class="look-fade-value" style="opacity: 0.7; font-size: 12px;">3s</span>
+                </div>
+            </div>
+
+            <div style="margin-bottom: 30px;">
+                <h3 style="font-size: 16px; opacity: 0.7; margin: 0 0 10px 0;">Replay</h3>
+                <div class="menu-action" data-action="replay-record" style="display: flex; justify-content: space-between; align-items: center; padding: 12px; margin-bottom: 8px; background: rgba(255,255,255,0.05); border-radius: 4px; cursor: pointer;">
+                    <span class="replay-record-label">Start Recording</span>
+                    <span class="replay-status" style="opacity: 0.7; font-size: 12px;">IDLE</span>
+                </div>
+                <button class="menu-action replay-play" data-action="replay-play" style="width: 100%; padding: 12px; margin-bottom: 8px; background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.3); color: white; border-radius: 4px; cursor: pointer;">
+                    Play Replay
+                </button>
+                <button class="menu-action" data-action="replay-save" style="width: 100%; padding: 12px; margin-bottom: 8px; background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.3); color: white; border-radius: 4px; cursor: pointer;">
+                    Save Replay…
+                </button>
+                <button class="menu-action" data-action="replay-load" style="width: 100%; padding: 12px; margin-bottom: 8px; background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.3); color: white; border-radius: 4px; cursor: pointer;">
+                    Load Replay…
+                </button>
+                <div class="menu-action" data-action="export-render" style="display: flex; justify-content: space-between; align-items: center; padding: 12px; background: rgba(255,255,255,0.05); border-radius: 4px; cursor: pointer;">
+                    <span>Render Offline…</span>
+                    <span class="export-status" style="opacity: 0.7; font-size: 12px;">PNG / WebM</span>
+                </div>
+            </div>
+
+            <div style="margin-bottom: 30px;">
+                <h3 style="font-size: 16px; opacity: 0.7; margin: 0 0 10px 0;">MIDI</h3>
+                <button class="menu-action midi-connect" data-action="midi-connect" style="width: 100%; padding: 12px; margin-bottom: 8px; background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.3); color: white; border-radius: 4px; cursor: pointer;">
+                    Connect MIDI
+                </button>
+                ${Object.entries(MIDI_TARGETS).map(([key, target]) => `
+                    <div class="menu-action" data-action="midi-learn" data-midi-target="${key}" style="display: flex; justify-content: space-between; align-items: center; padding: 8px 12px; margin-bottom: 4px; background: rgba(255,255,255,0.05); border-radius: 4px; cursor: pointer;">
+                        <span>${target.label}</span>
+                        <span class="midi-binding" style="opacity: 0.7; font-size: 12px;">Learn</span>
                     </div>
+                `).join('')}
+                <button class="menu-action" data-action="midi-clear" style="width: 100%; padding: 8px; margin-top: 4px; background: rgba(255,255,255,0.05); border: 1px solid rgba(255,255,255,0.2); color: white; border-radius: 4px; cursor: pointer; font-size: 12px;">
+                    Clear MIDI Mappings
+                </button>
+            </div>
+            
+            <div style="margin-bottom: 30px;">
+                <h3 style="font-size: 16px; opacity: 0.7; margin: 0 0 10px 0;">Audio</h3>
+                <button class="menu-action" data-action="audio-mic" style="width: 100%; padding: 12px; margin-bottom: 8px; background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.3); color: white; border-radius: 4px; cursor: pointer;">
+                    React to Microphone
+                </button>
+                <button class="menu-action" data-action="audio-file" style="width: 100%; padding: 12px; margin-bottom: 8px; background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.3); color: white; border-radius: 4px; cursor: pointer;">
+                    React to Audio File…
+                </button>
+                <div class="menu-action" data-action="audio-stop" style="display: flex; justify-content: space-between; align-items: center; padding: 12px; background: rgba(255,255,255,0.05); border-radius: 4px; cursor: pointer;">
+                    <span>Stop Audio</span>
+                    <span class="audio-status" style="opacity: 0.7; font-size: 12px;">OFF</span>
                 </div>
             </div>
             
@@ -676,6 +973,12 @@ export default class Controller {
                 <button class="menu-action" data-action="clear" style="width: 100%; padding: 12px; margin-bottom: 8px; background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.3); color: white; border-radius: 4px; cursor: pointer;">
                     Clear Canvas (X)
                 </button>
+                <button class="menu-action" data-action="save-scene" style="width: 100%; padding: 12px; margin-bottom: 8px; background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.3); color: white; border-radius: 4px; cursor: pointer;">
+                    Save Scene (Ctrl+Shift+S)
+                </button>
+                <button class="menu-action" data-action="load-scene" style="width: 100%; padding: 12px; margin-bottom: 8px; background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.3); color: white; border-radius: 4px; cursor: pointer;">
+                    Load Scene (Ctrl+Shift+O)
+                </button>
                 <button class="menu-action" data-action="quality" style="width: 100%; padding: 12px; background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.3); color: white; border-radius: 4px; cursor: pointer;">
                     Run Quality Tests (Ctrl+Q)
                 </button>
@@ -752,8 +1055,53 @@ export default class Controller {
             const action = e.target.closest('.menu-action');
             if (action) {
                 if (action.dataset.action === 'clear') {
-                    this.simulation.clearColor();
-                    console.log('🧹 Canvas cleared');
+                    this.clearPlate();
+                } else if (action.dataset.action === 'save-scene') {
+                    this.saveScene();
+                } else if (action.dataset.action === 'load-scene') {
+                    this.loadScene();
+                } else if (action.dataset.action === 'look-recall') {
+                    this.recallLook(action.dataset.lookName);
+                } else if (action.dataset.action === 'look-delete') {
+                    this.looks.remove(action.dataset.lookName);
+                    this.renderLooksMenu();
+                } else if (action.dataset.action === 'look-save') {
+                    this.saveLook();
+                } else if (action.dataset.action === 'look-fade') {
+                    this.cycleLookFade();
+                } else if (action.dataset.action === 'replay-record') {
+                    this.toggleReplayRecording();
+                } else if (action.dataset.action === 'replay-play') {
+                    this.toggleReplayPlayback();
+                } else if (action.dataset.action === 'replay-save') {
+                    this.saveReplay();
+                } else if (action.dataset.action === 'replay-load') {
+                    this.loadReplay();
+                } else if (action.dataset.action === 'export-render') {
+                    this.startExport();
+                } else if (action.dataset.action === 'material-editor') {
+                    this.materialEditor.toggle();
+                } else if (action.dataset.action === 'brush') {
+                    this.brush.cycleType();
+                    this.updateMenuStates();
+                } else if (action.dataset.action === 'finger-tool') {
+                    this.fingerTool = this.fingerTool === 'jet' ? 'paint' : 'jet';
+                    this.updateMenuStates();
+                } else if (action.dataset.action === 'midi-connect') {
+                    this.connectMidi();
+                } else if (action.dataset.action === 'midi-learn') {
+                    this.learnMidi(action.dataset.midiTarget);
+                } else if (action.dataset.action === 'midi-clear') {
+                    this.midi.clearMappings();
+                    this.updateMenuStates();
+                    console.log('🎹 MIDI mappings cleared');
+                } else if (action.dataset.action === 'audio-mic') {
+                    this.startAudio('mic');
+                } else if (action.dataset.action === 'audio-file') {
+                    this.startAudio('file');
+                } else if (action.dataset.action === 'audio-stop') {
+                    this.audio.stop();
+                    this.updateMenuStates();
                 } else if (action.dataset.action === 'quality') {
                     this.qualityTester.runTests();
                 } else if (action.dataset.action === 'viscosity') {
@@ -762,6 +1110,50 @@ export default class Controller {
                 } else if (action.dataset.action === 'boundary') {
                     this.cycleBoundaryMode();
                     this.updateMenuStates();
+                } else if (action.dataset.action === 'pressure-solver') {
+                    this.togglePressureSolver();
+                    this.updateMenuStates();
+                } else if (action.dataset.action === 'oil-model') {
+                    this.toggleOilModel().then(() => this.updateMenuStates());
+                } else if (action.dataset.action === 'sim-resolution') {
+                    this.cycleSimResolution();
+                    this.updateMenuStates();
+                } else if (action.dataset.action === 'upper-plate') {
+                    this.toggleUpperPlate().then(() => this.updateMenuStates());
+                } else if (action.dataset.action === 'paint-plate') {
+                    this.paintPlate = this.paintPlate === 'upper' ? 'lower' : 'upper';
+                    this.updateMenuStates();
+                } else if (action.dataset.action === 'upper-spin') {
+                    this.cycleUpperSpin();
+                    this.updateMenuStates();
+                } else if (action.dataset.action === 'tilt-sensor') {
+                    this.toggleTiltSensor().then(() => this.updateMenuStates());
+                } else if (action.dataset.action === 'tilt-level') {
+                    this.levelPlate();
+                    this.updateMenuStates();
+                } else if (action.dataset.action === 'container') {
+                    this.cycleContainer();
+                    this.updateMenuStates();
+                } else if (action.dataset.action === 'container-image') {
+                    this.loadContainerImage();
+                } else if (action.dataset.action === 'obstacle-disc') {
+                    this.armObstacle({ type: 'disc' });
+                } else if (action.dataset.action === 'obstacle-bar') {
+                    this.armObstacle({ type: 'bar' });
+                } else if (action.dataset.action === 'obstacle-image') {
+                    this.loadObstacleImage();
+                } else if (action.dataset.action === 'obstacle-slip') {
+                    this.simulation.obstacleSlipMode = this.simulation.obstacleSlipMode === 1 ? 0 : 1;
+                    this.updateMenuStates();
+                } else if (action.dataset.action === 'obstacle-undo') {
+                    this.simulation.undoObstacle();
+                    this.updateMenuStates();
+                } else if (action.dataset.action === 'stir-tool') {
+                    this.toggleStirTool();
+                } else if (action.dataset.action === 'obstacle-clear') {
+                    this.pendingObstacle = null;
+                    this.simulation.clearObstacles();
+                    this.updateMenuStates();
                 } else if (action.dataset.action === 'absorption') {
                     this.cycleAbsorption();
                     this.updateMenuStates();
@@ -789,6 +1181,8 @@ export default class Controller {
                 } else if (action.dataset.action === 'heat') {
                     this.cycleHeatLamp();
                     this.updateMenuStates();
+                } else if (action.dataset.action === 'heat-lamp-move') {
+                    this.armHeatLamp();
                 }
             }
 
@@ -828,6 +1222,78 @@ export default class Controller {
             boundaryValue.textContent = modes[this.simulation.boundaryMode];
         }
 
+        // Pressure solver, with the last residual readback if there is one
+        const pressureSolverValue = this.menuPanel.querySelector('.pressure-solver-value');
+        if (pressureSolverValue) {
+            const solver = this.simulation.pressureSolverMode === 1 ? 'Multigrid' : 'Jacobi';
+            const residual = this.simulation.pressureResidual;
+            pressureSolverValue.textContent = residual ? `${solver} · r ${residual.relative.toFixed(3)}` : solver;
+        }
+
+        const oilModelValue = this.menuPanel.querySelector('.oil-model-value');
+        if (oilModelValue) {
+            oilModelValue.textContent = this.simulation.oilModel === 'phase' ? 'Phase Field' : 'SPH Particles';
+        }
+
+        // Clock glass: in or out, where the brush paints and how the glass turns
+        const plate = this.simulation.upperPlate;
+        const upperPlateValue = this.menuPanel.querySelector('.upper-plate-value');
+        if (upperPlateValue) upperPlateValue.textContent = plate ? 'ON' : 'OFF';
+        const brushValue = this.menuPanel.querySelector('.brush-value');
+        if (brushValue) brushValue.textContent = `${this.brush.brush.label} ×${this.brush.size.toFixed(2)}`;
+        const fingerToolValue = this.menuPanel.querySelector('.finger-tool-value');
+        if (fingerToolValue) fingerToolValue.textContent = this.fingerTool === 'jet' ? 'Jet' : 'Paint';
+        const paintPlateValue = this.menuPanel.querySelector('.paint-plate-value');
+        if (paintPlateValue) paintPlateValue.textContent = this.paintTarget() === plate ? 'Glass' : 'Dish';
+        const upperSpinValue = this.menuPanel.querySelector('.upper-spin-value');
+        if (upperSpinValue) {
+            const base = plate ? plate.rotationBase : 0;
+            upperSpinValue.textContent = base > 0 ? 'Counter-clockwise' : (base < 0 ? 'Clockwise' : 'Still');
+        }
+
+        // Tilt: sensor on or off and how far the plate leans
+        if (this.tilt) {
+            const tiltSensorValue = this.menuPanel.querySelector('.tilt-sensor-value');
+            if (tiltSensorValue) tiltSensorValue.textContent = this.tilt.has('orientation') ? 'ON' : 'OFF';
+            const tiltValue = this.menuPanel.querySelector('.tilt-value');
+            if (tiltValue) {
+                const slope = Math.hypot(this.simulation.tiltX, this.simulation.tiltY) * TILT_MAX_DEGREES;
+                tiltValue.textContent = `${Math.round(slope)}°${this.tilt.has('gamepad') ? ' (gamepad)' : ''}`;
+            }
+        }
+
+        const containerValue = this.menuPanel.querySelector('.container-value');
+        if (containerValue) {
+            const labels = { circle: 'Circle', ellipse: 'Ellipse', roundedRect: 'Rounded Rect', mask: 'Image' };
+            const preset = this.containerPresetName();
+            containerValue.textContent = preset === 'square' ? 'Square' : labels[this.simulation.container.shape];
+        }
+
+        // Simulation grid as a fraction of the canvas, with the cell count
+        const simResolutionValue = this.menuPanel.querySelector('.sim-resolution-value');
+        if (simResolutionValue) {
+            const sim = this.simulation;
+            const percent = sim.simFixedSize > 0 ? 'Fixed' : `${Math.round(sim.simResolutionScale * 100)}%`;
+            simResolutionValue.textContent = `${percent} · ${sim.simWidth}×${sim.simHeight}`;
+        }
+
+        // Obstacles: wall condition, then a placement prompt or the count
+        const obstacleSlipValue = this.menuPanel.querySelector('.obstacle-slip-value');
+        if (obstacleSlipValue) {
+            obstacleSlipValue.textContent = this.simulation.obstacleSlipMode === 1 ? 'Free-slip' : 'No-slip';
+        }
+        const obstacleStatus = this.menuPanel.querySelector('.obstacle-status');
+        if (obstacleStatus) {
+            const count = this.simulation.obstacles.shapes.length;
+            obstacleStatus.textContent = this.pendingObstacle
+                ? `CLICK TO PLACE ${this.pendingObstacle.type.toUpperCase()}`
+                : (count > 0 ? `${count} PLACED` : 'NONE');
+        }
+        const stirToolValue = this.menuPanel.querySelector('.stir-tool-value');
+        if (stirToolValue) {
+            stirToolValue.textContent = this.stirTool ? 'ON' : 'OFF';
+        }
+
         // Update absorption display
         const absorptionValue = this.menuPanel.querySelector('.absorption-value');
         if (absorptionValue) {
@@ -845,6 +1311,11 @@ export default class Controller {
             const levels = ['OFF', 'LOW', 'MEDIUM', 'HIGH'];
             heatValue.textContent = levels[this.heatLampLevel];
         }
+        const lampValue = this.menuPanel.querySelector('.lamp-position-value');
+        if (lampValue) {
+            const sim = this.simulation;
+            lampValue.textContent = this.pendingLamp ? 'CLICK THE PLATE' : `${sim.heatLampX.toFixed(2)}, ${sim.heatLampY.toFixed(2)}`;
+        }
 
         // Update Marangoni values
         const sEl = this.menuPanel.querySelector('.marangoni-strength-value');
@@ -854,6 +1325,50 @@ export default class Controller {
         const bEl = this.menuPanel.querySelector('.marangoni-band-value');
         if (bEl) bEl.textContent = this.simulation.marangoniEdgeBand.toFixed(2);
 
+        // MIDI bindings
+        if (this.midi) {
+            const connectBtn = this.menuPanel.querySelector('.midi-connect');
+            if (connectBtn) connectBtn.textContent = this.midi.connected ? 'MIDI Connected' : 'Connect MIDI';
+            this.menuPanel.querySelectorAll('[data-midi-target]').forEach((row) => {
+                const target = row.dataset.midiTarget;
+                const binding = row.querySelector('.midi-binding');
+                if (this.midi.learnTarget === target) {
+                    binding.textContent = 'Move a control…';
+                } else {
+                    const mapped = this.midi.mappingsFor(target);
+                    binding.textContent = mapped.length ? mapped.map((m) => describeMidiSource(m.source)).join(', ') : 'Learn';
+                }
+            });
+        }
+
+        const audioStatus = this.menuPanel.querySelector('.audio-status');
+        if (audioStatus) {
+            const bpm = this.audio?.features?.bpm;
+            audioStatus.textContent = this.audio?.active ? (bpm ? `${bpm.toFixed(0)} BPM` : 'ON') : 'OFF';
+        }
+
+        if (this.replay) {
+            const recordLabel = this.menuPanel.querySelector('.replay-record-label');
+            if (recordLabel) recordLabel.textContent = this.replay.recording ? 'Stop Recording' : 'Start Recording';
+            const replayStatus = this.menuPanel.querySelector('.replay-status');
+            if (replayStatus) {
+                replayStatus.textContent = this.replay.recording ? 'REC' : this.replay.playing ? 'PLAYING'
+                    : this.replay.replay ? `${this.replay.replay.events.length} events` : 'IDLE';
+            }
+            const playButton = this.menuPanel.querySelector('.replay-play');
+            if (playButton) playButton.textContent = this.replay.playing ? 'Stop Playback' : 'Play Replay';
+        }
+
+        const exportStatus = this.menuPanel.querySelector('.export-status');
+        if (exportStatus && this.exporter) {
+            exportStatus.textContent = this.exporter.active ? `${Math.round(this.exporter.progress * 100)}% (click to cancel)` : 'PNG / WebM';
+        }
+
+        const lookFade = this.menuPanel.querySelector('.look-fade-value');
+        if (lookFade && this.looks) {
+            lookFade.textContent = this.looks.crossfadeSeconds > 0 ? `${this.looks.crossfadeSeconds}s` : 'Cut';
+        }
+
         // Highlight selected material
         const matButtons = this.menuPanel.querySelectorAll('.material-option');
         matButtons.forEach((btn) => {
@@ -878,6 +1393,95 @@ export default class Controller {
         console.log(`🔲 Boundary: ${modes[this.simulation.boundaryMode]} (mode ${this.simulation.boundaryMode})`);
     }
 
+    /**
+     * Switch the pressure projection between Jacobi and multigrid. Residual
+     * readback turns on with it (every 60 steps) unless already set, so the
+     * two can be compared in the console and the menu.
+     */
+    togglePressureSolver() {
+        const sim = this.simulation;
+        sim.pressureSolverMode = sim.pressureSolverMode === 1 ? 0 : 1;
+        if (!(sim.residualEveryN > 0)) sim.residualEveryN = 60;
+        sim.pressureResidual = null;
+        const solver = sim.pressureSolverMode === 1 ? `multigrid (${sim.multigridCycles} V-cycles)` : `Jacobi (${sim.pressureIterations} iterations)`;
+        console.log(`🧮 Pressure solver: ${solver}`);
+    }
+
+    /**
+     * Swap the oil between SPH particles and the Cahn–Hilliard phase field.
+     * The oil in the dish is dropped; the current material is applied to the
+     * new layer.
+     */
+    async toggleOilModel() {
+        const sim = this.simulation;
+        await sim.setOilModel(sim.oilModel === 'phase' ? 'sph' : 'phase');
+        const mat = this.materials[this.currentMaterialIndex];
+        if (mat && sim.oil) sim.oil.applyMaterial(mat);
+    }
+
+    /**
+     * Press the clock glass into the dish or lift it out. The glass gets the
+     * current material; lifting it drops whatever was painted on it.
+     */
+    toggleUpperPlate() {
+        return this.setUpperPlate(!this.simulation.upperPlate);
+    }
+
+    /** Press the clock glass in (true) or lift it out (false); replays call this too */
+    async setUpperPlate(pressed) {
+        const sim = this.simulation;
+        if (pressed && !sim.upperPlate) {
+            const plate = await sim.enableUpperPlate();
+            const mat = this.materials[this.currentMaterialIndex];
+            if (mat && plate.oil) plate.oil.applyMaterial(mat);
+        } else if (!pressed && sim.upperPlate) {
+            sim.disableUpperPlate();
+        }
+        if (this.replay) this.replay.record('upperPlate', { value: sim.upperPlate ? 1 : 0 });
+    }
+
+    /** The simulation the brush paints into: the clock glass or the dish */
+    paintTarget() {
+        const plate = this.simulation.upperPlate;
+        return this.paintPlate === 'upper' && plate ? plate : this.simulation;
+    }
+
+    /** Step the clock glass's own rotation: still, counter-clockwise, clockwise */
+    cycleUpperSpin() {
+        const plate = this.simulation.upperPlate;
+        if (!plate) return;
+        const SPIN = 0.04;  // the rotation button's boost
+        const next = plate.rotationBase === 0 ? SPIN : (plate.rotationBase > 0 ? -SPIN : 0);
+        this.setUpperRotation(next);
+    }
+
+    /** Name of the CONTAINER_PRESETS entry the dish matches, or null */
+    containerPresetName() {
+        const geometry = this.simulation.container.geometry;
+        return Object.keys(CONTAINER_PRESETS).find((name) => {
+            const preset = CONTAINER_PRESETS[name];
+            return Object.keys(preset).every((key) => preset[key] === geometry[key]);
+        }) || null;
+    }
+
+    /** Step the dish through the container presets (an image dish goes back to the circle) */
+    cycleContainer() {
+        const names = Object.keys(CONTAINER_PRESETS);
+        const next = (names.indexOf(this.containerPresetName()) + 1) % names.length;
+        this.simulation.setContainer(names[next]);
+    }
+
+    /**
+     * Step the simulation grid through 100/75/50/35% of the canvas. Fields
+     * are reallocated (cleared); the renderer upsamples them back to full size.
+     */
+    cycleSimResolution() {
+        const scales = [1.0, 0.75, 0.5, 0.35];
+        const currentIndex = scales.findIndex(s => Math.abs(s - this.simulation.simResolutionScale) < 0.01);
+        const nextIndex = (currentIndex + 1) % scales.length;
+        this.simulation.setSimResolution(scales[nextIndex]);
+    }
+
     cycleAbsorption() {
         const coefficients = [0.5, 1.0, 2.0, 4.0, 8.0];
         const currentIndex = coefficients.findIndex(c => Math.abs(c - this.renderer.absorptionCoefficient) < 0.1);
@@ -909,9 +1513,32 @@ export default class Controller {
 
         this.renderer.brightnessGain = brightness[level];
         this.simulation.agitation = agitation[level];
+        // The heat itself: the hotspot warming the water and the oil under it
+        this.simulation.heatLampPower = LAMP_POWER[level];
     }
     
     update() {
+        // Replayed input first: it stands in for input that arrived before this frame
+        if (this.replay && this.replay.playing && !this.replay.update()) {
+            this.updateMenuStates();
+        }
+
+        // Tilt sensors and gamepad (a replay carries its own tilt)
+        if (this.tilt.active && !(this.replay && this.replay.playing)) {
+            this.updateTilt();
+        }
+
+        // Look crossfade, then audio modulation, so audio rides on top of the look
+        if (this.looks && this.looks.fading && !this.looks.update()) {
+            this.updateMenuStates();
+            this.updateMarangoniHUD();
+        }
+
+        // Audio modulation before the light update so speed / rotation changes apply this frame
+        if (this.audio && this.audio.active) {
+            this.audio.update();
+        }
+
         // Update light rotation
         if (this.lightRotationSpeed > 0) {
             this.lightHue = (this.lightHue + this.lightRotationSpeed) % 360;
@@ -942,157 +1569,342 @@ export default class Controller {
             this.updateLightIndicator(0, 0, 0);
         }
         
-        // Handle continuous injection (throttled)
-        if (this.isMouseDown && !this.isRightMouseDown) {
-            const x = this.currentMouseX;
-            const y = this.currentMouseY;
-            
-            if (!this._injectionFrameCount) {
-                this._injectionFrameCount = 0;
-            }
-            this._injectionFrameCount++;
-            
-            // Log every 60 frames
-            if (this._injectionFrameCount % 60 === 1) {
-                console.log(`🎨 Injecting... ${this._injectionFrameCount} frames at`, x.toFixed(2), y.toFixed(2));
-            }
-            
-            // Continuous source injection (source term in advection-diffusion equation)
-            // Throttle to every N frames to avoid overwhelming flow
-            if ((this._injectionFrameCount % this.injectEveryN) === 0) {
-                const isInk = this.currentMaterialIndex === 0;
-                if (isInk) {
-                    // Paint ink into water layer
-                    this.simulation.splat(x, y, this.currentColor, 0.08);
-                } else if (this.simulation.useOil && this.simulation.oil) {
-                    // Paint oil only (no additional ink), using current color as oil tint
-                    const oilRadius = 0.06;
-                    this.simulation.oil.splatColor(x, y, this.currentColor, oilRadius);
-                }
-            }
-        } else {
-            if (this._injectionFrameCount) {
-                console.log(`✅ Injection complete - ${this._injectionFrameCount} total frames`);
-                this._injectionFrameCount = 0;
-            }
+        // Touch gestures first: fingers that waited out the gesture window
+        // start their streams, and a twist turns the plate
+        this.gestures.update(1 / STEP_RATE);
+
+        // Brush strokes: the dabs laid since the last step; a stroke held
+        // still keeps pouring (continuous source injection)
+        for (const dab of this.brush.update(1 / STEP_RATE)) {
+            this.paintDab(dab);
         }
         
-        // Handle jets (right-click): repeat while held
-        if (this.isRightMouseDown) {
-            const now = performance.now();
-            // Stop after max duration (require re-click to continue)
-            if (now - this.jetHoldStart >= this.maxJetDurationMs) {
-                this.isRightMouseDown = false;
-                this.didJetThisClick = false;
+        // Jets (right button, or fingers with the Jet finger tool): each
+        // repeats while held
+        const now = performance.now();
+        for (const [id, jet] of this.jets) {
+            // Stop after max duration (require re-press to continue)
+            if (now - jet.start >= this.maxJetDurationMs) {
+                this.jets.delete(id);
                 console.log('🧨 Jet: auto-stop (duration cap)');
-                return;
+                continue;
             }
-            if (now - this.lastJetTime < this.jetIntervalMs) {
-                return; // wait for next interval
+            if (now - jet.lastTime < this.jetIntervalMs) {
+                continue; // wait for next interval
             }
-            const x = this.currentMouseX;
-            const y = this.currentMouseY;
-            
-            // Curl-preserving ring burst (tangential) so projection doesn't cancel it
-            const directions = 12;
-            const ringRadius = 0.025; // tighter ring
             const burstStrength = 60.0; // gentler tangential speed for long holds
-            const splatRadius = 0.05; // smaller influence per spoke
             
-            for (let i = 0; i < directions; i++) {
-                const angle = (i / directions) * Math.PI * 2;
-                const dirX = Math.cos(angle);
-                const dirY = Math.sin(angle);
-                // Position around a small ring
-                const px = x + dirX * ringRadius;
-                const py = y + dirY * ringRadius;
-                // Tangential velocity (perpendicular to radius vector)
-                const vx = -dirY * burstStrength;
-                const vy =  dirX * burstStrength;
-                this.simulation.splatVelocity(px, py, vx, vy, splatRadius);
-            }
-            this.didJetThisClick = true;
-            this.lastJetTime = now;
+            this.fireJetRing(jet.x, jet.y, burstStrength);
+            jet.lastTime = now;
             
             // Add wobble to lighting from jet impact
             if (this.simulation.addWobble) {
                 const wobbleStrength = burstStrength * 50;
-                this.simulation.addWobble(this.mouseVelocityX * wobbleStrength, 
-                                         this.mouseVelocityY * wobbleStrength);
+                this.simulation.addWobble(jet.vx * wobbleStrength, jet.vy * wobbleStrength);
             }
             
-            console.log(`🌊 Jet ring @(${x.toFixed(3)}, ${y.toFixed(3)})`, {strength: burstStrength, ringRadius, splatRadius, directions});
+            console.log(`🌊 Jet ring @(${jet.x.toFixed(3)}, ${jet.y.toFixed(3)})`, {strength: burstStrength});
         }
     }
 
-    onMouseDown(e) {
-        const rect = this.canvas.getBoundingClientRect();
-        const x = (e.clientX - rect.left) / rect.width;
-        const y = 1.0 - (e.clientY - rect.top) / rect.height;
-        
-        // Initialize position
-        this.currentMouseX = x;
-        this.currentMouseY = y;
-        this.lastMouseX = x;
-        this.lastMouseY = y;
-        
-        if (e.button === 0) {
-            this.isMouseDown = true;
-            console.log('Paint: start');
-        } else if (e.button === 2) {
-            // Right click - jet impulse tool
-            this.isRightMouseDown = true;
-            this.didJetThisClick = false;
-            // allow immediate first burst
-            this.lastJetTime = 0;
-            this.jetHoldStart = performance.now();
+    /**
+     * Curl-preserving ring burst (tangential) so projection doesn't cancel it.
+     * Used by jets (right button, Jet finger tool) and the audio modulation bus.
+     */
+    fireJetRing(x, y, burstStrength = 60.0) {
+        if (this.replay) this.replay.record('jet', { x, y, strength: burstStrength });
+        const directions = 12;
+        const ringRadius = 0.025; // tighter ring
+        const splatRadius = 0.05; // smaller influence per spoke
+        
+        for (let i = 0; i < directions; i++) {
+            const angle = (i / directions) * Math.PI * 2;
+            const dirX = Math.cos(angle);
+            const dirY = Math.sin(angle);
+            // Position around a small ring
+            const px = x + dirX * ringRadius;
+            const py = y + dirY * ringRadius;
+            // Tangential velocity (perpendicular to radius vector)
+            const vx = -dirY * burstStrength;
+            const vy =  dirX * burstStrength;
+            this.simulation.splatVelocity(px, py, vx, vy, splatRadius);
+        }
+    }
+
+    /** Rotation from keys and the audio bus (recorded for replays) */
+    setRotationDelta(amount) {
+        if (this.replay) this.replay.record('rotationDelta', { value: amount });
+        this.simulation.setRotationDelta(amount);
+    }
+
+    /** Baseline rotation from the rotation button (recorded for replays) */
+    setRotation(amount) {
+        if (this.replay) this.replay.record('rotation', { value: amount });
+        this.simulation.setRotation(amount);
+    }
+
+    /** Plate tilt, downhill in uv (recorded for replays) */
+    setTilt(x, y) {
+        if (this.replay) this.replay.record('tilt', { x, y });
+        this.simulation.setTilt(x, y);
+    }
+
+    /** Tilt the plate as the tilt sources read this step */
+    updateTilt() {
+        const tilt = this.tilt.read();
+        if (!tilt) return;
+        // Sensor jitter below a thousandth of a full tilt isn't worth a replay event per step
+        this.setTilt(Math.round(tilt.x * 1000) / 1000, Math.round(tilt.y * 1000) / 1000);
+    }
+
+    /** Switch the tablet's orientation sensor on (its pose then counts as level) or off */
+    async toggleTiltSensor() {
+        if (this.tilt.has('orientation')) {
+            this.tilt.removeSource('orientation');
+            if (!this.tilt.active) this.setTilt(0, 0);
+            return;
+        }
+        try {
+            this.tilt.addSource('orientation', await createDeviceOrientationSource());
+        } catch (err) {
+            console.warn('⚠️ Tilt sensor unavailable:', err.message || err);
+        }
+    }
+
+    connectGamepadTilt() {
+        if (this.tilt.has('gamepad')) return;
+        try {
+            this.tilt.addSource('gamepad', createGamepadSource());
+        } catch (err) {
+            console.warn('⚠️ Gamepad tilt unavailable:', err.message || err);
+        }
+        this.updateMenuStates();
+    }
+
+    disconnectGamepadTilt() {
+        const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+        if (pads.some((p) => p && p.connected)) return;
+        this.tilt.removeSource('gamepad');
+        if (!this.tilt.active) this.setTilt(0, 0);
+        this.updateMenuStates();
+    }
+
+    /** Level the plate: the sensors' current pose becomes flat */
+    levelPlate() {
+        this.tilt.calibrate();
+        this.setTilt(0, 0);
+    }
+
+    /** Clock glass rotation from Shift+A / Shift+D (recorded for replays) */
+    setUpperRotationDelta(amount) {
+        const plate = this.simulation.upperPlate;
+        if (!plate) return;
+        if (this.replay) this.replay.record('upperRotationDelta', { value: amount });
+        plate.setRotationDelta(amount);
+    }
+
+    /** Clock glass baseline rotation from the menu (recorded for replays) */
+    setUpperRotation(amount) {
+        const plate = this.simulation.upperPlate;
+        if (!plate) return;
+        if (this.replay) this.replay.record('upperRotation', { value: amount });
+        plate.setRotation(amount);
+    }
+
+    /**
+     * Start a paint stroke for a pointer, sized for the current material
+     * @param {number} id - pointer id
+     * @param {object} sample - sampleFromPointer
+     */
+    beginStroke(id, sample) {
+        const sim = this.simulation;
+        if (sim.simWidth > 0 && sim.simHeight > 0) this.brush.aspect = sim.simWidth / sim.simHeight;
+        const radius = this.currentMaterial.layer === 'water' ? BRUSH_RADIUS.ink : BRUSH_RADIUS.oil;
+        this.brush.begin(id, sample, radius);
+    }
+
+    /**
+     * Paint one brush dab into the plate being painted (recorded for replays):
+     * ink or oil with the dab's flow, then the stroke's push on the water
+     */
+    paintDab(dab) {
+        const target = this.paintTarget();
+        const plate = target === this.simulation ? {} : { plate: 'upper' };
+        const { x, y, radius, flow } = dab;
+        const paint = { x, y, color: this.currentColor, material: this.currentMaterial.name, radius, flow, ...plate };
+        if (this.currentMaterial.layer === 'water') {
+            // Paint ink into water layer
+            this.replay.record('splat', paint);
+            target.splat(x, y, this.currentColor, radius, flow);
+        } else if (target.useOil && target.oil) {
+            // Paint oil only (no additional ink), using current color as oil
+            // tint; overlapping dabs let go only their share of oil
+            const oilFlow = flow * (dab.coverage ?? 1);
+            this.replay.record('oilSplat', { ...paint, flow: oilFlow });
+            target.oil.splatColor(x, y, this.currentColor, radius, oilFlow);
+        }
+        if (dab.vx || dab.vy) {
+            this.replay.record('push', { x, y, vx: dab.vx, vy: dab.vy, radius, ...plate });
+            target.splatVelocity(x, y, dab.vx, dab.vy, radius);
+        }
+    }
+
+    /**
+     * Start a pointer's stream: a paint stroke or jets fired where it is.
+     * Mouse buttons choose (left paints, right jets); fingers use fingerTool.
+     * @param {number} id - pointer id
+     * @param {object} sample - sampleFromPointer
+     * @param {'paint'|'jet'} tool
+     */
+    startStream(id, sample, tool = this.fingerTool) {
+        if (tool === 'jet') {
+            // Jets pause the pointer's painting, as they always did
+            this.brush.end(id);
+            // lastTime 0 allows an immediate first burst
+            this.jets.set(id, { x: sample.x, y: sample.y, vx: 0, vy: 0, lastTime: 0, start: performance.now() });
             console.log('Jet: armed');
+        } else {
+            this.beginStroke(id, sample);
+            console.log('Paint: start');
+        }
+    }
+
+    /** Follow a pointer's stream through its samples since the last move */
+    moveStream(id, samples) {
+        if (this.brush.strokes.has(id)) {
+            for (const sample of samples) this.brush.move(id, sample);
+        }
+        const jet = this.jets.get(id);
+        if (jet) {
+            // Jet direction for the light wobble
+            const { x, y } = samples[samples.length - 1];
+            jet.vx = x - jet.x;
+            jet.vy = y - jet.y;
+            jet.x = x;
+            jet.y = y;
+        }
+    }
+
+    endStream(id) {
+        this.brush.end(id);
+        if (this.jets.delete(id)) console.log('🧨 Jet: end');
+    }
+
+    /** Clear the ink from the plate (menu, three-finger tap; recorded for replays) */
+    clearPlate() {
+        if (this.replay) this.replay.record('clear', {});
+        this.simulation.clearColor();
+        console.log('🧹 Canvas cleared');
+    }
+
+    /**
+     * Tools that take a press instead of the brush: an armed obstacle, the
+     * heat lamp move and the stirring rod
+     * @returns {boolean} true if one took it
+     */
+    pressTool(x, y) {
+        if (this.pendingObstacle) {
+            this.placeObstacle(x, y);
+        } else if (this.pendingLamp) {
+            this.moveHeatLamp(x, y);
+        } else if (this.stirTool) {
+            this.stirRod('grab', x, y);
+        } else {
+            return false;
+        }
+        return true;
+    }
+
+    onPointerDown(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const sample = sampleFromPointer(e, rect);
+        const touch = e.pointerType === 'touch';
+        // Keep the pointer's moves coming when a stroke leaves the canvas
+        try { this.canvas.setPointerCapture(e.pointerId); } catch (err) {}
+
+        // The first finger or the left button can go to a tool instead
+        if (e.button === 0 && !(touch && this.gestures.count > 0) && this.pressTool(sample.x, sample.y)) {
+            return;
+        }
+        if (touch) {
+            // Every finger on its own; fingers landing together make gestures
+            this.gestures.aspect = rect.width / rect.height;
+            this.gestures.down(e.pointerId, sample);
+        } else if (e.button === 0 || e.button === 2) {
+            this.startStream(e.pointerId, sample, e.button === 2 ? 'jet' : 'paint');
         }
     }
 
-    onMouseUp(e) {
-        if (e.button === 0) {
-            this.isMouseDown = false;
-        } else if (e.button === 2) {
-            this.isRightMouseDown = false;
-            this.didJetThisClick = false;
-            console.log('🧨 Jet: end');
+    onPointerUp(e) {
+        if (this.simulation.stirringRod.active && !this.gestures.has(e.pointerId)) {
+            this.stirRod('release');
+            return;
         }
+        if (e.pointerType === 'touch') this.gestures.up(e.pointerId);
+        else this.endStream(e.pointerId);
     }
 
-    onMouseMove(e) {
+    onPointerMove(e) {
         const rect = this.canvas.getBoundingClientRect();
-        const x = (e.clientX - rect.left) / rect.width;
-        const y = 1.0 - (e.clientY - rect.top) / rect.height;
-        
-        // Update current mouse position
-        this.currentMouseX = x;
-        this.currentMouseY = y;
-        
-        // Calculate mouse velocity (for jet direction)
-        const dx = x - this.lastMouseX;
-        const dy = y - this.lastMouseY;
-        this.mouseVelocityX = dx;
-        this.mouseVelocityY = dy;
-        this.lastMouseX = x;
-        this.lastMouseY = y;
+        const sample = sampleFromPointer(e, rect);
+
+        if (this.simulation.stirringRod.active && !this.gestures.has(e.pointerId)) {
+            this.stirRod('move', sample.x, sample.y);
+            return;
+        }
+
+        // Every sample the browser gathered since the last event, so quick
+        // strokes follow the pen's path rather than chords between frames
+        const coalesced = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+        const samples = coalesced.length ? coalesced.map((c) => sampleFromPointer(c, rect)) : [sample];
+        if (e.pointerType === 'touch') {
+            this.gestures.move(e.pointerId, sample, samples);
+            return;
+        }
+
+        // A second mouse button pressed or let go comes as a move: the
+        // right button's jets take over from painting while it is held
+        if (e.button >= 0) {
+            const tool = e.buttons & 2 ? 'jet' : (e.buttons & 1 ? 'paint' : null);
+            const current = this.jets.has(e.pointerId) ? 'jet' : (this.brush.strokes.has(e.pointerId) ? 'paint' : null);
+            if (tool !== current) {
+                this.endStream(e.pointerId);
+                if (tool) this.startStream(e.pointerId, sample, tool);
+            }
+        }
+        this.moveStream(e.pointerId, samples);
     }
 
     onKeyDown(e) {
+        this.replay.recordKey('keydown', e);
+        if (e.key === 'Escape' && this.pendingObstacle) {
+            this.pendingObstacle = null;
+            this.updateMenuStates();
+            console.log('🪨 Obstacle placement cancelled');
+            return;
+        }
+        if (e.key === 'Escape' && this.pendingLamp) {
+            this.pendingLamp = false;
+            this.updateMenuStates();
+            return;
+        }
         if (e.key === 'ArrowLeft' || e.key === 'ArrowRight' || e.key === 'ArrowUp' || e.key === 'ArrowDown' || e.key === ' ') {
             if (e.preventDefault) e.preventDefault();
         }
-        // Container rotation controls (increased to 0.2 for better visibility)
-        if (e.key === 'ArrowLeft' || e.key === 'a') {
-            this.simulation.setRotationDelta(0.2);
+        // Container rotation controls (increased to 0.2 for better visibility);
+        // with Shift they turn the clock glass instead
+        if (e.key === 'A' || e.key === 'D') {
+            this.setUpperRotationDelta(e.key === 'A' ? 0.2 : -0.2);
+        } else if (e.key === 'ArrowLeft' || e.key === 'a') {
+            this.setRotationDelta(0.2);
             console.log('Rotating counter-clockwise: 0.2');
         } else if (e.key === 'ArrowRight' || e.key === 'd') {
-            this.simulation.setRotationDelta(-0.2);
+            this.setRotationDelta(-0.2);
             console.log('Rotating clockwise: -0.2');
         } else if (e.key === 'ArrowUp') {
-            this.simulation.setRotationDelta(0.2);
+            this.setRotationDelta(0.2);
         } else if (e.key === 'ArrowDown') {
-            this.simulation.setRotationDelta(-0.2);
+            this.setRotationDelta(-0.2);
         }
         
         // Space + mouse for alternative jet mode
@@ -1174,14 +1986,21 @@ export default class Controller {
             this.cycleHeatLamp();
             this.updateMenuStates();
         }
+        else if (e.key === 'H') {
+            // Shift+H: the next click moves the lamp's hotspot
+            this.armHeatLamp();
+        }
 
-        // Materials via number keys 1-5
-        else if (['1','2','3','4','5'].includes(e.key)) {
-            const idx = parseInt(e.key, 10) - 1;
-            this.setMaterial(idx, true);
+        // Materials via number keys 1-9 (custom materials can claim a key)
+        else if (/^[1-9]$/.test(e.key) && this.materialRegistry.indexForKey(e.key) >= 0) {
+            this.setMaterial(this.materialRegistry.indexForKey(e.key), true);
             this.updateMenuStates();
         }
         
+        else if (e.key === 'r') {
+            // R key: Toggle the stirring rod tool
+            this.toggleStirTool();
+        }
         else if (e.key === 'k') {
             // K key: Cycle absorption coefficient
             const coefficients = [0.5, 1.0, 2.0, 4.0, 8.0];
@@ -1257,146 +2076,396 @@ export default class Controller {
                 window.tester.saveState(state);
             }
         }
+        // Scene snapshots. keydown reaches both the document and window
+        // listeners, so use defaultPrevented to act only once per press.
+        else if (e.key === 'S' && e.ctrlKey && e.shiftKey && !e.defaultPrevented) {
+            // Ctrl+Shift+S: Save full scene snapshot
+            e.preventDefault();
+            this.saveScene();
+        }
+        else if (e.key === 'O' && e.ctrlKey && e.shiftKey && !e.defaultPrevented) {
+            // Ctrl+Shift+O: Load scene snapshot
+            e.preventDefault();
+            this.loadScene();
+        }
+        // Looks: Shift+1-9 recall, Alt+Shift+1-9 store. Uses e.code because
+        // Shift changes e.key ('!', '@', ...) depending on the layout.
+        else if (/^Digit[1-9]$/.test(e.code) && e.shiftKey && !e.ctrlKey && !e.metaKey && !e.defaultPrevented) {
+            e.preventDefault();
+            const slot = parseInt(e.code.slice(5), 10);
+            if (e.altKey) {
+                this.looks.saveSlot(slot);
+                this.renderLooksMenu();
+            } else {
+                const look = this.looks.lookInSlot(slot);
+                if (look) this.recallLook(look.name);
+                else console.log(`🎬 No look in slot ${slot} (Alt+Shift+${slot} stores one)`);
+            }
+        }
     }
 
-    onKeyUp(e) {
-        if (e.key === 'ArrowLeft' || e.key === 'a' || 
-            e.key === 'ArrowRight' || e.key === 'd' ||
-            e.key === 'ArrowUp' || e.key === 'ArrowDown') {
-            this.simulation.setRotationDelta(0.0);
-        } else if (e.key === ' ') {
-            this.isSpacePressed = false;
+    /**
+     * Crossfade to a stored look and sync the UI to its material
+     */
+    recallLook(name) {
+        this.looks.recall(name);
+        this.updateMaterialReadout();
+        this.updateMaterialSelectorHighlight();
+        this.updateMenuStates();
+        this.updateMarangoniHUD();
+    }
+
+    /** Prompt for a name and store the current state as a look */
+    saveLook() {
+        const name = window.prompt('Look name', `Look ${this.looks.looks.length + 1}`);
+        if (!name) return;
+        try {
+            this.looks.save(name);
+        } catch (err) {
+            console.warn('⚠️', err.message);
         }
+        this.renderLooksMenu();
     }
 
-    onTouchStart(e) {
-        e.preventDefault();
-        const touch = e.touches[0];
-        const rect = this.canvas.getBoundingClientRect();
-        const x = (touch.clientX - rect.left) / rect.width;
-        const y = 1.0 - (touch.clientY - rect.top) / rect.height;
-        
-        // Initialize position
-        this.currentMouseX = x;
-        this.currentMouseY = y;
-        this.lastMouseX = x;
-        this.lastMouseY = y;
-        
-        // Single touch = left-click (paint)
-        // Two fingers = jet (handled in touchmove)
-        if (e.touches.length === 1) {
-            this.isMouseDown = true;
-            console.log('👆 Touch start: paint mode');
-        } else if (e.touches.length === 2) {
-            this.isRightMouseDown = true;
-            console.log('👆👆 Two-finger touch: jet mode');
+    cycleLookFade() {
+        const times = [0, 1, 3, 5, 10];
+        const index = times.indexOf(this.looks.crossfadeSeconds);
+        this.looks.crossfadeSeconds = times[(index + 1) % times.length];
+        this.looks.persist();
+        this.updateMenuStates();
+        console.log(`🎬 Look crossfade: ${this.looks.crossfadeSeconds}s`);
+    }
+
+    renderLooksMenu() {
+        const list = this.menuPanel && this.menuPanel.querySelector('.looks-list');
+        if (!list) return;
+        list.innerHTML = this.looks.looks.map((look) => `
+            <div class="menu-action" data-action="look-recall" data-look-name="${escapeHTML(look.name)}" style="display: flex; justify-content: space-between; align-items: center; padding: 8px 12px; margin-bottom: 4px; background: rgba(255,255,255,0.05); border-radius: 4px; cursor: pointer;">
+                <span>${look.slot ? `${look.slot} · ` : ''}${escapeHTML(look.name)}</span>
+                <span class="menu-action" data-action="look-delete" data-look-name="${escapeHTML(look.name)}" style="opacity: 0.6; padding: 0 4px;">✕</span>
+            </div>
+        `).join('');
+        this.updateMenuStates();
+    }
+
+    /**
+     * Download the full simulation state as a binary .llscene file
+     */
+    saveScene() {
+        let buffer;
+        try {
+            buffer = this.simulation.serialize();
+        } catch (err) {
+            console.error('❌ Scene save failed:', err);
+            return;
         }
+        const blob = new Blob([buffer], { type: 'application/octet-stream' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `liquid-light-scene-${Date.now()}.llscene`;
+        a.click();
+        URL.revokeObjectURL(url);
+        console.log(`💾 Scene saved (${(buffer.byteLength / (1024 * 1024)).toFixed(1)} MB)`);
     }
 
-    onTouchMove(e) {
-        e.preventDefault();
-        const touch = e.touches[0];
-        const rect = this.canvas.getBoundingClientRect();
-        const x = (touch.clientX - rect.left) / rect.width;
-        const y = 1.0 - (touch.clientY - rect.top) / rect.height;
-        
-        // Update current position
-        this.currentMouseX = x;
-        this.currentMouseY = y;
-        
-        // Calculate touch velocity
-        const dx = x - this.lastMouseX;
-        const dy = y - this.lastMouseY;
-        this.mouseVelocityX = dx;
-        this.mouseVelocityY = dy;
-        this.lastMouseX = x;
-        this.lastMouseY = y;
-
-        // If second finger is down, engage jet mode (right-click equivalent)
-        if (e.touches.length === 2) {
-            if (!this.isRightMouseDown) {
-                this.isRightMouseDown = true;
-                this.didJetThisClick = false;
-                this.lastJetTime = 0;
-                this.jetHoldStart = performance.now();
+    /**
+     * Pick a .llscene file and restore it into the running simulation
+     */
+    loadScene() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.llscene,application/octet-stream';
+        input.addEventListener('change', async () => {
+            const file = input.files && input.files[0];
+            if (!file) return;
+            try {
+                await this.simulation.restore(file);
+                this.updateMenuStates();
+                this.updateMarangoniHUD();
+            } catch (err) {
+                console.error('❌ Scene load failed:', err);
             }
-        } else if (e.touches.length === 1) {
-            // Single touch = paint mode
-            this.isRightMouseDown = false;
-            this.isMouseDown = true;
+        });
+        input.click();
+    }
+
+    toggleReplayRecording() {
+        if (this.replay.recording) {
+            this.replay.stopRecording();
+        } else {
+            this.replay.startRecording();
         }
+        this.updateMenuStates();
     }
 
-    onTouchEnd(e) {
-        e.preventDefault();
-        const remaining = e.touches.length;
-        if (remaining === 0) {
-            this.isMouseDown = false;
-            this.isRightMouseDown = false;
-        } else if (remaining === 1) {
-            // Revert to paint mode with remaining finger
-            this.isRightMouseDown = false;
-            this.isMouseDown = true;
-            const t = e.touches[0];
-            const rect = this.canvas.getBoundingClientRect();
-            this.currentMouseX = (t.clientX - rect.left) / rect.width;
-            this.currentMouseY = 1.0 - (t.clientY - rect.top) / rect.height;
+    toggleReplayPlayback() {
+        if (this.replay.playing) {
+            this.replay.stopPlayback();
+        } else if (this.replay.replay) {
+            this.replay.play();
+            this.afterReplayStart();
+        } else {
+            console.log('▶️ Replay: nothing recorded or loaded yet');
         }
+        this.updateMenuStates();
     }
 
-    
+    /** Sync the UI to the material and parameters a replay starts from */
+    afterReplayStart() {
+        this.updateMaterialReadout();
+        this.updateMaterialSelectorHighlight();
+        this.updateMarangoniHUD();
+    }
 
-onKeyUp(e) {
-    if (e.key === 'ArrowLeft' || e.key === 'a' || 
-        e.key === 'ArrowRight' || e.key === 'd' ||
-        e.key === 'ArrowUp' || e.key === 'ArrowDown') {
-        this.simulation.setRotationDelta(0.0);
-    } else if (e.key === ' ') {
-        this.isSpacePressed = false;
+    /**
+     * Download the last recorded or loaded replay as JSON
+     */
+    saveReplay() {
+        if (this.replay.recording) this.replay.stopRecording();
+        const json = this.replay.exportJSON();
+        if (!json) {
+            console.log('💾 Replay: nothing to save');
+            return;
+        }
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `liquid-light-replay-${Date.now()}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+        console.log(`💾 Replay saved (${this.replay.replay.events.length} events)`);
+        this.updateMenuStates();
     }
-}
 
-onTouchStart(e) {
-    e.preventDefault();
-    const touch = e.touches[0];
-    const rect = this.gl.canvas.getBoundingClientRect();
-    const x = (touch.clientX - rect.left) / rect.width;
-    const y = 1.0 - (touch.clientY - rect.top) / rect.height;
-        
-    // Initialize position
-    this.currentMouseX = x;
-    this.currentMouseY = y;
-    this.lastMouseX = x;
-    this.lastMouseY = y;
-        
-    // Single touch = left-click (paint)
-    // Two fingers = jet (handled in touchmove)
-    if (e.touches.length === 1) {
-        this.isMouseDown = true;
-        console.log('👆 Touch start: paint mode');
-    } else if (e.touches.length === 2) {
-        this.isRightMouseDown = true;
-        console.log('👆👆 Two-finger touch: jet mode');
+    /**
+     * Pick a replay JSON file and play it
+     */
+    loadReplay() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.addEventListener('change', async () => {
+            const file = input.files && input.files[0];
+            if (!file) return;
+            try {
+                this.replay.play(await file.text());
+                this.afterReplayStart();
+            } catch (err) {
+                console.error('❌ Replay load failed:', err.message || err);
+            }
+            this.updateMenuStates();
+        });
+        input.click();
     }
-}
 
-onTouchMove(e) {
-    e.preventDefault();
-    const touch = e.touches[0];
-    const rect = this.gl.canvas.getBoundingClientRect();
-    const x = (touch.clientX - rect.left) / rect.width;
-    const y = 1.0 - (touch.clientY - rect.top) / rect.height;
-        
-    // Update current position
-    this.currentMouseX = x;
-    this.currentMouseY = y;
-        
-    // Calculate touch velocity
-    const dx = x - this.lastMouseX;
-    const dy = y - this.lastMouseY;
-    this.mouseVelocityX = dx;
-    this.mouseVelocityY = dy;
-    this.lastMouseX = x;
-    this.lastMouseY = y;
+    /**
+     * Render frames offline with a fixed timestep, driven by the last
+     * recorded or loaded replay. Usable from the console:
+     *   controller.exportFrames({ size: 3840, duration: 60, fps: 30, format: 'webm' })
+     * @param {object} opts - size, duration, fps, format ('png'|'webm'), replay
+     */
+    async exportFrames({ format = 'webm', size = null, duration = null, fps = 30, replay = undefined } = {}) {
+        if (this.replay.recording) this.replay.stopRecording();
+        const sink = await createFileSink();
+        const encoder = createEncoder(format, sink, { prefix: `liquid-light-${Date.now()}` });
+        try {
+            return await this.exporter.run({ encoder, size, duration, fps, replay });
+        } finally {
+            this.updateMenuStates();
+        }
+    }
+
+    /** Menu entry: ask for export options (or cancel a running export) */
+    startExport() {
+        if (this.exporter.active) {
+            this.exporter.cancel();
+            return;
+        }
+        const script = this.replay.replay;
+        const seconds = script && script.steps ? Math.ceil(script.steps / STEP_RATE) : 10;
+        const answer = window.prompt(
+            `Render offline${script ? ' (plays the last replay)' : ''}\nsize px, seconds, fps, format (webm | png)`,
+            `2160, ${seconds}, 30, webm`
+        );
+        if (!answer) return;
+        const [size, duration, fps, format] = answer.split(',').map((part) => part.trim());
+        this.exportFrames({
+            size: parseInt(size, 10) || null,
+            duration: parseFloat(duration) || null,
+            fps: parseFloat(fps) || 30,
+            format: (format || 'webm').toLowerCase()
+        }).catch((err) => console.error('❌ Export failed:', err.message || err));
+    }
+
+    /**
+     * Request Web MIDI access and start routing messages through this.midi
+     */
+    async connectMidi() {
+        try {
+            this.midi.connect(await createWebMidiSource());
+            this.midi.autoConnect = true;
+            this.midi.save();
+        } catch (err) {
+            console.warn('⚠️ MIDI unavailable:', err.message || err);
+        }
+        this.updateMenuStates();
+    }
+
+    /**
+     * Toggle learn mode for a MIDI target (click again to cancel)
+     */
+    learnMidi(target) {
+        if (this.midi.learnTarget === target) {
+            this.midi.cancelLearn();
+        } else {
+            if (!this.midi.connected) this.connectMidi();
+            this.midi.startLearn(target);
+        }
+        this.updateMenuStates();
+    }
+
+    /** Arm a shape: the next click on the plate places it (Escape cancels) */
+    armObstacle(shape) {
+        this.pendingObstacle = shape;
+        this.updateMenuStates();
+        console.log(`🪨 Click the plate to place the ${shape.type}`);
+    }
+
+    /** The next click on the plate moves the heat lamp there (Escape cancels) */
+    armHeatLamp() {
+        this.pendingLamp = true;
+        this.updateMenuStates();
+        console.log('🔥 Click the plate to move the heat lamp');
+    }
+
+    /** Move the lamp's hotspot (recorded for replays) */
+    moveHeatLamp(x, y) {
+        if (this.replay) this.replay.record('lamp', { x, y });
+        this.pendingLamp = false;
+        this.simulation.heatLampX = x;
+        this.simulation.heatLampY = y;
+        this.updateMenuStates();
+        console.log(`🔥 Heat lamp at (${x.toFixed(2)}, ${y.toFixed(2)})`);
+    }
+
+    /** Switch left drag between painting and the stirring rod */
+    toggleStirTool() {
+        this.stirTool = !this.stirTool;
+        if (!this.stirTool && this.simulation.stirringRod.active) this.stirRod('release');
+        this.updateMenuStates();
+        console.log(`🥢 Stirring rod: ${this.stirTool ? 'ON' : 'OFF'}`);
+    }
+
+    /**
+     * Put the stirring rod in, drag it or lift it out (recorded for replays)
+     * @param {'grab'|'move'|'release'} phase
+     */
+    stirRod(phase, x = 0, y = 0) {
+        if (this.replay) this.replay.record('stir', { phase, x, y });
+        const rod = this.simulation.stirringRod;
+        if (phase === 'grab') {
+            rod.grab(x, y);
+        } else if (phase === 'move') {
+            rod.moveTo(x, y);
+        } else {
+            rod.release();
+        }
+    }
+
+    placeObstacle(x, y) {
+        const shape = this.pendingObstacle;
+        this.pendingObstacle = null;
+        this.simulation.addObstacle({ ...shape, x, y });
+        this.updateMenuStates();
+    }
+
+    /**
+     * Pick an image and hand its silhouette (alpha, or darkness for opaque
+     * images), at most MAX_MASK_SIZE on a side, to onMask
+     * @param {string} what - For the error message
+     * @param {function({width, height, data}): void} onMask
+     */
+    pickImageMask(what, onMask) {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'image/*';
+        input.addEventListener('change', async () => {
+            const file = input.files && input.files[0];
+            if (!file) return;
+            try {
+                const bitmap = await createImageBitmap(file);
+                const scale = Math.min(1, MAX_MASK_SIZE / Math.max(bitmap.width, bitmap.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+                canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+                const ctx = canvas.getContext('2d');
+                ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+                const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height);
+                bitmap.close();
+                onMask(maskFromPixels(pixels.data, canvas.width, canvas.height));
+            } catch (err) {
+                console.error(`❌ ${what} image failed to load:`, err);
+            }
+        });
+        input.click();
+    }
+
+    /** Pick an image; its silhouette becomes an obstacle placed by the next click */
+    loadObstacleImage() {
+        this.pickImageMask('Obstacle', (mask) => this.armObstacle({ type: 'image', mask }));
+    }
+
+    /**
+     * Pick an image; its silhouette becomes the dish, as tall as the round
+     * dish and as wide as the image's proportions make it
+     */
+    loadContainerImage() {
+        this.pickImageMask('Container', (mask) => {
+            const halfHeight = CONTAINER_RADIUS;
+            this.simulation.setContainer({ shape: 'mask', halfWidth: halfHeight * mask.width / mask.height, halfHeight, mask });
+            this.updateMenuStates();
+        });
+    }
+
+    /**
+     * Start audio-reactive modulation from the microphone or a picked file
+     * @param {'mic'|'file'} kind
+     */
+    startAudio(kind) {
+        const begin = async (makeSource) => {
+            try {
+                this.audio.start(await makeSource());
+            } catch (err) {
+                console.warn('⚠️ Audio input unavailable:', err.message || err);
+            }
+            this.updateMenuStates();
+        };
+        if (kind === 'mic') {
+            begin(() => createMicSource());
+            return;
+        }
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'audio/*';
+        input.addEventListener('change', () => {
+            const file = input.files && input.files[0];
+            if (file) begin(() => createFileSource(file));
+        });
+        input.click();
+    }
+
+    onKeyUp(e) {
+        this.replay.recordKey('keyup', e);
+        if (e.key === 'ArrowLeft' || e.key === 'a' || 
+            e.key === 'ArrowRight' || e.key === 'd' ||
+            e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+            this.setRotationDelta(0.0);
+        } else if (e.key === 'A' || e.key === 'D') {
+            this.setUpperRotationDelta(0.0);
+        } else if (e.key === ' ') {
+            this.isSpacePressed = false;
+        }
     }
 }
@@ -0,0 +1,280 @@
+/**
+ * Offline, frame-accurate export
+ *
+ * Realtime capture drops frames when the GPU falls behind. FrameExporter
+ * instead takes over the loop: for every output frame it steps
+ * Controller.update + Simulation.update with a fixed dt (ignoring the wall
+ * clock), renders through Renderer.render, reads the default framebuffer
+ * back and hands the pixels to an encoder. A recorded input replay drives
+ * the gestures, so a long high-resolution loop can render unattended.
+ *
+ * Encoders share one interface:
+ *   begin({ width, height, fps, frames })   (async)
+ *   addFrame({ width, height, data }, index) (async; data is RGBA, top row first)
+ *   finish()                                (async)
+ *   cancel()
+ */
+import WebMWriter from './webm.js';
+import { STEP_RATE } from './scheduler.js';
+
+// Simulation steps per second of output: the scheduler's live rate, so
+// replayed events land on the same step and per-frame effects keep their speed
+export { STEP_RATE };
+
+export const EXPORT_FORMATS = ['png', 'webm'];
+
+/**
+ * Frame and step counts for an export
+ * @param {object} opts - fps, duration (seconds)
+ * @returns {{frames: number, substeps: number, dt: number}} dt is per substep
+ */
+export function exportPlan({ fps, duration }) {
+    if (!(fps > 0) || !(duration > 0)) {
+        throw new Error('Export: fps and duration must be positive');
+    }
+    const frames = Math.max(1, Math.round(duration * fps));
+    const substeps = Math.max(1, Math.round(STEP_RATE / fps));
+    return { frames, substeps, dt: 1 / (fps * substeps) };
+}
+
+/**
+ * Where exported files go. Prefers a user-picked directory (File System
+ * Access API) so long PNG sequences don't become thousands of downloads.
+ */
+export async function createFileSink({ preferDirectory = true } = {}) {
+    if (preferDirectory && typeof window !== 'undefined' && window.showDirectoryPicker) {
+        const directory = await window.showDirectoryPicker({ mode: 'readwrite' });
+        return {
+            async write(name, blob) {
+                const handle = await directory.getFileHandle(name, { create: true });
+                const writable = await handle.createWritable();
+                await writable.write(blob);
+                await writable.close();
+            }
+        };
+    }
+    return {
+        async write(name, blob) {
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = name;
+            a.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        }
+    };
+}
+
+/**
+ * One PNG per frame: <prefix>-00000.png, <prefix>-00001.png, ...
+ */
+export class PNGSequenceEncoder {
+    constructor(sink, { prefix = 'liquid-light' } = {}) {
+        this.sink = sink;
+        this.prefix = prefix;
+    }
+
+    async begin({ width, height }) {
+        this.canvas = new OffscreenCanvas(width, height);
+        this.context = this.canvas.getContext('2d');
+    }
+
+    async addFrame(frame, index) {
+        const image = new ImageData(new Uint8ClampedArray(frame.data.buffer, frame.data.byteOffset, frame.data.length), frame.width, frame.height);
+        this.context.putImageData(image, 0, 0);
+        const blob = await this.canvas.convertToBlob({ type: 'image/png' });
+        await this.sink.write(`${this.prefix}-${String(index).padStart(5, '0')}.png`, blob);
+    }
+
+    async finish() {}
+
+    cancel() {}
+}
+
+/**
+ * VP9 (or VP8) through WebCodecs, muxed by webm.js into one .webm file
+ */
+export class WebMEncoder {
+    constructor(sink, { prefix = 'liquid-light', bitrate = null, keyFrameInterval = 2 } = {}) {
+        this.sink = sink;
+        this.prefix = prefix;
+        this.bitrate = bitrate;
+        this.keyFrameInterval = keyFrameInterval; // seconds
+    }
+
+    async begin({ width, height, fps }) {
+        if (typeof VideoEncoder === 'undefined') {
+            throw new Error('Export: WebM needs WebCodecs (VideoEncoder); use the PNG sequence instead');
+        }
+        const bitrate = this.bitrate || Math.round(width * height * fps * 0.15);
+        const candidates = [
+            { codec: 'vp09.00.10.08', container: 'V_VP9' },
+            { codec: 'vp8', container: 'V_VP8' }
+        ];
+        let chosen = null;
+        for (const candidate of candidates) {
+            const config = { codec: candidate.codec, width, height, bitrate, framerate: fps };
+            const support = await VideoEncoder.isConfigSupported(config);
+            if (support.supported) {
+                chosen = { ...candidate, config };
+                break;
+            }
+        }
+        if (!chosen) {
+            throw new Error(`Export: no WebM codec supports ${width}×${height}`);
+        }
+
+        this.fps = fps;
+        this.writer = new WebMWriter({ width, height, codec: chosen.container, frameRate: fps });
+        this.error = null;
+        this.encoder = new VideoEncoder({
+            output: (chunk) => {
+                const data = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(data);
+                this.writer.addFrame(data, chunk.timestamp / 1000, chunk.type === 'key');
+            },
+            error: (err) => { this.error = err; }
+        });
+        this.encoder.configure(chosen.config);
+        console.log(`🎞️ WebM export: ${chosen.codec} ${width}×${height} @ ${fps}fps, ${(bitrate / 1e6).toFixed(1)} Mbps`);
+    }
+
+    async addFrame(frame, index) {
+        if (this.error) throw this.error;
+        const duration = 1e6 / this.fps;
+        const videoFrame = new VideoFrame(frame.data, {
+            format: 'RGBA',
+            codedWidth: frame.width,
+            codedHeight: frame.height,
+            timestamp: Math.round(index * duration),
+            duration: Math.round(duration)
+        });
+        const keyFrame = index % Math.max(1, Math.round(this.keyFrameInterval * this.fps)) === 0;
+        this.encoder.encode(videoFrame, { keyFrame });
+        videoFrame.close();
+        // Don't let encoded frames pile up in memory faster than the encoder drains them
+        while (this.encoder.encodeQueueSize > 4) {
+            await new Promise((resolve) => setTimeout(resolve, 1));
+        }
+    }
+
+    async finish() {
+        await this.encoder.flush();
+        this.encoder.close();
+        if (this.error) throw this.error;
+        const blob = new Blob(this.writer.finish(), { type: 'video/webm' });
+        await this.sink.write(`${this.prefix}.webm`, blob);
+        console.log(`🎞️ WebM export: ${this.writer.frameCount} frames, ${(blob.size / (1024 * 1024)).toFixed(1)} MB`);
+    }
+
+    cancel() {
+        if (this.encoder && this.encoder.state !== 'closed') this.encoder.close();
+    }
+}
+
+/**
+ * @param {'png'|'webm'} format
+ * @param {object} sink - { write(name, blob) }
+ * @param {object} opts - Passed to the encoder
+ */
+export function createEncoder(format, sink, opts = {}) {
+    if (format === 'png') return new PNGSequenceEncoder(sink, opts);
+    if (format === 'webm') return new WebMEncoder(sink, opts);
+    throw new Error(`Export: unknown format "${format}" (expected ${EXPORT_FORMATS.join(' or ')})`);
+}
+
+export default class FrameExporter {
+    /**
+     * @param {Controller} controller - Steps through controller.update, its
+     *   simulation and renderer; replays play through controller.replay
+     */
+    constructor(controller) {
+        this.controller = controller;
+        this.active = false;
+        this.cancelled = false;
+        this.progress = 0;          // 0..1
+        this.onProgress = null;
+    }
+
+    /**
+     * Render frames offline
+     * @param {object} opts
+     *  - encoder: from createEncoder()
+     *  - size: square drawing-buffer size in pixels (default: current canvas)
+     *  - fps: output frame rate (default 30)
+     *  - duration: seconds (default: the replay's length, else 10)
+     *  - replay: replay to drive (object/JSON; default: the last recorded or
+     *    loaded one; null renders without input)
+     * @returns {Promise<number>} frames written
+     */
+    async run({ encoder, size = null, fps = 30, duration = null, replay = undefined }) {
+        if (this.active) {
+            throw new Error('Export: already running');
+        }
+        const c = this.controller;
+        const sim = c.simulation;
+        const renderer = c.renderer;
+        const script = replay === undefined ? c.replay.replay : replay;
+        const seconds = duration ?? (script && script.steps ? script.steps / STEP_RATE : 10);
+        const plan = exportPlan({ fps, duration: seconds });
+
+        this.active = true;
+        this.cancelled = false;
+        this.progress = 0;
+        const previousSize = renderer.fixedSize;
+        const previousClock = sim.clock;
+        let written = 0;
+        try {
+            // Resizing reallocates the simulation buffers: the export starts
+            // from a clear dish (and the replay's starting parameters).
+            if (size) renderer.setFixedSize(size);
+            // Time-based shaders follow simulated time, not the wall clock
+            sim.setClock(() => sim.time * 1000.0);
+            if (script) c.replay.play(script);
+
+            const width = renderer.canvas.width;
+            const height = renderer.canvas.height;
+            await encoder.begin({ width, height, fps, frames: plan.frames });
+            console.log(`🎞️ Export: ${plan.frames} frames at ${width}×${height}, ${fps}fps (${plan.substeps} step${plan.substeps > 1 ? 's' : ''}/frame)`);
+
+            for (let frame = 0; frame < plan.frames; frame++) {
+                if (this.cancelled) break;
+                for (let step = 0; step < plan.substeps; step++) {
+                    c.update();
+                    await sim.update(plan.dt);
+                }
+                renderer.render(sim);
+                await encoder.addFrame(renderer.readPixels(), frame);
+                written++;
+                this.progress = written / plan.frames;
+                if (this.onProgress) this.onProgress(this.progress);
+                if (frame % Math.max(1, fps) === 0) {
+                    console.log(`🎞️ Export: frame ${frame + 1}/${plan.frames}`);
+                }
+                // Let the page handle input (cancel) and repaint between frames
+                await new Promise((resolve) => setTimeout(resolve, 0));
+            }
+
+            if (this.cancelled) {
+                encoder.cancel();
+                console.log(`⏹️ Export cancelled after ${written} frames`);
+            } else {
+                await encoder.finish();
+                console.log(`✅ Export complete: ${written} frames`);
+            }
+        } catch (err) {
+            encoder.cancel();
+            throw err;
+        } finally {
+            if (c.replay.playing) c.replay.stopPlayback();
+            sim.setClock(previousClock);
+            if (size) renderer.setFixedSize(previousSize);
+            this.active = false;
+        }
+        return written;
+    }
+
+    cancel() {
+        if (this.active) this.cancelled = true;
+    }
+}
@@ -0,0 +1,217 @@
+/**
+ * Multi-touch gestures
+ *
+ * Every finger on the plate is tracked by its pointer id, so several people
+ * can paint on one tablet at once: each finger gets its own stream, painting
+ * or firing jets (Controller.fingerTool), started with
+ * Controller.startStream and fed until it lifts.
+ *
+ * Fingers landing together are read as a gesture instead:
+ *   - two fingers within a hand's reach: twist turns the plate
+ *     (setRotationDelta, as fast as the fingers turn) and pinch scales the
+ *     brush (brush.size)
+ *   - three fingers tapped together: clear the plate
+ * To tell them apart a new finger waits GESTURE_WINDOW before it starts
+ * painting; its samples are kept and replayed into the stream, so the
+ * stroke loses no path, only that much latency.
+ *
+ * The window and tap are timed in simulation steps (update(dt)), not wall
+ * time. Positions are plate uv (0-1, y up); angles and distances are taken
+ * aspect-correct, as on screen.
+ */
+
+import { OMEGA_PER_ROTATION } from './simulation/plate-rotation.js';
+
+// Seconds a finger waits for others to land with it
+export const GESTURE_WINDOW = 0.15;
+
+// Longest three-finger tap (seconds) and the travel it may have (uv)
+export const TAP_TIME = 0.3;
+export const TAP_SLOP = 0.03;
+
+// Farthest apart two fingers may land and still be one hand's gesture (uv)
+export const PAIR_REACH = 0.4;
+
+// Brush sizes the pinch stays between
+export const BRUSH_SIZE_MIN = 0.25;
+export const BRUSH_SIZE_MAX = 4.0;
+
+// How quickly the plate's twist speed follows the fingers (0-1 per step)
+const TWIST_SMOOTHING = 0.3;
+
+export default class TouchGestures {
+    /**
+     * @param {Controller} controller - startStream / moveStream / endStream,
+     *   setRotationDelta, clearPlate and brush
+     */
+    constructor(controller) {
+        this.controller = controller;
+        this.aspect = 1.0;           // canvas width / height
+        this.fingers = new Map();    // pointer id → { role, age, start, last, samples, travel }
+        this.pair = null;            // the two fingers twisting / pinching
+        this.tap = null;             // three or more fingers landed together
+    }
+
+    get count() {
+        return this.fingers.size;
+    }
+
+    has(id) {
+        return this.fingers.has(id);
+    }
+
+    /** A finger touched down */
+    down(id, sample) {
+        const finger = { role: 'pending', age: 0, start: sample, last: sample, samples: [sample], travel: 0 };
+        const pending = [...this.fingers.entries()].filter(([, f]) => f.role === 'pending');
+        this.fingers.set(id, finger);
+
+        if (this.tap && this.tap.age < GESTURE_WINDOW) {
+            this.joinTap(id);
+        } else if (this.pair && this.pair.age < GESTURE_WINDOW) {
+            // A third finger: not a twist after all
+            const { ids, age } = this.pair;
+            this.endPair();
+            this.tap = { ids: new Set(), age, travel: 0 };
+            for (const tapped of [...ids, id]) this.joinTap(tapped);
+        } else if (!this.pair && pending.length === 1 && this.distance(pending[0][1].last, sample) <= PAIR_REACH) {
+            // One twist at a time: fingers landing beside a running one paint
+            const [otherId, other] = pending[0];
+            this.startPair(otherId, other, id, finger);
+        }
+    }
+
+    /**
+     * A finger moved
+     * @param {Array<object>} samples - every sample since the last move (coalesced events), ending at sample
+     */
+    move(id, sample, samples = [sample]) {
+        const finger = this.fingers.get(id);
+        if (!finger) return;
+        finger.travel = Math.max(finger.travel, this.distance(finger.start, sample));
+        finger.last = sample;
+        if (finger.role === 'pending') {
+            finger.samples.push(...samples);
+        } else if (finger.role === 'stream') {
+            this.controller.moveStream(id, samples);
+        } else if (finger.role === 'pair') {
+            this.movePair();
+        }
+    }
+
+    /** A finger lifted (or the browser cancelled it) */
+    up(id) {
+        const finger = this.fingers.get(id);
+        if (!finger) return;
+        // A quick touch that nothing joined still paints
+        if (finger.role === 'pending') this.startStream(id, finger);
+        if (finger.role === 'stream') this.controller.endStream(id);
+        this.fingers.delete(id);
+
+        if (finger.role === 'pair') {
+            this.endPair();
+            // The other finger sits the rest of the gesture out
+            for (const f of this.fingers.values()) {
+                if (f.role === 'pair') f.role = 'done';
+            }
+        } else if (finger.role === 'tap' && this.tap) {
+            this.tap.travel = Math.max(this.tap.travel, finger.travel);
+            this.tap.ids.delete(id);
+            if (this.tap.ids.size === 0) {
+                const { age, travel } = this.tap;
+                this.tap = null;
+                if (age <= TAP_TIME && travel <= TAP_SLOP) this.controller.clearPlate();
+            }
+        }
+    }
+
+    /**
+     * Once per simulation step: start the streams of fingers nothing joined,
+     * and turn the plate with the twist since the last step
+     * @param {number} dt - seconds per step
+     */
+    update(dt) {
+        for (const [id, finger] of this.fingers) {
+            if (finger.role !== 'pending') continue;
+            finger.age += dt;
+            if (finger.age >= GESTURE_WINDOW) this.startStream(id, finger);
+        }
+        if (this.tap) this.tap.age += dt;
+        const pair = this.pair;
+        if (pair) {
+            pair.age += dt;
+            pair.omega += (pair.turned / dt - pair.omega) * TWIST_SMOOTHING;
+            pair.turned = 0;
+            const amount = Math.round(pair.omega / OMEGA_PER_ROTATION * 1000) / 1000;
+            if (amount !== pair.amount) {
+                pair.amount = amount;
+                this.controller.setRotationDelta(amount);
+            }
+        }
+    }
+
+    /** Hand a waiting finger to its own stream, with the path it drew while waiting */
+    startStream(id, finger) {
+        finger.role = 'stream';
+        const [first, ...rest] = finger.samples;
+        this.controller.startStream(id, first);
+        if (rest.length > 0) this.controller.moveStream(id, rest);
+        finger.samples = [];
+    }
+
+    startPair(idA, a, idB, b) {
+        a.role = 'pair';
+        b.role = 'pair';
+        this.pair = {
+            ids: [idA, idB],
+            age: a.age,
+            angle: this.angle(a.last, b.last),
+            distance: this.distance(a.last, b.last),
+            turned: 0,               // radians since the last step
+            omega: 0,                // smoothed twist speed, rad/s
+            amount: 0                // rotationDelta last set
+        };
+        console.log('👆👆 Two-finger gesture: twist to turn, pinch to size the brush');
+    }
+
+    /** Twist and pinch since the last move of either finger */
+    movePair() {
+        const pair = this.pair;
+        const [a, b] = pair.ids.map((id) => this.fingers.get(id).last);
+        const angle = this.angle(a, b);
+        let turn = angle - pair.angle;
+        if (turn > Math.PI) turn -= 2 * Math.PI;
+        if (turn < -Math.PI) turn += 2 * Math.PI;
+        pair.turned += turn;
+        pair.angle = angle;
+
+        const distance = this.distance(a, b);
+        if (pair.distance > 0 && distance > 0) {
+            const brush = this.controller.brush;
+            brush.size = Math.min(BRUSH_SIZE_MAX, Math.max(BRUSH_SIZE_MIN, brush.size * distance / pair.distance));
+        }
+        pair.distance = distance;
+    }
+
+    /** Stop the twist: the plate coasts as after a released key */
+    endPair() {
+        if (!this.pair) return;
+        if (this.pair.amount !== 0) this.controller.setRotationDelta(0.0);
+        this.pair = null;
+    }
+
+    joinTap(id) {
+        const finger = this.fingers.get(id);
+        finger.role = 'tap';
+        this.tap.ids.add(id);
+        this.tap.travel = Math.max(this.tap.travel, finger.travel);
+    }
+
+    distance(a, b) {
+        return Math.hypot((b.x - a.x) * this.aspect, b.y - a.y);
+    }
+
+    angle(a, b) {
+        return Math.atan2(b.y - a.y, (b.x - a.x) * this.aspect);
+    }
+}
@@ -0,0 +1,240 @@
+/**
+ * Scene "looks"
+ *
+ * A look is a named snapshot of every tunable on Simulation, Renderer and
+ * Controller (viscosity, boundary mode, absorption, palette dominance, heat
+ * lamp, light rotation, Marangoni, ...) plus the active material. Unlike a
+ * material preset it captures whatever the cycle keys and menu have changed.
+ *
+ * Looks persist to localStorage and can be bound to slots 1-9 (Shift+digit
+ * recalls). Recalling crossfades: numeric parameters are interpolated over
+ * the fade time; booleans, modes and iteration counts switch immediately.
+ */
+import { collectParams } from './simulation/snapshot.js';
+
+export const LOOKS_STORAGE_KEY = 'liquid-light.looks';
+
+// Runtime state, measurements and debug switches: never part of a look
+const SIMULATION_EXCLUDED = [
+    'ready', 'paused', 'time', 'stepCount', 'seed', 'useOil', 'logVerbose', 'residualEveryN',
+    'rotationAmount', 'rotationDelta', 'rotationAudio',      // derived / input / audio-driven
+    'lightTiltX', 'lightTiltY', 'lightVelX', 'lightVelY',   // wobble animation state
+    'tiltX', 'tiltY',                                       // tilt input (sensors, gamepad)
+    'occupancyPercent', 'pixelSoupPercent', 'oilOccupancyPercent',
+    'occupancyWidth', 'occupancyHeight',
+    'simResolutionScale', 'simFixedSize', 'simWidth', 'simHeight' // grid allocation, not a look
+];
+const RENDERER_EXCLUDED = ['ready', 'debugMode', 'fixedSize'];
+const CONTROLLER_PARAMS = ['heatLampLevel', 'lightRotationSpeed'];
+
+/** Parameters that must not take in-between values during a crossfade */
+function isDiscrete(key, value) {
+    return typeof value !== 'number' || key.endsWith('Mode') || key.endsWith('Iterations') ||
+        key.endsWith('EveryN') || key === 'heatLampLevel';
+}
+
+export default class LookManager {
+    /**
+     * @param {Controller} controller
+     * @param {object} opts
+     *  - storage: localStorage-like object (null disables persistence)
+     *  - now: millisecond clock (default: the simulation clock, so fades follow
+     *    simulated time when the simulation is deterministic)
+     */
+    constructor(controller, { storage = globalThis.localStorage ?? null, now = null } = {}) {
+        this.controller = controller;
+        this.storage = storage;
+        this.now = now || (() => controller.simulation.clock());
+
+        this.looks = [];           // { name, slot, state }
+        this.crossfadeSeconds = 3.0;
+        this.fade = null;          // { start, duration, from, to, name }
+
+        this.load();
+    }
+
+    get fading() {
+        return this.fade !== null;
+    }
+
+    /**
+     * Current parameter state, in the format stored in a look
+     */
+    capture() {
+        const c = this.controller;
+        const controllerParams = {};
+        for (const key of CONTROLLER_PARAMS) {
+            if (typeof c[key] === 'number') controllerParams[key] = c[key];
+        }
+        return {
+            material: c.currentMaterial ? c.currentMaterial.name : null,
+            simulation: collectParams(c.simulation, SIMULATION_EXCLUDED),
+            renderer: collectParams(c.renderer, RENDERER_EXCLUDED),
+            controller: controllerParams
+        };
+    }
+
+    /**
+     * Store the current state under `name` (replaces an existing look)
+     * @param {number|null} slot - 1-9 hotkey slot; null keeps the old slot
+     *   or picks the first free one
+     */
+    save(name, slot = null) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed) {
+            throw new Error('Look: name is required');
+        }
+        if (slot !== null && !(Number.isInteger(slot) && slot >= 1 && slot <= 9)) {
+            throw new Error('Look: slot must be 1-9');
+        }
+        const existing = this.get(trimmed);
+        const resolvedSlot = slot ?? existing?.slot ?? this.freeSlot();
+        // A slot belongs to one look
+        for (const look of this.looks) {
+            if (look !== existing && look.slot === resolvedSlot) look.slot = null;
+        }
+        const look = { name: trimmed, slot: resolvedSlot, state: this.capture() };
+        if (existing) {
+            this.looks[this.looks.indexOf(existing)] = look;
+        } else {
+            this.looks.push(look);
+        }
+        this.persist();
+        console.log(`📸 Look saved: ${trimmed}${resolvedSlot ? ` (Shift+${resolvedSlot})` : ''}`);
+        return look;
+    }
+
+    /** Store into a hotkey slot, keeping the name of the look already there */
+    saveSlot(slot) {
+        const current = this.lookInSlot(slot);
+        return this.save(current ? current.name : `Look ${slot}`, slot);
+    }
+
+    remove(name) {
+        this.looks = this.looks.filter((look) => look.name !== name);
+        this.persist();
+    }
+
+    get(name) {
+        return this.looks.find((look) => look.name === name) || null;
+    }
+
+    lookInSlot(slot) {
+        return this.looks.find((look) => look.slot === slot) || null;
+    }
+
+    freeSlot() {
+        for (let slot = 1; slot <= 9; slot++) {
+            if (!this.lookInSlot(slot)) return slot;
+        }
+        return null;
+    }
+
+    /**
+     * Crossfade to a stored look
+     * @param {string} name
+     * @param {number} seconds - Fade time (0 = instant)
+     */
+    recall(name, seconds = this.crossfadeSeconds) {
+        const look = this.get(name);
+        if (!look) {
+            throw new Error(`Look: unknown look "${name}"`);
+        }
+        this.applyState(look.state, seconds, name);
+    }
+
+    /**
+     * Crossfade to a state in the capture() format (a look's, or the
+     * starting state of an input replay)
+     * @param {object} to
+     * @param {number} seconds - Fade time (0 = instant)
+     * @param {string} label - For the log
+     */
+    applyState(to, seconds = this.crossfadeSeconds, label = 'state') {
+        const c = this.controller;
+
+        // Material first: its SPH tuning and UI follow, but not its preset;
+        // the look's own parameters take precedence.
+        if (to.material && c.materials && c.currentMaterial?.name !== to.material) {
+            const index = c.materials.findIndex((m) => m.name === to.material);
+            if (index >= 0) {
+                c.currentMaterialIndex = index;
+                if (c.simulation.oil) c.simulation.oil.applyMaterial(c.materials[index]);
+            }
+        }
+
+        this.fade = { name: label, start: this.now(), duration: Math.max(0, seconds) * 1000, from: this.capture(), to };
+        this.applyAt(0); // discrete parameters switch at the start
+        if (this.fade.duration === 0) {
+            this.applyAt(1);
+            this.fade = null;
+        }
+        console.log(`🎬 Look: ${label}${seconds > 0 ? ` (${seconds}s crossfade)` : ''}`);
+    }
+
+    cancelFade() {
+        this.fade = null;
+    }
+
+    /**
+     * Advance an active crossfade; call once per frame
+     * @returns {boolean} true while fading
+     */
+    update() {
+        if (!this.fade) return false;
+        const t = Math.min(1, (this.now() - this.fade.start) / this.fade.duration);
+        this.applyAt(t);
+        if (t >= 1) {
+            this.fade = null;
+            return false;
+        }
+        return true;
+    }
+
+    /** Write from/to interpolated at t (0..1) onto the live objects */
+    applyAt(t) {
+        const { from, to } = this.fade;
+        const c = this.controller;
+        const targets = { simulation: c.simulation, renderer: c.renderer, controller: c };
+        for (const group of Object.keys(targets)) {
+            const target = targets[group];
+            const values = to[group] || {};
+            for (const key of Object.keys(values)) {
+                // Only existing fields of the same type (as applyParams)
+                if (!(key in target) || typeof target[key] !== typeof values[key]) continue;
+                const end = values[key];
+                const begin = from[group]?.[key];
+                if (t >= 1 || isDiscrete(key, end) || typeof begin !== 'number') {
+                    target[key] = end;
+                } else {
+                    target[key] = begin + (end - begin) * t;
+                }
+            }
+        }
+    }
+
+    load() {
+        if (!this.storage) return;
+        try {
+            const raw = this.storage.getItem(LOOKS_STORAGE_KEY);
+            if (!raw) return;
+            const saved = JSON.parse(raw);
+            if (typeof saved.crossfadeSeconds === 'number') this.crossfadeSeconds = saved.crossfadeSeconds;
+            this.looks = (saved.looks || []).filter((look) => look && typeof look.name === 'string' && look.state);
+        } catch (err) {
+            console.warn('⚠️ Looks: ignoring unreadable saved looks', err);
+        }
+    }
+
+    persist() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(LOOKS_STORAGE_KEY, JSON.stringify({
+                crossfadeSeconds: this.crossfadeSeconds,
+                looks: this.looks
+            }));
+        } catch (err) {
+            console.warn('⚠️ Looks: could not save looks', err);
+        }
+    }
+}
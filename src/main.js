@@ -1,6 +1,7 @@
 import Renderer from './renderer.js';
 import Simulation from './simulation.js';
 import Controller from './controller.js';
+import FixedStepScheduler from './scheduler.js';
 import { SimulationTester, PerformanceMonitor } from '../tests/test-utils.js';
 
 console.log("🎨 Welcome to Liquid Light Simulator!");
@@ -11,6 +12,7 @@ class App {
         this.simulation = new Simulation(this.renderer);
         this.renderer.setSimulation(this.simulation);
         this.controller = new Controller(this.simulation, this.renderer);
+        this.scheduler = new FixedStepScheduler(this.controller);
         this.perfMonitor = new PerformanceMonitor();
 
         this.lastTime = 0;
@@ -27,6 +29,7 @@ class App {
         window.perfMonitor = this.perfMonitor;
         window.simulation = this.simulation; // For console debugging
         window.controller = this.controller; // For material debugging
+        window.scheduler = this.scheduler; // Fixed-step timing (stepRate, interpolate)
         
         console.log('\n📚 Testing Tools Available:');
         console.log('  window.tester - Simulation testing utilities');
@@ -47,6 +50,13 @@ class App {
         const deltaTime = (currentTime - this.lastTime) * 0.001; // convert to seconds
         this.lastTime = currentTime;
 
+        // Offline export steps the simulation itself with a fixed dt
+        if (this.controller.exporter.active) {
+            this.scheduler.reset();
+            requestAnimationFrame(this.animate);
+            return;
+        }
+
         // Record performance
         this.perfMonitor.recordFrame(deltaTime);
         
@@ -55,11 +65,9 @@ class App {
             this.perfMonitor.logStats();
         }
 
-        // Update controller (continuous injection when buttons held)
-        this.controller.update();
-        
-        await this.simulation.update(deltaTime);
-        this.renderer.render(this.simulation);
+        // Fixed simulation steps for the elapsed time (each one runs the
+        // controller's continuous input first), then render between the last two
+        await this.scheduler.frame(deltaTime);
 
         requestAnimationFrame(this.animate);
     }
@@ -0,0 +1,221 @@
+/**
+ * MaterialEditor - panel for creating and tuning custom materials
+ *
+ * Always edits the active material. Built-ins are read-only: clone one to
+ * get an editable copy. Changes go through Controller.updateMaterial, so the
+ * registry persists them and the active preset is re-applied live.
+ */
+import { MATERIAL_EDITOR_FIELDS, MATERIAL_LAYERS, materialToDefinition } from './materials.js';
+import { escapeHTML } from './utils.js';
+
+const BUTTON_STYLE = 'padding:6px 10px; background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.3); color: white; border-radius: 4px; cursor: pointer; font-size: 12px;';
+const INPUT_STYLE = 'background: rgba(255,255,255,0.08); border: 1px solid rgba(255,255,255,0.3); color: white; border-radius: 4px; padding: 4px; font-size: 12px;';
+
+export default class MaterialEditor {
+    constructor(controller) {
+        this.controller = controller;
+        this.registry = controller.materialRegistry;
+        this.visible = false;
+        this.createUI();
+    }
+
+    createUI() {
+        this.element = document.createElement('div');
+        this.element.className = 'material-editor';
+        this.element.style.cssText = `
+            position: fixed;
+            top: 130px;
+            left: 20px;
+            width: 280px;
+            max-height: calc(100vh - 160px);
+            overflow-y: auto;
+            background: rgba(0, 0, 0, 0.85);
+            border-radius: 12px;
+            padding: 16px;
+            box-shadow: 0 8px 32px rgba(0, 0, 0, 0.5);
+            backdrop-filter: blur(10px);
+            color: white;
+            font-family: system-ui, sans-serif;
+            font-size: 12px;
+            z-index: 1001;
+            display: none;
+        `;
+
+        this.element.addEventListener('click', (e) => this.onClick(e));
+        this.element.addEventListener('input', (e) => this.onInput(e));
+        this.element.addEventListener('change', (e) => this.onChange(e));
+        // Keep typing in the name field from triggering hotkeys
+        this.element.addEventListener('keydown', (e) => e.stopPropagation());
+
+        document.body.appendChild(this.element);
+    }
+
+    toggle() {
+        this.visible ? this.hide() : this.show();
+    }
+
+    show() {
+        this.visible = true;
+        this.element.style.display = 'block';
+        this.render();
+    }
+
+    hide() {
+        this.visible = false;
+        this.element.style.display = 'none';
+    }
+
+    /** Re-render if open (material switched or the list changed) */
+    refresh() {
+        if (this.visible) this.render();
+    }
+
+    render() {
+        const material = this.controller.currentMaterial;
+        const editable = this.registry.isCustom(material.name) && !this.registry.isBuiltin(material.name);
+        const disabled = editable ? '' : 'disabled';
+
+        const options = this.controller.materials.map((m, i) => `
+            <option value="${i}" ${m === material ? 'selected' : ''}>${escapeHTML(m.name)}${this.registry.isBuiltin(m.name) ? '' : ' ✎'}</option>
+        `).join('');
+        const layers = Object.entries(MATERIAL_LAYERS).map(([layer, label]) => `
+            <option value="${layer}" ${layer === material.layer ? 'selected' : ''}>${label}</option>
+        `).join('');
+        const keys = ['', '1', '2', '3', '4', '5', '6', '7', '8', '9'].map((k) => `
+            <option value="${k}" ${k === (material.key ?? '') ? 'selected' : ''}>${k || 'auto'}</option>
+        `).join('');
+
+        const sliders = MATERIAL_EDITOR_FIELDS.map((field) => {
+            const value = this.fieldValue(material, field);
+            return `
+                <label style="display:block; margin: 6px 0;">
+                    <span style="display:flex; justify-content:space-between; opacity:0.8;">
+                        <span>${field.label}</span><span class="field-value" data-field="${field.group}.${field.key}">${value}</span>
+                    </span>
+                    <input type="range" data-field="${field.group}.${field.key}" min="${field.min}" max="${field.max}" step="${field.step}" value="${value}" ${disabled} style="width:100%;">
+                </label>
+            `;
+        }).join('');
+
+        const swatches = material.palette.map((hex, i) => `
+            <input type="color" data-palette-index="${i}" value="${hex}" ${disabled} style="width:28px; height:24px; border:none; padding:0; background:none;">
+        `).join('');
+
+        this.element.innerHTML = `
+            <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:10px;">
+                <strong style="font-size:14px;">Materials Editor</strong>
+                <button data-editor-action="close" style="${BUTTON_STYLE}">✕</button>
+            </div>
+            <div style="display:flex; gap:6px; margin-bottom:8px;">
+                <select data-editor="material" style="${INPUT_STYLE} flex:1;">${options}</select>
+                <button data-editor-action="clone" style="${BUTTON_STYLE}">Clone</button>
+                <button data-editor-action="delete" ${this.registry.isCustom(material.name) ? '' : 'disabled'} style="${BUTTON_STYLE}">${this.registry.isBuiltin(material.name) ? 'Reset' : 'Delete'}</button>
+            </div>
+            ${editable ? '' : '<div style="opacity:0.6; margin-bottom:8px;">Built-in material: clone it to edit.</div>'}
+            <label style="display:block; margin-bottom:6px;">Name
+                <input type="text" data-editor="name" value="${escapeHTML(material.name)}" ${disabled} style="${INPUT_STYLE} width:100%; box-sizing:border-box;">
+            </label>
+            <div style="display:flex; gap:6px; margin-bottom:8px;">
+                <label style="flex:1;">Layer <select data-editor="layer" ${disabled} style="${INPUT_STYLE} width:100%;">${layers}</select></label>
+                <label>Key <select data-editor="key" ${disabled} style="${INPUT_STYLE}">${keys}</select></label>
+            </div>
+            ${sliders}
+            <div style="margin: 10px 0 4px 0; opacity:0.8;">Palette</div>
+            <div style="display:flex; gap:4px; flex-wrap:wrap; align-items:center;">
+                ${swatches}
+                <button data-editor-action="palette-add" ${disabled} style="${BUTTON_STYLE}">+</button>
+                <button data-editor-action="palette-remove" ${disabled || (material.palette.length <= 1 ? 'disabled' : '')} style="${BUTTON_STYLE}">−</button>
+            </div>
+            <div style="display:flex; gap:6px; margin-top:14px;">
+                <button data-editor-action="export" style="${BUTTON_STYLE} flex:1;">Export JSON</button>
+                <button data-editor-action="import" style="${BUTTON_STYLE} flex:1;">Import JSON</button>
+            </div>
+        `;
+    }
+
+    fieldValue(material, field) {
+        const block = field.group === 'optics' ? material.optics : material.preset;
+        if (block[field.key] !== undefined) return block[field.key];
+        // Not set by the material: show the value the preset falls back to
+        const fallback = this.controller.defaultPreset[field.key];
+        return fallback !== undefined ? fallback : field.min;
+    }
+
+    /**
+     * Apply a change to a copy of the active material's definition
+     * @param {Function} mutate - Receives the definition to modify
+     */
+    edit(mutate) {
+        const definition = materialToDefinition(this.controller.currentMaterial);
+        mutate(definition);
+        try {
+            return this.controller.updateMaterial(definition);
+        } catch (err) {
+            console.warn('⚠️ Material edit rejected:', err.message);
+            this.render();
+            return null;
+        }
+    }
+
+    onInput(e) {
+        const field = e.target.dataset.field;
+        if (!field || e.target.type !== 'range') return;
+        const [group, key] = field.split('.');
+        const value = parseFloat(e.target.value);
+        // Update in place; re-rendering would break the slider drag
+        this.edit((definition) => { definition[group][key] = value; });
+        const readout = this.element.querySelector(`.field-value[data-field="${field}"]`);
+        if (readout) readout.textContent = value;
+    }
+
+    onChange(e) {
+        const target = e.target;
+        if (target.dataset.editor === 'material') {
+            this.controller.setMaterial(parseInt(target.value, 10), true);
+            this.controller.updateMenuStates();
+        } else if (target.dataset.editor === 'name') {
+            this.controller.renameMaterial(this.controller.currentMaterial.name, target.value);
+        } else if (target.dataset.editor === 'layer') {
+            this.edit((definition) => { definition.layer = target.value; });
+            this.render();
+        } else if (target.dataset.editor === 'key') {
+            this.edit((definition) => { definition.key = target.value || null; });
+            this.controller.rebuildMaterialSelectors();
+        } else if (target.dataset.paletteIndex !== undefined) {
+            const index = parseInt(target.dataset.paletteIndex, 10);
+            this.edit((definition) => { definition.palette[index] = target.value.toUpperCase(); });
+        }
+    }
+
+    onClick(e) {
+        const button = e.target.closest('[data-editor-action]');
+        if (!button || button.disabled) return;
+        const material = this.controller.currentMaterial;
+
+        switch (button.dataset.editorAction) {
+            case 'close':
+                this.hide();
+                break;
+            case 'clone':
+                this.controller.cloneMaterial(material.name);
+                break;
+            case 'delete':
+                this.controller.removeMaterial(material.name);
+                break;
+            case 'palette-add':
+                this.edit((definition) => { definition.palette.push(definition.palette[definition.palette.length - 1]); });
+                this.render();
+                break;
+            case 'palette-remove':
+                this.edit((definition) => { definition.palette.pop(); });
+                this.render();
+                break;
+            case 'export':
+                this.controller.exportMaterials();
+                break;
+            case 'import':
+                this.controller.importMaterials();
+                break;
+        }
+    }
+}
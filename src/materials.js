@@ -0,0 +1,398 @@
+/**
+ * Material registry
+ *
+ * Everything that differs between paintable materials lives in one
+ * declarative definition: which layer it paints into, its simulation /
+ * renderer preset, SPH tuning, spawn size, composite optics and palette.
+ * OilLayer, Renderer and Controller read these fields instead of comparing
+ * material names, so a new material is a definition, not a code change:
+ *
+ *   controller.registerMaterial({
+ *       name: 'Castor Oil', layer: 'sph',
+ *       palette: ['#F9E79F', '#F5B041'],
+ *       preset: { surfaceTension: 180.0, oilViscosity: 0.55, buoyancyStrength: -4.0 },
+ *       spawn: { count: 4, radius: 12.0 },
+ *       optics: { iridescence: 0.15 }
+ *   });
+ *
+ * Definitions are plain JSON (registerJSON accepts a string, an object or an
+ * array of objects). Materials added after construction are "custom": they
+ * persist to localStorage and can be exported, renamed and removed; the
+ * built-ins can only be cloned.
+ */
+
+export const MATERIALS_STORAGE_KEY = 'liquid-light.materials';
+
+/** Layers a material can paint into, with the label used in logs */
+export const MATERIAL_LAYERS = {
+    water: 'Water Layer',    // dye in the water color field
+    sph: 'SPH Particles',    // particle blobs (SPHOilSystem)
+    grid: 'Grid Layer'       // texture advection-diffusion (OilLayer grid)
+};
+
+/**
+ * SPHOilSystem fields a material may override. Fields a material leaves out
+ * keep the SPHOilSystem constructor tuning.
+ */
+export const SPH_TUNABLES = ['blobCohesion', 'blobRepulsion', 'blobFriction', 'blobInteractionRadius', 'particleSpriteRadius'];
+
+const DEFAULT_SPH = {
+    gridDrag: 3.5,              // water→oil drag before rotation scaling
+    cpuVelocitySampling: true   // readPixels water velocity for grid drag (costly)
+};
+const DEFAULT_SPAWN = { count: 3, radius: 10.0 }; // particles / pixel radius per splat
+const DEFAULT_OPTICS = { iridescence: 0.0 };
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Fields exposed in the materials editor. `group` is the definition block
+ * the value lives in; preset keys are Simulation/Renderer fields.
+ */
+export const MATERIAL_EDITOR_FIELDS = [
+    { group: 'preset', key: 'surfaceTension', label: 'Surface Tension', min: 0, max: 300, step: 1 },
+    { group: 'preset', key: 'couplingStrength', label: 'Coupling', min: 0, max: 1, step: 0.01 },
+    { group: 'preset', key: 'oilViscosity', label: 'Oil Viscosity', min: 0, max: 1, step: 0.01 },
+    { group: 'preset', key: 'buoyancyStrength', label: 'Buoyancy', min: -20, max: 20, step: 0.5 },
+    { group: 'preset', key: 'marangoniStrength', label: 'Marangoni', min: 0, max: 2, step: 0.05 },
+    { group: 'preset', key: 'marangoniKth', label: 'Marangoni k_th', min: 0, max: 3, step: 0.05 },
+    { group: 'preset', key: 'marangoniEdgeBand', label: 'Marangoni Edge', min: 0.5, max: 5, step: 0.1 },
+    { group: 'preset', key: 'marangoniAmp', label: 'Marangoni Amp', min: 0, max: 10, step: 0.1 },
+    { group: 'preset', key: 'absorption', label: 'Absorption', min: 0.5, max: 8, step: 0.1 },
+    { group: 'preset', key: 'refractStrength', label: 'Refraction', min: 0, max: 0.06, step: 0.001 },
+    { group: 'preset', key: 'fresnelPower', label: 'Fresnel Power', min: 1, max: 5, step: 0.1 },
+    { group: 'preset', key: 'oilOcclusion', label: 'Occlusion', min: 0, max: 1, step: 0.01 },
+    { group: 'preset', key: 'oilAlphaGamma', label: 'Edge Gamma', min: 0.5, max: 2, step: 0.05 },
+    { group: 'optics', key: 'iridescence', label: 'Iridescence', min: 0, max: 1, step: 0.01 }
+];
+
+export const BUILTIN_MATERIALS = [
+    {
+        name: 'Ink',
+        layer: 'water',
+        color: { r: 0.0, g: 0.5, b: 1.0 }, // default blue
+        palette: ['#0080FF', '#00D4FF', '#00FFB4', '#FFE000', '#FF00FF', '#FFFFFF', '#4169E1', '#00CED1', '#7FFF00'],
+        preset: { surfaceTension: 120.0, couplingStrength: 0.08, oilSmoothingRate: 0.92, agitation: 0.0, marangoniStrength: 0.4, marangoniKth: 0.6, marangoniEdgeBand: 2.5, marangoniThMin: 0.02, marangoniForceClamp: 0.10, marangoniAmp: 4.0, buoyancyStrength: 0.0 },
+        optics: { iridescence: 0.3 } // colorful, pearlescent sheen
+    },
+    {
+        name: 'Mineral Oil',
+        layer: 'sph',
+        color: { r: 1.0, g: 0.82, b: 0.4 }, // gold
+        palette: ['#FFF3C4', '#FFD166', '#F6BD60', '#F7EDE2', '#F28482'],
+        preset: { surfaceTension: 150.0, couplingStrength: 0.08, oilSmoothingRate: 0.95, oilViscosity: 0.35, oilViscosityIterations: 30, absorption: 1.8, paletteDom: 0.12, refractStrength: 0.025, fresnelPower: 2.5, oilOcclusion: 0.25, oilAlphaGamma: 1.20, oilTintStrength: 0.9, marangoniStrength: 1.2, marangoniKth: 1.5, marangoniEdgeBand: 3.0, marangoniThMin: 0.01, marangoniForceClamp: 0.15, marangoniAmp: 5.0, agitation: 0.005, buoyancyStrength: -8.0 },
+        spawn: { count: 3, radius: 10.0 }, // compact cluster
+        optics: { iridescence: 0.1 }
+    },
+    {
+        name: 'Alcohol',
+        layer: 'grid',
+        color: { r: 0.74, g: 0.82, b: 1.0 }, // light blue
+        palette: ['#BDE0FE', '#A2D2FF', '#CDB4DB', '#FFC8DD', '#FFAFCC'],
+        preset: { surfaceTension: 50.0, couplingStrength: 0.20, oilSmoothingRate: 0.96, oilViscosity: 0.12, oilViscosityIterations: 16, viscosity: 0.015, absorption: 1.5, paletteDom: 0.20, refractStrength: 0.018, fresnelPower: 2.2, oilOcclusion: 0.15, oilAlphaGamma: 0.90, oilTintStrength: 0.9, marangoniKth: 0.4, marangoniEdgeBand: 1.5, agitation: 0.01, buoyancyStrength: -12.0 }
+    },
+    {
+        name: 'Syrup',
+        layer: 'sph',
+        color: { r: 0.82, g: 0.48, b: 0.21 }, // brown
+        palette: ['#8B4513', '#D2691E', '#C97A36', '#F4A261', '#E76F51'],
+        preset: { surfaceTension: 200.0, couplingStrength: 0.35, oilSmoothingRate: 0.98, oilViscosity: 0.6, oilViscosityIterations: 30, absorption: 2.0, paletteDom: 0.12, refractStrength: 0.030, fresnelPower: 2.8, oilOcclusion: 0.30, oilAlphaGamma: 1.20, oilTintStrength: 0.9, marangoniKth: 1.0, marangoniEdgeBand: 2.5, agitation: 0.002, buoyancyStrength: 5.0, oilOverflowUpper: 1.20, oilOverflowLower: 0.95, occupancyEveryN: 300 },
+        // Hero blobs, but few particles per splat so breakup doesn't flood the plate.
+        // Readback is too slow for Syrup's particle counts; it relies on SPH forces alone.
+        sph: { cpuVelocitySampling: false },
+        spawn: { count: 3, radius: 11.0 },
+        optics: { iridescence: 0.0 } // not iridescent
+    },
+    {
+        name: 'Glycerine',
+        layer: 'sph',
+        color: { r: 0.88, g: 0.76, b: 0.99 }, // pale purple
+        palette: ['#E0FBFC', '#98C1D9', '#3D5A80', '#EE6C4D', '#293241'],
+        preset: { surfaceTension: 80.0, couplingStrength: 0.40, oilSmoothingRate: 0.95, oilViscosity: 0.5, oilViscosityIterations: 30, absorption: 2.2, paletteDom: 0.10, refractStrength: 0.028, fresnelPower: 2.6, oilOcclusion: 0.25, oilAlphaGamma: 1.30, oilTintStrength: 0.9, marangoniKth: 1.2, marangoniEdgeBand: 3.0, agitation: 0.001, buoyancyStrength: 2.0, oilOverflowUpper: 0.98, oilOverflowLower: 0.90, occupancyEveryN: 150 },
+        spawn: { count: 3, radius: 12.0 }, // medium cluster
+        optics: { iridescence: 0.2 } // some sheen
+    }
+];
+
+function hexToRgb01(hex) {
+    const m = hex.replace('#', '');
+    return {
+        r: parseInt(m.substring(0, 2), 16) / 255,
+        g: parseInt(m.substring(2, 4), 16) / 255,
+        b: parseInt(m.substring(4, 6), 16) / 255
+    };
+}
+
+function numericFields(label, obj, allowed = null) {
+    const out = {};
+    for (const key of Object.keys(obj || {})) {
+        if (allowed && !allowed.includes(key)) {
+            throw new Error(`Material ${label}: unknown field "${key}"`);
+        }
+        const value = obj[key];
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new Error(`Material ${label}.${key}: expected a finite number`);
+        }
+        out[key] = value;
+    }
+    return out;
+}
+
+/**
+ * Validate a definition and fill in defaults. Returns a new object; the
+ * input is not modified.
+ * @throws {Error} on a missing name, unknown layer or malformed field
+ */
+export function defineMaterial(definition) {
+    if (!definition || typeof definition !== 'object') {
+        throw new Error('Material: definition must be an object');
+    }
+    const name = typeof definition.name === 'string' ? definition.name.trim() : '';
+    if (!name) {
+        throw new Error('Material: name is required');
+    }
+    const layer = definition.layer ?? 'sph';
+    if (!MATERIAL_LAYERS[layer]) {
+        throw new Error(`Material "${name}": unknown layer "${layer}" (expected ${Object.keys(MATERIAL_LAYERS).join(', ')})`);
+    }
+
+    const palette = definition.palette ?? [];
+    if (!Array.isArray(palette) || palette.length === 0 || !palette.every((c) => HEX_COLOR.test(c))) {
+        throw new Error(`Material "${name}": palette must be a non-empty list of #RRGGBB colors`);
+    }
+
+    const color = definition.color ? numericFields(`"${name}".color`, definition.color, ['r', 'g', 'b']) : hexToRgb01(palette[0]);
+    if (color.r === undefined || color.g === undefined || color.b === undefined) {
+        throw new Error(`Material "${name}": color needs r, g and b`);
+    }
+
+    let key = definition.key ?? null;
+    if (key !== null) {
+        key = String(key);
+        if (!/^[1-9]$/.test(key)) {
+            throw new Error(`Material "${name}": key must be 1-9`);
+        }
+    }
+
+    const sphIn = definition.sph || {};
+    const sph = { ...DEFAULT_SPH };
+    for (const key of Object.keys(sphIn)) {
+        if (key === 'cpuVelocitySampling') {
+            sph.cpuVelocitySampling = !!sphIn.cpuVelocitySampling;
+        } else if (key === 'gridDrag' || SPH_TUNABLES.includes(key)) {
+            Object.assign(sph, numericFields(`"${name}".sph`, { [key]: sphIn[key] }));
+        } else {
+            throw new Error(`Material "${name}".sph: unknown field "${key}"`);
+        }
+    }
+
+    return {
+        name,
+        layer,
+        color,
+        palette: [...palette],
+        preset: numericFields(`"${name}".preset`, definition.preset),
+        sph,
+        spawn: { ...DEFAULT_SPAWN, ...numericFields(`"${name}".spawn`, definition.spawn, ['count', 'radius']) },
+        optics: { ...DEFAULT_OPTICS, ...numericFields(`"${name}".optics`, definition.optics, Object.keys(DEFAULT_OPTICS)) },
+        key
+    };
+}
+
+/** Deep copy of a material as a plain, re-registrable definition */
+export function materialToDefinition(material) {
+    return JSON.parse(JSON.stringify(material));
+}
+
+export default class MaterialRegistry {
+    /**
+     * @param {object[]} definitions - Built-in materials, in selector order
+     * @param {object} opts
+     *  - storage: localStorage-like object for custom materials (null disables persistence)
+     */
+    constructor(definitions = BUILTIN_MATERIALS, { storage = globalThis.localStorage ?? null } = {}) {
+        // Stable array: Controller.materials and MIDI ranges hold this reference
+        this.materials = [];
+        this.storage = null; // no saving while registering built-ins / loading
+        for (const definition of definitions) this.register(definition);
+        this.builtins = new Map(this.materials.map((m) => [m.name, m]));
+        this.custom = new Set();
+
+        this.storage = storage;
+        this.load();
+    }
+
+    /**
+     * Add a material, or replace the one with the same name in place (so
+     * indices and number-key bindings stay put). Anything registered after
+     * construction is custom and persisted.
+     * @returns {object} the normalized material
+     */
+    register(definition) {
+        const material = defineMaterial(definition);
+        const index = this.indexOf(material.name);
+        if (index >= 0) {
+            this.materials[index] = material;
+        } else {
+            this.materials.push(material);
+        }
+        if (this.custom) {
+            this.custom.add(material.name);
+            this.save();
+        }
+        return material;
+    }
+
+    /**
+     * Register definitions from JSON text or already-parsed JSON
+     * @param {string|object|object[]} json
+     * @returns {object[]} the registered materials
+     */
+    registerJSON(json) {
+        const parsed = typeof json === 'string' ? JSON.parse(json) : json;
+        const definitions = Array.isArray(parsed) ? parsed : [parsed];
+        // Validate everything first so a bad entry doesn't leave a partial import
+        definitions.forEach(defineMaterial);
+        return definitions.map((definition) => this.register(definition));
+    }
+
+    /**
+     * Copy a material under a new (unique) name
+     * @returns {object} the new custom material
+     */
+    clone(name, newName = null) {
+        const source = this.get(name);
+        if (!source) {
+            throw new Error(`Material: unknown material "${name}"`);
+        }
+        const definition = materialToDefinition(source);
+        definition.name = this.uniqueName(newName || `${source.name} Copy`);
+        definition.key = null;
+        return this.register(definition);
+    }
+
+    /**
+     * Rename a custom material, keeping its position
+     */
+    rename(name, newName) {
+        if (!this.isCustom(name) || this.builtins.has(name)) {
+            throw new Error(`Material: "${name}" is not a custom material`);
+        }
+        const trimmed = typeof newName === 'string' ? newName.trim() : '';
+        if (!trimmed) {
+            throw new Error('Material: name is required');
+        }
+        if (trimmed !== name && this.indexOf(trimmed) >= 0) {
+            throw new Error(`Material: "${trimmed}" already exists`);
+        }
+        const index = this.indexOf(name);
+        this.materials[index] = { ...this.materials[index], name: trimmed };
+        this.custom.delete(name);
+        this.custom.add(trimmed);
+        this.save();
+        return this.materials[index];
+    }
+
+    /**
+     * Remove a custom material. A customized built-in goes back to its
+     * original definition instead of disappearing.
+     */
+    remove(name) {
+        const index = this.indexOf(name);
+        if (index < 0 || !this.isCustom(name)) {
+            throw new Error(`Material: "${name}" is not a custom material`);
+        }
+        if (this.builtins.has(name)) {
+            this.materials[index] = this.builtins.get(name);
+        } else {
+            this.materials.splice(index, 1);
+        }
+        this.custom.delete(name);
+        this.save();
+    }
+
+    isCustom(name) {
+        return !!this.custom && this.custom.has(name);
+    }
+
+    isBuiltin(name) {
+        return this.builtins.has(name);
+    }
+
+    /**
+     * Material index for a number key: an explicit `key` assignment wins,
+     * otherwise keys follow selector order.
+     * @returns {number} index, or -1 if nothing is bound
+     */
+    indexForKey(key) {
+        const k = String(key);
+        for (let i = this.materials.length - 1; i >= 0; i--) {
+            if (this.materials[i].key === k) return i;
+        }
+        const index = parseInt(k, 10) - 1;
+        return index >= 0 && index < this.materials.length ? index : -1;
+    }
+
+    /**
+     * JSON text for the given materials (default: all custom ones), in the
+     * format registerJSON accepts
+     */
+    exportJSON(names = this.materials.filter((m) => this.custom.has(m.name)).map((m) => m.name)) {
+        const definitions = names.map((name) => {
+            const material = this.get(name);
+            if (!material) throw new Error(`Material: unknown material "${name}"`);
+            return materialToDefinition(material);
+        });
+        return JSON.stringify(definitions, null, 2);
+    }
+
+    uniqueName(base) {
+        let name = base;
+        for (let n = 2; this.indexOf(name) >= 0; n++) name = `${base} ${n}`;
+        return name;
+    }
+
+    get(name) {
+        return this.materials.find((m) => m.name === name) || null;
+    }
+
+    indexOf(name) {
+        return this.materials.findIndex((m) => m.name === name);
+    }
+
+    get size() {
+        return this.materials.length;
+    }
+
+    load() {
+        if (!this.storage) return;
+        let saved;
+        try {
+            const raw = this.storage.getItem(MATERIALS_STORAGE_KEY);
+            if (!raw) return;
+            saved = JSON.parse(raw);
+        } catch (err) {
+            console.warn('⚠️ Materials: ignoring unreadable saved materials', err);
+            return;
+        }
+        const storage = this.storage;
+        this.storage = null; // don't re-save while loading
+        for (const definition of Array.isArray(saved) ? saved : []) {
+            try {
+                this.register(definition);
+            } catch (err) {
+                console.warn('⚠️ Materials: skipping saved material', err.message);
+            }
+        }
+        this.storage = storage;
+    }
+
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(MATERIALS_STORAGE_KEY, this.exportJSON());
+        } catch (err) {
+            console.warn('⚠️ Materials: could not save custom materials', err);
+        }
+    }
+}
@@ -0,0 +1,364 @@
+/**
+ * MIDI control surface mapping
+ *
+ * Maps CC and note messages onto performance parameters (Simulation /
+ * Renderer / Controller). Each mapping has its own output range and response
+ * curve; mappings are created with learn mode and persisted to localStorage.
+ *
+ * The message source is injectable: anything with
+ *   subscribe(onMessage: (bytes) => void) → unsubscribe()
+ * works, so tests can drive the mapper with synthetic [status, data1, data2]
+ * arrays instead of real hardware. createWebMidiSource() wraps Web MIDI.
+ */
+
+export const MIDI_STORAGE_KEY = 'liquid-light.midi';
+
+/** Response curves, applied to the normalized 0..1 controller value */
+export const MIDI_CURVES = {
+    linear: (t) => t,
+    exponential: (t) => t * t,           // fine control at the low end
+    logarithmic: (t) => Math.sqrt(t),    // fine control at the high end
+    scurve: (t) => t * t * (3 - 2 * t)   // gentle at both ends
+};
+
+/**
+ * Mappable parameters. `discrete` targets round to integers; `get`/`set`
+ * receive the controller so targets can go through existing setters
+ * (setRotation, applyHeatLampPreset, setMaterial) instead of poking fields.
+ */
+export const MIDI_TARGETS = {
+    rotationBase: {
+        label: 'Rotation',
+        min: -0.12, max: 0.12,
+        get: (c) => c.simulation.rotationBase,
+        set: (c, v) => c.simulation.setRotation(v)
+    },
+    vorticityStrength: {
+        label: 'Turbulence',
+        min: 0.0, max: 1.0,
+        get: (c) => c.simulation.vorticityStrength,
+        set: (c, v) => { c.simulation.vorticityStrength = v; }
+    },
+    marangoniStrength: {
+        label: 'Marangoni',
+        min: 0.0, max: 2.0,
+        get: (c) => c.simulation.marangoniStrength,
+        set: (c, v) => { c.simulation.marangoniStrength = v; }
+    },
+    absorptionCoefficient: {
+        label: 'Absorption',
+        min: 0.5, max: 8.0,
+        get: (c) => c.renderer.absorptionCoefficient,
+        set: (c, v) => { c.renderer.absorptionCoefficient = v; }
+    },
+    paletteDominance: {
+        label: 'Palette Dominance',
+        min: 0.0, max: 0.7,
+        get: (c) => c.renderer.paletteDominance,
+        set: (c, v) => { c.renderer.paletteDominance = v; }
+    },
+    heatLamp: {
+        label: 'Heat Lamp',
+        min: 0, max: 3, discrete: true,
+        get: (c) => c.heatLampLevel,
+        set: (c, v) => {
+            if (c.heatLampLevel === v) return;
+            c.heatLampLevel = v;
+            c.applyHeatLampPreset();
+        }
+    },
+    material: {
+        label: 'Material',
+        min: 0, max: (c) => Math.max(0, c.materials.length - 1), discrete: true,
+        get: (c) => c.currentMaterialIndex,
+        set: (c, v) => {
+            if (c.currentMaterialIndex === v) return;
+            c.setMaterial(v, true);
+        }
+    }
+};
+
+/**
+ * Decode a raw MIDI message into { type, channel, number, value }.
+ * Only CC and note on/off are of interest; everything else returns null.
+ * Note-on with velocity 0 is a note-off by convention.
+ */
+export function parseMidiMessage(data) {
+    if (!data || data.length < 3) return null;
+    const status = data[0] & 0xF0;
+    const channel = data[0] & 0x0F;
+    const number = data[1] & 0x7F;
+    const value = data[2] & 0x7F;
+    if (status === 0xB0) return { type: 'cc', channel, number, value };
+    if (status === 0x90 && value > 0) return { type: 'noteon', channel, number, value };
+    if (status === 0x80 || status === 0x90) return { type: 'noteoff', channel, number, value: 0 };
+    return null;
+}
+
+/** Stable key for a physical control: 'cc:0:21', 'note:9:36' */
+export function midiSourceKey(type, channel, number) {
+    const kind = type === 'cc' ? 'cc' : 'note';
+    return `${kind}:${channel}:${number}`;
+}
+
+/**
+ * Web MIDI message source (all current and hot-plugged inputs)
+ * @returns {Promise<{subscribe: Function}>} rejects if Web MIDI is unavailable or denied
+ */
+export async function createWebMidiSource(nav = globalThis.navigator) {
+    if (!nav || typeof nav.requestMIDIAccess !== 'function') {
+        throw new Error('Web MIDI is not supported in this browser');
+    }
+    const access = await nav.requestMIDIAccess();
+    return {
+        subscribe(onMessage) {
+            const handler = (e) => onMessage(e.data);
+            const attach = () => access.inputs.forEach((input) => { input.onmidimessage = handler; });
+            attach();
+            access.onstatechange = attach;
+            return () => {
+                access.onstatechange = null;
+                access.inputs.forEach((input) => { input.onmidimessage = null; });
+            };
+        }
+    };
+}
+
+export default class MidiController {
+    /**
+     * @param {Controller} controller - Owner; targets reach simulation/renderer through it
+     * @param {object} opts
+     *  - storage: localStorage-like object (null disables persistence)
+     *  - onChange: called after any mapped value or mapping changes
+     */
+    constructor(controller, { storage = globalThis.localStorage ?? null, onChange = null } = {}) {
+        this.controller = controller;
+        this.storage = storage;
+        this.onChange = onChange;
+
+        this.mappings = [];      // { source, target, min, max, curve, invert, value? }
+        this.learnTarget = null; // target name waiting for the next message
+        this.learnCallback = null;
+        this.autoConnect = false;
+        this.lastMessage = null;
+        this.unsubscribe = null;
+
+        this.load();
+    }
+
+    /**
+     * Attach a message source (see module header). Replaces any previous one.
+     */
+    connect(source) {
+        this.disconnect();
+        this.unsubscribe = source.subscribe((data) => this.handleMessage(data));
+        console.log('🎹 MIDI connected');
+    }
+
+    disconnect() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+    }
+
+    get connected() {
+        return this.unsubscribe !== null;
+    }
+
+    /**
+     * Arm learn mode: the next CC or note-on is bound to `target`
+     * @param {string} target - Key of MIDI_TARGETS
+     * @param {Function} callback - Receives the new mapping once learned
+     */
+    startLearn(target, callback = null) {
+        if (!MIDI_TARGETS[target]) {
+            throw new Error(`MIDI: unknown target "${target}"`);
+        }
+        this.learnTarget = target;
+        this.learnCallback = callback;
+        console.log(`🎹 MIDI learn: move a control for ${MIDI_TARGETS[target].label}`);
+    }
+
+    cancelLearn() {
+        this.learnTarget = null;
+        this.learnCallback = null;
+    }
+
+    /**
+     * Add or replace the mapping for a physical control. A control drives
+     * exactly one target; a target may be driven by several controls.
+     * @param {object} mapping - { source: {type, channel, number}, target, min?, max?, curve?, invert?, value? }
+     *   For note sources, `value` (in target units) is applied on note-on
+     *   instead of scaling velocity, e.g. one pad per material.
+     */
+    setMapping(mapping) {
+        const entry = this.normalizeMapping(mapping);
+        const { type, channel, number } = entry.source;
+        const key = midiSourceKey(type, channel, number);
+        this.mappings = this.mappings.filter((m) => midiSourceKey(m.source.type, m.source.channel, m.source.number) !== key);
+        this.mappings.push(entry);
+        this.save();
+        return entry;
+    }
+
+    /**
+     * Validate a mapping and fill in its defaults
+     * @throws {Error} for an unknown target or curve, a malformed source or a non-numeric range
+     */
+    normalizeMapping(mapping) {
+        const spec = MIDI_TARGETS[mapping.target];
+        if (!spec) {
+            throw new Error(`MIDI: unknown target "${mapping.target}"`);
+        }
+        if (mapping.curve && !MIDI_CURVES[mapping.curve]) {
+            throw new Error(`MIDI: unknown curve "${mapping.curve}"`);
+        }
+        const { type, channel, number } = mapping.source || {};
+        if (!Number.isInteger(channel) || channel < 0 || channel > 15 ||
+            !Number.isInteger(number) || number < 0 || number > 127) {
+            throw new Error(`MIDI: bad source ${JSON.stringify(mapping.source)}`);
+        }
+        for (const key of ['min', 'max', 'value']) {
+            if (mapping[key] !== undefined && !Number.isFinite(mapping[key])) {
+                throw new Error(`MIDI: ${key} must be a number, got ${JSON.stringify(mapping[key])}`);
+            }
+        }
+        const entry = {
+            source: { type: type === 'cc' ? 'cc' : 'note', channel, number },
+            target: mapping.target,
+            min: mapping.min ?? this.targetMin(spec),
+            max: mapping.max ?? this.targetMax(spec),
+            curve: mapping.curve ?? 'linear',
+            invert: !!mapping.invert
+        };
+        if (mapping.value !== undefined) entry.value = mapping.value;
+        return entry;
+    }
+
+    removeMapping(source) {
+        const key = midiSourceKey(source.type, source.channel, source.number);
+        this.mappings = this.mappings.filter((m) => midiSourceKey(m.source.type, m.source.channel, m.source.number) !== key);
+        this.save();
+    }
+
+    clearMappings() {
+        this.mappings = [];
+        this.save();
+    }
+
+    mappingsFor(target) {
+        return this.mappings.filter((m) => m.target === target);
+    }
+
+    targetMin(spec) {
+        return typeof spec.min === 'function' ? spec.min(this.controller) : spec.min;
+    }
+
+    targetMax(spec) {
+        return typeof spec.max === 'function' ? spec.max(this.controller) : spec.max;
+    }
+
+    /**
+     * Entry point for raw messages from the source
+     * @param {Uint8Array|number[]} data - [status, data1, data2]
+     */
+    handleMessage(data) {
+        const msg = parseMidiMessage(data);
+        if (!msg) return;
+        this.lastMessage = msg;
+
+        if (this.learnTarget && msg.type !== 'noteoff') {
+            const spec = MIDI_TARGETS[this.learnTarget];
+            const mapping = {
+                source: { type: msg.type, channel: msg.channel, number: msg.number },
+                target: this.learnTarget
+            };
+            // A pad learned for a discrete target recalls the current choice
+            // (select Syrup, learn, hit pad → that pad selects Syrup)
+            if (msg.type === 'noteon' && spec.discrete) {
+                mapping.value = spec.get(this.controller);
+            }
+            const learned = this.setMapping(mapping);
+            console.log(`🎹 MIDI learned: ${describeMidiSource(learned.source)} → ${MIDI_TARGETS[learned.target].label}`);
+            const callback = this.learnCallback;
+            this.cancelLearn();
+            if (callback) callback(learned);
+            if (this.onChange) this.onChange();
+            return;
+        }
+
+        if (msg.type === 'noteoff') return;
+        const key = midiSourceKey(msg.type, msg.channel, msg.number);
+        let changed = false;
+        for (const mapping of this.mappings) {
+            if (midiSourceKey(mapping.source.type, mapping.source.channel, mapping.source.number) !== key) continue;
+            this.apply(mapping, msg.value / 127);
+            changed = true;
+        }
+        if (changed && this.onChange) this.onChange();
+    }
+
+    /**
+     * Map a normalized 0..1 input through curve and range onto the target
+     */
+    apply(mapping, normalized) {
+        const spec = MIDI_TARGETS[mapping.target];
+        let value;
+        if (mapping.value !== undefined && mapping.source.type === 'note') {
+            value = mapping.value;
+        } else {
+            let t = Math.max(0, Math.min(1, normalized));
+            if (mapping.invert) t = 1 - t;
+            t = (MIDI_CURVES[mapping.curve] || MIDI_CURVES.linear)(t);
+            value = mapping.min + (mapping.max - mapping.min) * t;
+        }
+        if (spec.discrete) {
+            const lo = this.targetMin(spec);
+            const hi = this.targetMax(spec);
+            value = Math.max(lo, Math.min(hi, Math.round(value)));
+        }
+        spec.set(this.controller, value);
+        return value;
+    }
+
+    load() {
+        if (!this.storage) return;
+        try {
+            const raw = this.storage.getItem(MIDI_STORAGE_KEY);
+            if (!raw) return;
+            const saved = JSON.parse(raw);
+            this.autoConnect = !!saved.autoConnect;
+            this.mappings = [];
+            for (const mapping of saved.mappings || []) {
+                if (mapping?.curve && !MIDI_CURVES[mapping.curve]) mapping.curve = 'linear';
+                // Skip entries for targets that no longer exist or that do not parse
+                try {
+                    this.mappings.push(this.normalizeMapping(mapping));
+                } catch (err) {
+                    console.warn('⚠️ MIDI: skipping saved mapping', err.message);
+                }
+            }
+        } catch (err) {
+            console.warn('⚠️ MIDI: ignoring unreadable saved mappings', err);
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(MIDI_STORAGE_KEY, JSON.stringify({
+                autoConnect: this.autoConnect,
+                mappings: this.mappings
+            }));
+        } catch (err) {
+            console.warn('⚠️ MIDI: could not save mappings', err);
+        }
+    }
+}
+
+/** Human-readable control name, e.g. 'CC 21 (ch 1)' */
+export function describeMidiSource(source) {
+    const kind = source.type === 'cc' ? 'CC' : 'Note';
+    return `${kind} ${source.number} (ch ${source.channel + 1})`;
+}
@@ -3,6 +3,8 @@
  * Detects visual artifacts like straight lines, banding, etc.
  */
 
+import { bindContainer } from './simulation/kernels/container.js';
+
 export class QualityTester {
     constructor(simulation) {
         this.simulation = simulation;
@@ -17,8 +19,8 @@ export class QualityTester {
      */
     measureStraightness() {
         const gl = this.gl;
-        const width = gl.canvas.width;
-        const height = gl.canvas.height;
+        const width = this.simulation.simWidth;
+        const height = this.simulation.simHeight;
         
         // Read velocity field
         const pixels = new Float32Array(width * height * 4);
@@ -136,9 +138,10 @@ export class QualityTester {
         gl.activeTexture(gl.TEXTURE0);
         gl.bindTexture(gl.TEXTURE_2D, sim.oil.oilTexture1);
         gl.uniform1i(gl.getUniformLocation(sim.occupancyProgram, 'u_color_texture'), 0);
-        gl.uniform2f(gl.getUniformLocation(sim.occupancyProgram, 'u_resolution'), gl.canvas.width, gl.canvas.height);
+        gl.uniform2f(gl.getUniformLocation(sim.occupancyProgram, 'u_resolution'), sim.simWidth, sim.simHeight);
         const isOilLoc = gl.getUniformLocation(sim.occupancyProgram, 'u_isOil');
         if (isOilLoc) gl.uniform1i(isOilLoc, 1);
+        bindContainer(gl, sim.occupancyProgram, sim);
 
         gl.drawArrays(gl.TRIANGLES, 0, 6);
 
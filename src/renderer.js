@@ -1,4 +1,7 @@
-import { loadShader } from './utils.js';
+import { loadShader, flipRows } from './utils.js';
+import { KS_MAX } from './simulation/pigment.js';
+import { describeProgram, programTable, uniformLocation } from './simulation/kernels/programs.js';
+import { bindContainer } from './simulation/kernels/container.js';
 
 export default class Renderer {
     constructor(useWebGPU) {
@@ -29,6 +32,13 @@ export default class Renderer {
         // SPH oil overlays render on top of the water/ink scene.
         this.enableOilComposite = true;
 
+        // Drawing-buffer size override (offline export); null = fit the window
+        this.fixedSize = null;
+        // Canvas-size copies of simulation fields when the grid is smaller
+        this.upsampleTargets = {};
+        // Frames of the last two simulation steps for render(blend)
+        this.frameHistory = null;
+
         this.resize();
         window.addEventListener('resize', () => this.resize());
 
@@ -105,6 +115,10 @@ export default class Renderer {
         // Load volumetric rendering shader (Beer-Lambert absorption)
         const volumetricFrag = await loadShader('src/shaders/volumetric.frag.glsl');
         this.volumetricProgram = this.createProgram(passThroughVert, volumetricFrag);
+
+        // Flat pigment view (Kubelka-Munk mix, no light) when volumetric is off
+        const pigmentFrag = await loadShader('src/shaders/pigment.frag.glsl');
+        this.pigmentProgram = this.createProgram(passThroughVert, pigmentFrag);
         
         // Load post-processing shader (organic flow distortion)
         const postProcessFrag = await loadShader('src/shaders/post-process.frag.glsl');
@@ -121,6 +135,14 @@ export default class Renderer {
         // Load oil composite shader (adds lensy oil contribution over scene)
         const oilCompositeFrag = await loadShader('src/shaders/oil-composite.frag.glsl');
         this.oilCompositeProgram = this.createProgram(passThroughVert, oilCompositeFrag);
+
+        // Edge-aware upsample of simulation fields (sim grid → canvas)
+        const upsampleFrag = await loadShader('src/shaders/upsample.frag.glsl');
+        this.upsampleProgram = this.createProgram(passThroughVert, upsampleFrag);
+
+        // Clock glass: the lower dish seen through the upper plate
+        const plateFrag = await loadShader('src/shaders/plate-transmission.frag.glsl');
+        this.plateProgram = this.createProgram(passThroughVert, plateFrag);
         
         // Create intermediate texture for boundary rendering
         this.createBoundaryTexture();
@@ -189,6 +211,63 @@ export default class Renderer {
         gl.bindFramebuffer(gl.FRAMEBUFFER, null);
     }
 
+    /** Canvas-size RGBA8 texture with its framebuffer */
+    createCanvasTarget() {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.canvas.width, gl.canvas.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        const fbo = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        return { texture, fbo };
+    }
+
+    /** Canvas-size frames of the last two simulation steps, for render(blend) */
+    createFrameHistory() {
+        return { previous: this.createCanvasTarget(), current: this.createCanvasTarget(), step: null };
+    }
+
+    releaseFrameHistory() {
+        if (!this.frameHistory) return;
+        const gl = this.gl;
+        for (const target of [this.frameHistory.previous, this.frameHistory.current]) {
+            gl.deleteTexture(target.texture);
+            gl.deleteFramebuffer(target.fbo);
+        }
+        this.frameHistory = null;
+    }
+
+    releasePlateTargets() {
+        if (!this.plateTargets) return;
+        const gl = this.gl;
+        for (const target of [this.plateTargets.lower, this.plateTargets.stack]) {
+            gl.deleteTexture(target.texture);
+            gl.deleteFramebuffer(target.fbo);
+        }
+        this.plateTargets = null;
+    }
+
+    /** Draw a texture into a { fbo } target with the pass-through program */
+    copyToTarget(texture, target) {
+        const gl = this.gl;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target.fbo);
+        gl.useProgram(this.passThroughProgram);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        const positionAttrib = gl.getAttribLocation(this.passThroughProgram, 'a_position');
+        gl.enableVertexAttribArray(positionAttrib);
+        gl.vertexAttribPointer(positionAttrib, 2, gl.FLOAT, false, 0, 0);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.uniform1i(gl.getUniformLocation(this.passThroughProgram, 'u_texture'), 0);
+        gl.drawArrays(gl.TRIANGLES, 0, 6);
+    }
+
     resize() {
         const dpr = Math.max(1, Math.floor(window.devicePixelRatio || 1));
         const viewportWidth = Math.max(1, window.innerWidth);
@@ -207,7 +286,8 @@ export default class Renderer {
 
         // Compute SQUARE drawing buffer size in device pixels
         const maxTex = this._maxTextureSize || (this.gl ? (this._maxTextureSize = this.gl.getParameter(this.gl.MAX_TEXTURE_SIZE)) : 8192);
-        const targetSize = Math.min(maxTex, Math.max(1, Math.floor(squareSize * dpr)));
+        const requested = this.fixedSize || Math.floor(squareSize * dpr);
+        const targetSize = Math.min(maxTex, Math.max(1, requested));
 
         // Set drawing buffer to SQUARE (critical for circular display)
         canvasEl.width = targetSize;
@@ -226,6 +306,8 @@ export default class Renderer {
             this._lastCanvasH = h;
             if (this.ready) {
                 if (this.gl) {
+                    this.releaseFrameHistory();
+                    this.releasePlateTargets();
                     this.createBoundaryTexture();
                     this.createPostProcessTexture();
                     this.createOilCompositeTexture();
@@ -237,6 +319,33 @@ export default class Renderer {
         }
     }
 
+    /**
+     * Render at a fixed square size regardless of the window (null restores
+     * window fitting). Reallocates the simulation buffers when the size changes.
+     */
+    setFixedSize(size) {
+        this.fixedSize = size ? Math.round(size) : null;
+        this.resize();
+        if (this.fixedSize && this.canvas.width !== this.fixedSize) {
+            console.warn(`⚠️ Requested ${this.fixedSize}px exceeds MAX_TEXTURE_SIZE; rendering at ${this.canvas.width}px`);
+        }
+    }
+
+    /**
+     * Read back the default framebuffer (call right after render(), before
+     * the browser composites the frame)
+     * @returns {{width: number, height: number, data: Uint8Array}} RGBA, top row first
+     */
+    readPixels() {
+        const gl = this.gl;
+        const width = gl.drawingBufferWidth;
+        const height = gl.drawingBufferHeight;
+        const data = new Uint8Array(width * height * 4);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, data);
+        return { width, height, data: flipRows(data, width, height) };
+    }
+
     createQuad() {
         if (!this.gl) return null;
         const gl = this.gl;
@@ -266,6 +375,8 @@ export default class Renderer {
             return null;
         }
 
+        // Uniform locations are read once here; kernels use the cached table
+        describeProgram(gl, program);
         return program;
     }
 
@@ -294,10 +405,64 @@ export default class Renderer {
         console.log(`Debug mode: ${modes[this.debugMode]}`);
     }
 
-    render(simulation) {
-        if (!this.gl || !this.ready || !simulation.ready) return;
+    /**
+     * Bring a simulation field up to canvas resolution (clamped Catmull-Rom).
+     * Returns the field itself when the simulation grid matches the canvas.
+     * @param {string} key - Names the cached canvas-size target
+     */
+    upsampleField(simulation, key, texture) {
+        const gl = this.gl;
+        const width = gl.canvas.width;
+        const height = gl.canvas.height;
+        if (!texture || !this.upsampleProgram || (simulation.simWidth === width && simulation.simHeight === height)) {
+            return texture;
+        }
+
+        let target = this.upsampleTargets[key];
+        if (!target || target.width !== width || target.height !== height) {
+            if (target) {
+                gl.deleteTexture(target.texture);
+                gl.deleteFramebuffer(target.fbo);
+            }
+            // Half float keeps signed and >1 values (oil thickness, HDR ink)
+            const upsampled = simulation.createTexture(width, height, gl.RGBA16F, gl.RGBA, gl.HALF_FLOAT);
+            target = { width, height, texture: upsampled, fbo: simulation.createFBO(upsampled) };
+            this.upsampleTargets[key] = target;
+        }
 
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target.fbo);
+        gl.useProgram(this.upsampleProgram);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        const positionAttrib = programTable(gl, this.upsampleProgram).position;
+        gl.enableVertexAttribArray(positionAttrib);
+        gl.vertexAttribPointer(positionAttrib, 2, gl.FLOAT, false, 0, 0);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.uniform1i(uniformLocation(gl, this.upsampleProgram, 'u_texture'), 0);
+        gl.drawArrays(gl.TRIANGLES, 0, 6);
+        return target.texture;
+    }
+
+    /**
+     * Composite the simulation fields into a canvas-size texture (fluid
+     * colour or debug view, post-processing, oil), everything but the
+     * boundary pass
+     * @returns {WebGLTexture}
+     */
+    composeScene(simulation) {
         const gl = this.gl;
+
+        // Step 0: simulation fields at canvas resolution
+        const hasVisibleOil = simulation.oil && simulation.oil.hasVisibleOilContent();
+        const showOil = simulation.useOil && simulation.oil;
+        const compositeOil = this.enableOilComposite && showOil && hasVisibleOil && this.oilCompositeProgram;
+        const colorTexture = this.upsampleField(simulation, 'color', simulation.colorTexture1);
+        const oilTexture = showOil && (this.debugMode >= 3 || compositeOil)
+            ? this.upsampleField(simulation, 'oil', simulation.oil.oilTexture1)
+            : null;
+        const curvatureTexture = compositeOil
+            ? this.upsampleField(simulation, 'curvature', simulation.oil.curvatureTexture)
+            : null;
         
         // Step 1: Render simulation color to intermediate texture
         gl.bindFramebuffer(gl.FRAMEBUFFER, this.boundaryFBO);
@@ -320,7 +485,7 @@ export default class Renderer {
             gl.enableVertexAttribArray(positionAttrib);
             gl.vertexAttribPointer(positionAttrib, 2, gl.FLOAT, false, 0, 0);
             
-            gl.bindTexture(gl.TEXTURE_2D, simulation.colorTexture1);
+            gl.bindTexture(gl.TEXTURE_2D, colorTexture);
             let textureUniform = gl.getUniformLocation(this.debugConcentrationProgram, 'u_color_texture');
             gl.uniform1i(textureUniform, 0);
         } else if (this.debugMode === 1) {
@@ -334,7 +499,7 @@ export default class Renderer {
             gl.bindTexture(gl.TEXTURE_2D, simulation.velocityTexture1);
             gl.uniform1i(gl.getUniformLocation(this.debugVelocityProgram, 'u_velocity_texture'), 0);
             gl.uniform1f(gl.getUniformLocation(this.debugVelocityProgram, 'u_scale'), 3.0);
-        } else if (this.debugMode === 3 && this.simulation.useOil && this.simulation.oil) {
+        } else if (this.debugMode === 3 && simulation.useOil && simulation.oil) {
             // Oil thickness view
             gl.useProgram(this.debugOilThicknessProgram);
             gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
@@ -342,9 +507,9 @@ export default class Renderer {
             gl.enableVertexAttribArray(positionAttrib);
             gl.vertexAttribPointer(positionAttrib, 2, gl.FLOAT, false, 0, 0);
 
-            gl.bindTexture(gl.TEXTURE_2D, this.simulation.oil.oilTexture1);
+            gl.bindTexture(gl.TEXTURE_2D, oilTexture);
             gl.uniform1i(gl.getUniformLocation(this.debugOilThicknessProgram, 'u_oil_texture'), 0);
-        } else if (this.debugMode === 4 && this.simulation.useOil && this.simulation.oil) {
+        } else if (this.debugMode === 4 && simulation.useOil && simulation.oil) {
             // Oil gradient magnitude view
             gl.useProgram(this.debugOilGradientProgram);
             gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
@@ -352,10 +517,10 @@ export default class Renderer {
             gl.enableVertexAttribArray(positionAttrib);
             gl.vertexAttribPointer(positionAttrib, 2, gl.FLOAT, false, 0, 0);
 
-            gl.bindTexture(gl.TEXTURE_2D, this.simulation.oil.oilTexture1);
+            gl.bindTexture(gl.TEXTURE_2D, oilTexture);
             gl.uniform1i(gl.getUniformLocation(this.debugOilGradientProgram, 'u_oil_texture'), 0);
             gl.uniform2f(gl.getUniformLocation(this.debugOilGradientProgram, 'u_resolution'), gl.canvas.width, gl.canvas.height);
-        } else if (this.debugMode === 5 && this.simulation.useOil && this.simulation.oil) {
+        } else if (this.debugMode === 5 && simulation.useOil && simulation.oil) {
             // Split occupancy: left water ink occupancy (thresholded), right oil thickness
             gl.useProgram(this.debugOccupancySplitProgram);
             gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
@@ -364,14 +529,14 @@ export default class Renderer {
             gl.vertexAttribPointer(positionAttrib, 2, gl.FLOAT, false, 0, 0);
 
             gl.activeTexture(gl.TEXTURE0);
-            gl.bindTexture(gl.TEXTURE_2D, simulation.colorTexture1);
+            gl.bindTexture(gl.TEXTURE_2D, colorTexture);
             gl.uniform1i(gl.getUniformLocation(this.debugOccupancySplitProgram, 'u_water_color'), 0);
 
             gl.activeTexture(gl.TEXTURE1);
-            gl.bindTexture(gl.TEXTURE_2D, this.simulation.oil.oilTexture1);
+            gl.bindTexture(gl.TEXTURE_2D, oilTexture);
             gl.uniform1i(gl.getUniformLocation(this.debugOccupancySplitProgram, 'u_oil_texture'), 1);
             gl.uniform1f(gl.getUniformLocation(this.debugOccupancySplitProgram, 'u_thresh'), 0.02);
-        } else if (this.debugMode === 6 && this.simulation.useOil && this.simulation.oil) {
+        } else if (this.debugMode === 6 && simulation.useOil && simulation.oil) {
             // Raw oil composite view: show the post-composited oil texture directly
             gl.useProgram(this.passThroughProgram);
             gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
@@ -380,7 +545,7 @@ export default class Renderer {
             gl.vertexAttribPointer(positionAttrib, 2, gl.FLOAT, false, 0, 0);
 
             // Prefer dedicated oilCompositeTexture if available; fall back to oilTexture1
-            const oilComposite = this.oilCompositeTexture || this.simulation.oil.oilTexture1;
+            const oilComposite = this.oilCompositeTexture || oilTexture;
             gl.bindTexture(gl.TEXTURE_2D, oilComposite);
             let textureUniform = gl.getUniformLocation(this.passThroughProgram, 'u_texture');
             gl.uniform1i(textureUniform, 0);
@@ -392,18 +557,26 @@ export default class Renderer {
             gl.enableVertexAttribArray(positionAttrib);
             gl.vertexAttribPointer(positionAttrib, 2, gl.FLOAT, false, 0, 0);
             
-            gl.bindTexture(gl.TEXTURE_2D, simulation.colorTexture1);
+            gl.bindTexture(gl.TEXTURE_2D, colorTexture);
             let textureUniform = gl.getUniformLocation(this.volumetricProgram, 'u_color_texture');
             gl.uniform1i(textureUniform, 0);
             gl.uniform1f(gl.getUniformLocation(this.volumetricProgram, 'u_absorption_coefficient'), this.absorptionCoefficient);
             gl.uniform1f(gl.getUniformLocation(this.volumetricProgram, 'u_brightness_gain'), this.brightnessGain);
             gl.uniform3f(gl.getUniformLocation(this.volumetricProgram, 'u_light_color'), 
                 this.backgroundColor.r, this.backgroundColor.g, this.backgroundColor.b);
+            gl.uniform1f(gl.getUniformLocation(this.volumetricProgram, 'u_ks_max'), KS_MAX);
         } else {
-            // Simple color or velocity mode
-            gl.bindTexture(gl.TEXTURE_2D, simulation.colorTexture1);
-            let textureUniform = gl.getUniformLocation(this.passThroughProgram, 'u_texture');
-            gl.uniform1i(textureUniform, 0);
+            // Simple color mode: the pigment mix without the light
+            gl.useProgram(this.pigmentProgram);
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+            positionAttrib = gl.getAttribLocation(this.pigmentProgram, 'a_position');
+            gl.enableVertexAttribArray(positionAttrib);
+            gl.vertexAttribPointer(positionAttrib, 2, gl.FLOAT, false, 0, 0);
+
+            gl.bindTexture(gl.TEXTURE_2D, colorTexture);
+            gl.uniform1i(gl.getUniformLocation(this.pigmentProgram, 'u_color_texture'), 0);
+            gl.uniform1f(gl.getUniformLocation(this.pigmentProgram, 'u_absorption_coefficient'), this.absorptionCoefficient);
+            gl.uniform1f(gl.getUniformLocation(this.pigmentProgram, 'u_ks_max'), KS_MAX);
         }
 
         gl.drawArrays(gl.TRIANGLES, 0, 6);
@@ -426,7 +599,7 @@ export default class Renderer {
             gl.activeTexture(gl.TEXTURE0);
             gl.bindTexture(gl.TEXTURE_2D, this.boundaryTexture);
             gl.uniform1i(gl.getUniformLocation(this.postProcessProgram, 'u_texture'), 0);
-            gl.uniform1f(gl.getUniformLocation(this.postProcessProgram, 'u_time'), performance.now() / 1000.0);
+            gl.uniform1f(gl.getUniformLocation(this.postProcessProgram, 'u_time'), (simulation.clock ? simulation.clock() : performance.now()) / 1000.0);
             gl.uniform2f(gl.getUniformLocation(this.postProcessProgram, 'u_resolution'), gl.canvas.width, gl.canvas.height);
             gl.uniform1f(gl.getUniformLocation(this.postProcessProgram, 'u_distortionStrength'), this.distortionStrength);
             gl.uniform1f(gl.getUniformLocation(this.postProcessProgram, 'u_smoothingStrength'), this.smoothingStrength);
@@ -440,15 +613,13 @@ export default class Renderer {
         
         // Step 2.5: Oil composite (if enabled AND there's visible oil content)
         // Skip for Alcohol-only (Grid layer) - it should not darken the scene
-        const hasVisibleOil = this.simulation.oil && this.simulation.oil.hasVisibleOilContent();
-        
         // Debug: Log when skipping oil composite
-        if (this.simulation.useOil && this.simulation.oil && !hasVisibleOil && Math.random() < 0.02) {
-            const gridContent = this.simulation.oil.hasGridContent ? ' (Alcohol active)' : '';
+        if (simulation.useOil && simulation.oil && !hasVisibleOil && Math.random() < 0.02) {
+            const gridContent = simulation.oil.hasGridContent ? ' (Alcohol active)' : '';
             console.log(`⏭️  Skipping oil-composite (no SPH particles)${gridContent} - Ink stays visible!`);
         }
         
-        if (this.enableOilComposite && this.simulation.useOil && hasVisibleOil && this.oilCompositeProgram) {
+        if (compositeOil) {
             gl.bindFramebuffer(gl.FRAMEBUFFER, this.oilCompositeFBO);
             gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.oilCompositeTexture, 0);
             gl.clearColor(0.0, 0.0, 0.0, 1.0);
@@ -465,11 +636,11 @@ export default class Renderer {
             gl.uniform1i(gl.getUniformLocation(this.oilCompositeProgram, 'u_scene'), 0);
 
             gl.activeTexture(gl.TEXTURE1);
-            gl.bindTexture(gl.TEXTURE_2D, this.simulation.oil.oilTexture1);
+            gl.bindTexture(gl.TEXTURE_2D, oilTexture);
             gl.uniform1i(gl.getUniformLocation(this.oilCompositeProgram, 'u_oil_texture'), 1);
 
             gl.activeTexture(gl.TEXTURE2);
-            gl.bindTexture(gl.TEXTURE_2D, this.simulation.oil.curvatureTexture);
+            gl.bindTexture(gl.TEXTURE_2D, curvatureTexture);
             gl.uniform1i(gl.getUniformLocation(this.oilCompositeProgram, 'u_curvature_texture'), 2);
 
             // Set composite uniforms
@@ -480,19 +651,10 @@ export default class Renderer {
             gl.uniform1f(gl.getUniformLocation(this.oilCompositeProgram, 'u_oil_gamma'), this.oilAlphaGamma);
             gl.uniform1f(gl.getUniformLocation(this.oilCompositeProgram, 'u_tint_strength'), this.oilTintStrength);
 
-            // Set material-specific iridescence
-            let iridescence = 0.0;
-            const matName = this.simulation.controller?.materials[this.simulation.controller.currentMaterialIndex]?.name || '';
-
-            if (matName === 'Mineral Oil') {
-                iridescence = 0.1;
-            } else if (matName === 'Syrup') {
-                iridescence = 0.0; // Syrup is not iridescent
-            } else if (matName === 'Glycerine') {
-                iridescence = 0.2; // Glycerine can have some sheen
-            } else if (matName === 'Ink') {
-                iridescence = 0.3; // Ink can have a colorful, pearlescent sheen
-            }
+            // Set material-specific iridescence (materials.js optics)
+            const controller = this.simulation.controller;
+            const material = controller?.materials[controller.currentMaterialIndex];
+            const iridescence = material ? material.optics.iridescence : 0.0;
             gl.uniform1f(gl.getUniformLocation(this.oilCompositeProgram, 'u_iridescence_strength'), iridescence);
 
             gl.drawArrays(gl.TRIANGLES, 0, 6);
@@ -500,15 +662,95 @@ export default class Renderer {
             // After compositing, the source becomes oilCompositeTexture
             sourceTexture = this.oilCompositeTexture;
         }
-        
-        // Step 3: Render with circular boundary overlay to screen
+
+        return sourceTexture;
+    }
+
+    /**
+     * composeScene(), and when the clock glass is in, the lower dish seen
+     * through the upper plate (plate-transmission.frag.glsl)
+     * @returns {WebGLTexture}
+     */
+    composePlates(simulation) {
+        const scene = this.composeScene(simulation);
+        const plate = simulation.upperPlate;
+        if (!plate || !plate.ready || !this.plateProgram) return scene;
+
+        const gl = this.gl;
+        const targets = this.plateTargets || (this.plateTargets = {
+            lower: this.createCanvasTarget(),
+            stack: this.createCanvasTarget()
+        });
+        // composeScene reuses its intermediate textures: keep the lower dish
+        this.copyToTarget(scene, targets.lower);
+        const upper = this.composeScene(plate);
+        const pigment = this.upsampleField(plate, 'color', plate.colorTexture1);
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, targets.stack.fbo);
+        gl.useProgram(this.plateProgram);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        const positionAttrib = programTable(gl, this.plateProgram).position;
+        gl.enableVertexAttribArray(positionAttrib);
+        gl.vertexAttribPointer(positionAttrib, 2, gl.FLOAT, false, 0, 0);
+
+        const textures = [['u_lower', targets.lower.texture], ['u_upper', upper], ['u_upper_pigment', pigment]];
+        textures.forEach(([name, texture], unit) => {
+            gl.activeTexture(gl.TEXTURE0 + unit);
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            gl.uniform1i(uniformLocation(gl, this.plateProgram, name), unit);
+        });
+        gl.uniform1f(uniformLocation(gl, this.plateProgram, 'u_absorption_coefficient'), this.absorptionCoefficient);
+        gl.uniform1f(uniformLocation(gl, this.plateProgram, 'u_ks_max'), KS_MAX);
+        gl.uniform2f(uniformLocation(gl, this.plateProgram, 'u_resolution'), gl.canvas.width, gl.canvas.height);
+        gl.uniform1f(uniformLocation(gl, this.plateProgram, 'u_thickness'), 0.004);
+        // The glass's own wall, not the dish's
+        bindContainer(gl, this.plateProgram, plate);
+
+        gl.drawArrays(gl.TRIANGLES, 0, 6);
+        return targets.stack.texture;
+    }
+
+    /**
+     * Draw a frame
+     * @param {Simulation} simulation
+     * @param {number|null} blend - how far the display is into the next
+     *   simulation step (FixedStepScheduler); the frames of the last two steps
+     *   are mixed by it. null composes the current state directly.
+     */
+    render(simulation, blend = null) {
+        if (!this.gl || !this.ready || !simulation.ready) return;
+
+        const gl = this.gl;
+        // Simulation passes leave the viewport on the (possibly smaller) grid
+        gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+
+        let sourceTexture;
+        let previousTexture = null;
+        if (blend === null) {
+            sourceTexture = this.composePlates(simulation);
+        } else {
+            // The scene is composed once per simulation step; frames between
+            // steps only redo the boundary pass
+            const history = this.frameHistory || (this.frameHistory = this.createFrameHistory());
+            if (history.step !== simulation.stepCount) {
+                const scene = this.composePlates(simulation);
+                [history.previous, history.current] = [history.current, history.previous];
+                this.copyToTarget(scene, history.current);
+                if (history.step === null) this.copyToTarget(scene, history.previous);
+                history.step = simulation.stepCount;
+            }
+            sourceTexture = history.current.texture;
+            previousTexture = history.previous.texture;
+        }
+
+        // Step 3: Render with the container wall overlaid, to screen
         gl.bindFramebuffer(gl.FRAMEBUFFER, null);
         gl.clearColor(0.0, 0.0, 0.0, 1.0);
         gl.clear(gl.COLOR_BUFFER_BIT);
         
         gl.useProgram(this.boundaryProgram);
         gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
-        positionAttrib = gl.getAttribLocation(this.boundaryProgram, 'a_position');
+        const positionAttrib = gl.getAttribLocation(this.boundaryProgram, 'a_position');
         gl.enableVertexAttribArray(positionAttrib);
         gl.vertexAttribPointer(positionAttrib, 2, gl.FLOAT, false, 0, 0);
         
@@ -516,21 +758,37 @@ export default class Renderer {
         gl.bindTexture(gl.TEXTURE_2D, sourceTexture);
         let boundaryTextureUniform = gl.getUniformLocation(this.boundaryProgram, 'u_texture');
         gl.uniform1i(boundaryTextureUniform, 0);
+
+        // Step interpolation: the previous step's frame on unit 2
+        gl.uniform1f(gl.getUniformLocation(this.boundaryProgram, 'u_blend'), previousTexture ? blend : 1.0);
+        if (previousTexture) {
+            gl.activeTexture(gl.TEXTURE2);
+            gl.bindTexture(gl.TEXTURE_2D, previousTexture);
+            gl.uniform1i(gl.getUniformLocation(this.boundaryProgram, 'u_previous'), 2);
+        }
         
         // Set boundary parameters
         const resUniform = gl.getUniformLocation(this.boundaryProgram, 'u_resolution');
         gl.uniform2f(resUniform, gl.canvas.width, gl.canvas.height);
-        const centerUniform = gl.getUniformLocation(this.boundaryProgram, 'u_center');
-        gl.uniform2f(centerUniform, 0.5, 0.5);
-        
-        const radiusUniform = gl.getUniformLocation(this.boundaryProgram, 'u_radius');
-        // Smaller radius on mobile to prevent right-edge cropping
-        const isMobile = window.innerWidth <= 768;
-        const radius = isMobile ? 0.47 : 0.48;
-        gl.uniform1f(radiusUniform, radius);
+        // The wall the simulation uses (simulation/container.js)
+        bindContainer(gl, this.boundaryProgram, simulation);
         
         const thicknessUniform = gl.getUniformLocation(this.boundaryProgram, 'u_thickness');
         gl.uniform1f(thicknessUniform, 0.005);
+
+        // Obstacles and the stirring rod, drawn as glassy solids over the fluid
+        const obstacles = simulation.obstacleMask();
+        gl.uniform1i(gl.getUniformLocation(this.boundaryProgram, 'u_hasObstacles'), obstacles ? 1 : 0);
+        if (obstacles) {
+            gl.activeTexture(gl.TEXTURE1);
+            gl.bindTexture(gl.TEXTURE_2D, obstacles);
+            gl.uniform1i(gl.getUniformLocation(this.boundaryProgram, 'u_obstacles'), 1);
+        }
+        const rod = simulation.stirringRod;
+        gl.uniform1i(gl.getUniformLocation(this.boundaryProgram, 'u_hasRod'), rod.active ? 1 : 0);
+        if (rod.active) {
+            gl.uniform3f(gl.getUniformLocation(this.boundaryProgram, 'u_rod'), rod.x, rod.y, rod.radius);
+        }
         
         gl.drawArrays(gl.TRIANGLES, 0, 6);
     }
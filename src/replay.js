@@ -0,0 +1,397 @@
+/**
+ * Input recording and replay
+ *
+ * InputReplay records what the controller does to the simulation: paint
+ * splats (position, color, material, radius, brush flow), brush stroke
+ * pushes, jet bursts, stirring-rod drags, heat lamp moves, rotation changes
+ * (the clock glass's too), plate tilt, clears and key presses. Each event is
+ * stamped with the simulation step it preceded. A
+ * replay file is that event stream plus the state at the start (a look
+ * capture, with the tilt, rotation keys and clock glass that looks leave out)
+ * and the RNG seed if the simulation was deterministic.
+ *
+ * Playback feeds the events back through the same calls on the same step:
+ * Simulation.splat, OilLayer.splatColor, splatVelocity (brush pushes and
+ * fireJetRing), the StirringRod (via stirRod), the HeatLamp (via
+ * moveHeatLamp), setRotationDelta and setTilt.
+ * Splats marked plate: 'upper' go into the clock glass (Simulation.upperPlate)
+ * when it is in. Pressing the glass in (Controller.setUpperPlate) loads its
+ * layers, so the events after it wait until it is ready; the Scheduler
+ * waits too (settle), keeping them on their step. With setDeterministic() and a fixed timestep, a replay
+ * reproduces a run exactly, so replays can double as regression fixtures.
+ */
+
+export const REPLAY_VERSION = 1;
+
+// Numeric fields each event type must carry
+const EVENT_FIELDS = {
+    splat: ['x', 'y', 'radius'],       // ink into the water layer (+ color, material, flow)
+    oilSplat: ['x', 'y', 'radius'],    // OilLayer.splatColor (+ color, material, flow)
+    push: ['x', 'y', 'vx', 'vy', 'radius'], // brush stroke momentum → splatVelocity
+    jet: ['x', 'y', 'strength'],       // fireJetRing → 12 × splatVelocity
+    stir: ['x', 'y'],                  // stirRod (+ phase: grab, move, release)
+    lamp: ['x', 'y'],                  // moveHeatLamp
+    rotation: ['value'],               // setRotation (rotation button)
+    rotationDelta: ['value'],          // setRotationDelta (keys, audio)
+    upperPlate: ['value'],             // enableUpperPlate (1) / disableUpperPlate (0)
+    upperRotation: ['value'],          // clock glass setRotation (Glass Spin)
+    upperRotationDelta: ['value'],     // clock glass setRotationDelta (Shift+A/D)
+    tilt: ['x', 'y'],                  // setTilt (device orientation, gamepad)
+    clear: [],                         // clearPlate (menu, three-finger tap)
+    material: [],                      // setMaterial (+ material)
+    keydown: [],                       // onKeyDown (+ key, code)
+    keyup: []                          // onKeyUp (+ key, code)
+};
+
+// Set every frame by some sources (audio): only recorded when the value changes
+const COALESCED = ['rotation', 'rotationDelta', 'upperRotation', 'upperRotationDelta', 'tilt'];
+
+/**
+ * Validate a replay (object or JSON string) and return it normalized
+ * @throws {Error} if it is not a replay this version can play
+ */
+export function parseReplay(input) {
+    const data = typeof input === 'string' ? JSON.parse(input) : input;
+    if (!data || typeof data !== 'object' || !Array.isArray(data.events)) {
+        throw new Error('Replay: expected an object with an events array');
+    }
+    if (data.version !== REPLAY_VERSION) {
+        throw new Error(`Replay: unsupported version ${data.version}`);
+    }
+    let lastStep = 0;
+    const events = data.events.map((event, i) => {
+        const fields = event && EVENT_FIELDS[event.type];
+        if (!fields) {
+            throw new Error(`Replay: event ${i} has unknown type "${event && event.type}"`);
+        }
+        if (!Number.isInteger(event.step) || event.step < lastStep) {
+            throw new Error(`Replay: event ${i} step must be an integer and not go backwards`);
+        }
+        for (const field of fields) {
+            if (!Number.isFinite(event[field])) {
+                throw new Error(`Replay: event ${i} (${event.type}) needs a numeric ${field}`);
+            }
+        }
+        lastStep = event.step;
+        return { ...event };
+    });
+    return {
+        version: REPLAY_VERSION,
+        seed: Number.isFinite(data.seed) ? data.seed : null,
+        steps: Math.max(Number.isInteger(data.steps) ? data.steps : 0, lastStep),
+        start: data.start && typeof data.start === 'object' ? data.start : null,
+        events
+    };
+}
+
+/** Stand-in KeyboardEvent for onKeyDown / onKeyUp */
+function keyEvent(event) {
+    return {
+        key: event.key,
+        code: event.code,
+        shiftKey: !!event.shiftKey,
+        altKey: !!event.altKey,
+        ctrlKey: false,
+        metaKey: false,
+        defaultPrevented: !!event.prevented,
+        preventDefault() { this.defaultPrevented = true; }
+    };
+}
+
+export default class InputReplay {
+    /**
+     * @param {Controller} controller - Played events act through it
+     *   (simulation, fireJetRing, setMaterial, onKeyDown/onKeyUp, looks)
+     */
+    constructor(controller) {
+        this.controller = controller;
+        this.mode = 'idle';        // 'idle' | 'recording' | 'playing'
+        this.events = [];          // events of the recording in progress
+        this.replay = null;        // last recorded or loaded replay
+        this.cursor = 0;           // next event to play
+        this.baseStep = 0;         // simulation.stepCount when recording / playback began
+        this.startTime = 0;
+        this.startState = null;
+        this.seed = null;
+        this.lastValues = {};
+        this.missingMaterials = new Set();
+        this.pending = null;       // a played clock glass toggle still in progress
+    }
+
+    get recording() {
+        return this.mode === 'recording';
+    }
+
+    get playing() {
+        return this.mode === 'playing';
+    }
+
+    /** Simulation steps since recording / playback began */
+    get step() {
+        return this.controller.simulation.stepCount - this.baseStep;
+    }
+
+    startRecording() {
+        const c = this.controller;
+        const sim = c.simulation;
+        this.stopPlayback();
+        this.mode = 'recording';
+        this.events = [];
+        this.baseStep = sim.stepCount;
+        this.startTime = sim.time;
+        // Tilt and the rotation keys are recorded only as they change, and
+        // looks leave them out: keep where they start, with the clock glass
+        const input = this.captureInput();
+        this.startState = { ...(c.looks ? c.looks.capture() : null), input };
+        // Values still held from there are not recorded again
+        this.lastValues = {
+            rotationDelta: input.rotationDelta,
+            tilt: `${input.tilt.x},${input.tilt.y}`
+        };
+        if (input.upperPlate) {
+            this.lastValues.upperRotation = input.upperPlate.rotation;
+            this.lastValues.upperRotationDelta = input.upperPlate.rotationDelta;
+        }
+        this.seed = Number.isFinite(sim.seed) ? sim.seed : null;
+        console.log('⏺️ Replay: recording');
+    }
+
+    /**
+     * Finish the recording
+     * @returns {object|null} the replay (also kept as this.replay)
+     */
+    stopRecording() {
+        if (!this.recording) return null;
+        this.mode = 'idle';
+        this.replay = {
+            version: REPLAY_VERSION,
+            seed: this.seed,
+            steps: this.step,
+            start: this.startState,
+            events: this.events
+        };
+        this.events = [];
+        console.log(`⏹️ Replay: recorded ${this.replay.events.length} events over ${this.replay.steps} steps`);
+        return this.replay;
+    }
+
+    /**
+     * Append an event to the recording in progress (no-op otherwise)
+     * @param {string} type - One of EVENT_FIELDS
+     * @param {object} data
+     */
+    record(type, data) {
+        if (!this.recording) return;
+        if (COALESCED.includes(type)) {
+            const value = 'value' in data ? data.value : `${data.x},${data.y}`;
+            if (this.lastValues[type] === value) return;
+            this.lastValues[type] = value;
+        }
+        const event = { step: this.step, time: this.controller.simulation.time - this.startTime, type, ...data };
+        if (data.color) event.color = { r: data.color.r, g: data.color.g, b: data.color.b };
+        this.events.push(event);
+    }
+
+    /**
+     * Record a keydown / keyup. Modifier shortcuts (save, load, tests) are
+     * left out: they act outside the simulation.
+     */
+    recordKey(type, e) {
+        if (!this.recording || e.ctrlKey || e.metaKey) return;
+        this.record(type, {
+            key: e.key,
+            code: e.code,
+            shiftKey: !!e.shiftKey,
+            altKey: !!e.altKey,
+            prevented: !!e.defaultPrevented
+        });
+    }
+
+    /**
+     * Start playing a replay from the current step
+     * @param {object|string} replay - Replay object or JSON (default: the last one)
+     */
+    play(replay = this.replay) {
+        if (!replay) {
+            throw new Error('Replay: nothing to play');
+        }
+        const parsed = parseReplay(replay);
+        const c = this.controller;
+        const sim = c.simulation;
+        this.stopRecording();
+        this.missingMaterials.clear();
+
+        if (parsed.seed !== null && sim.setDeterministic) sim.setDeterministic(parsed.seed);
+        if (parsed.start?.simulation && c.looks) {
+            if (parsed.start.material) this.selectMaterial(parsed.start.material);
+            c.looks.applyState(parsed.start, 0, 'replay start');
+        }
+
+        this.replay = parsed;
+        this.cursor = 0;
+        this.baseStep = sim.stepCount;
+        this.mode = 'playing';
+        if (parsed.start?.input) this.applyInput(parsed.start.input);
+        console.log(`▶️ Replay: playing ${parsed.events.length} events over ${parsed.steps} steps`);
+    }
+
+    /** The input channels a look capture leaves out */
+    captureInput() {
+        const sim = this.controller.simulation;
+        const plate = sim.upperPlate;
+        return {
+            tilt: { x: sim.tiltX ?? 0, y: sim.tiltY ?? 0 },
+            rotationDelta: sim.rotationDelta ?? 0,
+            upperPlate: plate ? { rotation: plate.rotationBase, rotationDelta: plate.rotationDelta } : null
+        };
+    }
+
+    /**
+     * Bring the input channels to where the recording started. Pressing the
+     * clock glass in holds the first events until it is ready.
+     */
+    applyInput(input) {
+        const c = this.controller;
+        const sim = c.simulation;
+        const { tilt, rotationDelta, upperPlate } = input;
+        if (tilt && Number.isFinite(tilt.x) && Number.isFinite(tilt.y) &&
+            (tilt.x !== (sim.tiltX ?? 0) || tilt.y !== (sim.tiltY ?? 0))) {
+            sim.setTilt(tilt.x, tilt.y);
+        }
+        if (Number.isFinite(rotationDelta) && rotationDelta !== (sim.rotationDelta ?? 0)) {
+            sim.setRotationDelta(rotationDelta);
+        }
+        const spin = () => {
+            if (!upperPlate || !sim.upperPlate) return;
+            sim.upperPlate.setRotation(upperPlate.rotation ?? 0);
+            sim.upperPlate.setRotationDelta(upperPlate.rotationDelta ?? 0);
+        };
+        if (!!upperPlate === !!sim.upperPlate) spin();
+        else this.wait(c.setUpperPlate(!!upperPlate).then(spin));
+    }
+
+    stopPlayback() {
+        if (!this.playing) return;
+        this.mode = 'idle';
+        console.log('⏹️ Replay: stopped');
+    }
+
+    /**
+     * Dispatch the events due at the current step. Call once per frame
+     * before the simulation steps, as Controller.update does.
+     * @returns {boolean} true while playing
+     */
+    update() {
+        if (!this.playing) return false;
+        if (this.pending) return true;
+        const events = this.replay.events;
+        const step = this.step;
+        while (this.cursor < events.length && events[this.cursor].step <= step) {
+            const done = this.dispatch(events[this.cursor++]);
+            if (done) {
+                this.wait(done);
+                return true;
+            }
+        }
+        if (this.cursor >= events.length && step >= this.replay.steps) {
+            this.mode = 'idle';
+            console.log('⏹️ Replay: finished');
+            return false;
+        }
+        return true;
+    }
+
+    /** Hold the events after one that is still acting (the clock glass) */
+    wait(promise) {
+        this.pending = promise
+            .catch((err) => {
+                console.error('❌ Replay: the clock glass failed; stopping playback', err);
+                this.stopPlayback();
+            })
+            .finally(() => { this.pending = null; });
+    }
+
+    /** Wait out a pending event, then dispatch the rest of the step's events */
+    async settle() {
+        while (this.pending) {
+            await this.pending;
+            this.update();
+        }
+    }
+
+    /** @returns {Promise|undefined} a promise while the event is still acting */
+    dispatch(event) {
+        const c = this.controller;
+        const sim = c.simulation;
+        const target = event.plate === 'upper' && sim.upperPlate ? sim.upperPlate : sim;
+        switch (event.type) {
+            case 'splat':
+                this.selectMaterial(event.material);
+                target.splat(event.x, event.y, event.color, event.radius, event.flow ?? 1.0);
+                break;
+            case 'oilSplat':
+                this.selectMaterial(event.material);
+                if (target.oil) target.oil.splatColor(event.x, event.y, event.color, event.radius, event.flow ?? 1.0);
+                break;
+            case 'push':
+                target.splatVelocity(event.x, event.y, event.vx, event.vy, event.radius);
+                break;
+            case 'jet':
+                c.fireJetRing(event.x, event.y, event.strength);
+                break;
+            case 'stir':
+                c.stirRod(event.phase, event.x, event.y);
+                break;
+            case 'lamp':
+                c.moveHeatLamp(event.x, event.y);
+                break;
+            case 'rotation':
+                sim.setRotation(event.value);
+                break;
+            case 'rotationDelta':
+                sim.setRotationDelta(event.value);
+                break;
+            case 'upperPlate':
+                return c.setUpperPlate(!!event.value);
+            case 'upperRotation':
+                if (sim.upperPlate) sim.upperPlate.setRotation(event.value);
+                break;
+            case 'upperRotationDelta':
+                if (sim.upperPlate) sim.upperPlate.setRotationDelta(event.value);
+                break;
+            case 'tilt':
+                sim.setTilt(event.x, event.y);
+                break;
+            case 'clear':
+                sim.clearColor();
+                break;
+            case 'material':
+                this.selectMaterial(event.material);
+                break;
+            case 'keydown':
+                c.onKeyDown(keyEvent(event));
+                break;
+            case 'keyup':
+                c.onKeyUp(keyEvent(event));
+                break;
+        }
+    }
+
+    /** Switch to a material by name; unknown (e.g. custom) materials keep the current one */
+    selectMaterial(name) {
+        const c = this.controller;
+        if (!name || c.currentMaterial?.name === name) return;
+        const index = c.materials.findIndex((m) => m.name === name);
+        if (index >= 0) {
+            c.setMaterial(index, false);
+        } else if (!this.missingMaterials.has(name)) {
+            this.missingMaterials.add(name);
+            console.warn(`⚠️ Replay: material "${name}" is not defined here; using ${c.currentMaterial?.name}`);
+        }
+    }
+
+    /** The last replay as a JSON string (for saving to a file) */
+    exportJSON() {
+        return this.replay ? JSON.stringify(this.replay) : null;
+    }
+}
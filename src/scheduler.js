@@ -0,0 +1,96 @@
+/**
+ * Fixed-timestep scheduler
+ *
+ * Decouples the simulation rate from the display refresh. Each animation
+ * frame adds its wall-clock time to an accumulator and the simulation takes
+ * as many fixed steps of 1 / stepRate as fit, each one a Controller.update
+ * (input, replay events, light rotation) followed by Simulation.update, the
+ * same pair FrameExporter runs offline. A slow frame no longer slows the
+ * physics down, and a fast one no longer shortens the step.
+ *
+ * What is left in the accumulator is how far the display is into the next
+ * step. The renderer blends the frames of the last two steps by that
+ * fraction, so on a 120/144 Hz display the picture moves every refresh
+ * instead of holding each step for an uneven number of them.
+ *
+ * CFL substepping happens inside Simulation.update (see planSubsteps), so
+ * live and exported runs split fast steps the same way.
+ */
+
+// Simulation steps per second, live and in exports (replay events are stamped
+// in these steps)
+export const STEP_RATE = 60;
+
+export default class FixedStepScheduler {
+    /**
+     * @param {Controller} controller - with .simulation and .renderer
+     * @param {object} opts
+     *  - stepRate: fixed steps per second (default STEP_RATE)
+     *  - maxStepsPerFrame: steps one frame may catch up; older backlog is
+     *    dropped so a stall doesn't turn into a burst of steps
+     *  - interpolate: blend the last two steps when rendering
+     */
+    constructor(controller, { stepRate = STEP_RATE, maxStepsPerFrame = 4, interpolate = true } = {}) {
+        this.controller = controller;
+        this.stepRate = stepRate;
+        this.maxStepsPerFrame = maxStepsPerFrame;
+        this.interpolate = interpolate;
+        this.accumulator = 0;   // seconds not yet simulated
+        this.droppedTime = 0;   // seconds of backlog given up after slow frames
+    }
+
+    /** Seconds per fixed step */
+    get dt() {
+        return 1 / this.stepRate;
+    }
+
+    /** Fraction of the next step already elapsed (0-1) */
+    get alpha() {
+        return Math.min(1, this.accumulator / this.dt);
+    }
+
+    /**
+     * Take the fixed steps due after a display frame, then render it
+     * @param {number} frameSeconds - wall-clock time since the previous frame
+     * @returns {Promise<number>} steps taken
+     */
+    async frame(frameSeconds) {
+        const c = this.controller;
+        const sim = c.simulation;
+        const dt = this.dt;
+
+        // Paused: input and lighting keep running, the clock doesn't
+        if (sim.paused) {
+            this.accumulator = 0;
+            c.update();
+            c.renderer.render(sim, null);
+            return 0;
+        }
+
+        if (Number.isFinite(frameSeconds) && frameSeconds > 0) {
+            this.accumulator += frameSeconds;
+        }
+        let steps = 0;
+        while (this.accumulator >= dt && steps < this.maxStepsPerFrame) {
+            c.update();
+            // A replayed clock glass is in before the step its events were recorded on
+            if (c.replay && c.replay.pending) await c.replay.settle();
+            await sim.update(dt);
+            this.accumulator -= dt;
+            steps++;
+        }
+        if (this.accumulator >= dt) {
+            const kept = this.accumulator % dt;
+            this.droppedTime += this.accumulator - kept;
+            this.accumulator = kept;
+        }
+
+        c.renderer.render(sim, this.interpolate ? this.alpha : null);
+        return steps;
+    }
+
+    /** Forget accumulated time (after the loop was taken over, e.g. by an export) */
+    reset() {
+        this.accumulator = 0;
+    }
+}
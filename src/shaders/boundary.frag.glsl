@@ -5,21 +5,29 @@ in vec2 v_texCoord;
 out vec4 outColor;
 
 uniform sampler2D u_texture;
-uniform vec2 u_center;
-uniform float u_radius;
+uniform sampler2D u_previous; // frame of the previous simulation step
+uniform float u_blend;        // 1 = u_texture only (no step interpolation)
 uniform float u_thickness;
 uniform vec2 u_resolution; // canvas size in pixels
+uniform sampler2D u_obstacles; // solid mask at the grid size, linearly filtered
+uniform bool u_hasObstacles;
+uniform vec3 u_rod; // stirring rod: uv center, radius in units of the height
+uniform bool u_hasRod;
+
+#include "container.glsl"
 
 void main() {
     vec4 color = texture(u_texture, v_texCoord);
+    if (u_blend < 1.0) {
+        color = mix(texture(u_previous, v_texCoord), color, u_blend);
+    }
     
-    // Aspect-correct distance from center so the ring stays circular
+    // Aspect-correct distance to the wall so the rim keeps its shape
     float aspect = u_resolution.x / max(u_resolution.y, 1.0);
-    vec2 d = v_texCoord - u_center;
-    float dist = length(vec2(d.x * aspect, d.y));
+    float dist = containerDistance(v_texCoord, aspect);
     
-    // Draw circular boundary
-    float edge = abs(dist - u_radius);
+    // Draw the container wall
+    float edge = abs(dist - containerRadius);
     if (edge < u_thickness) {
         // Smooth boundary line
         float alpha = smoothstep(u_thickness, 0.0, edge);
@@ -27,8 +35,29 @@ void main() {
         color.rgb = mix(color.rgb, boundaryColor, alpha * 0.7);
     }
     
-    // Darken outside the circle
-    if (dist > u_radius) {
+    // Obstacles: frosted glass with a bright rim where the filtered mask
+    // crosses the solid threshold
+    if (u_hasObstacles) {
+        float solid = texture(u_obstacles, v_texCoord).r;
+        float body = smoothstep(0.35, 0.65, solid);
+        float rim = 1.0 - abs(solid - 0.5) * 2.0;
+        color.rgb = mix(color.rgb, vec3(0.72, 0.78, 0.82), body * 0.85);
+        color.rgb += vec3(0.25) * clamp(rim, 0.0, 1.0);
+    }
+    
+    // Stirring rod: the same glass, seen end-on
+    if (u_hasRod) {
+        vec2 r = v_texCoord - u_rod.xy;
+        float rodDist = length(vec2(r.x * aspect, r.y));
+        float px = 1.0 / max(u_resolution.y, 1.0);
+        float body = 1.0 - smoothstep(u_rod.z - px, u_rod.z + px, rodDist);
+        float rim = 1.0 - smoothstep(0.0, 2.0 * px, abs(rodDist - u_rod.z));
+        color.rgb = mix(color.rgb, vec3(0.72, 0.78, 0.82), body * 0.85);
+        color.rgb += vec3(0.25) * rim;
+    }
+    
+    // Darken outside the container
+    if (dist > containerRadius) {
         color.rgb *= 0.1; // Very dark outside
     }
     
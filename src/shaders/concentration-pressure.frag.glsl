@@ -11,9 +11,9 @@ uniform float u_spread_strength;
 void main() {
     vec2 texelSize = 1.0 / vec2(textureSize(u_color_texture, 0));
     
-    // Sample local color concentration (luminance as proxy for ink density)
+    // Sample local ink concentration (alpha of the pigment field)
     vec4 center = texture(u_color_texture, v_texCoord);
-    float centerConcentration = dot(center.rgb, vec3(0.299, 0.587, 0.114)); // Luminance
+    float centerConcentration = center.a;
     
     // Sample neighbors
     vec4 left = texture(u_color_texture, v_texCoord - vec2(texelSize.x, 0.0));
@@ -21,10 +21,10 @@ void main() {
     vec4 top = texture(u_color_texture, v_texCoord + vec2(0.0, texelSize.y));
     vec4 bottom = texture(u_color_texture, v_texCoord - vec2(0.0, texelSize.y));
     
-    float leftConc = dot(left.rgb, vec3(0.299, 0.587, 0.114));
-    float rightConc = dot(right.rgb, vec3(0.299, 0.587, 0.114));
-    float topConc = dot(top.rgb, vec3(0.299, 0.587, 0.114));
-    float bottomConc = dot(bottom.rgb, vec3(0.299, 0.587, 0.114));
+    float leftConc = left.a;
+    float rightConc = right.a;
+    float topConc = top.a;
+    float bottomConc = bottom.a;
     
     // Calculate concentration gradient (central differences)
     // Gradient points from low to high concentration
@@ -0,0 +1,67 @@
+// Container geometry shared by the grid passes (simulation/container.js).
+// Included after the precision statement; the uniforms are bound by
+// kernels/container.js bindContainer().
+//
+// Points are in aspect space: the dish centre at the origin, y up, lengths
+// in grid heights with x scaled by the aspect ratio. containerDistance() is
+// containerRadius plus the signed distance to the wall, so the rim bands
+// written for the round dish (dist against containerRadius) fit any shape.
+
+uniform int u_containerShape;       // 0 circle, 1 ellipse, 2 rounded rectangle, 3 mask
+uniform vec3 u_containerSize;       // half width, half height, corner radius
+uniform sampler2D u_containerMask;  // signed distance over the box (mask shape only)
+
+const vec2 center = vec2(0.5, 0.5);
+const float containerRadius = 0.48;
+
+float containerSignedDistance(vec2 p) {
+    vec2 halfSize = u_containerSize.xy;
+    if (u_containerShape == 1) {
+        // Scaled circle: exact on the axes and close to it elsewhere
+        return (length(p / halfSize) - 1.0) * min(halfSize.x, halfSize.y);
+    }
+    if (u_containerShape == 2) {
+        vec2 q = abs(p) - halfSize + u_containerSize.z;
+        return length(max(q, 0.0)) + min(max(q.x, q.y), 0.0) - u_containerSize.z;
+    }
+    if (u_containerShape == 3) {
+        vec2 uv = clamp(p / (2.0 * halfSize) + 0.5, 0.0, 1.0);
+        return texture(u_containerMask, uv).r + length(max(abs(p) - halfSize, 0.0));
+    }
+    return length(p) - halfSize.x;
+}
+
+vec2 containerPoint(vec2 uv, float aspect) {
+    vec2 r = uv - center;
+    return vec2(r.x * aspect, r.y);
+}
+
+// Compare with containerRadius: <= inside, > outside
+float containerDistance(vec2 uv, float aspect) {
+    return containerRadius + containerSignedDistance(containerPoint(uv, aspect));
+}
+
+bool insideContainer(vec2 uv, float aspect) {
+    return containerSignedDistance(containerPoint(uv, aspect)) <= 0.0;
+}
+
+// Outward wall normal in aspect space
+vec2 containerNormal(vec2 uv, float aspect) {
+    vec2 p = containerPoint(uv, aspect);
+    const float h = 1e-3;
+    vec2 g = vec2(
+        containerSignedDistance(p + vec2(h, 0.0)) - containerSignedDistance(p - vec2(h, 0.0)),
+        containerSignedDistance(p + vec2(0.0, h)) - containerSignedDistance(p - vec2(0.0, h))
+    );
+    float len = length(g);
+    return len > 1e-8 ? g / len : vec2(1.0, 0.0);
+}
+
+// Nearest uv on or inside the wall
+vec2 clampToContainer(vec2 uv, float aspect) {
+    float d = containerSignedDistance(containerPoint(uv, aspect));
+    if (d <= 0.0) return uv;
+    vec2 n = containerNormal(uv, aspect);
+    vec2 p = containerPoint(uv, aspect) - n * d;
+    return center + vec2(p.x / max(aspect, 1e-6), p.y);
+}
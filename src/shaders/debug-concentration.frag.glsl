@@ -9,9 +9,9 @@ uniform sampler2D u_color_texture;
 void main() {
     vec2 texelSize = 1.0 / vec2(textureSize(u_color_texture, 0));
     
-    // Sample local color concentration
+    // Sample local ink concentration (alpha of the pigment field)
     vec4 center = texture(u_color_texture, v_texCoord);
-    float centerConc = dot(center.rgb, vec3(0.299, 0.587, 0.114));
+    float centerConc = center.a;
     
     // Sample neighbors
     vec4 left = texture(u_color_texture, v_texCoord - vec2(texelSize.x, 0.0));
@@ -19,10 +19,10 @@ void main() {
     vec4 top = texture(u_color_texture, v_texCoord + vec2(0.0, texelSize.y));
     vec4 bottom = texture(u_color_texture, v_texCoord - vec2(0.0, texelSize.y));
     
-    float leftConc = dot(left.rgb, vec3(0.299, 0.587, 0.114));
-    float rightConc = dot(right.rgb, vec3(0.299, 0.587, 0.114));
-    float topConc = dot(top.rgb, vec3(0.299, 0.587, 0.114));
-    float bottomConc = dot(bottom.rgb, vec3(0.299, 0.587, 0.114));
+    float leftConc = left.a;
+    float rightConc = right.a;
+    float topConc = top.a;
+    float bottomConc = bottom.a;
     
     // Calculate gradient
     vec2 gradient = vec2(
@@ -4,11 +4,10 @@ precision highp float;
 in vec2 v_texCoord;
 out vec4 fragColor;
 
-uniform sampler2D u_water_color;   // water ink texture (RGB)
+uniform sampler2D u_water_color;   // water pigment texture (concentration in alpha)
 uniform sampler2D u_oil_texture;   // oil texture (RGBA16F), thickness from rgb luminance
 uniform float u_thresh;            // occupancy threshold in water
 
-float lum(vec3 c){ return dot(c, vec3(0.2126,0.7152,0.0722)); }
 float thickness(vec3 c){ return dot(c, vec3(0.3333)); }
 
 void main(){
@@ -16,7 +15,7 @@ void main(){
   vec3 col = vec3(0.0);
   if (x < 0.5) {
     // Left half: water ink occupancy
-    float occ = lum(texture(u_water_color, vec2(x*2.0, v_texCoord.y)).rgb);
+    float occ = texture(u_water_color, vec2(x*2.0, v_texCoord.y)).a;
     float m = step(u_thresh, occ);
     col = vec3(m);
   } else {
@@ -6,9 +6,14 @@ out vec4 outColor;
 
 uniform sampler2D u_velocity_texture;
 uniform vec2 u_resolution;
+uniform sampler2D u_obstacles;  // solid mask at the grid size (obstacles.js)
+uniform bool u_useObstacles;
 
-const vec2 center = vec2(0.5, 0.5);
-const float containerRadius = 0.48;
+#include "container.glsl"
+
+float solid(vec2 uv) {
+    return u_useObstacles ? step(0.5, texture(u_obstacles, uv).r) : 0.0;
+}
 
 void main() {
     float dx = 1.0 / float(textureSize(u_velocity_texture, 0).x);
@@ -19,13 +24,17 @@ void main() {
     float top = texture(u_velocity_texture, v_texCoord + vec2(0.0, dy)).y;
     float bottom = texture(u_velocity_texture, v_texCoord - vec2(0.0, dy)).y;
 
+    // Solid neighbours are walls: no flow through them
+    right *= 1.0 - solid(v_texCoord + vec2(dx, 0.0));
+    left *= 1.0 - solid(v_texCoord - vec2(dx, 0.0));
+    top *= 1.0 - solid(v_texCoord + vec2(0.0, dy));
+    bottom *= 1.0 - solid(v_texCoord - vec2(0.0, dy));
+
     float div = 0.5 * (right - left + top - bottom);
 
     // Aspect-correct inside mask
     float aspect = u_resolution.x / max(u_resolution.y, 1.0);
-    vec2 c = v_texCoord - center;
-    float dist = length(vec2(c.x * aspect, c.y));
-    float inside = step(dist, containerRadius);
+    float inside = float(insideContainer(v_texCoord, aspect)) * (1.0 - solid(v_texCoord));
 
     outColor = vec4(div * inside, 0.0, 0.0, 1.0);
 }
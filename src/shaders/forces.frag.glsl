@@ -6,108 +6,85 @@ out vec4 outColor;
 
 uniform sampler2D u_velocity_texture;
 uniform sampler2D u_color_texture;
-uniform float u_rotation_amount;
 uniform vec2 u_resolution;
 uniform float u_dt;
 uniform float u_boundary_mode; // 0=bounce, 1=viscous drag, 2=repulsive force
-uniform float u_central_spiral_power; // 0..1, builds up with sustained rotation
-uniform float u_central_spiral_angle; // rotation angle of force emitter
+// The turning plate (simulation/plate-rotation.js), aspect space, y up
+uniform float u_plate_omega;      // rad/s, counter-clockwise positive
+uniform float u_plate_alpha;      // rad/s², spin-up (Euler term)
+uniform bool u_rotating_frame;    // simulate in the plate's frame
+uniform float u_wall_coupling;    // 1/s, no-slip grip of the wall band
+uniform float u_bottom_friction;  // 1/s, floor dragging the water along
+
+#include "container.glsl"
+
+// Width of the band at the wall that the no-slip grip reaches (PLATE_WALL_BAND)
+const float wallBand = 0.04;
 
 void main() {
     vec2 centered_coord = v_texCoord - 0.5;
     float aspect = u_resolution.x / max(u_resolution.y, 1.0);
-    vec2 centered_aspect = vec2(centered_coord.x * aspect, centered_coord.y);
-    float dist = length(centered_aspect);
-    
-    // Circular container boundary (radius = 0.48 to leave edge space)
-    const float containerRadius = 0.48;
-    vec2 force;
-    
-    // Rigid-body rotation as viscous coupling from spinning plate boundary
-    // Physical model: plate spins → friction at bottom → shear stress → velocity diffuses upward
-    // Apply rotation everywhere with gentle blend (no dead-zone to avoid pooling)
-    
-    // Compute rigid-body velocity field: v = ω × r
-    float distSafe = max(dist, 0.002); // tiny epsilon to avoid singularity at exact center
-    vec2 v_as = vec2(-centered_aspect.y, centered_aspect.x) * u_rotation_amount;
-    
-    // Rim feathering (used only for boundary interactions now)
+    vec2 p = vec2(centered_coord.x * aspect, centered_coord.y);
+    // Rim bands follow the container wall (container.glsl); the plate turns
+    // about the dish centre
+    float wall = containerDistance(v_texCoord, aspect);
+
+    // Rim feathering widths for the boundary modes
     float scale = 1080.0 / max(min(u_resolution.x, u_resolution.y), 1.0);
-    float w03 = 0.03 * scale;
     float w08 = 0.08 * scale;
-    float w04 = 0.04 * scale;
     float w02 = 0.02 * scale;
-    float rimFeather = 1.0 - smoothstep(containerRadius - w03, containerRadius, dist);
-    
-    // Map back to UV space
-    vec2 v_uv = vec2(v_as.x / max(aspect, 1e-6), v_as.y);
-    
-    // Viscous coupling: blend factor mimics friction transmission (not instant velocity replacement)
-    // Higher = stronger coupling, longer persistence
-    const float viscousCoupling = 0.35; // coupling unchanged
-    const float rotationGain = 0.225; // 25% of previous 0.9
-    
-    // Rim-emphasized rotational drive across the interior (seam-free)
-    float rimWeight = smoothstep(0.0, containerRadius, dist);
-    float rimBoost = 0.6 + 0.4 * rimWeight; // more torque near rim, not zero at center
-    force = v_uv * rotationGain * viscousCoupling * rimBoost;
-    
-    // Add rotating force emitter near center to break up pooling (prevents dead zone)
-    // Physics: spinning creates rotating outward flow at center (like a rotating sprinkler)
-    const float centralRadius = 0.20;
-    float centralStrength = smoothstep(centralRadius, 0.0, dist); // 1 at center, 0 at edge of zone
-    
-    // Create a rotating directional force (not uniform radial)
-    // Angle of current pixel relative to center
-    float pixelAngle = atan(centered_aspect.y, centered_aspect.x);
-    // Angular distance from force emitter direction (offset by 90 deg so dead zone is behind emitter)
-    float emitterAngle = u_central_spiral_angle + 1.5708; // +pi/2 to put dead zone opposite to push direction
-    float angleDiff = mod(pixelAngle - emitterAngle + 3.14159, 6.28318) - 3.14159; // wrap to [-pi, pi]
-    // Force is strongest in emitter direction, falls off to sides (cosine lobe)
-    float angularFalloff = max(0.0, cos(angleDiff * 2.0));
-    
-    // Force direction: radial outward with slight tangential component
-    vec2 radialDir = dist > 1e-6 ? centered_aspect / dist : vec2(1.0, 0.0);
-    vec2 tangentDir = vec2(-radialDir.y, radialDir.x);
-    vec2 radialDir_uv = vec2(radialDir.x / max(aspect, 1e-6), radialDir.y);
-    vec2 tangentDir_uv = vec2(tangentDir.x / max(aspect, 1e-6), tangentDir.y);
-    
-    // Tangential-only rotating jet to avoid radial plate-filling
-    float baseStrength = abs(u_rotation_amount) * 0.10;
-    float powerMultiplier = max(0.075, u_central_spiral_power);
-    float jetStrength = baseStrength * powerMultiplier * angularFalloff;
-    float rotationSign = sign(u_rotation_amount + 1e-6);
-    vec2 centralOutflow = tangentDir_uv * rotationSign * centralStrength * jetStrength;
-    force += centralOutflow;
 
-    // Apply rotation only inside the plate (aspect-correct mask)
-    float inside = step(dist, containerRadius);
-    force *= inside;
-    
-    // Note: removed passive radial drain to prevent artificial ink loss
-    
     vec4 velocity = texture(u_velocity_texture, v_texCoord);
-    
+    vec2 normal_as = containerNormal(v_texCoord, aspect);
+
     // Apply smooth boundary constraint: soften velocity near walls
-    if (dist > containerRadius) {
+    if (wall > containerRadius) {
         // Outside container - push velocity inward with smooth falloff
-        vec2 normal_as = dist > 0.001 ? normalize(centered_aspect) : vec2(1.0, 0.0);
         vec2 normal = normalize(vec2(normal_as.x / max(aspect, 1e-6), normal_as.y));
         vec2 reflection = velocity.xy - 2.0 * dot(velocity.xy, normal) * normal;
-        float falloff = 1.0 - smoothstep(containerRadius, containerRadius + 0.02, dist);
+        float falloff = 1.0 - smoothstep(containerRadius, containerRadius + 0.02, wall);
         outColor = vec4(reflection * 0.5 * falloff, 0.0, 0.0);
     } else {
-        // Inside container - apply forces uniformly (rotation persists to rim)
-        vec2 newVelocity = velocity.xy + force;
+        // Work in aspect space so the rotation is round on any grid
+        vec2 v = vec2(velocity.x * aspect, velocity.y);
+
+        // The plate under this cell: Ω × r in the lab frame, at rest in its own
+        vec2 plate = u_rotating_frame ? vec2(0.0) : u_plate_omega * vec2(-p.y, p.x);
+
+        // Floor friction: the thin layer relaxes toward the plate's motion
+        v += (plate - v) * (1.0 - exp(-u_bottom_friction * u_dt));
+
+        // No-slip wall: beside the wall the water takes its tangential speed.
+        // A wall that isn't round is treated as sliding along itself, which
+        // is exact in the rotating frame where it stands still.
+        vec2 tangent = vec2(-normal_as.y, normal_as.x);
+        float band = 1.0 - smoothstep(0.0, wallBand, containerRadius - wall);
+        float grip = (1.0 - exp(-u_wall_coupling * u_dt)) * band;
+        float wallSpeed = dot(plate, tangent);
+        v += tangent * ((wallSpeed - dot(v, tangent)) * grip);
+
+        // Fictitious forces of the plate's frame: Coriolis -2Ω×v,
+        // centrifugal Ω²r and Euler -dΩ/dt×r (plate-rotation.js frameAcceleration)
+        if (u_rotating_frame) {
+            float omega = u_plate_omega;
+            vec2 accel = vec2(2.0 * omega * v.y + omega * omega * p.x + u_plate_alpha * p.y,
+                              -2.0 * omega * v.x + omega * omega * p.y - u_plate_alpha * p.x);
+            v += accel * u_dt;
+        }
+
+        // The boundary modes act on the water relative to the moving wall,
+        // so they don't brake the rotation the wall drives
+        vec2 wallVelocity = tangent * wallSpeed;
+        vec2 wallVelocity_uv = vec2(wallVelocity.x / max(aspect, 1e-6), wallVelocity.y);
+        vec2 newVelocity = vec2(v.x / max(aspect, 1e-6), v.y) - wallVelocity_uv;
 
         // Compute normal for boundary interactions
-        vec2 normal_as = dist > 0.001 ? centered_aspect / dist : vec2(1.0, 0.0);
         vec2 normal = normalize(vec2(normal_as.x / max(aspect, 1e-6), normal_as.y));
         
         // Three boundary modes:
         if (u_boundary_mode < 0.5) {
             // Mode 0: Original bounce (elastic reflection)
-            float rimBand = smoothstep(containerRadius - 0.04, containerRadius, dist);
+            float rimBand = smoothstep(containerRadius - 0.04, containerRadius, wall);
             float vN = dot(newVelocity, normal);
             float inward = max(0.0, -vN);
             float k = 0.95; // elasticity
@@ -117,7 +94,7 @@ void main() {
             // Mode 1: Viscous drag (squeeze film effect)
             // Model: ink between moving ink and wall creates velocity-dependent resistance
             // Drag increases exponentially as distance to wall decreases
-            float rimBand = smoothstep(containerRadius - w08, containerRadius, dist);
+            float rimBand = smoothstep(containerRadius - w08, containerRadius, wall);
             
             // Drag coefficient increases near wall (squeeze film effect)
             // At wall: very high drag; further away: minimal drag
@@ -137,7 +114,7 @@ void main() {
             
             // Gentle bounce for strong inward motion
             float inward = max(0.0, -vN);
-            float bounceStrength = smoothstep(containerRadius - w02, containerRadius, dist);
+            float bounceStrength = smoothstep(containerRadius - w02, containerRadius, wall);
             vN += inward * 0.7 * bounceStrength;
             
             newVelocity = vTangent + vN * normal;
@@ -145,7 +122,7 @@ void main() {
         } else {
             // Mode 2: Repulsive force (increases near edge)
             // Soft potential wall that pushes ink away before collision
-            float repulsionBand = smoothstep(containerRadius - (0.12 * scale), containerRadius, dist);
+            float repulsionBand = smoothstep(containerRadius - (0.12 * scale), containerRadius, wall);
             
             // Exponential repulsion: gentle far away, strong near wall
             float repulsionStrength = repulsionBand * repulsionBand * repulsionBand * 0.008;
@@ -155,12 +132,14 @@ void main() {
             newVelocity += repulsionForce;
             
             // Still need gentle bounce for any remaining inward velocity
-            float rimBand = smoothstep(containerRadius - w02, containerRadius, dist);
+            float rimBand = smoothstep(containerRadius - w02, containerRadius, wall);
             float vN = dot(newVelocity, normal);
             float inward = max(0.0, -vN);
             newVelocity += normal * (inward * 0.8 * rimBand);
         }
         
+        newVelocity += wallVelocity_uv;
+
         // Clamp velocity to prevent overflow to Inf
         newVelocity = clamp(newVelocity, vec2(-50000.0), vec2(50000.0));
         outColor = vec4(newVelocity, 0.0, 0.0);
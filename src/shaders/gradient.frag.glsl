@@ -7,9 +7,15 @@ out vec4 outColor;
 uniform sampler2D u_pressure_texture;
 uniform sampler2D u_velocity_texture;
 uniform vec2 u_resolution;
+uniform sampler2D u_obstacles;  // solid mask at the grid size (obstacles.js)
+uniform bool u_useObstacles;
+uniform int u_obstacleSlip;     // 0 = no-slip (fluid sticks to obstacles), 1 = free-slip
 
-const vec2 center = vec2(0.5, 0.5);
-const float containerRadius = 0.48;
+#include "container.glsl"
+
+float solid(vec2 uv) {
+    return u_useObstacles ? step(0.5, texture(u_obstacles, uv).r) : 0.0;
+}
 
 void main() {
     float dx = 1.0 / float(textureSize(u_pressure_texture, 0).x);
@@ -20,16 +26,35 @@ void main() {
     float top = texture(u_pressure_texture, v_texCoord + vec2(0.0, dy)).x;
     float bottom = texture(u_pressure_texture, v_texCoord - vec2(0.0, dy)).x;
 
+    // Solid neighbours mirror this cell's pressure (no push into the wall)
+    float center = texture(u_pressure_texture, v_texCoord).x;
+    float solidRight = solid(v_texCoord + vec2(dx, 0.0));
+    float solidLeft = solid(v_texCoord - vec2(dx, 0.0));
+    float solidTop = solid(v_texCoord + vec2(0.0, dy));
+    float solidBottom = solid(v_texCoord - vec2(0.0, dy));
+    right = mix(right, center, solidRight);
+    left = mix(left, center, solidLeft);
+    top = mix(top, center, solidTop);
+    bottom = mix(bottom, center, solidBottom);
+
     vec2 gradient = 0.5 * vec2(right - left, top - bottom);
     vec2 velocity = texture(u_velocity_texture, v_texCoord).xy;
 
     vec2 v_new = velocity - gradient;
 
+    // Cells against an obstacle: free-slip drops the component into the wall,
+    // no-slip stops the fluid altogether
+    float wallX = max(solidRight, solidLeft);
+    float wallY = max(solidTop, solidBottom);
+    if (u_obstacleSlip == 1) {
+        v_new *= vec2(1.0 - wallX, 1.0 - wallY);
+    } else {
+        v_new *= 1.0 - max(wallX, wallY);
+    }
+
     // Aspect-correct inside mask
     float aspect = u_resolution.x / max(u_resolution.y, 1.0);
-    vec2 c = v_texCoord - center;
-    float dist = length(vec2(c.x * aspect, c.y));
-    float inside = step(dist, containerRadius);
+    float inside = float(insideContainer(v_texCoord, aspect)) * (1.0 - solid(v_texCoord));
 
     outColor = vec4(v_new * inside, 0.0, 1.0);
 }
@@ -14,6 +14,8 @@ uniform float u_k_th;             // thickness-to-sigma gain
 uniform float u_thMin;            // minimum oil thickness to engage forces
 uniform float u_forceClamp;       // per-component clamp for stability
 uniform float u_amp;              // gradient amplification factor (0..N)
+uniform sampler2D u_temperature;  // R: °C above room temperature
+uniform float u_k_T;              // thermal: dv/dt per (°C per grid height); 0 = off
 
 float thickness(vec3 c) { return dot(c, vec3(0.3333333)); }
 
@@ -42,7 +44,21 @@ void main() {
 
   // Scale, gate, and clamp for stability
   float clampMag = max(0.0, u_forceClamp);
-  vec2 dv = clamp(Ft * (u_strength * u_dt) * edge * thickMask, vec2(-clampMag), vec2(clampMag));
+  vec2 dv = Ft * (u_strength * u_dt) * edge * thickMask;
+
+  // Thermal Marangoni: tension falls as the film warms, so the surface under
+  // the film is pulled from hot toward cold everywhere, not just at its rim
+  if (u_k_T > 0.0) {
+    float tL = texture(u_temperature, v_texCoord - vec2(u_texel.x, 0.0)).r;
+    float tR = texture(u_temperature, v_texCoord + vec2(u_texel.x, 0.0)).r;
+    float tD = texture(u_temperature, v_texCoord - vec2(0.0, u_texel.y)).r;
+    float tU = texture(u_temperature, v_texCoord + vec2(0.0, u_texel.y)).r;
+    // Neighbours are u_texel.y grid heights apart both ways on the aspect-correct grid
+    vec2 gradT = vec2(tR - tL, tU - tD) * 0.5 / u_texel.y;
+    dv -= gradT * (u_k_T * u_dt) * thickMask;
+  }
+
+  dv = clamp(dv, vec2(-clampMag), vec2(clampMag));
 
   fragColor = v + dv;
 }
@@ -0,0 +1,34 @@
+#version 300 es
+precision highp float;
+
+// CFL reduction: each output texel takes the max over a u_block x u_block
+// tile of the velocity grid, inside the container only.
+// Output: (max |vx|, max |vy|, max |v|, 0), reduced further on the CPU.
+
+in vec2 v_texCoord;
+out vec4 outColor;
+
+uniform sampler2D u_velocity;
+uniform int u_block;
+
+#include "container.glsl"
+
+void main() {
+    ivec2 size = textureSize(u_velocity, 0);
+    ivec2 origin = ivec2(gl_FragCoord.xy) * u_block;
+    float aspect = float(size.x) / float(size.y);
+    vec3 acc = vec3(0.0);
+
+    for (int j = 0; j < u_block; j++) {
+        for (int i = 0; i < u_block; i++) {
+            ivec2 p = origin + ivec2(i, j);
+            if (p.x >= size.x || p.y >= size.y) continue;
+            vec2 c = (vec2(p) + 0.5) / vec2(size) - center;
+            c.x *= aspect;
+            if (containerSignedDistance(c) > 0.0) continue;
+            vec2 v = texelFetch(u_velocity, p, 0).xy;
+            acc = max(acc, vec3(abs(v), length(v)));
+        }
+    }
+    outColor = vec4(acc, 0.0);
+}
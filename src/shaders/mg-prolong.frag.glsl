@@ -0,0 +1,63 @@
+#version 300 es
+precision highp float;
+
+// Multigrid prolongation: add the coarse-level correction, bilinearly
+// interpolated, to the fine-level solution.
+
+in vec2 v_texCoord;
+out vec4 outColor;
+
+uniform sampler2D u_x;       // fine solution
+uniform sampler2D u_coarse;  // coarse correction
+uniform bool u_useMask;
+uniform vec2 u_fineSize;     // level-0 size
+uniform float u_levelScale;  // of the fine level
+uniform sampler2D u_obstacles; // level-0 solid mask (obstacles.js)
+uniform bool u_useObstacles;
+
+#include "container.glsl"
+
+vec4 fetch(sampler2D tex, ivec2 p, ivec2 size) {
+    return texelFetch(tex, clamp(p, ivec2(0), size - 1), 0);
+}
+
+float insideMask(ivec2 p, float scale) {
+    if (!u_useMask) return 1.0;
+    vec2 c = (vec2(p) + 0.5) * scale / u_fineSize - center;
+    c.x *= u_fineSize.x / u_fineSize.y;
+    return step(containerSignedDistance(c), 0.0);
+}
+
+float solid(ivec2 p, float scale) {
+    if (!u_useObstacles) return 0.0;
+    ivec2 q = ivec2((vec2(p) + 0.5) * scale);
+    return step(0.5, fetch(u_obstacles, q, textureSize(u_obstacles, 0)).r);
+}
+
+void main() {
+    ivec2 size = textureSize(u_x, 0);
+    ivec2 coarseSize = textureSize(u_coarse, 0);
+    ivec2 p = ivec2(gl_FragCoord.xy);
+
+    // Fine texel center in coarse texel coordinates
+    vec2 c = (vec2(p) + 0.5) * 0.5 - 0.5;
+    vec2 c0 = floor(c);
+    vec2 t = c - c0;
+    ivec2 i0 = ivec2(c0);
+
+    // Bilinear, leaving out coarse texels inside obstacles (their zero would
+    // drag the correction down along the walls)
+    const ivec2 corners[4] = ivec2[4](ivec2(0, 0), ivec2(1, 0), ivec2(0, 1), ivec2(1, 1));
+    vec4 weights = vec4((1.0 - t.x) * (1.0 - t.y), t.x * (1.0 - t.y), (1.0 - t.x) * t.y, t.x * t.y);
+    vec4 correction = vec4(0.0);
+    float weight = 0.0;
+    for (int k = 0; k < 4; k++) {
+        ivec2 q = clamp(i0 + corners[k], ivec2(0), coarseSize - 1);
+        float w = weights[k] * (1.0 - solid(q, 2.0 * u_levelScale));
+        correction += fetch(u_coarse, q, coarseSize) * w;
+        weight += w;
+    }
+    if (weight > 0.0) correction /= weight;
+
+    outColor = (fetch(u_x, p, size) + correction) * insideMask(p, u_levelScale) * (1.0 - solid(p, u_levelScale));
+}
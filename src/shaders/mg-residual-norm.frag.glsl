@@ -0,0 +1,74 @@
+#version 300 es
+precision highp float;
+
+// Residual report: each output texel sums a u_block x u_block tile of the
+// finest level. Output: (sum |r|^2, sum |b|^2, max |r|, fluid cells inside).
+// Rendered to a small RGBA32F target and summed on the CPU.
+
+in vec2 v_texCoord;
+out vec4 outColor;
+
+uniform sampler2D u_x;
+uniform sampler2D u_b;
+uniform float u_bScale;
+uniform float u_a;
+uniform float u_invH2;
+uniform bool u_useMask;
+uniform int u_block;
+uniform sampler2D u_obstacles; // level-0 solid mask (obstacles.js)
+uniform bool u_useObstacles;
+
+#include "container.glsl"
+
+vec4 fetch(sampler2D tex, ivec2 p, ivec2 size) {
+    return texelFetch(tex, clamp(p, ivec2(0), size - 1), 0);
+}
+
+// Obstacle cells are excluded and drop out of their neighbours' stencils
+float solid(ivec2 p) {
+    if (!u_useObstacles) return 0.0;
+    return step(0.5, fetch(u_obstacles, p, textureSize(u_obstacles, 0)).r);
+}
+
+vec4 neighbourSum(ivec2 p, ivec2 size, out float count) {
+    const ivec2 offsets[4] = ivec2[4](ivec2(1, 0), ivec2(-1, 0), ivec2(0, 1), ivec2(0, -1));
+    vec4 sum = vec4(0.0);
+    count = 0.0;
+    for (int k = 0; k < 4; k++) {
+        ivec2 q = p + offsets[k];
+        float open = 1.0 - solid(q);
+        sum += fetch(u_x, q, size) * open;
+        count += open;
+    }
+    return sum;
+}
+
+void main() {
+    ivec2 size = textureSize(u_x, 0);
+    ivec2 origin = ivec2(gl_FragCoord.xy) * u_block;
+    float aspect = float(size.x) / float(size.y);
+    vec4 acc = vec4(0.0);
+
+    for (int j = 0; j < u_block; j++) {
+        for (int i = 0; i < u_block; i++) {
+            ivec2 p = origin + ivec2(i, j);
+            if (p.x >= size.x || p.y >= size.y) continue;
+            if (u_useMask) {
+                vec2 c = (vec2(p) + 0.5) / vec2(size) - center;
+                c.x *= aspect;
+                if (containerSignedDistance(c) > 0.0) continue;
+            }
+            if (solid(p) > 0.5) continue;
+            vec4 x = fetch(u_x, p, size);
+            float count;
+            vec4 sum = neighbourSum(p, size, count);
+            vec4 b = u_bScale * fetch(u_b, p, size);
+            vec4 r = b - u_a * x + (sum - count * x) * u_invH2;
+            acc.x += dot(r, r);
+            acc.y += dot(b, b);
+            acc.z = max(acc.z, max(max(abs(r.x), abs(r.y)), max(abs(r.z), abs(r.w))));
+            acc.w += 1.0;
+        }
+    }
+    outColor = acc;
+}
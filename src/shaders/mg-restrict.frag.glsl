@@ -0,0 +1,78 @@
+#version 300 es
+precision highp float;
+
+// Multigrid restriction: residual r = b - (a*x - lap(x)) of the fine level,
+// averaged over the 2x2 fine texels under each coarse texel. The result is
+// the right-hand side of the coarse-level correction equation.
+
+in vec2 v_texCoord;
+out vec4 outColor;
+
+uniform sampler2D u_x;       // fine solution
+uniform sampler2D u_b;       // fine right-hand side
+uniform float u_bScale;
+uniform float u_a;
+uniform float u_invH2;       // fine level
+uniform bool u_useMask;
+uniform vec2 u_fineSize;     // level-0 size
+uniform float u_levelScale;  // of the fine level
+uniform sampler2D u_obstacles; // level-0 solid mask (obstacles.js)
+uniform bool u_useObstacles;
+
+#include "container.glsl"
+
+vec4 fetch(sampler2D tex, ivec2 p, ivec2 size) {
+    return texelFetch(tex, clamp(p, ivec2(0), size - 1), 0);
+}
+
+float insideMask(ivec2 p, float scale) {
+    if (!u_useMask) return 1.0;
+    vec2 c = (vec2(p) + 0.5) * scale / u_fineSize - center;
+    c.x *= u_fineSize.x / u_fineSize.y;
+    return step(containerSignedDistance(c), 0.0);
+}
+
+// Obstacles, like the container, are placed in level-0 texels: a coarse texel
+// is solid when the finest texel under its centre is
+float solid(ivec2 p, float scale) {
+    if (!u_useObstacles) return 0.0;
+    ivec2 q = ivec2((vec2(p) + 0.5) * scale);
+    return step(0.5, fetch(u_obstacles, q, textureSize(u_obstacles, 0)).r);
+}
+
+// Sum of the 4 neighbours and how many there are: solid ones are Neumann
+// walls and drop out of the stencil
+vec4 neighbourSum(ivec2 p, ivec2 size, float scale, out float count) {
+    const ivec2 offsets[4] = ivec2[4](ivec2(1, 0), ivec2(-1, 0), ivec2(0, 1), ivec2(0, -1));
+    vec4 sum = vec4(0.0);
+    count = 0.0;
+    for (int k = 0; k < 4; k++) {
+        ivec2 q = p + offsets[k];
+        float open = 1.0 - solid(q, scale);
+        sum += fetch(u_x, q, size) * open;
+        count += open;
+    }
+    return sum;
+}
+
+vec4 residual(ivec2 p, ivec2 size) {
+    // Children past an odd edge read the clamped edge texel
+    p = min(p, size - 1);
+    vec4 x = fetch(u_x, p, size);
+    float scale = u_levelScale;
+    float count;
+    vec4 sum = neighbourSum(p, size, scale, count);
+    vec4 b = u_bScale * fetch(u_b, p, size);
+    return (b - u_a * x + (sum - count * x) * u_invH2) * insideMask(p, scale) * (1.0 - solid(p, scale));
+}
+
+void main() {
+    ivec2 fineSize = textureSize(u_x, 0);
+    ivec2 q = ivec2(gl_FragCoord.xy);
+    ivec2 f = q * 2;
+
+    vec4 r = residual(f, fineSize) + residual(f + ivec2(1, 0), fineSize)
+           + residual(f + ivec2(0, 1), fineSize) + residual(f + ivec2(1, 1), fineSize);
+
+    outColor = 0.25 * r * insideMask(q, 2.0 * u_levelScale) * (1.0 - solid(q, 2.0 * u_levelScale));
+}
@@ -0,0 +1,75 @@
+#version 300 es
+precision highp float;
+
+// Multigrid smoother: one weighted-Jacobi sweep of  a*x - lap(x) = b
+// on a single level. lap is the 5-point Laplacian with grid spacing h
+// (u_invH2 = 1/h^2; h = 1 on the finest level, doubling per level).
+
+in vec2 v_texCoord;
+out vec4 outColor;
+
+uniform sampler2D u_x;
+uniform sampler2D u_b;
+uniform float u_bScale;      // b = u_bScale * u_b (-1 turns divergence into the pressure RHS)
+uniform float u_a;           // 0 for pressure; 1/(nu*t) for implicit diffusion
+uniform float u_invH2;
+uniform float u_omega;       // Jacobi weight (0.8 damps high frequencies best for 5-point)
+uniform bool u_useMask;
+uniform vec2 u_fineSize;     // level-0 size
+uniform float u_levelScale;  // level-0 texels per texel on this level (2^level)
+uniform sampler2D u_obstacles; // level-0 solid mask (obstacles.js)
+uniform bool u_useObstacles;
+
+#include "container.glsl"
+
+vec4 fetch(sampler2D tex, ivec2 p, ivec2 size) {
+    return texelFetch(tex, clamp(p, ivec2(0), size - 1), 0);
+}
+
+// The mask is placed in level-0 texels so every level sees the same disc,
+// whatever the rounding of odd sizes
+float insideMask(ivec2 p, float scale) {
+    if (!u_useMask) return 1.0;
+    vec2 c = (vec2(p) + 0.5) * scale / u_fineSize - center;
+    c.x *= u_fineSize.x / u_fineSize.y;
+    return step(containerSignedDistance(c), 0.0);
+}
+
+// Obstacles, like the container, are placed in level-0 texels: a coarse texel
+// is solid when the finest texel under its centre is
+float solid(ivec2 p, float scale) {
+    if (!u_useObstacles) return 0.0;
+    ivec2 q = ivec2((vec2(p) + 0.5) * scale);
+    return step(0.5, fetch(u_obstacles, q, textureSize(u_obstacles, 0)).r);
+}
+
+// Sum of the 4 neighbours and how many there are: solid ones are Neumann
+// walls and drop out of the stencil
+vec4 neighbourSum(ivec2 p, ivec2 size, float scale, out float count) {
+    const ivec2 offsets[4] = ivec2[4](ivec2(1, 0), ivec2(-1, 0), ivec2(0, 1), ivec2(0, -1));
+    vec4 sum = vec4(0.0);
+    count = 0.0;
+    for (int k = 0; k < 4; k++) {
+        ivec2 q = p + offsets[k];
+        float open = 1.0 - solid(q, scale);
+        sum += fetch(u_x, q, size) * open;
+        count += open;
+    }
+    return sum;
+}
+
+void main() {
+    ivec2 size = textureSize(u_x, 0);
+    ivec2 p = ivec2(gl_FragCoord.xy);
+
+    vec4 x = fetch(u_x, p, size);
+    float scale = u_levelScale;
+    float count;
+    vec4 sum = neighbourSum(p, size, scale, count);
+    vec4 b = u_bScale * fetch(u_b, p, size);
+
+    // A cell walled in on all sides (or a solid one) has nothing to relax against
+    float diagonal = u_a + count * u_invH2;
+    vec4 jacobi = diagonal > 0.0 ? (b + sum * u_invH2) / diagonal : x;
+    outColor = mix(x, jacobi, u_omega) * insideMask(p, scale) * (1.0 - solid(p, scale));
+}
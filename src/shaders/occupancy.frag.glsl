@@ -8,19 +8,18 @@ uniform sampler2D u_color_texture;
 uniform vec2 u_resolution;
 uniform int u_isOil; // Optional: 1 for oil layer, 0 for ink layer
 
-const vec2 center = vec2(0.5, 0.5);
-const float containerRadius = 0.48;
+#include "container.glsl"
 
 void main() {
-    // Mask to circular plate (aspect-correct)
+    // Mask to the container (aspect-correct)
     float aspect = u_resolution.x / max(u_resolution.y, 1.0);
-    vec2 r = v_texCoord - center;
-    vec2 r_as = vec2(r.x * aspect, r.y);
-    float d = length(r_as);
+    float d = containerDistance(v_texCoord, aspect);
     float inside = step(d, containerRadius);
 
-    vec3 c = texture(u_color_texture, v_texCoord).rgb;
-    float conc = length(c);
+    vec4 ink = texture(u_color_texture, v_texCoord);
+    vec3 c = ink.rgb;
+    // Ink concentration is the pigment field's alpha (pigment.js)
+    float conc = u_isOil == 1 ? length(c) : ink.a;
 
     // Density-weighted occupancy: different thresholds for oil vs ink
     float t0, t1;
@@ -9,17 +9,14 @@ uniform vec2 u_resolution;
 uniform float u_strength; // 0..1 overall damping strength
 uniform bool u_isOil;     // true when processing oil (preserve alpha thickness)
 
-const vec2 center = vec2(0.5, 0.5);
-const float containerRadius = 0.48;
+#include "container.glsl"
 
 void main() {
     vec4 c = texture(u_color_texture, v_texCoord);
 
     // Aspect-correct distance to rim
     float aspect = u_resolution.x / max(u_resolution.y, 1.0);
-    vec2 r = v_texCoord - center;
-    vec2 r_as = vec2(r.x * aspect, r.y);
-    float d = length(r_as);
+    float d = containerDistance(v_texCoord, aspect);
 
     // Inside mask
     float inside = step(d, containerRadius);
@@ -63,8 +60,9 @@ void main() {
 
     vec3 rgb = c.rgb * damp;
     
-    // For oil, preserve and damp thickness (alpha). For ink, hardcode alpha to 1.0
-    float alpha = u_isOil ? (c.a * damp * inside) : 1.0;
+    // Damp alpha with rgb: oil thickness, or ink concentration (the pigment
+    // field's absorption/concentration ratio, its color, is preserved)
+    float alpha = c.a * damp * inside;
     
     outColor = vec4(rgb * inside, alpha);
 }
@@ -0,0 +1,39 @@
+#version 300 es
+precision highp float;
+
+// Capillary force of the oil phase field on the water, in potential form:
+//   dv = dt * sigma * mu * grad(c)
+// Its gradient part is taken by the pressure projection; what is left
+// rounds interfaces off and pulls thin oil necks apart.
+
+in vec2 v_texCoord;
+out vec4 fragColor;
+
+uniform sampler2D u_velocity_texture;  // uv per second
+uniform sampler2D u_phase_texture;     // a = c
+uniform sampler2D u_potential;         // r = mu
+uniform vec2 u_resolution;
+uniform float u_dt;
+uniform float u_capillary;             // sigma
+
+#include "container.glsl"
+
+void main() {
+    vec2 velocity = texture(u_velocity_texture, v_texCoord).xy;
+    float aspect = u_resolution.x / max(u_resolution.y, 1.0);
+    if (!insideContainer(v_texCoord, aspect)) {
+        fragColor = vec4(velocity, 0.0, 1.0);
+        return;
+    }
+
+    vec2 texel = 1.0 / u_resolution;
+    // Central differences per cell
+    vec2 gradient = 0.5 * vec2(
+        texture(u_phase_texture, v_texCoord + vec2(texel.x, 0.0)).a - texture(u_phase_texture, v_texCoord - vec2(texel.x, 0.0)).a,
+        texture(u_phase_texture, v_texCoord + vec2(0.0, texel.y)).a - texture(u_phase_texture, v_texCoord - vec2(0.0, texel.y)).a
+    );
+    // Cells are square; uv x is stretched by the aspect ratio
+    gradient.x /= aspect;
+    float mu = texture(u_potential, v_texCoord).r;
+    fragColor = vec4(velocity + u_dt * u_capillary * mu * gradient, 0.0, 1.0);
+}
@@ -0,0 +1,40 @@
+#version 300 es
+precision highp float;
+
+// Cahn–Hilliard, first half: the chemical potential of the oil phase field
+//   mu = f'(c) - eps² lap(c),   f(c) = c² (1 - c)²
+// c = 0 is water, c = 1 oil. Lengths are in grid cells; the dish rim is a
+// no-flux wall (outside neighbours read as the centre).
+
+in vec2 v_texCoord;
+out vec4 fragColor;
+
+uniform sampler2D u_phase_texture;  // rgb oil tint, a = c
+uniform vec2 u_resolution;
+uniform float u_epsilon2;           // interface width², cells²
+
+#include "container.glsl"
+
+bool inside(vec2 uv) {
+    return insideContainer(uv, u_resolution.x / max(u_resolution.y, 1.0));
+}
+
+float phaseAt(vec2 uv, float centerValue) {
+    return inside(uv) ? texture(u_phase_texture, uv).a : centerValue;
+}
+
+void main() {
+    if (!inside(v_texCoord)) {
+        fragColor = vec4(0.0);
+        return;
+    }
+    vec2 texel = 1.0 / u_resolution;
+    float c = texture(u_phase_texture, v_texCoord).a;
+    float laplacian = phaseAt(v_texCoord - vec2(texel.x, 0.0), c) + phaseAt(v_texCoord + vec2(texel.x, 0.0), c)
+                    + phaseAt(v_texCoord - vec2(0.0, texel.y), c) + phaseAt(v_texCoord + vec2(0.0, texel.y), c)
+                    - 4.0 * c;
+
+    // Double-well derivative: 0 in pure water and pure oil, pushes mixtures apart
+    float reaction = 2.0 * c * (1.0 - c) * (1.0 - 2.0 * c);
+    fragColor = vec4(reaction - u_epsilon2 * laplacian, 0.0, 0.0, 1.0);
+}
@@ -1,27 +1,41 @@
 #version 300 es
-precision mediump float;
+precision highp float;
+
+// Cahn–Hilliard, second half: c += dt M lap(mu) with mu from
+// phase-potential.frag.glsl. The flux form conserves the oil: what leaves a
+// cell enters its neighbour, and nothing crosses the dish rim.
 
 in vec2 v_texCoord;
 out vec4 outColor;
 
-uniform sampler2D u_phase_texture;
+uniform sampler2D u_phase_texture;  // rgb oil tint, a = c
+uniform sampler2D u_potential;      // r = mu
+uniform vec2 u_resolution;
 uniform float u_dt;
+uniform float u_mobility;           // cells² per second
 
-void main() {
-    float dx = 1.0 / float(textureSize(u_phase_texture, 0).x);
-    float dy = 1.0 / float(textureSize(u_phase_texture, 0).y);
+#include "container.glsl"
 
-    float center = texture(u_phase_texture, v_texCoord).x;
-    float left = texture(u_phase_texture, v_texCoord - vec2(dx, 0.0)).x;
-    float right = texture(u_phase_texture, v_texCoord + vec2(dx, 0.0)).x;
-    float top = texture(u_phase_texture, v_texCoord + vec2(0.0, dy)).x;
-    float bottom = texture(u_phase_texture, v_texCoord - vec2(0.0, dy)).x;
+bool inside(vec2 uv) {
+    return insideContainer(uv, u_resolution.x / max(u_resolution.y, 1.0));
+}
 
-    float laplacian = left + right + top + bottom - 4.0 * center;
+float potentialAt(vec2 uv, float centerValue) {
+    return inside(uv) ? texture(u_potential, uv).r : centerValue;
+}
 
-    // Simplified Cahn-Hilliard equation
-    float reaction = center * (1.0 - center) * (0.5 - center);
-    float diffusion = laplacian;
+void main() {
+    if (!inside(v_texCoord)) {
+        outColor = vec4(0.0);
+        return;
+    }
+    vec2 texel = 1.0 / u_resolution;
+    vec4 phase = texture(u_phase_texture, v_texCoord);
+    float mu = texture(u_potential, v_texCoord).r;
+    float laplacian = potentialAt(v_texCoord - vec2(texel.x, 0.0), mu) + potentialAt(v_texCoord + vec2(texel.x, 0.0), mu)
+                    + potentialAt(v_texCoord - vec2(0.0, texel.y), mu) + potentialAt(v_texCoord + vec2(0.0, texel.y), mu)
+                    - 4.0 * mu;
 
-    outColor = vec4(center + u_dt * (diffusion - reaction), 0.0, 0.0, 1.0);
+    // The tint rides along unchanged
+    outColor = vec4(phase.rgb, phase.a + u_dt * u_mobility * laplacian);
 }
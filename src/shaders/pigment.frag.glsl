@@ -0,0 +1,21 @@
+#version 300 es
+precision highp float;
+
+// Flat view of the water pigment field (volumetric rendering off): the
+// Kubelka-Munk reflectance of the ink mix, faded in with concentration as
+// in volumetric.frag.glsl but without the light and saturation boost
+
+in vec2 v_texCoord;
+out vec4 outColor;
+
+uniform sampler2D u_color_texture; // rgb = absorption, a = concentration
+uniform float u_absorption_coefficient;
+uniform float u_ks_max;
+
+void main() {
+    vec4 pigment = texture(u_color_texture, v_texCoord);
+    vec3 ks = clamp(pigment.rgb / max(pigment.a, 1e-4), 0.0, 1.0) * u_ks_max;
+    vec3 reflectance = 1.0 + ks - sqrt(ks * ks + 2.0 * ks);
+    float opacity = 1.0 - exp(-u_absorption_coefficient * pigment.a);
+    outColor = vec4(reflectance * opacity, 1.0);
+}
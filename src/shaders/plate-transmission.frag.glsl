@@ -0,0 +1,51 @@
+#version 300 es
+precision highp float;
+
+// Clock glass: the lower dish seen through the upper one. The light that
+// made it through the lower dish is filtered again by the upper plate's
+// pigment (Kubelka-Munk, as in volumetric.frag.glsl), so crossing colors
+// mix like stacked gels; where nothing glows below, the upper plate's own
+// composed scene shows. Outside the glass the lower dish is seen directly.
+
+in vec2 v_texCoord;
+out vec4 outColor;
+
+uniform sampler2D u_lower;          // composed lower dish
+uniform sampler2D u_upper;          // composed upper plate
+uniform sampler2D u_upper_pigment;  // upper plate pigment: rgb = absorption, a = concentration
+uniform float u_absorption_coefficient;
+uniform float u_ks_max;
+uniform vec2 u_resolution;          // canvas size in pixels
+uniform float u_thickness;          // glass rim width
+
+// The upper plate's wall (Simulation.upperPlate.container)
+#include "container.glsl"
+
+void main() {
+    vec4 lower = texture(u_lower, v_texCoord);
+    vec3 upper = texture(u_upper, v_texCoord).rgb;
+    vec4 pigment = texture(u_upper_pigment, v_texCoord);
+
+    float aspect = u_resolution.x / max(u_resolution.y, 1.0);
+    float dist = containerDistance(v_texCoord, aspect);
+    // Soft edge so the glass rim doesn't alias
+    float inside = 1.0 - smoothstep(containerRadius - u_thickness, containerRadius, dist);
+
+    // Transmittance of the upper ink layer
+    vec3 ks = clamp(pigment.rgb / max(pigment.a, 1e-4), 0.0, 1.0) * u_ks_max;
+    vec3 inkColor = 1.0 + ks - sqrt(ks * ks + 2.0 * ks);
+    float opacity = 1.0 - exp(-u_absorption_coefficient * pigment.a);
+    vec3 transmitted = lower.rgb * mix(vec3(1.0), inkColor, opacity);
+
+    // The upper ink glows on its own where the lower dish is dark
+    float lowerLight = clamp(max(lower.r, max(lower.g, lower.b)), 0.0, 1.0);
+    vec3 stacked = transmitted + upper * (1.0 - lowerLight);
+    vec3 color = mix(lower.rgb, stacked, inside);
+
+    // Faint glass rim
+    float edge = abs(dist - containerRadius);
+    float rim = smoothstep(u_thickness, 0.0, edge);
+    color = mix(color, vec3(0.85), rim * 0.35);
+
+    outColor = vec4(color, lower.a);
+}
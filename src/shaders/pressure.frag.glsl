@@ -7,9 +7,14 @@ out vec4 outColor;
 uniform sampler2D u_pressure_texture;
 uniform sampler2D u_divergence_texture;
 uniform vec2 u_resolution;
+uniform sampler2D u_obstacles;  // solid mask at the grid size (obstacles.js)
+uniform bool u_useObstacles;
 
-const vec2 center = vec2(0.5, 0.5);
-const float containerRadius = 0.48;
+#include "container.glsl"
+
+float solid(vec2 uv) {
+    return u_useObstacles ? step(0.5, texture(u_obstacles, uv).r) : 0.0;
+}
 
 void main() {
     float dx = 1.0 / float(textureSize(u_pressure_texture, 0).x);
@@ -20,15 +25,21 @@ void main() {
     float top = texture(u_pressure_texture, v_texCoord + vec2(0.0, dy)).x;
     float bottom = texture(u_pressure_texture, v_texCoord - vec2(0.0, dy)).x;
 
+    // Neumann at obstacles: solid neighbours drop out of the stencil
+    float openRight = 1.0 - solid(v_texCoord + vec2(dx, 0.0));
+    float openLeft = 1.0 - solid(v_texCoord - vec2(dx, 0.0));
+    float openTop = 1.0 - solid(v_texCoord + vec2(0.0, dy));
+    float openBottom = 1.0 - solid(v_texCoord - vec2(0.0, dy));
+    float count = openRight + openLeft + openTop + openBottom;
+
     float divergence = texture(u_divergence_texture, v_texCoord).x;
 
-    float p = 0.25 * (left + right + bottom + top - divergence);
+    float sum = left * openLeft + right * openRight + bottom * openBottom + top * openTop;
+    float p = count > 0.0 ? (sum - divergence) / count : 0.0;
 
     // Aspect-correct inside mask
     float aspect = u_resolution.x / max(u_resolution.y, 1.0);
-    vec2 c = v_texCoord - center;
-    float dist = length(vec2(c.x * aspect, c.y));
-    float inside = step(dist, containerRadius);
+    float inside = float(insideContainer(v_texCoord, aspect)) * (1.0 - solid(v_texCoord));
 
     outColor = vec4(p * inside, 0.0, 0.0, 1.0);
 }
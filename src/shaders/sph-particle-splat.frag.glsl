@@ -5,6 +5,8 @@
 
 precision highp float;
 
+#include "container.glsl"
+
 // From vertex shader
 in vec3 v_color;
 in float v_density;
@@ -12,6 +14,7 @@ in vec2 v_worldPos;
 
 // Uniforms
 uniform float u_containerRadius;
+uniform float u_aspect;             // Target width / height
 
 // Output
 out vec4 fragColor;
@@ -45,9 +48,11 @@ void main() {
     // Organic falloff: soft gaussian core with extended polynomial tail
     float falloff = organicFalloff(dist);
     
-    // Edge fade: reduce alpha near container boundary to prevent glow
-    float distFromCenter = length(v_worldPos);
-    float edgeFade = 1.0 - smoothstep(u_containerRadius * 0.85, u_containerRadius * 0.95, distFromCenter);
+    // Edge fade: reduce alpha near the wall to prevent glow. The target
+    // spans 2 world radii per grid height, and the fade keeps the round
+    // dish's band of 0.05-0.15 radii inside the wall on any shape.
+    vec2 p = vec2(v_worldPos.x * u_aspect, -v_worldPos.y) / (2.0 * u_containerRadius);
+    float edgeFade = 1.0 - smoothstep(-0.075, -0.025, containerSignedDistance(p));
     
     // Density-based gain: denser particles contribute more to the field
     // This helps thick blob cores stay solid while thin edges fade naturally
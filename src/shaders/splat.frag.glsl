@@ -6,8 +6,9 @@ out vec4 outColor;
 
 uniform sampler2D u_texture;
 uniform vec2 u_point;
-uniform vec3 u_color;
+uniform vec3 u_color;     // velocity, oil tint or ink pigment absorption
 uniform float u_radius;
+uniform float u_flow;      // ink deposit scale (brush flow, 1 for a plain splat)
 uniform bool u_isVelocity; // true when splatting into velocity field
 uniform bool u_isOil;      // true when splatting into oil field (RGBA)
 uniform float u_oilStrength; // scale for oil thickness/tint
@@ -67,12 +68,18 @@ void main() {
         outColor = vec4(rgb, newThickness);
         return;
     } else {
-        // Ink splat: allow repeated pours at same location to accumulate
+        // Ink splat: u_color is the pigment's absorption (pigment.js), the
+        // field holds absorption in rgb and concentration in alpha.
         // Gaussian controls spatial falloff; sourceStrength controls injection rate
-        vec3 newInk = u_color * gaussian * sourceStrength;
-        result = existing.rgb + newInk;
-        // Clamp to [0,1] to keep colors in range
-        result = clamp(result, vec3(0.0), vec3(1.0));
+        float amount = gaussian * sourceStrength * u_flow;
+        vec4 ink = existing + vec4(u_color * amount, amount);
+        // Saturated: scale back to full concentration, so repeated pours at
+        // the same location displace the old pigment instead of clipping
+        if (ink.a > 1.0) {
+            ink /= ink.a;
+        }
+        outColor = ink;
+        return;
     }
     outColor = vec4(result, 1.0);
 }
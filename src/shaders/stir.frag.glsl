@@ -0,0 +1,26 @@
+#version 300 es
+precision highp float;
+
+in vec2 v_texCoord;
+out vec4 fragColor;
+
+uniform sampler2D u_velocity_texture;
+uniform vec2 u_resolution;
+uniform vec2 u_rod_center;    // uv
+uniform float u_rod_radius;   // units of the grid height
+uniform vec2 u_rod_velocity;  // uv per second
+
+void main() {
+    vec2 velocity = texture(u_velocity_texture, v_texCoord).xy;
+
+    // Aspect-correct distance so the rod stays round
+    float aspect = u_resolution.x / max(u_resolution.y, 1.0);
+    vec2 d = v_texCoord - u_rod_center;
+    float dist = length(vec2(d.x * aspect, d.y));
+
+    // One-cell soft edge so the footprint doesn't flicker as the rod crosses cells
+    float cell = 1.0 / max(u_resolution.y, 1.0);
+    float inside = 1.0 - smoothstep(u_rod_radius - cell, u_rod_radius + cell, dist);
+
+    fragColor = vec4(mix(velocity, u_rod_velocity, inside), 0.0, 1.0);
+}
@@ -0,0 +1,23 @@
+#version 300 es
+precision highp float;
+
+// Boussinesq buoyancy: warm water is lighter and rises along u_up (the
+// plate's in-plane "up", as in buoyancy.frag.glsl, tipped uphill and
+// lengthened when the plate is tilted: Simulation.planeUp). Temperature that
+// varies across u_up gives the force a curl, so it survives the pressure
+// projection as convection rolls either side of the hotspot.
+
+in vec2 v_texCoord;
+out vec4 fragColor;
+
+uniform sampler2D u_velocity_texture;
+uniform sampler2D u_temperature;  // °C above room temperature
+uniform float u_dt;
+uniform float u_buoyancy;         // uv/s² per °C
+uniform vec2 u_up;                // in-plane up, 1 long on a level plate
+
+void main() {
+    vec2 velocity = texture(u_velocity_texture, v_texCoord).xy;
+    float t = texture(u_temperature, v_texCoord).r;
+    fragColor = vec4(velocity + u_buoyancy * t * u_up * u_dt, 0.0, 1.0);
+}
@@ -0,0 +1,53 @@
+#version 300 es
+precision highp float;
+
+// One step of the water temperature field (°C above room temperature):
+// carried by the water, diffused, heated by the lamp and cooled toward room
+
+in vec2 v_texCoord;
+out vec4 fragColor;
+
+uniform sampler2D u_temperature;
+uniform sampler2D u_velocity_texture;  // uv per second
+uniform vec2 u_resolution;
+uniform float u_dt;
+uniform float u_diffusivity;   // units of the grid height² per second
+uniform float u_cooling;       // 1/s, Newton cooling toward room temperature
+uniform vec2 u_lamp_center;    // uv
+uniform float u_lamp_radius;   // Gaussian sigma, units of the grid height
+uniform float u_lamp_power;    // °C/s at the centre of the spot
+
+#include "container.glsl"
+
+void main() {
+    float aspect = u_resolution.x / max(u_resolution.y, 1.0);
+    if (!insideContainer(v_texCoord, aspect)) {
+        fragColor = vec4(0.0);
+        return;
+    }
+
+    // Semi-Lagrangian transport
+    vec2 velocity = texture(u_velocity_texture, v_texCoord).xy;
+    vec2 from = v_texCoord - velocity * u_dt;
+    vec2 texel = 1.0 / u_resolution;
+    float t = texture(u_temperature, from).r;
+    float left = texture(u_temperature, from - vec2(texel.x, 0.0)).r;
+    float right = texture(u_temperature, from + vec2(texel.x, 0.0)).r;
+    float down = texture(u_temperature, from - vec2(0.0, texel.y)).r;
+    float up = texture(u_temperature, from + vec2(0.0, texel.y)).r;
+
+    // Explicit diffusion, capped below the stability limit (cells are
+    // 1 / height apart in both directions on the aspect-correct grid)
+    float k = min(u_diffusivity * u_dt * u_resolution.y * u_resolution.y, 0.24);
+    t += k * (left + right + down + up - 4.0 * t);
+
+    // Lamp hotspot
+    vec2 d = v_texCoord - u_lamp_center;
+    float r2 = dot(vec2(d.x * aspect, d.y), vec2(d.x * aspect, d.y));
+    t += u_lamp_power * exp(-r2 / (2.0 * u_lamp_radius * u_lamp_radius)) * u_dt;
+
+    // Cooling (implicit, so any rate is stable)
+    t /= 1.0 + u_cooling * u_dt;
+
+    fragColor = vec4(t, 0.0, 0.0, 1.0);
+}
@@ -0,0 +1,52 @@
+#version 300 es
+precision highp float;
+
+// Edge-aware upsample of a simulation field to canvas resolution.
+// Catmull-Rom over the 4x4 footprint for smooth gradients, clamped to the
+// range of the 2x2 texels around the sample so ink and oil edges stay sharp
+// instead of ringing (no dark/bright halos around blobs).
+
+in vec2 v_texCoord;
+out vec4 outColor;
+
+uniform sampler2D u_texture;
+
+vec4 fetch(ivec2 p, ivec2 size) {
+    return texelFetch(u_texture, clamp(p, ivec2(0), size - 1), 0);
+}
+
+vec4 catmullRom(float t) {
+    float t2 = t * t;
+    float t3 = t2 * t;
+    return vec4(
+        -0.5 * t3 + t2 - 0.5 * t,
+        1.5 * t3 - 2.5 * t2 + 1.0,
+        -1.5 * t3 + 2.0 * t2 + 0.5 * t,
+        0.5 * t3 - 0.5 * t2
+    );
+}
+
+void main() {
+    ivec2 size = textureSize(u_texture, 0);
+    vec2 p = v_texCoord * vec2(size) - 0.5;
+    vec2 p0 = floor(p);
+    vec2 f = p - p0;
+    ivec2 base = ivec2(p0);
+
+    vec4 wx = catmullRom(f.x);
+    vec4 wy = catmullRom(f.y);
+    vec4 sum = vec4(0.0);
+    for (int j = 0; j < 4; j++) {
+        vec4 row = vec4(0.0);
+        for (int i = 0; i < 4; i++) {
+            row += fetch(base + ivec2(i - 1, j - 1), size) * wx[i];
+        }
+        sum += row * wy[j];
+    }
+
+    vec4 a = fetch(base, size);
+    vec4 b = fetch(base + ivec2(1, 0), size);
+    vec4 c = fetch(base + ivec2(0, 1), size);
+    vec4 d = fetch(base + ivec2(1, 1), size);
+    outColor = clamp(sum, min(min(a, b), min(c, d)), max(max(a, b), max(c, d)));
+}
@@ -8,9 +8,10 @@ uniform sampler2D u_velocity_texture;
 uniform float u_viscosity;
 uniform float u_dt;
 uniform vec2 u_resolution;
+uniform sampler2D u_temperature;   // R: °C above room temperature
+uniform float u_thermalViscosity;  // warm water thins by exp(-k·T); 0 = off
 
-const vec2 center = vec2(0.5, 0.5);
-const float containerRadius = 0.48;
+#include "container.glsl"
 
 void main() {
     vec2 texelSize = 1.0 / vec2(textureSize(u_velocity_texture, 0));
@@ -25,13 +26,15 @@ void main() {
     vec2 laplacian = left + right + top + bottom - 4.0 * velocity;
     
     // Apply viscosity: velocity += viscosity * dt * laplacian(velocity)
-    vec2 newVelocity = velocity + u_viscosity * u_dt * laplacian;
+    float viscosity = u_viscosity;
+    if (u_thermalViscosity > 0.0) {
+        viscosity *= exp(-u_thermalViscosity * max(texture(u_temperature, v_texCoord).r, 0.0));
+    }
+    vec2 newVelocity = velocity + viscosity * u_dt * laplacian;
 
     // Aspect-correct inside mask
     float aspect = u_resolution.x / max(u_resolution.y, 1.0);
-    vec2 c = v_texCoord - center;
-    float dist = length(vec2(c.x * aspect, c.y));
-    float inside = step(dist, containerRadius);
+    float inside = float(insideContainer(v_texCoord, aspect));
     
     outColor = vec4(newVelocity * inside, 0.0, 0.0);
 }
@@ -4,25 +4,28 @@ precision highp float;
 in vec2 v_texCoord;
 out vec4 outColor;
 
-uniform sampler2D u_color_texture;
+uniform sampler2D u_color_texture; // pigment field: rgb = absorption, a = concentration
 uniform float u_absorption_coefficient;
 uniform vec3 u_light_color; // Colored light source (RGB rotation)
 uniform float u_brightness_gain;
+uniform float u_ks_max; // K/S of a fully absorbing channel (pigment.js KS_MAX)
 
 // Volumetric rendering with colored light
-// Ink absorbs and scatters the colored light
+// Ink is pigment: it filters the light subtractively (Kubelka-Munk), so
+// overlapping inks mix like paint and never wash out to white
 
 void main() {
-    // Sample concentration field (RGB color + concentration)
-    vec4 concentration = texture(u_color_texture, v_texCoord);
-    
-    // Calculate total concentration (how much ink is here)
-    float totalConc = length(concentration.rgb);
-    
-    // Normalized color direction (what color is the ink). When there is no
-    // ink, totalConc≈0 so inkColor≈0 and the rest of the shader naturally
-    // fades to black without a hard threshold, avoiding black halos.
-    vec3 inkColor = concentration.rgb / max(totalConc, 0.001);
+    // Sample pigment field (absorption per channel + total concentration)
+    vec4 pigment = texture(u_color_texture, v_texCoord);
+    float totalConc = pigment.a;
+    
+    // K/S of the mixture, then the reflectance of an opaque layer of it.
+    // A single ink gives back exactly the color it was picked with; blue +
+    // yellow absorb red and blue between them and leave green. When there
+    // is no ink totalConc≈0 and the opacity below fades to black without a
+    // hard threshold, avoiding black halos.
+    vec3 ks = clamp(pigment.rgb / max(totalConc, 1e-4), 0.0, 1.0) * u_ks_max;
+    vec3 inkColor = 1.0 + ks - sqrt(ks * ks + 2.0 * ks);
     
     // Beer-Lambert: Opacity increases with concentration
     // But we want it to glow, not just block light
@@ -31,12 +34,12 @@ void main() {
     // Ink's inherent color (always visible) - preserve user's selected color
     vec3 inkBase = inkColor * opacity * 2.5; // Boost base brightness moderately
     
-    // Add colored light as ADDITIVE component (doesn't change ink color)
+    // Colored light passes through the ink, so the pigment filters it too
     // Only add light if it's not black (light rotation is active)
     float lightStrength = length(u_light_color);
-    vec3 lightContribution = u_light_color * opacity * 0.5 * lightStrength; // Subtle light
+    vec3 lightContribution = u_light_color * inkColor * opacity * 0.5 * lightStrength; // Subtle light
     
-    // Final color: Ink's own color + additive colored light
+    // Final color: Ink's own color + filtered colored light
     vec3 finalColor = inkBase + lightContribution;
     
     // Boost saturation moderately to preserve color accuracy
@@ -1,14 +1,49 @@
-import { loadShader } from './utils.js';
+import { loadShader, createRandom, systemClock, clamp, simGridSize } from './utils.js';
 import WaterLayer from './simulation/layers/WaterLayer.js';
 import OilLayer from './simulation/layers/OilLayer.js';
-import { applyForces } from './simulation/kernels/forces.js';
+import PhaseFieldOilLayer from './simulation/layers/PhaseFieldOilLayer.js';
+import { applyForces, CONCENTRATION_PRESSURE_PASS } from './simulation/kernels/forces.js';
+import { applyCouplingForce, applyOilAttraction } from './simulation/kernels/coupling.js';
+import { runPass } from './simulation/kernels/pass.js';
 import { applyVorticityConfinement } from './simulation/kernels/vorticity.js';
 import { advectVelocity, advectColor } from './simulation/kernels/advection.js';
 import { applyViscosity } from './simulation/kernels/viscosity.js';
 import { projectVelocity } from './simulation/kernels/pressure.js';
 import { diffuseColor } from './simulation/kernels/diffusion.js';
+import MultigridSolver from './simulation/kernels/multigrid.js';
+import ObstacleField from './simulation/obstacles.js';
+import Container from './simulation/container.js';
+import StirringRod from './simulation/stirring-rod.js';
+import PlateRotation from './simulation/plate-rotation.js';
+import { applyStirringRod } from './simulation/kernels/stir.js';
+import { LAMP_POWER } from './simulation/heat-lamp.js';
+import { updateTemperature, applyThermalBuoyancy } from './simulation/kernels/thermal.js';
+import { maxVelocity, waterCFL, cflSubsteps, REDUCTION_SIZE } from './simulation/kernels/cfl.js';
+import { SPH_MAX_DT } from './simulation/sph/SPHOilSystem.js';
 import webGPUContext from './simulation/sph/webgpu.js';
 import { runTestComputeShader } from './simulation/sph/webgpu-test.js';
+import { SnapshotWriter, SnapshotReader, collectParams, applyParams, halfToFloat } from './simulation/snapshot.js';
+
+// Longest step update() takes. The scheduler steps at a fixed 1/60 s; this
+// only guards callers that pass wall-clock time.
+const MAX_STEP_DT = 1 / 30;
+
+// Runtime/allocation state that must not be overwritten by a scene restore
+const SNAPSHOT_EXCLUDED_PARAMS = [
+    'ready', 'paused', 'stepCount', 'seed', 'occupancyWidth', 'occupancyHeight',
+    'simResolutionScale', 'simFixedSize', 'simWidth', 'simHeight', 'rotationAudio'
+];
+
+// Clock glass (second dish): what the upper plate keeps for itself rather
+// than following the lower plate's tuning (syncUpperPlate)
+const PLATE_OWN_PARAMS = [
+    'rotationAmount', 'rotationBase', 'rotationDelta', 'rotationAudio',
+    'lightTiltX', 'lightTiltY', 'lightVelX', 'lightVelY',
+    'occupancyPercent', 'pixelSoupPercent', 'oilOccupancyPercent', 'useOil', 'time'
+];
+
+// The watch glass pressed into the dish is smaller than the dish itself
+export const UPPER_PLATE_RADIUS = 0.40;
 
 /**
  * Simulation class - Pure Model (no rendering logic)
@@ -48,6 +83,7 @@ export default class Simulation {
         this.rotationAmount = 0.0;   // Start at 0, controlled by user (A/D keys or buttons)
         this.rotationBase = 0.0;     // No baseline rotation - user controls via rotationDelta
         this.rotationDelta = 0.0;   // Transient input (keys/gestures)
+        this.rotationAudio = 0.0;   // Audio modulation, added on top of the input
         this.jetForce = { x: 0, y: 0, strength: 0 };  // Jet impulse tool
 
         // Dynamic lighting - plate tilt and wobble
@@ -57,6 +93,13 @@ export default class Simulation {
         this.lightVelY = 0.0;
         this.lightDamping = 0.92;  // Wobble damping (lower = settles faster)
         this.lightSpring = 0.15;   // Return to neutral strength
+
+        // Plate tilt (tilt.js): downhill in the plate's plane (uv, y up), its
+        // length the slope as a fraction of a full tilt, within the unit disc
+        this.tiltX = 0.0;
+        this.tiltY = 0.0;
+        this.tiltGravity = 0.6;    // uv/s², in-plane gravity on the SPH oil at full tilt
+        this.tiltBuoyancy = 3.0;   // full tilt against the resting "up" of thermal buoyancy
         this.useMacCormack = true;  // High-fidelity advection (eliminates numerical diffusion)
         this.vorticityStrength = 0.25;  // Reduced further to prevent ink shredding into pixel soup
         this.boundaryMode = 1;  // 0=bounce, 1=viscous drag, 2=repulsive force
@@ -73,17 +116,67 @@ export default class Simulation {
         this.oilOverflowLower = 0.80; // target lower bound
         this.oilOverflowUpper = 0.95; // trigger threshold (HIGHER than water's 0.90 so oil persists longer)
 
-        // Central spiral force accumulation
-        this.centralSpiralPower = 0.0; // 0..1, builds up with sustained rotation
-        this.centralSpiralBuildRate = 0.015; // how fast it builds per frame (~1 second to full)
-        this.centralSpiralDecayRate = 0.05; // how fast it decays when not rotating
-        this.centralSpiralAngle = 0.0; // rotation angle of the force emitter
+        // Plate rotation (simulation/plate-rotation.js): rotationAmount is the
+        // speed the motor drives the plate toward; the plate has inertia and
+        // moves the fluids through its floor and its no-slip wall
+        this.plateRotation = new PlateRotation();
+        this.plateSpinUpTime = 0.8;       // s, motor pulling the plate up to speed
+        this.plateSpinDownTime = 2.5;     // s, plate coasting on its bearing
+        this.plateBottomFriction = 0.25;  // 1/s, floor dragging the water along
+        this.plateWallCoupling = 8.0;     // 1/s, wall gripping the water and oil beside it
+        this.rotatingFrame = false;       // simulate in the plate's frame (Coriolis, centrifugal, Euler)
 
         // Iteration counts (water)
         this.viscosityIterations = 20;  // Jacobi iterations for viscosity
         this.pressureIterations = 50;  // Jacobi iterations for pressure
         this.diffusionIterations = 20;  // Jacobi iterations for color diffusion
 
+        // Elliptic solvers (kernels/multigrid.js)
+        this.pressureSolverMode = 0;    // 0=Jacobi (pressureIterations), 1=multigrid V-cycles
+        this.viscositySolverMode = 0;   // 0=explicit sweeps, 1=implicit multigrid
+        this.diffusionSolverMode = 0;   // 0=explicit sweeps, 1=implicit multigrid
+        this.multigridCycles = 2;       // V-cycles per solve
+        this.residualEveryN = 0;        // read back the pressure residual every N steps (0=off)
+        this.pressureResidual = null;   // { solver, rms, max, relative, cells } from the last readback
+        this.multigrid = null;
+        // Simulation grid: water and oil fields run at simWidth × simHeight and
+        // the renderer upsamples them to the canvas
+        this.simResolutionScale = 1.0;  // fraction of the canvas resolution (0.1-1)
+        this.simFixedSize = 0;          // grid cells on the long side (0=follow simResolutionScale)
+        this.simWidth = 0;              // derived by updateSimSize()
+        this.simHeight = 0;
+        // Shape of the dish, shared by the water, the SPH oil and the renderer
+        // (simulation/container.js)
+        this.container = new Container();
+        this.containerTexture = null;   // R16F signed distance of a mask container (syncContainerMask)
+        // Solid obstacles standing in the plate (simulation/obstacles.js)
+        this.obstacles = new ObstacleField();
+        this.obstacleSlipMode = 0;      // 0=no-slip (fluid sticks to obstacles), 1=free-slip
+        this.obstacleTexture = null;    // R8 solid mask at the grid size (syncObstacleMask)
+        // Moving solid dragged by the pointer (simulation/stirring-rod.js)
+        this.stirringRod = new StirringRod();
+        // CFL substepping (planSubsteps): each update() splits its step so the
+        // fastest water crosses at most waterCflLimit cells and the fastest
+        // SPH particle at most sphCflLimit smoothing radii per substep
+        this.cflEveryN = 5;             // re-plan every N steps (GPU max reduction + readback; 0=off)
+        this.waterCflLimit = 1.0;
+        this.sphCflLimit = 0.4;
+        this.maxSubsteps = 4;
+        this.substeps = { water: 1, sph: 1 };
+        this.cfl = null;                // { water, sph } from the last plan
+        this.cflReductionTarget = null;
+        // Heat lamp and the water temperature field (°C above room temperature;
+        // simulation/heat-lamp.js, kernels/thermal.js)
+        this.heatLampX = 0.5;            // hotspot centre (uv)
+        this.heatLampY = 0.5;
+        this.heatLampRadius = 0.15;      // Gaussian sigma, units of the grid height
+        this.heatLampPower = LAMP_POWER[2]; // °C/s at the centre (Controller heat levels)
+        this.thermalDiffusivity = 1e-5;  // grid heights²/s (capped at the explicit stability limit)
+        this.thermalCooling = 0.08;      // 1/s, back toward room temperature
+        this.thermalBuoyancy = 0.0006;   // uv/s² per °C: warm water rises
+        this.thermalViscosity = 0.02;    // water viscosity × exp(-k·°C)
+        this.thermalMarangoni = 0.0002;  // uv/s² per °C/grid height under the oil film (0=off)
+
         // Oil-specific viscosity parameters
         this.oilViscosity = 0.8;  // Much higher than water (will be material-specific)
         this.oilViscosityIterations = 100;  // Higher iterations for thicker oil
@@ -92,9 +185,21 @@ export default class Simulation {
         // Oil → Water coupling (thickness gradient → force)
         this.couplingStrength = 0.1;  // Strength of oil pushing water (material-specific)
 
+        // Oil model: 'sph' particles (OilLayer) or a Cahn–Hilliard 'phase' field
+        // (PhaseFieldOilLayer); ?oil=phase starts with the phase field
+        const search = (typeof window !== 'undefined' && window.location && window.location.search) || '';
+        this.oilModel = search.includes('oil=phase') ? 'phase' : 'sph';
+        this.phaseMobility = 2.0;        // cells²/s: how fast the oil separates and rounds off
+        this.phaseInterfaceWidth = 1.0;  // cells
+        this.phaseCapillary = 2.0;       // capillary force of the phase field on the water (0=off)
+
         // Testing/debugging
         this.paused = false;  // F004 requirement: pause/freeze state
 
+        // Clock glass: a second Simulation pressed on top of this one, with its
+        // own fields, rotation and container (enableUpperPlate)
+        this.upperPlate = null;
+
         // Layers
         this.water = null;
         this.oil = null;      // optional, off by default
@@ -125,12 +230,19 @@ export default class Simulation {
         // Logging verbosity (set true to see detailed telemetry)
         this.logVerbose = false;
 
+        // Randomness and time sources. Defaults are Math.random and the wall
+        // clock; setDeterministic() swaps in a seeded RNG and a clock driven by
+        // simulated time so a fixed sequence of splats + update(dt) replays exactly.
+        this.random = Math.random;
+        this.clock = systemClock; // milliseconds
+        this.time = 0.0;          // accumulated simulated seconds
+        this.stepCount = 0;       // completed update() steps; input replays are keyed to it
+        this.seed = null;         // setDeterministic() seed, null when random
+
         this.ready = false;
     }
 
     async init() {
-        const gl = this.gl;
-
         // Initialize WebGPU context from renderer's device
         if (this.renderer.webgpuDevice) {
             webGPUContext.setDevice(this.renderer.webgpuDevice);
@@ -140,6 +252,12 @@ export default class Simulation {
             console.warn("WebGPU not available from renderer, falling back to WebGL-only.");
         }
 
+        await this.loadPrograms();
+        await this.initFields();
+    }
+
+    /** Compile every kernel program (a second plate shares them, see sharePrograms) */
+    async loadPrograms() {
         // Load all shaders
         const fullscreenVert = await loadShader('src/shaders/fullscreen.vert.glsl');
 
@@ -173,6 +291,13 @@ export default class Simulation {
             await loadShader('src/shaders/gradient.frag.glsl')
         );
 
+        this.multigrid = new MultigridSolver(this, {
+            smooth: this.renderer.createProgram(fullscreenVert, await loadShader('src/shaders/mg-smooth.frag.glsl')),
+            restrict: this.renderer.createProgram(fullscreenVert, await loadShader('src/shaders/mg-restrict.frag.glsl')),
+            prolong: this.renderer.createProgram(fullscreenVert, await loadShader('src/shaders/mg-prolong.frag.glsl')),
+            residualNorm: this.renderer.createProgram(fullscreenVert, await loadShader('src/shaders/mg-residual-norm.frag.glsl'))
+        });
+
         this.forcesProgram = this.renderer.createProgram(
             fullscreenVert,
             await loadShader('src/shaders/forces.frag.glsl')
@@ -223,11 +348,6 @@ export default class Simulation {
             await loadShader('src/shaders/coupling-force.frag.glsl')
         );
 
-        this.couplingForceProgram = this.renderer.createProgram(
-            fullscreenVert,
-            await loadShader('src/shaders/coupling-force.frag.glsl')
-        );
-
         // Marangoni program (surface tension gradient forces at oil-water interface)
         this.marangoniProgram = this.renderer.createProgram(
             fullscreenVert,
@@ -239,14 +359,29 @@ export default class Simulation {
             await loadShader('src/shaders/oil-attraction.frag.glsl')
         );
 
-        this.oilAttractionProgram = this.renderer.createProgram(
+        this.agitationProgram = this.renderer.createProgram(
             fullscreenVert,
-            await loadShader('src/shaders/oil-attraction.frag.glsl')
+            await loadShader('src/shaders/agitation.frag.glsl')
         );
 
-        this.agitationProgram = this.renderer.createProgram(
+        this.stirProgram = this.renderer.createProgram(
             fullscreenVert,
-            await loadShader('src/shaders/agitation.frag.glsl')
+            await loadShader('src/shaders/stir.frag.glsl')
+        );
+
+        this.thermalProgram = this.renderer.createProgram(
+            fullscreenVert,
+            await loadShader('src/shaders/thermal.frag.glsl')
+        );
+
+        this.thermalBuoyancyProgram = this.renderer.createProgram(
+            fullscreenVert,
+            await loadShader('src/shaders/thermal-buoyancy.frag.glsl')
+        );
+
+        this.maxVelocityProgram = this.renderer.createProgram(
+            fullscreenVert,
+            await loadShader('src/shaders/max-velocity.frag.glsl')
         );
 
         this.curvatureProgram = this.renderer.createProgram(
@@ -332,11 +467,27 @@ export default class Simulation {
             await loadShader('src/shaders/sph-particle-splat.frag.glsl')
         );
 
-        // Load WebGPU SPH shaders
-        const sphParticleSplatVertWGSL = await loadShader('src/shaders/webgpu/sph-particle-splat.vert.wgsl');
-        const sphParticleSplatFragWGSL = await loadShader('src/shaders/webgpu/sph-particle-splat.frag.wgsl');
+        // Load WebGPU SPH shaders (kept for oil layers created later by setOilModel)
+        this.sphSplatWGSL = {
+            vert: await loadShader('src/shaders/webgpu/sph-particle-splat.vert.wgsl'),
+            frag: await loadShader('src/shaders/webgpu/sph-particle-splat.frag.wgsl')
+        };
 
 
+        // Cahn–Hilliard phase-field oil (PhaseFieldOilLayer)
+        this.phasePotentialProgram = this.renderer.createProgram(
+            fullscreenVert,
+            await loadShader('src/shaders/phase-potential.frag.glsl')
+        );
+        this.phaseProgram = this.renderer.createProgram(
+            fullscreenVert,
+            await loadShader('src/shaders/phase.frag.glsl')
+        );
+        this.phaseCapillaryProgram = this.renderer.createProgram(
+            fullscreenVert,
+            await loadShader('src/shaders/phase-capillary.frag.glsl')
+        );
+
         // Splat per-pixel oil material properties
         this.splatOilPropsProgram = this.renderer.createProgram(
             fullscreenVert,
@@ -349,9 +500,29 @@ export default class Simulation {
             await loadShader('src/shaders/offset-copy.frag.glsl')
         );
 
+    }
+
+    /**
+     * Use another simulation's compiled programs instead of loading them: the
+     * programs hold no field state, so plates can share them
+     * @param {Simulation} source - An initialized simulation
+     */
+    sharePrograms(source) {
+        for (const key of Object.keys(source)) {
+            if (key.endsWith('Program')) this[key] = source[key];
+        }
+        this.sphSplatWGSL = source.sphSplatWGSL;
+        this.webgpu = source.webgpu;
+        this.multigrid = source.multigrid ? new MultigridSolver(this, source.multigrid.programs) : null;
+    }
+
+    /** Grid size, masks, occupancy target and the water and oil layers */
+    async initFields() {
+        const gl = this.gl;
         const canvas = this.renderer.gl ? this.renderer.gl.canvas : document.getElementById('gl-canvas');
-        const width = canvas.width;
-        const height = canvas.height;
+        this.updateSimSize(canvas);
+        this.syncObstacleMask();
+        this.syncContainerMask();
 
         // Occupancy texture/FBO at low resolution (UNSIGNED_BYTE for easy readback)
         if (gl) {
@@ -374,17 +545,44 @@ export default class Simulation {
         await this.water.init();
 
         // Initialize oil layer (always enabled now since all materials use it)
-        this.oil = new OilLayer(this, sphParticleSplatVertWGSL, sphParticleSplatFragWGSL);
+        this.oil = this.createOilLayer();
         await this.oil.init();
         this.useOil = true;
 
         this.ready = true;
-        console.log('✓ Simulation initialized (water + oil layers)');
+        console.log(`✓ Simulation initialized (water + ${this.oilModel} oil layers)`);
+    }
+
+    /** A new, uninitialized oil layer for the current oilModel */
+    createOilLayer() {
+        if (this.oilModel === 'phase') return new PhaseFieldOilLayer(this);
+        const wgsl = this.sphSplatWGSL || {};
+        return new OilLayer(this, wgsl.vert, wgsl.frag);
+    }
+
+    /**
+     * Switch between SPH particle oil and the phase-field oil, in the clock
+     * glass too. The oil in the dish is dropped: the two models share no state.
+     * @param {'sph'|'phase'} model
+     */
+    async setOilModel(model) {
+        if (model !== 'sph' && model !== 'phase') {
+            throw new Error(`Simulation.setOilModel: unknown oil model '${model}'`);
+        }
+        if (this.upperPlate) await this.upperPlate.setOilModel(model);
+        if (model === this.oilModel) return;
+        this.oilModel = model;
+        // Before init() the layer is created with the model; disabled oil stays off
+        if (this.oil && this.useOil) {
+            await this.disableOil();
+            await this.enableOil();
+        }
+        console.log(`🛢️ Oil model: ${model === 'phase' ? 'phase field' : 'SPH particles'}`);
     }
 
     async enableOil() {
         if (this.oil) return; // already enabled
-        this.oil = new OilLayer(this);
+        this.oil = this.createOilLayer();
         await this.oil.init();
         this.useOil = true;
         console.log('🛢️ Oil layer enabled (scaffold)');
@@ -399,6 +597,53 @@ export default class Simulation {
         console.log('🛢️ Oil layer disabled');
     }
 
+    /**
+     * Press a second dish (a watch glass) on top of this one. It has its own
+     * water and oil fields, rotation and round container, shares this
+     * simulation's programs, randomness and clock, and follows its tuning
+     * (syncUpperPlate). update() steps it after this plate; the renderer
+     * shows this plate through it.
+     * @returns {Promise<Simulation>} the upper plate
+     */
+    async enableUpperPlate() {
+        if (this.upperPlate) return this.upperPlate;
+        if (!this.ready) {
+            throw new Error('Simulation.enableUpperPlate: simulation not initialized');
+        }
+        const plate = new Simulation(this.renderer);
+        plate.container.set({ shape: 'circle', radius: UPPER_PLATE_RADIUS });
+        plate.random = this.random;
+        plate.clock = this.clock;
+        plate.oilModel = this.oilModel;
+        this.syncUpperPlate(plate);
+        plate.sharePrograms(this);
+        await plate.initFields();
+        this.upperPlate = plate;
+        console.log('🕰️ Clock glass pressed into the dish');
+        return plate;
+    }
+
+    disableUpperPlate() {
+        const plate = this.upperPlate;
+        if (!plate) return;
+        this.upperPlate = null;
+        if (plate.water) plate.water.destroy();
+        if (plate.oil) plate.oil.destroy();
+        if (plate.multigrid) plate.multigrid.release();
+        if (this.gl && plate.occupancyTexture) {
+            this.gl.deleteTexture(plate.occupancyTexture);
+            this.gl.deleteFramebuffer(plate.occupancyFBO);
+        }
+        console.log('🕰️ Clock glass lifted');
+    }
+
+    /** Copy this plate's tuning to the upper plate (not its rotation, tilt or measurements) */
+    syncUpperPlate(plate = this.upperPlate) {
+        if (!plate) return;
+        const exclude = [...SNAPSHOT_EXCLUDED_PARAMS, ...PLATE_OWN_PARAMS];
+        applyParams(plate, collectParams(this, exclude), exclude);
+    }
+
     createTexture(width, height, internalFormat, format, type) {
         const gl = this.gl;
         const texture = gl.createTexture();
@@ -450,15 +695,51 @@ export default class Simulation {
         }
     }
 
+    swapTemperatureTextures() {
+        if (this.water && this.water.swapTemperatureTextures) {
+            this.water.swapTemperatureTextures();
+        } else {
+            [this.temperatureTexture1, this.temperatureTexture2] = [this.temperatureTexture2, this.temperatureTexture1];
+        }
+    }
+
+    /**
+     * Seed all stochastic paths (SPH spawn jitter, splat sizing) and drive
+     * time-based shaders (agitation, post-process) from simulated time.
+     */
+    setDeterministic(seed = 1) {
+        this.seed = seed;
+        this.setRandomSource(createRandom(seed));
+        this.setClock(() => this.time * 1000.0);
+    }
+
+    setRandomSource(random) {
+        this.random = random;
+        if (this.oil && this.oil.sph) this.oil.sph.random = random;
+        if (this.upperPlate) this.upperPlate.setRandomSource(random);
+    }
+
+    setClock(clock) {
+        this.clock = clock;
+        if (this.upperPlate) this.upperPlate.setClock(clock);
+    }
+
     setRotation(amount) {
         this.rotationBase = amount;
     }
 
     setRotationDelta(amount) {
-        console.log(`🎚️ setRotationDelta called: ${amount.toFixed(3)} (was ${this.rotationDelta.toFixed(3)})`);
+        if (this.logVerbose) {
+            console.log(`🎚️ setRotationDelta called: ${amount.toFixed(3)} (was ${this.rotationDelta.toFixed(3)})`);
+        }
         this.rotationDelta = amount;
     }
 
+    /** Audio-driven rotation (ModulationBus), added to the keys' and gestures' delta */
+    setRotationAudio(amount) {
+        this.rotationAudio = amount;
+    }
+
     setJetForce(x, y, strength) {
         this.jetForce = { x, y, strength };
     }
@@ -467,9 +748,9 @@ export default class Simulation {
         // Target tilt from rotation (stronger rotation = more tilt)
         const rotationTilt = Math.sign(this.rotationAmount) * Math.min(0.3, Math.abs(this.rotationAmount) * 5.0);
 
-        // Spring force toward rotation-driven tilt
-        const targetX = rotationTilt;
-        const targetY = 0.0;
+        // Spring force toward rotation-driven tilt plus the plate's own tilt
+        const targetX = rotationTilt + this.tiltX * 0.5;
+        const targetY = this.tiltY * 0.5;
 
         // Spring physics
         this.lightVelX += (targetX - this.lightTiltX) * this.lightSpring;
@@ -488,6 +769,26 @@ export default class Simulation {
         this.lightTiltY = Math.max(-0.5, Math.min(0.5, this.lightTiltY));
     }
 
+    /**
+     * Tilt the plate (tilt.js): a downhill vector in uv, y up, scaled back
+     * onto the unit disc if longer
+     */
+    setTilt(x, y) {
+        const length = Math.hypot(x, y);
+        const scale = length > 1 ? 1 / length : 1;
+        this.tiltX = x * scale;
+        this.tiltY = y * scale;
+    }
+
+    /**
+     * The plate's in-plane "up" for thermal buoyancy: uv +y on a level plate
+     * (the convention buoyancy.frag.glsl uses), tipped uphill by the tilt
+     * @returns {{x: number, y: number}}
+     */
+    planeUp() {
+        return { x: 0.0 - this.tiltX * this.tiltBuoyancy, y: 1.0 - this.tiltY * this.tiltBuoyancy };
+    }
+
     addWobble(forceX, forceY) {
         // Paint/jet impacts add velocity to wobble
         this.lightVelX += forceX * 0.05;
@@ -504,21 +805,28 @@ export default class Simulation {
 
         const gl = this.gl;
 
-        // Clear both color textures
+        // Clear both color textures (alpha is ink concentration: none)
         gl.bindFramebuffer(gl.FRAMEBUFFER, this.colorFBO);
         gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.colorTexture1, 0);
-        gl.clearColor(0, 0, 0, 1);
+        gl.clearColor(0, 0, 0, 0);
         gl.clear(gl.COLOR_BUFFER_BIT);
 
         gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.colorTexture2, 0);
-        gl.clearColor(0, 0, 0, 1);
+        gl.clearColor(0, 0, 0, 0);
         gl.clear(gl.COLOR_BUFFER_BIT);
 
         gl.bindFramebuffer(gl.FRAMEBUFFER, null);
     }
 
-    splat(x, y, color, radius = 0.01) {
-        console.log(`🔍 simulation.splat called: x=${x.toFixed(2)}, y=${y.toFixed(2)}, ready=${this.ready}, water=${!!this.water}`);
+    /**
+     * Paint at a point: ink into the water (with a small stirring impulse),
+     * or oil on the WebGPU path
+     * @param {number} flow - deposit scale (brush pressure), 1 for a plain splat
+     */
+    splat(x, y, color, radius = 0.01, flow = 1.0) {
+        if (this.logVerbose) {
+            console.log(`🔍 simulation.splat called: x=${x.toFixed(2)}, y=${y.toFixed(2)}, ready=${this.ready}, water=${!!this.water}`);
+        }
         if (!this.ready || !this.renderer.ready) {
             console.warn('⚠️ Splat called but not ready:', { ready: this.ready, rendererReady: this.renderer.ready });
             return;
@@ -526,12 +834,11 @@ export default class Simulation {
 
         if (this.webgpu) {
             if (this.oil) {
-                this.oil.splatColor(x, y, color, radius);
+                this.oil.splatColor(x, y, color, radius, flow);
             }
         } else {
             if (this.water) {
-                console.log(`🔍 Calling water.splatColor...`);
-                this.water.splatColor(x, y, color, radius);
+                this.water.splatColor(x, y, color, radius, flow);
                 // small stirring impulse to match previous behavior
                 const cx = 0.5, cy = 0.5;
                 const dx = x - cx;
@@ -557,8 +864,6 @@ export default class Simulation {
     }
     advectVelocity(dt) {
         advectVelocity(this.gl, this.renderer, this.advectionProgram, this, dt);
-        const gl = this.gl;
-        gl.uniform1f(gl.getUniformLocation(this.advectionProgram, 'u_dissipation_strength'), this.dissipationStrength);
     }
     applyViscosity(dt) {
         applyViscosity(this.gl, this.renderer, this.viscosityProgram, this, dt);
@@ -566,72 +871,65 @@ export default class Simulation {
     projectVelocity() {
         projectVelocity(this.gl, this.renderer, this.divergenceProgram, this.pressureProgram, this.gradientProgram, this);
     }
+    applyStirringRod() {
+        if (!this.stirringRod.active || !this.stirProgram) return;
+        applyStirringRod(this.gl, this.renderer, this.stirProgram, this);
+    }
+    /**
+     * The plate's spin, how it grips the fluids and its tilt, read by the
+     * water passes and the SPH particles alike (simulation/plate-rotation.js)
+     * @returns {{omega: number, alpha: number, rotatingFrame: boolean, wallCoupling: number, bottomFriction: number, tiltX: number, tiltY: number, tiltGravity: number}}
+     */
+    plateState() {
+        return {
+            omega: this.plateRotation.omega,
+            alpha: this.plateRotation.alpha,
+            rotatingFrame: this.rotatingFrame,
+            wallCoupling: this.plateWallCoupling,
+            bottomFriction: this.plateBottomFriction,
+            tiltX: this.tiltX,
+            tiltY: this.tiltY,
+            tiltGravity: this.tiltGravity
+        };
+    }
+    /** The heat lamp's parameters in the form simulation/heat-lamp.js takes */
+    heatLamp() {
+        return { x: this.heatLampX, y: this.heatLampY, radius: this.heatLampRadius, power: this.heatLampPower };
+    }
+    updateTemperature(dt) {
+        if (!this.thermalProgram || !this.temperatureTexture1) return;
+        updateTemperature(this.gl, this.renderer, this.thermalProgram, this, dt);
+    }
+    applyThermalBuoyancy(dt) {
+        if (!this.thermalBuoyancyProgram || !this.temperatureTexture1 || this.thermalBuoyancy === 0) return;
+        applyThermalBuoyancy(this.gl, this.renderer, this.thermalBuoyancyProgram, this, dt);
+    }
     advectColor(dt) {
         advectColor(this.gl, this.renderer, this.advectionProgram, this, dt);
-        const gl = this.gl;
-        gl.uniform1f(gl.getUniformLocation(this.advectionProgram, 'u_dissipation_strength'), this.dissipationStrength);
     }
     applyDiffusion(dt) {
         diffuseColor(this.gl, this.renderer, this.diffusionProgram, this, dt);
     }
     applyCouplingForce(dt) {
-        const gl = this.gl;
-        gl.useProgram(this.couplingForceProgram);
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.water.velocityFBO);
-        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.water.velocityTexture2, 0);
-
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.renderer.quadBuffer);
-        const positionAttrib = gl.getAttribLocation(this.couplingForceProgram, 'a_position');
-        gl.enableVertexAttribArray(positionAttrib);
-        gl.vertexAttribPointer(positionAttrib, 2, gl.FLOAT, false, 0, 0);
-
-        gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, this.water.velocityTexture1);
-        gl.uniform1i(gl.getUniformLocation(this.couplingForceProgram, 'u_waterVelocity'), 0);
-
-        gl.activeTexture(gl.TEXTURE1);
-        gl.bindTexture(gl.TEXTURE_2D, this.oil.oilTexture1);
-        gl.uniform1i(gl.getUniformLocation(this.couplingForceProgram, 'u_oilThickness'), 1);
-
-        gl.uniform1f(gl.getUniformLocation(this.couplingForceProgram, 'u_couplingStrength'), this.couplingStrength);
-        gl.uniform2f(gl.getUniformLocation(this.couplingForceProgram, 'u_resolution'), gl.canvas.width, gl.canvas.height);
-
-        gl.drawArrays(gl.TRIANGLES, 0, 6);
-        this.water.swapVelocityTextures();
+        applyCouplingForce(this.gl, this.renderer, this.couplingForceProgram, this, dt);
     }
-
     applyOilAttraction(dt) {
-        const gl = this.gl;
-        gl.useProgram(this.oilAttractionProgram);
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.oil.oilFBO);
-        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.oil.oilTexture2, 0);
-
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.renderer.quadBuffer);
-        const positionAttrib = gl.getAttribLocation(this.oilAttractionProgram, 'a_position');
-        gl.enableVertexAttribArray(positionAttrib);
-        gl.vertexAttribPointer(positionAttrib, 2, gl.FLOAT, false, 0, 0);
-
-        gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, this.oil.oilTexture1);
-        gl.uniform1i(gl.getUniformLocation(this.oilAttractionProgram, 'u_oilTexture'), 0);
-
-        gl.uniform1f(gl.getUniformLocation(this.oilAttractionProgram, 'u_attractionStrength'), this.oilAttractionStrength);
-        gl.uniform2f(gl.getUniformLocation(this.oilAttractionProgram, 'u_resolution'), gl.canvas.width, gl.canvas.height);
-
-        gl.drawArrays(gl.TRIANGLES, 0, 6);
-        this.oil.swapOilTextures();
+        applyOilAttraction(this.gl, this.renderer, this.oilAttractionProgram, this, dt);
     }
 
     async update(deltaTime) {
         if (!this.ready || !this.renderer.ready || this.paused) return;
         const gl = this.gl;
-        const dt = Math.min(deltaTime, 0.016);
+        const dt = Math.min(deltaTime, MAX_STEP_DT);
+        this.time += dt;
+        this.stepCount++;
         // Defensive viewport for all passes this frame
         if (gl) {
-            gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+            this.bindSimViewport();
         }
-        // Combine rotation sources
-        this.rotationAmount = this.rotationBase + this.rotationDelta;
+        // Combine rotation sources; the plate follows with its inertia
+        this.rotationAmount = this.rotationBase + this.rotationDelta + this.rotationAudio;
+        this.plateRotation.step(dt, this.rotationAmount, this.plateSpinUpTime, this.plateSpinDownTime);
 
         // Debug: Log when rotation is active
         if (Math.abs(this.rotationAmount) > 0.01 && Math.random() < 0.01) {
@@ -640,24 +938,148 @@ export default class Simulation {
 
         // Update dynamic lighting (plate tilt from rotation + wobble)
         this.updateLightTilt(dt);
+        this.syncObstacleMask();
+        this.stirringRod.step(dt);
 
-        if (this.water) this.water.update(dt);
+        if (this.cflEveryN > 0 && (this.stepCount - 1) % Math.round(this.cflEveryN) === 0) {
+            this.planSubsteps(dt);
+        }
+        if (this.water) {
+            const substeps = this.substeps.water;
+            for (let s = 0; s < substeps; s++) this.water.update(dt / substeps);
+        }
         // Run oil after water velocity update (no coupling yet)
         if (this.useOil && this.oil) await this.oil.update(dt);
         // Keep corruption check centralized here
         if (this.gl && this.checkForCorruption()) {
             console.error('❌ Simulation paused due to corruption');
         }
+        if (this.upperPlate) {
+            this.syncUpperPlate();
+            await this.upperPlate.update(dt);
+        }
         if (gl) {
             gl.bindFramebuffer(gl.FRAMEBUFFER, null);
         }
     }
 
+    /**
+     * Measure the CFL numbers for a step of dt and choose the substeps: water
+     * from the fastest grid velocity (GPU max reduction, one small readback),
+     * SPH from the fastest particle against the smoothing radius (sphSubsteps
+     * adds the SPH_MAX_DT floor on every step)
+     * @returns {{water: number, sph: number}} the CFL numbers at one substep
+     */
+    planSubsteps(dt) {
+        const gl = this.gl;
+        const maxSubsteps = Math.max(1, Math.round(this.maxSubsteps));
+        let water = 0;
+        if (gl && this.maxVelocityProgram && this.velocityTexture1) {
+            if (!this.cflReductionTarget) {
+                const texture = this.createTexture(REDUCTION_SIZE, REDUCTION_SIZE, gl.RGBA32F, gl.RGBA, gl.FLOAT);
+                this.cflReductionTarget = { texture, fbo: this.createFBO(texture) };
+            }
+            const velocity = maxVelocity(gl, this.renderer, this.maxVelocityProgram, this, this.cflReductionTarget);
+            water = waterCFL(velocity, this.simWidth, this.simHeight, dt);
+        }
+
+        let sph = 0;
+        const system = this.useOil && this.oil && this.oil.sph;
+        if (system && system.particleCount > 0) {
+            sph = system.maxSpeed() * dt / system.smoothingRadius;
+        }
+
+        const substeps = {
+            water: cflSubsteps(water, this.waterCflLimit, maxSubsteps),
+            sph: cflSubsteps(sph, this.sphCflLimit, maxSubsteps)
+        };
+        if (substeps.water !== this.substeps.water || substeps.sph !== this.substeps.sph) {
+            console.log(`⏱️ CFL: water ${water.toFixed(2)} → ${substeps.water} substep(s), SPH ${sph.toFixed(2)} → ${substeps.sph}`);
+        }
+        this.substeps = substeps;
+        this.cfl = { water, sph };
+        return this.cfl;
+    }
+
+    /**
+     * SPH substeps for a step of dt: the last CFL plan's, but never a
+     * substep longer than SPH_MAX_DT. Taken every step, so oil spawned
+     * since the last plan, or with planning off, still runs at full speed.
+     */
+    sphSubsteps(dt) {
+        return Math.max(this.substeps.sph, Math.ceil(dt / SPH_MAX_DT - 1e-9));
+    }
+
+    /**
+     * Capture the full scene (water fields, oil grid + props, SPH particles,
+     * tunable parameters) into a compact binary snapshot.
+     * @returns {ArrayBuffer}
+     */
+    serialize() {
+        if (!this.ready) {
+            throw new Error('Simulation.serialize: simulation not initialized');
+        }
+        const writer = new SnapshotWriter();
+        writer.set('params', collectParams(this, SNAPSHOT_EXCLUDED_PARAMS));
+        writer.set('jetForce', { ...this.jetForce });
+        writer.set('oilModel', this.oilModel);
+        this.container.serialize(writer);
+        this.plateRotation.serialize(writer);
+        this.obstacles.serialize(writer);
+        if (this.water) this.water.serialize(writer);
+        if (this.oil) this.oil.serialize(writer);
+        if (this.upperPlate) writer.addArray('upperPlate', new Uint8Array(this.upperPlate.serialize()));
+        if (this.gl) {
+            this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+        }
+        return writer.toArrayBuffer();
+    }
+
+    /**
+     * Restore a scene produced by serialize(). Accepts an ArrayBuffer,
+     * Uint8Array or Blob/File (e.g. from a file input).
+     */
+    async restore(data) {
+        if (!this.ready) {
+            throw new Error('Simulation.restore: simulation not initialized');
+        }
+        const bytes = (typeof Blob !== 'undefined' && data instanceof Blob) ? await data.arrayBuffer() : data;
+        const reader = new SnapshotReader(bytes);
+
+        applyParams(this, reader.get('params'), SNAPSHOT_EXCLUDED_PARAMS);
+        const jet = reader.get('jetForce');
+        if (jet) this.jetForce = { x: jet.x, y: jet.y, strength: jet.strength };
+        this.container.restore(reader);
+        this.syncContainerMask();
+        this.plateRotation.restore(reader);
+        this.obstacles.restore(reader);
+        this.syncObstacleMask();
+        // The oil layers read only their own model's chunks. Older scenes
+        // name no model: a phase field means phase oil, else SPH
+        await this.setOilModel(reader.get('oilModel') ?? (reader.get('phaseOil') ? 'phase' : 'sph'));
+
+        if (this.water) this.water.restore(reader);
+        if (this.oil) this.oil.restore(reader);
+        // The clock glass is part of the scene: pressed in or lifted to match
+        const plate = reader.getArray('upperPlate');
+        if (plate) {
+            await this.enableUpperPlate();
+            await this.upperPlate.restore(plate);
+        } else {
+            this.disableUpperPlate();
+        }
+        if (this.gl) {
+            this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+        }
+        console.log(`📂 Scene restored (format v${reader.version}, ${this.oil && this.oil.sph ? this.oil.sph.particleCount : 0} SPH particles)`);
+    }
+
     recreateTextures() {
         const gl = this.gl;
         if (!gl) return;
-        const width = gl.canvas.width;
-        const height = gl.canvas.height;
+        this.updateSimSize(gl.canvas);
+        const width = this.simWidth;
+        const height = this.simHeight;
         // Scale solver iterations based on resolution (reference min-dim = 1080)
         const _minDimInit = Math.max(1, Math.min(width, height));
         const _iterScaleInit = Math.min(1.75, Math.max(0.75, 1080.0 / _minDimInit));
@@ -670,13 +1092,141 @@ export default class Simulation {
         this.pressureIterations = Math.max(30, Math.round(50 * iterScale));
 
         // Delegate buffer recreation to layers
+        if (this.multigrid) this.multigrid.release();
         if (this.water) this.water.resize();
         if (this.useOil && this.oil) this.oil.resize();
+        this.syncObstacleMask();
+        if (this.upperPlate) this.upperPlate.recreateTextures();
     }
 
-    applyConcentrationPressure() {
+    /**
+     * Derive simWidth/simHeight from the canvas and the resolution options
+     * @returns {boolean} whether the grid size changed
+     */
+    updateSimSize(canvas) {
+        const { width, height } = simGridSize(canvas.width, canvas.height, {
+            scale: this.simResolutionScale,
+            fixedSize: this.simFixedSize
+        });
+        const changed = width !== this.simWidth || height !== this.simHeight;
+        this.simWidth = width;
+        this.simHeight = height;
+        return changed;
+    }
+
+    /** Viewport covering the simulation grid; every field pass renders at this size */
+    bindSimViewport() {
+        this.gl.viewport(0, 0, this.simWidth, this.simHeight);
+    }
+
+    /**
+     * Change the grid resolution at runtime (reallocates the fields, which
+     * clears them)
+     * @param {number} scale - Fraction of the canvas resolution
+     * @param {number} [fixedSize] - Cells on the long side instead (0 = use scale)
+     */
+    setSimResolution(scale, fixedSize = 0) {
+        this.simResolutionScale = clamp(scale, 0.1, 1);
+        this.simFixedSize = Math.max(0, Math.round(fixedSize));
+        if (this.upperPlate) this.upperPlate.setSimResolution(scale, fixedSize);
+        if (!this.gl) return;
+        const canvas = this.gl.canvas;
+        if (!this.updateSimSize(canvas)) return;
+        this.recreateTextures();
+        console.log(`🔲 Simulation grid ${this.simWidth}×${this.simHeight} (canvas ${canvas.width}×${canvas.height})`);
+    }
+
+    /**
+     * Change the shape of the dish (see simulation/container.js for the
+     * shapes and presets). The fields are kept; whatever is now outside the
+     * wall is masked by the next step.
+     * @param {object|string} spec - A description or a preset name
+     * @returns {object} the stored geometry
+     */
+    setContainer(spec) {
+        const geometry = this.container.set(spec);
+        this.syncContainerMask();
+        console.log(`🫙 Container: ${geometry.shape} ${this.container.size.slice(0, 2).map((v) => v.toFixed(2)).join('×')}`);
+        return geometry;
+    }
+
+    /** Upload a mask container's distance field when the geometry changed */
+    syncContainerMask() {
+        const gl = this.gl;
+        const field = this.container.distanceField;
+        if (!gl || !field || this._containerMaskVersion === this.container.version) return;
+        this._containerMaskVersion = this.container.version;
+
+        if (!this.containerTexture) {
+            this.containerTexture = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D, this.containerTexture);
+            // LINEAR: the wall falls between texels where the distance crosses zero
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        }
+        const { width, height } = this.container.geometry.mask;
+        gl.bindTexture(gl.TEXTURE_2D, this.containerTexture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.R16F, width, height, 0, gl.RED, gl.FLOAT, field);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+    }
+
+    /**
+     * Place a solid obstacle (see simulation/obstacles.js for the shapes)
+     * @returns {object} the stored shape
+     */
+    addObstacle(shape) {
+        const obstacle = this.obstacles.add(shape);
+        this.syncObstacleMask();
+        console.log(`🪨 Obstacle: ${obstacle.type} at (${obstacle.x.toFixed(2)}, ${obstacle.y.toFixed(2)}), ${this.obstacles.shapes.length} in the plate`);
+        return obstacle;
+    }
+
+    /** Remove the most recently placed obstacle */
+    undoObstacle() {
+        const removed = this.obstacles.removeLast();
+        this.syncObstacleMask();
+        return removed;
+    }
+
+    clearObstacles() {
+        this.obstacles.clear();
+        this.syncObstacleMask();
+    }
+
+    /** Solid mask texture for the water passes, or null when the plate is clear */
+    obstacleMask() {
+        return this.obstacles.empty ? null : this.obstacleTexture;
+    }
+
+    /** Rasterize and upload the obstacle mask if the shapes or the grid changed */
+    syncObstacleMask() {
         const gl = this.gl;
+        if (!gl || !this.simWidth || !this.simHeight) return;
+        const key = `${this.obstacles.version}:${this.simWidth}x${this.simHeight}`;
+        if (this._obstacleMaskKey === key) return;
+        this._obstacleMaskKey = key;
+
+        if (!this.obstacleTexture) {
+            this.obstacleTexture = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D, this.obstacleTexture);
+            // LINEAR gives the renderer a soft rim; the solver thresholds at 0.5
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        }
+        const mask = this.obstacles.rasterize(this.simWidth, this.simHeight);
+        const prevAlignment = gl.getParameter(gl.UNPACK_ALIGNMENT);
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+        gl.bindTexture(gl.TEXTURE_2D, this.obstacleTexture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.R8, this.simWidth, this.simHeight, 0, gl.RED, gl.UNSIGNED_BYTE, mask);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, prevAlignment);
+    }
 
+    applyConcentrationPressure() {
         if (!this._concentrationFrameCount) {
             this._concentrationFrameCount = 0;
         }
@@ -687,30 +1237,7 @@ export default class Simulation {
             console.log(`🌊 Concentration pressure: ${this._concentrationFrameCount} frames, strength: ${this.spreadStrength}`);
         }
 
-        gl.useProgram(this.concentrationPressureProgram);
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.velocityFBO);
-        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.velocityTexture2, 0);
-
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.renderer.quadBuffer);
-        const positionAttrib = gl.getAttribLocation(this.concentrationPressureProgram, 'a_position');
-        gl.enableVertexAttribArray(positionAttrib);
-        gl.vertexAttribPointer(positionAttrib, 2, gl.FLOAT, false, 0, 0);
-
-        // Bind color texture (to measure concentration)
-        gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, this.colorTexture1);
-        gl.uniform1i(gl.getUniformLocation(this.concentrationPressureProgram, 'u_color_texture'), 0);
-
-        // Bind velocity texture
-        gl.activeTexture(gl.TEXTURE1);
-        gl.bindTexture(gl.TEXTURE_2D, this.velocityTexture1);
-        gl.uniform1i(gl.getUniformLocation(this.concentrationPressureProgram, 'u_velocity_texture'), 1);
-
-        // Set spreading strength parameter
-        gl.uniform1f(gl.getUniformLocation(this.concentrationPressureProgram, 'u_spread_strength'), this.spreadStrength);
-
-        gl.drawArrays(gl.TRIANGLES, 0, 6);
-        this.swapVelocityTextures();
+        runPass(this.gl, this.renderer, this.concentrationPressureProgram, CONCENTRATION_PRESSURE_PASS, this);
     }
 
     /**
@@ -728,19 +1255,6 @@ export default class Simulation {
 
         // Check for NaN or Inf (allow up to 10k velocity)
         let maxVal = 0;
-        const halfToFloat = (h) => {
-            const s = (h & 0x8000) >> 15;
-            const e = (h & 0x7C00) >> 10;
-            const f = h & 0x03FF;
-            if (e === 0) {
-                if (f === 0) return s ? -0 : 0;
-                return (s ? -1 : 1) * Math.pow(2, -14) * (f / 1024);
-            }
-            if (e === 31) {
-                return f ? NaN : (s ? -Infinity : Infinity);
-            }
-            return (s ? -1 : 1) * Math.pow(2, e - 15) * (1 + f / 1024);
-        };
 
         for (let i = 0; i < pixels.length; i++) {
             const v = halfToFloat(pixels[i]);
@@ -34,31 +34,6 @@ export default class OilParticle {
         this.age += dt;
     }
     
-    constrainToCircle(centerX = 0.5, centerY = 0.5, radius = 0.48) {
-        const dx = this.x - centerX;
-        const dy = this.y - centerY;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        
-        if (dist > radius) {
-            // Bounce off boundary
-            const nx = dx / dist;
-            const ny = dy / dist;
-            
-            // Reflect position
-            this.x = centerX + nx * radius;
-            this.y = centerY + ny * radius;
-            
-            // Reflect velocity (elastic collision)
-            const dot = this.vx * nx + this.vy * ny;
-            this.vx -= 2 * dot * nx;
-            this.vy -= 2 * dot * ny;
-            
-            // Dampen bounce
-            this.vx *= 0.8;
-            this.vy *= 0.8;
-        }
-    }
-    
     distanceTo(other) {
         const dx = this.x - other.x;
         const dy = this.y - other.y;
@@ -0,0 +1,289 @@
+/**
+ * Container geometry: the dish the water, ink and oil live in
+ *
+ * One description read by every pass that needs to know where the wall is:
+ * the grid kernels (through shaders/container.glsl), SPH boundary
+ * enforcement, occupancy and overflow, and the renderer's boundary pass.
+ * Points are in aspect space: the dish centre at the origin, y up, lengths
+ * in units of the grid height with x scaled by the aspect ratio, as for
+ * obstacles.js:
+ *
+ *   { shape: 'circle', radius }
+ *   { shape: 'ellipse', halfWidth, halfHeight }
+ *   { shape: 'roundedRect', halfWidth, halfHeight, corner }
+ *   { shape: 'mask', halfWidth, halfHeight, mask: { width, height, data } }
+ *       the mask is stretched over the box; rows run top-down and texels
+ *       >= 128 are inside (obstacles.js maskFromPixels: opaque or dark)
+ *
+ * signedDistance() is negative inside. The shaders compare
+ * CONTAINER_RADIUS + signedDistance with the radius of the round dish they
+ * were written for, so every rim band keeps its width on any shape.
+ */
+
+/** Radius of the round dish, and the reference for rim bands on any shape */
+export const CONTAINER_RADIUS = 0.48;
+
+// Shader shape codes (container.glsl u_containerShape)
+export const CONTAINER_SHAPES = ['circle', 'ellipse', 'roundedRect', 'mask'];
+
+export const CONTAINER_PRESETS = {
+  circle: { shape: 'circle', radius: CONTAINER_RADIUS },
+  ellipse: { shape: 'ellipse', halfWidth: 0.62, halfHeight: 0.42 },
+  roundedRect: { shape: 'roundedRect', halfWidth: 0.64, halfHeight: 0.44, corner: 0.08 },
+  square: { shape: 'roundedRect', halfWidth: 0.46, halfHeight: 0.46, corner: 0.03 }
+};
+
+const SOLID = 128;
+
+/**
+ * Fill in defaults and validate a container description
+ * @param {object|string} spec - A description or a CONTAINER_PRESETS name
+ * @returns {object} a new description
+ */
+export function normalizeContainer(spec) {
+  if (typeof spec === 'string') {
+    if (!CONTAINER_PRESETS[spec]) throw new Error(`Container: unknown preset "${spec}"`);
+    spec = CONTAINER_PRESETS[spec];
+  }
+  const shape = spec && spec.shape;
+  if (!CONTAINER_SHAPES.includes(shape)) {
+    throw new Error(`Container: unknown shape "${shape}"`);
+  }
+  if (shape === 'circle') {
+    return { shape, radius: spec.radius ?? CONTAINER_RADIUS };
+  }
+  const container = {
+    shape,
+    halfWidth: spec.halfWidth ?? CONTAINER_RADIUS,
+    halfHeight: spec.halfHeight ?? CONTAINER_RADIUS
+  };
+  if (!(container.halfWidth > 0) || !(container.halfHeight > 0)) {
+    throw new Error('Container: halfWidth and halfHeight must be positive');
+  }
+  if (shape === 'roundedRect') {
+    container.corner = Math.min(spec.corner ?? 0.08, container.halfWidth, container.halfHeight);
+  }
+  if (shape === 'mask') {
+    const mask = spec.mask;
+    if (!mask || !(mask.data instanceof Uint8Array) || mask.data.length !== mask.width * mask.height) {
+      throw new Error('Container: mask containers need a mask { width, height, data: Uint8Array }');
+    }
+    if (!mask.data.some((v) => v >= SOLID)) {
+      throw new Error('Container: the mask has no inside');
+    }
+    container.mask = mask;
+  }
+  return container;
+}
+
+/**
+ * Signed distance over a mask container's box at texel centres, rows bottom-up
+ * (texture order): what container.glsl samples for the mask shape
+ * @returns {Float32Array}
+ */
+export function maskDistanceField(container) {
+  const { width, height, data } = container.mask;
+  const { halfWidth, halfHeight } = container;
+  const dx = 2 * halfWidth / width;
+  const dy = 2 * halfHeight / height;
+  const inside = (i, j) => data[(height - 1 - j) * width + i] >= SOLID; // j counts up from the bottom
+
+  // The wall runs between neighbouring texels that disagree; the box edge
+  // closes inside texels on the border
+  const wall = [];
+  for (let j = 0; j < height; j++) {
+    for (let i = 0; i < width; i++) {
+      const x = -halfWidth + (i + 0.5) * dx;
+      const y = -halfHeight + (j + 0.5) * dy;
+      const here = inside(i, j);
+      if (i + 1 < width && inside(i + 1, j) !== here) wall.push(x + dx / 2, y);
+      if (j + 1 < height && inside(i, j + 1) !== here) wall.push(x, y + dy / 2);
+      if (here) {
+        if (i === 0) wall.push(x - dx / 2, y);
+        if (i === width - 1) wall.push(x + dx / 2, y);
+        if (j === 0) wall.push(x, y - dy / 2);
+        if (j === height - 1) wall.push(x, y + dy / 2);
+      }
+    }
+  }
+
+  const field = new Float32Array(width * height);
+  for (let j = 0; j < height; j++) {
+    for (let i = 0; i < width; i++) {
+      const x = -halfWidth + (i + 0.5) * dx;
+      const y = -halfHeight + (j + 0.5) * dy;
+      let best = Infinity;
+      for (let k = 0; k < wall.length; k += 2) {
+        const d2 = (wall[k] - x) ** 2 + (wall[k + 1] - y) ** 2;
+        if (d2 < best) best = d2;
+      }
+      field[j * width + i] = inside(i, j) ? -Math.sqrt(best) : Math.sqrt(best);
+    }
+  }
+  return field;
+}
+
+// Bilinear lookup at texel centres with clamped edges, as LINEAR sampling does
+function sampleField(field, width, height, u, v) {
+  const x = Math.min(Math.max(u * width - 0.5, 0), width - 1);
+  const y = Math.min(Math.max(v * height - 0.5, 0), height - 1);
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const x1 = Math.min(x0 + 1, width - 1);
+  const y1 = Math.min(y0 + 1, height - 1);
+  const fx = x - x0;
+  const fy = y - y0;
+  const top = field[y1 * width + x0] * (1 - fx) + field[y1 * width + x1] * fx;
+  const bottom = field[y0 * width + x0] * (1 - fx) + field[y0 * width + x1] * fx;
+  return bottom * (1 - fy) + top * fy;
+}
+
+export default class Container {
+  /** @param {object|string} spec - See normalizeContainer; the round dish by default */
+  constructor(spec = 'circle') {
+    this.version = 0;   // bumped on every change so the mask texture is re-uploaded lazily
+    this.set(spec);
+  }
+
+  /** Replace the geometry (a description or a preset name) */
+  set(spec) {
+    this.geometry = normalizeContainer(spec);
+    this.distanceField = this.geometry.shape === 'mask' ? maskDistanceField(this.geometry) : null;
+    this.version++;
+    return this.geometry;
+  }
+
+  get shape() {
+    return this.geometry.shape;
+  }
+
+  /** Half extents and corner radius, the shader's u_containerSize */
+  get size() {
+    const g = this.geometry;
+    if (g.shape === 'circle') return [g.radius, g.radius, 0];
+    return [g.halfWidth, g.halfHeight, g.corner || 0];
+  }
+
+  /** Distance to the wall at an aspect-space point, negative inside (container.glsl) */
+  signedDistance(x, y) {
+    const g = this.geometry;
+    const [a, b, corner] = this.size;
+    switch (g.shape) {
+      case 'ellipse':
+        // Scaled circle: exact on the axes and close to it elsewhere
+        return (Math.hypot(x / a, y / b) - 1) * Math.min(a, b);
+      case 'roundedRect': {
+        const qx = Math.abs(x) - a + corner;
+        const qy = Math.abs(y) - b + corner;
+        return Math.hypot(Math.max(qx, 0), Math.max(qy, 0)) + Math.min(Math.max(qx, qy), 0) - corner;
+      }
+      case 'mask': {
+        const { width, height } = g.mask;
+        const u = Math.min(Math.max(x / (2 * a) + 0.5, 0), 1);
+        const v = Math.min(Math.max(y / (2 * b) + 0.5, 0), 1);
+        const outside = Math.hypot(Math.max(Math.abs(x) - a, 0), Math.max(Math.abs(y) - b, 0));
+        return sampleField(this.distanceField, width, height, u, v) + outside;
+      }
+      default:
+        return Math.hypot(x, y) - a;
+    }
+  }
+
+  /** Outward unit normal of the wall nearest an aspect-space point */
+  normal(x, y) {
+    const h = 1e-4;
+    const nx = this.signedDistance(x + h, y) - this.signedDistance(x - h, y);
+    const ny = this.signedDistance(x, y + h) - this.signedDistance(x, y - h);
+    const length = Math.hypot(nx, ny);
+    return length > 0 ? { x: nx / length, y: ny / length } : { x: 1, y: 0 };
+  }
+
+  /** Whether a uv point is inside the dish */
+  contains(u, v, aspect = 1) {
+    return this.signedDistance((u - 0.5) * aspect, v - 0.5) <= 0;
+  }
+
+  /**
+   * Bring an aspect-space point back inside
+   * @param {{x: number, y: number}|null} bounds - Half extents the point must also stay in
+   * @returns {{x: number, y: number, nx: number, ny: number}|null} the point on
+   *   the wall and its outward normal, or null when already inside
+   */
+  collide(x, y, bounds = null) {
+    const distance = (px, py) => {
+      const d = this.signedDistance(px, py);
+      if (!bounds) return d;
+      const qx = Math.abs(px) - bounds.x;
+      const qy = Math.abs(py) - bounds.y;
+      return Math.max(d, Math.hypot(Math.max(qx, 0), Math.max(qy, 0)) + Math.min(Math.max(qx, qy), 0));
+    };
+    const h = 1e-4;
+    let hit = null;
+    // The distances are approximate off the axes: a few projections settle it
+    for (let pass = 0; pass < 4; pass++) {
+      const d = distance(x, y);
+      if (d <= 0) break;
+      let nx = distance(x + h, y) - distance(x - h, y);
+      let ny = distance(x, y + h) - distance(x, y - h);
+      const length = Math.hypot(nx, ny) || 1;
+      nx /= length;
+      ny /= length;
+      x -= nx * (d + 1e-6);
+      y -= ny * (d + 1e-6);
+      hit = { x, y, nx, ny };
+    }
+    return hit;
+  }
+
+  /**
+   * collide() for SPH world coordinates (u = 0.5 + x/2R, v = 0.5 - y/2R, as
+   * the particle splat draws them). The particles only exist on the canvas,
+   * so the wall is also cut to it.
+   * @returns {{x: number, y: number, nx: number, ny: number}|null} world
+   *   point and outward world normal
+   */
+  collideWorld(x, y, containerRadius, aspect = 1) {
+    const scale = 2 * containerRadius;
+    const hit = this.collide(x * aspect / scale, -y / scale, { x: aspect / 2, y: 0.5 });
+    if (!hit) return null;
+    const nx = hit.nx * aspect;
+    const ny = -hit.ny;
+    const length = Math.hypot(nx, ny) || 1;
+    return { x: hit.x * scale / aspect, y: -hit.y * scale, nx: nx / length, ny: ny / length };
+  }
+
+  /** Distance outside the wall of an SPH world point, in aspect units (negative inside) */
+  distanceWorld(x, y, containerRadius, aspect = 1) {
+    const scale = 2 * containerRadius;
+    return this.signedDistance(x * aspect / scale, -y / scale);
+  }
+
+  /**
+   * Write the geometry to a scene snapshot (masks as byte chunks)
+   * @param {SnapshotWriter} writer
+   */
+  serialize(writer) {
+    const { mask, ...geometry } = this.geometry;
+    if (mask) {
+      writer.addArray('container.mask', mask.data, { width: mask.width, height: mask.height });
+      geometry.mask = { width: mask.width, height: mask.height, chunk: 'container.mask' };
+    }
+    writer.set('container', geometry);
+  }
+
+  /**
+   * Replace the geometry with a snapshot's (the round dish if it has none)
+   * @param {SnapshotReader} reader
+   */
+  restore(reader) {
+    const saved = reader.get('container');
+    if (saved && saved.mask) {
+      const data = reader.getArray(saved.mask.chunk);
+      if (data) {
+        this.set({ ...saved, mask: { width: saved.mask.width, height: saved.mask.height, data } });
+        return;
+      }
+    }
+    this.set(saved && saved.shape !== 'mask' ? saved : 'circle');
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * Heat lamp: the projector bulb warming the plate from below
+ *
+ * On a real overhead projector the plate is hottest over the bulb and the
+ * water slowly rolls over it: warm water rises, thins the oil above it and
+ * drives it outward, and the show drifts even when nobody touches it. The
+ * lamp is a Gaussian hotspot that feeds
+ *
+ *   - the water temperature field (kernels/thermal.js): °C above room
+ *     temperature, advected, diffused and cooled back toward room
+ *   - SPH oil particles (SPHOilSystem.heatSource), which warm under the
+ *     hotspot directly
+ *
+ * The lamp's settings are plain Simulation parameters (heatLampX/Y, Radius,
+ * Power), so snapshots, looks and crossfades carry them like any other.
+ * Simulation.heatLamp() gathers them into the { x, y, radius, power } object
+ * the functions here take: the centre in texture coordinates (uv, y up), the
+ * Gaussian's sigma in units of the grid height (round on any aspect) and
+ * °C/s at the centre.
+ */
+
+// Heating at the centre of the spot for each heat lamp level (°C/s):
+// OFF, LOW, MEDIUM, HIGH
+export const LAMP_POWER = [0.0, 1.0, 2.5, 4.5];
+
+/**
+ * Heating rate at a uv point
+ * @param {{x: number, y: number, radius: number, power: number}} lamp
+ * @param {number} aspect - grid width / height
+ * @returns {number} °C/s
+ */
+export function heatingAt(lamp, x, y, aspect = 1) {
+  if (!(lamp.power > 0)) return 0;
+  const dx = (x - lamp.x) * aspect;
+  const dy = y - lamp.y;
+  return lamp.power * Math.exp(-(dx * dx + dy * dy) / (2 * lamp.radius * lamp.radius));
+}
+
+/**
+ * heatingAt() for a point in SPH world coordinates, mapped to the grid as
+ * Container.collideWorld maps it (x * aspect / scale from the centre, in
+ * aspect units)
+ * @param {number} aspect - grid width / height
+ */
+export function heatingAtWorld(lamp, x, y, containerRadius, aspect = 1) {
+  const scale = 2 * containerRadius;
+  return heatingAt(lamp, 0.5 + x / scale, 0.5 - y / scale, aspect);
+}
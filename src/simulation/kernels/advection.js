@@ -1,53 +1,31 @@
-export function advectVelocity(gl, renderer, advectionProgram, simulation, dt) {
-    gl.useProgram(advectionProgram);
-    gl.bindFramebuffer(gl.FRAMEBUFFER, simulation.velocityFBO);
-    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, simulation.velocityTexture2, 0);
-
-    gl.bindBuffer(gl.ARRAY_BUFFER, renderer.quadBuffer);
-    const positionAttrib = gl.getAttribLocation(advectionProgram, 'a_position');
-    gl.enableVertexAttribArray(positionAttrib);
-    gl.vertexAttribPointer(positionAttrib, 2, gl.FLOAT, false, 0, 0);
-
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, simulation.velocityTexture1);
-    gl.uniform1i(gl.getUniformLocation(advectionProgram, 'u_color_texture'), 0);
-
-    gl.activeTexture(gl.TEXTURE1);
-    gl.bindTexture(gl.TEXTURE_2D, simulation.velocityTexture1);
-    gl.uniform1i(gl.getUniformLocation(advectionProgram, 'u_velocity_texture'), 1);
+import { runPass } from './pass.js';
+
+/**
+ * Advection pass over any field: `source` is advected by `velocity` (both
+ * runPass inputs) into `output`. One shader serves the water velocity and ink
+ * and the oil grid, so every pass writes all of its mode flags.
+ */
+export function advectionPass({ source, velocity = 'velocityTexture1', output, isVelocity = false, isOil = false }) {
+    return {
+        inputs: { u_color_texture: source, u_velocity_texture: velocity },
+        output,
+        uniforms(u, simulation, dt) {
+            u.float('u_dt', dt);
+            u.vec2('u_resolution', simulation.simWidth, simulation.simHeight);
+            u.bool('u_isVelocity', isVelocity);
+            u.bool('u_isOil', isOil);
+            u.float('u_dissipation_strength', simulation.dissipationStrength);
+        }
+    };
+}
 
-    gl.uniform1f(gl.getUniformLocation(advectionProgram, 'u_dt'), dt);
-    gl.uniform2f(gl.getUniformLocation(advectionProgram, 'u_resolution'), 
-        gl.canvas.width, gl.canvas.height);
-    gl.uniform1i(gl.getUniformLocation(advectionProgram, 'u_isVelocity'), 1);
+export const ADVECT_VELOCITY_PASS = advectionPass({ source: 'velocityTexture1', output: 'velocity', isVelocity: true });
+export const ADVECT_COLOR_PASS = advectionPass({ source: 'colorTexture1', output: 'color' });
 
-    gl.drawArrays(gl.TRIANGLES, 0, 6);
-    simulation.swapVelocityTextures();
+export function advectVelocity(gl, renderer, advectionProgram, simulation, dt) {
+    runPass(gl, renderer, advectionProgram, ADVECT_VELOCITY_PASS, simulation, dt);
 }
 
 export function advectColor(gl, renderer, advectionProgram, simulation, dt) {
-    gl.useProgram(advectionProgram);
-    gl.bindFramebuffer(gl.FRAMEBUFFER, simulation.colorFBO);
-    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, simulation.colorTexture2, 0);
-
-    gl.bindBuffer(gl.ARRAY_BUFFER, renderer.quadBuffer);
-    const positionAttrib = gl.getAttribLocation(advectionProgram, 'a_position');
-    gl.enableVertexAttribArray(positionAttrib);
-    gl.vertexAttribPointer(positionAttrib, 2, gl.FLOAT, false, 0, 0);
-
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, simulation.colorTexture1);
-    gl.uniform1i(gl.getUniformLocation(advectionProgram, 'u_color_texture'), 0);
-
-    gl.activeTexture(gl.TEXTURE1);
-    gl.bindTexture(gl.TEXTURE_2D, simulation.velocityTexture1);
-    gl.uniform1i(gl.getUniformLocation(advectionProgram, 'u_velocity_texture'), 1);
-
-    gl.uniform1f(gl.getUniformLocation(advectionProgram, 'u_dt'), dt);
-    gl.uniform2f(gl.getUniformLocation(advectionProgram, 'u_resolution'), 
-        gl.canvas.width, gl.canvas.height);
-    gl.uniform1i(gl.getUniformLocation(advectionProgram, 'u_isVelocity'), 0);
-
-    gl.drawArrays(gl.TRIANGLES, 0, 6);
-    simulation.swapColorTextures();
+    runPass(gl, renderer, advectionProgram, ADVECT_COLOR_PASS, simulation, dt);
 }
@@ -0,0 +1,77 @@
+/**
+ * CFL measurement for the water grid
+ *
+ * A GPU max reduction finds the fastest water inside the container: each
+ * texel of a REDUCTION_SIZE² RGBA32F target takes the max over a tile of the
+ * velocity grid, and the CPU reads that back and finishes the reduction. The
+ * readback stalls the pipeline, so Simulation only measures every cflEveryN
+ * steps.
+ */
+import { programTable, uniformLocation } from './programs.js';
+import { bindContainer } from './container.js';
+
+// Readback target: REDUCTION_SIZE² texels, each the max over a tile of the grid
+export const REDUCTION_SIZE = 32;
+
+/**
+ * Fastest velocity components on the grid (uv per second)
+ * @param {object} target - { texture, fbo } REDUCTION_SIZE² RGBA32F target
+ * @returns {{x: number, y: number, speed: number}}
+ */
+export function maxVelocity(gl, renderer, maxVelocityProgram, simulation, target) {
+    const block = Math.ceil(Math.max(simulation.simWidth, simulation.simHeight) / REDUCTION_SIZE);
+
+    gl.useProgram(maxVelocityProgram);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target.fbo);
+    gl.viewport(0, 0, REDUCTION_SIZE, REDUCTION_SIZE);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, renderer.quadBuffer);
+    const positionAttrib = programTable(gl, maxVelocityProgram).position;
+    gl.enableVertexAttribArray(positionAttrib);
+    gl.vertexAttribPointer(positionAttrib, 2, gl.FLOAT, false, 0, 0);
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, simulation.velocityTexture1);
+    gl.uniform1i(uniformLocation(gl, maxVelocityProgram, 'u_velocity'), 0);
+    gl.uniform1i(uniformLocation(gl, maxVelocityProgram, 'u_block'), block);
+    bindContainer(gl, maxVelocityProgram, simulation);
+    gl.drawArrays(gl.TRIANGLES, 0, 6);
+
+    const pixels = new Float32Array(REDUCTION_SIZE * REDUCTION_SIZE * 4);
+    gl.readPixels(0, 0, REDUCTION_SIZE, REDUCTION_SIZE, gl.RGBA, gl.FLOAT, pixels);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    simulation.bindSimViewport();
+    return reduceMaxVelocity(pixels);
+}
+
+/**
+ * Finish the reduction on the CPU
+ * @param {Float32Array} pixels - RGBA texels of (max |vx|, max |vy|, max |v|, 0)
+ */
+export function reduceMaxVelocity(pixels) {
+    let x = 0, y = 0, speed = 0;
+    for (let i = 0; i < pixels.length; i += 4) {
+        // NaN never wins a comparison, so a corrupt tile can't hide the rest
+        if (pixels[i] > x) x = pixels[i];
+        if (pixels[i + 1] > y) y = pixels[i + 1];
+        if (pixels[i + 2] > speed) speed = pixels[i + 2];
+    }
+    return { x, y, speed };
+}
+
+/**
+ * Cells the fastest water crosses in one step: dt·(|u|/Δx + |v|/Δy), with
+ * Δx = 1/width and Δy = 1/height in uv
+ */
+export function waterCFL(velocity, width, height, dt) {
+    return dt * (velocity.x * width + velocity.y * height);
+}
+
+/**
+ * Substeps that bring a CFL number down to the limit
+ * @returns {number} 1..maxSubsteps
+ */
+export function cflSubsteps(cfl, limit, maxSubsteps) {
+    if (!(cfl > 0) || !(limit > 0)) return 1;
+    return Math.max(1, Math.min(maxSubsteps, Math.ceil(cfl / limit - 1e-9)));
+}
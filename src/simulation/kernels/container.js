@@ -0,0 +1,35 @@
+/**
+ * Container uniforms for shaders that #include "container.glsl"
+ *
+ * runPass binds them for every pass; kernels that draw by hand (multigrid,
+ * the CFL reduction, occupancy, the renderer's boundary pass) call
+ * bindContainer themselves. Programs without the chunk resolve the names to
+ * null and are skipped. The mask shape's distance field sits on its own
+ * texture unit, clear of the units the passes number from 0.
+ */
+import { uniformLocation } from './programs.js';
+import { CONTAINER_SHAPES } from '../container.js';
+
+export const CONTAINER_MASK_UNIT = 15;
+
+/**
+ * @param {WebGL2RenderingContext} gl
+ * @param {WebGLProgram} program - In use
+ * @param {{container: Container, containerTexture: WebGLTexture}} simulation
+ */
+export function bindContainer(gl, program, simulation) {
+    const container = simulation.container;
+    if (!container) return;
+    const shape = uniformLocation(gl, program, 'u_containerShape');
+    if (shape === null) return;
+    gl.uniform1i(shape, CONTAINER_SHAPES.indexOf(container.shape));
+    const [halfWidth, halfHeight, corner] = container.size;
+    gl.uniform3f(uniformLocation(gl, program, 'u_containerSize'), halfWidth, halfHeight, corner);
+    const mask = uniformLocation(gl, program, 'u_containerMask');
+    if (mask !== null && container.shape === 'mask' && simulation.containerTexture) {
+        gl.activeTexture(gl.TEXTURE0 + CONTAINER_MASK_UNIT);
+        gl.bindTexture(gl.TEXTURE_2D, simulation.containerTexture);
+        gl.uniform1i(mask, CONTAINER_MASK_UNIT);
+        gl.activeTexture(gl.TEXTURE0);
+    }
+}
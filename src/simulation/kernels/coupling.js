@@ -0,0 +1,75 @@
+/**
+ * Oil ↔ water passes on the water grid: the oil film's thickness pushes,
+ * drags and (through surface tension) pulls the water. Each is enabled only
+ * while an oil layer is present; WaterLayer.pipeline holds the conditions.
+ */
+import { runPass, pingPong } from './pass.js';
+
+const oilThickness = (simulation) => simulation.oil.oilTexture1;
+
+// Thermal Marangoni gain, 0 without a temperature field
+const thermalMarangoni = (simulation) => (simulation.temperatureTexture1 && simulation.thermalMarangoni > 0.0 ? simulation.thermalMarangoni : 0.0);
+
+/** Oil thickness gradient pushes water */
+export const COUPLING_FORCE_PASS = {
+    inputs: { u_waterVelocity: 'velocityTexture1', u_oilThickness: oilThickness },
+    output: 'velocity',
+    uniforms(u, simulation) {
+        u.float('u_couplingStrength', simulation.couplingStrength);
+        u.vec2('u_resolution', simulation.simWidth, simulation.simHeight);
+    }
+};
+
+/** Drag inside oil regions so water flows around the film (Brinkman penalization lite) */
+export const OIL_DRAG_PASS = {
+    inputs: { u_velocity: 'velocityTexture1', u_oil: oilThickness },
+    output: 'velocity',
+    uniforms(u, simulation, dt) {
+        // Optional per-pixel drag from oil properties
+        const props = simulation.oil.oilPropsTexture;
+        if (props) u.texture('u_oilProps', props);
+        u.float('u_useProps', props ? 1.0 : 0.0);
+        u.float('u_drag', simulation.oilDragStrength);
+        u.float('u_dt', dt);
+    }
+};
+
+/** Interface force from the surface tension gradient along the film's edge */
+export const MARANGONI_PASS = {
+    inputs: {
+        u_velocity: 'velocityTexture1',
+        u_oil: oilThickness,
+        // Thermal term: the film is pulled from the lamp's hotspot toward cooler water
+        u_temperature: (simulation) => (thermalMarangoni(simulation) > 0.0 ? simulation.temperatureTexture1 : null)
+    },
+    output: 'velocity',
+    uniforms(u, simulation, dt) {
+        u.vec2('u_texel', 1.0 / simulation.simWidth, 1.0 / simulation.simHeight);
+        u.float('u_dt', dt);
+        u.float('u_strength', simulation.marangoniStrength);
+        u.float('u_edgeBand', simulation.marangoniEdgeBand);
+        u.float('u_k_th', simulation.marangoniKth);
+        u.float('u_thMin', simulation.marangoniThMin);
+        u.float('u_forceClamp', simulation.marangoniForceClamp);
+        u.float('u_amp', simulation.marangoniAmp);
+        u.float('u_k_T', thermalMarangoni(simulation));
+    }
+};
+
+/** Oil thickness pulls toward thicker neighbours (cohesion on the oil field) */
+export const OIL_ATTRACTION_PASS = {
+    inputs: { u_oilTexture: oilThickness },
+    output: (simulation) => pingPong(simulation.oil, ['oilTexture1', 'oilTexture2'], 'oilFBO', 'swapOilTextures'),
+    uniforms(u, simulation) {
+        u.float('u_attractionStrength', simulation.oilAttractionStrength);
+        u.vec2('u_resolution', simulation.simWidth, simulation.simHeight);
+    }
+};
+
+export function applyCouplingForce(gl, renderer, couplingForceProgram, simulation, dt) {
+    runPass(gl, renderer, couplingForceProgram, COUPLING_FORCE_PASS, simulation, dt);
+}
+
+export function applyOilAttraction(gl, renderer, oilAttractionProgram, simulation, dt) {
+    runPass(gl, renderer, oilAttractionProgram, OIL_ATTRACTION_PASS, simulation, dt);
+}
@@ -1,25 +1,26 @@
-export function diffuseColor(gl, renderer, diffusionProgram, simulation, dt) {
-    gl.useProgram(diffusionProgram);
-    gl.uniform1f(gl.getUniformLocation(diffusionProgram, 'u_dt'), dt);
-    gl.uniform1f(gl.getUniformLocation(diffusionProgram, 'u_diffusion_rate'), simulation.diffusionRate);
-    // For ink/water: diffuse all channels (preserveAlpha=false)
-    const preserveAlphaLoc = gl.getUniformLocation(diffusionProgram, 'u_preserveAlpha');
-    if (preserveAlphaLoc) gl.uniform1i(preserveAlphaLoc, 0);
-
-    for (let i = 0; i < simulation.diffusionIterations; i++) {
-        gl.bindFramebuffer(gl.FRAMEBUFFER, simulation.colorFBO);
-        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, simulation.colorTexture2, 0);
-
-        gl.bindBuffer(gl.ARRAY_BUFFER, renderer.quadBuffer);
-        const positionAttrib = gl.getAttribLocation(diffusionProgram, 'a_position');
-        gl.enableVertexAttribArray(positionAttrib);
-        gl.vertexAttribPointer(positionAttrib, 2, gl.FLOAT, false, 0, 0);
+import { waterField } from './multigrid.js';
+import { runPass } from './pass.js';
 
-        gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, simulation.colorTexture1);
-        gl.uniform1i(gl.getUniformLocation(diffusionProgram, 'u_texture'), 0);
+export const DIFFUSION_PASS = {
+    inputs: { u_texture: 'colorTexture1' },
+    output: 'color',
+    iterations: (simulation) => simulation.diffusionIterations,
+    uniforms(u, simulation, dt) {
+        u.float('u_dt', dt);
+        u.float('u_diffusion_rate', simulation.diffusionRate);
+        // For ink/water: diffuse all channels (preserveAlpha=false)
+        u.bool('u_preserveAlpha', false);
+    }
+};
 
-        gl.drawArrays(gl.TRIANGLES, 0, 6);
-        simulation.swapColorTextures();
+export function diffuseColor(gl, renderer, diffusionProgram, simulation, dt) {
+    if (simulation.diffusionSolverMode === 1 && simulation.multigrid) {
+        // Implicit, as for viscosity; color is not masked to the dish
+        const k = simulation.diffusionRate * dt * simulation.diffusionIterations;
+        if (k > 0) {
+            simulation.multigrid.solve(waterField(gl, simulation, 'color'), { a: 1 / k, bScale: 1 / k, useMask: false, cycles: simulation.multigridCycles });
+        }
+        return;
     }
+    runPass(gl, renderer, diffusionProgram, DIFFUSION_PASS, simulation, dt);
 }
@@ -1,44 +1,45 @@
-export function applyForces(gl, renderer, forcesProgram, simulation, dt) {
-    // Debug: Log water rotation occasionally
-    if (Math.abs(simulation.rotationAmount) > 0.01 && Math.random() < 0.01) {
-        console.log(`💧 Water Rotation: ${simulation.rotationAmount.toFixed(3)}`);
-    }
-    
-    // Update central spiral power accumulation
-    if (Math.abs(simulation.rotationAmount) > 0.01) {
-        // Build up power when rotating
-        simulation.centralSpiralPower = Math.min(1.0, simulation.centralSpiralPower + simulation.centralSpiralBuildRate);
-        // Rotate the force emitter (faster than plate rotation for variety)
-        simulation.centralSpiralAngle += simulation.rotationAmount * 3.0; // 3x plate rotation speed
-    } else {
-        // Decay when not rotating
-        simulation.centralSpiralPower = Math.max(0.0, simulation.centralSpiralPower - simulation.centralSpiralDecayRate);
+import { runPass } from './pass.js';
+
+/**
+ * The turning plate acting on the water (simulation/plate-rotation.js): floor
+ * friction and the no-slip wall pull it toward the plate's motion, or in the
+ * plate's own frame the Coriolis, centrifugal and Euler terms act instead
+ */
+export const FORCES_PASS = {
+    inputs: { u_velocity_texture: 'velocityTexture1', u_color_texture: 'colorTexture1' },
+    output: 'velocity',
+    uniforms(u, simulation, dt) {
+        const plate = simulation.plateState();
+        u.float('u_plate_omega', plate.omega);
+        u.float('u_plate_alpha', plate.alpha);
+        u.bool('u_rotating_frame', plate.rotatingFrame);
+        u.float('u_wall_coupling', plate.wallCoupling);
+        u.float('u_bottom_friction', plate.bottomFriction);
+        u.vec2('u_resolution', simulation.simWidth, simulation.simHeight);
+        u.float('u_dt', dt);
+        u.float('u_boundary_mode', simulation.boundaryMode);
     }
-    
-    gl.useProgram(forcesProgram);
-    gl.bindFramebuffer(gl.FRAMEBUFFER, simulation.velocityFBO);
-    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, simulation.velocityTexture2, 0);
+};
 
-    gl.bindBuffer(gl.ARRAY_BUFFER, renderer.quadBuffer);
-    const positionAttrib = gl.getAttribLocation(forcesProgram, 'a_position');
-    gl.enableVertexAttribArray(positionAttrib);
-    gl.vertexAttribPointer(positionAttrib, 2, gl.FLOAT, false, 0, 0);
+/** Random stirring of the whole dish */
+export const AGITATION_PASS = {
+    inputs: { u_velocity_texture: 'velocityTexture1' },
+    output: 'velocity',
+    uniforms(u, simulation) {
+        u.float('u_agitation', simulation.agitation);
+        u.float('u_time', simulation.clock() / 1000.0);
+    }
+};
 
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, simulation.velocityTexture1);
-    gl.uniform1i(gl.getUniformLocation(forcesProgram, 'u_velocity_texture'), 0);
-    
-    gl.activeTexture(gl.TEXTURE1);
-    gl.bindTexture(gl.TEXTURE_2D, simulation.colorTexture1);
-    gl.uniform1i(gl.getUniformLocation(forcesProgram, 'u_color_texture'), 1);
-    
-    gl.uniform1f(gl.getUniformLocation(forcesProgram, 'u_rotation_amount'), simulation.rotationAmount);
-    gl.uniform2f(gl.getUniformLocation(forcesProgram, 'u_resolution'), gl.canvas.width, gl.canvas.height);
-    gl.uniform1f(gl.getUniformLocation(forcesProgram, 'u_dt'), dt);
-    gl.uniform1f(gl.getUniformLocation(forcesProgram, 'u_boundary_mode'), simulation.boundaryMode);
-    gl.uniform1f(gl.getUniformLocation(forcesProgram, 'u_central_spiral_power'), simulation.centralSpiralPower);
-    gl.uniform1f(gl.getUniformLocation(forcesProgram, 'u_central_spiral_angle'), simulation.centralSpiralAngle);
+/** Dense ink spreads outward (concentration measured from the ink's alpha) */
+export const CONCENTRATION_PRESSURE_PASS = {
+    inputs: { u_color_texture: 'colorTexture1', u_velocity_texture: 'velocityTexture1' },
+    output: 'velocity',
+    uniforms(u, simulation) {
+        u.float('u_spread_strength', simulation.spreadStrength);
+    }
+};
 
-    gl.drawArrays(gl.TRIANGLES, 0, 6);
-    simulation.swapVelocityTextures();
+export function applyForces(gl, renderer, forcesProgram, simulation, dt) {
+    runPass(gl, renderer, forcesProgram, FORCES_PASS, simulation, dt);
 }
@@ -0,0 +1,193 @@
+/**
+ * CPU reference of the multigrid passes (one channel, Float32Array)
+ *
+ * Mirrors mg-smooth / mg-restrict / mg-prolong / mg-residual-norm texel for
+ * texel and runs the same vCyclePasses() schedule as MultigridSolver, so the
+ * solver's convergence can be checked headless. Not used at runtime.
+ *
+ * `obstacles` is an optional level-0 solid mask (Uint8Array, nonzero = solid);
+ * `container` the dish (simulation/container.js), the round one by default.
+ */
+import { multigridLevels, vCyclePasses, levelInvH2 } from './multigrid.js';
+import Container from '../container.js';
+
+const ROUND_DISH = new Container();
+
+function fetch(data, width, height, x, y) {
+    const cx = Math.min(width - 1, Math.max(0, x));
+    const cy = Math.min(height - 1, Math.max(0, y));
+    return data[cy * width + cx];
+}
+
+// Mask in level-0 texels, as the shaders place it
+function inside(level, x, y, problem) {
+    if (!problem.useMask) return 1;
+    const { fineWidth, fineHeight, scale } = level;
+    const u = (x + 0.5) * scale / fineWidth;
+    const v = (y + 0.5) * scale / fineHeight;
+    return problem.container.contains(u, v, fineWidth / fineHeight) ? 1 : 0;
+}
+
+// Level-0 texel under the cell centre, as the shaders sample the obstacle mask
+function solid(level, x, y, obstacles) {
+    if (!obstacles) return 0;
+    const { fineWidth, fineHeight, scale } = level;
+    const fx = Math.trunc((x + 0.5) * scale);
+    const fy = Math.trunc((y + 0.5) * scale);
+    return fetch(obstacles, fineWidth, fineHeight, fx, fy) ? 1 : 0;
+}
+
+// Sum and count of the non-solid neighbours: solid ones are Neumann walls and
+// drop out of the stencil
+function neighbors(level, data, x, y, obstacles) {
+    const { width, height } = level;
+    let sum = 0;
+    let count = 0;
+    for (const [nx, ny] of [[x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]]) {
+        if (solid(level, nx, ny, obstacles)) continue;
+        sum += fetch(data, width, height, nx, ny);
+        count++;
+    }
+    return { sum, count };
+}
+
+// Fluid: inside the dish and not in an obstacle
+function open(level, x, y, problem) {
+    return inside(level, x, y, problem) * (1 - solid(level, x, y, problem.obstacles));
+}
+
+function fineLevel(width, height, x, b, bScale) {
+    return { width, height, fineWidth: width, fineHeight: height, scale: 1, invH2: 1, x, b, bScale };
+}
+
+/** Residual b - (a*x - lap(x)) at one cell, masked */
+function residualAt(level, problem, x, y) {
+    const { width, height, x: u, b } = level;
+    const center = u[y * width + x];
+    const { sum, count } = neighbors(level, u, x, y, problem.obstacles);
+    const lap = (sum - count * center) * level.invH2;
+    const r = level.bScale * b[y * width + x] - problem.a * center + lap;
+    return r * open(level, x, y, problem);
+}
+
+/** One weighted-Jacobi sweep (mg-smooth) */
+export function smooth(level, problem, omega) {
+    const { width, height, x: u, b } = level;
+    const out = new Float32Array(u.length);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            const { sum, count } = neighbors(level, u, x, y, problem.obstacles);
+            // A cell walled in on all sides (or a solid one) has nothing to relax against
+            const diagonal = problem.a + count * level.invH2;
+            const jacobi = diagonal > 0 ? (level.bScale * b[i] + sum * level.invH2) / diagonal : u[i];
+            out[i] = (u[i] + (jacobi - u[i]) * omega) * open(level, x, y, problem);
+        }
+    }
+    level.x = out;
+}
+
+function restrict(fine, coarse, problem) {
+    for (let y = 0; y < coarse.height; y++) {
+        for (let x = 0; x < coarse.width; x++) {
+            let r = 0;
+            for (const [dx, dy] of [[0, 0], [1, 0], [0, 1], [1, 1]]) {
+                // Out-of-range children read the clamped edge cell, as texelFetch does
+                const fx = Math.min(fine.width - 1, 2 * x + dx);
+                const fy = Math.min(fine.height - 1, 2 * y + dy);
+                r += residualAt(fine, problem, fx, fy);
+            }
+            coarse.b[y * coarse.width + x] = 0.25 * r * open(coarse, x, y, problem);
+        }
+    }
+}
+
+function prolong(fine, coarse, problem) {
+    const out = new Float32Array(fine.x.length);
+    for (let y = 0; y < fine.height; y++) {
+        for (let x = 0; x < fine.width; x++) {
+            const cx = (x + 0.5) * 0.5 - 0.5;
+            const cy = (y + 0.5) * 0.5 - 0.5;
+            const x0 = Math.floor(cx);
+            const y0 = Math.floor(cy);
+            const tx = cx - x0;
+            const ty = cy - y0;
+            // Bilinear, leaving out coarse cells inside obstacles (their zero
+            // would drag the correction down along the walls)
+            let weight = 0;
+            let correction = 0;
+            for (const [i, j, w] of [[x0, y0, (1 - tx) * (1 - ty)], [x0 + 1, y0, tx * (1 - ty)], [x0, y0 + 1, (1 - tx) * ty], [x0 + 1, y0 + 1, tx * ty]]) {
+                const ci = Math.min(coarse.width - 1, Math.max(0, i));
+                const cj = Math.min(coarse.height - 1, Math.max(0, j));
+                if (solid(coarse, ci, cj, problem.obstacles)) continue;
+                weight += w;
+                correction += w * coarse.x[cj * coarse.width + ci];
+            }
+            if (weight > 0) correction /= weight;
+            const i = y * fine.width + x;
+            out[i] = (fine.x[i] + correction) * open(fine, x, y, problem);
+        }
+    }
+    fine.x = out;
+}
+
+/**
+ * Residual statistics over the whole field (mg-residual-norm + residualStats)
+ * @returns {{rms: number, max: number, relative: number, cells: number}}
+ */
+export function residualNorm({ width, height, x, b, a = 0, bScale = 1, useMask = true, obstacles = null, container = ROUND_DISH }) {
+    const level = fineLevel(width, height, x, b, bScale);
+    const problem = { a, useMask, obstacles, container };
+    let r2 = 0, b2 = 0, max = 0, cells = 0;
+    for (let y = 0; y < height; y++) {
+        for (let i = 0; i < width; i++) {
+            if (!open(level, i, y, problem)) continue;
+            const r = residualAt(level, problem, i, y);
+            const rhs = bScale * b[y * width + i];
+            r2 += r * r;
+            b2 += rhs * rhs;
+            max = Math.max(max, Math.abs(r));
+            cells++;
+        }
+    }
+    return { rms: cells > 0 ? Math.sqrt(r2 / cells) : 0, max, relative: b2 > 0 ? Math.sqrt(r2 / b2) : 0, cells };
+}
+
+/**
+ * Solve a*x - lap(x) = bScale*b with V-cycles
+ * @param {object} opts - width, height, x (initial guess), b, a, bScale,
+ *   useMask, obstacles, container, cycles, plus MultigridSolver options (preSmooth, postSmooth,
+ *   coarseSweeps, omega, minSize)
+ * @returns {Float32Array} the solution
+ */
+export function solve({ width, height, x, b, a = 0, bScale = 1, useMask = true, obstacles = null, container = ROUND_DISH, cycles = 2, omega = 0.8, minSize = 16, ...schedule }) {
+    const problem = { a, useMask, obstacles, container };
+    const levels = multigridLevels(width, height, minSize).map((size, index) => ({
+        ...size,
+        fineWidth: width,
+        fineHeight: height,
+        scale: Math.pow(2, index),
+        invH2: levelInvH2(index),
+        bScale: index === 0 ? bScale : 1,
+        x: index === 0 ? Float32Array.from(x) : new Float32Array(size.width * size.height),
+        b: index === 0 ? b : new Float32Array(size.width * size.height)
+    }));
+    const passes = vCyclePasses(levels.length, schedule);
+    for (let cycle = 0; cycle < Math.max(1, Math.round(cycles)); cycle++) {
+        for (const pass of passes) {
+            const level = levels[pass.level];
+            if (pass.op === 'smooth') smooth(level, problem, omega);
+            else if (pass.op === 'restrict') restrict(level, levels[pass.level + 1], problem);
+            else if (pass.op === 'clear') level.x.fill(0);
+            else if (pass.op === 'prolong') prolong(level, levels[pass.level + 1], problem);
+        }
+    }
+    return levels[0].x;
+}
+
+/** `iterations` plain Jacobi sweeps (pressure.frag), for comparison */
+export function jacobi({ width, height, x, b, a = 0, bScale = 1, useMask = true, obstacles = null, container = ROUND_DISH, iterations }) {
+    const level = fineLevel(width, height, Float32Array.from(x), b, bScale);
+    for (let i = 0; i < iterations; i++) smooth(level, { a, useMask, obstacles, container }, 1.0);
+    return level.x;
+}
@@ -0,0 +1,392 @@
+/**
+ * Geometric multigrid for the water layer's elliptic solves
+ *
+ * Solves  a*x - lap(x) = bScale * b  (5-point Laplacian, h = 1 texel on the
+ * finest level) with V-cycles over a chain of half-resolution textures:
+ *
+ *   pressure:            a = 0,        b = divergence, bScale = -1
+ *   implicit viscosity:  a = 1/(nu*t), b = the velocity before the solve
+ *   implicit diffusion:  a = 1/(k*t),  b = the color before the solve
+ *
+ * Level 0 is the field itself (its ping-pong pair and FBO); coarser levels
+ * are allocated lazily per field and released on resize. The container mask
+ * (Dirichlet zero outside the dish, shaped by container.glsl) is applied on
+ * every level; an optional
+ * obstacle mask adds solid cells, zero themselves and Neumann walls to their
+ * neighbours, sampled from the finest level on the coarse ones.
+ *
+ * Pass shaders: mg-smooth (weighted Jacobi), mg-restrict (residual, averaged
+ * 2x2), mg-prolong (bilinear correction) and mg-residual-norm (block sums of
+ * the residual for readback). multigrid-reference.js runs the same schedule
+ * on the CPU for tests.
+ */
+import { programTable, uniformLocation } from './programs.js';
+import { bindContainer } from './container.js';
+
+const DEFAULTS = {
+    preSmooth: 2,
+    postSmooth: 2,
+    coarseSweeps: 30,
+    omega: 0.8,
+    minSize: 16
+};
+
+// Residual readback target: NORM_SIZE² texels, each summing a block of the field
+const NORM_SIZE = 32;
+
+/**
+ * Level sizes from the finest down, halving (rounding up) until the next
+ * level would be smaller than minSize on either side
+ * @returns {Array<{width: number, height: number}>}
+ */
+export function multigridLevels(width, height, minSize = DEFAULTS.minSize) {
+    const levels = [{ width, height }];
+    let w = width;
+    let h = height;
+    while (Math.ceil(w / 2) >= minSize && Math.ceil(h / 2) >= minSize) {
+        w = Math.ceil(w / 2);
+        h = Math.ceil(h / 2);
+        levels.push({ width: w, height: h });
+    }
+    return levels;
+}
+
+/**
+ * Pass sequence of one V-cycle over `levelCount` levels:
+ * { op: 'smooth' | 'restrict' | 'clear' | 'prolong', level }.
+ * restrict/prolong name the fine level; clear zeroes the coarse guess.
+ */
+export function vCyclePasses(levelCount, { preSmooth = DEFAULTS.preSmooth, postSmooth = DEFAULTS.postSmooth, coarseSweeps = DEFAULTS.coarseSweeps } = {}) {
+    const passes = [];
+    const coarsest = levelCount - 1;
+    for (let level = 0; level < coarsest; level++) {
+        for (let i = 0; i < preSmooth; i++) passes.push({ op: 'smooth', level });
+        passes.push({ op: 'restrict', level });
+        passes.push({ op: 'clear', level: level + 1 });
+    }
+    for (let i = 0; i < coarseSweeps; i++) passes.push({ op: 'smooth', level: coarsest });
+    for (let level = coarsest - 1; level >= 0; level--) {
+        passes.push({ op: 'prolong', level });
+        for (let i = 0; i < postSmooth; i++) passes.push({ op: 'smooth', level });
+    }
+    return passes;
+}
+
+// Water layer ping-pong fields (Simulation aliases): the solver's and runPass's outputs
+const WATER_FIELDS = {
+    pressure: { textures: ['pressureTexture1', 'pressureTexture2'], fbo: 'pressureFBO', swap: 'swapPressureTextures', format: ['R16F', 'RED'] },
+    velocity: { textures: ['velocityTexture1', 'velocityTexture2'], fbo: 'velocityFBO', swap: 'swapVelocityTextures', format: ['RG16F', 'RG'] },
+    color: { textures: ['colorTexture1', 'colorTexture2'], fbo: 'colorFBO', swap: 'swapColorTextures', format: ['RGBA16F', 'RGBA'] },
+    temperature: { textures: ['temperatureTexture1', 'temperatureTexture2'], fbo: 'temperatureFBO', swap: 'swapTemperatureTextures', format: ['R16F', 'RED'] }
+};
+
+/**
+ * Field descriptor for MultigridSolver.solve over one of the water layer's
+ * ping-pong pairs
+ * @param {'pressure'|'velocity'|'color'|'temperature'} key
+ */
+export function waterField(gl, simulation, key) {
+    const spec = WATER_FIELDS[key];
+    return {
+        key,
+        width: simulation.simWidth,
+        height: simulation.simHeight,
+        format: [gl[spec.format[0]], gl[spec.format[1]], gl.HALF_FLOAT],
+        fbo: simulation[spec.fbo],
+        texture: () => simulation[spec.textures[0]],
+        target: () => simulation[spec.textures[1]],
+        swap: () => simulation[spec.swap]()
+    };
+}
+
+/** 1/h² on a level: spacing doubles per level */
+export function levelInvH2(level) {
+    return 1.0 / Math.pow(4, level);
+}
+
+/**
+ * Residual statistics from the reduction texels
+ * @param {Float32Array} sums - RGBA per texel: (Σ|r|², Σ|b|², max|r|, cells)
+ * @returns {{rms: number, max: number, relative: number, cells: number}}
+ */
+export function residualStats(sums) {
+    let r2 = 0, b2 = 0, max = 0, cells = 0;
+    for (let i = 0; i < sums.length; i += 4) {
+        r2 += sums[i];
+        b2 += sums[i + 1];
+        max = Math.max(max, sums[i + 2]);
+        cells += sums[i + 3];
+    }
+    return {
+        rms: cells > 0 ? Math.sqrt(r2 / cells) : 0,
+        max,
+        relative: b2 > 0 ? Math.sqrt(r2 / b2) : 0,
+        cells
+    };
+}
+
+export default class MultigridSolver {
+    /**
+     * @param {Simulation} simulation - createTexture / createFBO and the renderer's quad
+     * @param {object} programs - { smooth, restrict, prolong, residualNorm }
+     * @param {object} opts - preSmooth, postSmooth, coarseSweeps, omega, minSize
+     */
+    constructor(simulation, programs, opts = {}) {
+        this.sim = simulation;
+        this.gl = simulation.gl;
+        this.programs = programs;
+        this.options = { ...DEFAULTS, ...opts };
+        this.hierarchies = new Map();   // field key → { width, height, levels, scratch }
+        this.normTarget = null;
+    }
+
+    /**
+     * Run V-cycles on a field in place
+     * @param {object} field - Level 0:
+     *  - key: hierarchy name ('pressure', 'velocity', 'color')
+     *  - width, height
+     *  - format: [internalFormat, format, type] for the coarse levels
+     *  - texture(): current texture; target(): the one to write; swap()
+     *  - fbo: framebuffer the field renders through
+     * @param {object} opts
+     *  - a: identity coefficient (0 for Poisson)
+     *  - b: right-hand side texture, or null to solve against a copy of the
+     *    field itself (implicit diffusion)
+     *  - bScale: multiplies b
+     *  - useMask: zero outside the container
+     *  - obstacles: solid mask texture at the field size (obstacles.js), or null
+     *  - cycles: V-cycles to run
+     */
+    solve(field, { a = 0, b = null, bScale = 1, useMask = true, obstacles = null, cycles = 2 } = {}) {
+        const gl = this.gl;
+        const hierarchy = this.hierarchy(field);
+        let rhs = b;
+        if (!rhs) {
+            rhs = this.copyToScratch(field, hierarchy);
+        }
+        const passes = vCyclePasses(hierarchy.levels.length, this.options);
+        const count = Math.max(1, Math.round(cycles));
+        const problem = { a, b: rhs, bScale, useMask, obstacles };
+
+        for (let cycle = 0; cycle < count; cycle++) {
+            for (const pass of passes) {
+                this.runPass(pass, field, hierarchy, problem);
+            }
+        }
+        gl.viewport(0, 0, field.width, field.height);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+
+    /**
+     * Residual of a field against its equation (works for any solver's output)
+     * @param {object} field - As for solve()
+     * @param {object} opts - a, b, bScale, useMask, obstacles (b is required)
+     * @returns {{rms: number, max: number, relative: number, cells: number}}
+     */
+    residualNorm(field, { a = 0, b, bScale = 1, useMask = true, obstacles = null }) {
+        const gl = this.gl;
+        const program = this.programs.residualNorm;
+        if (!this.normTarget) {
+            const texture = this.sim.createTexture(NORM_SIZE, NORM_SIZE, gl.RGBA32F, gl.RGBA, gl.FLOAT);
+            this.normTarget = { texture, fbo: this.sim.createFBO(texture) };
+        }
+        const block = Math.ceil(Math.max(field.width, field.height) / NORM_SIZE);
+
+        gl.useProgram(program);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.normTarget.fbo);
+        gl.viewport(0, 0, NORM_SIZE, NORM_SIZE);
+        this.bindQuad(program);
+        this.bindTexture(program, 'u_x', 0, field.texture());
+        this.bindTexture(program, 'u_b', 1, b);
+        gl.uniform1f(uniformLocation(gl, program, 'u_bScale'), bScale);
+        gl.uniform1f(uniformLocation(gl, program, 'u_a'), a);
+        gl.uniform1f(uniformLocation(gl, program, 'u_invH2'), 1.0);
+        gl.uniform1i(uniformLocation(gl, program, 'u_useMask'), useMask ? 1 : 0);
+        gl.uniform1i(uniformLocation(gl, program, 'u_block'), block);
+        this.bindObstacles(program, obstacles);
+        gl.drawArrays(gl.TRIANGLES, 0, 6);
+
+        const sums = new Float32Array(NORM_SIZE * NORM_SIZE * 4);
+        gl.readPixels(0, 0, NORM_SIZE, NORM_SIZE, gl.RGBA, gl.FLOAT, sums);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.viewport(0, 0, field.width, field.height);
+        return residualStats(sums);
+    }
+
+    /** Free the coarse levels (call when the simulation resolution changes) */
+    release() {
+        const gl = this.gl;
+        for (const hierarchy of this.hierarchies.values()) {
+            for (const level of hierarchy.levels.slice(1)) {
+                gl.deleteTexture(level.x1);
+                gl.deleteTexture(level.x2);
+                gl.deleteTexture(level.b);
+                gl.deleteFramebuffer(level.fbo);
+            }
+            if (hierarchy.scratch) {
+                gl.deleteTexture(hierarchy.scratch.texture);
+                gl.deleteFramebuffer(hierarchy.scratch.fbo);
+            }
+        }
+        this.hierarchies.clear();
+    }
+
+    hierarchy(field) {
+        const existing = this.hierarchies.get(field.key);
+        if (existing && existing.width === field.width && existing.height === field.height) {
+            return existing;
+        }
+        if (existing) this.release();
+
+        const [internalFormat, format, type] = field.format;
+        const sizes = multigridLevels(field.width, field.height, this.options.minSize);
+        const levels = sizes.map(({ width, height }, index) => {
+            if (index === 0) return { width, height };
+            const x1 = this.sim.createTexture(width, height, internalFormat, format, type);
+            return {
+                width,
+                height,
+                x1,
+                x2: this.sim.createTexture(width, height, internalFormat, format, type),
+                b: this.sim.createTexture(width, height, internalFormat, format, type),
+                fbo: this.sim.createFBO(x1)
+            };
+        });
+        const hierarchy = { width: field.width, height: field.height, format: field.format, levels, scratch: null };
+        this.hierarchies.set(field.key, hierarchy);
+        console.log(`🧮 Multigrid: ${field.key} hierarchy ${sizes.map((s) => `${s.width}×${s.height}`).join(' → ')}`);
+        return hierarchy;
+    }
+
+    /** Copy the field into a scratch texture to serve as the right-hand side */
+    copyToScratch(field, hierarchy) {
+        const gl = this.gl;
+        if (!hierarchy.scratch) {
+            const [internalFormat, format, type] = hierarchy.format;
+            const texture = this.sim.createTexture(field.width, field.height, internalFormat, format, type);
+            hierarchy.scratch = { texture, fbo: this.sim.createFBO(texture) };
+        }
+        gl.bindFramebuffer(gl.READ_FRAMEBUFFER, field.fbo);
+        gl.framebufferTexture2D(gl.READ_FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, field.texture(), 0);
+        gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, hierarchy.scratch.fbo);
+        gl.blitFramebuffer(0, 0, field.width, field.height, 0, 0, field.width, field.height, gl.COLOR_BUFFER_BIT, gl.NEAREST);
+        gl.bindFramebuffer(gl.READ_FRAMEBUFFER, null);
+        gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, null);
+        return hierarchy.scratch.texture;
+    }
+
+    // Level views with the same shape as the field: texture(), target(), swap()
+    levelView(field, hierarchy, index) {
+        if (index === 0) return field;
+        const level = hierarchy.levels[index];
+        return {
+            width: level.width,
+            height: level.height,
+            fbo: level.fbo,
+            texture: () => level.x1,
+            target: () => level.x2,
+            swap: () => { [level.x1, level.x2] = [level.x2, level.x1]; },
+            b: level.b
+        };
+    }
+
+    runPass(pass, field, hierarchy, problem) {
+        const gl = this.gl;
+        const level = this.levelView(field, hierarchy, pass.level);
+        // Coarse levels solve for the correction with their restricted residual as b
+        const fine = pass.level === 0;
+        const b = fine ? problem.b : level.b;
+        const bScale = fine ? problem.bScale : 1.0;
+        const invH2 = levelInvH2(pass.level);
+        const levelScale = Math.pow(2, pass.level);
+
+        switch (pass.op) {
+            case 'smooth': {
+                const program = this.programs.smooth;
+                this.beginPass(program, level.fbo, level.target(), level.width, level.height);
+                this.bindTexture(program, 'u_x', 0, level.texture());
+                this.bindTexture(program, 'u_b', 1, b);
+                gl.uniform1f(uniformLocation(gl, program, 'u_bScale'), bScale);
+                gl.uniform1f(uniformLocation(gl, program, 'u_a'), problem.a);
+                gl.uniform1f(uniformLocation(gl, program, 'u_invH2'), invH2);
+                gl.uniform1f(uniformLocation(gl, program, 'u_omega'), this.options.omega);
+                this.setMask(program, problem, field, levelScale);
+                gl.drawArrays(gl.TRIANGLES, 0, 6);
+                level.swap();
+                break;
+            }
+            case 'restrict': {
+                const coarse = hierarchy.levels[pass.level + 1];
+                const program = this.programs.restrict;
+                this.beginPass(program, coarse.fbo, coarse.b, coarse.width, coarse.height);
+                this.bindTexture(program, 'u_x', 0, level.texture());
+                this.bindTexture(program, 'u_b', 1, b);
+                gl.uniform1f(uniformLocation(gl, program, 'u_bScale'), bScale);
+                gl.uniform1f(uniformLocation(gl, program, 'u_a'), problem.a);
+                gl.uniform1f(uniformLocation(gl, program, 'u_invH2'), invH2);
+                this.setMask(program, problem, field, levelScale);
+                gl.drawArrays(gl.TRIANGLES, 0, 6);
+                break;
+            }
+            case 'clear': {
+                gl.bindFramebuffer(gl.FRAMEBUFFER, level.fbo);
+                gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, level.texture(), 0);
+                gl.clearColor(0, 0, 0, 0);
+                gl.clear(gl.COLOR_BUFFER_BIT);
+                break;
+            }
+            case 'prolong': {
+                const coarse = this.levelView(field, hierarchy, pass.level + 1);
+                const program = this.programs.prolong;
+                this.beginPass(program, level.fbo, level.target(), level.width, level.height);
+                this.bindTexture(program, 'u_x', 0, level.texture());
+                this.bindTexture(program, 'u_coarse', 1, coarse.texture());
+                this.setMask(program, problem, field, levelScale);
+                gl.drawArrays(gl.TRIANGLES, 0, 6);
+                level.swap();
+                break;
+            }
+        }
+    }
+
+    setMask(program, problem, field, levelScale) {
+        const gl = this.gl;
+        gl.uniform1i(uniformLocation(gl, program, 'u_useMask'), problem.useMask ? 1 : 0);
+        gl.uniform2f(uniformLocation(gl, program, 'u_fineSize'), field.width, field.height);
+        gl.uniform1f(uniformLocation(gl, program, 'u_levelScale'), levelScale);
+        this.bindObstacles(program, problem.obstacles);
+    }
+
+    // Always sets u_useObstacles: the pass programs are shared by every solve.
+    // The container goes with it, as both shape the mask of every pass
+    bindObstacles(program, obstacles) {
+        const gl = this.gl;
+        gl.uniform1i(uniformLocation(gl, program, 'u_useObstacles'), obstacles ? 1 : 0);
+        if (obstacles) this.bindTexture(program, 'u_obstacles', 2, obstacles);
+        bindContainer(gl, program, this.sim);
+    }
+
+    beginPass(program, fbo, target, width, height) {
+        const gl = this.gl;
+        gl.useProgram(program);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, target, 0);
+        gl.viewport(0, 0, width, height);
+        this.bindQuad(program);
+    }
+
+    bindQuad(program) {
+        const gl = this.gl;
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.sim.renderer.quadBuffer);
+        const positionAttrib = programTable(gl, program).position;
+        gl.enableVertexAttribArray(positionAttrib);
+        gl.vertexAttribPointer(positionAttrib, 2, gl.FLOAT, false, 0, 0);
+    }
+
+    bindTexture(program, name, unit, texture) {
+        const gl = this.gl;
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.uniform1i(uniformLocation(gl, program, name), unit);
+    }
+}
@@ -0,0 +1,165 @@
+/**
+ * Full-screen grid passes and the pipelines built from them
+ *
+ * A pass declares what it samples, which field it writes and which uniforms
+ * it sets; runPass() does the bind-FBO / quad / sampler / swap boilerplate
+ * that every kernel used to repeat:
+ *
+ *   {
+ *     inputs: { u_velocity_texture: 'velocityTexture1',      // Simulation property
+ *               u_oil: (sim) => sim.oil.oilTexture1 },         // or a getter
+ *     output: 'velocity',            // water field (multigrid.js WATER_FIELDS)
+ *                                    // or (sim) => ({ fbo, target(), swap() })
+ *     uniforms(u, sim, dt) { u.float('u_dt', dt); },
+ *     iterations: (sim) => n,        // optional: repeat, swapping in between
+ *     prepare(sim, dt) {}            // optional CPU-side state for the step
+ *   }
+ *
+ * Samplers take texture units in declaration order. Uniform locations and
+ * the position attribute come from the link-time table in programs.js, so
+ * nothing calls getUniformLocation per frame. The container geometry
+ * (kernels/container.js) is bound for every pass.
+ *
+ * PassList is a layer's ordered pipeline: passes can be listed, switched
+ * off by name and timed.
+ */
+import { waterField } from './multigrid.js';
+import { programTable, uniformLocation } from './programs.js';
+import { bindContainer } from './container.js';
+
+/** Typed uniform setters over the cached locations; unused uniforms are skipped */
+function uniformSetter(gl, program) {
+    const at = (name) => uniformLocation(gl, program, name);
+    return {
+        float(name, x) { const l = at(name); if (l !== null) gl.uniform1f(l, x); },
+        vec2(name, x, y) { const l = at(name); if (l !== null) gl.uniform2f(l, x, y); },
+        vec3(name, x, y, z) { const l = at(name); if (l !== null) gl.uniform3f(l, x, y, z); },
+        int(name, x) { const l = at(name); if (l !== null) gl.uniform1i(l, x); },
+        bool(name, x) { const l = at(name); if (l !== null) gl.uniform1i(l, x ? 1 : 0); },
+        /** Bind a texture to the next free unit (after the declared inputs) */
+        texture(name, texture) {
+            const unit = this.nextUnit++;
+            gl.activeTexture(gl.TEXTURE0 + unit);
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            const l = at(name);
+            if (l !== null) gl.uniform1i(l, unit);
+        },
+        nextUnit: 0
+    };
+}
+
+/**
+ * Ping-pong field descriptor over any owner's texture pair, the shape
+ * runPass and MultigridSolver write through
+ */
+export function pingPong(owner, textures, fbo, swap) {
+    return {
+        fbo: owner[fbo],
+        texture: () => owner[textures[0]],
+        target: () => owner[textures[1]],
+        swap: () => owner[swap]()
+    };
+}
+
+function resolveOutput(gl, pass, simulation) {
+    return typeof pass.output === 'function' ? pass.output(simulation) : waterField(gl, simulation, pass.output);
+}
+
+/**
+ * Draw a pass over the simulation grid (the caller owns the viewport)
+ * @param {WebGL2RenderingContext} gl
+ * @param {{quadBuffer: WebGLBuffer}} renderer
+ * @param {WebGLProgram} program
+ * @param {object} pass - Declaration, see the top of this file
+ */
+export function runPass(gl, renderer, program, pass, simulation, dt) {
+    if (pass.prepare) pass.prepare(simulation, dt);
+    const output = resolveOutput(gl, pass, simulation);
+    const iterations = pass.iterations ? pass.iterations(simulation) : 1;
+    const position = programTable(gl, program).position;
+    const samplers = Object.entries(pass.inputs || {});
+
+    gl.useProgram(program);
+    for (let i = 0; i < iterations; i++) {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, output.fbo);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, output.target(), 0);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, renderer.quadBuffer);
+        gl.enableVertexAttribArray(position);
+        gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+
+        const u = uniformSetter(gl, program);
+        for (const [name, source] of samplers) {
+            u.texture(name, typeof source === 'function' ? source(simulation) : simulation[source]);
+        }
+        if (pass.uniforms) pass.uniforms(u, simulation, dt);
+        bindContainer(gl, program, simulation);
+
+        gl.drawArrays(gl.TRIANGLES, 0, 6);
+        if (output.swap) output.swap();
+    }
+}
+
+/**
+ * Ordered, inspectable pipeline of a layer's step. Entries are either
+ * declarative, { name, program: 'forcesProgram', pass }, run with the
+ * Simulation's program of that name (skipped while it isn't loaded), or
+ * composite, { name, run(sim, dt) }, for steps with their own control flow
+ * (the pressure projection, the multigrid branches, readbacks). Either may
+ * have enabled(sim) for the conditions that change frame to frame.
+ */
+export class PassList {
+    constructor(entries) {
+        this.entries = entries;
+        this.disabled = new Set();
+        // When set, each pass is followed by gl.finish() so timings include the GPU work
+        this.profile = false;
+        this.timings = {};   // name → ms, smoothed
+    }
+
+    /** Switch a pass on or off by name */
+    setEnabled(name, on) {
+        if (!this.entries.some((e) => e.name === name)) {
+            throw new Error(`PassList: no pass named '${name}'`);
+        }
+        if (on) this.disabled.delete(name);
+        else this.disabled.add(name);
+    }
+
+    /** Pass names, what they read and write, whether they would run now and their timings */
+    describe(simulation) {
+        return this.entries.map((e) => ({
+            name: e.name,
+            program: e.program || null,
+            inputs: e.pass ? Object.entries(e.pass.inputs || {}).map(([name, source]) => `${name}←${typeof source === 'function' ? 'fn' : source}`) : [],
+            output: e.pass ? (typeof e.pass.output === 'function' ? 'fn' : e.pass.output) : null,
+            enabled: this.active(e, simulation),
+            ms: this.timings[e.name] ?? null
+        }));
+    }
+
+    active(entry, simulation) {
+        if (this.disabled.has(entry.name)) return false;
+        if (entry.program && !simulation[entry.program]) return false;
+        return !entry.enabled || !!entry.enabled(simulation);
+    }
+
+    run(simulation, dt) {
+        const gl = simulation.gl;
+        for (const entry of this.entries) {
+            if (!this.active(entry, simulation)) continue;
+            const start = this.profile ? performance.now() : 0;
+            if (entry.run) {
+                entry.run(simulation, dt);
+            } else {
+                runPass(gl, simulation.renderer, simulation[entry.program], entry.pass, simulation, dt);
+            }
+            if (this.profile) {
+                gl.finish();
+                const ms = performance.now() - start;
+                const previous = this.timings[entry.name];
+                this.timings[entry.name] = previous === undefined ? ms : previous * 0.9 + ms * 0.1;
+            }
+        }
+    }
+}
@@ -0,0 +1,127 @@
+/**
+ * Cahn–Hilliard oil phase field (PhaseFieldOilLayer)
+ *
+ * c = 0 is water, c = 1 oil, in the alpha of the oil texture (rgb is the
+ * tint). Each substep splits the fourth-order equation into two second-order
+ * passes:
+ *
+ *   mu = f'(c) - eps² lap(c)      phase-potential.frag.glsl
+ *   c += dt M lap(mu)             phase.frag.glsl
+ *
+ * with f(c) = c²(1 - c)². Lengths are grid cells. The capillary pass feeds
+ * mu grad(c) back into the water velocity. chemicalPotential() and
+ * phaseFieldStep() are the CPU reference of the two shaders.
+ */
+import { pingPong } from './pass.js';
+import Container from '../container.js';
+
+// Fraction of the explicit stability limit a substep may use
+const STABILITY_SAFETY = 0.8;
+export const MAX_PHASE_SUBSTEPS = 16;
+
+/**
+ * Largest stable explicit step: the fastest grid mode (lap eigenvalue -8)
+ * on the convex side of the well (f'' = 2) needs dt M 8 (2 + 8 eps²) <= 2
+ * @param {number} mobility - M, cells² per second
+ * @param {number} epsilon - Interface width, cells
+ */
+export function stablePhaseDt(mobility, epsilon) {
+    return 1 / (4 * mobility * (2 + 8 * epsilon * epsilon));
+}
+
+/**
+ * Substeps for one simulation step. Past MAX_PHASE_SUBSTEPS the phase field
+ * evolves slower than real time rather than going unstable.
+ * @returns {{substeps: number, dt: number}}
+ */
+export function phaseSubsteps(dt, mobility, epsilon) {
+    if (!(mobility > 0) || !(dt > 0)) return { substeps: 0, dt: 0 };
+    const limit = STABILITY_SAFETY * stablePhaseDt(mobility, epsilon);
+    const substeps = Math.min(MAX_PHASE_SUBSTEPS, Math.ceil(dt / limit));
+    return { substeps, dt: Math.min(dt / substeps, limit) };
+}
+
+const phase = (simulation) => simulation.oil.oilTexture1;
+const potential = (simulation) => simulation.oil.potentialTexture;
+
+/** The oil layer's phase ping-pong, the output of the phase passes */
+export const phaseField = (simulation) => pingPong(simulation.oil, ['oilTexture1', 'oilTexture2'], 'oilFBO', 'swapOilTextures');
+
+export const PHASE_POTENTIAL_PASS = {
+    inputs: { u_phase_texture: phase },
+    output: (simulation) => ({ fbo: simulation.oil.potentialFBO, target: () => simulation.oil.potentialTexture }),
+    uniforms(u, simulation) {
+        u.vec2('u_resolution', simulation.simWidth, simulation.simHeight);
+        u.float('u_epsilon2', simulation.phaseInterfaceWidth * simulation.phaseInterfaceWidth);
+    }
+};
+
+export const PHASE_UPDATE_PASS = {
+    inputs: { u_phase_texture: phase, u_potential: potential },
+    output: phaseField,
+    uniforms(u, simulation, dt) {
+        u.vec2('u_resolution', simulation.simWidth, simulation.simHeight);
+        u.float('u_dt', dt);
+        u.float('u_mobility', simulation.phaseMobility);
+    }
+};
+
+/** Capillary force on the water, from the potential of the last substep */
+export const CAPILLARY_PASS = {
+    inputs: { u_velocity_texture: 'velocityTexture1', u_phase_texture: phase, u_potential: potential },
+    output: 'velocity',
+    uniforms(u, simulation, dt) {
+        u.vec2('u_resolution', simulation.simWidth, simulation.simHeight);
+        u.float('u_dt', dt);
+        u.float('u_capillary', simulation.phaseCapillary);
+    }
+};
+
+/**
+ * Cells inside the dish, by the shaders' test at cell centres
+ * @param {Container} container - the dish (simulation.container), round by default
+ */
+export function dishMask(width, height, container = new Container()) {
+    const mask = new Uint8Array(width * height);
+    const aspect = width / height;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            mask[y * width + x] = container.contains((x + 0.5) / width, (y + 0.5) / height, aspect) ? 1 : 0;
+        }
+    }
+    return mask;
+}
+
+// 5-point Laplacian with outside neighbours reading as the centre (no flux)
+function laplacian(field, mask, width, height, i) {
+    const x = i % width;
+    const y = (i - x) / width;
+    const v = field[i];
+    const at = (nx, ny) => {
+        if (nx < 0 || ny < 0 || nx >= width || ny >= height) return v;
+        const j = ny * width + nx;
+        return mask[j] ? field[j] : v;
+    };
+    return at(x - 1, y) + at(x + 1, y) + at(x, y - 1) + at(x, y + 1) - 4 * v;
+}
+
+/** mu over the grid, as phase-potential.frag.glsl */
+export function chemicalPotential(c, mask, width, height, epsilon) {
+    const mu = new Float64Array(c.length);
+    for (let i = 0; i < c.length; i++) {
+        if (!mask[i]) continue;
+        const v = c[i];
+        mu[i] = 2 * v * (1 - v) * (1 - 2 * v) - epsilon * epsilon * laplacian(c, mask, width, height, i);
+    }
+    return mu;
+}
+
+/** One substep of both passes; returns the new c */
+export function phaseFieldStep(c, mask, width, height, dt, mobility, epsilon) {
+    const mu = chemicalPotential(c, mask, width, height, epsilon);
+    const next = new Float64Array(c.length);
+    for (let i = 0; i < c.length; i++) {
+        if (mask[i]) next[i] = c[i] + dt * mobility * laplacian(mu, mask, width, height, i);
+    }
+    return next;
+}
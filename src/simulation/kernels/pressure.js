@@ -1,63 +1,60 @@
-export function projectVelocity(gl, renderer, divergenceProgram, pressureProgram, gradientProgram, simulation) {
-    // 1. Compute divergence of velocity field
-    gl.useProgram(divergenceProgram);
-    gl.bindFramebuffer(gl.FRAMEBUFFER, simulation.divergenceFBO);
-
-    gl.bindBuffer(gl.ARRAY_BUFFER, renderer.quadBuffer);
-    const divergencePositionAttrib = gl.getAttribLocation(divergenceProgram, 'a_position');
-    gl.enableVertexAttribArray(divergencePositionAttrib);
-    gl.vertexAttribPointer(divergencePositionAttrib, 2, gl.FLOAT, false, 0, 0);
-
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, simulation.velocityTexture1);
-    gl.uniform1i(gl.getUniformLocation(divergenceProgram, 'u_velocity_texture'), 0);
-    gl.uniform2f(gl.getUniformLocation(divergenceProgram, 'u_resolution'), gl.canvas.width, gl.canvas.height);
-
-    gl.drawArrays(gl.TRIANGLES, 0, 6);
+import { waterField } from './multigrid.js';
+import { runPass } from './pass.js';
 
-    // 2. Solve for pressure (Jacobi iteration)
-    gl.useProgram(pressureProgram);
-    for (let i = 0; i < simulation.pressureIterations; i++) {
-        gl.bindFramebuffer(gl.FRAMEBUFFER, simulation.pressureFBO);
-        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, simulation.pressureTexture2, 0);
-
-        gl.bindBuffer(gl.ARRAY_BUFFER, renderer.quadBuffer);
-        const pressurePositionAttrib = gl.getAttribLocation(pressureProgram, 'a_position');
-        gl.enableVertexAttribArray(pressurePositionAttrib);
-        gl.vertexAttribPointer(pressurePositionAttrib, 2, gl.FLOAT, false, 0, 0);
-
-        gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, simulation.pressureTexture1);
-        gl.uniform1i(gl.getUniformLocation(pressureProgram, 'u_pressure_texture'), 0);
+// Obstacle mask on the next free unit; u_useObstacles is always written since programs keep their uniforms
+function bindObstacles(u, obstacles) {
+    u.bool('u_useObstacles', !!obstacles);
+    if (obstacles) u.texture('u_obstacles', obstacles);
+}
 
-        gl.activeTexture(gl.TEXTURE1);
-        gl.bindTexture(gl.TEXTURE_2D, simulation.divergenceTexture);
-        gl.uniform1i(gl.getUniformLocation(pressureProgram, 'u_divergence_texture'), 1);
-        gl.uniform2f(gl.getUniformLocation(pressureProgram, 'u_resolution'), gl.canvas.width, gl.canvas.height);
+export const DIVERGENCE_PASS = {
+    inputs: { u_velocity_texture: 'velocityTexture1' },
+    output: (simulation) => ({ fbo: simulation.divergenceFBO, target: () => simulation.divergenceTexture }),
+    uniforms(u, simulation) {
+        u.vec2('u_resolution', simulation.simWidth, simulation.simHeight);
+        bindObstacles(u, simulation.obstacleMask());
+    }
+};
+
+export const JACOBI_PRESSURE_PASS = {
+    inputs: { u_pressure_texture: 'pressureTexture1', u_divergence_texture: 'divergenceTexture' },
+    output: 'pressure',
+    iterations: (simulation) => simulation.pressureIterations,
+    uniforms(u, simulation) {
+        u.vec2('u_resolution', simulation.simWidth, simulation.simHeight);
+        bindObstacles(u, simulation.obstacleMask());
+    }
+};
+
+export const GRADIENT_PASS = {
+    inputs: { u_pressure_texture: 'pressureTexture1', u_velocity_texture: 'velocityTexture1' },
+    output: 'velocity',
+    uniforms(u, simulation) {
+        u.vec2('u_resolution', simulation.simWidth, simulation.simHeight);
+        u.int('u_obstacleSlip', simulation.obstacleSlipMode);
+        bindObstacles(u, simulation.obstacleMask());
+    }
+};
 
-        gl.drawArrays(gl.TRIANGLES, 0, 6);
-        simulation.swapPressureTextures();
+export function projectVelocity(gl, renderer, divergenceProgram, pressureProgram, gradientProgram, simulation) {
+    // 1. Compute divergence of velocity field
+    runPass(gl, renderer, divergenceProgram, DIVERGENCE_PASS, simulation);
+
+    // 2. Solve lap(p) = div: Jacobi sweeps, or multigrid V-cycles
+    const multigrid = simulation.multigrid;
+    const equation = { a: 0, b: simulation.divergenceTexture, bScale: -1, obstacles: simulation.obstacleMask() };
+    if (simulation.pressureSolverMode === 1 && multigrid) {
+        multigrid.solve(waterField(gl, simulation, 'pressure'), { ...equation, cycles: simulation.multigridCycles });
+    } else {
+        runPass(gl, renderer, pressureProgram, JACOBI_PRESSURE_PASS, simulation);
+    }
+    if (multigrid && simulation.residualEveryN > 0 && simulation.stepCount % simulation.residualEveryN === 0) {
+        const solver = simulation.pressureSolverMode === 1 ? 'multigrid' : 'jacobi';
+        simulation.pressureResidual = { solver, ...multigrid.residualNorm(waterField(gl, simulation, 'pressure'), equation) };
+        const { rms, max, relative } = simulation.pressureResidual;
+        console.log(`📉 Pressure residual (${solver}): rms ${rms.toExponential(2)}, max ${max.toExponential(2)}, relative ${relative.toFixed(4)}`);
     }
 
     // 3. Subtract pressure gradient from velocity
-    gl.useProgram(gradientProgram);
-    gl.bindFramebuffer(gl.FRAMEBUFFER, simulation.velocityFBO);
-    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, simulation.velocityTexture2, 0);
-
-    gl.bindBuffer(gl.ARRAY_BUFFER, renderer.quadBuffer);
-    const gradientPositionAttrib = gl.getAttribLocation(gradientProgram, 'a_position');
-    gl.enableVertexAttribArray(gradientPositionAttrib);
-    gl.vertexAttribPointer(gradientPositionAttrib, 2, gl.FLOAT, false, 0, 0);
-
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, simulation.pressureTexture1);
-    gl.uniform1i(gl.getUniformLocation(gradientProgram, 'u_pressure_texture'), 0);
-
-    gl.activeTexture(gl.TEXTURE1);
-    gl.bindTexture(gl.TEXTURE_2D, simulation.velocityTexture1);
-    gl.uniform1i(gl.getUniformLocation(gradientProgram, 'u_velocity_texture'), 1);
-    gl.uniform2f(gl.getUniformLocation(gradientProgram, 'u_resolution'), gl.canvas.width, gl.canvas.height);
-
-    gl.drawArrays(gl.TRIANGLES, 0, 6);
-    simulation.swapVelocityTextures();
+    runPass(gl, renderer, gradientProgram, GRADIENT_PASS, simulation);
 }
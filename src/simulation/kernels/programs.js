@@ -0,0 +1,46 @@
+/**
+ * Link-time tables of uniform locations
+ *
+ * Renderer.createProgram calls describeProgram() after linking, which reads
+ * every active uniform once. Names a program doesn't list (optimized out, or
+ * programs linked elsewhere) are looked up on first use and remembered, so
+ * kernels never call getUniformLocation per frame.
+ */
+
+// context → program → { uniforms: Map(name → location), position }
+const contextTables = new WeakMap();
+
+function tablesOf(gl) {
+    let tables = contextTables.get(gl);
+    if (!tables) {
+        tables = new Map();
+        contextTables.set(gl, tables);
+    }
+    return tables;
+}
+
+/** Build the uniform table of a freshly linked program */
+export function describeProgram(gl, program) {
+    const table = { uniforms: new Map(), position: gl.getAttribLocation(program, 'a_position') };
+    const count = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS) || 0;
+    for (let i = 0; i < count; i++) {
+        // Arrays are reported as 'name[0]'; the bare name addresses element 0
+        const name = gl.getActiveUniform(program, i).name.replace(/\[0\]$/, '');
+        table.uniforms.set(name, gl.getUniformLocation(program, name));
+    }
+    tablesOf(gl).set(program, table);
+    return table;
+}
+
+export function programTable(gl, program) {
+    return tablesOf(gl).get(program) || describeProgram(gl, program);
+}
+
+/** Cached uniform location (null for uniforms the program doesn't use) */
+export function uniformLocation(gl, program, name) {
+    const table = programTable(gl, program);
+    if (!table.uniforms.has(name)) {
+        table.uniforms.set(name, gl.getUniformLocation(program, name));
+    }
+    return table.uniforms.get(name);
+}
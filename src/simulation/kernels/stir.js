@@ -0,0 +1,23 @@
+import { runPass } from './pass.js';
+
+/**
+ * Moving-boundary condition for the stirring rod: water under the rod's
+ * footprint takes the rod's velocity. Run before the projection so the
+ * pressure solve routes the water around the rod, and again after it so the
+ * rod stays solid in the divergence-free field.
+ */
+export const STIR_PASS = {
+    inputs: { u_velocity_texture: 'velocityTexture1' },
+    output: 'velocity',
+    uniforms(u, simulation) {
+        const rod = simulation.stirringRod;
+        u.vec2('u_resolution', simulation.simWidth, simulation.simHeight);
+        u.vec2('u_rod_center', rod.x, rod.y);
+        u.float('u_rod_radius', rod.radius);
+        u.vec2('u_rod_velocity', rod.vx, rod.vy);
+    }
+};
+
+export function applyStirringRod(gl, renderer, stirProgram, simulation) {
+    runPass(gl, renderer, stirProgram, STIR_PASS, simulation);
+}
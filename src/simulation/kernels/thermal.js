@@ -0,0 +1,41 @@
+/**
+ * Water temperature field (°C above room temperature) and its buoyancy.
+ * The lamp is simulation.heatLamp(); viscosity.js and the Marangoni pass
+ * read the same texture.
+ */
+import { runPass } from './pass.js';
+
+export const TEMPERATURE_PASS = {
+    inputs: { u_temperature: 'temperatureTexture1', u_velocity_texture: 'velocityTexture1' },
+    output: 'temperature',
+    uniforms(u, simulation, dt) {
+        const lamp = simulation.heatLamp();
+        u.vec2('u_resolution', simulation.simWidth, simulation.simHeight);
+        u.float('u_dt', dt);
+        u.float('u_diffusivity', simulation.thermalDiffusivity);
+        u.float('u_cooling', simulation.thermalCooling);
+        u.vec2('u_lamp_center', lamp.x, lamp.y);
+        u.float('u_lamp_radius', lamp.radius);
+        u.float('u_lamp_power', lamp.power);
+    }
+};
+
+/** Warm water rises along the plate's "up" (uv +y, the screen's top, tipped uphill by the tilt) */
+export const THERMAL_BUOYANCY_PASS = {
+    inputs: { u_velocity_texture: 'velocityTexture1', u_temperature: 'temperatureTexture1' },
+    output: 'velocity',
+    uniforms(u, simulation, dt) {
+        const up = simulation.planeUp();
+        u.float('u_dt', dt);
+        u.float('u_buoyancy', simulation.thermalBuoyancy);
+        u.vec2('u_up', up.x, up.y);
+    }
+};
+
+export function updateTemperature(gl, renderer, thermalProgram, simulation, dt) {
+    runPass(gl, renderer, thermalProgram, TEMPERATURE_PASS, simulation, dt);
+}
+
+export function applyThermalBuoyancy(gl, renderer, buoyancyProgram, simulation, dt) {
+    runPass(gl, renderer, buoyancyProgram, THERMAL_BUOYANCY_PASS, simulation, dt);
+}
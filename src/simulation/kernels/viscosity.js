@@ -1,23 +1,29 @@
-export function applyViscosity(gl, renderer, viscosityProgram, simulation, dt) {
-    gl.useProgram(viscosityProgram);
-    gl.uniform1f(gl.getUniformLocation(viscosityProgram, 'u_viscosity'), simulation.viscosity);
-    gl.uniform1f(gl.getUniformLocation(viscosityProgram, 'u_dt'), dt);
-    gl.uniform2f(gl.getUniformLocation(viscosityProgram, 'u_resolution'), gl.canvas.width, gl.canvas.height);
-
-    for (let i = 0; i < simulation.viscosityIterations; i++) {
-        gl.bindFramebuffer(gl.FRAMEBUFFER, simulation.velocityFBO);
-        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, simulation.velocityTexture2, 0);
+import { waterField } from './multigrid.js';
+import { runPass } from './pass.js';
 
-        gl.bindBuffer(gl.ARRAY_BUFFER, renderer.quadBuffer);
-        const positionAttrib = gl.getAttribLocation(viscosityProgram, 'a_position');
-        gl.enableVertexAttribArray(positionAttrib);
-        gl.vertexAttribPointer(positionAttrib, 2, gl.FLOAT, false, 0, 0);
+// Warm water is thinner (the implicit multigrid path uses the cold viscosity)
+const thermalViscosity = (simulation) => (simulation.temperatureTexture1 && simulation.thermalViscosity > 0 ? simulation.thermalViscosity : 0.0);
 
-        gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, simulation.velocityTexture1);
-        gl.uniform1i(gl.getUniformLocation(viscosityProgram, 'u_velocity_texture'), 0);
+export const VISCOSITY_PASS = {
+    inputs: { u_velocity_texture: 'velocityTexture1', u_temperature: (simulation) => simulation.temperatureTexture1 || null },
+    output: 'velocity',
+    iterations: (simulation) => simulation.viscosityIterations,
+    uniforms(u, simulation, dt) {
+        u.float('u_viscosity', simulation.viscosity);
+        u.float('u_dt', dt);
+        u.vec2('u_resolution', simulation.simWidth, simulation.simHeight);
+        u.float('u_thermalViscosity', thermalViscosity(simulation));
+    }
+};
 
-        gl.drawArrays(gl.TRIANGLES, 0, 6);
-        simulation.swapVelocityTextures();
+export function applyViscosity(gl, renderer, viscosityProgram, simulation, dt) {
+    if (simulation.viscositySolverMode === 1 && simulation.multigrid) {
+        // Implicit: (1 - k lap) u = u0 with the diffusion the explicit sweeps would apply
+        const k = simulation.viscosity * dt * simulation.viscosityIterations;
+        if (k > 0) {
+            simulation.multigrid.solve(waterField(gl, simulation, 'velocity'), { a: 1 / k, bScale: 1 / k, cycles: simulation.multigridCycles });
+        }
+        return;
     }
+    runPass(gl, renderer, viscosityProgram, VISCOSITY_PASS, simulation, dt);
 }
@@ -1,19 +1,14 @@
-export function applyVorticityConfinement(gl, renderer, vorticityConfinementProgram, simulation) {
-    gl.useProgram(vorticityConfinementProgram);
-    gl.bindFramebuffer(gl.FRAMEBUFFER, simulation.velocityFBO);
-    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, simulation.velocityTexture2, 0);
-
-    gl.bindBuffer(gl.ARRAY_BUFFER, renderer.quadBuffer);
-    const positionAttrib = gl.getAttribLocation(vorticityConfinementProgram, 'a_position');
-    gl.enableVertexAttribArray(positionAttrib);
-    gl.vertexAttribPointer(positionAttrib, 2, gl.FLOAT, false, 0, 0);
+import { runPass } from './pass.js';
 
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, simulation.velocityTexture1);
-    gl.uniform1i(gl.getUniformLocation(vorticityConfinementProgram, 'u_velocity_texture'), 0);
-    gl.uniform1f(gl.getUniformLocation(vorticityConfinementProgram, 'u_confinement_strength'), simulation.vorticityStrength);
-    gl.uniform2f(gl.getUniformLocation(vorticityConfinementProgram, 'u_resolution'), gl.canvas.width, gl.canvas.height);
+export const VORTICITY_PASS = {
+    inputs: { u_velocity_texture: 'velocityTexture1' },
+    output: 'velocity',
+    uniforms(u, simulation) {
+        u.float('u_confinement_strength', simulation.vorticityStrength);
+        u.vec2('u_resolution', simulation.simWidth, simulation.simHeight);
+    }
+};
 
-    gl.drawArrays(gl.TRIANGLES, 0, 6);
-    simulation.swapVelocityTextures();
+export function applyVorticityConfinement(gl, renderer, vorticityConfinementProgram, simulation) {
+    runPass(gl, renderer, vorticityConfinementProgram, VORTICITY_PASS, simulation);
 }
@@ -10,13 +10,17 @@ export default class FluidLayer {
   resize() {}
   destroy() {}
 
+  // Scene snapshots (see ../snapshot.js); layers without state can ignore these
+  serialize(writer) {}
+  restore(reader) {}
+
   // Frame update (override in subclasses)
   update(dt) {
     throw new Error('FluidLayer.update(dt) must be implemented by subclass');
   }
 
   // Inputs
-  splatColor(x, y, color, radius) {
+  splatColor(x, y, color, radius, flow) {
     throw new Error('FluidLayer.splatColor(...) must be implemented by subclass');
   }
   splatVelocity(x, y, vx, vy, radius) {
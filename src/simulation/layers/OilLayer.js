@@ -5,6 +5,19 @@ import WebGPUSPH from '../sph/webgpu-sph.js';
 import WebGPUSPHUpdate from '../sph/webgpu-sph-update.js';
 import WebGPUSPHRender from '../sph/webgpu-sph-render.js';
 import { loadShader } from '../../utils.js';
+import { SPH_TUNABLES } from '../../materials.js';
+import { heatingAtWorld } from '../heat-lamp.js';
+import { CONTAINER_RADIUS } from '../container.js';
+import { bindContainer } from '../kernels/container.js';
+import { PassList, runPass, pingPong } from '../kernels/pass.js';
+import { advectionPass } from '../kernels/advection.js';
+
+// Pipette radius (uv) the materials' spawn counts are tuned for (the
+// Controller's oil brush radius); other dab sizes scale the count by area
+const SPAWN_REFERENCE_RADIUS = 0.06;
+
+// Fewest particles let go at once; smaller deposits carry over to the next dab
+const MIN_SPAWN = 3;
 
 export default class OilLayer extends FluidLayer {
   constructor(simulation, sphParticleSplatVertWGSL, sphParticleSplatFragWGSL) {
@@ -12,7 +25,29 @@ export default class OilLayer extends FluidLayer {
 
     // SPH PARTICLE SYSTEM (PHASE 1: INCREMENTAL REBUILD)
     this.useSPH = true; // RE-ENABLED: Starting from scratch, testing each piece
-    this.sph = new SPHOilSystem(5000, 0.48, sphParticleSplatVertWGSL, sphParticleSplatFragWGSL); // REDUCED: 5k max for Phase 1 testing
+    this.sph = new SPHOilSystem(5000, CONTAINER_RADIUS, sphParticleSplatVertWGSL, sphParticleSplatFragWGSL); // REDUCED: 5k max for Phase 1 testing
+    this.sph.random = simulation.random; // share the (possibly seeded) RNG
+    // Particles bounce off the plate's obstacles like off the container wall
+    // and are swept aside by the stirring rod (a static obstacle wins when a
+    // particle is squeezed between the two)
+    this.sph.obstacleCollider = (x, y) => {
+      const radius = this.sph.containerRadius;
+      const rod = simulation.stirringRod.collideWorld(x, y, radius);
+      const wall = rod
+        ? simulation.obstacles.collideWorld(rod.x, rod.y, radius)
+        : simulation.obstacles.collideWorld(x, y, radius);
+      return wall || rod;
+    };
+    // The dish's shape, cut to the canvas the particles are drawn on
+    const aspect = () => (simulation.simHeight ? simulation.simWidth / simulation.simHeight : 1);
+    this.sph.containerCollider = (x, y) => simulation.container.collideWorld(x, y, this.sph.containerRadius, aspect());
+    // Distances come back in aspect units, a grid height per 2 world radii
+    this.sph.containerDistance = (x, y) =>
+      simulation.container.distanceWorld(x, y, this.sph.containerRadius, aspect()) * 2 * this.sph.containerRadius;
+    // ...and for the splat shader's edge fade
+    this.sph.containerUniforms = (gl, program) => bindContainer(gl, program, simulation);
+    // Constructor tuning, restored for fields the active material doesn't override
+    this.sphBaseline = Object.fromEntries(SPH_TUNABLES.map((key) => [key, this.sph[key]]));
     this.webgpuSPH = null;
     this.webgpuSPHUpdate = null;
     this.webgpuSPHRender = null;
@@ -33,6 +68,8 @@ export default class OilLayer extends FluidLayer {
     this.sphFBO = null;
 
     // GRID LAYER (Alcohol) - texture-based advection-diffusion
+    this.gridWidth = 0;
+    this.gridHeight = 0;
     this.gridTexture1 = null;
     this.gridTexture2 = null;
     this.gridFBO = null;
@@ -50,6 +87,8 @@ export default class OilLayer extends FluidLayer {
     // Short post-splat boost to help immediate congealing
     this.postSplatBoostFrames = 0;
     this.postSplatBoostTotal = 180; // frames for boost ramp (~3s at 60fps)
+    // Particles owed by dabs too small or thin to spawn a cluster of their own
+    this.spawnCarry = 0;
     // Use multi-cluster spawning for SPH materials (promotes fast congeal)
     this.useClusterSpawn = true;
     // Allow continuous accumulation during painting (no cooldown)
@@ -86,6 +125,10 @@ export default class OilLayer extends FluidLayer {
     this.particleMergeDistance = 0.03;
     this.particleConversionInterval = 30;
     this.framesSinceConversion = 0;
+
+    this.gridPipeline = this.createGridPipeline();
+    this.sphPipeline = this.createSPHPipeline();
+    this.compositePipeline = this.createCompositePipeline();
   }
 
   async init() {
@@ -97,8 +140,9 @@ export default class OilLayer extends FluidLayer {
       console.warn('⚠️ OilLayer.init: canvas not available yet, skipping texture init');
       return;
     }
-    const w = canvas.width;
-    const h = canvas.height;
+    // Fields live on the simulation grid; the renderer upsamples them to the canvas
+    const w = this.sim.simWidth;
+    const h = this.sim.simHeight;
 
     // Verify Alcohol fix is loaded
     console.log('✨ OilLayer.js: Alcohol fix LOADED (Nov 9, 3:33pm)');
@@ -162,29 +206,7 @@ export default class OilLayer extends FluidLayer {
       // === INITIALIZE MULTI-LAYER TEXTURES ===
       console.log('🎨 Initializing multi-layer architecture...');
 
-      // SPH LAYER (particle-based blobs)
-      this.sphTexture1 = this.sim.createTexture(w, h, gl.RGBA16F, gl.RGBA, gl.HALF_FLOAT);
-      this.sphTexture2 = this.sim.createTexture(w, h, gl.RGBA16F, gl.RGBA, gl.HALF_FLOAT);
-      this.sphFBO = this.sim.createFBO(this.sphTexture1);
-
-      // GRID LAYER (texture-based advection-diffusion)
-      this.gridTexture1 = this.sim.createTexture(w, h, gl.RGBA16F, gl.RGBA, gl.HALF_FLOAT);
-      this.gridTexture2 = this.sim.createTexture(w, h, gl.RGBA16F, gl.RGBA, gl.HALF_FLOAT);
-      this.gridFBO = this.sim.createFBO(this.gridTexture1);
-      this.gridVelocityTexture1 = this.sim.createTexture(w, h, gl.RG32F, gl.RG, gl.FLOAT);
-      this.gridVelocityTexture2 = this.sim.createTexture(w, h, gl.RG32F, gl.RG, gl.FLOAT);
-      this.gridVelocityFBO = this.sim.createFBO(this.gridVelocityTexture1);
-
-      // COMPOSITE LAYER (final blend)
-      this.compositedTexture = this.sim.createTexture(w, h, gl.RGBA16F, gl.RGBA, gl.HALF_FLOAT);
-      this.compositeFBO = this.sim.createFBO(this.compositedTexture);
-      // Half-res density buffers for separable blur (composite v2)
-      const hw = Math.max(1, Math.floor(w * 0.5));
-      const hh = Math.max(1, Math.floor(h * 0.5));
-      this.densityHalfTex1 = this.sim.createTexture(hw, hh, gl.R16F, gl.RED, gl.HALF_FLOAT);
-      this.densityHalfTex2 = this.sim.createTexture(hw, hh, gl.R16F, gl.RED, gl.HALF_FLOAT);
-      this.densityHalfFBO = this.sim.createFBO(this.densityHalfTex1);
-
+      this.createLayerTextures(w, h);
       console.log('✅ Multi-layer textures created: SPH + Grid + Composite');
 
       // LEGACY textures (will be phased out) - keeping for now during migration
@@ -259,32 +281,51 @@ export default class OilLayer extends FluidLayer {
   }
 
   /**
-   * Update SPH particle layer (Mineral Oil, Syrup, Glycerine)
+   * Active material definition (see materials.js), or null before the
+   * controller exists
+   */
+  currentMaterial() {
+    const controller = (typeof window !== 'undefined' && window.controller) || this.sim.controller;
+    return controller?.materials[controller?.currentMaterialIndex] || null;
+  }
+
+  /**
+   * Apply a material's SPH tuning. Fields it leaves out go back to the
+   * SPHOilSystem constructor values, so switching materials never leaves
+   * another material's overrides behind.
+   */
+  applyMaterial(material) {
+    this.spawnCarry = 0;
+    if (!this.sph) return;
+    const tuning = material?.sph || {};
+    for (const key of SPH_TUNABLES) {
+      this.sph[key] = tuning[key] ?? this.sphBaseline[key];
+    }
+  }
+
+  /**
+   * Update SPH particle layer (materials with layer 'sph')
    * Handles physics simulation and rendering to sphTexture
    */
   async updateSPHLayer(dt, useSPHForMaterial) {
     const gl = this.gl;
     const sim = this.sim;
-    const controller = window.controller || this.sim.controller;
-    const currentMaterial = controller?.materials[controller?.currentMaterialIndex]?.name || '';
+    const material = this.currentMaterial();
+    const sphTuning = material?.sph || { gridDrag: 3.5, cpuVelocitySampling: true };
 
     // STEP 1: Throttled sample of grid velocity from water layer (rotation + coupling)
-    // NOTE: CPU-side sampling (readPixels) is expensive; disable for Syrup and
-    // only keep it for other materials when rotation is actually active.
+    // NOTE: CPU-side sampling (readPixels) is expensive; materials can opt out
+    // (sph.cpuVelocitySampling), otherwise it only runs while rotation is active.
     let gridVelocities = null;
     if (this.sph.particleCount > 0) {
-      const hasRotation = Math.abs(sim.rotationAmount) > 0.001;
-      const enableCpuSampling = hasRotation && currentMaterial !== 'Syrup';
+      const hasRotation = Math.abs(sim.plateRotation.amount) > 0.001;
+      const enableCpuSampling = hasRotation && sphTuning.cpuVelocitySampling;
 
       if (enableCpuSampling) {
         this.gridSampleFrame = (this.gridSampleFrame + 1) | 0;
         const shouldSample = (this.gridSampleFrame % this.gridSampleInterval) === 1;
         if (shouldSample) {
-          gridVelocities = this.sph.sampleVelocityGrid(
-            sim.velocityTexture1,
-            this.sim.renderer.canvas.width,
-            this.sim.renderer.canvas.height
-          );
+          gridVelocities = this.sph.sampleVelocityGrid(sim.velocityTexture1, sim.simWidth, sim.simHeight);
           this.cachedGridVelocities = gridVelocities;
         } else {
           // Reuse cached velocities if particle count matches; otherwise skip drag this frame
@@ -295,7 +336,7 @@ export default class OilLayer extends FluidLayer {
           }
         }
       } else {
-        // No CPU sampling for Syrup or when rotation is off
+        // No CPU sampling for this material or when rotation is off
         gridVelocities = null;
       }
 
@@ -313,62 +354,14 @@ export default class OilLayer extends FluidLayer {
       }
     }
 
-    // Apply per-material SPH tuning (kept lightweight; no change to smoothingRadius)
+    // Per-material water→oil drag (blob tuning is applied on material switch
+    // by applyMaterial; smoothingRadius is never changed per material)
     if (this.sph) {
-      // Base grid-drag (water→oil coupling)
-      // Use the global tuning from SPHOilSystem constructor as the baseline
-      // DO NOT override blob parameters here, or constructor tuning is lost!
-
-      let baseGridDrag = this.sph.gridDragCoeff;
-
-      /* 
-       * DISABLED: These presets were overriding the careful "Viscous Syrup" tuning 
-       * defined in SPHOilSystem.js. Let's trust the physics engine config first.
-       * If we need distinct materials later, we should update SPHOilSystem setters
-       * or use offsets from the base config.
-       *
-      switch (currentMaterial) {
-        case 'Syrup':
-          // Syrup: Thick, slow, very cohesive
-          this.sph.blobCohesion = 0.9;
-          this.sph.blobRepulsion = 2.5;
-          this.sph.blobFriction = 0.92; // Increased damping (was 0.96)
-          this.sph.blobInteractionRadius = 0.16;
-          baseGridDrag = 3.0;
-          this.sph.particleSpriteRadius = 125.0; // Increased visual size
-          break;
-        case 'Glycerine':
-          // Glycerine: Slippery, heavy
-          this.sph.blobCohesion = 0.5;
-          this.sph.blobRepulsion = 1.8;
-          this.sph.blobFriction = 0.96; // Increased damping (was 0.995)
-          this.sph.blobInteractionRadius = 0.14;
-          baseGridDrag = 1.1;
-          this.sph.particleSpriteRadius = 140.0; // Increased visual size
-          break;
-        case 'Mineral Oil':
-        default:
-          // Mineral Oil: Balanced
-          this.sph.blobCohesion = 0.6;
-          this.sph.blobRepulsion = 1.5;
-          this.sph.blobFriction = 0.95; // Increased damping (was 0.99)
-          this.sph.blobInteractionRadius = 0.14;
-          baseGridDrag = 1.3;
-          this.sph.particleSpriteRadius = 110.0; // Increased visual size
-          break;
-      }
-      */
-
-      // Scale water→oil drag with rotation magnitude so tilting/rotating the
-      // plate couples more strongly to the blobs via the velocity field.
-      // NOTE: We start from the CURRENT gridDragCoeff to avoid resetting it?
-      // Actually, since this runs every frame, we must use a base value.
-      // Let's use the explicit tuned value from constructor: 3.5
-      baseGridDrag = 3.5;
-
-      const rotAbs = Math.abs(this.sim.rotationAmount || 0.0);
+      // Scale water→oil drag with the plate's speed so a turning plate
+      // couples more strongly to the blobs via the velocity field.
+      const rotAbs = Math.abs(this.sim.plateRotation.amount);
       const rotScale = 1.0 + 2.0 * Math.min(rotAbs, 1.0); // up to ~3x at strong rotation
-      this.sph.gridDragCoeff = baseGridDrag * rotScale;
+      this.sph.gridDragCoeff = sphTuning.gridDrag * rotScale;
     }
 
     // STEP 2: Update SPH particle physics (always if particles exist!)
@@ -382,8 +375,22 @@ export default class OilLayer extends FluidLayer {
       const shouldSkipPhysics = this.sph.particleCount > 3000 && this.sphFrameSkip % 2 === 0;
 
       if (!shouldSkipPhysics) {
-        // Always run CPU physics for now (used for rendering)
-        this.sph.update(dt, sim.rotationAmount, gridVelocities);
+        // Always run CPU physics for now (used for rendering), split into
+        // the CFL substeps Simulation.planSubsteps chose (at least enough to
+        // keep each under SPH_MAX_DT)
+        const substeps = sim.sphSubsteps(dt);
+        // Particles under the lamp's hotspot warm up; with the lamp off the
+        // source is dropped so a cold plate skips the heat exchange
+        const lamp = sim.heatLamp();
+        const radius = this.sph.containerRadius;
+        const aspect = sim.simHeight ? sim.simWidth / sim.simHeight : 1;
+        this.sph.heatSource = lamp.power > 0 ? (x, y) => heatingAtWorld(lamp, x, y, radius, aspect) : null;
+        const plate = sim.plateState();
+        for (let s = 0; s < substeps; s++) {
+          // Particles can leave the dish mid-frame: drop the samples once they no longer line up
+          const drag = gridVelocities && gridVelocities.length === this.sph.particleCount * 2 ? gridVelocities : null;
+          this.sph.update(dt / substeps, plate, drag);
+        }
 
         // Also run WebGPU compute in parallel for testing
         if (this.enableWebgpuSph && this.webgpuSPHUpdate && this.webgpuSPH) {
@@ -402,112 +409,15 @@ export default class OilLayer extends FluidLayer {
       }
     }
 
-    // STEP 3: Render particles to SPH texture
-    if (this.sph.particleCount > 0) {
-      if (gl) {
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.sphFBO);
-        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.sphTexture2, 0);
-        gl.disable(gl.BLEND); // MUST disable blend for proper clear
-        gl.clearColor(0, 0, 0, 0);
-        gl.clear(gl.COLOR_BUFFER_BIT);
-
-        // Always use CPU SPH + WebGL rendering for now
-        // WebGPU compute runs in parallel but rendering uses CPU data
-        // TODO: Copy WebGPU render texture to WebGL when ready
-        this.sph.renderParticles(this.sphFBO, this.sim.renderer.canvas.width, this.sim.renderer.canvas.height);
-      }
-
-      // Also render to WebGPU texture for testing (not displayed yet)
-      if (this.enableWebgpuSph && this.webgpuSPHRender) {
-        this.webgpuSPHRender.render(this.sph.containerRadius, this.sph.particleSpriteRadius);
-      }
-
-      if (gl) {
-        this.swapSPHTextures();
-
-        // STEP 4: Density Composite v2 (Thickness-Weighted Bilateral Filter)
-        // Replaces simple Gaussian blur with edge-preserving smoothing + dust removal
-        if (this.useDensityComposite && sim.oilSmoothProgram) {
-          gl.useProgram(sim.oilSmoothProgram);
-          gl.bindFramebuffer(gl.FRAMEBUFFER, this.sphFBO);
-          gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.sphTexture2, 0);
-
-          gl.disable(gl.BLEND); // Fullscreen replacement
-
-          gl.bindBuffer(gl.ARRAY_BUFFER, sim.renderer.quadBuffer);
-          const posLoc = gl.getAttribLocation(sim.oilSmoothProgram, 'a_position');
-          gl.enableVertexAttribArray(posLoc);
-          gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
-
-          gl.activeTexture(gl.TEXTURE0);
-          gl.bindTexture(gl.TEXTURE_2D, this.sphTexture1); // Input: raw SPH particles
-          gl.uniform1i(gl.getUniformLocation(sim.oilSmoothProgram, 'u_oil_texture'), 0);
-
-          gl.uniform2f(gl.getUniformLocation(sim.oilSmoothProgram, 'u_resolution'), gl.canvas.width, gl.canvas.height);
-          gl.uniform1f(gl.getUniformLocation(sim.oilSmoothProgram, 'u_smoothingRate'), sim.oilSmoothingRate);
-          gl.uniform1f(gl.getUniformLocation(sim.oilSmoothProgram, 'u_thicknessThreshold'), sim.oilThicknessThreshold);
-
-          gl.drawArrays(gl.TRIANGLES, 0, 6);
-          this.swapSPHTextures();
-        }
-
-        // STEP 4 (alternative): MetaBall rendering (keep as optional fallback)
-        if (!this.useDensityComposite && sim.metaballEnabled && sim.oilMetaballProgram) {
-          gl.useProgram(sim.oilMetaballProgram);
-          gl.bindFramebuffer(gl.FRAMEBUFFER, this.sphFBO);
-          gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.sphTexture2, 0);
-
-          gl.disable(gl.BLEND); // MetaBall is fullscreen replacement, not blending
-
-          gl.bindBuffer(gl.ARRAY_BUFFER, sim.renderer.quadBuffer);
-          const posMetaball = gl.getAttribLocation(sim.oilMetaballProgram, 'a_position');
-          gl.enableVertexAttribArray(posMetaball);
-          gl.vertexAttribPointer(posMetaball, 2, gl.FLOAT, false, 0, 0);
-
-          gl.activeTexture(gl.TEXTURE0);
-          gl.bindTexture(gl.TEXTURE_2D, this.sphTexture1);
-          gl.uniform1i(gl.getUniformLocation(sim.oilMetaballProgram, 'u_oil_texture'), 0);
-          gl.uniform2f(gl.getUniformLocation(sim.oilMetaballProgram, 'u_resolution'), gl.canvas.width, gl.canvas.height);
-          gl.uniform1f(gl.getUniformLocation(sim.oilMetaballProgram, 'u_blobThreshold'), sim.metaballBlobThreshold);
-          gl.uniform1f(gl.getUniformLocation(sim.oilMetaballProgram, 'u_metaballRadius'), sim.metaballRadius);
-          gl.uniform1f(gl.getUniformLocation(sim.oilMetaballProgram, 'u_bulginess'), sim.metaballBulginess);
-
-          gl.drawArrays(gl.TRIANGLES, 0, 6);
-          this.swapSPHTextures();
-        }
-
-        // STEP 5: Post-blur pass for smooth organic edges
-        if (sim.oilBlurEnabled && sim.oilBlurProgram) {
-          gl.useProgram(sim.oilBlurProgram);
-          gl.bindFramebuffer(gl.FRAMEBUFFER, this.sphFBO);
-          gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.sphTexture2, 0);
-
-          gl.disable(gl.BLEND); // Fullscreen replacement
-
-          gl.bindBuffer(gl.ARRAY_BUFFER, sim.renderer.quadBuffer);
-          const posBlur = gl.getAttribLocation(sim.oilBlurProgram, 'a_position');
-          gl.enableVertexAttribArray(posBlur);
-          gl.vertexAttribPointer(posBlur, 2, gl.FLOAT, false, 0, 0);
-
-          gl.activeTexture(gl.TEXTURE0);
-          gl.bindTexture(gl.TEXTURE_2D, this.sphTexture1);
-          gl.uniform1i(gl.getUniformLocation(sim.oilBlurProgram, 'u_oil_texture'), 0);
-          gl.uniform2f(gl.getUniformLocation(sim.oilBlurProgram, 'u_resolution'), gl.canvas.width, gl.canvas.height);
-          gl.uniform1f(gl.getUniformLocation(sim.oilBlurProgram, 'u_blurRadius'), sim.oilBlurRadius);
-          gl.uniform1f(gl.getUniformLocation(sim.oilBlurProgram, 'u_blurStrength'), sim.oilBlurStrength);
-
-          gl.drawArrays(gl.TRIANGLES, 0, 6);
-          this.swapSPHTextures();
-        }
-      }
-    } else if (gl) {
-      // No particles - clear SPH texture
-      gl.bindFramebuffer(gl.FRAMEBUFFER, this.sphFBO);
-      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.sphTexture2, 0);
-      gl.disable(gl.BLEND);
-      gl.clearColor(0, 0, 0, 0);
-      gl.clear(gl.COLOR_BUFFER_BIT);
-      this.swapSPHTextures();
+    // STEP 3: Render particles to the SPH texture and smooth them (sphPipeline)
+    // Also render to WebGPU texture for testing (not displayed yet)
+    if (this.sph.particleCount > 0 && this.enableWebgpuSph && this.webgpuSPHRender) {
+      this.webgpuSPHRender.render(this.sph.containerRadius, this.sph.particleSpriteRadius);
+    }
+    if (gl) {
+      sim.bindSimViewport();
+      gl.disable(gl.BLEND); // MUST disable blend for proper clear; the passes replace
+      this.sphPipeline.run(sim, dt);
     }
   }
 
@@ -516,122 +426,245 @@ export default class OilLayer extends FluidLayer {
    * Handles texture-based advection-diffusion on gridTexture
    */
   updateGridLayer(dt) {
-    const gl = this.gl;
     const sim = this.sim;
 
-    if (gl) {
-      // Ensure grid passes render at full canvas size
-      gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
-
-      // STEP 1: Apply coupling from water velocity
-      gl.useProgram(sim.oilCouplingProgram);
-      gl.bindFramebuffer(gl.FRAMEBUFFER, this.gridVelocityFBO);
-      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.gridVelocityTexture2, 0);
-
-      gl.bindBuffer(gl.ARRAY_BUFFER, sim.renderer.quadBuffer);
-      const posCoupling = gl.getAttribLocation(sim.oilCouplingProgram, 'a_position');
-      gl.enableVertexAttribArray(posCoupling);
-      gl.vertexAttribPointer(posCoupling, 2, gl.FLOAT, false, 0, 0);
-
-      gl.activeTexture(gl.TEXTURE0);
-      gl.bindTexture(gl.TEXTURE_2D, this.gridVelocityTexture1);
-      gl.uniform1i(gl.getUniformLocation(sim.oilCouplingProgram, 'u_oilVelocity'), 0);
-
-      gl.activeTexture(gl.TEXTURE1);
-      gl.bindTexture(gl.TEXTURE_2D, sim.velocityTexture1);
-      gl.uniform1i(gl.getUniformLocation(sim.oilCouplingProgram, 'u_waterVelocity'), 1);
-
-      gl.activeTexture(gl.TEXTURE2);
-      gl.bindTexture(gl.TEXTURE_2D, this.gridTexture1);
-      gl.uniform1i(gl.getUniformLocation(sim.oilCouplingProgram, 'u_oil'), 2);
-
-      gl.uniform1f(gl.getUniformLocation(sim.oilCouplingProgram, 'u_couplingStrength'), sim.couplingStrength);
-      gl.uniform1f(gl.getUniformLocation(sim.oilCouplingProgram, 'u_dt'), dt);
-      gl.uniform2f(gl.getUniformLocation(sim.oilCouplingProgram, 'u_resolution'), gl.canvas.width, gl.canvas.height);
-
-      gl.drawArrays(gl.TRIANGLES, 0, 6);
-      this.swapGridVelocityTextures();
-
-      // STEP 2: Advect grid velocity
-      gl.useProgram(sim.advectionProgram);
-      gl.bindFramebuffer(gl.FRAMEBUFFER, this.gridVelocityFBO);
-      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.gridVelocityTexture2, 0);
-
-      const posAdvVel = gl.getAttribLocation(sim.advectionProgram, 'a_position');
-      gl.enableVertexAttribArray(posAdvVel);
-      gl.vertexAttribPointer(posAdvVel, 2, gl.FLOAT, false, 0, 0);
-
-      gl.activeTexture(gl.TEXTURE0);
-      gl.bindTexture(gl.TEXTURE_2D, this.gridVelocityTexture1);
-      gl.uniform1i(gl.getUniformLocation(sim.advectionProgram, 'u_velocity'), 0);
-
-      gl.activeTexture(gl.TEXTURE1);
-      gl.bindTexture(gl.TEXTURE_2D, this.gridVelocityTexture1);
-      gl.uniform1i(gl.getUniformLocation(sim.advectionProgram, 'u_source'), 1);
-
-      gl.uniform2f(gl.getUniformLocation(sim.advectionProgram, 'u_resolution'), gl.canvas.width, gl.canvas.height);
-      gl.uniform1f(gl.getUniformLocation(sim.advectionProgram, 'u_dt'), dt);
-      gl.uniform1f(gl.getUniformLocation(sim.advectionProgram, 'u_dissipation'), 1.0);
-
-      gl.drawArrays(gl.TRIANGLES, 0, 6);
-      this.swapGridVelocityTextures();
-
-      // STEP 3: Advect grid color/thickness
-      gl.useProgram(sim.advectionProgram);
-      gl.bindFramebuffer(gl.FRAMEBUFFER, this.gridFBO);
-      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.gridTexture2, 0);
-
-      const posAdvColor = gl.getAttribLocation(sim.advectionProgram, 'a_position');
-      gl.enableVertexAttribArray(posAdvColor);
-      gl.vertexAttribPointer(posAdvColor, 2, gl.FLOAT, false, 0, 0);
-
-      gl.activeTexture(gl.TEXTURE0);
-      gl.bindTexture(gl.TEXTURE_2D, this.gridVelocityTexture1);
-      gl.uniform1i(gl.getUniformLocation(sim.advectionProgram, 'u_velocity'), 0);
+    if (this.gl) {
+      // Ensure grid passes render over the full simulation grid
+      sim.bindSimViewport();
+      this.gridPipeline.run(sim, dt);
+    }
+  }
 
-      gl.activeTexture(gl.TEXTURE1);
-      gl.bindTexture(gl.TEXTURE_2D, this.gridTexture1);
-      gl.uniform1i(gl.getUniformLocation(sim.advectionProgram, 'u_source'), 1);
+  /**
+   * Grid (alcohol) step: water drags the grid velocity, which carries itself
+   * and the grid color; the grid then spreads while it has content
+   */
+  createGridPipeline() {
+    const gridVelocity = () => this.gridVelocityTexture1;
+    const velocityField = () => pingPong(this, ['gridVelocityTexture1', 'gridVelocityTexture2'], 'gridVelocityFBO', 'swapGridVelocityTextures');
+    const gridField = () => pingPong(this, ['gridTexture1', 'gridTexture2'], 'gridFBO', 'swapGridTextures');
+    return new PassList([
+      {
+        name: 'grid-coupling',
+        program: 'oilCouplingProgram',
+        pass: {
+          inputs: { u_oilVelocity: gridVelocity, u_waterVelocity: 'velocityTexture1', u_oil: () => this.gridTexture1 },
+          output: velocityField,
+          uniforms(u, sim, dt) {
+            u.float('u_couplingStrength', sim.couplingStrength);
+            u.float('u_dt', dt);
+            u.vec2('u_resolution', sim.simWidth, sim.simHeight);
+          }
+        }
+      },
+      {
+        name: 'grid-advect-velocity',
+        program: 'advectionProgram',
+        pass: advectionPass({ source: gridVelocity, velocity: gridVelocity, output: velocityField, isVelocity: true })
+      },
+      {
+        name: 'grid-advect',
+        program: 'advectionProgram',
+        pass: advectionPass({ source: () => this.gridTexture1, velocity: gridVelocity, output: gridField, isOil: true })
+      },
+      {
+        // Alcohol spreads and fades
+        name: 'grid-diffusion',
+        program: 'diffusionProgram',
+        enabled: (sim) => this.hasGridContent && sim.oilDiffusion > 0.0,
+        pass: {
+          inputs: { u_texture: () => this.gridTexture1 },
+          output: gridField,
+          uniforms(u, sim, dt) {
+            u.float('u_diffusion_rate', sim.oilDiffusion);
+            u.float('u_dt', dt);
+            u.bool('u_preserveAlpha', false);
+          }
+        }
+      }
+    ]);
+  }
 
-      gl.uniform2f(gl.getUniformLocation(sim.advectionProgram, 'u_resolution'), gl.canvas.width, gl.canvas.height);
-      gl.uniform1f(gl.getUniformLocation(sim.advectionProgram, 'u_dt'), dt);
-      // High dissipation for Alcohol - it spreads and fades (surfactant effect)
-      gl.uniform1f(gl.getUniformLocation(sim.advectionProgram, 'u_dissipation'), 0.97); // Fades relatively quickly after application
+  /**
+   * SPH render: the particles splatted into the SPH texture (always CPU SPH
+   * + WebGL for now; the WebGPU render isn't displayed yet), then the density
+   * composite v2 (thickness-weighted bilateral filter: edge-preserving
+   * smoothing + dust removal) or the metaball fallback, and a post-blur for
+   * smooth organic edges
+   */
+  createSPHPipeline() {
+    const sphField = () => pingPong(this, ['sphTexture1', 'sphTexture2'], 'sphFBO', 'swapSPHTextures');
+    const hasParticles = () => this.sph.particleCount > 0;
+    return new PassList([
+      { name: 'sph-particles', run: () => this.drawSPHParticles() },
+      {
+        name: 'sph-smooth',
+        program: 'oilSmoothProgram',
+        enabled: () => hasParticles() && this.useDensityComposite,
+        pass: {
+          inputs: { u_oil_texture: () => this.sphTexture1 },
+          output: sphField,
+          uniforms(u, sim) {
+            u.vec2('u_resolution', sim.simWidth, sim.simHeight);
+            u.float('u_smoothingRate', sim.oilSmoothingRate);
+            u.float('u_thicknessThreshold', sim.oilThicknessThreshold);
+          }
+        }
+      },
+      {
+        name: 'sph-metaball',
+        program: 'oilMetaballProgram',
+        enabled: (sim) => hasParticles() && !this.useDensityComposite && sim.metaballEnabled,
+        pass: {
+          inputs: { u_oil_texture: () => this.sphTexture1 },
+          output: sphField,
+          uniforms(u, sim) {
+            u.vec2('u_resolution', sim.simWidth, sim.simHeight);
+            u.float('u_blobThreshold', sim.metaballBlobThreshold);
+            u.float('u_metaballRadius', sim.metaballRadius);
+            u.float('u_bulginess', sim.metaballBulginess);
+          }
+        }
+      },
+      {
+        name: 'sph-blur',
+        program: 'oilBlurProgram',
+        enabled: (sim) => hasParticles() && sim.oilBlurEnabled,
+        pass: {
+          inputs: { u_oil_texture: () => this.sphTexture1 },
+          output: sphField,
+          uniforms(u, sim) {
+            u.vec2('u_resolution', sim.simWidth, sim.simHeight);
+            u.float('u_blurRadius', sim.oilBlurRadius);
+            u.float('u_blurStrength', sim.oilBlurStrength);
+          }
+        }
+      }
+    ]);
+  }
 
-      gl.drawArrays(gl.TRIANGLES, 0, 6);
-      this.swapGridTextures();
+  /** Clear the SPH texture and splat the particles into it (none: left empty) */
+  drawSPHParticles() {
+    const gl = this.gl;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.sphFBO);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.sphTexture2, 0);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    if (this.sph.particleCount > 0) {
+      this.sph.renderParticles(this.sphFBO, this.sim.simWidth, this.sim.simHeight);
+      gl.disable(gl.BLEND); // the splat blends; the passes after it replace
+    }
+    this.swapSPHTextures();
+  }
 
-      // STEP 4: Apply diffusion (Alcohol spreads and fades)
-      // Apply if grid has content AND diffusion is enabled
-      if (this.hasGridContent && sim.oilDiffusion > 0.0) {
-        gl.useProgram(sim.diffusionProgram);
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.gridFBO);
-        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.gridTexture2, 0);
+  /**
+   * SPH over grid (pre-multiplied alpha) into the composited texture, then
+   * the legacy oilTexture1 the renderer and coupling read: a copy of it
+   * while there are SPH particles, cleared otherwise so Alcohol (grid only)
+   * doesn't darken ink via the oil-composite shader
+   */
+  createCompositePipeline() {
+    const hasParticles = () => this.useSPH && this.sph.particleCount > 0;
+    const copied = () => hasParticles() && !!this.compositedTexture;
+    return new PassList([
+      {
+        name: 'layer-composite',
+        program: 'oilLayerCompositeProgram',
+        enabled: (sim) => (hasParticles() || this.hasGridContent) && !(sim.webgpu && this.enableWebgpuDrawToCanvas),
+        pass: {
+          inputs: { u_sphTexture: () => this.sphTexture1, u_gridTexture: () => this.gridTexture1 },
+          output: () => ({ fbo: this.compositeFBO, target: () => this.compositedTexture }),
+          uniforms(u, sim) {
+            u.vec2('u_resolution', sim.simWidth, sim.simHeight);
+          }
+        }
+      },
+      {
+        name: 'legacy-copy',
+        enabled: copied,
+        run: (sim) => runPass(this.gl, sim.renderer, sim.renderer.copyProgram || this.createCopyProgram(), {
+          inputs: { u_texture: () => this.compositedTexture },
+          output: () => ({ fbo: this.oilFBO, target: () => this.oilTexture1 })
+        }, sim)
+      },
+      {
+        name: 'legacy-clear',
+        enabled: () => !copied(),
+        run: () => {
+          const gl = this.gl;
+          gl.bindFramebuffer(gl.FRAMEBUFFER, this.oilFBO);
+          gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.oilTexture1, 0);
+          gl.clearColor(0, 0, 0, 0);
+          gl.clear(gl.COLOR_BUFFER_BIT);
+        }
+      }
+    ]);
+  }
 
-        const posDiff = gl.getAttribLocation(sim.diffusionProgram, 'a_position');
-        gl.enableVertexAttribArray(posDiff);
-        gl.vertexAttribPointer(posDiff, 2, gl.FLOAT, false, 0, 0);
+  /**
+   * SPH, grid and composite layer textures at w × h (the simulation grid)
+   */
+  createLayerTextures(w, h) {
+    const gl = this.gl;
+    // SPH LAYER (particle-based blobs)
+    this.sphTexture1 = this.sim.createTexture(w, h, gl.RGBA16F, gl.RGBA, gl.HALF_FLOAT);
+    this.sphTexture2 = this.sim.createTexture(w, h, gl.RGBA16F, gl.RGBA, gl.HALF_FLOAT);
+    this.sphFBO = this.sim.createFBO(this.sphTexture1);
+
+    // GRID LAYER (texture-based advection-diffusion)
+    this.gridWidth = w;
+    this.gridHeight = h;
+    this.gridTexture1 = this.sim.createTexture(w, h, gl.RGBA16F, gl.RGBA, gl.HALF_FLOAT);
+    this.gridTexture2 = this.sim.createTexture(w, h, gl.RGBA16F, gl.RGBA, gl.HALF_FLOAT);
+    this.gridFBO = this.sim.createFBO(this.gridTexture1);
+    this.gridVelocityTexture1 = this.sim.createTexture(w, h, gl.RG32F, gl.RG, gl.FLOAT);
+    this.gridVelocityTexture2 = this.sim.createTexture(w, h, gl.RG32F, gl.RG, gl.FLOAT);
+    this.gridVelocityFBO = this.sim.createFBO(this.gridVelocityTexture1);
+
+    // COMPOSITE LAYER (final blend)
+    this.compositedTexture = this.sim.createTexture(w, h, gl.RGBA16F, gl.RGBA, gl.HALF_FLOAT);
+    this.compositeFBO = this.sim.createFBO(this.compositedTexture);
+    // Half-res density buffers for separable blur (composite v2)
+    const hw = Math.max(1, Math.floor(w * 0.5));
+    const hh = Math.max(1, Math.floor(h * 0.5));
+    this.densityHalfTex1 = this.sim.createTexture(hw, hh, gl.R16F, gl.RED, gl.HALF_FLOAT);
+    this.densityHalfTex2 = this.sim.createTexture(hw, hh, gl.R16F, gl.RED, gl.HALF_FLOAT);
+    this.densityHalfFBO = this.sim.createFBO(this.densityHalfTex1);
+  }
 
-        gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, this.gridTexture1);
-        gl.uniform1i(gl.getUniformLocation(sim.diffusionProgram, 'u_texture'), 0);
+  /** Free the layer textures before createLayerTextures() reallocates them */
+  deleteLayerTextures() {
+    const gl = this.gl;
+    if (this.sphTexture1) gl.deleteTexture(this.sphTexture1);
+    if (this.sphTexture2) gl.deleteTexture(this.sphTexture2);
+    if (this.sphFBO) gl.deleteFramebuffer(this.sphFBO);
 
-        gl.uniform2f(gl.getUniformLocation(sim.diffusionProgram, 'u_resolution'), gl.canvas.width, gl.canvas.height);
-        gl.uniform1f(gl.getUniformLocation(sim.diffusionProgram, 'u_diffusion'), sim.oilDiffusion);
-        gl.uniform1f(gl.getUniformLocation(sim.diffusionProgram, 'u_dt'), dt);
+    if (this.gridTexture1) gl.deleteTexture(this.gridTexture1);
+    if (this.gridTexture2) gl.deleteTexture(this.gridTexture2);
+    if (this.gridFBO) gl.deleteFramebuffer(this.gridFBO);
+    if (this.gridVelocityTexture1) gl.deleteTexture(this.gridVelocityTexture1);
+    if (this.gridVelocityTexture2) gl.deleteTexture(this.gridVelocityTexture2);
+    if (this.gridVelocityFBO) gl.deleteFramebuffer(this.gridVelocityFBO);
 
-        gl.drawArrays(gl.TRIANGLES, 0, 6);
-        this.swapGridTextures();
-      }
-    }
+    if (this.compositedTexture) gl.deleteTexture(this.compositedTexture);
+    if (this.compositeFBO) gl.deleteFramebuffer(this.compositeFBO);
+    if (this.densityHalfTex1) gl.deleteTexture(this.densityHalfTex1);
+    if (this.densityHalfTex2) gl.deleteTexture(this.densityHalfTex2);
+    if (this.densityHalfFBO) gl.deleteFramebuffer(this.densityHalfFBO);
   }
 
   resize() {
     const gl = this.gl;
-    const w = this.sim.renderer.canvas.width;
-    const h = this.sim.renderer.canvas.height;
+    const w = this.sim.simWidth;
+    const h = this.sim.simHeight;
+    this.spawnCarry = 0;
 
     if (gl) {
+      if (w !== this.gridWidth || h !== this.gridHeight) {
+        this.deleteLayerTextures();
+        this.createLayerTextures(w, h);
+      }
+
       if (this.oilTexture1) gl.deleteTexture(this.oilTexture1);
       if (this.oilTexture2) gl.deleteTexture(this.oilTexture2);
       if (this.oilFBO) gl.deleteFramebuffer(this.oilFBO);
@@ -716,11 +749,10 @@ export default class OilLayer extends FluidLayer {
     const sim = this.sim;
     if (!sim.ready || !sim.renderer.ready || sim.paused) return;
 
-    // Determine which materials are active
-    const controller = window.controller || sim.controller;
-    const currentMaterial = controller?.materials[controller?.currentMaterialIndex]?.name || '';
-    const useSPHForMaterial = ['Mineral Oil', 'Syrup', 'Glycerine', 'Ink'].includes(currentMaterial);
-    const useGridForMaterial = ['Alcohol'].includes(currentMaterial);
+    // Determine which layer the active material paints into. Water-layer
+    // materials only reach OilLayer on the WebGPU path, where they paint SPH.
+    const material = this.currentMaterial();
+    const useSPHForMaterial = !!material && material.layer !== 'grid';
     const hasSPHParticles = this.useSPH && this.sph.particleCount > 0;
 
     // LAYER 1: Update SPH layer (if particles exist OR currently painting SPH)
@@ -735,53 +767,22 @@ export default class OilLayer extends FluidLayer {
     }
 
     // LAYER 3: Composite both layers into final texture (skip if both empty)
+    // For WebGPU, optionally draw the SPH texture to canvas for validation
     const hasAnyOilContent = hasSPHParticles || this.hasGridContent;
-    if (hasAnyOilContent) {
-      if (this.sim.webgpu && this.enableWebgpuDrawToCanvas) {
-        // For WebGPU, optionally draw the SPH texture to canvas for validation
-        this.drawWebGPUSPHToCanvas();
-      } else {
-        // Default: use the existing WebGL composite path (SPH + Grid)
-        this.compositeOilLayers();
-      }
+    if (hasAnyOilContent && this.sim.webgpu && this.enableWebgpuDrawToCanvas) {
+      this.drawWebGPUSPHToCanvas();
     }
 
     if (gl) {
-      // LEGACY: Copy to oilTexture1 ONLY if there are SPH particles
-      // Alcohol (Grid layer only) should NOT be copied to oilTexture1
-      // This prevents Alcohol from darkening ink via the oil-composite shader
-      if (hasSPHParticles && this.compositedTexture) {
-        const prevFbo = gl.getParameter(gl.FRAMEBUFFER_BINDING);
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.oilFBO);
-        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.oilTexture1, 0);
-
-        gl.useProgram(sim.renderer.copyProgram || this.createCopyProgram());
-        gl.bindBuffer(gl.ARRAY_BUFFER, sim.renderer.quadBuffer);
-        const posLoc = gl.getAttribLocation(sim.renderer.copyProgram, 'a_position');
-        gl.enableVertexAttribArray(posLoc);
-        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
-
-        gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, this.compositedTexture);
-        gl.uniform1i(gl.getUniformLocation(sim.renderer.copyProgram, 'u_texture'), 0);
-
-        gl.disable(gl.BLEND);
-        gl.drawArrays(gl.TRIANGLES, 0, 6);
-        gl.bindFramebuffer(gl.FRAMEBUFFER, prevFbo);
-      } else {
-        // No SPH particles - clear legacy oil texture so it doesn't block water/ink
-        // This includes Alcohol-only state (Grid layer)
-        const prevFbo = gl.getParameter(gl.FRAMEBUFFER_BINDING);
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.oilFBO);
-        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.oilTexture1, 0);
-        gl.clearColor(0, 0, 0, 0);
-        gl.clear(gl.COLOR_BUFFER_BIT);
-        gl.bindFramebuffer(gl.FRAMEBUFFER, prevFbo);
+      const prevFbo = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+      sim.bindSimViewport();
+      gl.disable(gl.BLEND); // fullscreen replacement
+      this.compositePipeline.run(sim, dt);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, prevFbo);
 
-        // Debug: Confirm Alcohol isn't blocking ink
-        if (this.hasGridContent && Math.random() < 0.01) {
-          console.log('🍸 Alcohol active: oilTexture1 cleared to prevent ink blocking');
-        }
+      // Debug: Confirm Alcohol isn't blocking ink
+      if (this.hasGridContent && !hasSPHParticles && sim.logVerbose) {
+        console.log('🍸 Alcohol active: oilTexture1 cleared to prevent ink blocking');
       }
     }
   }
@@ -825,6 +826,7 @@ export default class OilLayer extends FluidLayer {
    */
   clear() {
     const gl = this.gl;
+    this.spawnCarry = 0;
 
     if (gl) {
       // Reset content flags
@@ -880,48 +882,87 @@ export default class OilLayer extends FluidLayer {
     }
   }
 
-  // === LEGACY METHODS (kept for splat operations) ===
-
-  clearRegion(x, y, radius) {
+  /**
+   * Write grid layer textures, per-pixel oil props and SPH particles to a scene snapshot.
+   * SPH/composite textures are not stored: they are re-rendered from particles every frame.
+   */
+  serialize(writer) {
     const gl = this.gl;
-    const sim = this.sim;
+    writer.set('oil', {
+      hasGridContent: this.hasGridContent,
+      postSplatBoostFrames: this.postSplatBoostFrames
+    });
+    if (this.sph) this.sph.serialize(writer);
 
     if (gl) {
-      gl.useProgram(sim.clearRegionProgram);
-      gl.bindFramebuffer(gl.FRAMEBUFFER, this.oilFBO);
-      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.oilTexture2, 0);
+      const gw = this.gridWidth, gh = this.gridHeight;
+      writer.addTexture(gl, 'oil.grid', this.gridTexture1, gw, gh, { channels: 4 });
+      writer.addTexture(gl, 'oil.gridVelocity', this.gridVelocityTexture1, gw, gh, { channels: 2, precision: 'f32' });
+      writer.addTexture(gl, 'oil.props', this.oilPropsTexture1, this.sim.simWidth, this.sim.simHeight, { channels: 4 });
+    }
+  }
 
-      gl.bindBuffer(gl.ARRAY_BUFFER, sim.renderer.quadBuffer);
-      const posLoc = gl.getAttribLocation(sim.clearRegionProgram, 'a_position');
-      gl.enableVertexAttribArray(posLoc);
-      gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
+  restore(reader) {
+    const gl = this.gl;
+    const meta = reader.get('oil') || {};
+    this.hasGridContent = !!meta.hasGridContent;
+    this.postSplatBoostFrames = meta.postSplatBoostFrames | 0;
+    this.spawnCarry = 0;
 
-      gl.activeTexture(gl.TEXTURE0);
-      gl.bindTexture(gl.TEXTURE_2D, this.oilTexture1);
-      gl.uniform1i(gl.getUniformLocation(sim.clearRegionProgram, 'u_texture'), 0);
+    if (this.sph) this.sph.restore(reader);
+    // Cached samples belong to the old particle set
+    this.cachedGridVelocities = null;
+    if (this.webgpuSPH) {
+      this.webgpuSPH.uploadParticleData(this.sph);
+      this.webgpuSphSeededFromCPU = true;
+    }
 
-      gl.uniform2f(gl.getUniformLocation(sim.clearRegionProgram, 'u_resolution'), gl.canvas.width, gl.canvas.height);
-      gl.uniform2f(gl.getUniformLocation(sim.clearRegionProgram, 'u_center'), x, y);
-      gl.uniform1f(gl.getUniformLocation(sim.clearRegionProgram, 'u_radius'), radius);
+    if (gl) {
+      const gw = this.gridWidth, gh = this.gridHeight;
+      reader.readTexture(gl, 'oil.grid', this.gridTexture1, gw, gh);
+      reader.readTexture(gl, 'oil.gridVelocity', this.gridVelocityTexture1, gw, gh);
+      reader.readTexture(gl, 'oil.props', this.oilPropsTexture1, this.sim.simWidth, this.sim.simHeight);
+    }
+  }
 
-      gl.drawArrays(gl.TRIANGLES, 0, 6);
-      this.swapOilTextures();
+  // === LEGACY METHODS (kept for splat operations) ===
+
+  clearRegion(x, y, radius) {
+    const gl = this.gl;
+    const sim = this.sim;
+
+    if (gl && sim.clearRegionProgram) {
+      sim.bindSimViewport();
+      runPass(gl, sim.renderer, sim.clearRegionProgram, {
+        inputs: { u_texture: () => this.oilTexture1 },
+        output: () => pingPong(this, ['oilTexture1', 'oilTexture2'], 'oilFBO', 'swapOilTextures'),
+        uniforms(u) {
+          u.vec2('u_resolution', sim.simWidth, sim.simHeight);
+          u.vec2('u_center', x, y);
+          u.float('u_radius', radius);
+        }
+      }, sim);
     }
   }
 
-  splatColor(x, y, color, radius) {
+  splatColor(x, y, color, radius, flow = 1.0) {
     const gl = this.gl;
     const sim = this.sim;
 
-    console.log(`🔍 splatColor called: x=${x.toFixed(2)}, y=${y.toFixed(2)}, radius=${radius}`);
+    if (sim.logVerbose) {
+      console.log(`🔍 splatColor called: x=${x.toFixed(2)}, y=${y.toFixed(2)}, radius=${radius}`);
+    }
 
     // === MULTI-LAYER SPLAT ROUTING ===
-    const controller = window.controller || this.sim.controller;
-    const currentMaterial = controller?.materials[controller?.currentMaterialIndex]?.name || '';
-    const useSPHForMaterial = ['Mineral Oil', 'Syrup', 'Glycerine', 'Ink'].includes(currentMaterial);
-    const useGridForMaterial = ['Alcohol'].includes(currentMaterial);
-
-    console.log(`🔍 Material: ${currentMaterial}, useSPH=${this.useSPH}, useSPHForMaterial=${useSPHForMaterial}`);
+    // Water-layer materials only get here on the WebGPU path (no water layer)
+    const material = this.currentMaterial();
+    const currentMaterial = material?.name || '';
+    const useSPHForMaterial = !!material && material.layer !== 'grid';
+    const useGridForMaterial = material?.layer === 'grid';
+
+    if (sim.logVerbose) {
+      console.log(`🔍 Material: ${currentMaterial}, useSPH=${this.useSPH}, useSPHForMaterial=${useSPHForMaterial}`);
+    }
 
     // Route to SPH layer
     if (this.useSPH && useSPHForMaterial && this.sph) {
@@ -936,42 +977,26 @@ export default class OilLayer extends FluidLayer {
 
       // Allow continuous accumulation - no throttling
       // Particles will accumulate as user paints, creating larger blobs
-      const nowMs = (typeof performance !== 'undefined' && performance.now) ? performance.now() : Date.now();
+      const nowMs = sim.clock();
       // Only update timestamp, don't block spawning
 
-      // Base spawn counts per material (kept modest for perf and variety).
+      // Base spawn counts per material (materials.js spawn.count / radius).
       // These are intentionally low so that even after breakup, a single tap
       // cannot populate the whole plate with droplets.
-      let baseCount = 3;
-      let baseRadius = 10.0;
-      switch (currentMaterial) {
-        case 'Mineral Oil':
-          baseCount = 3;         // fewer particles per splat
-          baseRadius = 10.0;     // compact cluster
-          break;
-        case 'Syrup':
-          // Syrup: hero blobs but with very limited particle count so
-          // breakup doesn't flood the plate.
-          baseCount = 3;         // significantly reduced
-          baseRadius = 11.0;     // moderate cluster size
-          break;
-        case 'Glycerine':
-          baseCount = 3;         // light per splat
-          baseRadius = 12.0;     // medium cluster
-          break;
-        default:
-          break;
-      }
+      const baseCount = material.spawn.count;
+      const baseRadius = material.spawn.radius;
 
       // particles in a looser/smaller cluster. Keep counts modest so we get
       // a range of blob sizes and many small droplets that are easy to absorb.
       let particleCount = baseCount;
       let spawnRadius = baseRadius;
+      let isolated = true;
 
       if (this.sph && this.sph.particleCount > 0) {
         // Use a local neighborhood radius tied to the SPH smoothing radius
         const localRadius = this.sph.smoothingRadius * 1.0;
         const nearby = this.sph.countParticlesNear(worldX, worldY, localRadius);
+        isolated = nearby <= 1;
 
         if (nearby >= 12) {
           // Deep inside an existing blob: add a bit of mass but keep count
@@ -983,15 +1008,27 @@ export default class OilLayer extends FluidLayer {
           particleCount = Math.round(baseCount * 1.0);
         } else if (nearby <= 1) {
           // New/isolated splat: small droplet, easy to absorb later
-          particleCount = Math.max(3, Math.round(baseCount * 0.4));
+          particleCount = baseCount * 0.4;
           spawnRadius = baseRadius * 0.8;
         }
       }
 
       // Add a small random variation so we get a spread of sizes even under
       // similar input; keep within a narrow band so behavior is stable.
-      const sizeJitter = 0.8 + Math.random() * 0.3; // [0.8, 1.1]
-      particleCount = Math.max(3, Math.round(particleCount * sizeJitter));
+      const sizeJitter = 0.8 + sim.random() * 0.3; // [0.8, 1.1]
+      // The dab's area and flow (pen pressure, thinned by how closely the
+      // brush lays its dabs) scale how much oil the pipette lets go
+      const size = radius / SPAWN_REFERENCE_RADIUS;
+      spawnRadius *= size;
+      this.spawnCarry += particleCount * sizeJitter * flow * size * size;
+      if (this.spawnCarry < MIN_SPAWN) {
+        // A new blob always gets a few particles, so a light tap shows;
+        // along a stroke the fractions wait for the next dab
+        if (!isolated) return;
+        this.spawnCarry = MIN_SPAWN;
+      }
+      particleCount = Math.floor(this.spawnCarry);
+      this.spawnCarry -= particleCount;
 
       // DISABLED: Cluster spawning creates multiple separate blobs
       // Always spawn as single dense blob for immediate congealing
@@ -1011,7 +1048,7 @@ export default class OilLayer extends FluidLayer {
 
     // Route to Grid layer
     if (useGridForMaterial) {
-      this.splatToGridLayer(x, y, color, radius);
+      this.splatToGridLayer(x, y, color, radius, flow);
       return;
     }
 
@@ -1020,41 +1057,32 @@ export default class OilLayer extends FluidLayer {
   }
 
   /**
-   * Splat color to grid layer (Alcohol)
+   * Splat color to grid layer (materials with layer 'grid', e.g. Alcohol)
    */
-  splatToGridLayer(x, y, color, radius) {
+  splatToGridLayer(x, y, color, radius, flow = 1.0) {
     const gl = this.gl;
     const sim = this.sim;
 
-    if (gl) {
+    if (gl && sim.splatProgram) {
       // Mark that grid layer now has content
       this.hasGridContent = true;
 
-      gl.useProgram(sim.splatProgram);
-      gl.bindFramebuffer(gl.FRAMEBUFFER, this.gridFBO);
-      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.gridTexture2, 0);
-
-      gl.bindBuffer(gl.ARRAY_BUFFER, sim.renderer.quadBuffer);
-      const posLoc = gl.getAttribLocation(sim.splatProgram, 'a_position');
-      gl.enableVertexAttribArray(posLoc);
-      gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
-
-      gl.activeTexture(gl.TEXTURE0);
-      gl.bindTexture(gl.TEXTURE_2D, this.gridTexture1);
-      gl.uniform1i(gl.getUniformLocation(sim.splatProgram, 'u_texture'), 0);
-
-      gl.uniform3f(gl.getUniformLocation(sim.splatProgram, 'u_color'), color.r, color.g, color.b);
-      gl.uniform2f(gl.getUniformLocation(sim.splatProgram, 'u_point'), x, y);
-      gl.uniform1f(gl.getUniformLocation(sim.splatProgram, 'u_radius'), radius);
-      gl.uniform1i(gl.getUniformLocation(sim.splatProgram, 'u_isOil'), 1);
-      gl.uniform2f(gl.getUniformLocation(sim.splatProgram, 'u_resolution'), gl.canvas.width, gl.canvas.height);
-
       // Set oil strength - Alcohol should be nearly invisible (surfactant effect, not visual)
       const alcoholStrength = 0.15; // Very subtle - mainly affects physics, not visuals
-      gl.uniform1f(gl.getUniformLocation(sim.splatProgram, 'u_oilStrength'), alcoholStrength);
-
-      gl.drawArrays(gl.TRIANGLES, 0, 6);
-      this.swapGridTextures();
+      sim.bindSimViewport();
+      runPass(gl, sim.renderer, sim.splatProgram, {
+        inputs: { u_texture: () => this.gridTexture1 },
+        output: () => pingPong(this, ['gridTexture1', 'gridTexture2'], 'gridFBO', 'swapGridTextures'),
+        uniforms(u) {
+          u.vec3('u_color', color.r, color.g, color.b);
+          u.vec2('u_point', x, y);
+          u.float('u_radius', radius);
+          u.bool('u_isVelocity', false);
+          u.bool('u_isOil', true);
+          u.vec2('u_resolution', sim.simWidth, sim.simHeight);
+          u.float('u_oilStrength', alcoholStrength * flow);
+        }
+      }, sim);
     }
   }
 
@@ -1081,56 +1109,6 @@ export default class OilLayer extends FluidLayer {
     [this.densityHalfTex1, this.densityHalfTex2] = [this.densityHalfTex2, this.densityHalfTex1];
   }
 
-  /**
-   * Composite SPH and Grid layers into final oil texture
-   * Uses pre-multiplied alpha compositing (SPH over Grid)
-   */
-  compositeOilLayers() {
-    const gl = this.gl;
-    const sim = this.sim;
-
-    if (gl) {
-      if (!sim.oilLayerCompositeProgram) {
-        console.warn('⚠️ Oil layer composite shader not loaded yet');
-        return;
-      }
-
-      gl.useProgram(sim.oilLayerCompositeProgram);
-      gl.bindFramebuffer(gl.FRAMEBUFFER, this.compositeFBO);
-      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.compositedTexture, 0);
-
-      // Disable blending for fullscreen replacement
-      gl.disable(gl.BLEND);
-
-      gl.bindBuffer(gl.ARRAY_BUFFER, sim.renderer.quadBuffer);
-      const posLoc = gl.getAttribLocation(sim.oilLayerCompositeProgram, 'a_position');
-      gl.enableVertexAttribArray(posLoc);
-      gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
-
-      // Bind SPH layer
-      gl.activeTexture(gl.TEXTURE0);
-      gl.bindTexture(gl.TEXTURE_2D, this.sphTexture1);
-      gl.uniform1i(gl.getUniformLocation(sim.oilLayerCompositeProgram, 'u_sphTexture'), 0);
-
-      // Bind Grid layer
-      gl.activeTexture(gl.TEXTURE1);
-      gl.bindTexture(gl.TEXTURE_2D, this.gridTexture1);
-      gl.uniform1i(gl.getUniformLocation(sim.oilLayerCompositeProgram, 'u_gridTexture'), 1);
-
-      // Resolution uniform
-      gl.uniform2f(gl.getUniformLocation(sim.oilLayerCompositeProgram, 'u_resolution'),
-        gl.canvas.width, gl.canvas.height);
-
-      // Composite
-      gl.drawArrays(gl.TRIANGLES, 0, 6);
-
-      // Log occasionally for debugging
-      if (Math.random() < 0.01) {
-        console.log(`🎨 Composite: SPH particles=${this.sph.particleCount}`);
-      }
-    }
-  }
-
   /**
    * Get the final composited oil texture for rendering
    * This is the public API for other systems to access the oil layer
@@ -1165,19 +1143,7 @@ export default class OilLayer extends FluidLayer {
   destroy() {
     const gl = this.gl;
     // Delete all textures and framebuffers
-    if (this.sphTexture1) gl.deleteTexture(this.sphTexture1);
-    if (this.sphTexture2) gl.deleteTexture(this.sphTexture2);
-    if (this.sphFBO) gl.deleteFramebuffer(this.sphFBO);
-
-    if (this.gridTexture1) gl.deleteTexture(this.gridTexture1);
-    if (this.gridTexture2) gl.deleteTexture(this.gridTexture2);
-    if (this.gridFBO) gl.deleteFramebuffer(this.gridFBO);
-    if (this.gridVelocityTexture1) gl.deleteTexture(this.gridVelocityTexture1);
-    if (this.gridVelocityTexture2) gl.deleteTexture(this.gridVelocityTexture2);
-    if (this.gridVelocityFBO) gl.deleteFramebuffer(this.gridVelocityFBO);
-
-    if (this.compositedTexture) gl.deleteTexture(this.compositedTexture);
-    if (this.compositeFBO) gl.deleteFramebuffer(this.compositeFBO);
+    this.deleteLayerTextures();
 
     // Legacy textures
     if (this.oilTexture1) gl.deleteTexture(this.oilTexture1);
@@ -0,0 +1,181 @@
+import FluidLayer from './FluidLayer.js';
+import { PassList, runPass } from '../kernels/pass.js';
+import { advectionPass } from '../kernels/advection.js';
+import {
+  PHASE_POTENTIAL_PASS, PHASE_UPDATE_PASS, CAPILLARY_PASS, phaseField, phaseSubsteps
+} from '../kernels/phase-field.js';
+
+/**
+ * Oil as a Cahn–Hilliard phase field on the simulation grid, the alternative
+ * to SPH particles (Simulation.setOilModel('phase')).
+ *
+ * oilTexture1 keeps the layout the renderer and the water couplings read:
+ * rgb is the oil tint and a is the phase c (0 water, 1 oil), so the oil
+ * composite, drag and Marangoni passes work unchanged. Each step the field
+ * is carried by the water, then separates and rounds off by itself
+ * (kernels/phase-field.js), and pushes back on the water through the
+ * capillary force. Oil is conserved up to advection; there are no particles
+ * to count, split or merge.
+ */
+export default class PhaseFieldOilLayer extends FluidLayer {
+  constructor(simulation) {
+    super(simulation);
+    this.oilTexture1 = null;   // RGBA32F: rgb tint, a phase
+    this.oilTexture2 = null;
+    this.oilFBO = null;
+    this.potentialTexture = null; // R32F chemical potential of the last substep
+    this.potentialFBO = null;
+    // No curvature or per-pixel props: the renderer and drag fall back without them
+    this.curvatureTexture = null;
+    this.oilPropsTexture = null;
+    this.hasGridContent = false;
+    this.hasContent = false;   // nothing to evolve until the first splat
+    this.sph = null;
+    this.pipeline = this.createPipeline();
+  }
+
+  /**
+   * Carry, separate, then push the water. The capillary force uses the
+   * potential of the last Cahn–Hilliard substep.
+   */
+  createPipeline() {
+    return new PassList([
+      {
+        name: 'phase-advect',
+        program: 'advectionProgram',
+        pass: advectionPass({ source: (sim) => sim.oil.oilTexture1, output: phaseField, isOil: true })
+      },
+      { name: 'cahn-hilliard', program: 'phaseProgram', run: (sim, dt) => this.separate(dt) },
+      { name: 'capillary', program: 'phaseCapillaryProgram', pass: CAPILLARY_PASS, enabled: (sim) => sim.phaseCapillary > 0 }
+    ]);
+  }
+
+  /** Potential and update passes for each stable substep of dt */
+  separate(dt) {
+    const sim = this.sim;
+    if (!sim.phasePotentialProgram) return;
+    const { substeps, dt: step } = phaseSubsteps(dt, sim.phaseMobility, sim.phaseInterfaceWidth);
+    for (let i = 0; i < substeps; i++) {
+      runPass(this.gl, sim.renderer, sim.phasePotentialProgram, PHASE_POTENTIAL_PASS, sim, step);
+      runPass(this.gl, sim.renderer, sim.phaseProgram, PHASE_UPDATE_PASS, sim, step);
+    }
+  }
+
+  async init() {
+    if (this.gl) this.createTextures();
+    console.log('🛢️ Phase-field oil layer ready');
+  }
+
+  createTextures() {
+    const gl = this.gl;
+    const w = this.sim.simWidth;
+    const h = this.sim.simHeight;
+    // Full floats: the phase is conserved over thousands of substeps
+    this.oilTexture1 = this.sim.createTexture(w, h, gl.RGBA32F, gl.RGBA, gl.FLOAT);
+    this.oilTexture2 = this.sim.createTexture(w, h, gl.RGBA32F, gl.RGBA, gl.FLOAT);
+    this.oilFBO = this.sim.createFBO(this.oilTexture1);
+    this.potentialTexture = this.sim.createTexture(w, h, gl.R32F, gl.RED, gl.FLOAT);
+    this.potentialFBO = this.sim.createFBO(this.potentialTexture);
+    this.clear();
+  }
+
+  deleteTextures() {
+    const gl = this.gl;
+    if (this.oilTexture1) gl.deleteTexture(this.oilTexture1);
+    if (this.oilTexture2) gl.deleteTexture(this.oilTexture2);
+    if (this.oilFBO) gl.deleteFramebuffer(this.oilFBO);
+    if (this.potentialTexture) gl.deleteTexture(this.potentialTexture);
+    if (this.potentialFBO) gl.deleteFramebuffer(this.potentialFBO);
+  }
+
+  /** Empty the dish of oil */
+  clear() {
+    const gl = this.gl;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.oilFBO);
+    gl.clearColor(0, 0, 0, 0);
+    for (const texture of [this.oilTexture1, this.oilTexture2]) {
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+    }
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    this.hasContent = false;
+  }
+
+  resize() {
+    if (this.gl) {
+      this.deleteTextures();
+      this.createTextures();
+    }
+  }
+
+  destroy() {
+    if (this.gl) this.deleteTextures();
+  }
+
+  async update(dt) {
+    const sim = this.sim;
+    if (!this.gl || !this.hasContent) return;
+    if (sim.paused || !sim.ready || !sim.renderer.ready) return;
+    sim.bindSimViewport();
+    this.pipeline.run(sim, dt);
+  }
+
+  /** Deposit oil: the phase rises toward 1 under the brush, tinted with the color */
+  splatColor(x, y, color, radius, flow = 1.0) {
+    const sim = this.sim;
+    const gl = this.gl;
+    if (!gl || !this.oilTexture1 || !sim.splatProgram) return;
+    sim.bindSimViewport();
+    runPass(gl, sim.renderer, sim.splatProgram, {
+      inputs: { u_texture: () => this.oilTexture1 },
+      output: phaseField,
+      uniforms(u) {
+        u.vec2('u_point', x, y);
+        u.vec3('u_color', color.r, color.g, color.b);
+        u.float('u_radius', radius);
+        u.vec2('u_resolution', sim.simWidth, sim.simHeight);
+        u.bool('u_isVelocity', false);
+        u.bool('u_isOil', true);
+        u.float('u_oilStrength', flow);
+      }
+    }, sim);
+    this.hasContent = true;
+  }
+
+  splatVelocity() {
+    // The oil has no velocity of its own; it moves with the water
+  }
+
+  /** Materials tune the SPH blobs; the phase field has one oil */
+  applyMaterial() {}
+
+  swapOilTextures() {
+    [this.oilTexture1, this.oilTexture2] = [this.oilTexture2, this.oilTexture1];
+  }
+
+  getOilTexture() {
+    return this.oilTexture1;
+  }
+
+  hasVisibleOilContent() {
+    return this.hasContent;
+  }
+
+  serialize(writer) {
+    writer.set('phaseOil', { hasContent: this.hasContent });
+    if (this.gl) {
+      writer.addTexture(this.gl, 'oil.phase', this.oilTexture1, this.sim.simWidth, this.sim.simHeight, { channels: 4, precision: 'f32' });
+    }
+  }
+
+  restore(reader) {
+    // Scenes saved with SPH oil carry no phase field: start empty
+    const meta = reader.get('phaseOil');
+    if (!meta) {
+      if (this.gl) this.clear();
+      return;
+    }
+    this.hasContent = !!meta.hasContent;
+    if (this.gl) reader.readTexture(this.gl, 'oil.phase', this.oilTexture1, this.sim.simWidth, this.sim.simHeight);
+  }
+}
@@ -1,4 +1,43 @@
 import FluidLayer from './FluidLayer.js';
+import { pigmentFromColor, pigmentFieldFromColor } from '../pigment.js';
+import { PassList, runPass, pingPong } from '../kernels/pass.js';
+import { programTable, uniformLocation } from '../kernels/programs.js';
+import { bindContainer } from '../kernels/container.js';
+import { FORCES_PASS, AGITATION_PASS } from '../kernels/forces.js';
+import { TEMPERATURE_PASS, THERMAL_BUOYANCY_PASS } from '../kernels/thermal.js';
+import { COUPLING_FORCE_PASS, OIL_DRAG_PASS, MARANGONI_PASS } from '../kernels/coupling.js';
+import { VORTICITY_PASS } from '../kernels/vorticity.js';
+import { ADVECT_VELOCITY_PASS, ADVECT_COLOR_PASS } from '../kernels/advection.js';
+import { STIR_PASS } from '../kernels/stir.js';
+
+const hasOil = (sim) => sim.useOil && sim.oil;
+
+/**
+ * One water step, in order. Each oil coupling runs once and only with an oil
+ * layer; the solver steps are composite since they branch on the solver mode.
+ */
+function createWaterPipeline(layer) {
+  return new PassList([
+    { name: 'forces', program: 'forcesProgram', pass: FORCES_PASS },
+    { name: 'coupling', program: 'couplingForceProgram', pass: COUPLING_FORCE_PASS, enabled: (sim) => hasOil(sim) && sim.couplingStrength > 0.0 },
+    // Lamp heat: carry, spread and cool the temperature field, then let the warm water rise
+    { name: 'temperature', program: 'thermalProgram', pass: TEMPERATURE_PASS, enabled: (sim) => !!sim.temperatureTexture1 },
+    { name: 'thermal-buoyancy', program: 'thermalBuoyancyProgram', pass: THERMAL_BUOYANCY_PASS, enabled: (sim) => !!sim.temperatureTexture1 && sim.thermalBuoyancy !== 0 },
+    { name: 'agitation', program: 'agitationProgram', pass: AGITATION_PASS, enabled: (sim) => sim.agitation > 0.0 },
+    { name: 'oil-drag', program: 'waterOilDragProgram', pass: OIL_DRAG_PASS, enabled: (sim) => hasOil(sim) && sim.oilDragStrength > 0.0 },
+    { name: 'vorticity', program: 'vorticityConfinementProgram', pass: VORTICITY_PASS, enabled: (sim) => sim.vorticityStrength > 0 },
+    { name: 'advect-velocity', program: 'advectionProgram', pass: ADVECT_VELOCITY_PASS },
+    { name: 'marangoni', program: 'marangoniProgram', pass: MARANGONI_PASS, enabled: (sim) => hasOil(sim) && (sim.marangoniStrength > 0.0 || sim.thermalMarangoni > 0.0) },
+    { name: 'viscosity', run: (sim, dt) => sim.applyViscosity(dt) },
+    // Stirring rod: moving-boundary condition on both sides of the projection
+    { name: 'stir', program: 'stirProgram', pass: STIR_PASS, enabled: (sim) => sim.stirringRod.active },
+    { name: 'projection', run: (sim) => sim.projectVelocity() },
+    { name: 'stir-after', program: 'stirProgram', pass: STIR_PASS, enabled: (sim) => sim.stirringRod.active },
+    { name: 'advect-color', program: 'advectionProgram', pass: ADVECT_COLOR_PASS },
+    { name: 'diffusion', run: (sim, dt) => sim.applyDiffusion(dt), enabled: (sim) => sim.diffusionRate > 0 },
+    { name: 'occupancy', run: () => layer.regulateOccupancy() }
+  ]);
+}
 
 export default class WaterLayer extends FluidLayer {
   constructor(simulation) {
@@ -14,101 +53,17 @@ export default class WaterLayer extends FluidLayer {
     this.pressureTexture1 = null;
     this.pressureTexture2 = null;
     this.pressureFBO = null;
-  }
-
-  applyCouplingForce(dt) {
-    const sim = this.sim;
-    const gl = this.gl;
-    gl.useProgram(sim.couplingForceProgram);
-    gl.bindFramebuffer(gl.FRAMEBUFFER, this.velocityFBO);
-    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.velocityTexture2, 0);
-
-    gl.bindBuffer(gl.ARRAY_BUFFER, sim.renderer.quadBuffer);
-    const positionAttrib = gl.getAttribLocation(sim.couplingForceProgram, 'a_position');
-    gl.enableVertexAttribArray(positionAttrib);
-    gl.vertexAttribPointer(positionAttrib, 2, gl.FLOAT, false, 0, 0);
-
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, this.velocityTexture1);
-    gl.uniform1i(gl.getUniformLocation(sim.couplingForceProgram, 'u_velocity'), 0);
-
-    gl.activeTexture(gl.TEXTURE1);
-    gl.bindTexture(gl.TEXTURE_2D, sim.oil.oilTexture1);
-    gl.uniform1i(gl.getUniformLocation(sim.couplingForceProgram, 'u_oil'), 1);
-
-    gl.uniform2f(gl.getUniformLocation(sim.couplingForceProgram, 'u_resolution'), gl.canvas.width, gl.canvas.height);
-    gl.uniform1f(gl.getUniformLocation(sim.couplingForceProgram, 'u_dt'), dt);
-    gl.uniform1f(gl.getUniformLocation(sim.couplingForceProgram, 'u_couplingStrength'), sim.couplingStrength);
-
-    gl.drawArrays(gl.TRIANGLES, 0, 6);
-    this.swapVelocityTextures();
-  }
-
-  applyMarangoni(dt) {
-    const sim = this.sim;
-    const gl = this.gl;
-    gl.useProgram(sim.marangoniProgram);
-    gl.bindFramebuffer(gl.FRAMEBUFFER, this.velocityFBO);
-    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.velocityTexture2, 0);
-
-    gl.bindBuffer(gl.ARRAY_BUFFER, sim.renderer.quadBuffer);
-    const positionAttrib = gl.getAttribLocation(sim.marangoniProgram, 'a_position');
-    gl.enableVertexAttribArray(positionAttrib);
-    gl.vertexAttribPointer(positionAttrib, 2, gl.FLOAT, false, 0, 0);
-
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, this.velocityTexture1);
-    gl.uniform1i(gl.getUniformLocation(sim.marangoniProgram, 'u_velocity'), 0);
-
-    gl.activeTexture(gl.TEXTURE1);
-    gl.bindTexture(gl.TEXTURE_2D, sim.oil.oilTexture1);
-    gl.uniform1i(gl.getUniformLocation(sim.marangoniProgram, 'u_oil'), 1);
-
-    gl.uniform2f(gl.getUniformLocation(sim.marangoniProgram, 'u_texel'), 1.0 / gl.canvas.width, 1.0 / gl.canvas.height);
-    gl.uniform1f(gl.getUniformLocation(sim.marangoniProgram, 'u_dt'), dt);
-    gl.uniform1f(gl.getUniformLocation(sim.marangoniProgram, 'u_strength'), sim.marangoniStrength);
-    gl.uniform1f(gl.getUniformLocation(sim.marangoniProgram, 'u_edgeBand'), sim.marangoniEdgeBand);
-    gl.uniform1f(gl.getUniformLocation(sim.marangoniProgram, 'u_k_th'), sim.marangoniKth);
-    // New safety/tuning uniforms
-    const thMinLoc = gl.getUniformLocation(sim.marangoniProgram, 'u_thMin');
-    if (thMinLoc) gl.uniform1f(thMinLoc, sim.marangoniThMin);
-    const clampLoc = gl.getUniformLocation(sim.marangoniProgram, 'u_forceClamp');
-    if (clampLoc) gl.uniform1f(clampLoc, sim.marangoniForceClamp);
-    const ampLoc = gl.getUniformLocation(sim.marangoniProgram, 'u_amp');
-    if (ampLoc) gl.uniform1f(ampLoc, sim.marangoniAmp);
-
-    gl.drawArrays(gl.TRIANGLES, 0, 6);
-    this.swapVelocityTextures();
-  }
-
-  applyAgitation(dt) {
-    const sim = this.sim;
-    const gl = this.gl;
-    gl.useProgram(sim.agitationProgram);
-    gl.bindFramebuffer(gl.FRAMEBUFFER, this.velocityFBO);
-    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.velocityTexture2, 0);
-
-    gl.bindBuffer(gl.ARRAY_BUFFER, sim.renderer.quadBuffer);
-    const positionAttrib = gl.getAttribLocation(sim.agitationProgram, 'a_position');
-    gl.enableVertexAttribArray(positionAttrib);
-    gl.vertexAttribPointer(positionAttrib, 2, gl.FLOAT, false, 0, 0);
-
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, this.velocityTexture1);
-    gl.uniform1i(gl.getUniformLocation(sim.agitationProgram, 'u_velocity_texture'), 0);
-
-    gl.uniform1f(gl.getUniformLocation(sim.agitationProgram, 'u_agitation'), sim.agitation);
-    gl.uniform1f(gl.getUniformLocation(sim.agitationProgram, 'u_time'), performance.now() / 1000.0);
-
-    gl.drawArrays(gl.TRIANGLES, 0, 6);
-    this.swapVelocityTextures();
+    this.temperatureTexture1 = null;
+    this.temperatureTexture2 = null;
+    this.temperatureFBO = null;
+    this.pipeline = createWaterPipeline(this);
   }
 
   async init() {
     if (this.gl) {
         const gl = this.gl;
-        const w = gl.canvas.width;
-        const h = gl.canvas.height;
+        const w = this.sim.simWidth;
+        const h = this.sim.simHeight;
 
         // Create textures/FBOs using Simulation helpers
         this.colorTexture1 = this.sim.createTexture(w, h, gl.RGBA16F, gl.RGBA, gl.HALF_FLOAT);
@@ -125,6 +80,10 @@ export default class WaterLayer extends FluidLayer {
         this.pressureTexture1 = this.sim.createTexture(w, h, gl.R16F, gl.RED, gl.HALF_FLOAT);
         this.pressureTexture2 = this.sim.createTexture(w, h, gl.R16F, gl.RED, gl.HALF_FLOAT);
         this.pressureFBO = this.sim.createFBO(this.pressureTexture1);
+
+        this.temperatureTexture1 = this.sim.createTexture(w, h, gl.R16F, gl.RED, gl.HALF_FLOAT);
+        this.temperatureTexture2 = this.sim.createTexture(w, h, gl.R16F, gl.RED, gl.HALF_FLOAT);
+        this.temperatureFBO = this.sim.createFBO(this.temperatureTexture1);
         this._syncAliases();
     }
   }
@@ -132,24 +91,10 @@ export default class WaterLayer extends FluidLayer {
   resize() {
     if (this.gl) {
         const gl = this.gl;
-        const w = gl.canvas.width;
-        const h = gl.canvas.height;
-
-        // Delete previous
-        if (this.colorTexture1) gl.deleteTexture(this.colorTexture1);
-        if (this.colorTexture2) gl.deleteTexture(this.colorTexture2);
-        if (this.colorFBO) gl.deleteFramebuffer(this.colorFBO);
+        const w = this.sim.simWidth;
+        const h = this.sim.simHeight;
 
-        if (this.velocityTexture1) gl.deleteTexture(this.velocityTexture1);
-        if (this.velocityTexture2) gl.deleteTexture(this.velocityTexture2);
-        if (this.velocityFBO) gl.deleteFramebuffer(this.velocityFBO);
-
-        if (this.divergenceTexture) gl.deleteTexture(this.divergenceTexture);
-        if (this.divergenceFBO) gl.deleteFramebuffer(this.divergenceFBO);
-
-        if (this.pressureTexture1) gl.deleteTexture(this.pressureTexture1);
-        if (this.pressureTexture2) gl.deleteTexture(this.pressureTexture2);
-        if (this.pressureFBO) gl.deleteFramebuffer(this.pressureFBO);
+        this.deleteTextures();
 
         // Recreate
         this.colorTexture1 = this.sim.createTexture(w, h, gl.RGBA16F, gl.RGBA, gl.HALF_FLOAT);
@@ -166,141 +111,143 @@ export default class WaterLayer extends FluidLayer {
         this.pressureTexture1 = this.sim.createTexture(w, h, gl.R16F, gl.RED, gl.HALF_FLOAT);
         this.pressureTexture2 = this.sim.createTexture(w, h, gl.R16F, gl.RED, gl.HALF_FLOAT);
         this.pressureFBO = this.sim.createFBO(this.pressureTexture1);
+
+        this.temperatureTexture1 = this.sim.createTexture(w, h, gl.R16F, gl.RED, gl.HALF_FLOAT);
+        this.temperatureTexture2 = this.sim.createTexture(w, h, gl.R16F, gl.RED, gl.HALF_FLOAT);
+        this.temperatureFBO = this.sim.createFBO(this.temperatureTexture1);
         // Keep Simulation aliases in sync after recreating resources
         this._syncAliases();
     }
   }
 
-  update(dt) {
-    const sim = this.sim;
+  deleteTextures() {
     const gl = this.gl;
+    if (this.colorTexture1) gl.deleteTexture(this.colorTexture1);
+    if (this.colorTexture2) gl.deleteTexture(this.colorTexture2);
+    if (this.colorFBO) gl.deleteFramebuffer(this.colorFBO);
 
-    if (gl) {
-        // Match existing order from Simulation.update
-        if (sim.paused || !sim.ready || !sim.renderer.ready) return;
+    if (this.velocityTexture1) gl.deleteTexture(this.velocityTexture1);
+    if (this.velocityTexture2) gl.deleteTexture(this.velocityTexture2);
+    if (this.velocityFBO) gl.deleteFramebuffer(this.velocityFBO);
 
-        // Ensure full-canvas viewport
-        gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+    if (this.divergenceTexture) gl.deleteTexture(this.divergenceTexture);
+    if (this.divergenceFBO) gl.deleteFramebuffer(this.divergenceFBO);
 
-        sim.applyForces(dt);
-        sim.applyCouplingForce(dt);
+    if (this.pressureTexture1) gl.deleteTexture(this.pressureTexture1);
+    if (this.pressureTexture2) gl.deleteTexture(this.pressureTexture2);
+    if (this.pressureFBO) gl.deleteFramebuffer(this.pressureFBO);
 
-        if (sim.agitation > 0.0) {
-          this.applyAgitation(dt);
-        }
+    if (this.temperatureTexture1) gl.deleteTexture(this.temperatureTexture1);
+    if (this.temperatureTexture2) gl.deleteTexture(this.temperatureTexture2);
+    if (this.temperatureFBO) gl.deleteFramebuffer(this.temperatureFBO);
+  }
 
-        // Apply coupling force from oil thickness gradients (if oil layer present)
-        if (sim.useOil && sim.oil && sim.couplingForceProgram && sim.couplingStrength > 0.0) {
-          this.applyCouplingForce(dt);
-        }
+  /** Free the fields (a lifted clock-glass plate) */
+  destroy() {
+    if (this.gl) this.deleteTextures();
+  }
 
-        // Apply oil drag inside oil regions to encourage flow-around behavior
-        if (sim.useOil && sim.oil && sim.waterOilDragProgram && sim.oilDragStrength > 0.0) {
-          gl.useProgram(sim.waterOilDragProgram);
-          gl.bindFramebuffer(gl.FRAMEBUFFER, this.velocityFBO);
-          gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.velocityTexture2, 0);
-
-          gl.bindBuffer(gl.ARRAY_BUFFER, sim.renderer.quadBuffer);
-          const positionAttrib = gl.getAttribLocation(sim.waterOilDragProgram, 'a_position');
-          gl.enableVertexAttribArray(positionAttrib);
-          gl.vertexAttribPointer(positionAttrib, 2, gl.FLOAT, false, 0, 0);
-
-          gl.activeTexture(gl.TEXTURE0);
-          gl.bindTexture(gl.TEXTURE_2D, this.velocityTexture1);
-          gl.uniform1i(gl.getUniformLocation(sim.waterOilDragProgram, 'u_velocity'), 0);
-
-          gl.activeTexture(gl.TEXTURE1);
-          gl.bindTexture(gl.TEXTURE_2D, sim.oil.oilTexture1);
-          gl.uniform1i(gl.getUniformLocation(sim.waterOilDragProgram, 'u_oil'), 1);
-
-          // Optional per-pixel drag from oil properties
-          if (sim.oil && sim.oil.oilPropsTexture) {
-            gl.activeTexture(gl.TEXTURE2);
-            gl.bindTexture(gl.TEXTURE_2D, sim.oil.oilPropsTexture);
-            const propsLoc = gl.getUniformLocation(sim.waterOilDragProgram, 'u_oilProps');
-            if (propsLoc) gl.uniform1i(propsLoc, 2);
-            const usePropsLoc = gl.getUniformLocation(sim.waterOilDragProgram, 'u_useProps');
-            if (usePropsLoc) gl.uniform1f(usePropsLoc, 1.0);
-          } else {
-            const usePropsLoc = gl.getUniformLocation(sim.waterOilDragProgram, 'u_useProps');
-            if (usePropsLoc) gl.uniform1f(usePropsLoc, 0.0);
-          }
+  serialize(writer) {
+    const gl = this.gl;
+    if (!gl) return;
+    const w = this.sim.simWidth;
+    const h = this.sim.simHeight;
+    // Divergence is recomputed every projection; pressure is kept as the Jacobi warm start.
+    // Ink is saved as pigment (pigment.js); older files' RGB 'water.color' is converted on restore.
+    writer.addTexture(gl, 'water.pigment', this.colorTexture1, w, h, { channels: 4 });
+    writer.addTexture(gl, 'water.velocity', this.velocityTexture1, w, h, { channels: 2 });
+    writer.addTexture(gl, 'water.pressure', this.pressureTexture1, w, h, { channels: 1 });
+    writer.addTexture(gl, 'water.temperature', this.temperatureTexture1, w, h, { channels: 1 });
+  }
 
-          gl.uniform1f(gl.getUniformLocation(sim.waterOilDragProgram, 'u_drag'), sim.oilDragStrength);
-          gl.uniform1f(gl.getUniformLocation(sim.waterOilDragProgram, 'u_dt'), dt);
+  restore(reader) {
+    const gl = this.gl;
+    if (!gl) return;
+    const w = this.sim.simWidth;
+    const h = this.sim.simHeight;
+    if (!reader.readTexture(gl, 'water.pigment', this.colorTexture1, w, h)) {
+      this.restoreLegacyColor(reader, w, h);
+    }
+    reader.readTexture(gl, 'water.velocity', this.velocityTexture1, w, h);
+    reader.readTexture(gl, 'water.pressure', this.pressureTexture1, w, h);
+    reader.readTexture(gl, 'water.temperature', this.temperatureTexture1, w, h);
+    this._syncAliases();
+  }
 
-          gl.drawArrays(gl.TRIANGLES, 0, 6);
-          this.swapVelocityTextures();
-        }
+  /** Ink from a scene saved before the pigment model, as RGB 'water.color' */
+  restoreLegacyColor(reader, w, h) {
+    const gl = this.gl;
+    const rgba = reader.getTextureFloats('water.color', w, h);
+    if (!rgba || !this.colorTexture1) return;
+    gl.bindTexture(gl.TEXTURE_2D, this.colorTexture1);
+    gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, w, h, gl.RGBA, gl.FLOAT, pigmentFieldFromColor(rgba));
+    gl.bindTexture(gl.TEXTURE_2D, null);
+  }
 
-        if (sim.vorticityStrength > 0) {
-          sim.applyVorticityConfinement();
-        }
+  update(dt) {
+    const sim = this.sim;
 
-        sim.advectVelocity(dt);
-        // Marangoni: add interface-driven force from oil thickness gradient
-        if (sim.useOil && sim.oil && sim.marangoniProgram && sim.marangoniStrength > 0.0) {
-          this.applyMarangoni(dt);
-        }
-        sim.applyViscosity(dt);
-        sim.projectVelocity();
-        sim.advectColor(dt);
+    if (this.gl) {
+        // Match existing order from Simulation.update
+        if (sim.paused || !sim.ready || !sim.renderer.ready) return;
 
-        if (sim.diffusionRate > 0) {
-          sim.applyDiffusion(dt);
-        }
+        // Ensure full-grid viewport
+        sim.bindSimViewport();
+        this.pipeline.run(sim, dt);
+    }
+  }
 
-        // Overflow control cadence mirrors Simulation.update
-        sim._frameCounter = (sim._frameCounter + 1) | 0;
-        if ((sim._frameCounter % sim.occupancyEveryN) === 0) {
-          const prevViewport = gl.getParameter(gl.VIEWPORT);
-          this.computeOccupancy();
-          if (sim.occupancyPercent > sim.overflowUpper) {
-            const excess = sim.occupancyPercent - sim.overflowLower;
-            const range = Math.max(0.01, sim.overflowUpper - sim.overflowLower);
-            const strength = Math.min(0.20, Math.max(0.0, excess / range));
-            this.applyOverflow(strength);
-            this.computeOccupancy();
-          }
-          gl.viewport(prevViewport[0], prevViewport[1], prevViewport[2], prevViewport[3]);
-        }
+  /** Overflow valve: damp the ink when it fills too much of the dish */
+  regulateOccupancy() {
+    const sim = this.sim;
+    const gl = this.gl;
+    // Overflow control cadence mirrors Simulation.update
+    sim._frameCounter = (sim._frameCounter + 1) | 0;
+    if ((sim._frameCounter % sim.occupancyEveryN) === 0) {
+      const prevViewport = gl.getParameter(gl.VIEWPORT);
+      this.computeOccupancy();
+      if (sim.occupancyPercent > sim.overflowUpper) {
+        const excess = sim.occupancyPercent - sim.overflowLower;
+        const range = Math.max(0.01, sim.overflowUpper - sim.overflowLower);
+        const strength = Math.min(0.20, Math.max(0.0, excess / range));
+        this.applyOverflow(strength);
+        this.computeOccupancy();
+      }
+      gl.viewport(prevViewport[0], prevViewport[1], prevViewport[2], prevViewport[3]);
     }
   }
 
-  splatColor(x, y, color, radius) {
+  splatColor(x, y, color, radius, flow = 1.0) {
     const sim = this.sim;
     const gl = this.gl;
     
     if (gl) {
-        console.log(`🔍 WaterLayer.splatColor: x=${x.toFixed(2)}, y=${y.toFixed(2)}, color=${color.r.toFixed(2)},${color.g.toFixed(2)},${color.b.toFixed(2)}, radius=${radius}`);
+        if (sim.logVerbose) {
+          console.log(`🔍 WaterLayer.splatColor: x=${x.toFixed(2)}, y=${y.toFixed(2)}, color=${color.r.toFixed(2)},${color.g.toFixed(2)},${color.b.toFixed(2)}, radius=${radius}`);
+        }
 
         if (!this.colorTexture1 || !sim.splatProgram) {
           console.error('❌ Water layer not initialized - colorTexture1:', !!this.colorTexture1, 'splatProgram:', !!sim.splatProgram);
           return;
         }
-        gl.useProgram(sim.splatProgram);
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.colorFBO);
-        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.colorTexture2, 0);
-
-        gl.bindBuffer(gl.ARRAY_BUFFER, sim.renderer.quadBuffer);
-        const positionAttrib = gl.getAttribLocation(sim.splatProgram, 'a_position');
-        gl.enableVertexAttribArray(positionAttrib);
-        gl.vertexAttribPointer(positionAttrib, 2, gl.FLOAT, false, 0, 0);
-
-        gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, this.colorTexture1);
-        gl.uniform1i(gl.getUniformLocation(sim.splatProgram, 'u_texture'), 0);
-        gl.uniform2f(gl.getUniformLocation(sim.splatProgram, 'u_point'), x, y);
-        gl.uniform3f(gl.getUniformLocation(sim.splatProgram, 'u_color'), color.r, color.g, color.b);
-        gl.uniform1f(gl.getUniformLocation(sim.splatProgram, 'u_radius'), radius);
-        gl.uniform2f(gl.getUniformLocation(sim.splatProgram, 'u_resolution'), gl.canvas.width, gl.canvas.height);
-        gl.uniform1i(gl.getUniformLocation(sim.splatProgram, 'u_isVelocity'), 0);
-        // Force ink path (not oil) to prevent stale uniform from previous oil splats
-        const isOilLoc = gl.getUniformLocation(sim.splatProgram, 'u_isOil');
-        if (isOilLoc) gl.uniform1i(isOilLoc, 0);
-
-        gl.drawArrays(gl.TRIANGLES, 0, 6);
-        this.swapColorTextures();
+        // Splats arrive between frames, after the renderer's canvas-size passes
+        sim.bindSimViewport();
+        // The field stores pigment absorption, not the color itself
+        const pigment = pigmentFromColor(color);
+        runPass(gl, sim.renderer, sim.splatProgram, {
+          inputs: { u_texture: () => this.colorTexture1 },
+          output: () => this._field('color'),
+          uniforms(u) {
+            u.vec2('u_point', x, y);
+            u.vec3('u_color', pigment.r, pigment.g, pigment.b);
+            u.float('u_radius', radius);
+            u.float('u_flow', flow);
+            u.vec2('u_resolution', sim.simWidth, sim.simHeight);
+            u.bool('u_isVelocity', false);
+            // Force ink path (not oil) to prevent stale uniform from previous oil splats
+            u.bool('u_isOil', false);
+          }
+        }, sim);
     }
   }
 
@@ -309,21 +256,18 @@ export default class WaterLayer extends FluidLayer {
     const gl = this.gl;
 
     if (gl) {
-        gl.useProgram(sim.splatProgram);
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.velocityFBO);
-        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.velocityTexture2, 0);
-
-        gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, this.velocityTexture1);
-        gl.uniform1i(gl.getUniformLocation(sim.splatProgram, 'u_texture'), 0);
-        gl.uniform2f(gl.getUniformLocation(sim.splatProgram, 'u_point'), x, y);
-        gl.uniform3f(gl.getUniformLocation(sim.splatProgram, 'u_color'), vx, vy, 0);
-        gl.uniform1f(gl.getUniformLocation(sim.splatProgram, 'u_radius'), radius);
-        gl.uniform2f(gl.getUniformLocation(sim.splatProgram, 'u_resolution'), gl.canvas.width, gl.canvas.height);
-        gl.uniform1i(gl.getUniformLocation(sim.splatProgram, 'u_isVelocity'), 1);
-
-        gl.drawArrays(gl.TRIANGLES, 0, 6);
-        this.swapVelocityTextures();
+        sim.bindSimViewport();
+        runPass(gl, sim.renderer, sim.splatProgram, {
+          inputs: { u_texture: () => this.velocityTexture1 },
+          output: () => this._field('velocity'),
+          uniforms(u) {
+            u.vec2('u_point', x, y);
+            u.vec3('u_color', vx, vy, 0);
+            u.float('u_radius', radius);
+            u.vec2('u_resolution', sim.simWidth, sim.simHeight);
+            u.bool('u_isVelocity', true);
+          }
+        }, sim);
     }
   }
 
@@ -336,17 +280,18 @@ export default class WaterLayer extends FluidLayer {
     gl.viewport(0, 0, sim.occupancyWidth, sim.occupancyHeight);
 
     gl.bindBuffer(gl.ARRAY_BUFFER, sim.renderer.quadBuffer);
-    const positionAttrib = gl.getAttribLocation(sim.occupancyProgram, 'a_position');
+    const positionAttrib = programTable(gl, sim.occupancyProgram).position;
     gl.enableVertexAttribArray(positionAttrib);
     gl.vertexAttribPointer(positionAttrib, 2, gl.FLOAT, false, 0, 0);
 
     gl.activeTexture(gl.TEXTURE0);
     gl.bindTexture(gl.TEXTURE_2D, this.colorTexture1);
-    gl.uniform1i(gl.getUniformLocation(sim.occupancyProgram, 'u_color_texture'), 0);
-    gl.uniform2f(gl.getUniformLocation(sim.occupancyProgram, 'u_resolution'), gl.canvas.width, gl.canvas.height);
+    gl.uniform1i(uniformLocation(gl, sim.occupancyProgram, 'u_color_texture'), 0);
+    gl.uniform2f(uniformLocation(gl, sim.occupancyProgram, 'u_resolution'), sim.simWidth, sim.simHeight);
     // Flag for ink (not oil)
-    const isOilLoc = gl.getUniformLocation(sim.occupancyProgram, 'u_isOil');
+    const isOilLoc = uniformLocation(gl, sim.occupancyProgram, 'u_isOil');
     if (isOilLoc) gl.uniform1i(isOilLoc, 0);
+    bindContainer(gl, sim.occupancyProgram, sim);
 
     gl.drawArrays(gl.TRIANGLES, 0, 6);
 
@@ -379,30 +324,27 @@ export default class WaterLayer extends FluidLayer {
     if (strength <= 0.0) return;
     // Fullscreen pass: read colorTexture1, write damped result to colorTexture2
     const prevViewport = gl.getParameter(gl.VIEWPORT);
-    gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
-    gl.useProgram(sim.overflowProgram);
-    gl.bindFramebuffer(gl.FRAMEBUFFER, this.colorFBO);
-    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.colorTexture2, 0);
-
-    gl.bindBuffer(gl.ARRAY_BUFFER, sim.renderer.quadBuffer);
-    const positionAttrib = gl.getAttribLocation(sim.overflowProgram, 'a_position');
-    gl.enableVertexAttribArray(positionAttrib);
-    gl.vertexAttribPointer(positionAttrib, 2, gl.FLOAT, false, 0, 0);
-
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, this.colorTexture1);
-    gl.uniform1i(gl.getUniformLocation(sim.overflowProgram, 'u_color_texture'), 0);
-    gl.uniform2f(gl.getUniformLocation(sim.overflowProgram, 'u_resolution'), gl.canvas.width, gl.canvas.height);
-    gl.uniform1f(gl.getUniformLocation(sim.overflowProgram, 'u_strength'), strength);
-    gl.uniform1i(gl.getUniformLocation(sim.overflowProgram, 'u_isOil'), 0); // Ink: hardcode alpha to 1.0
-
-    gl.drawArrays(gl.TRIANGLES, 0, 6);
-    this.swapColorTextures();
+    sim.bindSimViewport();
+    runPass(gl, sim.renderer, sim.overflowProgram, {
+      inputs: { u_color_texture: () => this.colorTexture1 },
+      output: () => this._field('color'),
+      uniforms(u) {
+        u.vec2('u_resolution', sim.simWidth, sim.simHeight);
+        u.float('u_strength', strength);
+        u.bool('u_isOil', false);
+      }
+    }, sim);
 
     console.log(`🚰 Overflow valve engaged: strength=${strength.toFixed(2)} → target ${(sim.overflowLower*100)|0}-${(sim.overflowUpper*100)|0}%`);
     gl.viewport(prevViewport[0], prevViewport[1], prevViewport[2], prevViewport[3]);
   }
 
+  // An owned ping-pong pair ('color', 'velocity', ...) as a runPass output
+  _field(name) {
+    const swap = `swap${name[0].toUpperCase()}${name.slice(1)}Textures`;
+    return pingPong(this, [`${name}Texture1`, `${name}Texture2`], `${name}FBO`, swap);
+  }
+
   // Swaps owned textures
   swapColorTextures() {
     [this.colorTexture1, this.colorTexture2] = [this.colorTexture2, this.colorTexture1];
@@ -417,6 +359,10 @@ export default class WaterLayer extends FluidLayer {
     [this.pressureTexture1, this.pressureTexture2] = [this.pressureTexture2, this.pressureTexture1];
     this._syncAliases();
   }
+  swapTemperatureTextures() {
+    [this.temperatureTexture1, this.temperatureTexture2] = [this.temperatureTexture2, this.temperatureTexture1];
+    this._syncAliases();
+  }
   _syncAliases() {
     // Update Simulation-facing aliases if present
     const sim = this.sim;
@@ -431,5 +377,8 @@ export default class WaterLayer extends FluidLayer {
     sim.pressureTexture1 = this.pressureTexture1;
     sim.pressureTexture2 = this.pressureTexture2;
     sim.pressureFBO = this.pressureFBO;
+    sim.temperatureTexture1 = this.temperatureTexture1;
+    sim.temperatureTexture2 = this.temperatureTexture2;
+    sim.temperatureFBO = this.temperatureFBO;
   }
 }
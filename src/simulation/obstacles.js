@@ -0,0 +1,342 @@
+/**
+ * Solid obstacles standing in the plate
+ *
+ * Shapes that ink, water and oil flow around, like glass beads or a stirring
+ * post in a real dish. Positions are texture coordinates (uv, y up, as for
+ * splats); lengths are in units of the grid height with x scaled by the
+ * aspect ratio, as in the container mask, so discs stay round:
+ *
+ *   { type: 'disc',  x, y, radius }
+ *   { type: 'bar',   x, y, length, width, angle }  capsule, tip to tip, angle in radians
+ *   { type: 'image', x, y, size, mask: { width, height, data } }
+ *       `size` across the long side; mask rows run top-down, solid where >= 128
+ *
+ * The water layer sees the shapes through a mask rasterized at the grid size
+ * (rasterizeObstacles): divergence, pressure and gradient treat solid cells
+ * as walls. SPH particles collide with the shapes themselves (collide /
+ * collideWorld), so thin bars stay exact at any grid resolution.
+ */
+
+const SOLID = 128;
+
+/** Longest side images are reduced to before becoming masks */
+export const MAX_MASK_SIZE = 128;
+
+// Image masks are searched at most this many texels out for the nearest open one
+const MAX_SEARCH = 64;
+
+const DEFAULTS = {
+  disc: { radius: 0.05 },
+  bar: { length: 0.3, width: 0.03, angle: 0 },
+  image: { size: 0.25 }
+};
+
+/**
+ * Fill in defaults and validate a shape description
+ * @returns {object} a new shape object
+ */
+export function normalizeObstacle(shape) {
+  const defaults = DEFAULTS[shape && shape.type];
+  if (!defaults) {
+    throw new Error(`ObstacleField: unknown obstacle type "${shape && shape.type}"`);
+  }
+  const obstacle = { ...defaults, ...shape, x: shape.x ?? 0.5, y: shape.y ?? 0.5 };
+  if (obstacle.type === 'image') {
+    const mask = obstacle.mask;
+    if (!mask || !(mask.data instanceof Uint8Array) || mask.data.length !== mask.width * mask.height) {
+      throw new Error('ObstacleField: image obstacles need a mask { width, height, data: Uint8Array }');
+    }
+  }
+  return obstacle;
+}
+
+/**
+ * Mask from RGBA pixels (e.g. ImageData): images with transparency use the
+ * alpha channel, opaque ones their darkness, so both cut-outs and dark
+ * silhouettes on white become solid
+ * @returns {{width: number, height: number, data: Uint8Array}}
+ */
+export function maskFromPixels(rgba, width, height) {
+  const count = width * height;
+  let transparent = false;
+  for (let i = 0; i < count; i++) {
+    if (rgba[i * 4 + 3] < 255) {
+      transparent = true;
+      break;
+    }
+  }
+  const data = new Uint8Array(count);
+  for (let i = 0; i < count; i++) {
+    const luminance = 0.2126 * rgba[i * 4] + 0.7152 * rgba[i * 4 + 1] + 0.0722 * rgba[i * 4 + 2];
+    data[i] = transparent ? rgba[i * 4 + 3] : Math.round(255 - luminance);
+  }
+  return { width, height, data };
+}
+
+// Half the side of the square (aspect units) that contains the shape
+function obstacleExtent(shape) {
+  switch (shape.type) {
+    case 'disc': return shape.radius;
+    case 'bar': return shape.length / 2;
+    case 'image': return shape.size / 2;
+  }
+  return 0;
+}
+
+// Image texel size and the texel under a local point (may be off the image)
+function imageTexel(shape, px, py) {
+  const { width, height } = shape.mask;
+  const cell = shape.size / Math.max(width, height);
+  return { cell, col: Math.floor(px / cell + width / 2), row: Math.floor(height / 2 - py / cell) };
+}
+
+function imageSolid(mask, col, row) {
+  if (col < 0 || row < 0 || col >= mask.width || row >= mask.height) return false;
+  return mask.data[row * mask.width + col] >= SOLID;
+}
+
+// Closest point on a bar's axis to a local point
+function barAxisPoint(shape, px, py) {
+  const half = Math.max(0, shape.length - shape.width) / 2;
+  const cos = Math.cos(shape.angle);
+  const sin = Math.sin(shape.angle);
+  const t = Math.max(-half, Math.min(half, px * cos + py * sin));
+  return [t * cos, t * sin];
+}
+
+/** Whether a uv point lies inside a shape */
+export function insideObstacle(shape, x, y, aspect = 1) {
+  const px = (x - shape.x) * aspect;
+  const py = y - shape.y;
+  switch (shape.type) {
+    case 'disc':
+      return px * px + py * py <= shape.radius * shape.radius;
+    case 'bar': {
+      const [ax, ay] = barAxisPoint(shape, px, py);
+      return Math.hypot(px - ax, py - ay) <= shape.width / 2;
+    }
+    case 'image': {
+      const { col, row } = imageTexel(shape, px, py);
+      return imageSolid(shape.mask, col, row);
+    }
+  }
+  return false;
+}
+
+/**
+ * Rasterize shapes into a grid mask (row 0 at the bottom, as texture rows)
+ * @returns {Uint8Array} 255 for solid cells, 0 for fluid
+ */
+export function rasterizeObstacles(shapes, width, height, out = new Uint8Array(width * height)) {
+  out.fill(0);
+  const aspect = width / height;
+  for (const shape of shapes) {
+    // Only visit the cells under the shape's bounding square
+    const extent = obstacleExtent(shape);
+    const x0 = Math.max(0, Math.floor((shape.x - extent / aspect) * width));
+    const x1 = Math.min(width - 1, Math.ceil((shape.x + extent / aspect) * width));
+    const y0 = Math.max(0, Math.floor((shape.y - extent) * height));
+    const y1 = Math.min(height - 1, Math.ceil((shape.y + extent) * height));
+    for (let y = y0; y <= y1; y++) {
+      const v = (y + 0.5) / height;
+      for (let x = x0; x <= x1; x++) {
+        if (insideObstacle(shape, (x + 0.5) / width, v, aspect)) out[y * width + x] = 255;
+      }
+    }
+  }
+  return out;
+}
+
+// Nearest open texel centre around a point inside an image mask (local coordinates)
+function imageSurface(shape, px, py) {
+  const { cell, col, row } = imageTexel(shape, px, py);
+  const { width, height } = shape.mask;
+  let best = null;
+  let bestDist = Infinity;
+  let limit = Math.min(MAX_SEARCH, Math.max(width, height) + 1);
+  for (let r = 1; r <= limit; r++) {
+    for (let j = -r; j <= r; j++) {
+      for (let i = -r; i <= r; i++) {
+        // Ring of Chebyshev radius r only
+        if (Math.abs(i) !== r && Math.abs(j) !== r) continue;
+        if (imageSolid(shape.mask, col + i, row + j)) continue;
+        const cx = (col + i + 0.5 - width / 2) * cell;
+        const cy = (height / 2 - (row + j + 0.5)) * cell;
+        const dist = Math.hypot(cx - px, cy - py);
+        if (dist < bestDist) {
+          bestDist = dist;
+          best = [cx, cy];
+        }
+      }
+    }
+    // A closer open texel can still sit on the next few rings (diagonals)
+    if (best && limit > Math.ceil(r * Math.SQRT2)) limit = Math.ceil(r * Math.SQRT2);
+  }
+  return best;
+}
+
+/**
+ * Push a uv point out of one shape
+ * @returns {{x: number, y: number, nx: number, ny: number}|null} the nearest
+ *   surface point (uv) and outward normal (aspect units), or null when the
+ *   point is not inside
+ */
+export function collideObstacle(shape, x, y, aspect = 1) {
+  const px = (x - shape.x) * aspect;
+  const py = y - shape.y;
+  let sx, sy, nx, ny;
+  switch (shape.type) {
+    case 'disc':
+    case 'bar': {
+      const [ax, ay] = shape.type === 'bar' ? barAxisPoint(shape, px, py) : [0, 0];
+      const radius = shape.type === 'bar' ? shape.width / 2 : shape.radius;
+      const dist = Math.hypot(px - ax, py - ay);
+      if (dist > radius) return null;
+      if (dist > 1e-9) {
+        nx = (px - ax) / dist;
+        ny = (py - ay) / dist;
+      } else {
+        // Dead centre: leave sideways from the axis
+        const angle = shape.type === 'bar' ? shape.angle : 0;
+        nx = -Math.sin(angle);
+        ny = Math.cos(angle);
+      }
+      sx = ax + nx * radius;
+      sy = ay + ny * radius;
+      break;
+    }
+    case 'image': {
+      if (!insideObstacle(shape, x, y, aspect)) return null;
+      const surface = imageSurface(shape, px, py);
+      if (!surface) return null;
+      const dist = Math.hypot(surface[0] - px, surface[1] - py) || 1;
+      [sx, sy] = surface;
+      nx = (sx - px) / dist;
+      ny = (sy - py) / dist;
+      break;
+    }
+    default:
+      return null;
+  }
+  return { x: shape.x + sx / aspect, y: shape.y + sy, nx, ny };
+}
+
+export default class ObstacleField {
+  constructor() {
+    this.shapes = [];
+    this.version = 0;   // bumped on every change so the mask can be re-uploaded lazily
+    this.nextId = 1;
+  }
+
+  get empty() {
+    return this.shapes.length === 0;
+  }
+
+  /**
+   * Place a shape
+   * @returns {object} the stored shape, with its id
+   */
+  add(shape) {
+    const obstacle = { ...normalizeObstacle(shape), id: this.nextId++ };
+    this.shapes.push(obstacle);
+    this.version++;
+    return obstacle;
+  }
+
+  remove(id) {
+    const index = this.shapes.findIndex((shape) => shape.id === id);
+    if (index < 0) return false;
+    this.shapes.splice(index, 1);
+    this.version++;
+    return true;
+  }
+
+  /** Remove the most recently placed shape (undo) */
+  removeLast() {
+    if (this.empty) return null;
+    const removed = this.shapes.pop();
+    this.version++;
+    return removed;
+  }
+
+  clear() {
+    if (this.empty) return;
+    this.shapes = [];
+    this.version++;
+  }
+
+  /** Grid mask for the water layer (see rasterizeObstacles) */
+  rasterize(width, height, out) {
+    return rasterizeObstacles(this.shapes, width, height, out);
+  }
+
+  /**
+   * Push a uv point out of every shape it is in. Shapes can overlap, so a
+   * point pushed out of one is checked against the rest a few times.
+   * @returns {{x: number, y: number, nx: number, ny: number}|null} the free
+   *   point and the normal of the last surface hit, or null when outside all
+   */
+  collide(x, y, aspect = 1) {
+    let hit = null;
+    for (let pass = 0; pass < 3; pass++) {
+      let moved = false;
+      for (const shape of this.shapes) {
+        const contact = collideObstacle(shape, x, y, aspect);
+        if (!contact) continue;
+        // Step just past the surface so the point is outside next time
+        x = contact.x + contact.nx * 1e-4 / aspect;
+        y = contact.y + contact.ny * 1e-4;
+        hit = { x, y, nx: contact.nx, ny: contact.ny };
+        moved = true;
+      }
+      if (!moved) break;
+    }
+    return hit;
+  }
+
+  /**
+   * collide() for SPH world coordinates: the dish is centred on the origin
+   * with `containerRadius` mapping to the 0.48 container, and world y points
+   * down the screen (u = 0.5 + x/2R, v = 0.5 - y/2R)
+   */
+  collideWorld(x, y, containerRadius) {
+    if (this.empty) return null;
+    const scale = 2 * containerRadius;
+    const hit = this.collide(0.5 + x / scale, 0.5 - y / scale);
+    if (!hit) return null;
+    return { x: (hit.x - 0.5) * scale, y: (0.5 - hit.y) * scale, nx: hit.nx, ny: -hit.ny };
+  }
+
+  /**
+   * Write the shapes to a scene snapshot (image masks as byte chunks)
+   * @param {SnapshotWriter} writer
+   */
+  serialize(writer) {
+    const shapes = this.shapes.map((shape, index) => {
+      if (shape.type !== 'image') return { ...shape };
+      const { width, height, data } = shape.mask;
+      writer.addArray(`obstacles.mask${index}`, data, { width, height });
+      return { ...shape, mask: { width, height, chunk: `obstacles.mask${index}` } };
+    });
+    writer.set('obstacles', { shapes });
+  }
+
+  /**
+   * Replace the shapes with those in a snapshot (none if it has no obstacles)
+   * @param {SnapshotReader} reader
+   */
+  restore(reader) {
+    const saved = reader.get('obstacles');
+    this.shapes = [];
+    for (const shape of (saved && saved.shapes) || []) {
+      if (shape.type === 'image') {
+        const data = reader.getArray(shape.mask.chunk);
+        if (!data) continue;
+        this.add({ ...shape, mask: { width: shape.mask.width, height: shape.mask.height, data } });
+      } else {
+        this.add(shape);
+      }
+    }
+    this.version++;
+  }
+}
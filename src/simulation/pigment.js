@@ -0,0 +1,102 @@
+/**
+ * Pigment model for the water ink field (Kubelka–Munk, single constant)
+ *
+ * Ink in the water is dye, not light: overlapping inks should multiply
+ * their absorption the way blue and yellow paint make green, and a pile of
+ * ink should get deeper, never whiter. docs/COLOR_PHYSICS_MODEL.md fixed
+ * this for SPH particles with premultiplied blending; the water field needs
+ * the real thing because inks keep mixing as they are advected and diffused.
+ *
+ * Each palette color is a pigment with an absorption K per RGB channel and
+ * a grey scattering S = 1 per unit concentration. K/S is chosen so that a
+ * thick layer of the pure ink reflects exactly the color the user picked:
+ *
+ *   K/S = (1 - R)² / 2R          R = 1 + K/S - sqrt((K/S)² + 2 K/S)
+ *
+ * K and S of a mixture are concentration-weighted sums, so the field does
+ * not need a channel per pigment. It stores
+ *
+ *   rgb = Σ cᵢ · Kᵢ / KS_MAX     a = Σ cᵢ
+ *
+ * which carries any number of palette colors in one RGBA16F texture and
+ * survives advection, diffusion and damping unchanged (they are linear).
+ * The renderer divides back to the mixture's K/S and reflectance; see
+ * volumetric.frag.glsl and pigment.frag.glsl, which mirror mixReflectance().
+ * Total concentration saturates at 1; rgb ≤ a always holds.
+ */
+
+// Darkest reflectance a pigment may have: keeps K/S finite for pure colors
+export const PIGMENT_MIN_REFLECTANCE = 0.04;
+const MAX_REFLECTANCE = 0.999;
+
+/** Kubelka–Munk K/S of an opaque layer with reflectance R */
+export function ksFromReflectance(R) {
+  const r = Math.min(Math.max(R, PIGMENT_MIN_REFLECTANCE), MAX_REFLECTANCE);
+  return (1 - r) * (1 - r) / (2 * r);
+}
+
+/** Reflectance of an opaque layer with the given K/S */
+export function reflectanceFromKS(ks) {
+  return 1 + ks - Math.sqrt(ks * ks + 2 * ks);
+}
+
+// K/S of the darkest channel; the stored absorption is normalized by it
+export const KS_MAX = ksFromReflectance(PIGMENT_MIN_REFLECTANCE);
+
+/**
+ * Per-channel absorption of a palette color, normalized to 0..1 for the field
+ * @param {{r: number, g: number, b: number}} color - 0..1
+ * @returns {{r: number, g: number, b: number}}
+ */
+export function pigmentFromColor(color) {
+  return {
+    r: ksFromReflectance(color.r) / KS_MAX,
+    g: ksFromReflectance(color.g) / KS_MAX,
+    b: ksFromReflectance(color.b) / KS_MAX
+  };
+}
+
+/**
+ * Pigment field for an RGB ink field, as scenes saved before the pigment
+ * model stored it (additive color, 0..1): each texel's brightest channel is
+ * its concentration and its color divided by that the palette color
+ * @param {Float32Array} rgba - RGB ink, 4 floats per texel
+ * @returns {Float32Array} rgb = c · K / KS_MAX, a = c
+ */
+export function pigmentFieldFromColor(rgba) {
+  const field = new Float32Array(rgba.length);
+  for (let i = 0; i < rgba.length; i += 4) {
+    const c = Math.min(1, Math.max(rgba[i], rgba[i + 1], rgba[i + 2], 0));
+    if (!(c > 0)) continue;
+    const pigment = pigmentFromColor({ r: rgba[i] / c, g: rgba[i + 1] / c, b: rgba[i + 2] / c });
+    field[i] = pigment.r * c;
+    field[i + 1] = pigment.g * c;
+    field[i + 2] = pigment.b * c;
+    field[i + 3] = c;
+  }
+  return field;
+}
+
+/**
+ * Reflectance of an opaque mix of inks: the CPU reference of the shaders
+ * @param {Array<{color: {r: number, g: number, b: number}, amount: number}>} inks
+ * @returns {{r: number, g: number, b: number}} black when there is no ink
+ */
+export function mixReflectance(inks) {
+  const k = { r: 0, g: 0, b: 0 };
+  let concentration = 0;
+  for (const { color, amount } of inks) {
+    const pigment = pigmentFromColor(color);
+    k.r += pigment.r * amount;
+    k.g += pigment.g * amount;
+    k.b += pigment.b * amount;
+    concentration += amount;
+  }
+  if (!(concentration > 0)) return { r: 0, g: 0, b: 0 };
+  const scale = KS_MAX / concentration;
+  return {
+    r: reflectanceFromKS(k.r * scale),
+    g: reflectanceFromKS(k.g * scale),
+    b: reflectanceFromKS(k.b * scale)
+  };
+}
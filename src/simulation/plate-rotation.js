@@ -0,0 +1,111 @@
+/**
+ * Plate rotation: the dish turning on the projector
+ *
+ * A liquid light dish is spun by hand or by a slow motor. The plate is heavy,
+ * so it spins up and coasts down rather than jumping to a new speed, and the
+ * fluids only learn about it through their contact with the glass:
+ *
+ *   - the floor drags the thin water layer toward the plate's motion
+ *     (plateBottomFriction, 1/s)
+ *   - the wall is no-slip: the water and oil next to it take the wall's
+ *     tangential speed (plateWallCoupling, 1/s, over a band at the rim)
+ *
+ * With rotatingFrame on, both layers are simulated in the plate's own frame,
+ * as a camera riding the turntable would see them: the plate and its wall
+ * stand still, and every parcel feels the Coriolis, centrifugal and Euler
+ * (spin-up) accelerations instead. The water (kernels/forces.js) and the SPH
+ * particles (SPHOilSystem.applyPlateForces) read the same plate state, from
+ * Simulation.plateState().
+ *
+ * Points and velocities here are in aspect space: the dish centre at the
+ * origin, y up, as in container.js. Positive omega turns counter-clockwise
+ * on screen. SPH world y points down, so the plate turns the other way
+ * there (plateStateWorld).
+ */
+
+// Angular velocity (rad/s) of the plate for each unit of rotationAmount, the
+// speed the controls ask the motor for
+export const OMEGA_PER_ROTATION = 3.0;
+
+// Width of the band beside the wall that its no-slip grip reaches (aspect
+// units; forces.frag.glsl wallBand)
+export const PLATE_WALL_BAND = 0.04;
+
+/**
+ * Velocity of the plate under a point (omega × r)
+ * @returns {{x: number, y: number}}
+ */
+export function plateVelocity(omega, x, y) {
+  return { x: -omega * y, y: omega * x };
+}
+
+/**
+ * Fictitious acceleration in the plate's frame of a parcel at (x, y) moving
+ * with (vx, vy): Coriolis -2Ω×v, centrifugal -Ω×(Ω×r) and Euler -dΩ/dt×r
+ * @returns {{x: number, y: number}}
+ */
+export function frameAcceleration(omega, alpha, x, y, vx, vy) {
+  return {
+    x: 2 * omega * vy + omega * omega * x + alpha * y,
+    y: -2 * omega * vx + omega * omega * y - alpha * x
+  };
+}
+
+/**
+ * The plate state for SPH world coordinates (y down): the same spin seen
+ * in a mirrored frame turns the other way, and the tilt's y flips
+ */
+export function plateStateWorld(plate) {
+  return { ...plate, omega: -plate.omega, alpha: -plate.alpha, tiltY: -(plate.tiltY || 0) };
+}
+
+export default class PlateRotation {
+  constructor() {
+    this.omega = 0.0;   // rad/s
+    this.alpha = 0.0;   // rad/s², over the last step
+    this.angle = 0.0;   // rad, how far the plate has turned
+  }
+
+  /**
+   * Turn the plate for a step: the motor pulls it toward the speed the
+   * controls ask for with the spin-up time constant; slowing down (or
+   * reversing) it coasts with the spin-down one
+   * @param {number} dt - seconds
+   * @param {number} rotationAmount - Simulation.rotationAmount
+   * @param {number} spinUpTime - seconds
+   * @param {number} spinDownTime - seconds
+   */
+  step(dt, rotationAmount, spinUpTime, spinDownTime) {
+    const target = rotationAmount * OMEGA_PER_ROTATION;
+    const previous = this.omega;
+    const speedingUp = Math.abs(target) > Math.abs(previous) && target * previous >= 0;
+    const tau = speedingUp ? spinUpTime : spinDownTime;
+    this.omega = tau > 0 ? target + (previous - target) * Math.exp(-dt / tau) : target;
+    this.alpha = dt > 0 ? (this.omega - previous) / dt : 0.0;
+    this.angle = (this.angle + 0.5 * (previous + this.omega) * dt) % (2 * Math.PI);
+  }
+
+  /** The plate's current speed in units of rotationAmount */
+  get amount() {
+    return this.omega / OMEGA_PER_ROTATION;
+  }
+
+  /**
+   * Write the spin to a scene snapshot
+   * @param {SnapshotWriter} writer
+   */
+  serialize(writer) {
+    writer.set('plateRotation', { omega: this.omega, angle: this.angle });
+  }
+
+  /**
+   * Take a snapshot's spin (a plate at rest for scenes saved before it had inertia)
+   * @param {SnapshotReader} reader
+   */
+  restore(reader) {
+    const saved = reader.get('plateRotation');
+    this.omega = saved ? saved.omega : 0.0;
+    this.angle = saved ? saved.angle : 0.0;
+    this.alpha = 0.0;
+  }
+}
@@ -0,0 +1,294 @@
+/**
+ * snapshot.js
+ *
+ * Compact binary container for full-scene save/restore.
+ *
+ * Layout (little-endian, as produced by typed arrays on every platform we ship on):
+ *   [0..3]   magic 'LLSC'
+ *   [4..7]   u32 format version
+ *   [8..11]  u32 header byte length
+ *   [12..]   UTF-8 JSON header (meta + chunk table), padded to 4 bytes
+ *   [...]    raw chunk payloads, each 4-byte aligned
+ *
+ * GPU textures are stored as half floats by default (exact for our *16F
+ * targets), CPU particle arrays are stored as-is. Nothing is JSON-of-floats.
+ */
+
+const MAGIC = 'LLSC';
+export const SNAPSHOT_VERSION = 1;
+
+const ARRAY_TYPES = {
+  f32: Float32Array,
+  f16: Uint16Array,
+  u16: Uint16Array,
+  u8: Uint8Array
+};
+
+function typeOfArray(array) {
+  if (array instanceof Float32Array) return 'f32';
+  if (array instanceof Uint16Array) return 'u16';
+  if (array instanceof Uint8Array) return 'u8';
+  throw new Error(`Snapshot: unsupported array type ${array && array.constructor && array.constructor.name}`);
+}
+
+const align4 = (n) => (n + 3) & ~3;
+
+// Shared scratch for float <-> half conversion
+const _f32 = new Float32Array(1);
+const _u32 = new Uint32Array(_f32.buffer);
+
+export function floatToHalf(value) {
+  _f32[0] = value;
+  const x = _u32[0];
+  const sign = (x >> 16) & 0x8000;
+  const exp = (x >> 23) & 0xff;
+  let mant = x & 0x7fffff;
+
+  if (exp === 0xff) {
+    // Inf / NaN
+    return sign | 0x7c00 | (mant ? 0x200 : 0);
+  }
+  let e = exp - 127 + 15;
+  if (e >= 0x1f) return sign | 0x7c00; // overflow → Inf
+  if (e <= 0) {
+    // Subnormal half (or zero)
+    if (e < -10) return sign;
+    mant = (mant | 0x800000) >> (1 - e);
+    if (mant & 0x1000) mant += 0x2000; // round
+    return sign | (mant >> 13);
+  }
+  if (mant & 0x1000) {
+    mant += 0x2000;
+    if (mant & 0x800000) {
+      mant = 0;
+      e += 1;
+      if (e >= 0x1f) return sign | 0x7c00;
+    }
+  }
+  return sign | (e << 10) | (mant >> 13);
+}
+
+export function halfToFloat(h) {
+  const s = (h & 0x8000) >> 15;
+  const e = (h & 0x7C00) >> 10;
+  const f = h & 0x03FF;
+  if (e === 0) {
+    if (f === 0) return s ? -0 : 0;
+    return (s ? -1 : 1) * Math.pow(2, -14) * (f / 1024);
+  }
+  if (e === 31) {
+    return f ? NaN : (s ? -Infinity : Infinity);
+  }
+  return (s ? -1 : 1) * Math.pow(2, e - 15) * (1 + f / 1024);
+}
+
+/**
+ * Nearest-neighbour resample of interleaved pixel data.
+ * Used when a scene saved on one canvas size is restored on another.
+ */
+export function resampleNearest(src, srcW, srcH, dstW, dstH, channels) {
+  if (srcW === dstW && srcH === dstH) return src;
+  const dst = new src.constructor(dstW * dstH * channels);
+  for (let y = 0; y < dstH; y++) {
+    const sy = Math.min(srcH - 1, Math.floor((y + 0.5) * srcH / dstH));
+    for (let x = 0; x < dstW; x++) {
+      const sx = Math.min(srcW - 1, Math.floor((x + 0.5) * srcW / dstW));
+      const s = (sy * srcW + sx) * channels;
+      const d = (y * dstW + x) * channels;
+      for (let c = 0; c < channels; c++) dst[d + c] = src[s + c];
+    }
+  }
+  return dst;
+}
+
+/**
+ * Copy every own numeric/boolean property of `target` (the "tunables").
+ * Private fields (leading underscore) and anything in `exclude` are skipped.
+ */
+export function collectParams(target, exclude = []) {
+  const params = {};
+  for (const key of Object.keys(target)) {
+    if (key.startsWith('_') || exclude.includes(key)) continue;
+    const value = target[key];
+    if (typeof value === 'number' || typeof value === 'boolean') {
+      params[key] = value;
+    }
+  }
+  return params;
+}
+
+/**
+ * Apply params collected by collectParams. Only keys that already exist on
+ * `target` with the same type are written, so stale/unknown keys from older
+ * snapshots are ignored rather than polluting the object.
+ */
+export function applyParams(target, params, exclude = []) {
+  if (!params) return;
+  for (const key of Object.keys(params)) {
+    if (exclude.includes(key)) continue;
+    if (key in target && typeof target[key] === typeof params[key]) {
+      target[key] = params[key];
+    }
+  }
+}
+
+function readTexturePixels(gl, texture, width, height) {
+  const pixels = new Float32Array(width * height * 4);
+  const prevFbo = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+  const fbo = gl.createFramebuffer();
+  gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+  gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+  gl.readPixels(0, 0, width, height, gl.RGBA, gl.FLOAT, pixels);
+  gl.bindFramebuffer(gl.FRAMEBUFFER, prevFbo);
+  gl.deleteFramebuffer(fbo);
+  return pixels;
+}
+
+export class SnapshotWriter {
+  constructor() {
+    this.meta = {};
+    this.chunks = [];
+  }
+
+  /** Store a JSON-safe value (params, flags, counts) in the header */
+  set(key, value) {
+    this.meta[key] = value;
+  }
+
+  /**
+   * Add a typed array chunk (copied)
+   * @param {string} name - Unique chunk name, e.g. 'sph.positions'
+   * @param {Float32Array|Uint16Array|Uint8Array} array
+   */
+  addArray(name, array, info = {}) {
+    this.chunks.push({ name, type: typeOfArray(array), data: array.slice(), info });
+  }
+
+  /**
+   * Read back a GPU texture and add it as a chunk
+   * @param {WebGL2RenderingContext} gl
+   * @param {string} name - Unique chunk name, e.g. 'water.pigment'
+   * @param {WebGLTexture} texture - Float/half-float color-renderable texture
+   * @param {number} width - Texture width
+   * @param {number} height - Texture height
+   * @param {object} opts - channels (1, 2 or 4) and precision ('f16' or 'f32')
+   */
+  addTexture(gl, name, texture, width, height, { channels = 4, precision = 'f16' } = {}) {
+    if (!texture) return;
+    const rgba = readTexturePixels(gl, texture, width, height);
+    const count = width * height;
+    const data = precision === 'f32' ? new Float32Array(count * channels) : new Uint16Array(count * channels);
+    for (let i = 0; i < count; i++) {
+      for (let c = 0; c < channels; c++) {
+        const v = rgba[i * 4 + c];
+        data[i * channels + c] = precision === 'f32' ? v : floatToHalf(v);
+      }
+    }
+    this.chunks.push({ name, type: precision, data, info: { width, height, channels } });
+  }
+
+  toArrayBuffer() {
+    let offset = 0;
+    const table = this.chunks.map((chunk) => {
+      const entry = { name: chunk.name, type: chunk.type, offset, length: chunk.data.length, ...chunk.info };
+      offset = align4(offset + chunk.data.byteLength);
+      return entry;
+    });
+    const headerBytes = new TextEncoder().encode(JSON.stringify({ meta: this.meta, chunks: table }));
+    const payloadStart = align4(12 + headerBytes.byteLength);
+
+    const buffer = new ArrayBuffer(payloadStart + offset);
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    for (let i = 0; i < 4; i++) bytes[i] = MAGIC.charCodeAt(i);
+    view.setUint32(4, SNAPSHOT_VERSION, true);
+    view.setUint32(8, headerBytes.byteLength, true);
+    bytes.set(headerBytes, 12);
+
+    this.chunks.forEach((chunk, i) => {
+      const src = new Uint8Array(chunk.data.buffer, chunk.data.byteOffset, chunk.data.byteLength);
+      bytes.set(src, payloadStart + table[i].offset);
+    });
+    return buffer;
+  }
+}
+
+export class SnapshotReader {
+  /**
+   * @param {ArrayBuffer|Uint8Array} data - Bytes produced by SnapshotWriter.toArrayBuffer()
+   */
+  constructor(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    if (bytes.byteLength < 12 || String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]) !== MAGIC) {
+      throw new Error('Snapshot: not a liquid-light scene file');
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.version = view.getUint32(4, true);
+    if (this.version > SNAPSHOT_VERSION) {
+      throw new Error(`Snapshot: format version ${this.version} is newer than supported (${SNAPSHOT_VERSION})`);
+    }
+    const headerLength = view.getUint32(8, true);
+    const header = JSON.parse(new TextDecoder().decode(bytes.subarray(12, 12 + headerLength)));
+    this.meta = header.meta || {};
+    this.chunks = new Map(header.chunks.map((c) => [c.name, c]));
+    this.bytes = bytes;
+    this.payloadStart = align4(12 + headerLength);
+  }
+
+  get(key) {
+    return this.meta[key];
+  }
+
+  has(name) {
+    return this.chunks.has(name);
+  }
+
+  chunkInfo(name) {
+    return this.chunks.get(name) || null;
+  }
+
+  /** Returns a fresh typed array for the chunk, or null if absent */
+  getArray(name) {
+    const chunk = this.chunks.get(name);
+    if (!chunk) return null;
+    const Type = ARRAY_TYPES[chunk.type];
+    const start = this.bytes.byteOffset + this.payloadStart + chunk.offset;
+    const byteLength = chunk.length * Type.BYTES_PER_ELEMENT;
+    // Copy out so the result is aligned and independent of the file buffer
+    return new Type(this.bytes.buffer.slice(start, start + byteLength));
+  }
+
+  /**
+   * A texture chunk as floats (half floats decoded), resampled to a size
+   * @returns {Float32Array|null} null if the chunk is absent
+   */
+  getTextureFloats(name, width, height) {
+    const chunk = this.chunks.get(name);
+    if (!chunk) return null;
+    const saved = this.getArray(name);
+    const floats = chunk.type === 'f16' ? Float32Array.from(saved, halfToFloat) : saved;
+    return resampleNearest(floats, chunk.width, chunk.height, width, height, chunk.channels);
+  }
+
+  /**
+   * Upload a texture chunk into an existing texture, resampling if the
+   * saved size differs from the target size.
+   * @returns {boolean} true if the chunk existed and was uploaded
+   */
+  readTexture(gl, name, texture, width, height) {
+    const chunk = this.chunks.get(name);
+    if (!chunk || !texture) return false;
+    const { channels } = chunk;
+    const data = resampleNearest(this.getArray(name), chunk.width, chunk.height, width, height, channels);
+    const format = channels === 1 ? gl.RED : (channels === 2 ? gl.RG : gl.RGBA);
+    const type = chunk.type === 'f32' ? gl.FLOAT : gl.HALF_FLOAT;
+
+    const prevAlignment = gl.getParameter(gl.UNPACK_ALIGNMENT);
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, width, height, format, type, data);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, prevAlignment);
+    return true;
+  }
+}
@@ -18,6 +18,8 @@
  *    - p = z_new + beta*p
  */
 
+import SparseMatrix from './SparseMatrix.js';
+
 export default class ConjugateGradient {
   /**
    * Solve A*x = b using preconditioned CG
@@ -66,6 +68,10 @@ export default class ConjugateGradient {
         Minv11[bi] = Math.abs(d) > 1e-12 ? 1.0 / d : 1.0;
       }
     }
+    // Odd-sized systems leave one trailing row outside the 2x2 blocks: scalar Jacobi
+    const hasTail = (n % 2) === 1;
+    const tailDiag = hasTail ? A.get(n - 1, n - 1) : 0;
+    const tailInv = Math.abs(tailDiag) > 1e-12 ? 1.0 / tailDiag : 1.0;
     
     // Initial residual: r = b - A*x0
     A.multiply(x0, Ap); // Reuse Ap as temp
@@ -93,6 +99,7 @@ export default class ConjugateGradient {
       z[2 * bi]     = Minv00[bi] * r0 + Minv01[bi] * r1;
       z[2 * bi + 1] = Minv10[bi] * r0 + Minv11[bi] * r1;
     }
+    if (hasTail) z[n - 1] = tailInv * r[n - 1];
     
     // Initial search direction: p = z
     for (let i = 0; i < n; i++) {
@@ -148,6 +155,7 @@ export default class ConjugateGradient {
         z[2 * bi]     = Minv00[bi] * r0b + Minv01[bi] * r1b;
         z[2 * bi + 1] = Minv10[bi] * r0b + Minv11[bi] * r1b;
       }
+      if (hasTail) z[n - 1] = tailInv * r[n - 1];
       
       // beta = (r_new'*z_new) / (r_old'*z_old)
       const rz_new = this.dot(r, z);
@@ -186,9 +194,6 @@ export default class ConjugateGradient {
   static test() {
     console.log('🧪 Testing Conjugate Gradient solver...');
     
-    // Import sparse matrix
-    const SparseMatrix = window.SparseMatrix || require('./SparseMatrix.js').default;
-    
     // Build test system: 3×3 SPD matrix
     // A = [4 1 0]
     //     [1 4 1]
@@ -222,8 +227,8 @@ export default class ConjugateGradient {
     console.log(`  Residual: ${result.residual.toFixed(8)}`);
     console.log(`  Converged: ${result.converged}`);
     
-    // Expected solution: x ≈ [0.1429, 0.4286, 0.6429]
-    const expected = [0.1429, 0.4286, 0.6429];
+    // Expected solution: x = [5/28, 8/28, 19/28] ≈ [0.1786, 0.2857, 0.6786]
+    const expected = [5 / 28, 8 / 28, 19 / 28];
     const error = Math.sqrt(
       (result.x[0] - expected[0]) ** 2 +
       (result.x[1] - expected[1]) ** 2 +
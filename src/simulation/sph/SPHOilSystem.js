@@ -14,6 +14,15 @@
 import SpatialHashGrid from './SpatialHashGrid.js';
 import ImplicitSolver from './ImplicitSolver.js';
 import { clamp } from '../../utils.js';
+import { collectParams, applyParams } from '../snapshot.js';
+import { uniformLocation } from '../kernels/programs.js';
+import { PLATE_WALL_BAND, plateStateWorld, plateVelocity, frameAcceleration } from '../plate-rotation.js';
+
+// Fields that size buffers or are stored separately; never round-tripped as tunables
+const SNAPSHOT_EXCLUDED_PARAMS = ['maxParticles', 'particleCount', 'containerRadius'];
+
+/** Longest step update() takes; longer steps are split by the caller (Simulation.planSubsteps) */
+export const SPH_MAX_DT = 0.008;
 
 export default class SPHOilSystem {
   constructor(maxParticles = 50000, containerRadius = 0.48, sphParticleSplatVertWGSL, sphParticleSplatFragWGSL) {
@@ -40,11 +49,35 @@ export default class SPHOilSystem {
     this.gravity = -0.001;
     this.dt = 1 / 60;
 
-    // Temperature parameters
-    this.thermalExpansion = 0.0;
-    this.thermalConductivity = 0.1;
+    // Random source for spawn jitter; replace with utils.createRandom(seed)
+    // for bit-identical runs (tests, replays)
+    this.random = Math.random;
+
+    // Solid obstacles: (x, y) => null | { x, y, nx, ny, vx?, vy? } surface
+    // point, outward normal and, for moving solids, surface velocity in world
+    // coordinates (ObstacleField.collideWorld, StirringRod.collideWorld)
+    this.obstacleCollider = null;
+
+    // Container wall: (x, y) => null | { x, y, nx, ny } like obstacleCollider,
+    // and (x, y) => how far outside the wall a point is, in world units
+    // (Container.collideWorld / distanceWorld). Null keeps the round dish of
+    // containerRadius.
+    this.containerCollider = null;
+    this.containerDistance = null;
+    // (gl, program) => binds the container.glsl uniforms for the splat
+    // shader's edge fade (kernels/container.js bindContainer)
+    this.containerUniforms = null;
+
+    // Heating: (x, y) => °C/s at a world point (HeatLamp.heatingAtWorld), or null
+    this.heatSource = null;
+
+    // Temperature parameters (updateTemperatures)
+    this.thermalExpansion = 0.004;    // blob spacing grows by this fraction per °C above room
+    this.thermalConductivity = 0.1;   // 1/s toward the neighbours' temperature
+    this.thermalCooling = 0.08;       // 1/s toward room temperature
+    this.thermalViscosity = 0.015;    // inter-particle damping × exp(-k·°C above room)
     this.roomTemperature = 20.0;
-    this.marangoniStrength = 0.0;
+    this.marangoniStrength = 0.0002;  // force per °C/world unit, from hot toward cold
 
     // Particle data (Structure of Arrays for cache efficiency)
     this.particleCount = 0;
@@ -55,6 +88,7 @@ export default class SPHOilSystem {
     this.pressures = new Float32Array(maxParticles);          // p
     this.temperatures = new Float32Array(maxParticles);       // T (Celsius)
     this.nextTemperatures = new Float32Array(maxParticles);
+    this.temperatures.fill(this.roomTemperature);
     this.phases = new Uint8Array(maxParticles);               // 0=water, 1=oil
     this.colors = new Float32Array(maxParticles * 3);         // [r, g, b]
 
@@ -362,11 +396,11 @@ export default class SPHOilSystem {
   /**
    * Render particles to texture using point sprites
    * @param {WebGLFramebuffer} targetFBO - Framebuffer to render into
-   * @param {number} canvasWidth - Canvas width
-   * @param {number} canvasHeight - Canvas height
+   * @param {number} width - Target width (the simulation grid)
+   * @param {number} height - Target height
    */
-  renderParticles(target, canvasWidth, canvasHeight) {
-    if (this.webgpuRenderPipeline && this.webgpuDevice && target instanceof GPUTextureView) {
+  renderParticles(target, width, height) {
+    if (this.webgpuRenderPipeline && this.webgpuDevice && typeof GPUTextureView !== 'undefined' && target instanceof GPUTextureView) {
       // WebGPU rendering path
       this.uploadToGPU();
       const startTime = performance.now();
@@ -425,9 +459,18 @@ export default class SPHOilSystem {
     gl.vertexAttribPointer(densityLoc, 1, gl.FLOAT, false, 0, 0);
 
     // Set uniforms
-    gl.uniform2f(gl.getUniformLocation(this.splatProgram, 'u_resolution'), canvasWidth, canvasHeight);
-    gl.uniform1f(gl.getUniformLocation(this.splatProgram, 'u_containerRadius'), this.containerRadius);
-    gl.uniform1f(gl.getUniformLocation(this.splatProgram, 'u_particleRadius'), this.particleSpriteRadius);
+    const program = this.splatProgram;
+    gl.uniform2f(uniformLocation(gl, program, 'u_resolution'), width, height);
+    gl.uniform1f(uniformLocation(gl, program, 'u_containerRadius'), this.containerRadius);
+    gl.uniform1f(uniformLocation(gl, program, 'u_particleRadius'), this.particleSpriteRadius);
+    gl.uniform1f(uniformLocation(gl, program, 'u_aspect'), width / height);
+    if (this.containerUniforms) {
+      this.containerUniforms(gl, program);
+    } else {
+      // The round dish of containerRadius, half a grid height across
+      gl.uniform1i(uniformLocation(gl, program, 'u_containerShape'), 0);
+      gl.uniform3f(uniformLocation(gl, program, 'u_containerSize'), 0.5, 0.5, 0);
+    }
 
     // Enable pre-multiplied alpha blending for proper color mixing
     // This prevents white accumulation - colors blend like translucent layers
@@ -474,8 +517,8 @@ export default class SPHOilSystem {
       const idx = this.particleCount++;
 
       // Random position in circle
-      const angle = Math.random() * Math.PI * 2;
-      const r = Math.sqrt(Math.random()) * spawnRadius;
+      const angle = this.random() * Math.PI * 2;
+      const r = Math.sqrt(this.random()) * spawnRadius;
       const x = centerX + Math.cos(angle) * r;
       const y = centerY + Math.sin(angle) * r;
 
@@ -491,7 +534,7 @@ export default class SPHOilSystem {
       this.forces[idx * 2 + 1] = 0;
       this.densities[idx] = this.restDensity;
       this.pressures[idx] = 0;
-      this.temperatures[idx] = 60.0; // Default room temperature (was parameter)
+      this.temperatures[idx] = this.roomTemperature;
       this.phases[idx] = 1; // Oil
       this.colors[idx * 3] = color.r;
       this.colors[idx * 3 + 1] = color.g;
@@ -551,8 +594,16 @@ export default class SPHOilSystem {
   sampleVelocityGrid(velocityTexture, gridWidth, gridHeight) {
     if (!this.gl || !velocityTexture) return null;
 
+    const pixels = this.readVelocityPixels(velocityTexture, gridWidth, gridHeight);
+    return this.sampleVelocityPixels(pixels, gridWidth, gridHeight);
+  }
+
+  /**
+   * GPU readback half of sampleVelocityGrid (the only part that touches GL)
+   * @returns {Float32Array} RGBA float pixels, gridWidth * gridHeight * 4
+   */
+  readVelocityPixels(velocityTexture, gridWidth, gridHeight) {
     const gl = this.gl;
-    const gridVelocities = new Float32Array(this.particleCount * 2);
 
     // Read entire velocity texture (TODO: optimize with compute shader)
     const pixels = new Float32Array(gridWidth * gridHeight * 4);
@@ -561,6 +612,17 @@ export default class SPHOilSystem {
     gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, velocityTexture, 0);
     gl.readPixels(0, 0, gridWidth, gridHeight, gl.RGBA, gl.FLOAT, pixels);
     gl.deleteFramebuffer(tempFBO);
+    return pixels;
+  }
+
+  /**
+   * CPU half of sampleVelocityGrid: bilinear-sample an RGBA float grid at
+   * every particle position
+   * @param {Float32Array} pixels - RGBA grid data (RG = velocity)
+   * @returns {Float32Array} [vx, vy] per particle
+   */
+  sampleVelocityPixels(pixels, gridWidth, gridHeight) {
+    const gridVelocities = new Float32Array(this.particleCount * 2);
 
     // Sample at each particle position
     for (let i = 0; i < this.particleCount; i++) {
@@ -748,20 +810,34 @@ export default class SPHOilSystem {
       gl.RGBA, gl.FLOAT, gridData);
   }
 
+  /** Speed of the fastest particle (world units per second) */
+  maxSpeed() {
+    let max2 = 0;
+    for (let i = 0; i < this.particleCount; i++) {
+      const vx = this.velocities[i * 2];
+      const vy = this.velocities[i * 2 + 1];
+      const v2 = vx * vx + vy * vy;
+      if (v2 > max2) max2 = v2;
+    }
+    return Math.sqrt(max2);
+  }
+
   /**
    * Remove particles that are outside the container
    */
   removeOutOfBoundsParticles() {
     let writeIdx = 0;
-    const threshold = this.containerRadius * 1.1; // 10% buffer
+    const buffer = this.containerRadius * 0.1; // 10% buffer
 
     for (let readIdx = 0; readIdx < this.particleCount; readIdx++) {
       const x = this.positions[readIdx * 2];
       const y = this.positions[readIdx * 2 + 1];
-      const distFromCenter = Math.sqrt(x * x + y * y);
+      const outside = this.containerDistance
+        ? this.containerDistance(x, y)
+        : Math.sqrt(x * x + y * y) - this.containerRadius;
 
       // Keep particle if inside container
-      if (distFromCenter < threshold) {
+      if (outside < buffer) {
         if (writeIdx !== readIdx) {
           // Copy particle data to compacted position
           this.positions[writeIdx * 2] = this.positions[readIdx * 2];
@@ -792,19 +868,19 @@ export default class SPHOilSystem {
   /**
    * Main update loop: physics simulation step
    * PHASE 1.6: Add pressure forces for incompressibility
+   * @param {number} dt - seconds
+   * @param {object|null} plate - Simulation.plateState(): the turning plate
+   * @param {Float32Array|null} gridVelocities - Sampled water velocities per particle
    */
-  update(dt, rotationAmount = 0.0, gridVelocities = null) {
+  update(dt, plate = null, gridVelocities = null) {
     // Early exit if no particles
     if (this.particleCount === 0) return;
 
     // STEP 0: Remove particles outside container
     this.removeOutOfBoundsParticles();
 
-    // Store rotation for force computation
-    this.currentRotation = rotationAmount;
-
     // Clamp timestep for stability
-    dt = Math.min(dt, 0.008);
+    dt = Math.min(dt, SPH_MAX_DT);
 
     // PHASE 1/2: Simplified "Blob Physics" pipeline
 
@@ -818,6 +894,8 @@ export default class SPHOilSystem {
 
     // 2. Compute Forces (Cohesion + Repulsion + Drag)
     this.computeBlobForces(dt);
+    // Lamp heating and conduction, with the thermal Marangoni force
+    this.updateTemperatures(dt);
 
     // 3. Apply External Forces
     // Grid Drag (Water -> Oil coupling)
@@ -828,26 +906,9 @@ export default class SPHOilSystem {
     for (let i = 0; i < this.particleCount; i++) {
       this.forces[i * 2 + 1] += this.gravity;
     }
-
-    // Rotation-driven tilt gravity (New "Blob" version of rotation coupling)
-    // Maps rotation to a gentle body force
-    const rotation = this.currentRotation || 0.0;
-    if (Math.abs(rotation) > 1e-6) {
-      const tiltDirX = rotation > 0 ? 0.7 : -0.7;
-      const tiltDirY = 1.0;
-      const len = Math.hypot(tiltDirX, tiltDirY) || 1.0;
-      const nx = tiltDirX / len;
-      const ny = tiltDirY / len;
-
-      // Base force magnitude
-      const base = 25.0;
-
-      for (let i = 0; i < this.particleCount; i++) {
-        // Simple mass-based force
-        const forceMag = Math.sign(rotation) * this.particleMass * base;
-        this.forces[i * 2] += nx * forceMag;
-        this.forces[i * 2 + 1] += ny * forceMag;
-      }
+    // The turning, tilted plate: wall grip, downhill pull and the frame forces in the plate's frame
+    if (plate) {
+      this.applyPlateForces(plate);
     }
 
     // 4. Integrate (Verlet-ish)
@@ -867,6 +928,56 @@ export default class SPHOilSystem {
 
 
 
+  /**
+   * The turning plate acting on the particles, as the forces pass does on the
+   * water (simulation/plate-rotation.js): the no-slip wall pulls particles
+   * beside it toward its tangential speed, and in the plate's own frame every
+   * particle feels the Coriolis, centrifugal and Euler accelerations. A
+   * tilted plate pulls every particle downhill (tilt.js).
+   * @param {object} plate - Simulation.plateState() (screen orientation, y up)
+   */
+  applyPlateForces(plate) {
+    const { omega, alpha, rotatingFrame, wallCoupling, tiltX = 0, tiltY, tiltGravity = 0 } = plateStateWorld(plate);
+    const band = PLATE_WALL_BAND * 2 * this.containerRadius;
+    // uv/s² → world units/s²
+    const downhill = tiltGravity * 2 * this.containerRadius;
+    const distance = (x, y) => (this.containerDistance
+      ? this.containerDistance(x, y)
+      : Math.sqrt(x * x + y * y) - this.containerRadius);
+    const h = 1e-4;
+    const m = this.particleMass;
+
+    for (let i = 0; i < this.particleCount; i++) {
+      const x = this.positions[i * 2];
+      const y = this.positions[i * 2 + 1];
+      const vx = this.velocities[i * 2];
+      const vy = this.velocities[i * 2 + 1];
+
+      if (rotatingFrame) {
+        const a = frameAcceleration(omega, alpha, x, y, vx, vy);
+        this.forces[i * 2] += m * a.x;
+        this.forces[i * 2 + 1] += m * a.y;
+      }
+      this.forces[i * 2] += m * downhill * tiltX;
+      this.forces[i * 2 + 1] += m * downhill * tiltY;
+
+      // Wall band: relax the tangential velocity toward the wall's
+      const depth = -distance(x, y);
+      if (depth >= band || wallCoupling <= 0) continue;
+      const t = clamp(depth / band, 0, 1);
+      const grip = 1 - t * t * (3 - 2 * t);
+      let nx = distance(x + h, y) - distance(x - h, y);
+      let ny = distance(x, y + h) - distance(x, y - h);
+      const length = Math.hypot(nx, ny) || 1;
+      nx /= length;
+      ny /= length;
+      const wall = rotatingFrame ? { x: 0, y: 0 } : plateVelocity(omega, x, y);
+      const slip = (wall.x - vx) * -ny + (wall.y - vy) * nx;
+      this.forces[i * 2] += m * wallCoupling * grip * slip * -ny;
+      this.forces[i * 2 + 1] += m * wallCoupling * grip * slip * nx;
+    }
+  }
+
   /**
    * Rebuild spatial hash grid
    */
@@ -931,13 +1042,15 @@ export default class SPHOilSystem {
 
     // Lennard-Jones-ish potential tuning
     // We want a stable distance around r = 0.6 * h
-    const targetDist = h * 0.6;
+    const baseTargetDist = h * 0.6;
+    const room = this.roomTemperature;
 
     for (let i = 0; i < this.particleCount; i++) {
       const xi = this.positions[i * 2];
       const yi = this.positions[i * 2 + 1];
       const vxi = this.velocities[i * 2];
       const vyi = this.velocities[i * 2 + 1];
+      const ti = this.temperatures[i];
 
       const neighbors = this.spatialHash.query(xi, yi, h);
 
@@ -960,6 +1073,16 @@ export default class SPHOilSystem {
         const nx = dx * invDist; // Normalized direction from j to i
         const ny = dy * invDist;
 
+        // Warm oil expands (wider spacing) and thins (less damping)
+        let targetDist = baseTargetDist;
+        let viscosity = 2.0; // VERY HIGH: Maximum damping for stable blobs
+        const warmth = 0.5 * (ti + this.temperatures[j]) - room;
+        if (warmth !== 0) {
+          const swell = 1 + this.thermalExpansion * warmth;
+          targetDist = baseTargetDist * Math.max(0.5, Math.min(1.5, swell));
+          viscosity *= Math.exp(-this.thermalViscosity * warmth);
+        }
+
         // Force magnitude
         // Positive = Repulsion (push away)
         // Negative = Attraction (pull together)
@@ -986,7 +1109,6 @@ export default class SPHOilSystem {
         const relVel = dvx * nx + dvy * ny; // Relative velocity along normal
 
         // High viscosity coefficient kills oscillation dead
-        const viscosity = 2.0; // VERY HIGH: Maximum damping for stable blobs
         const dampingForce = -viscosity * relVel;
 
         force += dampingForce;
@@ -1000,6 +1122,60 @@ export default class SPHOilSystem {
     }
   }
 
+  /**
+   * Heat exchange for one step: the lamp (heatSource) warms particles under
+   * it, each particle relaxes toward its neighbours' temperature and cools
+   * toward room temperature. The temperature gradient across a blob adds the
+   * thermal Marangoni force, pulling oil from hot toward cold.
+   * Skipped while there is no lamp and every particle is at room temperature.
+   */
+  updateTemperatures(dt) {
+    const n = this.particleCount;
+    const room = this.roomTemperature;
+    let warmest = 0;
+    for (let i = 0; i < n; i++) {
+      warmest = Math.max(warmest, Math.abs(this.temperatures[i] - room));
+    }
+    if (!this.heatSource && warmest < 1e-3) return;
+
+    const h = this.blobInteractionRadius;
+    const h2 = h * h;
+    for (let i = 0; i < n; i++) {
+      const xi = this.positions[i * 2];
+      const yi = this.positions[i * 2 + 1];
+      const ti = this.temperatures[i];
+      let exchange = 0;
+      let weight = 0;
+      let gradX = 0;
+      let gradY = 0;
+      for (const j of this.spatialHash.query(xi, yi, h)) {
+        if (i === j) continue;
+        const dx = this.positions[j * 2] - xi;
+        const dy = this.positions[j * 2 + 1] - yi;
+        const dist2 = dx * dx + dy * dy;
+        if (dist2 > h2 || dist2 < 0.00001) continue;
+        const dist = Math.sqrt(dist2);
+        const w = 1.0 - dist / h;
+        const dT = this.temperatures[j] - ti;
+        exchange += dT * w;
+        weight += w;
+        // dT/dist along the direction to j
+        gradX += dT * dx / dist2 * w;
+        gradY += dT * dy / dist2 * w;
+      }
+
+      let rate = -this.thermalCooling * (ti - room);
+      if (this.heatSource) rate += this.heatSource(xi, yi);
+      if (weight > 0) {
+        rate += this.thermalConductivity * exchange / weight;
+        this.forces[i * 2] -= this.marangoniStrength * gradX / weight;
+        this.forces[i * 2 + 1] -= this.marangoniStrength * gradY / weight;
+      }
+      this.nextTemperatures[i] = ti + rate * dt;
+    }
+    this.temperatures.set(this.nextTemperatures.subarray(0, n));
+  }
+
   /**
    * Shared logic for applying damping, velocity caps, and updating positions
    */
@@ -1132,7 +1308,7 @@ export default class SPHOilSystem {
   }
 
   /**
-   * Enforce circular container boundary (bounce particles back)
+   * Enforce the container wall and obstacles (bounce particles back)
    */
   enforceBoundaries() {
     for (let i = 0; i < this.particleCount; i++) {
@@ -1140,7 +1316,22 @@ export default class SPHOilSystem {
       let y = this.positions[i * 2 + 1];
       const dist = Math.sqrt(x * x + y * y);
 
-      if (dist > this.containerRadius) {
+      if (this.containerCollider) {
+        const hit = this.containerCollider(x, y);
+        if (hit) {
+          x = hit.x;
+          y = hit.y;
+          this.positions[i * 2] = x;
+          this.positions[i * 2 + 1] = y;
+          // Same bounce as the round wall, off the wall's own normal
+          const damping = 0.5;
+          const vx = this.velocities[i * 2];
+          const vy = this.velocities[i * 2 + 1];
+          const dot = vx * hit.nx + vy * hit.ny;
+          this.velocities[i * 2] = (vx - 2 * dot * hit.nx) * damping;
+          this.velocities[i * 2 + 1] = (vy - 2 * dot * hit.ny) * damping;
+        }
+      } else if (dist > this.containerRadius) {
         // Push particle back inside
         const factor = this.containerRadius / dist;
         x *= factor;
@@ -1158,7 +1349,77 @@ export default class SPHOilSystem {
         this.velocities[i * 2] = (vx - 2 * dot * nx) * damping;
         this.velocities[i * 2 + 1] = (vy - 2 * dot * ny) * damping;
       }
+
+      if (this.obstacleCollider) {
+        const hit = this.obstacleCollider(x, y);
+        if (hit) {
+          this.positions[i * 2] = hit.x;
+          this.positions[i * 2 + 1] = hit.y;
+          // Reflect only when moving into the obstacle, same damping as the
+          // wall; moving solids (the stirring rod) reflect in their own frame
+          const svx = hit.vx || 0;
+          const svy = hit.vy || 0;
+          const vx = this.velocities[i * 2] - svx;
+          const vy = this.velocities[i * 2 + 1] - svy;
+          const dot = vx * hit.nx + vy * hit.ny;
+          if (dot < 0) {
+            const damping = 0.5;
+            this.velocities[i * 2] = svx + (vx - 2 * dot * hit.nx) * damping;
+            this.velocities[i * 2 + 1] = svy + (vy - 2 * dot * hit.ny) * damping;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Write live particles and tunables to a scene snapshot
+   * @param {SnapshotWriter} writer
+   */
+  serialize(writer) {
+    const n = this.particleCount;
+    writer.set('sph', {
+      particleCount: n,
+      params: collectParams(this, SNAPSHOT_EXCLUDED_PARAMS)
+    });
+    writer.addArray('sph.positions', this.positions.subarray(0, n * 2));
+    writer.addArray('sph.velocities', this.velocities.subarray(0, n * 2));
+    writer.addArray('sph.colors', this.colors.subarray(0, n * 3));
+    writer.addArray('sph.temperatures', this.temperatures.subarray(0, n));
+    writer.addArray('sph.densities', this.densities.subarray(0, n));
+    writer.addArray('sph.phases', this.phases.subarray(0, n));
+  }
+
+  /**
+   * Replace all particles with the ones stored in a scene snapshot
+   * @param {SnapshotReader} reader
+   */
+  restore(reader) {
+    const meta = reader.get('sph');
+    if (!meta) return;
+    applyParams(this, meta.params, SNAPSHOT_EXCLUDED_PARAMS);
+
+    const n = Math.min(meta.particleCount | 0, this.maxParticles);
+    if (n < meta.particleCount) {
+      console.warn(`⚠️ SPH restore: snapshot has ${meta.particleCount} particles, keeping first ${n}`);
     }
+    const copy = (name, target, stride) => {
+      const src = reader.getArray(name);
+      if (src) target.set(src.subarray(0, n * stride));
+    };
+    copy('sph.positions', this.positions, 2);
+    copy('sph.velocities', this.velocities, 2);
+    copy('sph.colors', this.colors, 3);
+    copy('sph.temperatures', this.temperatures, 1);
+    copy('sph.densities', this.densities, 1);
+    copy('sph.phases', this.phases, 1);
+
+    // Derived per-frame state is rebuilt by the next update()
+    this.forces.fill(0, 0, n * 2);
+    this.pressures.fill(0, 0, n);
+    this.xsphCorr.fill(0, 0, n * 2);
+    this.particleCount = n;
+    this.updateSpatialHash();
   }
 
   /**
@@ -0,0 +1,127 @@
+/**
+ * Stirring rod: a moving solid disc dragged through the plate
+ *
+ * The stick or pipette tip a light-show artist stirs with. The rod chases the
+ * pointer through a stiff spring-damper instead of jumping to it, so it always
+ * has a velocity the fluids can feel:
+ *
+ *   - water: cells under the rod take its velocity before and after the
+ *     pressure projection (kernels/stir.js), a moving-boundary condition that
+ *     sends the water around it and leaves a clean wake
+ *   - oil: SPH particles inside the footprint are put back on its surface and
+ *     take the surface velocity (collideWorld), so the rod cuts blobs in two
+ *   - back on the rod: every particle pushed out shoves the rod the other way,
+ *     so it drags through thick oil instead of gliding
+ *
+ * Positions are texture coordinates (uv, y up) and velocities uv per second,
+ * as on the water grid; the radius is in units of the grid height, like an
+ * obstacle disc.
+ */
+
+import { collideObstacle } from './obstacles.js';
+
+export default class StirringRod {
+  constructor({ radius = 0.025, stiffness = 400, damping = 40, particleMass = 0.004, maxSpeed = 4 } = {}) {
+    this.radius = radius;
+    this.stiffness = stiffness;       // pull toward the pointer (1/s²)
+    this.damping = damping;           // 1/s; 2·√stiffness is critical
+    this.particleMass = particleMass; // one oil particle relative to the rod
+    this.maxSpeed = maxSpeed;         // uv/s
+    this.active = false;
+    this.x = 0.5;
+    this.y = 0.5;
+    this.vx = 0;
+    this.vy = 0;
+    this.targetX = 0.5;
+    this.targetY = 0.5;
+    // Displacement handed to oil particles since the last step (uv)
+    this.pushX = 0;
+    this.pushY = 0;
+  }
+
+  /** Put the rod into the plate at a point, at rest */
+  grab(x, y) {
+    this.active = true;
+    this.x = this.targetX = x;
+    this.y = this.targetY = y;
+    this.vx = this.vy = 0;
+    this.pushX = this.pushY = 0;
+  }
+
+  /** Where the pointer is now; the rod follows on the next steps */
+  moveTo(x, y) {
+    this.targetX = x;
+    this.targetY = y;
+  }
+
+  /** Lift the rod out of the plate */
+  release() {
+    this.active = false;
+    this.vx = this.vy = 0;
+  }
+
+  /**
+   * Advance the rod: the oil's reaction first, then the spring toward the
+   * pointer (semi-implicit Euler, stable for stiffness·dt² well below 4)
+   */
+  step(dt) {
+    if (!this.active || !(dt > 0)) return;
+    // A particle moved by d picked up roughly d/dt of velocity; the rod loses
+    // that momentum in proportion to the mass ratio
+    this.vx -= this.pushX * this.particleMass / dt;
+    this.vy -= this.pushY * this.particleMass / dt;
+    this.pushX = this.pushY = 0;
+
+    this.vx += (this.stiffness * (this.targetX - this.x) - this.damping * this.vx) * dt;
+    this.vy += (this.stiffness * (this.targetY - this.y) - this.damping * this.vy) * dt;
+    const speed = Math.hypot(this.vx, this.vy);
+    if (speed > this.maxSpeed) {
+      this.vx *= this.maxSpeed / speed;
+      this.vy *= this.maxSpeed / speed;
+    }
+    this.x += this.vx * dt;
+    this.y += this.vy * dt;
+  }
+
+  /** The rod's footprint as an obstacle disc */
+  get shape() {
+    return { type: 'disc', x: this.x, y: this.y, radius: this.radius };
+  }
+
+  /**
+   * Push a uv point out of the rod
+   * @returns {{x: number, y: number, nx: number, ny: number, vx: number, vy: number}|null}
+   *   the point just outside the surface, the outward normal and the surface
+   *   velocity (uv/s), or null when the rod is lifted or the point is outside
+   */
+  collide(x, y, aspect = 1) {
+    if (!this.active) return null;
+    const contact = collideObstacle(this.shape, x, y, aspect);
+    if (!contact) return null;
+    // Step just past the surface, as ObstacleField.collide does
+    const hx = contact.x + contact.nx * 1e-4 / aspect;
+    const hy = contact.y + contact.ny * 1e-4;
+    this.pushX += hx - x;
+    this.pushY += hy - y;
+    return { x: hx, y: hy, nx: contact.nx, ny: contact.ny, vx: this.vx, vy: this.vy };
+  }
+
+  /**
+   * collide() in SPH world coordinates (see ObstacleField.collideWorld);
+   * the surface velocity comes back in world units per second
+   */
+  collideWorld(x, y, containerRadius) {
+    if (!this.active) return null;
+    const scale = 2 * containerRadius;
+    const hit = this.collide(0.5 + x / scale, 0.5 - y / scale);
+    if (!hit) return null;
+    return {
+      x: (hit.x - 0.5) * scale,
+      y: (0.5 - hit.y) * scale,
+      nx: hit.nx,
+      ny: -hit.ny,
+      vx: hit.vx * scale,
+      vy: -hit.vy * scale
+    };
+  }
+}
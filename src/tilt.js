@@ -0,0 +1,175 @@
+/**
+ * Plate tilt input
+ *
+ * Tilting a real dish turns part of gravity into the plate's plane: the oil
+ * slides downhill and warm water rises uphill. The tilt is a vector in the
+ * plate's plane (uv, y up) pointing downhill, its length the slope as a
+ * fraction of TILT_MAX_DEGREES, clamped to the unit disc. TiltInput reads it
+ * from its sources once per step and the Controller hands it to
+ * Simulation.setTilt.
+ *
+ * Sources are injectable: anything with
+ *   read() → {x, y} | null     (null: no reading yet)
+ *   calibrate()                (optional: take the current pose as level)
+ *   stop()                     (optional: called on removal)
+ * works, so tests can drive TiltInput with fixed vectors instead of sensors.
+ * createDeviceOrientationSource() wraps the DeviceOrientation API (tablets,
+ * phones); createGamepadSource() polls the Gamepad API's left stick.
+ * Several sources add up.
+ */
+
+// Slope that counts as a full tilt
+export const TILT_MAX_DEGREES = 30;
+
+// Stick travel ignored around the centre (worn sticks don't rest at 0)
+export const GAMEPAD_DEADZONE = 0.15;
+
+const DEGREES = Math.PI / 180;
+
+/** Scale a vector back onto the unit disc if it is longer */
+export function clampTilt(x, y) {
+    const length = Math.hypot(x, y);
+    return length > 1 ? { x: x / length, y: y / length } : { x, y };
+}
+
+/**
+ * Tilt from device orientation angles, relative to the pose taken as level.
+ * gamma > 0 tips the right edge down, beta > 0 lifts the top edge; the
+ * vector is rotated with the screen (screen.orientation.angle) so downhill
+ * stays downhill in landscape.
+ * @param {number} beta - degrees, front-back
+ * @param {number} gamma - degrees, left-right
+ * @param {{beta: number, gamma: number}} rest - the level pose
+ * @param {number} screenAngle - degrees
+ * @returns {{x: number, y: number}}
+ */
+export function tiltFromOrientation(beta, gamma, rest = { beta: 0, gamma: 0 }, screenAngle = 0) {
+    const full = Math.sin(TILT_MAX_DEGREES * DEGREES);
+    const x = Math.sin((gamma - rest.gamma) * DEGREES) / full;
+    const y = -Math.sin((beta - rest.beta) * DEGREES) / full;
+    const a = screenAngle * DEGREES;
+    return clampTilt(x * Math.cos(a) - y * Math.sin(a), x * Math.sin(a) + y * Math.cos(a));
+}
+
+/**
+ * Tilt from an analog stick (axes in -1..1, y down as the Gamepad API
+ * reports them), with a radial dead zone and the rest of the travel rescaled
+ * @returns {{x: number, y: number}}
+ */
+export function stickTilt(axisX, axisY, deadzone = GAMEPAD_DEADZONE) {
+    const length = Math.hypot(axisX, axisY);
+    if (length <= deadzone) return { x: 0, y: 0 };
+    const scale = Math.min(1, (length - deadzone) / (1 - deadzone)) / length;
+    return { x: axisX * scale, y: -axisY * scale };
+}
+
+/**
+ * DeviceOrientation tilt source. The pose the device is in at the first
+ * reading counts as level, so a tablet held at an angle starts flat;
+ * calibrate() re-levels it. iOS asks for permission, which must come from a
+ * user gesture (a menu click).
+ * @returns {Promise<{read: Function, calibrate: Function, stop: Function}>}
+ *   rejects if the API is unavailable or permission is denied
+ */
+export async function createDeviceOrientationSource(win = globalThis.window) {
+    if (!win || typeof win.DeviceOrientationEvent === 'undefined') {
+        throw new Error('Device orientation is not supported in this browser');
+    }
+    const OrientationEvent = win.DeviceOrientationEvent;
+    if (typeof OrientationEvent.requestPermission === 'function') {
+        const state = await OrientationEvent.requestPermission();
+        if (state !== 'granted') throw new Error('Device orientation permission was denied');
+    }
+    let latest = null;
+    let rest = null;
+    const handler = (e) => {
+        if (e.beta === null || e.gamma === null) return;
+        latest = { beta: e.beta, gamma: e.gamma };
+        if (!rest) rest = latest;
+    };
+    win.addEventListener('deviceorientation', handler);
+    return {
+        read() {
+            if (!latest) return null;
+            const angle = win.screen?.orientation?.angle ?? win.orientation ?? 0;
+            return tiltFromOrientation(latest.beta, latest.gamma, rest, angle);
+        },
+        calibrate() {
+            rest = latest;
+        },
+        stop() {
+            win.removeEventListener('deviceorientation', handler);
+        }
+    };
+}
+
+/**
+ * Gamepad tilt source: the left stick of the first connected pad, polled
+ * on read() (the Gamepad API has no change events for axes)
+ * @returns {{read: Function}}
+ * @throws {Error} if the Gamepad API is unavailable
+ */
+export function createGamepadSource(nav = globalThis.navigator, { deadzone = GAMEPAD_DEADZONE } = {}) {
+    if (!nav || typeof nav.getGamepads !== 'function') {
+        throw new Error('The Gamepad API is not supported in this browser');
+    }
+    return {
+        read() {
+            const pad = Array.from(nav.getGamepads() || []).find((p) => p && p.connected && p.axes.length >= 2);
+            return pad ? stickTilt(pad.axes[0], pad.axes[1], deadzone) : null;
+        }
+    };
+}
+
+export default class TiltInput {
+    constructor() {
+        this.sources = new Map();   // name → source
+    }
+
+    /** Attach a source under a name (see module header), replacing any previous one */
+    addSource(name, source) {
+        this.removeSource(name);
+        this.sources.set(name, source);
+        console.log(`📐 Tilt input: ${name}`);
+    }
+
+    removeSource(name) {
+        const source = this.sources.get(name);
+        if (!source) return;
+        if (source.stop) source.stop();
+        this.sources.delete(name);
+    }
+
+    has(name) {
+        return this.sources.has(name);
+    }
+
+    get active() {
+        return this.sources.size > 0;
+    }
+
+    /**
+     * The sources' tilts added up and clamped to the unit disc
+     * @returns {{x: number, y: number}|null} null while no source has a reading
+     */
+    read() {
+        let x = 0;
+        let y = 0;
+        let any = false;
+        for (const source of this.sources.values()) {
+            const tilt = source.read();
+            if (!tilt) continue;
+            x += tilt.x;
+            y += tilt.y;
+            any = true;
+        }
+        return any ? clampTilt(x, y) : null;
+    }
+
+    /** Take every source's current pose as level */
+    calibrate() {
+        for (const source of this.sources.values()) {
+            if (source.calibrate) source.calibrate();
+        }
+    }
+}
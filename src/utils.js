@@ -1,17 +1,94 @@
 export async function loadShader(url) {
-    // Allow calls like 'src/shaders/xyz.glsl' to work from both index.html (root)
-    // and tests/test-runner.html (in /tests). When under /tests/, prefix '../'.
-    let path = url;
+    const response = await fetch(shaderPath(url));
+    return resolveIncludes(await response.text(), url);
+}
+
+// Allow calls like 'src/shaders/xyz.glsl' to work from both index.html (root)
+// and tests/test-runner.html (in /tests). When under /tests/, prefix '../'.
+function shaderPath(url) {
     try {
         const inTests = typeof window !== 'undefined' && window.location && window.location.pathname.includes('/tests/');
         if (!url.startsWith('/') && inTests && !url.startsWith('../')) {
-            path = '../' + url;
+            return '../' + url;
         }
     } catch (_) {}
-    const response = await fetch(path);
-    return await response.text();
+    return url;
+}
+
+// `#include "container.glsl"` on a line of its own pulls in a shared chunk
+// from the same folder
+const INCLUDE = /^#include "([\w.-]+)"\s*$/m;
+
+async function resolveIncludes(source, url) {
+    const folder = url.slice(0, url.lastIndexOf('/') + 1);
+    let match;
+    while ((match = source.match(INCLUDE))) {
+        const response = await fetch(shaderPath(folder + match[1]));
+        const chunk = await response.text();
+        source = source.slice(0, match.index) + chunk + source.slice(match.index + match[0].length);
+    }
+    return source;
 }
 
 export function clamp(value, min, max) {
     return Math.max(min, Math.min(max, value));
 }
+
+/**
+ * Seeded PRNG (mulberry32) with the same contract as Math.random():
+ * uniform floats in [0, 1). Same seed → same sequence on every platform.
+ */
+export function createRandom(seed = 1) {
+    let state = (seed >>> 0) || 0x9e3779b9;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Default wall clock in milliseconds (performance.now when available)
+ */
+export function systemClock() {
+    return (typeof performance !== 'undefined' && performance.now) ? performance.now() : Date.now();
+}
+
+/**
+ * Escape text for interpolation into innerHTML templates (user-provided names)
+ */
+export function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+/**
+ * Flip an RGBA buffer from GL's bottom-up row order to top-down (in place)
+ */
+export function flipRows(data, width, height) {
+    const rowBytes = width * 4;
+    const row = new Uint8Array(rowBytes);
+    for (let top = 0, bottom = height - 1; top < bottom; top++, bottom--) {
+        const a = top * rowBytes;
+        const b = bottom * rowBytes;
+        row.set(data.subarray(a, a + rowBytes));
+        data.copyWithin(a, b, b + rowBytes);
+        data.set(row, b);
+    }
+    return data;
+}
+
+/**
+ * Simulation grid size for a canvas. `fixedSize` (cells on the long side,
+ * 0 = off) takes precedence over `scale`; the grid keeps the canvas aspect
+ * and never exceeds the canvas.
+ */
+export function simGridSize(canvasWidth, canvasHeight, { scale = 1, fixedSize = 0 } = {}) {
+    const longSide = Math.max(1, canvasWidth, canvasHeight);
+    const factor = fixedSize > 0 ? Math.min(1, fixedSize / longSide) : clamp(scale, 0.1, 1);
+    return {
+        width: Math.max(1, Math.round(canvasWidth * factor)),
+        height: Math.max(1, Math.round(canvasHeight * factor))
+    };
+}
@@ -0,0 +1,213 @@
+/**
+ * Minimal WebM (Matroska/EBML) writer for a single video track.
+ *
+ * WebCodecs gives us encoded VP8/VP9 chunks but no container. This writes
+ * just enough of one for browsers and ffmpeg to play and seek: EBML header,
+ * Segment Info (with duration), one TrackEntry and Clusters of SimpleBlocks.
+ * A new Cluster starts at every key frame (and before the 16-bit relative
+ * timecode would overflow), so callers should request key frames regularly.
+ *
+ * Everything is kept as a list of byte chunks; finish() returns them in file
+ * order, ready for `new Blob(parts, { type: 'video/webm' })`.
+ */
+
+const IDS = {
+    EBML: 0x1A45DFA3,
+    EBMLVersion: 0x4286,
+    EBMLReadVersion: 0x42F7,
+    EBMLMaxIDLength: 0x42F2,
+    EBMLMaxSizeLength: 0x42F3,
+    DocType: 0x4282,
+    DocTypeVersion: 0x4287,
+    DocTypeReadVersion: 0x4285,
+    Segment: 0x18538067,
+    Info: 0x1549A966,
+    TimecodeScale: 0x2AD7B1,
+    Duration: 0x4489,
+    MuxingApp: 0x4D80,
+    WritingApp: 0x5741,
+    Tracks: 0x1654AE6B,
+    TrackEntry: 0xAE,
+    TrackNumber: 0xD7,
+    TrackUID: 0x73C5,
+    TrackType: 0x83,
+    CodecID: 0x86,
+    DefaultDuration: 0x23E383,
+    Video: 0xE0,
+    PixelWidth: 0xB0,
+    PixelHeight: 0xBA,
+    Cluster: 0x1F43B675,
+    Timecode: 0xE7,
+    SimpleBlock: 0xA3
+};
+
+// Timecodes are in milliseconds (TimecodeScale = 1e6 ns)
+const TIMECODE_SCALE = 1000000;
+const MAX_RELATIVE_TIMECODE = 32767;
+
+export const WEBM_IDS = IDS;
+
+function idBytes(id) {
+    const bytes = [];
+    for (let v = id; v > 0; v = Math.floor(v / 256)) bytes.unshift(v & 0xff);
+    return Uint8Array.from(bytes);
+}
+
+/** EBML variable-length size: smallest width whose all-ones value is not reached */
+export function encodeSize(size) {
+    for (let length = 1; length <= 8; length++) {
+        if (size < 2 ** (7 * length) - 1) {
+            const bytes = new Uint8Array(length);
+            let v = size;
+            for (let i = length - 1; i >= 0; i--) {
+                bytes[i] = v % 256;
+                v = Math.floor(v / 256);
+            }
+            bytes[0] |= 0x80 >> (length - 1);
+            return bytes;
+        }
+    }
+    throw new Error(`WebM: element too large (${size} bytes)`);
+}
+
+function uintBytes(value) {
+    const bytes = [];
+    let v = value;
+    do {
+        bytes.unshift(v % 256);
+        v = Math.floor(v / 256);
+    } while (v > 0);
+    return Uint8Array.from(bytes);
+}
+
+function floatBytes(value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return bytes;
+}
+
+function stringBytes(value) {
+    return new TextEncoder().encode(value);
+}
+
+/**
+ * An element node: { parts, size }. Children are byte arrays or nodes;
+ * payloads are never copied, only referenced.
+ */
+function element(id, children) {
+    const parts = [];
+    let size = 0;
+    for (const child of Array.isArray(children) ? children : [children]) {
+        if (child instanceof Uint8Array) {
+            parts.push(child);
+            size += child.length;
+        } else {
+            parts.push(...child.parts);
+            size += child.size;
+        }
+    }
+    const header = [idBytes(id), encodeSize(size)];
+    return {
+        parts: [...header, ...parts],
+        size: header[0].length + header[1].length + size
+    };
+}
+
+export default class WebMWriter {
+    /**
+     * @param {object} opts
+     *  - width, height: frame size in pixels
+     *  - codec: Matroska codec ID ('V_VP9' or 'V_VP8')
+     *  - frameRate: nominal fps (sets DefaultDuration and the last frame's length)
+     *  - writingApp: stored in Segment Info
+     */
+    constructor({ width, height, codec = 'V_VP9', frameRate = null, writingApp = 'liquid-light-sim' }) {
+        if (!(width > 0 && height > 0)) {
+            throw new Error('WebM: width and height are required');
+        }
+        this.width = width;
+        this.height = height;
+        this.codec = codec;
+        this.frameRate = frameRate;
+        this.writingApp = writingApp;
+        this.clusters = [];     // { timecode, blocks: [node] }
+        this.lastTimestamp = -1;
+        this.frameCount = 0;
+    }
+
+    /**
+     * @param {Uint8Array} data - One encoded frame
+     * @param {number} timestamp - Milliseconds from the start
+     * @param {boolean} keyFrame
+     */
+    addFrame(data, timestamp, keyFrame) {
+        if (this.clusters.length === 0 && !keyFrame) {
+            throw new Error('WebM: the first frame must be a key frame');
+        }
+        if (timestamp < this.lastTimestamp) {
+            throw new Error('WebM: timestamps must not go backwards');
+        }
+        let cluster = this.clusters[this.clusters.length - 1];
+        if (!cluster || keyFrame || timestamp - cluster.timecode > MAX_RELATIVE_TIMECODE) {
+            cluster = { timecode: Math.round(timestamp), blocks: [] };
+            this.clusters.push(cluster);
+        }
+        const relative = Math.round(timestamp) - cluster.timecode;
+        // Track number (vint 1), int16 relative timecode, flags (0x80 = key frame)
+        const header = Uint8Array.of(0x81, (relative >> 8) & 0xff, relative & 0xff, keyFrame ? 0x80 : 0x00);
+        cluster.blocks.push(element(IDS.SimpleBlock, [header, data]));
+        this.lastTimestamp = timestamp;
+        this.frameCount++;
+    }
+
+    /** Duration in milliseconds (last frame included) */
+    get duration() {
+        if (this.frameCount === 0) return 0;
+        return this.lastTimestamp + (this.frameRate ? 1000 / this.frameRate : 0);
+    }
+
+    /**
+     * @returns {Uint8Array[]} the file, in order
+     */
+    finish() {
+        const header = element(IDS.EBML, [
+            element(IDS.EBMLVersion, uintBytes(1)),
+            element(IDS.EBMLReadVersion, uintBytes(1)),
+            element(IDS.EBMLMaxIDLength, uintBytes(4)),
+            element(IDS.EBMLMaxSizeLength, uintBytes(8)),
+            element(IDS.DocType, stringBytes('webm')),
+            element(IDS.DocTypeVersion, uintBytes(2)),
+            element(IDS.DocTypeReadVersion, uintBytes(2))
+        ]);
+
+        const info = element(IDS.Info, [
+            element(IDS.TimecodeScale, uintBytes(TIMECODE_SCALE)),
+            element(IDS.MuxingApp, stringBytes('liquid-light-sim webm.js')),
+            element(IDS.WritingApp, stringBytes(this.writingApp)),
+            element(IDS.Duration, floatBytes(this.duration))
+        ]);
+
+        const trackFields = [
+            element(IDS.TrackNumber, uintBytes(1)),
+            element(IDS.TrackUID, uintBytes(1)),
+            element(IDS.TrackType, uintBytes(1)), // video
+            element(IDS.CodecID, stringBytes(this.codec))
+        ];
+        if (this.frameRate) {
+            trackFields.push(element(IDS.DefaultDuration, uintBytes(Math.round(1e9 / this.frameRate))));
+        }
+        trackFields.push(element(IDS.Video, [
+            element(IDS.PixelWidth, uintBytes(this.width)),
+            element(IDS.PixelHeight, uintBytes(this.height))
+        ]));
+        const tracks = element(IDS.Tracks, element(IDS.TrackEntry, trackFields));
+
+        const clusters = this.clusters.map((cluster) => element(IDS.Cluster, [
+            element(IDS.Timecode, uintBytes(cluster.timecode)),
+            ...cluster.blocks
+        ]));
+
+        const segment = element(IDS.Segment, [info, tracks, ...clusters]);
+        return [...header.parts, ...segment.parts];
+    }
+}
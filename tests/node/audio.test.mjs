@@ -0,0 +1,142 @@
+/**
+ * Audio modulation: band energies, onsets and BPM from synthetic PCM, and
+ * routing of those features onto controller targets.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzePCM, createBufferSource, ModulationBus } from '../../src/audio.js';
+import { createRandom } from './harness.mjs';
+
+const SAMPLE_RATE = 44100;
+
+function sine(freq, seconds, amplitude = 0.5) {
+  const pcm = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+  for (let i = 0; i < pcm.length; i++) pcm[i] = amplitude * Math.sin(2 * Math.PI * freq * i / SAMPLE_RATE);
+  return pcm;
+}
+
+/** Short decaying noise bursts every 60/bpm seconds over near-silence */
+function clickTrack(bpm, seconds, seed = 1) {
+  const random = createRandom(seed);
+  const pcm = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+  for (let i = 0; i < pcm.length; i++) pcm[i] = (random() * 2 - 1) * 0.001;
+  const period = Math.round(SAMPLE_RATE * 60 / bpm);
+  const clickLength = Math.round(SAMPLE_RATE * 0.02);
+  for (let start = 0; start < pcm.length; start += period) {
+    for (let i = 0; i < clickLength && start + i < pcm.length; i++) {
+      pcm[start + i] += (random() * 2 - 1) * 0.8 * (1 - i / clickLength);
+    }
+  }
+  return pcm;
+}
+
+function createFakeController() {
+  return {
+    simulation: {
+      rotationDelta: 0.2,         // a key held down
+      rotationAudio: 0,
+      wobbles: [],
+      random: createRandom(3),
+      setRotationDelta(v) { this.rotationDelta = v; },
+      setRotationAudio(v) { this.rotationAudio = v; },
+      addWobble(x, y) { this.wobbles.push([x, y]); }
+    },
+    lightRotationSpeed: 1.0,
+    jets: [],
+    fireJetRing(x, y, strength) { this.jets.push({ x, y, strength }); },
+    setRotationDelta() { throw new Error('audio rotation is not user input'); }
+  };
+}
+
+test('band energies follow the dominant frequency', () => {
+  const low = analyzePCM(sine(100, 1), SAMPLE_RATE).at(-1);
+  assert.ok(low.bands.bass > 0.9, `bass ${low.bands.bass}`);
+  assert.ok(low.bands.treble < 0.05, `treble ${low.bands.treble}`);
+
+  const high = analyzePCM(sine(4000, 1), SAMPLE_RATE).at(-1);
+  assert.ok(high.bands.treble > 0.9, `treble ${high.bands.treble}`);
+  assert.ok(high.bands.bass < 0.05, `bass ${high.bands.bass}`);
+});
+
+test('silence and steady tones produce no onsets', () => {
+  assert.equal(analyzePCM(new Float32Array(SAMPLE_RATE), SAMPLE_RATE).filter((f) => f.onset).length, 0);
+  // Skip the first frames where the tone itself starts
+  const frames = analyzePCM(sine(440, 2), SAMPLE_RATE).slice(5);
+  assert.equal(frames.filter((f) => f.onset).length, 0);
+});
+
+test('clicks are detected as onsets and give the right tempo', () => {
+  for (const bpm of [90, 120, 150]) {
+    const frames = analyzePCM(clickTrack(bpm, 10), SAMPLE_RATE);
+    const onsets = frames.filter((f) => f.onset).length;
+    const expected = Math.floor(10 * bpm / 60);
+    assert.ok(Math.abs(onsets - expected) <= 2, `${bpm} BPM: ${onsets} onsets, expected ~${expected}`);
+    const estimate = frames.at(-1).bpm;
+    assert.ok(Math.abs(estimate - bpm) <= 3, `${bpm} BPM estimated as ${estimate}`);
+  }
+});
+
+test('routings drive rotation, jets, wobble and light speed', () => {
+  const controller = createFakeController();
+  const bus = new ModulationBus(controller, {
+    routings: [
+      { input: 'bass', target: 'rotation', gain: 0.1, smoothing: 0.0, threshold: 0.0 },
+      { input: 'onset', target: 'jet', gain: 1.0, threshold: 0.5 },
+      { input: 'onset', target: 'wobble', gain: 10.0, threshold: 0.5 },
+      { input: 'treble', target: 'lightSpeed', gain: 2.0, threshold: 0.0 }
+    ]
+  });
+
+  // Bass-heavy clicks
+  const pcm = clickTrack(120, 4);
+  const tone = sine(80, 4, 0.3);
+  for (let i = 0; i < pcm.length; i++) pcm[i] += tone[i];
+
+  bus.start(createBufferSource(pcm, SAMPLE_RATE, 1024));
+  const frames = Math.floor(pcm.length / 1024);
+  for (let i = 0; i < frames; i++) bus.update();
+
+  assert.ok(controller.simulation.rotationAudio > 0.05, `rotationAudio ${controller.simulation.rotationAudio}`);
+  assert.equal(controller.simulation.rotationDelta, 0.2);   // the key's rotation is left alone
+  assert.ok(controller.jets.length >= 6, `${controller.jets.length} jets`);
+  assert.equal(controller.simulation.wobbles.length, controller.jets.length);
+  for (const jet of controller.jets) {
+    assert.ok(Math.hypot(jet.x - 0.5, jet.y - 0.5) <= 0.25 + 1e-9);
+    assert.equal(jet.strength, 60.0);
+  }
+  assert.ok(controller.lightRotationSpeed >= 1.0);
+
+  bus.stop();
+  assert.equal(controller.simulation.rotationAudio, 0);
+  assert.equal(controller.simulation.rotationDelta, 0.2);
+  assert.equal(controller.lightRotationSpeed, 1.0); // restored baseline
+});
+
+test('threshold, cooldown and smoothing gate trigger routings', () => {
+  const controller = createFakeController();
+  const bus = new ModulationBus(controller, {
+    routings: [{ input: 'level', target: 'jet', gain: 1.0, threshold: 0.2, cooldown: 1.0 }]
+  });
+  const frame = (time, level) => bus.process({ time, level, bands: {}, flux: 0, onset: false, bpm: 0 });
+
+  frame(0.0, 0.1);          // below threshold
+  frame(0.1, 0.5);          // fires
+  frame(0.2, 0.5);          // still above: no retrigger without falling back
+  frame(0.3, 0.0);          // re-arm
+  frame(0.4, 0.5);          // inside cooldown
+  frame(0.5, 0.0);
+  frame(1.2, 0.5);          // fires again
+  assert.equal(controller.jets.length, 2);
+
+  const smooth = new ModulationBus(createFakeController(), {
+    routings: [{ input: 'level', target: 'rotation', gain: 1.0, smoothing: 0.9 }]
+  });
+  smooth.process({ time: 0, level: 1.0, bands: {}, flux: 0, onset: false, bpm: 0 });
+  assert.ok(Math.abs(smooth.controller.simulation.rotationAudio - 0.1) < 1e-9);
+});
+
+test('unknown inputs or targets are rejected', () => {
+  assert.throws(() => new ModulationBus(createFakeController(), { routings: [{ input: 'sub', target: 'rotation' }] }));
+  assert.throws(() => new ModulationBus(createFakeController(), { routings: [{ input: 'bass', target: 'zoom' }] }));
+});
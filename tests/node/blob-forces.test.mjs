@@ -0,0 +1,84 @@
+/**
+ * computeBlobForces: every pair interaction (cohesion, repulsion and the
+ * relative-velocity damping term) is equal and opposite, so internal forces
+ * must sum to zero and leave total momentum unchanged.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createSystem, scatterParticles } from './harness.mjs';
+
+function forceTotals(sph) {
+  let sumX = 0;
+  let sumY = 0;
+  let magnitude = 0;
+  for (let i = 0; i < sph.particleCount; i++) {
+    const fx = sph.forces[i * 2];
+    const fy = sph.forces[i * 2 + 1];
+    sumX += fx;
+    sumY += fy;
+    magnitude += Math.hypot(fx, fy);
+  }
+  return { sumX, sumY, magnitude };
+}
+
+function prepare(seed, count, radius, speed) {
+  const sph = createSystem(seed);
+  scatterParticles(sph, count, radius, speed);
+  sph.updateSpatialHash();
+  sph.forces.fill(0);
+  return sph;
+}
+
+for (const [label, radius] of [['dense blob', 0.08], ['sparse field', 0.4]]) {
+  test(`net internal force is zero (${label})`, () => {
+    const sph = prepare(21, 600, radius, 0.2);
+    sph.computeBlobForces(1 / 60);
+
+    const { sumX, sumY, magnitude } = forceTotals(sph);
+    assert.ok(magnitude > 0, 'expected some pair interactions');
+    // Float32 accumulation noise only
+    const tolerance = magnitude * 1e-5;
+    assert.ok(Math.abs(sumX) <= tolerance, `Σfx = ${sumX} (|f| total ${magnitude})`);
+    assert.ok(Math.abs(sumY) <= tolerance, `Σfy = ${sumY} (|f| total ${magnitude})`);
+  });
+}
+
+test('total momentum is unchanged by one force application', () => {
+  const sph = prepare(8, 400, 0.1, 0.15);
+  const n = sph.particleCount;
+  const dt = 1 / 120;
+
+  const momentum = () => {
+    let px = 0;
+    let py = 0;
+    for (let i = 0; i < n; i++) {
+      px += sph.particleMass * sph.velocities[i * 2];
+      py += sph.particleMass * sph.velocities[i * 2 + 1];
+    }
+    return [px, py];
+  };
+
+  const before = momentum();
+  sph.computeBlobForces(dt);
+  // Plain explicit Euler kick (integrate() adds damping/XSPH, which are not conservative)
+  for (let i = 0; i < n; i++) {
+    sph.velocities[i * 2] += (sph.forces[i * 2] / sph.particleMass) * dt;
+    sph.velocities[i * 2 + 1] += (sph.forces[i * 2 + 1] / sph.particleMass) * dt;
+  }
+  const after = momentum();
+
+  assert.ok(Math.abs(after[0] - before[0]) < 1e-5, `px ${before[0]} → ${after[0]}`);
+  assert.ok(Math.abs(after[1] - before[1]) < 1e-5, `py ${before[1]} → ${after[1]}`);
+});
+
+test('isolated particles feel no force', () => {
+  const sph = createSystem(1);
+  sph.particleCount = 2;
+  sph.positions.set([-0.3, 0, 0.3, 0]);
+  sph.velocities.set([0.1, 0, -0.1, 0]);
+  sph.updateSpatialHash();
+  sph.forces.fill(0);
+  sph.computeBlobForces(1 / 60);
+  assert.deepEqual(Array.from(sph.forces.subarray(0, 4)), [0, 0, 0, 0]);
+});
@@ -0,0 +1,68 @@
+/**
+ * enforceBoundaries: particles never end a step outside the circular
+ * container, and escaping particles are reflected back inward.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createSystem, scatterParticles } from './harness.mjs';
+
+const EPSILON = 1e-6;
+
+function maxRadius(sph) {
+  let max = 0;
+  for (let i = 0; i < sph.particleCount; i++) {
+    max = Math.max(max, Math.hypot(sph.positions[i * 2], sph.positions[i * 2 + 1]));
+  }
+  return max;
+}
+
+test('particles outside the wall are projected onto it with inward velocity', () => {
+  const sph = createSystem(2);
+  const R = sph.containerRadius;
+  const count = 64;
+  sph.particleCount = count;
+  for (let i = 0; i < count; i++) {
+    const angle = (i / count) * Math.PI * 2;
+    const r = R * (1.01 + 0.05 * (i % 4));
+    sph.positions[i * 2] = Math.cos(angle) * r;
+    sph.positions[i * 2 + 1] = Math.sin(angle) * r;
+    // Moving outward
+    sph.velocities[i * 2] = Math.cos(angle) * 0.3;
+    sph.velocities[i * 2 + 1] = Math.sin(angle) * 0.3;
+  }
+
+  sph.enforceBoundaries();
+
+  for (let i = 0; i < count; i++) {
+    const x = sph.positions[i * 2];
+    const y = sph.positions[i * 2 + 1];
+    const dist = Math.hypot(x, y);
+    assert.ok(dist <= R + EPSILON, `particle ${i} at r=${dist}`);
+    const radialVelocity = (sph.velocities[i * 2] * x + sph.velocities[i * 2 + 1] * y) / dist;
+    assert.ok(radialVelocity <= 0, `particle ${i} still moving outward (${radialVelocity})`);
+  }
+});
+
+test('particles already inside are left untouched', () => {
+  const sph = createSystem(4);
+  scatterParticles(sph, 200, sph.containerRadius * 0.9, 0.1);
+  const positions = sph.positions.slice(0, 400);
+  const velocities = sph.velocities.slice(0, 400);
+
+  sph.enforceBoundaries();
+
+  assert.deepEqual(sph.positions.slice(0, 400), positions);
+  assert.deepEqual(sph.velocities.slice(0, 400), velocities);
+});
+
+test('full update() steps keep every particle inside the container', () => {
+  const sph = createSystem(9);
+  scatterParticles(sph, 300, sph.containerRadius * 0.95, sph.maxSpeedCap);
+  for (let step = 0; step < 60; step++) {
+    const omega = step % 20 < 10 ? 0.6 : -0.6;
+    sph.update(1 / 60, { omega, alpha: 0, rotatingFrame: step >= 30, wallCoupling: 8 });
+    assert.ok(maxRadius(sph) <= sph.containerRadius + EPSILON, `escaped at step ${step}`);
+  }
+  assert.ok(sph.particleCount > 0);
+});
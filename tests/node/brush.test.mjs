@@ -0,0 +1,276 @@
+/**
+ * Brush engine: dabs spaced along fast strokes, pressure and pen tilt
+ * setting radius and flow, resting strokes pouring at the dwell interval,
+ * the brush types' dab patterns, stroke momentum, dab coverage and the
+ * per-step cap, SPH oil spawned by dab size and coverage, and the controller
+ * painting the dabs from pointer events into replays.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import BrushEngine, { BRUSH_TYPES, MAX_DABS_PER_STEP, brushDynamics, sampleFromPointer } from '../../src/brush.js';
+import OilLayer from '../../src/simulation/layers/OilLayer.js';
+import Controller from '../../src/controller.js';
+import InputReplay from '../../src/replay.js';
+import { createRandom } from '../../src/utils.js';
+
+const close = (a, b, tolerance = 1e-9) => Math.abs(a - b) < tolerance;
+const at = (x, y, time, extra = {}) => ({ x, y, time, pressure: 0.5, tiltX: 0, tiltY: 0, ...extra });
+
+test('a fast stroke is laid as evenly spaced dabs, not one per frame', () => {
+  const brush = new BrushEngine();
+  brush.begin(1, at(0.2, 0.5, 0), 0.08);
+  brush.move(1, at(0.61, 0.5, 1 / 60));
+  const dabs = brush.update(1 / 60);
+
+  // Round brush at mouse pressure: the base radius, a quarter radius apart
+  const spacing = BRUSH_TYPES.round.spacing * 0.08;
+  assert.equal(dabs.length, Math.floor(0.41 / spacing) + 1);
+  dabs.forEach((dab, i) => {
+    assert.ok(close(dab.x, 0.2 + i * spacing, 1e-9));
+    assert.ok(close(dab.radius, 0.08) && close(dab.flow, 1));
+  });
+
+  // The walk carries over between moves: no double dab at the joint
+  brush.move(1, at(0.61 + spacing * 0.75, 0.5, 2 / 60));
+  assert.equal(brush.update(1 / 60).length, 1);
+
+  // Spacing is measured as the splat shader sees it, aspect-correct
+  const wide = new BrushEngine();
+  wide.aspect = 2;
+  wide.begin(1, at(0.2, 0.5, 0), 0.08);
+  wide.move(1, at(0.405, 0.5, 1 / 60));
+  assert.equal(wide.update(1 / 60).length, dabs.length);
+});
+
+test('pressure and pen tilt set radius and flow', () => {
+  assert.deepEqual(brushDynamics({ pressure: 0.5 }), { radius: 1, flow: 1 });
+  assert.deepEqual(brushDynamics({ pressure: 0 }), { radius: 1, flow: 1 });  // touch without pressure
+  const light = brushDynamics({ pressure: 0.1 });
+  const hard = brushDynamics({ pressure: 1 });
+  assert.ok(light.radius < 1 && light.flow < 1 && hard.radius > 1 && hard.flow > 1);
+  const tilted = brushDynamics({ pressure: 0.5, tiltX: 60 });
+  assert.ok(tilted.radius > 1 && tilted.flow < 1);
+
+  // Pressing harder along a stroke widens its dabs
+  const brush = new BrushEngine();
+  brush.begin(7, at(0.2, 0.5, 0, { pressure: 0.1 }), 0.08);
+  brush.move(7, at(0.5, 0.5, 0.1, { pressure: 1 }));
+  const radii = brush.update(1 / 60).map((d) => d.radius);
+  assert.ok(radii.every((r, i) => i === 0 || r > radii[i - 1]));
+
+  const rect = { left: 10, top: 20, width: 200, height: 100 };
+  const sample = sampleFromPointer({ clientX: 60, clientY: 45, pressure: 0.7, tiltX: 5, tiltY: 0, timeStamp: 500 }, rect);
+  assert.deepEqual(sample, { x: 0.25, y: 0.75, pressure: 0.7, tiltX: 5, tiltY: 0, time: 0.5 });
+});
+
+test('easing off the pressure in place stamps there, never NaN or behind the stroke', () => {
+  const brush = new BrushEngine();
+  brush.begin(1, at(0.5, 0.5, 0, { pressure: 1 }), 0.08);
+  brush.move(1, at(0.519, 0.5, 0.005, { pressure: 1 }));
+  brush.move(1, at(0.519, 0.5, 0.01, { pressure: 0.1 }));   // zero length, smaller spacing
+  brush.move(1, at(0.52, 0.5, 0.012, { pressure: 0.1 }));   // short segment, walk already past it
+  const dabs = brush.update(1 / 60);
+  assert.ok(dabs.every((dab) => [dab.x, dab.y, dab.radius, dab.flow].every(Number.isFinite)));
+  assert.ok(dabs.every((dab, i) => i === 0 || dab.x >= dabs[i - 1].x));
+  assert.ok(close(dabs[1].x, 0.519) && close(dabs[1].y, 0.5));
+});
+
+test('a resting stroke pours at the dwell interval; taps are never lost', () => {
+  const brush = new BrushEngine();
+  brush.begin(1, at(0.5, 0.5, 0), 0.08);
+  assert.equal(brush.update(1 / 60).length, 1);   // the touch-down dab
+  for (let i = 0; i < 5; i++) assert.equal(brush.update(1 / 60).length, 1);
+
+  brush.setType('drip');
+  let drips = 0;
+  for (let i = 0; i < 60; i++) drips += brush.update(1 / 60).length;
+  assert.ok(drips >= 3 && drips <= 4, `${drips}`);
+
+  brush.setType('ring');
+  for (let i = 0; i < 60; i++) assert.equal(brush.update(1 / 60).length, 0);
+
+  // Down and up between two steps still paints
+  brush.setType('round');
+  brush.begin(2, at(0.3, 0.3, 0), 0.08);
+  brush.end(2);
+  brush.end(1);
+  assert.equal(brush.update(1 / 60).length, 1);
+  assert.equal(brush.active, false);
+  assert.throws(() => brush.setType('fan'), /Unknown brush/);
+});
+
+test('spray scatters, the ring circles, both from the injected random source', () => {
+  const paint = (type) => {
+    const brush = new BrushEngine({ random: createRandom(3) });
+    brush.setType(type);
+    brush.begin(1, at(0.5, 0.5, 0), 0.08);
+    return brush.update(1 / 60);
+  };
+  const spray = paint('spray');
+  const { droplets, scatter, size } = BRUSH_TYPES.spray;
+  assert.equal(spray.length, droplets);
+  for (const dab of spray) {
+    assert.ok(Math.hypot(dab.x - 0.5, dab.y - 0.5) <= scatter * size * 0.08 + 1e-12);
+    assert.ok(close(dab.radius, size * 0.08));
+  }
+  assert.deepEqual(paint('spray'), spray);
+
+  const ring = paint('ring');
+  assert.equal(ring.length, BRUSH_TYPES.ring.ring);
+  const r = BRUSH_TYPES.ring.ringRadius * BRUSH_TYPES.ring.size * 0.08;
+  assert.ok(ring.every((dab) => close(Math.hypot(dab.x - 0.5, dab.y - 0.5), r, 1e-12)));
+
+  const brush = new BrushEngine();
+  Object.keys(BRUSH_TYPES).forEach(() => brush.cycleType());
+  assert.equal(brush.type, 'round');
+});
+
+test('the stroke pushes the water along the drag, up to a speed limit', () => {
+  const brush = new BrushEngine();
+  brush.begin(1, at(0.3, 0.5, 0), 0.08);
+  brush.update(1 / 60);
+  brush.move(1, at(0.3, 0.52, 0.1));   // 0.2 uv/s upward
+  const dabs = brush.update(1 / 60);
+  const last = dabs.at(-1);
+  assert.ok(close(last.vx, 0) && last.vy > 0);
+  assert.ok(close(last.vy, 0.2 * 0.5 * BRUSH_TYPES.round.push, 1e-9));
+
+  // A flick is clamped; held still, the push fades
+  brush.move(1, at(0.9, 0.52, 0.11));
+  const flick = brush.update(1 / 60).at(-1);
+  assert.ok(close(Math.hypot(flick.vx, flick.vy), 2 * BRUSH_TYPES.round.push, 1e-9));
+  for (let i = 0; i < 60; i++) brush.update(1 / 60);
+  assert.ok(Math.abs(brush.update(1 / 60)[0].vx) < 1e-3);
+
+  // Drips fall straight in
+  brush.setType('drip');
+  brush.move(1, at(0.1, 0.52, 0.2));
+  assert.ok(brush.update(1 / 60).every((dab) => dab.vx === 0 && dab.vy === 0));
+});
+
+test('overlapping dabs carry their share of coverage, and a step paints a bounded number', () => {
+  const brush = new BrushEngine();
+  brush.begin(1, at(0.2, 0.5, 0), 0.08);
+  brush.move(1, at(0.3, 0.5, 1 / 60));
+  const [first, ...along] = brush.update(1 / 60);
+  assert.equal(first.coverage, 1);   // nothing under the touch-down dab yet
+  assert.ok(along.every((dab) => close(dab.coverage, BRUSH_TYPES.round.spacing / 2)));
+
+  // A scribble over many coalesced samples in one step
+  const scribble = new BrushEngine();
+  scribble.begin(1, at(0.1, 0.5, 0), 0.08);
+  for (let i = 1; i <= 40; i++) scribble.move(1, at(i % 2 ? 0.9 : 0.1, 0.5, i / 2400));
+  const laid = scribble.strokes.get(1).dabs;
+  const last = laid.at(-1);
+  const dabs = scribble.update(1 / 60);
+  assert.ok(laid.length > MAX_DABS_PER_STEP);
+  assert.equal(dabs.length, MAX_DABS_PER_STEP);
+  const total = dabs.reduce((sum, dab) => sum + dab.coverage, 0);
+  assert.ok(total > MAX_DABS_PER_STEP * BRUSH_TYPES.round.spacing / 2);
+  assert.equal(dabs.at(-1).x, last.x);   // the stroke's end is kept
+});
+
+test('SPH oil is spawned by dab size and flow, with small deposits carried over', () => {
+  const spawns = [];
+  const layer = Object.create(OilLayer.prototype);
+  Object.assign(layer, {
+    useSPH: true, spawnCarry: 0, postSplatBoostTotal: 180,
+    sim: { clock: () => 0, random: () => 2 / 3 },   // size jitter 1
+    sph: {
+      containerRadius: 1, particleCount: 0, smoothingRadius: 0.1,
+      countParticlesNear: () => 5,     // at a blob's edge: the material's count
+      spawnParticles(x, y, count, color, radius) { spawns.push({ count, radius }); this.particleCount += count; return count; }
+    }
+  });
+  layer.currentMaterial = () => ({ name: 'Mineral Oil', layer: 'sph', spawn: { count: 4, radius: 10 } });
+  const red = { r: 1, g: 0, b: 0 };
+
+  // A plain pipette splat; on the plate already, a dab twice as wide lets go four times the oil
+  layer.splatColor(0.5, 0.5, red, 0.06);
+  layer.splatColor(0.5, 0.5, red, 0.12);
+  assert.deepEqual(spawns.splice(0).map((s) => s.count), [4, 16]);
+
+  // Thin dabs along a stroke add up before spawning
+  layer.spawnCarry = 0;
+  for (let i = 0; i < 8; i++) layer.splatColor(0.5, 0.5, red, 0.06, 0.125);
+  const spawned = spawns.reduce((sum, s) => sum + s.count, 0);
+  assert.ok(close(spawned + layer.spawnCarry, 4, 1e-6), `${spawned} + ${layer.spawnCarry}`);
+  assert.ok(spawns.length < 8 && spawns.every((s) => s.count >= 3));
+
+  // Away from any oil, a light tap still makes a small blob
+  spawns.length = 0;
+  layer.spawnCarry = 0;
+  layer.sph.countParticlesNear = () => 0;
+  layer.splatColor(0.2, 0.2, red, 0.02, 0.2);
+  assert.equal(spawns.length, 1);
+  assert.equal(spawns[0].count, 3);
+});
+
+test('carried-over SPH oil is dropped by a clear, a restore or a material change', () => {
+  const spawns = [];
+  const layer = Object.create(OilLayer.prototype);
+  Object.assign(layer, {
+    useSPH: true, spawnCarry: 0, postSplatBoostTotal: 180, sphBaseline: {},
+    sim: { clock: () => 0, random: () => 2 / 3 },
+    sph: {
+      containerRadius: 1, particleCount: 100, smoothingRadius: 0.1,
+      countParticlesNear: () => 5,
+      spawnParticles(x, y, count) { spawns.push(count); this.particleCount += count; return count; },
+      restore() {}
+    }
+  });
+  layer.currentMaterial = () => ({ name: 'Mineral Oil', layer: 'sph', spawn: { count: 4, radius: 10 } });
+  const red = { r: 1, g: 0, b: 0 };
+  const reset = [
+    () => layer.clear(),
+    () => layer.restore({ get: () => null }),
+    () => layer.applyMaterial(null)
+  ];
+  for (const action of reset) {
+    layer.splatColor(0.5, 0.5, red, 0.06, 0.5);    // 2 particles owed
+    assert.ok(layer.spawnCarry > 1);
+    action();
+    assert.equal(layer.spawnCarry, 0);
+    layer.splatColor(0.5, 0.5, red, 0.06, 0.5);    // still too few to spawn
+    assert.deepEqual(spawns, []);
+    layer.spawnCarry = 0;
+  }
+});
+
+test('pointer strokes become recorded dabs that replay the same', () => {
+  const calls = [];
+  const simulation = {
+    stepCount: 0, time: 0, simWidth: 64, simHeight: 64, random: Math.random,
+    stirringRod: { active: false },
+    splat: (...args) => calls.push(['splat', ...args]),
+    splatVelocity: (...args) => calls.push(['push', ...args])
+  };
+  const materials = [{ name: 'Ink', layer: 'water' }];
+  const canvas = { getBoundingClientRect: () => ({ left: 0, top: 0, width: 100, height: 100 }), setPointerCapture() {} };
+  const controller = Object.assign(Object.create(Controller.prototype), {
+    simulation, materials, canvas, currentMaterialIndex: 0, paintPlate: 'lower',
+    currentColor: { r: 1, g: 0, b: 0 }, brush: new BrushEngine(), jets: new Map(), fingerTool: 'paint'
+  });
+  Object.defineProperty(controller, 'currentMaterial', { get() { return materials[0]; } });
+  controller.replay = new InputReplay(controller);
+  controller.replay.startRecording();
+
+  const pen = (clientX, timeStamp, pressure) => ({ pointerId: 4, pointerType: 'pen', button: -1, buttons: 1, clientX, clientY: 50, timeStamp, pressure });
+  controller.onPointerDown({ ...pen(20, 0, 0.5), button: 0 });
+  controller.onPointerMove({ ...pen(60, 16, 0.9), getCoalescedEvents: () => [pen(40, 8, 0.7), pen(60, 16, 0.9)] });
+  controller.onPointerUp(pen(60, 20, 0));
+  for (const dab of controller.brush.update(1 / 60)) controller.paintDab(dab);
+
+  const splats = calls.filter((c) => c[0] === 'splat');
+  assert.ok(splats.length > 5);
+  assert.ok(splats.at(-1)[5] > splats[0][5]);                       // harder: more flow
+  assert.ok(calls.some((c) => c[0] === 'push' && c[3] > 0));          // dragged right
+  const recorded = controller.replay.stopRecording();
+  assert.equal(recorded.events.length, calls.length);
+
+  const painted = calls.splice(0);
+  controller.replay.play(JSON.parse(JSON.stringify(recorded)));
+  controller.replay.update();
+  assert.deepEqual(calls, painted);
+});
@@ -0,0 +1,73 @@
+/**
+ * ConjugateGradient / SparseMatrix: convergence on SPD systems with known
+ * solutions, including odd sizes that don't fit the 2x2 block preconditioner.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import SparseMatrix from '../../src/simulation/sph/SparseMatrix.js';
+import ConjugateGradient from '../../src/simulation/sph/ConjugateGradient.js';
+import { createRandom } from './harness.mjs';
+
+/** Symmetric tridiagonal matrix with `diag` on the diagonal and `off` beside it */
+function tridiagonal(n, diag, off) {
+  const A = new SparseMatrix(n, n * 3);
+  for (let i = 0; i < n; i++) {
+    A.beginRow(i);
+    if (i > 0) A.addEntry(i - 1, off);
+    A.addEntry(i, diag);
+    if (i < n - 1) A.addEntry(i + 1, off);
+  }
+  A.finalize();
+  return A;
+}
+
+function assertClose(actual, expected, tolerance, label) {
+  for (let i = 0; i < expected.length; i++) {
+    assert.ok(Math.abs(actual[i] - expected[i]) <= tolerance,
+      `${label}[${i}]: expected ${expected[i]}, got ${actual[i]}`);
+  }
+}
+
+test('built-in 3x3 self test passes', () => {
+  assert.equal(ConjugateGradient.test(), true);
+});
+
+test('diagonal system converges in one iteration', () => {
+  const n = 6;
+  const A = new SparseMatrix(n, n);
+  const b = new Float32Array(n);
+  for (let i = 0; i < n; i++) {
+    A.beginRow(i);
+    A.addEntry(i, i + 1);
+    b[i] = 2 * (i + 1);
+  }
+  A.finalize();
+
+  const result = ConjugateGradient.solve(A, b, new Float32Array(n), 50, 1e-6);
+  assert.equal(result.converged, true);
+  assert.equal(result.iterations, 1);
+  assertClose(result.x, new Array(n).fill(2), 1e-5, 'x');
+});
+
+for (const n of [2, 9, 64, 257]) {
+  test(`tridiagonal SPD system (n=${n}) recovers a known solution`, () => {
+    const random = createRandom(n);
+    const A = tridiagonal(n, 4.0, -1.0);
+    const expected = new Float32Array(n).map(() => random() * 2 - 1);
+    const b = new Float32Array(n);
+    A.multiply(expected, b);
+
+    const result = ConjugateGradient.solve(A, b, new Float32Array(n), 200, 1e-6);
+    assert.equal(result.converged, true, `residual ${result.residual} after ${result.iterations} iterations`);
+    assert.ok(result.iterations <= n, `CG should converge in at most n iterations (took ${result.iterations})`);
+    assertClose(result.x, expected, 1e-4, 'x');
+  });
+}
+
+test('zero right-hand side returns immediately', () => {
+  const A = tridiagonal(4, 2.0, 0.5);
+  const result = ConjugateGradient.solve(A, new Float32Array(4), new Float32Array(4));
+  assert.equal(result.converged, true);
+  assert.equal(result.iterations, 0);
+});
@@ -0,0 +1,171 @@
+/**
+ * Container geometry: the presets' signed distances (the circle being the
+ * old 0.48 dish), image masks, SPH particles kept inside any shape, snapshot
+ * round trips, the uniforms every pass gets on a stub context, and the
+ * shader #include that shares container.glsl.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Container, { CONTAINER_PRESETS, CONTAINER_RADIUS, normalizeContainer } from '../../src/simulation/container.js';
+import { bindContainer, CONTAINER_MASK_UNIT } from '../../src/simulation/kernels/container.js';
+import { runPass } from '../../src/simulation/kernels/pass.js';
+import Simulation from '../../src/simulation.js';
+import { SnapshotWriter, SnapshotReader } from '../../src/simulation/snapshot.js';
+import { loadShader } from '../../src/utils.js';
+import { createStubGL, createSystem } from './harness.mjs';
+
+const close = (a, b, tolerance = 1e-6) => Math.abs(a - b) < tolerance;
+
+// 8x8 image: a 4x4 solid block in the middle, rows top-down like maskFromPixels
+function blockMask() {
+  const data = new Uint8Array(64);
+  for (let j = 2; j < 6; j++) data.fill(255, j * 8 + 2, j * 8 + 6);
+  return { width: 8, height: 8, data };
+}
+
+test('the circle is the old dish and the other presets keep their extents', () => {
+  const circle = new Container();
+  assert.equal(circle.shape, 'circle');
+  assert.deepEqual(circle.size, [CONTAINER_RADIUS, CONTAINER_RADIUS, 0]);
+  assert.ok(close(circle.signedDistance(0.3, 0.4), 0.5 - 0.48));
+  // uv on a 2:1 grid: x is stretched, so 0.24 of the width is 0.48 of the height
+  assert.ok(circle.contains(0.5 + 0.239, 0.5, 2));
+  assert.ok(!circle.contains(0.5 + 0.241, 0.5, 2));
+
+  for (const name of Object.keys(CONTAINER_PRESETS)) {
+    const container = new Container(name);
+    const [a, b] = container.size;
+    assert.ok(close(container.signedDistance(a, 0), 0, 1e-9), name);
+    assert.ok(close(container.signedDistance(0, b), 0, 1e-9), name);
+    assert.ok(container.signedDistance(0, 0) < 0, name);
+  }
+
+  // Rounded corners: the box corner is outside by the corner's rounding
+  const rect = new Container('roundedRect');
+  const [a, b, corner] = rect.size;
+  assert.ok(close(rect.signedDistance(a, b), (Math.SQRT2 - 1) * corner));
+  assert.ok(close(rect.signedDistance(a - corner, b - corner), -corner));
+  const n = rect.normal(a - 0.01, b * 0.5);
+  assert.ok(close(n.x, 1, 1e-3) && close(n.y, 0, 1e-3));
+
+  assert.throws(() => new Container('teacup'), /unknown preset "teacup"/);
+  assert.throws(() => normalizeContainer({ shape: 'hexagon' }), /unknown shape "hexagon"/);
+  assert.throws(() => normalizeContainer({ shape: 'mask', mask: { width: 1, height: 1, data: Uint8Array.of(0) } }), /no inside/);
+});
+
+test('an image mask becomes a signed distance that wall collisions follow', () => {
+  const container = new Container({ shape: 'mask', halfWidth: 0.4, halfHeight: 0.4, mask: blockMask() });
+  // The block covers the middle half of the box: the wall is at ±0.2
+  assert.ok(container.signedDistance(0, 0) < -0.15);
+  assert.ok(close(container.signedDistance(0.2, 0), 0, 0.02));
+  assert.ok(container.signedDistance(0.3, 0) > 0.08);
+  // Outside the box the distance keeps growing
+  assert.ok(container.signedDistance(0.6, 0) > container.signedDistance(0.39, 0));
+
+  const hit = container.collide(0.3, 0.05);
+  assert.ok(hit && close(hit.x, 0.2, 0.02) && close(hit.nx, 1, 0.05));
+  assert.ok(container.signedDistance(hit.x, hit.y) <= 1e-6);
+  assert.equal(container.collide(0.1, 0.1), null);
+});
+
+test('SPH particles stay inside a non-round dish cut to the canvas', () => {
+  const sph = createSystem(3, { maxParticles: 8 });
+  const container = new Container('roundedRect');
+  const aspect = 1;
+  sph.containerCollider = (x, y) => container.collideWorld(x, y, sph.containerRadius, aspect);
+  sph.containerDistance = (x, y) => container.distanceWorld(x, y, sph.containerRadius, aspect) * 2 * sph.containerRadius;
+
+  // Past the canvas edge on the right moving out, and past the top wall
+  sph.particleCount = 2;
+  sph.positions.set([0.5, 0, 0, -0.5]);
+  sph.velocities.set([1, 0.2, 0, -1]);
+  sph.enforceBoundaries();
+
+  for (let i = 0; i < 2; i++) {
+    const x = sph.positions[i * 2];
+    const y = sph.positions[i * 2 + 1];
+    assert.ok(container.distanceWorld(x, y, sph.containerRadius, aspect) <= 1e-6, `${x}, ${y}`);
+  }
+  // The rounded rect is wider than a square canvas: its sides are the canvas
+  // edges, its top and bottom its own (world y points down)
+  assert.ok(close(sph.positions[0], sph.containerRadius, 1e-3));
+  assert.ok(close(sph.positions[3], -container.size[1] * 2 * sph.containerRadius, 1e-3));
+  // Bounced with the wall's damping: now moving inward, at half the speed
+  assert.ok(close(sph.velocities[0], -0.5, 1e-3) && close(sph.velocities[1], 0.1, 1e-3));
+  assert.ok(sph.velocities[3] > 0);
+
+  // Far outside the wall: removed
+  sph.particleCount = 2;
+  sph.positions.set([0, 0, 0.9, 0]);
+  sph.removeOutOfBoundsParticles();
+  assert.equal(sph.particleCount, 1);
+});
+
+test('the geometry round-trips through a scene snapshot, image masks included', () => {
+  const container = new Container({ shape: 'mask', halfWidth: 0.5, halfHeight: 0.4, mask: blockMask() });
+  const writer = new SnapshotWriter();
+  container.serialize(writer);
+  const restored = new Container('ellipse');
+  restored.restore(new SnapshotReader(writer.toArrayBuffer()));
+  assert.equal(restored.shape, 'mask');
+  assert.deepEqual(restored.size, [0.5, 0.4, 0]);
+  assert.deepEqual(Array.from(restored.geometry.mask.data), Array.from(blockMask().data));
+  assert.deepEqual(restored.distanceField, container.distanceField);
+
+  // Scenes from before containers get the round dish
+  restored.restore(new SnapshotReader(new SnapshotWriter().toArrayBuffer()));
+  assert.equal(restored.shape, 'circle');
+});
+
+test('every pass gets the container uniforms and mask dishes their distance texture', () => {
+  const gl = createStubGL({ getUniformLocation: (program, name) => name });
+  gl.canvas = { width: 64, height: 48 };
+  const sim = new Simulation({ gl, quadBuffer: { stub: 'quad' } });
+  sim.updateSimSize(gl.canvas);
+  const uniform = (name) => gl.calls.filter((c) => c.name.startsWith('uniform') && c.args[0] === name).map((c) => c.args.slice(1));
+  const draw = () => {
+    gl.calls.length = 0;
+    runPass(gl, sim.renderer, 'program', { output: () => ({ fbo: 'fbo', target: () => 'target' }) }, sim, 1 / 60);
+  };
+
+  draw();
+  assert.deepEqual(uniform('u_containerShape'), [[0]]);
+  assert.deepEqual(uniform('u_containerSize'), [[0.48, 0.48, 0]]);
+  assert.deepEqual(uniform('u_containerMask'), []);
+
+  sim.setContainer('roundedRect');
+  draw();
+  assert.deepEqual(uniform('u_containerShape'), [[2]]);
+  assert.deepEqual(uniform('u_containerSize'), [[0.64, 0.44, 0.08]]);
+
+  sim.setContainer({ shape: 'mask', mask: blockMask() });
+  const upload = gl.calls.find((c) => c.name === 'texImage2D');
+  assert.deepEqual(upload.args.slice(2, 5), ['R16F', 8, 8]);
+  draw();
+  assert.deepEqual(uniform('u_containerShape'), [[3]]);
+  assert.deepEqual(uniform('u_containerMask'), [[CONTAINER_MASK_UNIT]]);
+  assert.ok(gl.calls.some((c) => c.name === 'bindTexture' && c.args[1] === sim.containerTexture));
+
+  // Unchanged geometry: no re-upload; programs without the chunk are left alone
+  gl.calls.length = 0;
+  sim.syncContainerMask();
+  const bare = createStubGL({ getUniformLocation: () => null });
+  bindContainer(bare, 'program', sim);
+  assert.equal(gl.calls.length + bare.calls.filter((c) => c.name.startsWith('uniform')).length, 0);
+});
+
+test('shaders pull container.glsl in through #include', async (t) => {
+  const files = {
+    'src/shaders/a.frag.glsl': '#version 300 es\nprecision highp float;\n#include "container.glsl"\nvoid main() {}\n',
+    'src/shaders/container.glsl': 'const float containerRadius = 0.48;\n'
+  };
+  const fetched = [];
+  t.mock.method(globalThis, 'fetch', async (url) => {
+    fetched.push(url);
+    return { text: async () => files[url] };
+  });
+  const source = await loadShader('src/shaders/a.frag.glsl');
+  assert.deepEqual(fetched, ['src/shaders/a.frag.glsl', 'src/shaders/container.glsl']);
+  assert.equal(source, '#version 300 es\nprecision highp float;\nconst float containerRadius = 0.48;\n\nvoid main() {}\n');
+});
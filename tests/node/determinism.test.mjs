@@ -0,0 +1,36 @@
+/**
+ * Seeded runs: the same seed and the same spawn/update sequence must give
+ * bit-identical particle state.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createSystem } from './harness.mjs';
+
+const spinning = { omega: 0.3, alpha: 0, rotatingFrame: false, wallCoupling: 8 };
+
+function run(seed) {
+  const sph = createSystem(seed);
+  sph.spawnParticles(0.0, 0.0, 150, { r: 1, g: 0.2, b: 0 }, 60);
+  sph.spawnParticles(0.1, -0.05, 150, { r: 0, g: 0.4, b: 1 }, 60);
+  for (let step = 0; step < 30; step++) {
+    sph.update(1 / 60, step < 15 ? spinning : null);
+  }
+  return sph;
+}
+
+test('same seed → bit-identical positions and velocities', () => {
+  const a = run(1234);
+  const b = run(1234);
+  assert.equal(a.particleCount, b.particleCount);
+  const n = a.particleCount;
+  assert.deepEqual(a.positions.subarray(0, n * 2), b.positions.subarray(0, n * 2));
+  assert.deepEqual(a.velocities.subarray(0, n * 2), b.velocities.subarray(0, n * 2));
+});
+
+test('different seeds diverge', () => {
+  const a = run(1);
+  const b = run(2);
+  const n = Math.min(a.particleCount, b.particleCount);
+  assert.notDeepEqual(a.positions.subarray(0, n * 2), b.positions.subarray(0, n * 2));
+});
@@ -0,0 +1,169 @@
+/**
+ * Offline export: the fixed-step frame loop (against stand-in controller,
+ * simulation and renderer), readback row order, and the WebM container
+ * written around encoded chunks.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import FrameExporter, { STEP_RATE, exportPlan, createEncoder } from '../../src/exporter.js';
+import WebMWriter, { WEBM_IDS, encodeSize } from '../../src/webm.js';
+import { flipRows } from '../../src/utils.js';
+
+function createFakeController() {
+  const log = [];
+  const simulation = {
+    time: 0,
+    clock: () => 'wall',
+    setClock(clock) { this.clock = clock; },
+    async update(dt) { this.time += dt; log.push(['step', dt]); }
+  };
+  const renderer = {
+    fixedSize: null,
+    canvas: { width: 800, height: 800 },
+    setFixedSize(size) { this.fixedSize = size; this.canvas.width = this.canvas.height = size || 800; },
+    render() { log.push(['render', simulation.time]); },
+    readPixels() {
+      const { width, height } = this.canvas;
+      return { width, height, data: new Uint8Array(4) };
+    }
+  };
+  const replay = {
+    replay: { steps: 90, events: [] },
+    playing: false,
+    played: null,
+    play(script) { this.played = script; this.playing = true; },
+    stopPlayback() { this.playing = false; }
+  };
+  return { log, simulation, renderer, replay, update() { log.push(['controller']); } };
+}
+
+function createFakeEncoder() {
+  return {
+    frames: [],
+    begun: null,
+    finished: false,
+    cancelled: false,
+    async begin(opts) { this.begun = opts; },
+    async addFrame(frame, index) { this.frames.push(index); },
+    async finish() { this.finished = true; },
+    cancel() { this.cancelled = true; }
+  };
+}
+
+test('plan: whole frames, substeps at the live step rate', () => {
+  assert.deepEqual(exportPlan({ fps: 60, duration: 2 }), { frames: 120, substeps: 1, dt: 1 / 60 });
+  const plan = exportPlan({ fps: 30, duration: 1.5 });
+  assert.equal(plan.frames, 45);
+  assert.equal(plan.substeps, 2);
+  assert.equal(plan.dt * plan.substeps * 30, 1);
+  assert.throws(() => exportPlan({ fps: 0, duration: 1 }), /positive/);
+  assert.throws(() => createEncoder('gif', {}), /unknown format/);
+});
+
+test('export steps with a fixed dt, renders every frame and restores state', async () => {
+  const c = createFakeController();
+  const encoder = createFakeEncoder();
+  const exporter = new FrameExporter(c);
+
+  // 90 recorded steps = 1.5 s of output by default
+  const written = await exporter.run({ encoder, size: 2160, fps: 30 });
+  assert.equal(written, 45);
+  assert.deepEqual(encoder.begun, { width: 2160, height: 2160, fps: 30, frames: 45 });
+  assert.equal(encoder.finished, true);
+  assert.equal(encoder.frames.length, 45);
+  assert.equal(c.replay.played, c.replay.replay);
+
+  const steps = c.log.filter(([kind]) => kind === 'step');
+  assert.equal(steps.length, 90);
+  assert.ok(steps.every(([, dt]) => dt === 1 / STEP_RATE));
+  // Two controller + simulation steps, then one render, per frame
+  assert.deepEqual(c.log.slice(0, 5).map(([kind]) => kind), ['controller', 'step', 'controller', 'step', 'render']);
+
+  assert.equal(exporter.active, false);
+  assert.equal(c.renderer.fixedSize, null);
+  assert.equal(c.simulation.clock(), 'wall');
+  assert.equal(c.replay.playing, false);
+});
+
+test('cancel stops after the current frame without finishing the file', async () => {
+  const c = createFakeController();
+  const encoder = createFakeEncoder();
+  const exporter = new FrameExporter(c);
+  exporter.onProgress = (progress) => { if (progress >= 0.5) exporter.cancel(); };
+  const written = await exporter.run({ encoder, fps: 10, duration: 2, replay: null });
+  assert.equal(written, 10);
+  assert.equal(encoder.finished, false);
+  assert.equal(encoder.cancelled, true);
+  assert.equal(c.replay.played, null);
+});
+
+test('flipRows turns GL bottom-up rows into top-down', () => {
+  const data = Uint8Array.from([1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3]); // 1×3
+  assert.deepEqual([...flipRows(data, 1, 3)], [3, 3, 3, 3, 2, 2, 2, 2, 1, 1, 1, 1]);
+});
+
+// Minimal EBML reader: [{ id, size, offset }] of the children in a byte range
+function readElements(bytes, start, end) {
+  const elements = [];
+  let pos = start;
+  while (pos < end) {
+    let idLength = 1;
+    while (!(bytes[pos] & (0x80 >> (idLength - 1)))) idLength++;
+    let id = 0;
+    for (let i = 0; i < idLength; i++) id = id * 256 + bytes[pos + i];
+    pos += idLength;
+    let sizeLength = 1;
+    while (!(bytes[pos] & (0x80 >> (sizeLength - 1)))) sizeLength++;
+    let size = bytes[pos] & (0xff >> sizeLength);
+    for (let i = 1; i < sizeLength; i++) size = size * 256 + bytes[pos + i];
+    pos += sizeLength;
+    elements.push({ id, size, offset: pos });
+    pos += size;
+  }
+  return elements;
+}
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+test('EBML sizes use the shortest width', () => {
+  assert.deepEqual([...encodeSize(5)], [0x85]);
+  assert.deepEqual([...encodeSize(127)], [0x40, 0x7f]); // 0x7f alone means "unknown size"
+  assert.deepEqual([...encodeSize(300)], [0x41, 0x2c]);
+});
+
+test('WebM writer: header, one track and a cluster per key frame', () => {
+  const writer = new WebMWriter({ width: 64, height: 64, codec: 'V_VP9', frameRate: 30 });
+  assert.throws(() => writer.addFrame(Uint8Array.of(9), 0, false), /key frame/);
+  for (let i = 0; i < 6; i++) {
+    writer.addFrame(Uint8Array.of(i, i, i), i * (1000 / 30), i % 3 === 0);
+  }
+  assert.ok(Math.abs(writer.duration - 200) < 1e-9);
+
+  const bytes = concat(writer.finish());
+  const top = readElements(bytes, 0, bytes.length);
+  assert.deepEqual(top.map((e) => e.id), [WEBM_IDS.EBML, WEBM_IDS.Segment]);
+  assert.equal(top[1].offset + top[1].size, bytes.length);
+
+  const segment = readElements(bytes, top[1].offset, top[1].offset + top[1].size);
+  assert.deepEqual(segment.map((e) => e.id), [WEBM_IDS.Info, WEBM_IDS.Tracks, WEBM_IDS.Cluster, WEBM_IDS.Cluster]);
+
+  const second = segment[3];
+  const children = readElements(bytes, second.offset, second.offset + second.size);
+  assert.equal(children[0].id, WEBM_IDS.Timecode);
+  assert.equal(bytes[children[0].offset], 100); // cluster starts at frame 3 = 100 ms
+  const blocks = children.slice(1);
+  assert.equal(blocks.length, 3);
+  assert.ok(blocks.every((b) => b.id === WEBM_IDS.SimpleBlock));
+  // Track 1, relative timecode 0, key frame flag, then the payload
+  assert.deepEqual([...bytes.subarray(blocks[0].offset, blocks[0].offset + blocks[0].size)], [0x81, 0, 0, 0x80, 3, 3, 3]);
+  assert.equal(bytes[blocks[1].offset + 3], 0x00);
+});
@@ -0,0 +1,189 @@
+/**
+ * Multi-touch: each finger its own paint or jet stream after the gesture
+ * window, with the path it drew while waiting; two fingers landing together
+ * twisting the plate and pinching the brush size; three tapped together
+ * clearing the plate, and the clear reaching replays.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import TouchGestures, {
+  GESTURE_WINDOW, TAP_TIME, BRUSH_SIZE_MAX, BRUSH_SIZE_MIN
+} from '../../src/gestures.js';
+import { OMEGA_PER_ROTATION } from '../../src/simulation/plate-rotation.js';
+import BrushEngine from '../../src/brush.js';
+import Controller from '../../src/controller.js';
+import InputReplay from '../../src/replay.js';
+
+const DT = 1 / 60;
+const at = (x, y) => ({ x, y, pressure: 0.5, tiltX: 0, tiltY: 0, time: 0 });
+
+/** Controller stand-in recording what the gestures ask of it */
+function createFakeController() {
+  const calls = [];
+  return {
+    calls,
+    brush: { size: 1.0 },
+    startStream: (id, sample) => calls.push(['start', id, sample.x, sample.y]),
+    moveStream: (id, samples) => calls.push(['move', id, samples.map((s) => s.x)]),
+    endStream: (id) => calls.push(['end', id]),
+    setRotationDelta: (amount) => calls.push(['rotation', amount]),
+    clearPlate: () => calls.push(['clear'])
+  };
+}
+
+function wait(gestures, seconds) {
+  for (let t = 0; t < seconds - 1e-9; t += DT) gestures.update(DT);
+}
+
+test('fingers far apart each paint their own stream, losing no path to the wait', () => {
+  const controller = createFakeController();
+  const gestures = new TouchGestures(controller);
+  gestures.down(1, at(0.1, 0.5));
+  gestures.down(2, at(0.9, 0.5));       // out of one hand's reach
+  gestures.move(1, at(0.15, 0.5), [at(0.12, 0.5), at(0.15, 0.5)]);
+  assert.deepEqual(controller.calls, []);
+
+  wait(gestures, GESTURE_WINDOW);
+  assert.deepEqual(controller.calls, [
+    ['start', 1, 0.1, 0.5], ['move', 1, [0.12, 0.15]],
+    ['start', 2, 0.9, 0.5]
+  ]);
+
+  controller.calls.length = 0;
+  gestures.move(2, at(0.8, 0.5));
+  gestures.up(1);
+  gestures.up(2);
+  assert.deepEqual(controller.calls, [['move', 2, [0.8]], ['end', 1], ['end', 2]]);
+  assert.equal(gestures.count, 0);
+
+  // A quick touch still paints
+  controller.calls.length = 0;
+  gestures.down(3, at(0.4, 0.4));
+  gestures.up(3);
+  assert.deepEqual(controller.calls, [['start', 3, 0.4, 0.4], ['end', 3]]);
+
+  // A finger landing after the window paints beside the first
+  controller.calls.length = 0;
+  gestures.down(4, at(0.3, 0.3));
+  wait(gestures, GESTURE_WINDOW);
+  gestures.down(5, at(0.35, 0.3));
+  wait(gestures, GESTURE_WINDOW);
+  assert.deepEqual(controller.calls.map((c) => c.slice(0, 2)), [['start', 4], ['start', 5]]);
+});
+
+test('two fingers landing together twist the plate and pinch the brush', () => {
+  const controller = createFakeController();
+  const gestures = new TouchGestures(controller);
+  gestures.down(1, at(0.4, 0.5));
+  gestures.down(2, at(0.6, 0.5));
+
+  // A quarter turn counter-clockwise over a quarter second
+  const steps = 15;
+  for (let i = 1; i <= steps; i++) {
+    const a = (i / steps) * Math.PI / 2;
+    gestures.move(2, at(0.5 + 0.1 * Math.cos(a), 0.5 + 0.1 * Math.sin(a)));
+    gestures.move(1, at(0.5 - 0.1 * Math.cos(a), 0.5 - 0.1 * Math.sin(a)));
+    gestures.update(DT);
+  }
+  const rotations = controller.calls.filter((c) => c[0] === 'rotation').map((c) => c[1]);
+  assert.ok(rotations.length > 0 && rotations.every((r) => r > 0));
+  const full = (Math.PI / 2) / (steps * DT) / OMEGA_PER_ROTATION;
+  assert.ok(Math.abs(rotations.at(-1) - full) < 0.05 * full, `${rotations.at(-1)} vs ${full}`);
+  assert.ok(!controller.calls.some((c) => c[0] === 'start'));
+  assert.ok(Math.abs(controller.brush.size - 1) < 1e-9);
+
+  // Pinching out doubles the brush, and it stays within its limits
+  gestures.move(1, at(0.5, 0.2));
+  assert.ok(Math.abs(controller.brush.size - 2) < 1e-9);
+  gestures.move(1, at(0.5, -2));
+  assert.equal(controller.brush.size, BRUSH_SIZE_MAX);
+  gestures.move(1, at(0.5, 0.599));
+  assert.equal(controller.brush.size, BRUSH_SIZE_MIN);
+
+  // Lifting one stops the twist; the other does not start painting
+  gestures.up(1);
+  assert.deepEqual(controller.calls.at(-1), ['rotation', 0]);
+  controller.calls.length = 0;
+  wait(gestures, GESTURE_WINDOW);
+  gestures.move(2, at(0.7, 0.7));
+  gestures.up(2);
+  assert.deepEqual(controller.calls, []);
+});
+
+test('fingers landing beside a running twist paint instead of taking it over', () => {
+  const controller = createFakeController();
+  const gestures = new TouchGestures(controller);
+  gestures.down(1, at(0.4, 0.5));
+  gestures.down(2, at(0.6, 0.5));
+  wait(gestures, GESTURE_WINDOW);
+  gestures.down(3, at(0.45, 0.3));
+  gestures.down(4, at(0.55, 0.3));
+  wait(gestures, GESTURE_WINDOW);
+  assert.deepEqual(gestures.pair.ids, [1, 2]);
+  assert.deepEqual(controller.calls.map((c) => c.slice(0, 2)), [['start', 3], ['start', 4]]);
+
+  // The old pair still twists the plate
+  controller.calls.length = 0;
+  gestures.move(2, at(0.5, 0.6));
+  gestures.move(1, at(0.5, 0.4));
+  gestures.update(DT);
+  assert.ok(controller.calls.some((c) => c[0] === 'rotation' && c[1] > 0));
+  assert.ok(!controller.calls.some((c) => c[0] === 'move'));
+});
+
+test('the width of the canvas counts in the pair reach', () => {
+  const controller = createFakeController();
+  const gestures = new TouchGestures(controller);
+  gestures.aspect = 2;
+  gestures.down(1, at(0.3, 0.5));
+  gestures.down(2, at(0.55, 0.5));     // 0.5 apart on screen: too far for a pair
+  wait(gestures, GESTURE_WINDOW);
+  assert.deepEqual(controller.calls.map((c) => c[0]), ['start', 'start']);
+});
+
+test('three fingers tapped together clear the plate; held or dragged, they do not', () => {
+  const tap = ({ hold = 0.1, drag = 0 } = {}) => {
+    const controller = createFakeController();
+    const gestures = new TouchGestures(controller);
+    gestures.down(1, at(0.4, 0.5));
+    gestures.down(2, at(0.5, 0.5));
+    gestures.update(DT);
+    gestures.down(3, at(0.6, 0.5));
+    wait(gestures, hold);
+    if (drag) gestures.move(3, at(0.6 + drag, 0.5));
+    gestures.up(1);
+    gestures.up(2);
+    gestures.up(3);
+    return controller.calls;
+  };
+  assert.deepEqual(tap(), [['clear']]);
+  assert.deepEqual(tap({ hold: TAP_TIME + 0.1 }), []);
+  assert.deepEqual(tap({ drag: 0.1 }), []);
+});
+
+test('finger jets fire per finger, and a clear is recorded and replayed', () => {
+  let cleared = 0;
+  const simulation = { stepCount: 0, time: 0, clearColor: () => cleared++ };
+  const controller = Object.assign(Object.create(Controller.prototype), {
+    simulation, materials: [], brush: new BrushEngine(), jets: new Map(), fingerTool: 'jet'
+  });
+  controller.replay = new InputReplay(controller);
+
+  controller.startStream(1, at(0.2, 0.2));
+  controller.startStream(2, at(0.8, 0.8));
+  controller.moveStream(2, [at(0.7, 0.8)]);
+  assert.deepEqual([...controller.jets.keys()], [1, 2]);
+  assert.ok(Math.abs(controller.jets.get(2).vx + 0.1) < 1e-9);
+  assert.equal(controller.brush.active, false);
+  controller.endStream(1);
+  assert.deepEqual([...controller.jets.keys()], [2]);
+
+  controller.replay.startRecording();
+  controller.clearPlate();
+  const recorded = controller.replay.stopRecording();
+  assert.deepEqual(recorded.events.map((e) => e.type), ['clear']);
+  controller.replay.play(JSON.parse(JSON.stringify(recorded)));
+  controller.replay.update();
+  assert.equal(cleared, 2);
+});
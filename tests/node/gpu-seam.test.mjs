@@ -0,0 +1,95 @@
+/**
+ * GL-dependent entry points (initGPU, renderParticles, sampleVelocityGrid)
+ * against a stub context: they must be safe without a GPU and do the
+ * expected work when one is supplied, including the splat's container fade.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createStubGL, createSystem, scatterParticles } from './harness.mjs';
+
+test('without a GL context the GPU paths are no-ops', () => {
+  const sph = createSystem(1);
+  scatterParticles(sph, 10, 0.1);
+  assert.equal(sph.sampleVelocityGrid({}, 4, 4), null);
+  assert.doesNotThrow(() => sph.renderParticles(null, 512, 512));
+});
+
+test('initGPU + renderParticles upload live particles and draw them as points', () => {
+  const sph = createSystem(1);
+  const n = scatterParticles(sph, 25, 0.1);
+  const gl = createStubGL();
+
+  sph.initGPU(gl, { stub: 'program' });
+  sph.renderParticles({ stub: 'fbo' }, 512, 512);
+
+  const uploads = gl.calls.filter((c) => c.name === 'bufferData');
+  assert.equal(uploads.length, 3);
+  assert.equal(uploads[0].args[1].length, n * 2); // positions
+  assert.equal(uploads[1].args[1].length, n * 3); // colors
+  assert.equal(uploads[2].args[1].length, n);     // densities
+
+  const draw = gl.calls.find((c) => c.name === 'drawArrays');
+  assert.deepEqual(draw.args, ['POINTS', 0, n]);
+});
+
+test('the particle splat fades on the container it is given, else the round dish', () => {
+  const sph = createSystem(1);
+  scatterParticles(sph, 5, 0.1);
+  const gl = createStubGL({ getUniformLocation: (program, name) => name });
+  sph.initGPU(gl, { stub: 'program' });
+  const uniform = (name) => gl.calls.find((c) => c.name.startsWith('uniform') && c.args[0] === name)?.args.slice(1);
+
+  sph.renderParticles({ stub: 'fbo' }, 640, 320);
+  assert.deepEqual(uniform('u_aspect'), [2]);
+  assert.deepEqual(uniform('u_containerShape'), [0]);
+  assert.deepEqual(uniform('u_containerSize'), [0.5, 0.5, 0]);
+
+  const bound = [];
+  sph.containerUniforms = (context, program) => bound.push(program);
+  gl.calls.length = 0;
+  sph.renderParticles({ stub: 'fbo' }, 640, 320);
+  assert.deepEqual(bound, [{ stub: 'program' }]);
+  assert.equal(uniform('u_containerShape'), undefined);
+});
+
+test('sampleVelocityGrid bilinearly samples the read-back grid', () => {
+  const sph = createSystem(1);
+  const n = scatterParticles(sph, 50, 0.4);
+  const width = 8;
+  const height = 8;
+
+  // Linear field: vx = u, vy = -v in texture space (bilinear reproduces it exactly)
+  const gl = createStubGL({
+    readPixels: (x, y, w, h, format, type, out) => {
+      for (let j = 0; j < h; j++) {
+        for (let i = 0; i < w; i++) {
+          out[(j * w + i) * 4] = i / (w - 1);
+          out[(j * w + i) * 4 + 1] = -j / (h - 1);
+        }
+      }
+    }
+  });
+  sph.initGPU(gl, null);
+
+  const sampled = sph.sampleVelocityGrid({ stub: 'velocity' }, width, height);
+  assert.equal(sampled.length, n * 2);
+  for (let i = 0; i < n; i++) {
+    const u = sph.positions[i * 2] / (sph.containerRadius * 2) + 0.5;
+    const v = sph.positions[i * 2 + 1] / (sph.containerRadius * 2) + 0.5;
+    assert.ok(Math.abs(sampled[i * 2] - u) < 1e-5, `vx at particle ${i}`);
+    assert.ok(Math.abs(sampled[i * 2 + 1] + v) < 1e-5, `vy at particle ${i}`);
+  }
+});
+
+test('sampleVelocityPixels works on plain arrays (no GL at all)', () => {
+  const sph = createSystem(1);
+  sph.particleCount = 1;
+  sph.positions.set([0, 0]);
+  const pixels = new Float32Array(2 * 2 * 4).fill(0);
+  for (let i = 0; i < 4; i++) {
+    pixels[i * 4] = 0.25;
+    pixels[i * 4 + 1] = -0.5;
+  }
+  assert.deepEqual(Array.from(sph.sampleVelocityPixels(pixels, 2, 2)), [0.25, -0.5]);
+});
@@ -0,0 +1,78 @@
+/**
+ * harness.mjs
+ *
+ * Shared helpers for the headless (Node) test suite. Everything here is
+ * CPU-only: no canvas, no WebGL, no window.simulation.
+ *
+ * Run all:   node --test tests/node/
+ * Run one:   node tests/node/spatial-hash.test.mjs
+ */
+
+import SPHOilSystem from '../../src/simulation/sph/SPHOilSystem.js';
+import { createRandom } from '../../src/utils.js';
+
+export { createRandom };
+
+/**
+ * Build an SPH system with a seeded RNG
+ * @param {number} seed
+ * @param {object} opts - maxParticles, containerRadius
+ */
+export function createSystem(seed = 1, { maxParticles = 2000, containerRadius = 0.48 } = {}) {
+  const sph = new SPHOilSystem(maxParticles, containerRadius);
+  sph.random = createRandom(seed);
+  return sph;
+}
+
+/**
+ * Place `count` particles uniformly inside a disc (bypasses spawnParticles'
+ * tight clustering so neighbor/force tests see varied spacing)
+ * @param {SPHOilSystem} sph
+ * @param {number} count
+ * @param {number} radius - Disc radius in world units
+ * @param {number} speed - Max random initial speed (0 = at rest)
+ */
+export function scatterParticles(sph, count, radius, speed = 0) {
+  const random = sph.random;
+  for (let i = 0; i < count; i++) {
+    const idx = sph.particleCount++;
+    const angle = random() * Math.PI * 2;
+    const r = Math.sqrt(random()) * radius;
+    sph.positions[idx * 2] = Math.cos(angle) * r;
+    sph.positions[idx * 2 + 1] = Math.sin(angle) * r;
+    sph.velocities[idx * 2] = (random() * 2 - 1) * speed;
+    sph.velocities[idx * 2 + 1] = (random() * 2 - 1) * speed;
+    sph.densities[idx] = sph.restDensity;
+    sph.phases[idx] = 1;
+    sph.colors[idx * 3] = 1;
+  }
+  return sph.particleCount;
+}
+
+/**
+ * Stand-in for WebGL2RenderingContext, for exercising initGPU,
+ * renderParticles and sampleVelocityGrid without a GPU.
+ *
+ * Every method is a no-op that records { name, args } in `calls`; upper-case
+ * properties (gl.FLOAT, gl.TRIANGLES, ...) resolve to their own name.
+ * Pass `overrides` to give specific methods behaviour, e.g. a readPixels
+ * that fills the output array.
+ */
+export function createStubGL(overrides = {}) {
+  const calls = [];
+  const target = { calls };
+  return new Proxy(target, {
+    get(obj, prop) {
+      if (prop in obj) return obj[prop];
+      if (typeof prop !== 'string') return undefined;
+      if (/^[A-Z0-9_]+$/.test(prop)) return prop;
+      return (...args) => {
+        calls.push({ name: prop, args });
+        if (overrides[prop]) return overrides[prop](...args);
+        if (prop.startsWith('create')) return { stub: prop, id: calls.length };
+        if (prop === 'getAttribLocation') return 0;
+        return null;
+      };
+    }
+  });
+}
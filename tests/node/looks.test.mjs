@@ -0,0 +1,120 @@
+/**
+ * LookManager: capture of full parameter state, persistence, slots and
+ * crossfaded recall, against plain objects standing in for the app.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import LookManager, { LOOKS_STORAGE_KEY } from '../../src/looks.js';
+
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    items,
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value))
+  };
+}
+
+function createFakeController() {
+  const clock = { ms: 0 };
+  const controller = {
+    clock,
+    simulation: {
+      viscosity: 0.03,
+      boundaryMode: 1,
+      marangoniStrength: 0.4,
+      pressureIterations: 50,
+      useMacCormack: true,
+      rotationAmount: 0.5,   // derived: never captured
+      time: 12.0,            // runtime: never captured
+      clock: () => clock.ms
+    },
+    renderer: { absorptionCoefficient: 1.5, paletteDominance: 0.15, useVolumetric: false, ready: true },
+    heatLampLevel: 2,
+    lightRotationSpeed: 0,
+    materials: [{ name: 'Ink' }, { name: 'Syrup' }],
+    currentMaterialIndex: 0,
+    get currentMaterial() { return this.materials[this.currentMaterialIndex]; }
+  };
+  return controller;
+}
+
+test('capture covers cycle-key state but not runtime fields', () => {
+  const looks = new LookManager(createFakeController(), { storage: null });
+  const state = looks.capture();
+  assert.equal(state.material, 'Ink');
+  assert.equal(state.simulation.boundaryMode, 1);
+  assert.equal(state.renderer.paletteDominance, 0.15);
+  assert.deepEqual(state.controller, { heatLampLevel: 2, lightRotationSpeed: 0 });
+  assert.equal('rotationAmount' in state.simulation, false);
+  assert.equal('time' in state.simulation, false);
+  assert.equal('ready' in state.renderer, false);
+});
+
+test('recall crossfades numbers and switches discrete values at once', () => {
+  const c = createFakeController();
+  const looks = new LookManager(c, { storage: null });
+  looks.save('Calm');
+
+  c.simulation.viscosity = 1.03;
+  c.simulation.boundaryMode = 2;
+  c.simulation.pressureIterations = 10;
+  c.simulation.useMacCormack = false;
+  c.renderer.absorptionCoefficient = 5.5;
+  c.heatLampLevel = 0;
+  c.currentMaterialIndex = 1;
+
+  looks.recall('Calm', 2);
+  assert.equal(c.currentMaterialIndex, 0);
+  assert.equal(c.simulation.boundaryMode, 1);
+  assert.equal(c.simulation.pressureIterations, 50);
+  assert.equal(c.simulation.useMacCormack, true);
+  assert.equal(c.heatLampLevel, 2);
+  assert.equal(c.simulation.viscosity, 1.03);
+
+  c.clock.ms = 1000; // halfway
+  assert.equal(looks.update(), true);
+  assert.ok(Math.abs(c.simulation.viscosity - 0.53) < 1e-9);
+  assert.ok(Math.abs(c.renderer.absorptionCoefficient - 3.5) < 1e-9);
+
+  c.clock.ms = 2500;
+  assert.equal(looks.update(), false);
+  assert.equal(looks.fading, false);
+  assert.ok(Math.abs(c.simulation.viscosity - 0.03) < 1e-12);
+  assert.equal(c.renderer.absorptionCoefficient, 1.5);
+});
+
+test('zero fade time applies immediately', () => {
+  const c = createFakeController();
+  const looks = new LookManager(c, { storage: null });
+  looks.save('A');
+  c.renderer.paletteDominance = 0.7;
+  looks.recall('A', 0);
+  assert.equal(c.renderer.paletteDominance, 0.15);
+  assert.equal(looks.fading, false);
+});
+
+test('slots are unique and looks persist', () => {
+  const storage = createMemoryStorage();
+  const c = createFakeController();
+  const looks = new LookManager(c, { storage });
+  assert.equal(looks.save('One').slot, 1);
+  assert.equal(looks.save('Two').slot, 2);
+  looks.save('Three', 1); // takes slot 1 from 'One'
+  assert.equal(looks.get('One').slot, null);
+  assert.equal(looks.lookInSlot(1).name, 'Three');
+
+  c.simulation.viscosity = 2.0;
+  looks.saveSlot(2); // overwrites 'Two', keeps its name
+  looks.crossfadeSeconds = 5;
+  looks.persist();
+  assert.ok(storage.items.has(LOOKS_STORAGE_KEY));
+
+  const reloaded = new LookManager(createFakeController(), { storage });
+  assert.equal(reloaded.crossfadeSeconds, 5);
+  assert.deepEqual(reloaded.looks.map((l) => l.name), ['One', 'Two', 'Three']);
+  assert.equal(reloaded.get('Two').state.simulation.viscosity, 2.0);
+  assert.throws(() => reloaded.recall('Missing'), /unknown look/);
+  assert.throws(() => reloaded.save('Bad', 12), /slot must be 1-9/);
+});
@@ -0,0 +1,133 @@
+/**
+ * MaterialRegistry: built-in definitions, JSON registration, validation and
+ * custom material persistence / export.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import MaterialRegistry, { BUILTIN_MATERIALS, MATERIAL_LAYERS, MATERIALS_STORAGE_KEY, defineMaterial, materialToDefinition } from '../../src/materials.js';
+
+const CASTOR_OIL = JSON.stringify({
+  name: 'Castor Oil',
+  layer: 'sph',
+  palette: ['#F9E79F', '#F5B041', '#DC7633'],
+  preset: { surfaceTension: 180.0, oilViscosity: 0.55, buoyancyStrength: -4.0 },
+  sph: { blobCohesion: 0.7, cpuVelocitySampling: false },
+  spawn: { count: 4, radius: 12.0 },
+  optics: { iridescence: 0.15 }
+});
+
+test('built-ins keep their order and declare a known layer', () => {
+  const registry = new MaterialRegistry();
+  assert.deepEqual(registry.materials.map((m) => m.name), ['Ink', 'Mineral Oil', 'Alcohol', 'Syrup', 'Glycerine']);
+  for (const material of registry.materials) {
+    assert.ok(MATERIAL_LAYERS[material.layer], material.name);
+    assert.ok(material.palette.length > 0);
+  }
+  assert.equal(registry.get('Ink').layer, 'water');
+  assert.equal(registry.get('Alcohol').layer, 'grid');
+  assert.equal(registry.get('Syrup').sph.cpuVelocitySampling, false);
+  assert.equal(registry.get('Glycerine').spawn.radius, 12.0);
+  assert.equal(registry.get('Glycerine').optics.iridescence, 0.2);
+});
+
+test('defaults are filled in and the definition is not modified', () => {
+  const definition = { name: 'Plain', palette: ['#336699'] };
+  const material = defineMaterial(definition);
+  assert.deepEqual(definition, { name: 'Plain', palette: ['#336699'] });
+  assert.equal(material.layer, 'sph');
+  assert.deepEqual(material.spawn, { count: 3, radius: 10.0 });
+  assert.deepEqual(material.sph, { gridDrag: 3.5, cpuVelocitySampling: true });
+  assert.deepEqual(material.color, { r: 0x33 / 255, g: 0x66 / 255, b: 0x99 / 255 }); // first palette entry
+});
+
+test('a JSON definition registers a new material without code changes', () => {
+  const registry = new MaterialRegistry();
+  const materials = registry.materials;
+  const [castor] = registry.registerJSON(CASTOR_OIL);
+
+  assert.equal(registry.size, BUILTIN_MATERIALS.length + 1);
+  assert.equal(registry.indexOf('Castor Oil'), 5);
+  assert.equal(registry.materials, materials); // same array: Controller.materials stays valid
+  assert.equal(castor.sph.blobCohesion, 0.7);
+  assert.equal(castor.sph.gridDrag, 3.5);
+  assert.deepEqual(castor.spawn, { count: 4, radius: 12.0 });
+});
+
+test('registering an existing name replaces it in place', () => {
+  const registry = new MaterialRegistry();
+  registry.register({ name: 'Syrup', palette: ['#000000'], optics: { iridescence: 0.5 } });
+  assert.equal(registry.size, BUILTIN_MATERIALS.length);
+  assert.equal(registry.indexOf('Syrup'), 3);
+  assert.equal(registry.get('Syrup').optics.iridescence, 0.5);
+});
+
+test('malformed definitions are rejected and leave the registry untouched', () => {
+  const registry = new MaterialRegistry();
+  assert.throws(() => registry.register({ palette: ['#FFFFFF'] }), /name is required/);
+  assert.throws(() => registry.register({ name: 'X', layer: 'foam', palette: ['#FFFFFF'] }), /unknown layer/);
+  assert.throws(() => registry.register({ name: 'X', palette: ['white'] }), /palette/);
+  assert.throws(() => registry.register({ name: 'X', palette: ['#FFFFFF'], preset: { viscosity: 'thick' } }), /finite number/);
+  assert.throws(() => registry.register({ name: 'X', palette: ['#FFFFFF'], sph: { smoothingRadius: 0.1 } }), /unknown field/);
+  assert.throws(() => registry.registerJSON([JSON.parse(CASTOR_OIL), { name: 'Bad', layer: 'foam', palette: ['#FFFFFF'] }]));
+  assert.equal(registry.size, BUILTIN_MATERIALS.length);
+});
+
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    items,
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value))
+  };
+}
+
+test('clones are custom, editable and persist; built-ins are not saved', () => {
+  const storage = createMemoryStorage();
+  const registry = new MaterialRegistry(BUILTIN_MATERIALS, { storage });
+  assert.equal(storage.items.has(MATERIALS_STORAGE_KEY), false);
+
+  const copy = registry.clone('Syrup');
+  assert.equal(copy.name, 'Syrup Copy');
+  assert.equal(registry.clone('Syrup').name, 'Syrup Copy 2');
+  assert.equal(registry.isCustom('Syrup Copy'), true);
+  assert.equal(registry.isCustom('Syrup'), false);
+  assert.deepEqual(copy.preset, registry.get('Syrup').preset);
+
+  registry.register({ ...materialToDefinition(copy), preset: { ...copy.preset, surfaceTension: 42 }, key: 7 });
+  registry.rename('Syrup Copy', 'Maple');
+
+  const reloaded = new MaterialRegistry(BUILTIN_MATERIALS, { storage });
+  assert.deepEqual(reloaded.materials.map((m) => m.name), [...BUILTIN_MATERIALS.map((m) => m.name), 'Maple', 'Syrup Copy 2']);
+  assert.equal(reloaded.get('Maple').preset.surfaceTension, 42);
+  assert.equal(reloaded.get('Maple').key, '7');
+  assert.throws(() => reloaded.rename('Syrup', 'Treacle'), /not a custom material/);
+});
+
+test('number keys follow order unless a material claims one', () => {
+  const registry = new MaterialRegistry(BUILTIN_MATERIALS, { storage: null });
+  assert.equal(registry.indexForKey('2'), 1);
+  assert.equal(registry.indexForKey('6'), -1);
+  registry.register({ name: 'Castor Oil', palette: ['#F5B041'], key: '2' });
+  assert.equal(registry.indexForKey('2'), 5);
+  assert.equal(registry.indexForKey('6'), 5);
+  assert.throws(() => registry.register({ name: 'Bad Key', palette: ['#FFFFFF'], key: 0 }), /key must be 1-9/);
+});
+
+test('export → import round-trips custom materials; remove and reset', () => {
+  const source = new MaterialRegistry(BUILTIN_MATERIALS, { storage: null });
+  source.registerJSON(CASTOR_OIL);
+  source.register({ name: 'Syrup', palette: ['#000000'] }); // customized built-in
+  const json = source.exportJSON();
+
+  const target = new MaterialRegistry(BUILTIN_MATERIALS, { storage: null });
+  target.registerJSON(json);
+  assert.deepEqual(target.get('Castor Oil'), source.get('Castor Oil'));
+  assert.deepEqual(target.get('Syrup').palette, ['#000000']);
+
+  target.remove('Syrup'); // built-in: back to the original definition
+  assert.equal(target.get('Syrup').palette[0], '#8B4513');
+  target.remove('Castor Oil');
+  assert.equal(target.size, BUILTIN_MATERIALS.length);
+  assert.throws(() => target.remove('Ink'), /not a custom material/);
+});
@@ -0,0 +1,157 @@
+/**
+ * MidiController: learn mode, ranges/curves and persistence, driven by a
+ * synthetic message source instead of Web MIDI hardware.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import MidiController, { MIDI_STORAGE_KEY, parseMidiMessage } from '../../src/midi.js';
+
+const CC = (channel, number, value) => [0xB0 | channel, number, value];
+const NOTE_ON = (channel, number, velocity) => [0x90 | channel, number, velocity];
+
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    items,
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value))
+  };
+}
+
+/** Minimal stand-in for Controller with the fields MIDI targets touch */
+function createFakeController() {
+  return {
+    simulation: {
+      rotationBase: 0,
+      vorticityStrength: 0.15,
+      marangoniStrength: 0,
+      setRotation(v) { this.rotationBase = v; }
+    },
+    renderer: { absorptionCoefficient: 1.5, paletteDominance: 0.15 },
+    materials: [{}, {}, {}, {}, {}],
+    currentMaterialIndex: 0,
+    heatLampLevel: 2,
+    heatLampApplied: 0,
+    setMaterial(index) { this.currentMaterialIndex = index; },
+    applyHeatLampPreset() { this.heatLampApplied++; }
+  };
+}
+
+/** Synthetic message source: push() delivers a message to the subscriber */
+function createFakeSource() {
+  let listener = null;
+  return {
+    subscribe(fn) { listener = fn; return () => { listener = null; }; },
+    push(data) { if (listener) listener(data); },
+    get attached() { return listener !== null; }
+  };
+}
+
+function setup() {
+  const controller = createFakeController();
+  const storage = createMemoryStorage();
+  const source = createFakeSource();
+  const midi = new MidiController(controller, { storage });
+  midi.connect(source);
+  return { controller, storage, source, midi };
+}
+
+test('parseMidiMessage decodes CC, note on and note off', () => {
+  assert.deepEqual(parseMidiMessage(CC(2, 21, 64)), { type: 'cc', channel: 2, number: 21, value: 64 });
+  assert.deepEqual(parseMidiMessage(NOTE_ON(9, 36, 100)), { type: 'noteon', channel: 9, number: 36, value: 100 });
+  assert.equal(parseMidiMessage(NOTE_ON(9, 36, 0)).type, 'noteoff');
+  assert.equal(parseMidiMessage([0xE0, 0, 64]), null); // pitch bend ignored
+});
+
+test('learn mode binds the next control to the armed target', () => {
+  const { controller, source, midi } = setup();
+  midi.startLearn('marangoniStrength');
+  source.push(CC(0, 21, 5));
+  assert.equal(midi.learnTarget, null);
+  assert.equal(midi.mappings.length, 1);
+
+  source.push(CC(0, 21, 127));
+  assert.equal(controller.simulation.marangoniStrength, 2.0);
+  source.push(CC(0, 21, 0));
+  assert.equal(controller.simulation.marangoniStrength, 0.0);
+});
+
+test('ranges, curves and inversion shape the output', () => {
+  const { controller, source, midi } = setup();
+  midi.setMapping({ source: { type: 'cc', channel: 0, number: 1 }, target: 'vorticityStrength', min: 0.2, max: 0.6, curve: 'exponential' });
+  midi.setMapping({ source: { type: 'cc', channel: 0, number: 2 }, target: 'rotationBase', invert: true });
+
+  source.push(CC(0, 1, 127));
+  assert.ok(Math.abs(controller.simulation.vorticityStrength - 0.6) < 1e-9);
+  source.push(CC(0, 1, 64));
+  const t = 64 / 127;
+  assert.ok(Math.abs(controller.simulation.vorticityStrength - (0.2 + 0.4 * t * t)) < 1e-9);
+
+  source.push(CC(0, 2, 127));
+  assert.ok(Math.abs(controller.simulation.rotationBase - (-0.12)) < 1e-9);
+});
+
+test('discrete targets round and pads recall the value chosen at learn time', () => {
+  const { controller, source, midi } = setup();
+  midi.setMapping({ source: { type: 'cc', channel: 0, number: 7 }, target: 'heatLamp' });
+  source.push(CC(0, 7, 127));
+  assert.equal(controller.heatLampLevel, 3);
+  assert.equal(controller.heatLampApplied, 1);
+
+  controller.currentMaterialIndex = 3;
+  midi.startLearn('material');
+  source.push(NOTE_ON(9, 40, 90));
+  controller.currentMaterialIndex = 0;
+  source.push(NOTE_ON(9, 40, 10)); // velocity irrelevant for recall pads
+  assert.equal(controller.currentMaterialIndex, 3);
+});
+
+test('a control drives one target; remapping replaces the old binding', () => {
+  const { midi } = setup();
+  midi.setMapping({ source: { type: 'cc', channel: 0, number: 3 }, target: 'paletteDominance' });
+  midi.setMapping({ source: { type: 'cc', channel: 0, number: 3 }, target: 'absorptionCoefficient' });
+  assert.equal(midi.mappings.length, 1);
+  assert.equal(midi.mappings[0].target, 'absorptionCoefficient');
+});
+
+test('mappings persist through storage', () => {
+  const { controller, storage, midi } = setup();
+  midi.setMapping({ source: { type: 'cc', channel: 1, number: 74 }, target: 'absorptionCoefficient', min: 1, max: 4, curve: 'scurve' });
+  assert.ok(storage.items.has(MIDI_STORAGE_KEY));
+
+  const reloaded = new MidiController(controller, { storage });
+  assert.equal(reloaded.mappings.length, 1);
+  assert.deepEqual(reloaded.mappings[0], midi.mappings[0]);
+});
+
+test('saved mappings load through the same checks as new ones', () => {
+  const { controller, storage } = setup();
+  const source = (number) => ({ type: 'cc', channel: 0, number });
+  storage.setItem(MIDI_STORAGE_KEY, JSON.stringify({
+    mappings: [
+      { source: source(1), target: 'absorptionCoefficient' },
+      { source: source(2), target: 'absorptionCoefficient', min: 'low', max: 4 },
+      { source: { type: 'cc', channel: 'x' }, target: 'absorptionCoefficient' },
+      { source: source(4), target: 'gone' },
+      null
+    ]
+  }));
+  const midi = new MidiController(controller, { storage });
+  assert.equal(midi.mappings.length, 1);
+  const [mapping] = midi.mappings;
+  assert.ok(Number.isFinite(mapping.min) && Number.isFinite(mapping.max));
+  assert.equal(mapping.curve, 'linear');
+  midi.apply(mapping, 0.5);
+  assert.ok(Number.isFinite(controller.renderer.absorptionCoefficient));
+
+  assert.throws(() => midi.setMapping({ source: source(5), target: 'absorptionCoefficient', max: NaN }), /max/);
+});
+
+test('disconnect detaches from the source', () => {
+  const { source, midi } = setup();
+  assert.equal(source.attached, true);
+  midi.disconnect();
+  assert.equal(source.attached, false);
+  assert.equal(midi.connected, false);
+});
@@ -0,0 +1,171 @@
+/**
+ * Multigrid: the level plan and V-cycle schedule, convergence of the CPU
+ * reference (same passes as the shaders) against plain Jacobi, and the GPU
+ * solver's pass sequence against a stub WebGL context.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import MultigridSolver, { multigridLevels, vCyclePasses, residualStats, waterField } from '../../src/simulation/kernels/multigrid.js';
+import { solve, jacobi, residualNorm } from '../../src/simulation/kernels/multigrid-reference.js';
+import Container from '../../src/simulation/container.js';
+import { createStubGL } from './harness.mjs';
+
+// Smooth divergence with some high-frequency content, on a non-square grid
+function createProblem(width = 96, height = 80) {
+  const b = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      b[y * width + x] = Math.sin(x * 0.07) * Math.cos(y * 0.09) + 0.3 * Math.sin(x * 1.3 + y * 2.1);
+    }
+  }
+  return { width, height, b, x: new Float32Array(width * height) };
+}
+
+test('levels halve (rounding up) down to the minimum size', () => {
+  assert.deepEqual(multigridLevels(1080, 1080).map((l) => l.width), [1080, 540, 270, 135, 68, 34, 17]);
+  assert.deepEqual(multigridLevels(97, 40, 16), [{ width: 97, height: 40 }, { width: 49, height: 20 }]);
+  assert.equal(multigridLevels(20, 20).length, 1);
+});
+
+test('a V-cycle smooths down, solves the coarsest level and corrects back up', () => {
+  const passes = vCyclePasses(3, { preSmooth: 1, postSmooth: 2, coarseSweeps: 3 });
+  assert.deepEqual(passes.map((p) => `${p.op}${p.level}`), [
+    'smooth0', 'restrict0', 'clear1',
+    'smooth1', 'restrict1', 'clear2',
+    'smooth2', 'smooth2', 'smooth2',
+    'prolong1', 'smooth1', 'smooth1',
+    'prolong0', 'smooth0', 'smooth0'
+  ]);
+  // A single level is just coarse sweeps
+  assert.deepEqual(vCyclePasses(1, { coarseSweeps: 2 }).map((p) => p.op), ['smooth', 'smooth']);
+});
+
+test('pressure: two V-cycles beat 200 Jacobi sweeps', () => {
+  const problem = { ...createProblem(), bScale: -1 };
+  const jacobiResidual = residualNorm({ ...problem, x: jacobi({ ...problem, iterations: 200 }) });
+  const residuals = [1, 2, 3].map((cycles) => residualNorm({ ...problem, x: solve({ ...problem, cycles }) }));
+
+  assert.ok(residuals[1].relative < jacobiResidual.relative / 3,
+    `multigrid ${residuals[1].relative} vs Jacobi ${jacobiResidual.relative}`);
+  assert.ok(residuals[2].relative < residuals[1].relative && residuals[1].relative < residuals[0].relative);
+  assert.ok(residuals[2].relative < 0.05);
+  // Only cells inside the dish count
+  assert.ok(residuals[0].cells > 0 && residuals[0].cells < problem.width * problem.height);
+});
+
+test('pressure: the reference solves inside the container it is given', () => {
+  const problem = { ...createProblem(), bScale: -1, container: new Container('square') };
+  const round = residualNorm({ ...createProblem(), bScale: -1 });
+  const x = solve({ ...problem, cycles: 3 });
+  const residual = residualNorm({ ...problem, x });
+  const jacobiResidual = residualNorm({ ...problem, x: jacobi({ ...problem, iterations: 200 }) });
+  assert.ok(residual.relative < jacobiResidual.relative / 3, `${residual.relative} vs ${jacobiResidual.relative}`);
+  assert.ok(residual.cells > round.cells && residual.cells < problem.width * problem.height);
+  // Cells outside the square wall stay at zero pressure
+  assert.equal(x[0], 0);
+});
+
+test('implicit diffusion converges, conserves the total and smooths', () => {
+  const { width, height, b } = createProblem(64, 64);
+  const k = 30;
+  const problem = { width, height, b, a: 1 / k, bScale: 1 / k, useMask: false };
+  const before = residualNorm({ ...problem, x: b });
+  const x = solve({ ...problem, x: b, cycles: 2 });
+  const after = residualNorm({ ...problem, x });
+  assert.ok(after.relative < before.relative / 1000, `${before.relative} → ${after.relative}`);
+
+  const sum = (values) => values.reduce((acc, v) => acc + v, 0);
+  assert.ok(Math.abs(sum(x) - sum(b)) < 1e-3 * width * height);
+  const maxAbs = (values) => values.reduce((acc, v) => Math.max(acc, Math.abs(v)), 0);
+  assert.ok(maxAbs(x) < maxAbs(b));
+});
+
+test('residual stats sum the reduction texels', () => {
+  const sums = Float32Array.of(4, 16, 1, 2, 5, 9, 3, 3, 0, 0, 0, 0);
+  const stats = residualStats(sums);
+  assert.equal(stats.cells, 5);
+  assert.equal(stats.max, 3);
+  assert.ok(Math.abs(stats.rms - Math.sqrt(9 / 5)) < 1e-12);
+  assert.ok(Math.abs(stats.relative - Math.sqrt(9 / 25)) < 1e-12);
+  assert.deepEqual(residualStats(new Float32Array(8)), { rms: 0, max: 0, relative: 0, cells: 0 });
+});
+
+// Simulation stand-in: the water layer's pressure / velocity pairs and texture helpers
+function createSimulation(width = 64, height = 64) {
+  const gl = createStubGL({
+    readPixels: (x, y, w, h, format, type, out) => { out[0] = 8; out[1] = 32; out[2] = 2; out[3] = 2; }
+  });
+  gl.canvas = { width: width * 2, height: height * 2 };
+  let textures = 0;
+  const sim = {
+    gl,
+    simWidth: width,
+    simHeight: height,
+    renderer: { quadBuffer: { stub: 'quad' } },
+    pressureTexture1: 'p1',
+    pressureTexture2: 'p2',
+    pressureFBO: 'pFBO',
+    velocityTexture1: 'v1',
+    velocityTexture2: 'v2',
+    velocityFBO: 'vFBO',
+    divergenceTexture: 'div',
+    createTexture: (w, h) => ({ texture: ++textures, w, h }),
+    createFBO: (texture) => ({ fbo: texture.texture }),
+    swapPressureTextures() { [this.pressureTexture1, this.pressureTexture2] = [this.pressureTexture2, this.pressureTexture1]; },
+    swapVelocityTextures() { [this.velocityTexture1, this.velocityTexture2] = [this.velocityTexture2, this.velocityTexture1]; }
+  };
+  return sim;
+}
+
+const PROGRAMS = { smooth: 'smooth', restrict: 'restrict', prolong: 'prolong', residualNorm: 'norm' };
+
+test('GPU solver runs the schedule level by level and restores the viewport', () => {
+  const sim = createSimulation();
+  const solver = new MultigridSolver(sim, PROGRAMS);
+  const field = waterField(sim.gl, sim, 'pressure');
+  solver.solve(field, { b: 'div', bScale: -1, cycles: 2 });
+
+  const calls = sim.gl.calls;
+  const passes = vCyclePasses(multigridLevels(64, 64).length);
+  const drawn = passes.filter((p) => p.op !== 'clear').length;
+  assert.equal(calls.filter((c) => c.name === 'drawArrays').length, drawn * 2);
+  assert.equal(calls.filter((c) => c.name === 'clear').length, (passes.length - drawn) * 2);
+
+  // 64 → 32 → 16: viewports follow the level, then go back to the simulation grid
+  const viewports = calls.filter((c) => c.name === 'viewport').map((c) => c.args[2]);
+  assert.deepEqual([...new Set(viewports)].sort((a, b) => a - b), [16, 32, 64]);
+  assert.deepEqual(viewports.at(-1), 64);
+
+  // Level-0 smooth and prolong passes write the other texture and swap: an even
+  // number of them leaves the pressure back in pressureTexture1
+  const level0Swaps = passes.filter((p) => p.level === 0 && p.op !== 'restrict').length * 2;
+  assert.equal(sim.pressureTexture1, level0Swaps % 2 === 0 ? 'p1' : 'p2');
+  assert.equal(calls.filter((c) => c.name === 'blitFramebuffer').length, 0);
+});
+
+test('GPU solver: hierarchies are reused, copied b for implicit solves, released on resize', () => {
+  const sim = createSimulation(40, 40);
+  const solver = new MultigridSolver(sim, PROGRAMS);
+  const velocity = waterField(sim.gl, sim, 'velocity');
+  assert.equal(velocity.format[0], 'RG16F');
+
+  solver.solve(velocity, { a: 0.1, bScale: 0.1 });
+  solver.solve(velocity, { a: 0.1, bScale: 0.1 });
+  assert.equal(solver.hierarchies.get('velocity').levels.length, 2);
+  assert.equal(sim.gl.calls.filter((c) => c.name === 'blitFramebuffer').length, 2);
+
+  solver.release();
+  assert.equal(solver.hierarchies.size, 0);
+  // Coarse x pair + b, and the scratch copy of the right-hand side
+  assert.equal(sim.gl.calls.filter((c) => c.name === 'deleteTexture').length, 4);
+});
+
+test('GPU residual readback reduces into stats', () => {
+  const sim = createSimulation();
+  const solver = new MultigridSolver(sim, PROGRAMS);
+  const stats = solver.residualNorm(waterField(sim.gl, sim, 'pressure'), { b: 'div', bScale: -1 });
+  assert.deepEqual(stats, { rms: 2, max: 2, relative: 0.5, cells: 2 });
+  const blockUniform = sim.gl.calls.find((c) => c.name === 'uniform1i' && c.args[1] === 2);
+  assert.ok(blockUniform, 'u_block = 64 / 32');
+});
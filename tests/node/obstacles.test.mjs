@@ -0,0 +1,166 @@
+/**
+ * Obstacles: rasterized masks and shape collisions, the multigrid CPU
+ * reference with solid cells, SPH particles bouncing off obstacles, snapshot
+ * round trips, and the pressure passes binding the mask on a stub context.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import ObstacleField, { rasterizeObstacles, collideObstacle, insideObstacle, maskFromPixels } from '../../src/simulation/obstacles.js';
+import { solve, residualNorm } from '../../src/simulation/kernels/multigrid-reference.js';
+import { projectVelocity } from '../../src/simulation/kernels/pressure.js';
+import Simulation from '../../src/simulation.js';
+import { SnapshotWriter, SnapshotReader } from '../../src/simulation/snapshot.js';
+import { createStubGL, createSystem } from './harness.mjs';
+
+// 3x3 image: solid ring around an open centre, plus an open top-left corner
+function ringMask() {
+  return { width: 3, height: 3, data: Uint8Array.of(0, 255, 255, 255, 0, 255, 255, 255, 255) };
+}
+
+const solidCells = (mask) => mask.reduce((n, v) => n + (v ? 1 : 0), 0);
+
+test('discs stay round on a non-square grid; bars and images cover their footprint', () => {
+  // 0.1 of the height across 200x100 cells: 10 cells tall, 10 wide
+  const disc = rasterizeObstacles([{ type: 'disc', x: 0.5, y: 0.5, radius: 0.05 }], 200, 100);
+  const row = Array.from(disc.subarray(50 * 200, 51 * 200));
+  const column = Array.from({ length: 100 }, (_, y) => disc[y * 200 + 100]);
+  assert.equal(solidCells(row), 10);
+  assert.equal(solidCells(column), 10);
+
+  const bar = { type: 'bar', x: 0.5, y: 0.5, length: 0.5, width: 0.1, angle: Math.PI / 2 };
+  assert.ok(insideObstacle(bar, 0.5, 0.74));
+  assert.ok(!insideObstacle(bar, 0.5, 0.76));
+  assert.ok(!insideObstacle(bar, 0.56, 0.5));
+
+  // Mask rows run top-down: the open top-left texel is at high v
+  const image = { type: 'image', x: 0.5, y: 0.5, size: 0.3, mask: ringMask() };
+  assert.ok(!insideObstacle(image, 0.4, 0.6));
+  assert.ok(insideObstacle(image, 0.6, 0.6));
+  assert.ok(!insideObstacle(image, 0.5, 0.5));
+  assert.ok(insideObstacle(image, 0.4, 0.4));
+});
+
+test('collisions return the nearest surface point and outward normal', () => {
+  const disc = collideObstacle({ type: 'disc', x: 0.5, y: 0.5, radius: 0.1 }, 0.55, 0.5);
+  assert.ok(Math.abs(disc.x - 0.6) < 1e-12 && disc.y === 0.5);
+  assert.deepEqual([disc.nx, disc.ny], [1, 0]);
+  assert.equal(collideObstacle({ type: 'disc', x: 0.5, y: 0.5, radius: 0.1 }, 0.7, 0.5), null);
+
+  // Side of a horizontal bar: straight up or down
+  const bar = collideObstacle({ type: 'bar', x: 0.5, y: 0.5, length: 0.4, width: 0.04, angle: 0 }, 0.6, 0.49);
+  assert.ok(Math.abs(bar.y - 0.48) < 1e-12 && Math.abs(bar.x - 0.6) < 1e-12);
+  assert.ok(Math.abs(bar.ny + 1) < 1e-12);
+
+  // Inside the image ring, just right of centre: out through the right edge
+  const image = { type: 'image', x: 0.5, y: 0.5, size: 0.3, mask: ringMask() };
+  const hit = collideObstacle(image, 0.62, 0.42);
+  assert.ok(hit && !insideObstacle(image, hit.x, hit.y));
+});
+
+test('overlapping shapes push a point clear of all of them; world coordinates flip y', () => {
+  const field = new ObstacleField();
+  field.add({ type: 'disc', x: 0.5, y: 0.5, radius: 0.1 });
+  field.add({ type: 'disc', x: 0.57, y: 0.5, radius: 0.05 });
+  // Out of the first disc lands inside the second, which pushes further out
+  const hit = field.collide(0.55, 0.5);
+  assert.ok(hit.x > 0.62);
+  assert.ok(field.shapes.every((shape) => !insideObstacle(shape, hit.x, hit.y)));
+
+  // World y points down the screen: a point below the centre leaves downwards
+  const world = field.collideWorld(0, 0.05, 0.48);
+  assert.ok(world.y > 0.09 && world.ny > 0.99);
+  assert.equal(new ObstacleField().collideWorld(0, 0, 0.48), null);
+});
+
+test('multigrid with obstacles converges and keeps solid cells at zero', () => {
+  const width = 64;
+  const height = 64;
+  const b = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) b[y * width + x] = Math.sin(x * 0.2) * Math.cos(y * 0.15);
+  }
+  const obstacles = rasterizeObstacles([
+    { type: 'disc', x: 0.35, y: 0.5, radius: 0.08 },
+    { type: 'bar', x: 0.65, y: 0.5, length: 0.4, width: 0.05, angle: 1.0 }
+  ], width, height);
+  const problem = { width, height, b, bScale: -1, obstacles, x: new Float32Array(width * height) };
+
+  const before = residualNorm(problem);
+  const x = solve({ ...problem, cycles: 4 });
+  const after = residualNorm({ ...problem, x });
+  assert.ok(after.relative < 0.05 && after.relative < before.relative / 10, `${before.relative} → ${after.relative}`);
+  assert.ok(obstacles.every((solid, i) => !solid || x[i] === 0));
+  // Solid cells are left out of the statistics
+  const plain = residualNorm({ ...problem, obstacles: null });
+  assert.equal(plain.cells - after.cells, solidCells(obstacles.filter((_, i) => {
+    const cx = (i % width + 0.5) / width - 0.5;
+    const cy = (Math.floor(i / width) + 0.5) / height - 0.5;
+    return Math.hypot(cx, cy) <= 0.48;
+  })));
+});
+
+test('SPH particles bounce off obstacles with the container damping', () => {
+  const sph = createSystem(3, { maxParticles: 4 });
+  const field = new ObstacleField();
+  field.add({ type: 'disc', x: 0.5, y: 0.5, radius: 0.05 });
+  sph.obstacleCollider = (x, y) => field.collideWorld(x, y, sph.containerRadius);
+
+  // World x = 0.02 is inside the disc (radius 0.05 uv = 0.048 world), moving in
+  sph.particleCount = 1;
+  sph.positions.set([0.02, 0]);
+  sph.velocities.set([-1, 0.5]);
+  sph.enforceBoundaries();
+
+  assert.ok(Math.abs(sph.positions[0] - 0.048) < 1e-3 && Math.abs(sph.positions[1]) < 1e-6);
+  assert.ok(Math.abs(sph.velocities[0] - 0.5) < 1e-6 && Math.abs(sph.velocities[1] - 0.25) < 1e-6);
+});
+
+test('obstacles round-trip through a scene snapshot, image masks included', () => {
+  const field = new ObstacleField();
+  field.add({ type: 'bar', x: 0.3, y: 0.6, angle: 0.5 });
+  field.add({ type: 'image', x: 0.7, y: 0.4, mask: maskFromPixels(Uint8Array.of(0, 0, 0, 255, 255, 255, 255, 255), 2, 1) });
+  assert.deepEqual(Array.from(field.shapes[1].mask.data), [255, 0]);
+
+  const writer = new SnapshotWriter();
+  field.serialize(writer);
+  const restored = new ObstacleField();
+  restored.add({ type: 'disc' });
+  restored.restore(new SnapshotReader(writer.toArrayBuffer()));
+
+  assert.deepEqual(restored.shapes.map((s) => s.type), ['bar', 'image']);
+  assert.equal(restored.shapes[0].angle, 0.5);
+  assert.deepEqual(Array.from(restored.shapes[1].mask.data), [255, 0]);
+  assert.deepEqual(rasterizeObstacles(restored.shapes, 40, 30), rasterizeObstacles(field.shapes, 40, 30));
+
+  // Snapshots from before obstacles leave the plate clear
+  restored.restore(new SnapshotReader(new SnapshotWriter().toArrayBuffer()));
+  assert.ok(restored.empty);
+});
+
+test('pressure passes bind the obstacle mask only while the plate has obstacles', () => {
+  const gl = createStubGL({ getUniformLocation: (program, name) => name });
+  gl.canvas = { width: 64, height: 48 };
+  const sim = new Simulation({ gl, quadBuffer: { stub: 'quad' } });
+  sim.updateSimSize(gl.canvas);
+  const project = () => {
+    gl.calls.length = 0;
+    projectVelocity(gl, { quadBuffer: sim.renderer.quadBuffer }, 'divergence', 'pressure', 'gradient', sim);
+    return gl.calls.filter((c) => c.name === 'uniform1i' && c.args[0] === 'u_useObstacles').map((c) => c.args[1]);
+  };
+
+  sim.pressureIterations = 2;
+  assert.deepEqual(project(), [0, 0, 0, 0]);
+
+  sim.addObstacle({ type: 'disc', x: 0.5, y: 0.5, radius: 0.1 });
+  const upload = gl.calls.find((c) => c.name === 'texImage2D');
+  assert.deepEqual(upload.args.slice(2, 5), ['R8', 64, 48]);
+  assert.deepEqual(project(), [1, 1, 1, 1]);
+  assert.ok(gl.calls.some((c) => c.name === 'bindTexture' && c.args[1] === sim.obstacleTexture));
+  assert.ok(gl.calls.some((c) => c.name === 'uniform1i' && c.args[0] === 'u_obstacleSlip'));
+
+  // Unchanged shapes and grid: no re-upload
+  gl.calls.length = 0;
+  sim.syncObstacleMask();
+  assert.equal(gl.calls.length, 0);
+});
@@ -0,0 +1,203 @@
+/**
+ * Render-pass graph: link-time uniform tables, runPass doing the binding and
+ * ping-pong for a declaration, the water pipeline's order, toggles,
+ * timings and its single oil coupling pass, and the oil layer's SPH render
+ * and composite passes, on a stub context.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { describeProgram, uniformLocation } from '../../src/simulation/kernels/programs.js';
+import { runPass, pingPong, PassList } from '../../src/simulation/kernels/pass.js';
+import Simulation from '../../src/simulation.js';
+import WaterLayer from '../../src/simulation/layers/WaterLayer.js';
+import OilLayer from '../../src/simulation/layers/OilLayer.js';
+import { createStubGL } from './harness.mjs';
+
+const named = (gl, name) => gl.calls.filter((c) => c.name === name);
+const uniformCalls = (gl, name) => gl.calls.filter((c) => c.name.startsWith('uniform') && c.args[0] === name);
+
+test('uniform locations are read once at link time and misses are remembered', () => {
+  const active = ['u_dt', 'u_weights[0]'];
+  const gl = createStubGL({
+    getProgramParameter: (program, pname) => (pname === 'ACTIVE_UNIFORMS' ? active.length : null),
+    getActiveUniform: (program, i) => ({ name: active[i] }),
+    getUniformLocation: (program, name) => (name === 'u_unused' ? null : `loc:${name}`)
+  });
+  const table = describeProgram(gl, 'program');
+  assert.deepEqual([...table.uniforms.keys()], ['u_dt', 'u_weights']);
+  assert.equal(table.position, 0);
+
+  gl.calls.length = 0;
+  assert.equal(uniformLocation(gl, 'program', 'u_dt'), 'loc:u_dt');
+  assert.equal(uniformLocation(gl, 'program', 'u_weights'), 'loc:u_weights');
+  assert.equal(uniformLocation(gl, 'program', 'u_unused'), null);
+  assert.equal(uniformLocation(gl, 'program', 'u_unused'), null);
+  assert.equal(named(gl, 'getUniformLocation').length, 1);
+
+  // Tables belong to their context: the same program id elsewhere is looked up afresh
+  const other = createStubGL({ getUniformLocation: (program, name) => `other:${name}` });
+  assert.equal(uniformLocation(other, 'program', 'u_dt'), 'other:u_dt');
+});
+
+test('a pass binds its inputs in order, repeats and ping-pongs its output', () => {
+  const gl = createStubGL({ getUniformLocation: (program, name) => name });
+  const owner = {
+    aTexture1: 'a1', aTexture2: 'a2', aFBO: 'fbo',
+    swapA() { [this.aTexture1, this.aTexture2] = [this.aTexture2, this.aTexture1]; }
+  };
+  const sim = { source: 'src', extra: 'extra', simWidth: 8, simHeight: 4 };
+  const pass = {
+    inputs: { u_field: () => owner.aTexture1, u_source: 'source' },
+    output: () => pingPong(owner, ['aTexture1', 'aTexture2'], 'aFBO', 'swapA'),
+    iterations: () => 3,
+    uniforms(u, s, dt) {
+      u.float('u_dt', dt);
+      u.texture('u_extra', s.extra);
+      u.float('u_missing', 1);
+    }
+  };
+  runPass(gl, { quadBuffer: 'quad' }, 'program', pass, sim, 0.5);
+
+  assert.equal(named(gl, 'drawArrays').length, 3);
+  // Each sweep writes the other texture and reads the last result
+  assert.deepEqual(named(gl, 'framebufferTexture2D').map((c) => c.args[3]), ['a2', 'a1', 'a2']);
+  assert.deepEqual(named(gl, 'bindTexture').map((c) => c.args[1]), ['a1', 'src', 'extra', 'a2', 'src', 'extra', 'a1', 'src', 'extra']);
+  assert.deepEqual(uniformCalls(gl, 'u_field')[0].args, ['u_field', 0]);
+  assert.deepEqual(uniformCalls(gl, 'u_source')[0].args, ['u_source', 1]);
+  assert.deepEqual(uniformCalls(gl, 'u_extra')[0].args, ['u_extra', 2]);
+  assert.equal(owner.aTexture1, 'a2');
+  assert.equal(named(gl, 'useProgram').length, 1);
+});
+
+async function waterSim() {
+  const gl = createStubGL({ getUniformLocation: (program, name) => name });
+  gl.canvas = { width: 64, height: 48 };
+  const sim = new Simulation({ gl, quadBuffer: { stub: 'quad' } });
+  sim.updateSimSize(gl.canvas);
+  sim.water = new WaterLayer(sim);
+  await sim.water.init();
+  for (const name of ['forces', 'couplingForce', 'advection', 'marangoni', 'waterOilDrag']) {
+    sim[`${name}Program`] = name;
+  }
+  // Occupancy reads pixels back; the stub has none
+  sim.water.pipeline.setEnabled('occupancy', false);
+  return { gl, sim, pipeline: sim.water.pipeline };
+}
+
+test('the water pipeline lists its passes and skips what has no program or no oil', async () => {
+  const { gl, sim, pipeline } = await waterSim();
+  const passes = pipeline.describe(sim);
+  assert.deepEqual(passes.map((p) => p.name), [
+    'forces', 'coupling', 'temperature', 'thermal-buoyancy', 'agitation', 'oil-drag', 'vorticity', 'advect-velocity',
+    'marangoni', 'viscosity', 'stir', 'projection', 'stir-after', 'advect-color', 'diffusion', 'occupancy'
+  ]);
+  const forces = passes[0];
+  assert.deepEqual(forces.inputs, ['u_velocity_texture←velocityTexture1', 'u_color_texture←colorTexture1']);
+  assert.equal(forces.output, 'velocity');
+  assert.equal(forces.enabled, true);
+  // Not loaded (no program) or no oil layer
+  assert.equal(passes.find((p) => p.name === 'vorticity').enabled, false);
+  assert.equal(passes.find((p) => p.name === 'coupling').enabled, false);
+
+  gl.calls.length = 0;
+  pipeline.run(sim, 1 / 60);
+  const programs = named(gl, 'useProgram').map((c) => c.args[0]);
+  assert.ok(programs.indexOf('forces') < programs.indexOf('advection'));
+  assert.ok(!programs.includes('couplingForce') && !programs.includes('marangoni'));
+
+  assert.throws(() => pipeline.setEnabled('nope', false), /no pass named 'nope'/);
+  pipeline.setEnabled('forces', false);
+  gl.calls.length = 0;
+  pipeline.run(sim, 1 / 60);
+  assert.ok(!named(gl, 'useProgram').some((c) => c.args[0] === 'forces'));
+  pipeline.setEnabled('forces', true);
+  assert.equal(pipeline.describe(sim)[0].enabled, true);
+});
+
+test('oil pushes the water once per step, with the shader\'s uniform names', async () => {
+  const { gl, sim, pipeline } = await waterSim();
+  sim.useOil = true;
+  sim.oil = { oilTexture1: 'oil1' };
+  sim.couplingStrength = 0.3;
+
+  gl.calls.length = 0;
+  pipeline.run(sim, 1 / 60);
+  assert.equal(named(gl, 'useProgram').filter((c) => c.args[0] === 'couplingForce').length, 1);
+  assert.deepEqual(uniformCalls(gl, 'u_couplingStrength').map((c) => c.args[1]), [0.3]);
+  assert.deepEqual(uniformCalls(gl, 'u_waterVelocity')[0].args, ['u_waterVelocity', 0]);
+  assert.deepEqual(uniformCalls(gl, 'u_oilThickness')[0].args, ['u_oilThickness', 1]);
+  assert.ok(gl.calls.some((c) => c.name === 'bindTexture' && c.args[1] === 'oil1'));
+
+  sim.couplingStrength = 0;
+  gl.calls.length = 0;
+  pipeline.run(sim, 1 / 60);
+  assert.equal(uniformCalls(gl, 'u_couplingStrength').length, 0);
+});
+
+test('profiling times each pass that ran', () => {
+  const gl = createStubGL();
+  const order = [];
+  const list = new PassList([
+    { name: 'a', run: () => order.push('a') },
+    { name: 'b', run: () => order.push('b'), enabled: () => false },
+    { name: 'c', run: () => order.push('c') }
+  ]);
+  list.profile = true;
+  list.run({ gl }, 1 / 60);
+  assert.deepEqual(order, ['a', 'c']);
+  assert.deepEqual(Object.keys(list.timings), ['a', 'c']);
+  assert.equal(named(gl, 'finish').length, 2);
+  assert.deepEqual(list.describe({}).map((p) => p.ms === null), [false, true, false]);
+});
+
+test('the oil layer\'s SPH render and composite are passes with cached uniforms', () => {
+  const gl = createStubGL({ getUniformLocation: (program, name) => name });
+  const sim = {
+    gl, simWidth: 8, simHeight: 4, renderer: { quadBuffer: 'quad', copyProgram: 'copy' },
+    oilSmoothProgram: 'smooth', oilBlurProgram: 'blur', oilLayerCompositeProgram: 'composite',
+    oilSmoothingRate: 0.5, oilThicknessThreshold: 0.1, oilBlurEnabled: false
+  };
+  const layer = Object.create(OilLayer.prototype);
+  Object.assign(layer, {
+    gl, sim, useSPH: true, useDensityComposite: true, hasGridContent: false,
+    sphTexture1: 'sph1', sphTexture2: 'sph2', sphFBO: 'sphFBO', gridTexture1: 'grid1',
+    compositedTexture: 'composited', compositeFBO: 'compositeFBO', oilTexture1: 'oil1', oilFBO: 'oilFBO',
+    sph: { particleCount: 0, renderParticles: () => gl.calls.push({ name: 'renderParticles', args: [] }) }
+  });
+  const sphPipeline = layer.createSPHPipeline();
+  const compositePipeline = layer.createCompositePipeline();
+  const frame = () => {
+    gl.calls.length = 0;
+    sphPipeline.run(sim, 1 / 60);
+    compositePipeline.run(sim, 1 / 60);
+  };
+
+  assert.deepEqual(sphPipeline.describe(sim).map((p) => p.name), ['sph-particles', 'sph-smooth', 'sph-metaball', 'sph-blur']);
+  assert.deepEqual(compositePipeline.describe(sim).map((p) => p.name), ['layer-composite', 'legacy-copy', 'legacy-clear']);
+
+  // No oil: the SPH texture and the legacy texture are only cleared
+  frame();
+  assert.equal(named(gl, 'drawArrays').length, 0);
+  assert.equal(named(gl, 'clear').length, 2);
+  assert.equal(layer.sphTexture1, 'sph2');
+
+  // Particles: splat, smooth (ping-pong), composite, copy to the legacy texture
+  layer.sph.particleCount = 10;
+  frame();
+  assert.deepEqual(named(gl, 'useProgram').map((c) => c.args[0]), ['smooth', 'composite', 'copy']);
+  assert.ok(gl.calls.findIndex((c) => c.name === 'renderParticles') < gl.calls.findIndex((c) => c.name === 'useProgram'));
+  assert.deepEqual(uniformCalls(gl, 'u_smoothingRate').map((c) => c.args[1]), [0.5]);
+  assert.deepEqual(uniformCalls(gl, 'u_gridTexture')[0].args, ['u_gridTexture', 1]);
+  assert.equal(layer.sphTexture1, 'sph2');
+
+  // Every location came from the table on the first frame
+  frame();
+  assert.equal(named(gl, 'drawArrays').length, 3);
+  assert.equal(named(gl, 'getUniformLocation').length, 0);
+
+  compositePipeline.setEnabled('legacy-copy', false);
+  sphPipeline.setEnabled('sph-smooth', false);
+  frame();
+  assert.deepEqual(named(gl, 'useProgram').map((c) => c.args[0]), ['composite']);
+});
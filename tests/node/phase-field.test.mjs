@@ -0,0 +1,224 @@
+/**
+ * Cahn–Hilliard phase-field oil: the CPU reference of the shaders conserving
+ * oil, separating a mixture and keeping a drop, the explicit stability limit,
+ * and the layer's passes, model switch and saved model on a stub context.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  dishMask, chemicalPotential, phaseFieldStep, phaseSubsteps, stablePhaseDt, MAX_PHASE_SUBSTEPS
+} from '../../src/simulation/kernels/phase-field.js';
+import Simulation from '../../src/simulation.js';
+import PhaseFieldOilLayer from '../../src/simulation/layers/PhaseFieldOilLayer.js';
+import WaterLayer from '../../src/simulation/layers/WaterLayer.js';
+import Container from '../../src/simulation/container.js';
+import { SnapshotWriter } from '../../src/simulation/snapshot.js';
+import { createStubGL, createRandom } from './harness.mjs';
+
+const W = 32;
+const H = 32;
+const M = 2;
+const EPS = 1;
+const sum = (field) => field.reduce((a, b) => a + b, 0);
+
+/** Run `seconds` of phase-field time in stable substeps */
+function evolve(c, mask, seconds) {
+  const { dt } = phaseSubsteps(1 / 60, M, EPS);
+  let field = c;
+  for (let t = 0; t < seconds; t += dt) field = phaseFieldStep(field, mask, W, H, dt, M, EPS);
+  return field;
+}
+
+test('a mixture separates into water and oil without losing any oil', () => {
+  const mask = dishMask(W, H);
+  const random = createRandom(7);
+  const c = new Float64Array(W * H).map((_, i) => (mask[i] ? 0.5 + (random() - 0.5) * 0.1 : 0));
+  const before = sum(c);
+
+  const field = evolve(c, mask, 20);
+  assert.ok(Math.abs(sum(field) - before) < 1e-9 * before, `${sum(field)} vs ${before}`);
+  // From ±0.05 around an even mix to domains of nearly pure water and oil
+  const inside = field.filter((_, i) => mask[i]);
+  const spread = inside.reduce((a, v) => a + Math.abs(v - 0.5), 0) / inside.length;
+  assert.ok(spread > 0.2, `${spread}`);
+  assert.ok(Math.min(...inside) < 0.05 && Math.max(...inside) > 0.95);
+  for (let i = 0; i < field.length; i++) {
+    if (!mask[i]) assert.equal(field[i], 0);
+  }
+});
+
+test('a round drop keeps its size and shape', () => {
+  const mask = dishMask(W, H);
+  const R = 7;
+  const profile = (i) => {
+    const x = i % W - W / 2 + 0.5;
+    const y = Math.floor(i / W) - H / 2 + 0.5;
+    return 0.5 * (1 - Math.tanh((Math.hypot(x, y) - R) / (Math.SQRT2 * EPS)));
+  };
+  const c = new Float64Array(W * H).map((_, i) => (mask[i] ? profile(i) : 0));
+  const field = evolve(c, mask, 10);
+
+  const centre = (H / 2) * W + W / 2;
+  assert.ok(field[centre] > 0.95, `${field[centre]}`);
+  assert.ok(field[centre + W / 2 - 3] < 0.05);
+  // Equilibrium already: the profile barely moves
+  let change = 0;
+  for (let i = 0; i < c.length; i++) change = Math.max(change, Math.abs(field[i] - c[i]));
+  assert.ok(change < 0.1, `${change}`);
+  // And the potential of pure water or oil is zero
+  const mu = chemicalPotential(new Float64Array(W * H).fill(1), mask, W, H, EPS);
+  assert.ok(mu.every((v) => Math.abs(v) < 1e-12));
+});
+
+test('the dish mask follows the container', () => {
+  const round = dishMask(W, H);
+  assert.deepEqual(dishMask(W, H, new Container()), round);
+  const ellipse = new Container('ellipse');
+  const mask = dishMask(W, H, ellipse);
+  assert.ok(sum(mask) !== sum(round));
+  for (let i = 0; i < mask.length; i++) {
+    const inside = ellipse.contains((i % W + 0.5) / W, (Math.floor(i / W) + 0.5) / H, W / H);
+    assert.equal(mask[i], inside ? 1 : 0);
+  }
+});
+
+test('substeps stay under the explicit limit, which is a real one', () => {
+  const limit = stablePhaseDt(M, EPS);
+  const { substeps, dt } = phaseSubsteps(1 / 60, M, EPS);
+  assert.ok(dt <= 0.8 * limit + 1e-15 && substeps * dt <= 1 / 60 + 1e-12, `${substeps} × ${dt}`);
+  assert.equal(phaseSubsteps(1 / 60, 0, EPS).substeps, 0);
+  // Past the cap the field evolves slower than real time instead of blowing up
+  const stiff = phaseSubsteps(1 / 60, 1000, EPS);
+  assert.equal(stiff.substeps, MAX_PHASE_SUBSTEPS);
+  assert.ok(stiff.dt <= 0.8 * stablePhaseDt(1000, EPS));
+
+  // A grid-scale checkerboard decays just below the limit and grows above it
+  const mask = new Uint8Array(W * H).fill(1);
+  const checker = () => new Float64Array(W * H).map((_, i) => 0.01 * ((i % W + Math.floor(i / W)) % 2 ? 1 : -1));
+  const amplitude = (field) => Math.max(...field.map(Math.abs));
+  let stable = checker();
+  let unstable = checker();
+  for (let i = 0; i < 10; i++) {
+    stable = phaseFieldStep(stable, mask, W, H, 0.95 * limit, M, EPS);
+    unstable = phaseFieldStep(unstable, mask, W, H, 1.2 * limit, M, EPS);
+  }
+  assert.ok(amplitude(stable) < 0.01, `${amplitude(stable)}`);
+  assert.ok(amplitude(unstable) > 0.05, `${amplitude(unstable)}`);
+});
+
+async function phaseSim() {
+  const gl = createStubGL({ getUniformLocation: (program, name) => name });
+  gl.canvas = { width: 64, height: 48 };
+  const sim = new Simulation({ gl, quadBuffer: { stub: 'quad' }, ready: true });
+  sim.updateSimSize(gl.canvas);
+  sim.ready = true;
+  for (const name of ['advection', 'phasePotential', 'phase', 'phaseCapillary', 'splat']) {
+    sim[`${name}Program`] = name;
+  }
+  sim.oilModel = 'phase';
+  sim.oil = new PhaseFieldOilLayer(sim);
+  await sim.oil.init();
+  sim.useOil = true;
+  return { gl, sim, layer: sim.oil };
+}
+
+test('the phase layer advects, runs the Cahn–Hilliard substeps and pushes the water', async () => {
+  const { gl, sim, layer } = await phaseSim();
+
+  // Nothing painted: nothing to do
+  gl.calls.length = 0;
+  await layer.update(1 / 60);
+  assert.equal(gl.calls.length, 0);
+
+  layer.splatColor(0.5, 0.5, { r: 1, g: 0.8, b: 0.2 }, 0.05);
+  const uniform = (name) => gl.calls.filter((c) => c.name.startsWith('uniform') && c.args[0] === name).map((c) => c.args[1]);
+  assert.deepEqual(uniform('u_isOil'), [1]);
+  assert.deepEqual(uniform('u_oilStrength'), [1]);
+  assert.equal(layer.hasVisibleOilContent(), true);
+
+  // The capillary pass writes the water velocity
+  sim.water = new WaterLayer(sim);
+  await sim.water.init();
+  const velocity = sim.velocityTexture1;
+  gl.calls.length = 0;
+  await layer.update(1 / 60);
+  const programs = gl.calls.filter((c) => c.name === 'useProgram').map((c) => c.args[0]);
+  const { substeps } = phaseSubsteps(1 / 60, sim.phaseMobility, sim.phaseInterfaceWidth);
+  assert.deepEqual(programs, [
+    'advection',
+    ...Array.from({ length: substeps }, () => ['phasePotential', 'phase']).flat(),
+    'phaseCapillary'
+  ]);
+  assert.deepEqual(uniform('u_isOil'), [1]);
+  assert.deepEqual(uniform('u_epsilon2').slice(0, 1), [sim.phaseInterfaceWidth ** 2]);
+  assert.deepEqual(uniform('u_mobility').slice(0, 1), [sim.phaseMobility]);
+  assert.deepEqual(uniform('u_capillary'), [sim.phaseCapillary]);
+  assert.equal(sim.velocityTexture2, velocity); // ping-ponged
+
+  sim.phaseCapillary = 0;
+  layer.pipeline.setEnabled('phase-advect', false);
+  gl.calls.length = 0;
+  await layer.update(1 / 60);
+  assert.ok(!gl.calls.some((c) => c.name === 'useProgram' && (c.args[0] === 'phaseCapillary' || c.args[0] === 'advection')));
+});
+
+test('the oil model switches layers and rejects unknown models', async () => {
+  const { sim } = await phaseSim();
+  const old = sim.oil;
+  await sim.setOilModel('phase');
+  assert.equal(sim.oil, old);
+
+  await assert.rejects(sim.setOilModel('lava'), /unknown oil model 'lava'/);
+
+  // Switched off: the model changes but no layer comes back
+  await sim.disableOil();
+  sim.oilModel = 'sph';
+  await sim.setOilModel('phase');
+  assert.equal(sim.oil, null);
+
+  await sim.enableOil();
+  assert.ok(sim.oil instanceof PhaseFieldOilLayer);
+  assert.equal(sim.useOil, true);
+  assert.equal(sim.createOilLayer().constructor.name, 'PhaseFieldOilLayer');
+});
+
+test('a scene restores under the oil model it was saved with', async () => {
+  const { sim, layer } = await phaseSim();
+  layer.splatColor(0.5, 0.5, { r: 1, g: 0.8, b: 0.2 }, 0.05);
+  const phaseScene = sim.serialize();
+
+  // Restored into an SPH dish: switch to phase oil before reading its field
+  const { sim: other } = await phaseSim();
+  const particles = [];
+  other.createOilLayer = function () {
+    if (this.oilModel === 'phase') return new PhaseFieldOilLayer(this);
+    // SPH on the stub context: a layer that saves and restores a few particles
+    return {
+      init: async () => {}, destroy() {},
+      serialize: (writer) => writer.set('oil', { particles: 3 }),
+      restore: (reader) => particles.push(reader.get('oil')?.particles ?? 0)
+    };
+  };
+  await other.setOilModel('sph');
+  await other.restore(phaseScene);
+  assert.equal(other.oilModel, 'phase');
+  assert.ok(other.oil instanceof PhaseFieldOilLayer && other.oil.hasContent);
+
+  // ...and back: an SPH scene brings its particles into a phase dish
+  await other.setOilModel('sph');
+  const sphScene = other.serialize();
+  await sim.setOilModel('phase');
+  sim.createOilLayer = other.createOilLayer;
+  await sim.restore(sphScene);
+  assert.equal(sim.oilModel, 'sph');
+  assert.deepEqual(particles, [3]);
+
+  // Scenes from before the model was saved: a phase field means phase oil
+  const legacy = new SnapshotWriter();
+  legacy.set('phaseOil', { hasContent: true });
+  await sim.restore(legacy.toArrayBuffer());
+  assert.equal(sim.oilModel, 'phase');
+  await sim.restore(new SnapshotWriter().toArrayBuffer());
+  assert.equal(sim.oilModel, 'sph');
+});
@@ -0,0 +1,109 @@
+/**
+ * Pigment mixing in the water ink field: the Kubelka–Munk mapping of
+ * palette colors, subtractive mixes, and the splat carrying absorption.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  KS_MAX, PIGMENT_MIN_REFLECTANCE, ksFromReflectance, reflectanceFromKS, pigmentFromColor, mixReflectance,
+  pigmentFieldFromColor
+} from '../../src/simulation/pigment.js';
+import { SnapshotWriter, SnapshotReader, halfToFloat, floatToHalf } from '../../src/simulation/snapshot.js';
+import Simulation from '../../src/simulation.js';
+import WaterLayer from '../../src/simulation/layers/WaterLayer.js';
+import { createStubGL } from './harness.mjs';
+
+const BLUE = { r: 0.0, g: 0.5, b: 1.0 };
+const YELLOW = { r: 1.0, g: 0.9, b: 0.0 };
+const close = (a, b, eps = 1e-9) => Math.abs(a - b) < eps;
+
+test('K/S and reflectance are inverse and a single ink keeps its color', () => {
+  for (const R of [0.05, 0.2, 0.5, 0.9]) {
+    assert.ok(close(reflectanceFromKS(ksFromReflectance(R)), R), `${R}`);
+  }
+  assert.equal(ksFromReflectance(0), KS_MAX);
+  assert.deepEqual(pigmentFromColor({ r: 0, g: 0, b: 0 }), { r: 1, g: 1, b: 1 });
+
+  const color = { r: 0.2, g: 0.5, b: 0.9 };
+  const mixed = mixReflectance([{ color, amount: 0.3 }]);
+  for (const c of ['r', 'g', 'b']) assert.ok(close(mixed[c], color[c]), `${c} ${mixed[c]}`);
+  // Pure channels come back at the darkest pigment reflectance, not zero
+  assert.ok(close(mixReflectance([{ color: BLUE, amount: 1 }]).r, PIGMENT_MIN_REFLECTANCE));
+  assert.deepEqual(mixReflectance([]), { r: 0, g: 0, b: 0 });
+});
+
+test('blue and yellow ink make green', () => {
+  const green = mixReflectance([{ color: BLUE, amount: 1 }, { color: YELLOW, amount: 1 }]);
+  assert.ok(green.g > 0.4, `${green.g}`);
+  assert.ok(green.r < 0.1 && green.b < 0.1, JSON.stringify(green));
+  // Only the ratio matters: twice as much of both is the same color
+  const more = mixReflectance([{ color: BLUE, amount: 2 }, { color: YELLOW, amount: 2 }]);
+  for (const c of ['r', 'g', 'b']) assert.ok(close(more[c], green[c]), c);
+});
+
+test('mixes never wash out to white', () => {
+  const palette = [
+    { r: 1, g: 0.1, b: 0.1 }, { r: 0.1, g: 1, b: 0.2 }, { r: 0.2, g: 0.3, b: 1 },
+    { r: 1, g: 0.9, b: 0.1 }, { r: 0.9, g: 0.2, b: 0.9 }
+  ];
+  const mixed = mixReflectance(palette.map((color) => ({ color, amount: 1 })));
+  for (const c of ['r', 'g', 'b']) {
+    // No channel brighter than the brightest ink in it
+    assert.ok(mixed[c] <= Math.max(...palette.map((p) => p[c])) + 1e-12, c);
+  }
+  // Additive light would give (1, 1, 1); every ink together is a dark mud
+  assert.ok(mixed.r + mixed.g + mixed.b < 1, JSON.stringify(mixed));
+});
+
+test('water splats deposit pigment absorption, not the color', async () => {
+  const gl = createStubGL({ getUniformLocation: (program, name) => name });
+  gl.canvas = { width: 64, height: 64 };
+  const sim = new Simulation({ gl, quadBuffer: { stub: 'quad' } });
+  sim.updateSimSize(gl.canvas);
+  sim.splatProgram = 'splat';
+  const water = new WaterLayer(sim);
+  await water.init();
+
+  gl.calls.length = 0;
+  water.splatColor(0.5, 0.5, YELLOW, 0.05);
+  const color = gl.calls.find((c) => c.name === 'uniform3f' && c.args[0] === 'u_color').args.slice(1);
+  const pigment = pigmentFromColor(YELLOW);
+  assert.deepEqual(color, [pigment.r, pigment.g, pigment.b]);
+  // Yellow absorbs blue, hardly any red
+  assert.ok(color[2] > 0.99 && color[0] < 0.01, color.join(' '));
+});
+
+test('scenes saved with RGB ink restore it as pigment', async () => {
+  // Two texels of the old additive field: half-strength yellow and no ink
+  const rgb = [0.5, 0.45, 0, 1, 0, 0, 0, 1];
+  const old = createStubGL({ readPixels: (x, y, w, h, format, type, out) => out.set(rgb) });
+  const writer = new SnapshotWriter();
+  writer.addTexture(old, 'water.color', { stub: 'color' }, 2, 1, { channels: 4 });
+  const reader = new SnapshotReader(writer.toArrayBuffer());
+
+  const uploads = [];
+  const gl = createStubGL({
+    getUniformLocation: (program, name) => name,
+    texSubImage2D: (...args) => uploads.push(args)
+  });
+  gl.canvas = { width: 2, height: 1 };
+  const sim = new Simulation({ gl, quadBuffer: { stub: 'quad' } });
+  sim.updateSimSize(gl.canvas);
+  const water = new WaterLayer(sim);
+  await water.init();
+  sim.simWidth = 2;
+  sim.simHeight = 1;
+  uploads.length = 0;
+  water.restore(reader);
+
+  const field = uploads.find((args) => args[4] === 2 && args[5] === 1 && args[6] === 'RGBA').at(-1);
+  const saved = Float32Array.from(rgb.map((v) => halfToFloat(floatToHalf(v))));
+  assert.deepEqual(field, pigmentFieldFromColor(saved));
+  const pigment = pigmentFromColor({ r: 1, g: saved[1] / saved[0], b: 0 });
+  assert.ok(close(field[3], 0.5) && close(field[0], pigment.r * 0.5, 1e-6) && close(field[2], 0.5, 1e-6));
+  assert.deepEqual(Array.from(field.subarray(4)), [0, 0, 0, 0]);
+  // Mixed back, it is the yellow the scene showed
+  const shown = mixReflectance([{ color: { r: 1, g: 0.9, b: 0 }, amount: field[3] }]);
+  assert.ok(shown.r > 0.9 && shown.b < 0.05, JSON.stringify(shown));
+});
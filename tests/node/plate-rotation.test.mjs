@@ -0,0 +1,139 @@
+/**
+ * Plate rotation: the plate's inertia, the forces pass reading its state on
+ * a stub context, SPH particles gripped by the wall and pushed by the frame
+ * forces the water uses, and the spin saved with the scene.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import PlateRotation, {
+  OMEGA_PER_ROTATION, plateVelocity, frameAcceleration, plateStateWorld
+} from '../../src/simulation/plate-rotation.js';
+import Simulation from '../../src/simulation.js';
+import { SnapshotWriter, SnapshotReader } from '../../src/simulation/snapshot.js';
+import { createStubGL, createSystem } from './harness.mjs';
+
+const close = (a, b, tolerance = 1e-9) => Math.abs(a - b) < tolerance;
+
+test('the plate spins up with the motor and coasts down more slowly', () => {
+  const plate = new PlateRotation();
+  const target = 0.2 * OMEGA_PER_ROTATION;
+
+  plate.step(1 / 60, 0.2, 0.8, 2.5);
+  assert.ok(plate.omega > 0 && plate.omega < 0.05 * target);
+  assert.ok(close(plate.alpha, plate.omega * 60));
+
+  // One time constant in: 63% of the way there
+  for (let i = 1; i < 48; i++) plate.step(1 / 60, 0.2, 0.8, 2.5);
+  assert.ok(close(plate.omega, target * (1 - Math.exp(-1)), 1e-6), `${plate.omega}`);
+  assert.ok(close(plate.amount, plate.omega / OMEGA_PER_ROTATION));
+  assert.ok(plate.angle > 0);
+
+  // Released: it keeps turning, losing speed at the slower rate
+  const spinning = plate.omega;
+  for (let i = 0; i < 48; i++) plate.step(1 / 60, 0, 0.8, 2.5);
+  assert.ok(close(plate.omega, spinning * Math.exp(-0.8 / 2.5), 1e-6));
+  assert.ok(plate.alpha < 0);
+
+  // Reversing brakes through zero at the coasting rate first
+  const braking = new PlateRotation();
+  braking.omega = 0.6;
+  braking.step(1 / 60, -0.2, 0.8, 2.5);
+  assert.ok(close(braking.omega, -0.6 + 1.2 * Math.exp(-1 / 150)));
+});
+
+test('the water pass gets the plate state and no longer any spiral emitter', () => {
+  const gl = createStubGL({ getUniformLocation: (program, name) => name });
+  gl.canvas = { width: 64, height: 48 };
+  const sim = new Simulation({ gl, quadBuffer: { stub: 'quad' } });
+  sim.updateSimSize(gl.canvas);
+  sim.forcesProgram = 'forces';
+  assert.equal('centralSpiralPower' in sim, false);
+
+  sim.plateRotation.omega = 0.45;
+  sim.plateRotation.alpha = -0.1;
+  sim.rotatingFrame = true;
+  gl.calls.length = 0;
+  sim.applyForces(1 / 60);
+  const uniform = (name) => gl.calls.find((c) => c.args[0] === name).args.slice(1);
+  assert.deepEqual(uniform('u_plate_omega'), [0.45]);
+  assert.deepEqual(uniform('u_plate_alpha'), [-0.1]);
+  assert.deepEqual(uniform('u_rotating_frame'), [1]);
+  assert.deepEqual(uniform('u_wall_coupling'), [sim.plateWallCoupling]);
+  assert.deepEqual(uniform('u_bottom_friction'), [sim.plateBottomFriction]);
+  assert.equal(gl.calls.some((c) => c.args[0] === 'u_rotation_amount'), false);
+});
+
+test('the wall grips SPH particles toward its own speed, in the same sense as the water', () => {
+  const sph = createSystem(2, { maxParticles: 4 });
+  const R = sph.containerRadius;
+  const plate = { omega: 0.6, alpha: 0, rotatingFrame: false, wallCoupling: 8 };
+
+  // At rest beside the wall on the right, and one in the middle
+  sph.particleCount = 2;
+  sph.positions.set([R * 0.99, 0, 0.1, 0]);
+  sph.velocities.set([0, 0, 0, 0]);
+  sph.forces.fill(0);
+  sph.applyPlateForces(plate);
+
+  // Counter-clockwise on screen carries the right-hand wall up: world -y
+  const wall = plateVelocity(-plate.omega, R * 0.99, 0);
+  assert.ok(wall.y < 0);
+  assert.ok(close(sph.forces[0], 0, 1e-12));
+  assert.ok(sph.forces[1] < 0);
+  assert.ok(sph.forces[1] >= sph.particleMass * 8 * wall.y - 1e-12);
+  assert.deepEqual([sph.forces[2], sph.forces[3]], [0, 0]);
+
+  // Already moving with the wall: no slip, no force
+  sph.velocities.set([0, wall.y]);
+  sph.forces.fill(0);
+  sph.applyPlateForces(plate);
+  assert.ok(close(sph.forces[1], 0, 1e-6));
+
+  // In the plate's frame the wall stands still and brakes the particle instead
+  sph.applyPlateForces({ ...plate, rotatingFrame: true });
+  assert.ok(sph.forces[1] > 0);
+});
+
+test('in the plate frame particles feel the same Coriolis, centrifugal and Euler terms', () => {
+  const sph = createSystem(4, { maxParticles: 4 });
+  const plate = { omega: 0.5, alpha: 0.2, rotatingFrame: true, wallCoupling: 0 };
+  const world = plateStateWorld(plate);
+  assert.deepEqual([world.omega, world.alpha], [-0.5, -0.2]);
+
+  sph.particleCount = 1;
+  sph.positions.set([0.1, -0.05]);
+  sph.velocities.set([0.2, 0.3]);
+  sph.forces.fill(0);
+  sph.applyPlateForces(plate);
+  const a = frameAcceleration(world.omega, world.alpha, 0.1, -0.05, 0.2, 0.3);
+  assert.ok(close(sph.forces[0], sph.particleMass * a.x));
+  assert.ok(close(sph.forces[1], sph.particleMass * a.y));
+
+  // A resting parcel on the axis is flung straight out
+  const out = frameAcceleration(0.5, 0, 0.2, 0, 0, 0);
+  assert.deepEqual(out, { x: 0.25 * 0.2, y: 0 });
+  // Coriolis turns motion to the right of a counter-clockwise plate
+  const turn = frameAcceleration(0.5, 0, 0, 0, 1, 0);
+  assert.ok(turn.y < 0 && turn.x === 0);
+
+  // A full update() with the plate keeps the particle moving and finite
+  sph.update(1 / 60, plate);
+  assert.ok(Number.isFinite(sph.positions[0]) && Number.isFinite(sph.velocities[1]));
+});
+
+test('the spin is saved with the scene; older scenes restore a plate at rest', () => {
+  const plate = new PlateRotation();
+  plate.omega = 0.3;
+  plate.angle = 1.25;
+  plate.alpha = 4;
+  const writer = new SnapshotWriter();
+  plate.serialize(writer);
+
+  const restored = new PlateRotation();
+  restored.restore(new SnapshotReader(writer.toArrayBuffer()));
+  assert.deepEqual([restored.omega, restored.angle, restored.alpha], [0.3, 1.25, 0]);
+
+  restored.restore(new SnapshotReader(new SnapshotWriter().toArrayBuffer()));
+  assert.deepEqual([restored.omega, restored.angle], [0, 0]);
+});
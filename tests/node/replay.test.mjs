@@ -0,0 +1,211 @@
+/**
+ * InputReplay: recording the controller's actions step by step, the replay
+ * file format and start state, and playback through the same simulation calls.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import InputReplay, { REPLAY_VERSION, parseReplay } from '../../src/replay.js';
+
+// Logs every simulation call as [step, name, ...args]
+function createFakeController() {
+  const calls = [];
+  const simulation = {
+    stepCount: 0,
+    time: 0,
+    seed: null,
+    rotationBase: 0,
+    rotationDelta: 0,
+    splat(x, y, color, radius) { calls.push([this.stepCount, 'splat', x, y, color, radius]); },
+    splatVelocity(x, y, vx, vy, radius) { calls.push([this.stepCount, 'splatVelocity', x, y, vx, vy, radius]); },
+    setRotation(v) { this.rotationBase = v; calls.push([this.stepCount, 'setRotation', v]); },
+    setRotationDelta(v) { this.rotationDelta = v; calls.push([this.stepCount, 'setRotationDelta', v]); },
+    setDeterministic(seed) { this.seed = seed; },
+    step(dt = 1 / 60) { this.stepCount++; this.time += dt; }
+  };
+  simulation.oil = {
+    splatColor(x, y, color, radius) { calls.push([simulation.stepCount, 'oilSplat', x, y, color, radius]); }
+  };
+  const controller = {
+    calls,
+    simulation,
+    materials: [{ name: 'Ink' }, { name: 'Mineral Oil' }],
+    currentMaterialIndex: 0,
+    get currentMaterial() { return this.materials[this.currentMaterialIndex]; },
+    setMaterial(index) {
+      this.currentMaterialIndex = index;
+      this.replay.record('material', { material: this.materials[index].name });
+    },
+    fireJetRing(x, y, strength) {
+      this.replay.record('jet', { x, y, strength });
+      simulation.splatVelocity(x, y, 0, strength, 0.05);
+    },
+    setRotationDelta(v) {
+      this.replay.record('rotationDelta', { value: v });
+      simulation.setRotationDelta(v);
+    },
+    onKeyDown(e) {
+      this.replay.recordKey('keydown', e);
+      if (e.key === 'x' && !e.defaultPrevented) {
+        e.preventDefault();
+        calls.push([simulation.stepCount, 'clear']);
+      }
+    },
+    onKeyUp(e) { this.replay.recordKey('keyup', e); }
+  };
+  controller.replay = new InputReplay(controller);
+  return controller;
+}
+
+// A short session: ink, a material switch, oil paint, a jet, rotation and a key
+function perform(c) {
+  const sim = c.simulation;
+  const paint = (type, x) => {
+    const color = { r: 0.1, g: 0.5, b: 1.0 };
+    c.replay.record(type, { x, y: 0.5, color, material: c.currentMaterial.name, radius: 0.06 });
+    if (type === 'splat') sim.splat(x, 0.5, color, 0.06);
+    else sim.oil.splatColor(x, 0.5, color, 0.06);
+  };
+  paint('splat', 0.3);
+  sim.step();
+  c.setMaterial(1);
+  paint('oilSplat', 0.4);
+  sim.step();
+  c.fireJetRing(0.5, 0.5, 60);
+  c.setRotationDelta(0.2);
+  sim.step();
+  sim.step();
+  const key = { key: 'x', code: 'KeyX', defaultPrevented: false, preventDefault() { this.defaultPrevented = true; } };
+  c.onKeyDown(key); // document listener
+  c.onKeyDown(key); // window listener: same event, already handled
+  c.onKeyDown({ key: 'S', code: 'KeyS', ctrlKey: true, shiftKey: true }); // shortcut: not recorded
+  c.setRotationDelta(0.0);
+  sim.step();
+}
+
+test('recording stamps events with the simulation step', () => {
+  const c = createFakeController();
+  c.simulation.step();
+  c.replay.startRecording();
+  perform(c);
+  const replay = c.replay.stopRecording();
+
+  assert.equal(replay.version, REPLAY_VERSION);
+  assert.equal(replay.steps, 5);
+  assert.deepEqual(replay.events.map((e) => [e.step, e.type]), [
+    [0, 'splat'], [1, 'material'], [1, 'oilSplat'], [2, 'jet'], [2, 'rotationDelta'],
+    [4, 'keydown'], [4, 'keydown'], [4, 'rotationDelta']
+  ]);
+  assert.equal(replay.events[2].material, 'Mineral Oil');
+  assert.deepEqual(replay.events[2].color, { r: 0.1, g: 0.5, b: 1.0 });
+  assert.deepEqual(replay.events.slice(5, 7).map((e) => e.prevented), [false, true]);
+  assert.equal(c.replay.recording, false);
+});
+
+test('playback repeats the same calls on the same steps', () => {
+  const live = createFakeController();
+  live.replay.startRecording();
+  perform(live);
+  const json = JSON.stringify(live.replay.stopRecording());
+
+  const c = createFakeController();
+  c.simulation.step(); // playback steps are relative to where it starts
+  c.replay.play(json);
+  assert.equal(c.replay.playing, true);
+  for (let frame = 0; frame < 10 && c.replay.update(); frame++) {
+    c.simulation.step();
+  }
+  assert.equal(c.replay.playing, false);
+
+  const relative = (calls, offset) => calls.map(([step, ...rest]) => [step - offset, ...rest]);
+  assert.deepEqual(relative(c.calls, 1), live.calls);
+  assert.equal(c.currentMaterial.name, 'Mineral Oil');
+  assert.equal(c.simulation.rotationDelta, 0.0);
+});
+
+test('playback does not record, and recording stops playback', () => {
+  const c = createFakeController();
+  c.replay.startRecording();
+  perform(c);
+  const replay = c.replay.stopRecording();
+
+  c.replay.play();
+  c.replay.update();
+  assert.equal(c.replay.events.length, 0);
+  c.replay.startRecording();
+  assert.equal(c.replay.playing, false);
+  assert.deepEqual(c.replay.replay.events, replay.events);
+});
+
+test('rotation set every frame is only recorded when it changes', () => {
+  const c = createFakeController();
+  c.replay.startRecording();
+  for (const v of [0.1, 0.1, 0.1, 0.3, 0.3, 0.0]) {
+    c.setRotationDelta(v);
+    c.simulation.step();
+  }
+  const replay = c.replay.stopRecording();
+  assert.deepEqual(replay.events.map((e) => [e.step, e.value]), [[0, 0.1], [3, 0.3], [5, 0.0]]);
+});
+
+test('a replay starts from the tilt, held rotation and clock glass of the recording', async () => {
+  const live = createFakeController();
+  Object.assign(live.simulation, { tiltX: 0.3, tiltY: -0.2, rotationDelta: 0.2 });
+  live.simulation.upperPlate = { rotationBase: -0.04, rotationDelta: 0.1 };
+  live.replay.startRecording();
+  live.setRotationDelta(0.2);     // still held: coalesced into the start
+  const replay = JSON.parse(JSON.stringify(live.replay.stopRecording()));
+  assert.deepEqual(replay.events, []);
+  assert.deepEqual(replay.start.input, {
+    tilt: { x: 0.3, y: -0.2 }, rotationDelta: 0.2, upperPlate: { rotation: -0.04, rotationDelta: 0.1 }
+  });
+
+  const c = createFakeController();
+  const sim = c.simulation;
+  const plate = {
+    setRotation(v) { this.rotationBase = v; },
+    setRotationDelta(v) { this.rotationDelta = v; }
+  };
+  sim.setTilt = (x, y) => { sim.tiltX = x; sim.tiltY = y; };
+  c.setUpperPlate = async (pressed) => { sim.upperPlate = pressed ? plate : null; };
+  c.replay.play(replay);
+  assert.deepEqual([sim.tiltX, sim.tiltY, sim.rotationDelta], [0.3, -0.2, 0.2]);
+  await c.replay.settle();
+  assert.equal(sim.upperPlate, plate);
+  assert.deepEqual([plate.rotationBase, plate.rotationDelta], [-0.04, 0.1]);
+
+  // Recorded without the glass: a replay lifts it
+  live.simulation.upperPlate = null;
+  live.replay.startRecording();
+  c.replay.play(live.replay.stopRecording());
+  await c.replay.settle();
+  assert.equal(sim.upperPlate, null);
+});
+
+test('the seed is stored and restored; unknown materials keep the current one', () => {
+  const c = createFakeController();
+  c.simulation.seed = 42;
+  c.replay.startRecording();
+  c.replay.record('oilSplat', { x: 0.5, y: 0.5, color: { r: 1, g: 0, b: 0 }, material: 'Castor Oil', radius: 0.06 });
+  const replay = c.replay.stopRecording();
+  assert.equal(replay.seed, 42);
+
+  const other = createFakeController();
+  other.replay.play(replay);
+  other.replay.update();
+  assert.equal(other.simulation.seed, 42);
+  assert.equal(other.currentMaterial.name, 'Ink');
+  assert.equal(other.calls.length, 1);
+});
+
+test('malformed replays are rejected', () => {
+  assert.throws(() => parseReplay({ version: REPLAY_VERSION }), /events array/);
+  assert.throws(() => parseReplay({ version: 99, events: [] }), /unsupported version/);
+  assert.throws(() => parseReplay({ version: REPLAY_VERSION, events: [{ step: 0, type: 'explode' }] }), /unknown type/);
+  assert.throws(() => parseReplay({ version: REPLAY_VERSION, events: [{ step: 0, type: 'jet', x: 0.5, y: 0.5 }] }), /numeric strength/);
+  assert.throws(() => parseReplay({
+    version: REPLAY_VERSION,
+    events: [{ step: 3, type: 'rotation', value: 0.1 }, { step: 1, type: 'rotation', value: 0 }]
+  }), /backwards/);
+  assert.throws(() => new InputReplay(createFakeController()).play(), /nothing to play/);
+});
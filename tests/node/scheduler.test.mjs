@@ -0,0 +1,176 @@
+/**
+ * Fixed-timestep scheduling: the accumulator against display frames of any
+ * length, backlog dropping, pause and replays holding a step, CFL substep
+ * planning from the GPU max reduction and SPH speeds, and the renderer
+ * composing once per step.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import FixedStepScheduler, { STEP_RATE } from '../../src/scheduler.js';
+import { reduceMaxVelocity, waterCFL, cflSubsteps, REDUCTION_SIZE } from '../../src/simulation/kernels/cfl.js';
+import Simulation from '../../src/simulation.js';
+import Renderer from '../../src/renderer.js';
+import { createStubGL, createSystem } from './harness.mjs';
+
+function createFakeController() {
+  const log = [];
+  const simulation = {
+    paused: false,
+    stepCount: 0,
+    async update(dt) { this.stepCount++; log.push(['step', dt]); }
+  };
+  const renderer = { render(sim, blend) { log.push(['render', blend]); } };
+  return { log, simulation, renderer, update() { log.push(['controller']); } };
+}
+
+test('display frames of any length advance the simulation in fixed steps', async () => {
+  const c = createFakeController();
+  const scheduler = new FixedStepScheduler(c);
+  const dt = 1 / STEP_RATE;
+
+  // 144 Hz: a step on some frames, none on others, the blend rising in between
+  const blends = [];
+  for (let frame = 0; frame < 144; frame++) {
+    await scheduler.frame(1 / 144);
+    blends.push(c.log.at(-1)[1]);
+  }
+  const steps = c.log.filter(([kind]) => kind === 'step');
+  assert.ok(Math.abs(steps.length - STEP_RATE) <= 1, `${steps.length} steps`);
+  assert.ok(steps.every(([, stepDt]) => stepDt === dt));
+  assert.ok(blends.every((b) => b >= 0 && b < 1));
+  assert.ok(blends[1] > blends[0]);
+  // Input runs before every step
+  const kinds = c.log.map(([kind]) => kind);
+  kinds.forEach((kind, i) => { if (kind === 'step') assert.equal(kinds[i - 1], 'controller'); });
+
+  // 30 Hz: two steps per frame
+  c.log.length = 0;
+  assert.equal(await scheduler.frame(1 / 30), 2);
+});
+
+test('a stalled frame catches up a few steps and drops the rest; pause stops the clock', async () => {
+  const c = createFakeController();
+  const scheduler = new FixedStepScheduler(c, { maxStepsPerFrame: 4 });
+
+  assert.equal(await scheduler.frame(2.0), 4);
+  assert.ok(scheduler.accumulator < scheduler.dt);
+  assert.ok(Math.abs(scheduler.droppedTime - (2.0 - 4 / STEP_RATE - scheduler.accumulator)) < 1e-9);
+
+  c.simulation.paused = true;
+  c.log.length = 0;
+  assert.equal(await scheduler.frame(0.5), 0);
+  assert.deepEqual(c.log, [['controller'], ['render', null]]);
+  assert.equal(scheduler.accumulator, 0);
+
+  // Without interpolation the renderer composes the current state
+  c.simulation.paused = false;
+  scheduler.interpolate = false;
+  await scheduler.frame(1 / 60);
+  assert.equal(c.log.at(-1)[1], null);
+});
+
+test('a replay still pressing the clock glass in holds the step until it is ready', async () => {
+  const c = createFakeController();
+  let release;
+  c.replay = {
+    pending: new Promise((resolve) => { release = resolve; }),
+    async settle() { await this.pending; c.log.push(['settled']); this.pending = null; }
+  };
+  const scheduler = new FixedStepScheduler(c);
+  const frame = scheduler.frame(1 / 60);
+  await Promise.resolve();
+  assert.deepEqual(c.log, [['controller']]);
+  release();
+  await frame;
+  assert.deepEqual(c.log.map(([kind]) => kind), ['controller', 'settled', 'step', 'render']);
+});
+
+test('CFL numbers and substeps from the reduced maxima', () => {
+  const pixels = new Float32Array(3 * 4);
+  pixels.set([0.1, 0.4, 0.41, 0, 0.3, 0.05, 0.3, 0, NaN, NaN, NaN, 0]);
+  const f32 = (v) => Math.fround(v);
+  assert.deepEqual(reduceMaxVelocity(pixels), { x: f32(0.3), y: f32(0.4), speed: f32(0.41) });
+
+  // 0.3 uv/s across 200 cells and 0.4 uv/s across 100 in 1/60 s: 1 + 2/3 cells
+  const cfl = waterCFL({ x: 0.3, y: 0.4 }, 200, 100, 1 / 60);
+  assert.ok(Math.abs(cfl - 5 / 3) < 1e-12);
+  assert.equal(cflSubsteps(cfl, 1, 4), 2);
+  assert.equal(cflSubsteps(1, 1, 4), 1);
+  assert.equal(cflSubsteps(100, 1, 4), 4);
+  assert.equal(cflSubsteps(NaN, 1, 4), 1);
+});
+
+test('the simulation plans water and SPH substeps from one reduction readback', () => {
+  let fastest = [0, 0, 0, 0];
+  const gl = createStubGL({
+    getUniformLocation: (program, name) => name,
+    readPixels: (x, y, w, h, format, type, out) => out.set(fastest)
+  });
+  gl.canvas = { width: 120, height: 120 };
+  const sim = new Simulation({ gl, quadBuffer: { stub: 'quad' } });
+  sim.updateSimSize(gl.canvas);
+  sim.maxVelocityProgram = 'max-velocity';
+  sim.velocityTexture1 = { stub: 'velocity' };
+  const dt = 1 / 60;
+
+  assert.deepEqual(sim.planSubsteps(dt), { water: 0, sph: 0 });
+  assert.deepEqual(sim.substeps, { water: 1, sph: 1 });
+  const readback = gl.calls.find((c) => c.name === 'readPixels');
+  assert.deepEqual(readback.args.slice(2, 4), [REDUCTION_SIZE, REDUCTION_SIZE]);
+  assert.deepEqual(gl.calls.find((c) => c.args[0] === 'u_block').args, ['u_block', Math.ceil(120 / REDUCTION_SIZE)]);
+
+  // 1.5 uv/s across 120 cells: 3 cells a step → 3 substeps at the default limit
+  fastest = [1.5, 0, 1.5, 0];
+  assert.equal(sim.planSubsteps(dt).water, 3);
+  assert.equal(sim.substeps.water, 3);
+
+  // SPH never steps longer than 0.008 s, planned or not, and fast
+  // particles split further
+  assert.equal(sim.sphSubsteps(dt), 3);
+  const system = createSystem(1, { maxParticles: 4 });
+  sim.useOil = true;
+  sim.oil = { sph: system };
+  system.particleCount = 1;
+  system.velocities.set([0, 0]);
+  sim.planSubsteps(dt);
+  assert.equal(sim.substeps.sph, 1);
+  assert.equal(sim.sphSubsteps(dt), 3);
+  system.velocities.set([4 * system.smoothingRadius / dt * sim.sphCflLimit, 0]);
+  sim.planSubsteps(dt);
+  assert.equal(sim.sphSubsteps(dt), 4);
+  assert.equal(sim.sphSubsteps(1 / 240), 4);
+  sim.substeps = { water: 1, sph: 1 };   // planning off (cflEveryN 0)
+  assert.equal(sim.sphSubsteps(1 / 240), 1);
+});
+
+test('the renderer composes once per step and blends the last two between steps', () => {
+  const gl = createStubGL({ getUniformLocation: (program, name) => name });
+  gl.canvas = { width: 64, height: 64 };
+  let composed = 0;
+  // Only the frame history is exercised, so skip the DOM-bound constructor
+  const renderer = Object.assign(Object.create(Renderer.prototype), {
+    gl, ready: true, frameHistory: null, quadBuffer: { stub: 'quad' },
+    passThroughProgram: 'pass', boundaryProgram: 'boundary',
+    composeScene() { composed++; return `scene${composed}`; }
+  });
+  const sim = { ready: true, stepCount: 1, obstacleMask: () => null, stirringRod: { active: false } };
+  global.window = { innerWidth: 1024 };
+  const blendOf = () => gl.calls.filter((c) => c.args[0] === 'u_blend').at(-1).args[1];
+
+  renderer.render(sim, 0.25);
+  renderer.render(sim, 0.75);
+  assert.equal(composed, 1);
+  assert.equal(blendOf(), 0.75);
+  sim.stepCount++;
+  renderer.render(sim, 0.1);
+  assert.equal(composed, 2);
+  const { previous, current } = renderer.frameHistory;
+  assert.notEqual(previous.texture, current.texture);
+
+  // Without a blend: composed every call, no interpolation
+  renderer.render(sim, null);
+  assert.equal(composed, 3);
+  assert.equal(blendOf(), 1.0);
+  delete global.window;
+});
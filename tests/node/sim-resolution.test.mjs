@@ -0,0 +1,127 @@
+/**
+ * Simulation grid vs. canvas: grid sizing from the scale / fixed-size
+ * options, kernels and layers addressing the grid (not gl.canvas), runtime
+ * resolution changes, and the renderer's upsample targets, all against a
+ * stub WebGL context whose canvas is larger than the grid.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Simulation from '../../src/simulation.js';
+import Renderer from '../../src/renderer.js';
+import WaterLayer from '../../src/simulation/layers/WaterLayer.js';
+import { applyForces } from '../../src/simulation/kernels/forces.js';
+import { advectVelocity, advectColor } from '../../src/simulation/kernels/advection.js';
+import { applyVorticityConfinement } from '../../src/simulation/kernels/vorticity.js';
+import { simGridSize } from '../../src/utils.js';
+import { createStubGL } from './harness.mjs';
+
+// Uniform locations are their names so calls can be matched by uniform
+function createGL(width = 1920, height = 1080) {
+  const gl = createStubGL({ getUniformLocation: (program, name) => name });
+  gl.canvas = { width, height };
+  return gl;
+}
+
+function uniformValues(gl, name) {
+  return gl.calls.filter((c) => c.name === 'uniform2f' && c.args[0] === name).map((c) => c.args.slice(1));
+}
+
+function createSimulation(gl) {
+  const sim = new Simulation({ gl, quadBuffer: { stub: 'quad' } });
+  sim.updateSimSize(gl.canvas);
+  return sim;
+}
+
+test('grid size follows the scale or a fixed long side, keeping the aspect', () => {
+  assert.deepEqual(simGridSize(1920, 1080), { width: 1920, height: 1080 });
+  assert.deepEqual(simGridSize(1920, 1080, { scale: 0.5 }), { width: 960, height: 540 });
+  assert.deepEqual(simGridSize(3840, 3840, { fixedSize: 1024 }), { width: 1024, height: 1024 });
+  assert.deepEqual(simGridSize(1920, 1080, { scale: 0.5, fixedSize: 480 }), { width: 480, height: 270 });
+  // Never larger than the canvas, never below a tenth of it or one cell
+  assert.deepEqual(simGridSize(800, 600, { fixedSize: 4000 }), { width: 800, height: 600 });
+  assert.deepEqual(simGridSize(1000, 500, { scale: 0.01 }), { width: 100, height: 50 });
+  assert.deepEqual(simGridSize(3, 1, { fixedSize: 1 }), { width: 1, height: 1 });
+});
+
+test('water kernels address the simulation grid, not the canvas', () => {
+  const gl = createGL();
+  const sim = createSimulation(gl);
+  sim.setSimResolution(0.25);
+  const renderer = { quadBuffer: { stub: 'quad' } };
+
+  applyForces(gl, renderer, 'forces', sim, 0.016);
+  advectVelocity(gl, renderer, 'advection', sim, 0.016);
+  advectColor(gl, renderer, 'advection', sim, 0.016);
+  applyVorticityConfinement(gl, renderer, 'vorticity', sim);
+
+  const resolutions = uniformValues(gl, 'u_resolution');
+  assert.equal(resolutions.length, 4);
+  assert.ok(resolutions.every(([w, h]) => w === 480 && h === 270), JSON.stringify(resolutions));
+});
+
+test('water layer allocates and splats on the grid', async () => {
+  const gl = createGL(1000, 1000);
+  const sim = createSimulation(gl);
+  sim.simResolutionScale = 0.5;
+  sim.updateSimSize(gl.canvas);
+  sim.splatProgram = 'splat';
+  const water = new WaterLayer(sim);
+  await water.init();
+
+  const sizes = gl.calls.filter((c) => c.name === 'texImage2D').map((c) => `${c.args[3]}x${c.args[4]}`);
+  assert.ok(sizes.length > 0 && sizes.every((s) => s === '500x500'), sizes.join(' '));
+
+  gl.calls.length = 0;
+  water.splatColor(0.5, 0.5, { r: 1, g: 0, b: 0 }, 0.05);
+  assert.deepEqual(gl.calls.find((c) => c.name === 'viewport').args, [0, 0, 500, 500]);
+  assert.deepEqual(uniformValues(gl, 'u_resolution'), [[500, 500]]);
+});
+
+test('changing the resolution reallocates the layers and rescales solver iterations', () => {
+  const gl = createGL(2160, 2160);
+  const sim = createSimulation(gl);
+  const resized = [];
+  sim.water = { resize: () => resized.push(`water ${sim.simWidth}`) };
+  sim.oil = { resize: () => resized.push(`oil ${sim.simWidth}`) };
+  sim.useOil = true;
+
+  sim.setSimResolution(0.5);
+  assert.deepEqual(resized, ['water 1080', 'oil 1080']);
+  assert.equal(sim.pressureIterations, 50); // 1080 is the reference grid
+
+  // Same size again: nothing to reallocate
+  sim.setSimResolution(0.5);
+  assert.equal(resized.length, 2);
+
+  sim.setSimResolution(1, 540);
+  assert.equal(sim.simWidth, 540);
+  assert.ok(sim.pressureIterations > 50);
+});
+
+test('renderer upsamples only when the grid is smaller, reusing its targets', () => {
+  const gl = createGL(800, 800);
+  const sim = createSimulation(gl);
+  sim.createTexture = (w, h) => ({ texture: `${w}x${h}` });
+  sim.createFBO = (texture) => ({ fbo: texture.texture });
+  // Only the upsample path is exercised, so skip the DOM-bound constructor
+  const renderer = Object.assign(Object.create(Renderer.prototype), {
+    gl, upsampleProgram: 'upsample', quadBuffer: { stub: 'quad' }, upsampleTargets: {}
+  });
+
+  assert.equal(renderer.upsampleField(sim, 'color', 'color1'), 'color1');
+  assert.equal(gl.calls.filter((c) => c.name === 'drawArrays').length, 0);
+
+  sim.setSimResolution(0.5);
+  gl.calls.length = 0; // the resize re-uploads the obstacle mask
+  const first = renderer.upsampleField(sim, 'color', 'color1');
+  assert.deepEqual(first, { texture: '800x800' });
+  assert.equal(renderer.upsampleField(sim, 'color', 'color2'), first);
+  assert.equal(gl.calls.filter((c) => c.name === 'drawArrays').length, 2);
+  assert.deepEqual(gl.calls.filter((c) => c.name === 'bindTexture').map((c) => c.args[1]), ['color1', 'color2']);
+
+  // Canvas resize: the target is replaced at the new size
+  gl.canvas = { width: 1000, height: 1000 };
+  assert.deepEqual(renderer.upsampleField(sim, 'color', 'color1'), { texture: '1000x1000' });
+  assert.equal(gl.calls.filter((c) => c.name === 'deleteTexture').length, 1);
+});
@@ -0,0 +1,78 @@
+/**
+ * Neighbor queries: SpatialHashGrid must never miss a particle that a
+ * brute-force O(N²) scan finds within the search radius.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import SpatialHashGrid from '../../src/simulation/sph/SpatialHashGrid.js';
+import { createRandom, createSystem, scatterParticles } from './harness.mjs';
+
+function bruteForce(positions, count, x, y, radius) {
+  const result = [];
+  for (let i = 0; i < count; i++) {
+    const dx = positions[i * 2] - x;
+    const dy = positions[i * 2 + 1] - y;
+    if (dx * dx + dy * dy <= radius * radius) result.push(i);
+  }
+  return result;
+}
+
+function withinRadius(indices, positions, x, y, radius) {
+  return [...new Set(indices)]
+    .filter((i) => {
+      const dx = positions[i * 2] - x;
+      const dy = positions[i * 2 + 1] - y;
+      return dx * dx + dy * dy <= radius * radius;
+    })
+    .sort((a, b) => a - b);
+}
+
+test('query matches brute force for radii below, at and above the cell size', () => {
+  const random = createRandom(11);
+  const containerRadius = 0.48;
+  const grid = new SpatialHashGrid(0.1, containerRadius);
+  const count = 1500;
+  const positions = new Float32Array(count * 2);
+  for (let i = 0; i < count; i++) {
+    positions[i * 2] = (random() * 2 - 1) * containerRadius;
+    positions[i * 2 + 1] = (random() * 2 - 1) * containerRadius;
+    grid.insert(i, positions[i * 2], positions[i * 2 + 1]);
+  }
+
+  for (const radius of [0.03, 0.1, 0.17, 0.25]) {
+    for (let q = 0; q < 50; q++) {
+      // Include query points slightly outside the container
+      const x = (random() * 2 - 1) * containerRadius * 1.1;
+      const y = (random() * 2 - 1) * containerRadius * 1.1;
+      const expected = bruteForce(positions, count, x, y, radius);
+      const actual = withinRadius(grid.query(x, y, radius), positions, x, y, radius);
+      assert.deepEqual(actual, expected, `radius ${radius} at (${x.toFixed(3)}, ${y.toFixed(3)})`);
+    }
+  }
+});
+
+test('query returns each particle at most once', () => {
+  const random = createRandom(5);
+  const grid = new SpatialHashGrid(0.05, 0.48);
+  for (let i = 0; i < 500; i++) {
+    grid.insert(i, (random() * 2 - 1) * 0.48, (random() * 2 - 1) * 0.48);
+  }
+  const result = grid.query(0, 0, 0.3);
+  assert.equal(new Set(result).size, result.length);
+});
+
+test('SPHOilSystem.updateSpatialHash neighbor lists contain every true neighbor', () => {
+  const sph = createSystem(3);
+  const n = scatterParticles(sph, 800, 0.4);
+  sph.updateSpatialHash();
+
+  const h = sph.smoothingRadius;
+  for (let i = 0; i < n; i += 7) {
+    const x = sph.positions[i * 2];
+    const y = sph.positions[i * 2 + 1];
+    const expected = bruteForce(sph.positions, n, x, y, h);
+    const actual = withinRadius(sph.neighborLists[i], sph.positions, x, y, h);
+    assert.deepEqual(actual, expected, `particle ${i}`);
+  }
+});
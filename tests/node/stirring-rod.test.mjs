@@ -0,0 +1,116 @@
+/**
+ * Stirring rod: following the pointer, pushing points out with the surface
+ * velocity and feeling the reaction, SPH particles swept along, and the
+ * moving-boundary pass on a stub context.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import StirringRod from '../../src/simulation/stirring-rod.js';
+import Simulation from '../../src/simulation.js';
+import { parseReplay, REPLAY_VERSION } from '../../src/replay.js';
+import { createStubGL, createSystem } from './harness.mjs';
+
+test('the rod chases the pointer and settles on it without overshooting far', () => {
+  const rod = new StirringRod();
+  rod.step(1 / 60);
+  assert.equal(rod.x, 0.5); // lifted: nothing moves
+
+  rod.grab(0.3, 0.5);
+  rod.moveTo(0.6, 0.5);
+  let furthest = 0;
+  for (let i = 0; i < 120; i++) {
+    rod.step(1 / 60);
+    furthest = Math.max(furthest, rod.x);
+  }
+  assert.ok(Math.abs(rod.x - 0.6) < 1e-3 && Math.abs(rod.vx) < 1e-2, `${rod.x} ${rod.vx}`);
+  assert.ok(furthest < 0.62, `overshoot to ${furthest}`);
+
+  // A far jump is taken at the speed limit
+  rod.moveTo(-10, 0.5);
+  rod.step(1 / 60);
+  assert.ok(Math.abs(Math.hypot(rod.vx, rod.vy) - rod.maxSpeed) < 1e-9);
+});
+
+test('points inside are pushed to the surface with its velocity; the rod feels the push', () => {
+  const rod = new StirringRod({ radius: 0.05 });
+  assert.equal(rod.collide(0.5, 0.5), null);
+
+  rod.grab(0.5, 0.5);
+  rod.vx = 1;
+  const hit = rod.collide(0.53, 0.5);
+  assert.ok(hit.x > 0.55 && Math.abs(hit.y - 0.5) < 1e-12);
+  assert.deepEqual([hit.nx, hit.ny, hit.vx, hit.vy], [1, 0, 1, 0]);
+  assert.equal(rod.collide(0.6, 0.5), null);
+
+  // Pushing oil ahead of it slows the rod compared with clear water
+  const clear = new StirringRod({ radius: 0.05 });
+  clear.grab(0.5, 0.5);
+  clear.vx = 1;
+  clear.moveTo(0.5, 0.5);
+  rod.moveTo(0.5, 0.5);
+  for (let i = 0; i < 20; i++) rod.collide(0.54, 0.5 + (i - 10) * 0.002);
+  clear.step(1 / 60);
+  rod.step(1 / 60);
+  assert.ok(rod.vx < clear.vx);
+  assert.equal(rod.pushX, 0);
+});
+
+test('SPH particles are swept along by a moving rod', () => {
+  const sph = createSystem(5, { maxParticles: 4 });
+  const rod = new StirringRod({ radius: 0.05 });
+  rod.grab(0.5, 0.5);
+  rod.vx = 0.5; // uv/s to the right: +x in the world too
+  sph.obstacleCollider = (x, y) => rod.collideWorld(x, y, sph.containerRadius);
+
+  // A resting particle just inside the rod's leading edge (0.048 world)
+  sph.particleCount = 1;
+  sph.positions.set([0.04, 0]);
+  sph.velocities.set([0, 0]);
+  sph.enforceBoundaries();
+
+  assert.ok(Math.abs(sph.positions[0] - 0.048) < 1e-3);
+  // Reflected in the rod's frame: it leaves faster than the rod (0.48 world/s)
+  assert.ok(sph.velocities[0] > 0.48 && Math.abs(sph.velocities[1]) < 1e-6, `${sph.velocities[0]}`);
+
+  // Already moving away faster than the rod: left alone
+  sph.positions.set([0.04, 0]);
+  sph.velocities.set([2, 0]);
+  sph.enforceBoundaries();
+  assert.equal(sph.velocities[0], 2);
+});
+
+test('the water pass runs only while the rod is in the plate and imposes its velocity', () => {
+  const gl = createStubGL({ getUniformLocation: (program, name) => name });
+  gl.canvas = { width: 64, height: 48 };
+  const sim = new Simulation({ gl, quadBuffer: { stub: 'quad' } });
+  sim.updateSimSize(gl.canvas);
+  sim.stirProgram = 'stir';
+
+  gl.calls.length = 0;
+  sim.applyStirringRod();
+  assert.equal(gl.calls.length, 0);
+
+  sim.stirringRod.grab(0.4, 0.6);
+  sim.stirringRod.moveTo(0.5, 0.6);
+  sim.stirringRod.step(1 / 60);
+  sim.applyStirringRod();
+  const uniform = (name) => gl.calls.find((c) => c.args[0] === name).args.slice(1);
+  assert.deepEqual(uniform('u_rod_velocity'), [sim.stirringRod.vx, 0]);
+  assert.ok(sim.stirringRod.vx > 0);
+  assert.deepEqual(uniform('u_resolution'), [64, 48]);
+  assert.equal(gl.calls.filter((c) => c.name === 'drawArrays').length, 1);
+});
+
+test('replays accept stirring-rod events', () => {
+  const replay = parseReplay({
+    version: REPLAY_VERSION,
+    events: [
+      { step: 0, type: 'stir', phase: 'grab', x: 0.4, y: 0.5 },
+      { step: 1, type: 'stir', phase: 'move', x: 0.45, y: 0.5 },
+      { step: 2, type: 'stir', phase: 'release', x: 0, y: 0 }
+    ]
+  });
+  assert.deepEqual(replay.events.map((e) => e.phase), ['grab', 'move', 'release']);
+  assert.throws(() => parseReplay({ version: REPLAY_VERSION, events: [{ step: 0, type: 'stir', phase: 'grab' }] }), /numeric x/);
+});
@@ -0,0 +1,144 @@
+/**
+ * Thermal field: the lamp hotspot, SPH particles warming, conducting and
+ * feeling the thermal Marangoni force, warm oil swelling, and the water
+ * temperature passes on a stub context.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { heatingAt, heatingAtWorld, LAMP_POWER } from '../../src/simulation/heat-lamp.js';
+import Simulation from '../../src/simulation.js';
+import WaterLayer from '../../src/simulation/layers/WaterLayer.js';
+import { parseReplay, REPLAY_VERSION } from '../../src/replay.js';
+import { createStubGL, createSystem } from './harness.mjs';
+
+test('the lamp is a round Gaussian hotspot in uv and SPH world coordinates', () => {
+  const lamp = { x: 0.5, y: 0.6, radius: 0.1, power: 3 };
+  assert.equal(heatingAt(lamp, 0.5, 0.6), 3);
+  // One sigma out: e^-1/2 of the peak, the same distance on a wide grid
+  assert.ok(Math.abs(heatingAt(lamp, 0.5, 0.7) - 3 * Math.exp(-0.5)) < 1e-12);
+  assert.ok(Math.abs(heatingAt(lamp, 0.55, 0.6, 2) - 3 * Math.exp(-0.5)) < 1e-12);
+  assert.ok(heatingAt(lamp, 0.1, 0.1) < 1e-6);
+  assert.equal(heatingAt({ ...lamp, power: LAMP_POWER[0] }, 0.5, 0.6), 0);
+
+  // SPH world y runs opposite to uv, as in ObstacleField.collideWorld
+  const R = 0.48;
+  assert.equal(heatingAtWorld(lamp, 0, -0.1 * 2 * R, R), 3);
+
+  // On a wide grid a world point sits where Container.collideWorld puts it
+  // (uv 0.55, 0.6 here), one sigma out on screen as on the water's grid
+  const aspect = 2;
+  const world = { x: 0.05 * 2 * R, y: -0.1 * 2 * R };
+  assert.ok(Math.abs(heatingAtWorld(lamp, world.x, world.y, R, aspect) - heatingAt(lamp, 0.55, 0.6, aspect)) < 1e-12);
+  assert.ok(Math.abs(heatingAtWorld(lamp, world.x, world.y, R, aspect) - 3 * Math.exp(-0.5)) < 1e-12);
+});
+
+test('particles under the lamp warm, conduct to their neighbours and cool back', () => {
+  const sph = createSystem(3, { maxParticles: 8 });
+  const room = sph.roomTemperature;
+  sph.particleCount = 2;
+  sph.positions.set([0, 0, 0.05, 0]);
+  assert.deepEqual(Array.from(sph.temperatures.subarray(0, 2)), [room, room]);
+
+  // No lamp and all at room temperature: nothing to exchange
+  sph.spatialHash.clear();
+  sph.spatialHash.insert(0, 0, 0);
+  sph.spatialHash.insert(1, 0.05, 0);
+  sph.updateTemperatures(1 / 60);
+  assert.deepEqual(Array.from(sph.forces.subarray(0, 4)), [0, 0, 0, 0]);
+
+  // Only particle 0 sits under the lamp
+  sph.heatSource = (x) => (x < 0.01 ? 6 : 0);
+  sph.thermalConductivity = 0;
+  for (let i = 0; i < 60; i++) sph.updateTemperatures(1 / 60);
+  const hot = sph.temperatures[0] - room;
+  assert.ok(hot > 5 && hot < 6, `${hot}`); // 6 °C/s for a second, less the cooling
+  assert.equal(sph.temperatures[1], room);
+
+  // Lamp off: conduction evens them out while both cool
+  sph.heatSource = null;
+  sph.thermalConductivity = 2;
+  for (let i = 0; i < 120; i++) sph.updateTemperatures(1 / 60);
+  const [a, b] = sph.temperatures;
+  assert.ok(Math.abs(a - b) < 0.1 && b > room, `${a} ${b}`);
+  assert.ok(a + b - 2 * room < hot);
+});
+
+test('the thermal Marangoni force pushes oil from hot toward cold', () => {
+  const sph = createSystem(4, { maxParticles: 8 });
+  sph.particleCount = 3;
+  sph.positions.set([-0.05, 0, 0, 0, 0.05, 0]);
+  sph.temperatures.set([40, 30, 20]);
+  sph.spatialHash.clear();
+  for (let i = 0; i < 3; i++) sph.spatialHash.insert(i, sph.positions[i * 2], 0);
+  sph.updateTemperatures(1 / 60);
+  // Hot side at -x: the middle particle is pushed toward +x
+  assert.ok(sph.forces[2] > 0, `${sph.forces[2]}`);
+  assert.ok(Math.abs(sph.forces[3]) < 1e-12);
+});
+
+test('warm oil swells: a pair at rest spacing when cold repels when warm', () => {
+  const sph = createSystem(5, { maxParticles: 4 });
+  const h = sph.blobInteractionRadius;
+  const place = (temperature) => {
+    sph.particleCount = 2;
+    sph.positions.set([0, 0, h * 0.65, 0]);
+    sph.velocities.fill(0);
+    sph.forces.fill(0);
+    sph.temperatures.set([temperature, temperature]);
+    sph.spatialHash.clear();
+    sph.spatialHash.insert(0, 0, 0);
+    sph.spatialHash.insert(1, h * 0.65, 0);
+    sph.computeBlobForces(1 / 60);
+    return sph.forces[0]; // on the left particle: < 0 pushes it away
+  };
+  assert.ok(place(sph.roomTemperature) > 0, 'cold pair attracts');
+  assert.ok(place(sph.roomTemperature + 40) < 0, 'warm pair repels');
+});
+
+test('the water passes carry the lamp and the temperature texture', async () => {
+  const gl = createStubGL({ getUniformLocation: (program, name) => name });
+  gl.canvas = { width: 80, height: 40 };
+  const sim = new Simulation({ gl, quadBuffer: { stub: 'quad' } });
+  sim.updateSimSize(gl.canvas);
+  sim.thermalProgram = 'thermal';
+  sim.thermalBuoyancyProgram = 'thermal-buoyancy';
+  sim.viscosityProgram = 'viscosity';
+
+  // Without the texture (no water layer) the passes are skipped
+  sim.updateTemperature(1 / 60);
+  assert.equal(gl.calls.length, 0);
+
+  sim.water = new WaterLayer(sim);
+  await sim.water.init();
+  const t1 = sim.temperatureTexture1;
+  sim.heatLampX = 0.3;
+  sim.heatLampPower = 4;
+  gl.calls.length = 0;
+  sim.updateTemperature(1 / 60);
+  const uniform = (name) => gl.calls.find((c) => c.args[0] === name).args.slice(1);
+  assert.deepEqual(uniform('u_lamp_center'), [0.3, 0.5]);
+  assert.deepEqual(uniform('u_lamp_power'), [4]);
+  assert.deepEqual(uniform('u_resolution'), [80, 40]);
+  assert.equal(sim.temperatureTexture2, t1); // ping-ponged
+
+  gl.calls.length = 0;
+  sim.applyThermalBuoyancy(1 / 60);
+  assert.deepEqual(uniform('u_up'), [0, 1]);
+  assert.ok(gl.calls.some((c) => c.name === 'bindTexture' && c.args[1] === sim.temperatureTexture1));
+
+  // Viscosity thins with temperature unless switched off
+  gl.calls.length = 0;
+  sim.applyViscosity(1 / 60);
+  assert.deepEqual(uniform('u_thermalViscosity'), [sim.thermalViscosity]);
+  sim.thermalViscosity = 0;
+  gl.calls.length = 0;
+  sim.applyViscosity(1 / 60);
+  assert.deepEqual(uniform('u_thermalViscosity'), [0]);
+});
+
+test('replays accept heat lamp moves', () => {
+  const replay = parseReplay({ version: REPLAY_VERSION, events: [{ step: 3, type: 'lamp', x: 0.3, y: 0.6 }] });
+  assert.equal(replay.events[0].type, 'lamp');
+  assert.throws(() => parseReplay({ version: REPLAY_VERSION, events: [{ step: 0, type: 'lamp', x: 0.3 }] }), /numeric y/);
+});
@@ -0,0 +1,172 @@
+/**
+ * Plate tilt: orientation angles and stick axes turned into a downhill
+ * vector, the sensor and gamepad sources on fake windows, TiltInput adding
+ * injected sources, and the tilt reaching the thermal buoyancy, the SPH oil,
+ * the light tilt and replays.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import TiltInput, {
+  TILT_MAX_DEGREES, clampTilt, tiltFromOrientation, stickTilt,
+  createDeviceOrientationSource, createGamepadSource
+} from '../../src/tilt.js';
+import Simulation from '../../src/simulation.js';
+import InputReplay from '../../src/replay.js';
+import { createStubGL, createSystem } from './harness.mjs';
+
+const close = (a, b, tolerance = 1e-9) => Math.abs(a - b) < tolerance;
+
+/** Window stand-in: orientation listeners, a screen angle and optional permission prompt */
+function createFakeWindow({ permission = null, angle = 0 } = {}) {
+  const listeners = new Set();
+  const DeviceOrientationEvent = permission === null ? {} : { requestPermission: async () => permission };
+  return {
+    DeviceOrientationEvent,
+    screen: { orientation: { angle } },
+    listeners,
+    addEventListener: (type, fn) => type === 'deviceorientation' && listeners.add(fn),
+    removeEventListener: (type, fn) => listeners.delete(fn),
+    orient(beta, gamma) { for (const fn of listeners) fn({ beta, gamma }); }
+  };
+}
+
+test('orientation angles become a downhill vector in the plate', () => {
+  assert.deepEqual(tiltFromOrientation(0, 0), { x: 0, y: 0 });
+  // Right edge down by a full tilt: downhill is +x
+  const right = tiltFromOrientation(0, TILT_MAX_DEGREES);
+  assert.ok(close(right.x, 1) && close(right.y, 0));
+  // Top edge lifted: downhill is toward the bottom of the screen
+  const lifted = tiltFromOrientation(15, 0);
+  assert.ok(close(lifted.y, -Math.sin(Math.PI / 12) / Math.sin(Math.PI / 6)) && close(lifted.x, 0));
+  // Relative to the pose taken as level
+  const held = tiltFromOrientation(40, 5, { beta: 40, gamma: 5 });
+  assert.ok(close(held.x, 0) && close(held.y, 0));
+  // Landscape: the device's right edge is at the top of the screen
+  const landscape = tiltFromOrientation(0, 10, undefined, 90);
+  assert.ok(close(landscape.x, 0) && landscape.y > 0);
+  // Steeper than a full tilt stays on the unit disc
+  const steep = tiltFromOrientation(-80, 80);
+  assert.ok(close(Math.hypot(steep.x, steep.y), 1));
+  assert.deepEqual(clampTilt(0.3, 0.4), { x: 0.3, y: 0.4 });
+});
+
+test('the stick has a dead zone and its y axis points down', () => {
+  assert.deepEqual(stickTilt(0.1, -0.05), { x: 0, y: 0 });
+  const up = stickTilt(0, -1);
+  assert.ok(close(up.x, 0) && close(up.y, 1));
+  const half = stickTilt(0.575, 0);
+  assert.ok(close(half.x, 0.5));
+
+  const nav = { getGamepads: () => [null, { connected: true, axes: [1, 0, 0, 0] }] };
+  const pad = createGamepadSource(nav).read();
+  assert.ok(close(pad.x, 1) && close(pad.y, 0));
+  assert.equal(createGamepadSource({ getGamepads: () => [null] }).read(), null);
+  assert.throws(() => createGamepadSource({}), /Gamepad API/);
+});
+
+test('the sensor source levels on its first reading, re-levels and can be stopped', async () => {
+  const win = createFakeWindow();
+  const source = await createDeviceOrientationSource(win);
+  assert.equal(source.read(), null);
+
+  win.orient(30, 10);               // held at an angle: that is level
+  assert.deepEqual(source.read(), { x: 0, y: 0 });
+  win.orient(30, 10 + TILT_MAX_DEGREES);
+  assert.ok(close(source.read().x, 1));
+  source.calibrate();
+  assert.ok(close(source.read().x, 0));
+  win.orient(null, null);           // no sensor data: ignored
+  assert.ok(close(source.read().x, 0));
+
+  source.stop();
+  assert.equal(win.listeners.size, 0);
+
+  await assert.rejects(createDeviceOrientationSource(createFakeWindow({ permission: 'denied' })), /denied/);
+  await assert.rejects(createDeviceOrientationSource({}), /not supported/);
+  const granted = createFakeWindow({ permission: 'granted' });
+  await createDeviceOrientationSource(granted);
+  assert.equal(granted.listeners.size, 1);
+});
+
+test('TiltInput adds its sources up, clamped, and stops them on removal', () => {
+  const tilt = new TiltInput();
+  assert.equal(tilt.read(), null);
+  assert.equal(tilt.active, false);
+
+  let stopped = 0;
+  let levelled = 0;
+  tilt.addSource('sensor', { read: () => ({ x: 0.3, y: 0 }), calibrate: () => levelled++, stop: () => stopped++ });
+  tilt.addSource('stick', { read: () => ({ x: 0, y: -0.4 }) });
+  tilt.addSource('idle', { read: () => null });
+  assert.deepEqual(tilt.read(), { x: 0.3, y: -0.4 });
+
+  tilt.addSource('stick', { read: () => ({ x: 1, y: 0 }) });
+  assert.deepEqual(tilt.read(), { x: 1, y: 0 });
+
+  tilt.calibrate();
+  assert.equal(levelled, 1);
+  tilt.removeSource('sensor');
+  assert.equal(stopped, 1);
+  assert.equal(tilt.has('sensor'), false);
+});
+
+test('the tilt turns thermal buoyancy uphill and feeds the light tilt', () => {
+  const gl = createStubGL({ getUniformLocation: (program, name) => name });
+  gl.canvas = { width: 64, height: 48 };
+  const sim = new Simulation({ gl, quadBuffer: { stub: 'quad' } });
+  sim.updateSimSize(gl.canvas);
+  sim.thermalBuoyancyProgram = 'thermal-buoyancy';
+  sim.temperatureTexture1 = 'temperature';
+
+  sim.setTilt(3, 4);
+  assert.ok(close(sim.tiltX, 0.6) && close(sim.tiltY, 0.8));
+  sim.setTilt(0.5, 0);
+  sim.applyThermalBuoyancy(1 / 60);
+  const up = gl.calls.find((c) => c.args[0] === 'u_up').args.slice(1);
+  assert.deepEqual(up, [-0.5 * sim.tiltBuoyancy, 1]);
+
+  for (let i = 0; i < 120; i++) sim.updateLightTilt(1 / 60);
+  assert.ok(close(sim.lightTiltX, 0.25, 1e-3) && close(sim.lightTiltY, 0, 1e-9));
+
+  const plate = sim.plateState();
+  assert.deepEqual([plate.tiltX, plate.tiltY, plate.tiltGravity], [0.5, 0, sim.tiltGravity]);
+});
+
+test('SPH oil slides downhill, with the world y pointing down', () => {
+  const sph = createSystem(6, { maxParticles: 4 });
+  sph.particleCount = 1;
+  sph.positions.set([0, 0]);
+  sph.velocities.set([0, 0]);
+  sph.forces.fill(0);
+  const plate = { omega: 0, alpha: 0, rotatingFrame: false, wallCoupling: 0, tiltX: 0, tiltY: 1, tiltGravity: 0.6 };
+  sph.applyPlateForces(plate);
+  // Toward the top of the screen: world -y, at 0.6 uv/s² in world units
+  assert.ok(close(sph.forces[0], 0));
+  assert.ok(close(sph.forces[1], -sph.particleMass * 0.6 * 2 * sph.containerRadius));
+
+  sph.velocities.set([0, 0]);
+  for (let i = 0; i < 20; i++) sph.update(1 / 60, { ...plate, tiltX: 1, tiltY: 0 });
+  assert.ok(sph.velocities[0] > 0 && sph.positions[0] > 0);
+});
+
+test('tilt is recorded once per change and replayed through setTilt', () => {
+  const calls = [];
+  const simulation = { stepCount: 0, time: 0, setTilt: (x, y) => calls.push([x, y]) };
+  const replay = new InputReplay({ simulation, materials: [] });
+
+  replay.startRecording();
+  replay.record('tilt', { x: 0.2, y: -0.1 });
+  replay.record('tilt', { x: 0.2, y: -0.1 });  // held still: coalesced
+  simulation.stepCount++;
+  replay.record('tilt', { x: 0.25, y: -0.1 });
+  const recorded = replay.stopRecording();
+  assert.deepEqual(recorded.events.map((e) => [e.step, e.x, e.y]), [[0, 0.2, -0.1], [1, 0.25, -0.1]]);
+
+  replay.play(JSON.parse(JSON.stringify(recorded)));
+  replay.update();
+  simulation.stepCount++;
+  replay.update();
+  assert.deepEqual(calls, [[0.2, -0.1], [0.25, -0.1]]);
+  assert.throws(() => replay.play({ version: 1, events: [{ step: 0, type: 'tilt', x: 0.1 }] }), /numeric y/);
+});
@@ -0,0 +1,259 @@
+/**
+ * Clock glass: the second dish pressed into the first. It shares the dish's
+ * programs but has its own fields, container and rotation, is stepped and
+ * saved with the dish, its events replay, and the renderer shows the dish
+ * through it.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Simulation, { UPPER_PLATE_RADIUS } from '../../src/simulation.js';
+import Renderer from '../../src/renderer.js';
+import InputReplay from '../../src/replay.js';
+import Controller from '../../src/controller.js';
+import MultigridSolver from '../../src/simulation/kernels/multigrid.js';
+import PhaseFieldOilLayer from '../../src/simulation/layers/PhaseFieldOilLayer.js';
+import { CONTAINER_RADIUS } from '../../src/simulation/container.js';
+import { createStubGL } from './harness.mjs';
+
+/** A dish on the stub context with a few programs, fields allocated */
+async function createDish() {
+  const gl = createStubGL({ getUniformLocation: (program, name) => name });
+  gl.canvas = { width: 64, height: 48 };
+  const sim = new Simulation({ gl, quadBuffer: { stub: 'quad' }, ready: true });
+  sim.oilModel = 'phase';
+  for (const name of ['advection', 'forces', 'splat']) sim[`${name}Program`] = name;
+  sim.multigrid = new MultigridSolver(sim, { smooth: 'mg-smooth' });
+  await sim.initFields();
+  return { gl, sim };
+}
+
+test('the glass shares the programs but has its own fields and a smaller round wall', async () => {
+  const { sim } = await createDish();
+  const plate = await sim.enableUpperPlate();
+  assert.equal(sim.upperPlate, plate);
+  assert.equal(await sim.enableUpperPlate(), plate);
+  assert.equal(plate.ready, true);
+
+  assert.equal(plate.forcesProgram, sim.forcesProgram);
+  assert.notEqual(plate.multigrid, sim.multigrid);
+  assert.equal(plate.multigrid.programs, sim.multigrid.programs);
+  assert.notEqual(plate.colorTexture1, sim.colorTexture1);
+  assert.notEqual(plate.velocityTexture1, sim.velocityTexture1);
+  assert.ok(plate.oil instanceof PhaseFieldOilLayer && plate.oil !== sim.oil);
+  assert.equal(plate.random, sim.random);
+
+  assert.deepEqual(plate.container.size, [UPPER_PLATE_RADIUS, UPPER_PLATE_RADIUS, 0]);
+  assert.deepEqual(sim.container.size, [CONTAINER_RADIUS, CONTAINER_RADIUS, 0]);
+  assert.equal(plate.simWidth, sim.simWidth);
+
+  sim.disableUpperPlate();
+  assert.equal(sim.upperPlate, null);
+});
+
+test('switching the oil model switches the glass too', async () => {
+  const { sim } = await createDish();
+  const plate = await sim.enableUpperPlate();
+  sim.useOil = true;
+  plate.useOil = true;
+  const layers = [];
+  for (const dish of [sim, plate]) {
+    // Record the layers each dish makes rather than build SPH on the stub context
+    dish.createOilLayer = function () {
+      const layer = { model: this.oilModel, init: async () => {}, destroy() {} };
+      layers.push([this === sim ? 'dish' : 'glass', this.oilModel]);
+      return layer;
+    };
+  }
+
+  await sim.setOilModel('sph');
+  assert.equal(plate.oilModel, 'sph');
+  assert.equal(plate.oil.model, 'sph');
+  assert.deepEqual(layers, [['glass', 'sph'], ['dish', 'sph']]);
+
+  // Lifted, the glass is left alone; pressed in again, it takes the dish's model
+  sim.disableUpperPlate();
+  await sim.setOilModel('phase');
+  assert.equal(plate.oilModel, 'sph');
+  const glass = await sim.enableUpperPlate();
+  assert.ok(glass.oil instanceof PhaseFieldOilLayer);
+});
+
+test('both plates step, each with its own rotation, the glass following the tuning', async () => {
+  const { gl, sim } = await createDish();
+  const plate = await sim.enableUpperPlate();
+  sim.setRotation(0.04);
+  plate.setRotationDelta(-0.2);
+  sim.viscosity = 0.5;
+
+  gl.calls.length = 0;
+  await sim.update(1 / 60);
+  assert.equal(sim.stepCount, 1);
+  assert.equal(plate.stepCount, 1);
+  assert.ok(Math.abs(sim.rotationAmount - 0.04) < 1e-12);
+  assert.ok(Math.abs(plate.rotationAmount + 0.2) < 1e-12);
+  assert.equal(plate.viscosity, 0.5);
+  assert.equal(plate.rotationBase, 0);
+
+  // One forces pass per plate, each with its own rotation and wall
+  const uniform = (name) => gl.calls.filter((c) => c.name.startsWith('uniform') && c.args[0] === name).map((c) => c.args.slice(1));
+  const spins = uniform('u_plate_omega').map(([v]) => v);
+  assert.deepEqual(spins, [sim.plateRotation.omega, plate.plateRotation.omega]);
+  assert.ok(spins[0] > 0 && spins[1] < 0);
+  const walls = uniform('u_containerSize').map(([r]) => r);
+  assert.ok(walls.includes(CONTAINER_RADIUS) && walls.includes(UPPER_PLATE_RADIUS));
+
+  // Paused: neither plate moves
+  sim.paused = true;
+  await sim.update(1 / 60);
+  assert.equal(plate.stepCount, 1);
+});
+
+test('the glass is saved with the scene and lifted by scenes without it', async () => {
+  const { sim } = await createDish();
+  const plate = await sim.enableUpperPlate();
+  plate.setRotation(-0.04);
+  const withGlass = sim.serialize();
+
+  const { sim: other } = await createDish();
+  await other.restore(withGlass);
+  assert.ok(other.upperPlate);
+  assert.equal(other.upperPlate.rotationBase, -0.04);
+  assert.equal(other.rotationBase, 0);
+  assert.deepEqual(other.upperPlate.container.size, [UPPER_PLATE_RADIUS, UPPER_PLATE_RADIUS, 0]);
+
+  sim.disableUpperPlate();
+  await other.restore(sim.serialize());
+  assert.equal(other.upperPlate, null);
+});
+
+test('glass rotation and painting replay into the glass', async () => {
+  const { sim } = await createDish();
+  const plate = await sim.enableUpperPlate();
+  const splats = [];
+  sim.splat = (x) => splats.push(['dish', x]);
+  plate.splat = (x) => splats.push(['glass', x]);
+  const controller = Object.assign(Object.create(Controller.prototype), {
+    simulation: sim, materials: [{ name: 'Ink' }], currentMaterialIndex: 0
+  });
+  const replay = new InputReplay(controller);
+
+  replay.startRecording();
+  replay.record('upperRotationDelta', { value: 0.2 });
+  replay.record('upperRotationDelta', { value: 0.2 }); // held key: coalesced
+  replay.record('splat', { x: 0.3, y: 0.5, color: { r: 1, g: 0, b: 0 }, material: 'Ink', radius: 0.08, plate: 'upper' });
+  replay.record('splat', { x: 0.7, y: 0.5, color: { r: 0, g: 0, b: 1 }, material: 'Ink', radius: 0.08 });
+  replay.record('upperRotation', { value: -0.04 });
+  const recorded = replay.stopRecording();
+  assert.deepEqual(recorded.events.map((e) => e.type), ['upperRotationDelta', 'splat', 'splat', 'upperRotation']);
+
+  replay.play(JSON.parse(JSON.stringify(recorded)));
+  replay.update();
+  assert.deepEqual(splats, [['glass', 0.3], ['dish', 0.7]]);
+  assert.equal(plate.rotationDelta, 0.2);
+  assert.equal(plate.rotationBase, -0.04);
+  assert.equal(sim.rotationDelta, 0);
+
+  // Lifting the glass is an event too; glass splats then land in the dish
+  replay.play({ version: 1, events: [
+    { step: 0, type: 'upperPlate', value: 0 },
+    { step: 0, type: 'splat', x: 0.1, y: 0.5, radius: 0.08, plate: 'upper' }
+  ] });
+  replay.update();
+  await replay.settle();
+  assert.equal(sim.upperPlate, null);
+  assert.deepEqual(splats.at(-1), ['dish', 0.1]);
+});
+
+test('a replayed glass is pressed in through the controller before the events after it', async () => {
+  const { sim } = await createDish();
+  const applied = [];
+  const splats = [];
+  const controller = Object.assign(Object.create(Controller.prototype), {
+    simulation: sim, materials: [{ name: 'Ink' }, { name: 'Syrup' }], currentMaterialIndex: 1
+  });
+  const replay = new InputReplay(controller);
+  sim.splat = (x) => splats.push(['dish', x]);
+  const enable = sim.enableUpperPlate.bind(sim);
+  sim.enableUpperPlate = async () => {
+    const plate = await enable();
+    plate.oil.applyMaterial = (material) => applied.push(material.name);
+    plate.splat = (x) => splats.push(['glass', x]);
+    return plate;
+  };
+
+  replay.play({ version: 1, steps: 1, events: [
+    { step: 0, type: 'upperPlate', value: 1 },
+    { step: 0, type: 'splat', x: 0.3, y: 0.5, radius: 0.08, plate: 'upper' },
+    { step: 1, type: 'splat', x: 0.7, y: 0.5, radius: 0.08 }
+  ] });
+  replay.update();
+  assert.ok(replay.pending);
+  assert.deepEqual(splats, []);     // held until the glass is in
+  await replay.settle();
+  assert.deepEqual(splats, [['glass', 0.3]]);
+  assert.deepEqual(applied, ['Syrup']);
+  sim.stepCount++;
+  replay.update();
+  assert.deepEqual(splats.at(-1), ['dish', 0.7]);
+
+  // A glass that fails to load stops the replay instead of painting the dish
+  sim.disableUpperPlate();
+  sim.enableUpperPlate = async () => { throw new Error('no shaders'); };
+  const errors = [];
+  const error = console.error;
+  console.error = (...args) => errors.push(args[0]);
+  try {
+    replay.play({ version: 1, events: [
+      { step: 0, type: 'upperPlate', value: 1 },
+      { step: 0, type: 'splat', x: 0.1, y: 0.5, radius: 0.08, plate: 'upper' }
+    ] });
+    replay.update();
+    await replay.settle();
+  } finally {
+    console.error = error;
+  }
+  assert.equal(replay.playing, false);
+  assert.match(errors[0], /clock glass failed/);
+  assert.deepEqual(splats.at(-1), ['dish', 0.7]);
+});
+
+test('the renderer shows the dish through the glass with the glass wall', async () => {
+  const { sim } = await createDish();
+  const gl = createStubGL({ getUniformLocation: (program, name) => name });
+  gl.canvas = { width: 64, height: 48 };
+  const composed = [];
+  // Only the plate stacking is exercised, so skip the DOM-bound constructor
+  const renderer = Object.assign(Object.create(Renderer.prototype), {
+    gl, ready: true, quadBuffer: { stub: 'quad' }, plateTargets: null,
+    passThroughProgram: 'pass', plateProgram: 'plate', absorptionCoefficient: 0.8,
+    composeScene(simulation) {
+      composed.push(simulation === sim ? 'dish' : 'glass');
+      return `scene-${composed.at(-1)}`;
+    },
+    upsampleField: (simulation, key, texture) => ({ upsampled: key })
+  });
+
+  assert.equal(renderer.composePlates(sim), 'scene-dish');
+  assert.equal(renderer.plateTargets, null);
+
+  await sim.enableUpperPlate();
+  gl.calls.length = 0;
+  const stacked = renderer.composePlates(sim);
+  assert.deepEqual(composed, ['dish', 'dish', 'glass']);
+  assert.equal(stacked, renderer.plateTargets.stack.texture);
+
+  // The dish is kept before the glass reuses the scene targets
+  const texturesAfter = (program) => {
+    const used = gl.calls.findIndex((c) => c.name === 'useProgram' && c.args[0] === program);
+    return gl.calls.slice(used).filter((c) => c.name === 'bindTexture').map((c) => c.args[1]);
+  };
+  assert.equal(texturesAfter('pass')[0], 'scene-dish');
+  const samplers = texturesAfter('plate');
+  assert.deepEqual(samplers.slice(0, 3), [renderer.plateTargets.lower.texture, 'scene-glass', { upsampled: 'color' }]);
+  const size = gl.calls.find((c) => c.name === 'uniform3f' && c.args[0] === 'u_containerSize');
+  assert.deepEqual(size.args.slice(1), [UPPER_PLATE_RADIUS, UPPER_PLATE_RADIUS, 0]);
+
+  renderer.releasePlateTargets();
+  assert.equal(renderer.plateTargets, null);
+});
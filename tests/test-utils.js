@@ -300,14 +300,12 @@ export class SimulationTester {
         const sim = this.simulation;
 
         // Save current state
-        const originalRotationAmount = sim.rotationAmount;
-        const originalCentralSpiralPower = sim.centralSpiralPower;
-        const originalCentralSpiralAngle = sim.centralSpiralAngle;
+        const originalOmega = sim.plateRotation.omega;
+        const originalAlpha = sim.plateRotation.alpha;
 
         // Set up a known state
-        sim.rotationAmount = 0.1; // Apply a rotation
-        sim.centralSpiralPower = 0.0; // Start with no spiral power
-        sim.centralSpiralAngle = 0.0; // Start with zero angle
+        sim.plateRotation.omega = 0.3; // Plate already turning (rad/s)
+        sim.plateRotation.alpha = 0.0;
 
         // Clear velocity field to ensure a clean test
         // This requires a clearVelocity function or direct manipulation
@@ -328,9 +326,8 @@ export class SimulationTester {
         }
 
         // Restore original state
-        sim.rotationAmount = originalRotationAmount;
-        sim.centralSpiralPower = originalCentralSpiralPower;
-        sim.centralSpiralAngle = originalCentralSpiralAngle;
+        sim.plateRotation.omega = originalOmega;
+        sim.plateRotation.alpha = originalAlpha;
 
         // Assertions
         // Expect some non-zero velocity after applying forces